@@ -9,6 +9,7 @@ const path = require('path');
 const multer = require('multer');
 const { BrandedTrackingService, TrackingWebhookHandler } = require('./services/branded-tracking');
 const { ReturnsPortalService } = require('./services/returns-portal');
+const { carrierCalendar, shiftWorkingDays } = require('./services/calendar');
 
 // Initialize services
 const trackingService = new BrandedTrackingService();
@@ -163,7 +164,7 @@ router.post('/api/admin/brand/preview', requireAuth, async (req, res) => {
             recipient_postal_code: '75001',
             recipient_country: 'FR',
             recipient_email: 'preview@example.com',
-            estimated_delivery: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(),
+            estimated_delivery: shiftWorkingDays(new Date(), 2, carrierCalendar('colissimo', 'FR', 'delivery')).toISOString(),
             organization_id: req.orgId
         };
         
@@ -221,6 +222,7 @@ router.get('/returns/:orgId', async (req, res) => {
             reasons,
             t,
             apiUrl: process.env.BASE_URL || '',
+            stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY || '',
             prefillOrder: orderNumber
         });
         
@@ -257,6 +259,20 @@ router.post('/api/returns/find-order', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/returns/validate-address
+ * Validate and normalize the customer's pickup address
+ */
+router.post('/api/returns/validate-address', async (req, res) => {
+    try {
+        const result = await returnsService.addressValidation.validate(req.body || {});
+        res.json(result);
+    } catch (error) {
+        console.error('Error validating address:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * POST /api/returns/create
  * Create return request
@@ -266,11 +282,39 @@ router.post('/api/returns/create', async (req, res) => {
         const returnRequest = await returnsService.createReturnRequest(req.body.orgId, req.body);
         res.status(201).json(returnRequest);
     } catch (error) {
+        if (error.name === 'AddressValidationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, errors: error.errors, suggestions: error.suggestions });
+        }
+        if (error.name === 'ReturnRiskError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        if (error.name === 'ReturnlessError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
         console.error('Error creating return:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
 });
 
+/**
+ * POST /api/returns/returnless-eligibility
+ * Returnless refund options (keep / donate) offered for the selected items
+ */
+router.post('/api/returns/returnless-eligibility', async (req, res) => {
+    try {
+        const { orgId, orderId, customerEmail, items } = req.body;
+        if (!orgId || !orderId || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const eligibility = await returnsService.checkReturnless(orgId, { orderId, customerEmail, items });
+        res.json(eligibility);
+    } catch (error) {
+        console.error('Error checking returnless eligibility:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * GET /api/returns/track/:rmaId
  * Track return status
@@ -335,11 +379,76 @@ router.post('/api/returns/confirm-payment', async (req, res) => {
         const result = await returnsService.confirmPayment(returnId, paymentIntentId);
         res.json(result);
     } catch (error) {
+        if (error.name === 'RmaTransitionError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
         console.error('Error confirming payment:', error);
         res.status(500).json({ error: error.message || 'Confirmation failed' });
     }
 });
 
+/**
+ * GET /api/returns/exchange-options
+ * Replacement items (variants of the returned SKU, search) in stock
+ */
+router.get('/api/returns/exchange-options', async (req, res) => {
+    try {
+        const { orgId, sku, search } = req.query;
+        if (!orgId || (!sku && !search)) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const options = await returnsService.getExchangeOptions(orgId, { sku, search });
+        res.json(options);
+    } catch (error) {
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error loading exchange options:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/returns/exchange
+ * Exchange returned items; instant exchanges return a card hold to authorize
+ */
+router.post('/api/returns/exchange', async (req, res) => {
+    try {
+        const { orgId, returnId, items, instant } = req.body;
+        if (!orgId || !returnId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const result = await returnsService.requestExchange(orgId, { returnId, items, instant });
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error creating exchange:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/returns/exchange/confirm-hold
+ * Card hold authorized: ship the instant exchange
+ */
+router.post('/api/returns/exchange/confirm-hold', async (req, res) => {
+    try {
+        const { orgId, exchangeId, paymentIntentId } = req.body;
+        const result = await returnsService.exchanges.confirmHold(orgId, exchangeId, paymentIntentId);
+        res.json(result);
+    } catch (error) {
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error confirming exchange hold:', error);
+        res.status(500).json({ error: error.message || 'Confirmation failed' });
+    }
+});
+
 // ============================================
 // RETURNS ADMIN ROUTES
 // ============================================
@@ -391,16 +500,14 @@ router.post('/webhooks/carrier/:carrier', async (req, res) => {
             return res.status(404).json({ error: 'Shipment not found' });
         }
         
-        // Map carrier status to internal status
-        const mappedStatus = mapCarrierStatus(carrier, status);
-        
-        // Handle status update
-        await webhookHandler.handleStatusUpdate(shipment.id, mappedStatus, {
+        // Normalize carrier event code and update shipment
+        const result = await webhookHandler.handleCarrierEvent(shipment, carrier, status, {
+            trackingNumber: tracking_number,
             description: event?.description,
             location: event?.location
         });
         
-        res.json({ success: true });
+        res.json(result);
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({ error: 'Webhook processing failed' });
@@ -423,29 +530,6 @@ function requireAuth(req, res, next) {
     next();
 }
 
-function mapCarrierStatus(carrier, status) {
-    // Map carrier-specific statuses to internal statuses
-    const statusMaps = {
-        colissimo: {
-            'PRIS_EN_CHARGE': 'picked_up',
-            'EN_COURS_ACHEMINEMENT': 'in_transit',
-            'EN_COURS_LIVRAISON': 'out_for_delivery',
-            'LIVRE': 'delivered',
-            'ANOMALIE': 'exception'
-        },
-        chronopost: {
-            'P': 'picked_up',
-            'T': 'in_transit',
-            'D': 'out_for_delivery',
-            'L': 'delivered',
-            'A': 'exception'
-        }
-        // Add more carrier mappings...
-    };
-    
-    return statusMaps[carrier]?.[status] || status;
-}
-
 // ============================================
 // EMBED SCRIPT (for external sites)
 // ============================================
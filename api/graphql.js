@@ -8,6 +8,8 @@ const { expressMiddleware } = require('@apollo/server/express4');
 const { makeExecutableSchema } = require('@graphql-tools/schema');
 const { PubSub, withFilter } = require('graphql-subscriptions');
 const DataLoader = require('dataloader');
+const { RateShoppingService } = require('../services/rate-shopping');
+const { RmaStateMachine, normalizeStatus, availableEvents, readHistory } = require('../services/rma-state-machine');
 
 const pubsub = new PubSub();
 
@@ -31,6 +33,7 @@ const typeDefs = `#graphql
     PROCESSING
     LABEL_CREATED
     SHIPPED
+    PICKED_UP
     IN_TRANSIT
     OUT_FOR_DELIVERY
     DELIVERED
@@ -60,6 +63,19 @@ const typeDefs = `#graphql
     DPD
     GLS
     TNT
+    COLIS_PRIVE
+  }
+
+  enum RateSource {
+    NEGOTIATED
+    POOLED
+    PUBLIC
+    CARRIER_API
+  }
+
+  enum RateSortBy {
+    PRICE
+    SPEED
   }
 
   enum ServiceType {
@@ -89,6 +105,39 @@ const typeDefs = `#graphql
     DESC
   }
 
+  enum ReturnStatus {
+    PENDING_APPROVAL
+    APPROVED
+    REJECTED
+    LABEL_CREATED
+    IN_TRANSIT
+    RECEIVED
+    INSPECTING
+    INSPECTED
+    REFUND_PENDING
+    REFUNDED
+    EXCHANGED
+    STORE_CREDIT
+    CLOSED
+    CANCELLED
+  }
+
+  enum ReturnEvent {
+    APPROVE
+    REJECT
+    CREATE_LABEL
+    SHIP
+    RECEIVE
+    START_INSPECTION
+    INSPECT
+    REQUEST_REFUND
+    REFUND
+    EXCHANGE
+    ISSUE_STORE_CREDIT
+    CLOSE
+    CANCEL
+  }
+
   # ==========================================
   # INPUT TYPES
   # ==========================================
@@ -178,6 +227,7 @@ const typeDefs = `#graphql
     recipient: AddressInput!
     parcels: [ParcelInput!]!
     carriers: [CarrierCode!]
+    sortBy: RateSortBy = PRICE
   }
 
   # ==========================================
@@ -200,12 +250,17 @@ const typeDefs = `#graphql
 
   type Parcel {
     id: ID!
+    index: Int!
     weight: Float!
     length: Float
     width: Float
     height: Float
     reference: String
     trackingNumber: String
+    status: ShipmentStatus
+    subStatus: String
+    deliveredAt: DateTime
+    label: Label
   }
 
   type Shipment {
@@ -215,9 +270,12 @@ const typeDefs = `#graphql
     carrier: Carrier!
     service: ServiceType!
     status: ShipmentStatus!
+    subStatus: String
     sender: Address!
     recipient: Address!
     parcels: [Parcel!]!
+    parcelCount: Int!
+    deliveredParcelCount: Int!
     label: Label
     trackingEvents: [TrackingEvent!]!
     estimatedDelivery: DateTime
@@ -250,6 +308,7 @@ const typeDefs = `#graphql
   type TrackingEvent {
     id: ID!
     status: ShipmentStatus!
+    subStatus: String
     description: String!
     location: String
     timestamp: DateTime!
@@ -316,15 +375,27 @@ const typeDefs = `#graphql
 
   type Return {
     id: ID!
-    shipmentId: ID!
+    rmaNumber: String
+    shipmentId: ID
     reason: String!
-    status: String!
+    status: ReturnStatus!
+    availableEvents: [ReturnEvent!]!
+    history: [ReturnTransition!]!
     trackingNumber: String
     label: Label
     createdAt: DateTime!
     receivedAt: DateTime
   }
 
+  type ReturnTransition {
+    event: String!
+    from: ReturnStatus
+    to: ReturnStatus!
+    actor: String
+    notes: String
+    at: DateTime!
+  }
+
   type Money {
     amount: Float!
     currency: String!
@@ -332,13 +403,49 @@ const typeDefs = `#graphql
   }
 
   type Rate {
+    rank: Int!
     carrier: Carrier!
     service: CarrierService!
+    source: RateSource!
     price: Money!
+    priceExclVat: Money!
+    chargeableWeight: Float!
+    zone: String!
+    breakdown: RateBreakdown!
+    explanation: [String!]!
+    alternatives: [RateAlternative!]!
     estimatedDays: Int!
     deliveryDate: DateTime
   }
 
+  type RateBreakdown {
+    weight: ChargeableWeight!
+    base: Money!
+    discount: Money!
+    fuel: Money!
+    zone: Money!
+    remoteArea: Money!
+    other: Money!
+    subtotal: Money!
+    vatRate: Float!
+    vat: Money!
+    total: Money!
+  }
+
+  type ChargeableWeight {
+    actual: Float!
+    volumetric: Float!
+    chargeable: Float!
+    divisor: Int!
+    rounding: Float!
+    basis: String!
+  }
+
+  type RateAlternative {
+    source: RateSource!
+    price: Money!
+  }
+
   type Webhook {
     id: ID!
     url: String!
@@ -515,6 +622,7 @@ const typeDefs = `#graphql
     # Returns
     createReturn(shipmentId: ID!, reason: String!): Return!
     markReturnReceived(id: ID!): Return!
+    transitionReturn(id: ID!, event: ReturnEvent!, notes: String, reason: String, amount: Float): Return!
 
     # Webhooks
     createWebhook(input: CreateWebhookInput!): Webhook!
@@ -637,8 +745,19 @@ const resolvers = {
             return dataSources.carriers.getByCode(code);
         },
         
-        rates: async (_, { input }, { dataSources }) => {
-            return dataSources.carriers.getRates(input);
+        rates: async (_, { input }, { db, dataSources, organizationId }) => {
+            const enabled = input.carriers || (await dataSources.carriers.list()).map(c => c.code);
+            const rateShopping = new RateShoppingService({ db });
+            const result = await rateShopping.shop({
+                orgId: organizationId,
+                origin: input.sender,
+                destination: input.recipient,
+                parcels: input.parcels,
+                carriers: enabled.map(code => code.toLowerCase()),
+                sortBy: input.sortBy === 'SPEED' ? 'speed' : 'price'
+            });
+
+            return result.quotes;
         },
 
         // Analytics
@@ -732,6 +851,22 @@ const resolvers = {
             return dataSources.returns.create(shipmentId, reason);
         },
 
+        markReturnReceived: async (_, { id }, { dataSources, organizationId, user }) => {
+            const transition = await dataSources.rma.transition(id, 'receive', { orgId: organizationId, actor: user?.id });
+            return transition.return;
+        },
+
+        transitionReturn: async (_, { id, event, notes, reason, amount }, { dataSources, organizationId, user }) => {
+            const transition = await dataSources.rma.transition(id, event.toLowerCase(), {
+                orgId: organizationId,
+                actor: user?.id,
+                notes,
+                reason,
+                amount
+            });
+            return transition.return;
+        },
+
         // Sync
         syncOrders: async (_, { channel }, { dataSources }) => {
             return dataSources.orders.sync(channel);
@@ -775,6 +910,13 @@ const resolvers = {
         },
         trackingEvents: async (shipment, _, { dataSources }) => {
             return dataSources.tracking.getEvents(shipment.trackingNumber);
+        },
+        parcelCount: (shipment) => shipment.parcels?.length || 1,
+        deliveredParcelCount: (shipment) => {
+            if (shipment.parcels?.length > 1) {
+                return shipment.parcels.filter(parcel => parcel.status === 'DELIVERED').length;
+            }
+            return shipment.status === 'DELIVERED' ? 1 : 0;
         }
     },
 
@@ -809,6 +951,61 @@ const resolvers = {
         }
     },
 
+    Rate: {
+        carrier: (rate) => ({
+            code: rate.carrier.toUpperCase(),
+            name: rate.carrierName,
+            services: []
+        }),
+        service: (rate) => ({
+            code: rate.serviceType.toUpperCase(),
+            name: rate.serviceName,
+            estimatedDays: rate.estimatedDays,
+            features: rate.features
+        }),
+        source: (rate) => rate.source.toUpperCase(),
+        price: (rate) => ({ amount: rate.price, currency: rate.currency }),
+        priceExclVat: (rate) => ({ amount: rate.priceExclVat, currency: rate.currency }),
+        breakdown: (rate) => {
+            const money = (amount) => ({ amount, currency: rate.currency });
+            const { breakdown } = rate;
+            return {
+                weight: breakdown.weight,
+                base: money(breakdown.base),
+                discount: money(breakdown.discount),
+                fuel: money(breakdown.fuel),
+                zone: money(breakdown.zone),
+                remoteArea: money(breakdown.remoteArea),
+                other: money(breakdown.other),
+                subtotal: money(breakdown.subtotal),
+                vatRate: breakdown.vatRate,
+                vat: money(breakdown.vat),
+                total: money(breakdown.total)
+            };
+        },
+        alternatives: (rate) => rate.alternatives.map(alt => ({
+            source: alt.source.toUpperCase(),
+            price: { amount: alt.price, currency: rate.currency }
+        }))
+    },
+
+    // Retours : statut et historique lus via la machine à états RMA, quel que soit le service d'origine
+    Return: {
+        rmaNumber: (rma) => rma.rmaNumber || rma.rma_number,
+        shipmentId: (rma) => rma.shipmentId || rma.shipment_id,
+        reason: (rma) => rma.reason || rma.reasonCode || rma.reason_code,
+        status: (rma) => normalizeStatus(rma.status).toUpperCase(),
+        availableEvents: (rma) => availableEvents(rma.status).map(event => event.toUpperCase()),
+        history: (rma) => readHistory(rma).map(entry => ({
+            ...entry,
+            from: entry.from && normalizeStatus(entry.from).toUpperCase(),
+            to: normalizeStatus(entry.to).toUpperCase()
+        })),
+        trackingNumber: (rma) => rma.trackingNumber || rma.tracking_number || rma.return_tracking_number,
+        createdAt: (rma) => rma.createdAt || rma.created_at,
+        receivedAt: (rma) => rma.receivedAt || rma.received_at
+    },
+
     Money: {
         formatted: (money) => {
             return new Intl.NumberFormat('fr-FR', {
@@ -844,7 +1041,13 @@ const createLoaders = (dataSources) => ({
 // SERVER SETUP
 // ==========================================
 
-const createGraphQLServer = async (dataSources) => {
+/**
+ * @param {Object} dataSources sources de données des resolvers
+ * @param {Object} options.db pool PostgreSQL (tarifs négociés, machine à états des retours)
+ */
+const createGraphQLServer = async (dataSources, { db } = {}) => {
+    // Retours : même machine à états (et mêmes webhooks) que l'API REST et le portail
+    const sources = { rma: new RmaStateMachine({ db }), ...dataSources };
     const schema = makeExecutableSchema({ typeDefs, resolvers });
     
     const server = new ApolloServer({
@@ -867,8 +1070,9 @@ const createGraphQLServer = async (dataSources) => {
         server,
         middleware: expressMiddleware(server, {
             context: async ({ req }) => ({
-                dataSources,
-                loaders: createLoaders(dataSources),
+                db,
+                dataSources: sources,
+                loaders: createLoaders(sources),
                 user: req.user,
                 organizationId: req.organizationId
             })
@@ -20,7 +20,31 @@ const { RealtimeService } = require('../services/realtime');
 const { QoSService } = require('../services/qos');
 const { CustomerSupportService } = require('../services/customer-support');
 const { InternationalService } = require('../services/international');
-const { ReturnsService } = require('../services/returns-advanced');
+const { RmaStateMachine, rmaEvents, generateRmaNumber } = require('../services/rma-state-machine');
+const { LabelService } = require('../services/labels');
+const { ManifestService } = require('../services/manifests');
+const { RateShoppingService, SERVICE_ALIASES } = require('../services/rate-shopping');
+const { NegotiatedRatesService } = require('../services/negotiated-rates');
+const { FreightAuditService } = require('../services/freight-audit');
+const { TrackingStatusRegistry } = require('../services/tracking-status');
+const { SurchargeTableService } = require('../services/surcharge-tables');
+const { ShipmentCancellationService } = require('../services/shipment-cancellation');
+const { MultiParcelService, MAX_PARCELS } = require('../services/multi-parcel');
+const { AddressValidationService } = require('../services/address-validation');
+const { AutomationRulesService, ON_HOLD_STATUS } = require('../services/automation-rules');
+const { CartonizationService } = require('../services/cartonization');
+const { calculateChargeableWeight } = require('../services/chargeable-weight');
+const { ReturnDispositionService } = require('../services/return-disposition');
+const { ExchangeService } = require('../services/exchanges');
+const { StoreCreditService } = require('../services/store-credit');
+const { ReturnRiskService } = require('../services/return-risk');
+const { ReturnlessService } = require('../services/returnless');
+const { ProductClassificationService } = require('../services/product-classification');
+const { DeniedPartyScreeningService, COMPLIANCE_HOLD_STATUS } = require('../services/denied-party-screening');
+const { DynamicCheckoutService } = require('../services/dynamic-checkout');
+const { CalendarService } = require('../services/calendar');
+const { WarehouseService } = require('../services/warehouse');
+const { billingService } = require('../services/billing');
 
 const app = express();
 
@@ -37,6 +61,9 @@ const db = new Pool({
 
 const redis = new Redis(process.env.REDIS_URL);
 
+// Machine à états RMA partagée par toutes les routes retours (webhooks de transition)
+const rmaStateMachine = new RmaStateMachine({ db });
+
 // ==========================================
 // MIDDLEWARE
 // ==========================================
@@ -143,7 +170,7 @@ app.get('/health', async (req, res) => {
 
 app.get('/api/v1/shipments', authenticate, async (req, res) => {
     try {
-        const { page = 1, limit = 20, status, carrier, from_date, to_date } = req.query;
+        const { page = 1, limit = 20, status, carrier, void_status, from_date, to_date } = req.query;
         const offset = (page - 1) * limit;
 
         let query = 'SELECT * FROM shipments WHERE organization_id = $1';
@@ -162,6 +189,12 @@ app.get('/api/v1/shipments', authenticate, async (req, res) => {
             params.push(carrier);
         }
 
+        if (void_status) {
+            paramCount++;
+            query += ` AND void_status = $${paramCount}`;
+            params.push(void_status);
+        }
+
         if (from_date) {
             paramCount++;
             query += ` AND created_at >= $${paramCount}`;
@@ -201,61 +234,164 @@ app.get('/api/v1/shipments', authenticate, async (req, res) => {
 
 app.post('/api/v1/shipments', authenticate, async (req, res) => {
     try {
-        const { carrier, service, sender, recipient, parcels, reference, options } = req.body;
+        const { carrier, service, sender, recipient: recipientInput, items, reference, warehouseId, options } = req.body;
+        let { parcels } = req.body;
 
         // Validation
-        if (!carrier || !sender || !recipient || !parcels?.length) {
+        if (!carrier || !sender || !recipientInput || (!parcels?.length && !items?.length)) {
             return res.status(422).json({ 
                 error: 'Validation error',
                 errors: [
                     !carrier && { field: 'carrier', message: 'Carrier is required' },
                     !sender && { field: 'sender', message: 'Sender is required' },
-                    !recipient && { field: 'recipient', message: 'Recipient is required' },
-                    !parcels?.length && { field: 'parcels', message: 'At least one parcel is required' }
+                    !recipientInput && { field: 'recipient', message: 'Recipient is required' },
+                    !parcels?.length && !items?.length && { field: 'parcels', message: 'At least one parcel or item is required' }
                 ].filter(Boolean)
             });
         }
 
-        // Generate tracking number
+        // Sans colis fournis : cartons calculés à partir des articles
+        let cartonization = null;
+        if (!parcels?.length) {
+            const cartonizationService = new CartonizationService({ db });
+            cartonization = await cartonizationService.cartonize(req.orgId, {
+                items,
+                warehouseId,
+                carriers: [carrier],
+                boxCode: options?.packaging
+            });
+            parcels = cartonizationService.toParcels(cartonization);
+        }
+
+        if (parcels.length > MAX_PARCELS) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'parcels', message: `Maximum ${MAX_PARCELS} parcels per shipment` }]
+            });
+        }
+
+        // Normalisation de l'adresse destinataire et cohérence code postal / ville
+        const addressCheck = options?.skipAddressValidation
+            ? null
+            : await new AddressValidationService({ db }).validate(recipientInput);
+
+        if (addressCheck && !addressCheck.valid) {
+            return res.status(422).json({
+                error: 'Address validation failed',
+                errors: addressCheck.errors.map(e => ({ field: `recipient.${e.field}`, code: e.code, message: e.message })),
+                suggestions: addressCheck.suggestions
+            });
+        }
+
+        const recipient = addressCheck ? { ...recipientInput, ...addressCheck.address } : recipientInput;
+
+        // Generate tracking number (master) and one per additional parcel
         const trackingNumber = generateTrackingNumber(carrier);
+        const multiParcel = new MultiParcelService({ db });
+        const trackedParcels = multiParcel.assignTrackingNumbers(parcels, trackingNumber, () => generateTrackingNumber(carrier));
 
         // Calculate total weight
         const totalWeight = parcels.reduce((sum, p) => sum + (p.weight || 0), 0);
 
-        // Create shipment
-        const result = await db.query(`
-            INSERT INTO shipments (
-                id, organization_id, tracking_number, carrier, service, status,
-                sender_name, sender_company, sender_address1, sender_address2, 
-                sender_city, sender_state, sender_postal_code, sender_country, sender_phone, sender_email,
-                recipient_name, recipient_company, recipient_address1, recipient_address2,
-                recipient_city, recipient_state, recipient_postal_code, recipient_country, recipient_phone, recipient_email,
-                parcels, total_weight, reference, metadata
-            ) VALUES (
-                $1, $2, $3, $4, $5, 'pending',
-                $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-                $16, $17, $18, $19, $20, $21, $22, $23, $24, $25,
-                $26, $27, $28, $29
-            ) RETURNING *
-        `, [
-            uuidv4(), req.orgId, trackingNumber, carrier, service || 'standard',
-            sender.name, sender.company, sender.address1, sender.address2,
-            sender.city, sender.state, sender.postalCode, sender.country, sender.phone, sender.email,
-            recipient.name, recipient.company, recipient.address1, recipient.address2,
-            recipient.city, recipient.state, recipient.postalCode, recipient.country, recipient.phone, recipient.email,
-            JSON.stringify(parcels), totalWeight, reference, JSON.stringify(options || {})
-        ]);
+        // Quote figée à la création (référence pour l'audit des factures transporteur)
+        const quote = await quoteShipment(req.orgId, {
+            carrier,
+            service: service || 'standard',
+            parcels,
+            total_weight: totalWeight,
+            sender_country: sender.country,
+            recipient_country: recipient.country,
+            recipient_postal_code: recipient.postalCode,
+            insurance_value: options?.insurance
+        });
+        const weightBreakdown = getWeightBreakdown(quote, { carrier, service: service || 'standard', parcels });
+
+        // Create shipment (expédition, colis enfants et contrôle export dans la même transaction)
+        const client = await db.connect();
+        let shipment;
+        let compliance;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO shipments (
+                    id, organization_id, tracking_number, carrier, service, status,
+                    sender_name, sender_company, sender_address1, sender_address2, 
+                    sender_city, sender_state, sender_postal_code, sender_country, sender_phone, sender_email,
+                    recipient_name, recipient_company, recipient_address1, recipient_address2,
+                    recipient_city, recipient_state, recipient_postal_code, recipient_country, recipient_phone, recipient_email,
+                    parcels, total_weight, reference, warehouse_id, metadata, shipping_cost, quoted_rate, parcel_count,
+                    chargeable_weight, weight_breakdown
+                ) VALUES (
+                    $1, $2, $3, $4, $5, 'pending',
+                    $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+                    $16, $17, $18, $19, $20, $21, $22, $23, $24, $25,
+                    $26, $27, $28, $29, $30, $31, $32, $33, $34, $35
+                ) RETURNING *
+            `, [
+                uuidv4(), req.orgId, trackingNumber, carrier, service || 'standard',
+                sender.name, sender.company, sender.address1, sender.address2,
+                sender.city, sender.state, sender.postalCode, sender.country, sender.phone, sender.email,
+                recipient.name, recipient.company, recipient.address1, recipient.address2,
+                recipient.city, recipient.state, recipient.postalCode, recipient.country, recipient.phone, recipient.email,
+                JSON.stringify(trackedParcels), totalWeight, reference, warehouseId || null, JSON.stringify(options || {}),
+                quote?.finalRate ?? null, quote ? JSON.stringify(quote) : null, trackedParcels.length,
+                weightBreakdown.chargeableWeight, JSON.stringify(weightBreakdown)
+            ]);
+            shipment = result.rows[0];
+
+            // Multi-colis : suivi individuel de chaque colis
+            if (trackedParcels.length > 1) {
+                await new MultiParcelService({ db: client }).saveParcels(shipment, trackedParcels);
+            }
 
-        const shipment = result.rows[0];
+            // Hors UE : contrôle du destinataire (sanctions, embargos) avant validation, mise en attente en cas de doute
+            compliance = await new DeniedPartyScreeningService({ db: client }).screenShipment(req.orgId, shipment);
+            if (compliance) {
+                shipment = compliance.shipment;
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        trackShipmentUsage(req.orgId);
 
         // Generate label (mock)
         shipment.labelUrl = `/api/v1/shipments/${shipment.id}/label`;
+        shipment.addressValidation = addressCheck
+            ? { status: addressCheck.status, corrections: addressCheck.corrections }
+            : { status: 'skipped', corrections: [] };
+        shipment.parcels = trackedParcels.map(parcel => ({
+            ...parcel,
+            labelUrl: `/api/v1/shipments/${shipment.id}/label?parcel=${parcel.index}`
+        }));
+        if (cartonization) {
+            shipment.cartonization = { boxCount: cartonization.boxCount, packages: cartonization.packages };
+        }
+        shipment.compliance = compliance
+            ? { screeningId: compliance.screening.id, decision: compliance.screening.decision, reasons: compliance.screening.reasons }
+            : null;
 
         // Emit event for webhooks
         await emitWebhookEvent(req.orgId, 'shipment.created', shipment);
+        if (shipment.status === COMPLIANCE_HOLD_STATUS) {
+            await emitWebhookEvent(req.orgId, 'shipment.compliance_hold', { shipment, screening: compliance.screening });
+        }
 
         res.status(201).json(shipment);
     } catch (error) {
+        if (error.name === 'CartonizationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        if (error.code === '23505' && error.constraint === 'idx_shipment_parcels_tracking') {
+            return res.status(409).json({ error: 'Parcel tracking number already in use' });
+        }
         console.error('Error creating shipment:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -272,7 +408,14 @@ app.get('/api/v1/shipments/:id', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'Shipment not found' });
         }
 
-        res.json(result.rows[0]);
+        const shipment = result.rows[0];
+
+        if (shipment.parcel_count > 1) {
+            const multiParcel = new MultiParcelService({ db });
+            shipment.parcel_tracking = multiParcel.formatParcels(await multiParcel.getParcels(shipment.id));
+        }
+
+        res.json(shipment);
     } catch (error) {
         console.error('Error fetching shipment:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -281,37 +424,45 @@ app.get('/api/v1/shipments/:id', authenticate, async (req, res) => {
 
 app.delete('/api/v1/shipments/:id', authenticate, async (req, res) => {
     try {
-        const result = await db.query(
-            'SELECT * FROM shipments WHERE id = $1 AND organization_id = $2',
-            [req.params.id, req.orgId]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Shipment not found' });
-        }
+        const cancellation = new ShipmentCancellationService({ db, billing: billingService });
+        const shipment = await cancellation.cancel(req.orgId, req.params.id, { reason: req.body?.reason });
 
-        const shipment = result.rows[0];
+        await emitWebhookEvent(req.orgId, 'shipment.cancelled', shipment);
 
-        if (shipment.status !== 'pending') {
-            return res.status(400).json({ error: 'Shipment cannot be cancelled - already shipped' });
+        res.json({ message: 'Shipment cancelled successfully', voidStatus: shipment.void_status, shipment });
+    } catch (error) {
+        if (error.name === 'ShipmentCancellationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
         }
+        console.error('Error cancelling shipment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        await db.query(
-            'UPDATE shipments SET status = $1, updated_at = NOW() WHERE id = $2',
-            ['cancelled', req.params.id]
-        );
+app.post('/api/v1/shipments/:id/void', authenticate, async (req, res) => {
+    try {
+        const cancellation = new ShipmentCancellationService({ db });
+        const shipment = await cancellation.resolveVoid(req.orgId, req.params.id, { reference: req.body?.reference });
 
-        res.json({ message: 'Shipment cancelled successfully' });
+        res.json({ voidStatus: shipment.void_status, shipment });
     } catch (error) {
-        console.error('Error cancelling shipment:', error);
+        if (error.name === 'ShipmentCancellationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error voiding shipment:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 app.get('/api/v1/shipments/:id/label', authenticate, async (req, res) => {
     try {
-        const { format = 'pdf' } = req.query;
-        
+        const { format = 'pdf', parcel } = req.query;
+        const labelService = new LabelService({ db });
+
+        if (!labelService.isSupportedFormat(format)) {
+            return res.status(422).json({ error: `Unsupported label format: ${format}` });
+        }
+
         const result = await db.query(
             'SELECT * FROM shipments WHERE id = $1 AND organization_id = $2',
             [req.params.id, req.orgId]
@@ -321,18 +472,20 @@ app.get('/api/v1/shipments/:id/label', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'Shipment not found' });
         }
 
-        // Mock label generation
-        const label = generateMockLabel(result.rows[0], format);
-        
-        const contentTypes = {
-            pdf: 'application/pdf',
-            zpl: 'application/zpl',
-            png: 'image/png'
-        };
+        if (result.rows[0].status === COMPLIANCE_HOLD_STATUS) {
+            return res.status(409).json({ error: 'Shipment is on hold for export compliance review', reason: result.rows[0].hold_reason });
+        }
 
-        res.setHeader('Content-Type', contentTypes[format] || 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="label-${result.rows[0].tracking_number}.${format}"`);
-        res.send(label);
+        const parcelIndex = parcel ? parseInt(parcel) : null;
+        if (parcelIndex !== null && !(parcelIndex >= 1 && parcelIndex <= (result.rows[0].parcel_count || 1))) {
+            return res.status(404).json({ error: 'Parcel not found' });
+        }
+
+        const label = await labelService.render(result.rows[0], format, { parcelIndex });
+
+        res.setHeader('Content-Type', label.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${label.filename}"`);
+        res.send(label.data);
     } catch (error) {
         console.error('Error generating label:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -340,329 +493,1623 @@ app.get('/api/v1/shipments/:id/label', authenticate, async (req, res) => {
 });
 
 // ==========================================
-// TRACKING API
+// ADDRESS VALIDATION API
 // ==========================================
 
-app.get('/api/v1/tracking/:trackingNumber', authenticate, async (req, res) => {
+app.post('/api/v1/addresses/validate', authenticate, async (req, res) => {
     try {
-        const { trackingNumber } = req.params;
-
-        // Check cache first
-        const cached = await redis.get(`tracking:${trackingNumber}`);
-        if (cached) {
-            return res.json(JSON.parse(cached));
+        if (!req.body || typeof req.body !== 'object') {
+            return res.status(422).json({ error: 'Validation error', errors: [{ field: 'address', message: 'Address is required' }] });
         }
 
-        const result = await db.query(
-            'SELECT * FROM shipments WHERE tracking_number = $1',
-            [trackingNumber]
-        );
+        const result = await new AddressValidationService({ db }).validate(req.body);
+        res.json(result);
+    } catch (error) {
+        console.error('Error validating address:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Tracking number not found' });
-        }
+// ==========================================
+// PACKAGING API (cartonization)
+// ==========================================
 
-        const shipment = result.rows[0];
+app.get('/api/v1/packaging/boxes', authenticate, async (req, res) => {
+    try {
+        const boxes = await new CartonizationService({ db }).getBoxes(req.orgId, req.query.warehouseId || null);
+        res.json({ data: boxes });
+    } catch (error) {
+        console.error('Error fetching boxes:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        const trackingInfo = {
-            trackingNumber: shipment.tracking_number,
-            carrier: shipment.carrier,
-            status: shipment.status,
-            statusLabel: getStatusLabel(shipment.status),
-            estimatedDelivery: shipment.estimated_delivery,
-            lastLocation: shipment.last_location,
-            events: shipment.tracking_events || generateMockTrackingEvents(shipment)
-        };
+app.post('/api/v1/packaging/boxes', authenticate, async (req, res) => {
+    try {
+        const { code, length, width, height } = req.body;
 
-        // Cache for 5 minutes
-        await redis.setex(`tracking:${trackingNumber}`, 300, JSON.stringify(trackingInfo));
+        if (!code || !(length > 0) || !(width > 0) || !(height > 0)) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [
+                    !code && { field: 'code', message: 'Code is required' },
+                    !(length > 0 && width > 0 && height > 0) && { field: 'dimensions', message: 'Inner length, width and height are required' }
+                ].filter(Boolean)
+            });
+        }
 
-        res.json(trackingInfo);
+        const box = await new CartonizationService({ db }).createBox(req.orgId, req.body);
+        res.status(201).json(box);
     } catch (error) {
-        console.error('Error fetching tracking:', error);
+        console.error('Error creating box:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/tracking/batch', authenticate, async (req, res) => {
+app.delete('/api/v1/packaging/boxes/:id', authenticate, async (req, res) => {
     try {
-        const { trackingNumbers } = req.body;
+        await new CartonizationService({ db }).deactivateBox(req.orgId, req.params.id);
+        res.json({ message: 'Box deactivated successfully' });
+    } catch (error) {
+        if (error.name === 'CartonizationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error deactivating box:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!trackingNumbers || trackingNumbers.length > 100) {
-            return res.status(422).json({ error: 'Maximum 100 tracking numbers allowed' });
+// Dimensions produits (saisie ou import depuis les connecteurs e-commerce)
+app.put('/api/v1/packaging/products', authenticate, async (req, res) => {
+    try {
+        const { products, source } = req.body;
+
+        if (!products?.length) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'products', message: 'At least one product is required' }]
+            });
         }
 
-        const results = await Promise.all(
-            trackingNumbers.map(async (tn) => {
-                const result = await db.query(
-                    'SELECT * FROM shipments WHERE tracking_number = $1',
-                    [tn]
-                );
-                if (result.rows.length === 0) {
-                    return { trackingNumber: tn, error: 'Not found' };
-                }
-                const shipment = result.rows[0];
-                return {
-                    trackingNumber: shipment.tracking_number,
-                    carrier: shipment.carrier,
-                    status: shipment.status,
-                    statusLabel: getStatusLabel(shipment.status)
-                };
-            })
-        );
+        const result = await new CartonizationService({ db }).saveProductDimensions(req.orgId, products, source);
+        res.json(result);
+    } catch (error) {
+        console.error('Error saving product dimensions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json(results);
+app.post('/api/v1/packaging/cartonize', authenticate, async (req, res) => {
+    try {
+        const { items, warehouseId, carriers, boxCode } = req.body;
+
+        if (!items?.length) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'items', message: 'At least one item is required' }]
+            });
+        }
+
+        const result = await new CartonizationService({ db }).cartonize(req.orgId, { items, warehouseId, carriers, boxCode });
+        res.json(result);
     } catch (error) {
-        console.error('Error batch tracking:', error);
+        if (error.name === 'CartonizationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error cartonizing items:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // ==========================================
-// ORDERS API
+// MANIFESTS API (end-of-day close-out)
 // ==========================================
 
-app.get('/api/v1/orders', authenticate, async (req, res) => {
+app.get('/api/v1/manifests/pending', authenticate, async (req, res) => {
     try {
-        const { page = 1, limit = 20, status, source } = req.query;
-        const offset = (page - 1) * limit;
+        const manifestService = new ManifestService({ db });
+        const groups = await manifestService.getPendingSummary(req.orgId);
 
-        let query = 'SELECT * FROM orders WHERE organization_id = $1';
-        const params = [req.orgId];
-        let paramCount = 1;
+        res.json({ data: groups });
+    } catch (error) {
+        console.error('Error fetching pending manifests:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (status) {
-            paramCount++;
-            query += ` AND status = $${paramCount}`;
-            params.push(status);
-        }
+app.post('/api/v1/manifests', authenticate, async (req, res) => {
+    try {
+        const { carrier, warehouseId, submitToCarrier } = req.body;
 
-        if (source) {
-            paramCount++;
-            query += ` AND source = $${paramCount}`;
-            params.push(source);
+        if (!carrier) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'carrier', message: 'Carrier is required' }]
+            });
         }
 
-        query += ` ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        params.push(limit, offset);
-
-        const result = await db.query(query, params);
-        
-        res.json({
-            data: result.rows,
-            pagination: { page: parseInt(page), limit: parseInt(limit) }
+        const manifestService = new ManifestService({ db });
+        const manifest = await manifestService.closeOut(req.orgId, {
+            carrier,
+            warehouseId,
+            userId: req.user.id || req.user.sub,
+            submitToCarrier: submitToCarrier !== false
         });
+
+        await emitWebhookEvent(req.orgId, 'manifest.closed', manifest);
+
+        res.status(201).json(manifest);
     } catch (error) {
-        console.error('Error fetching orders:', error);
+        if (error.name === 'ManifestError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error closing manifest:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/orders', authenticate, async (req, res) => {
+app.get('/api/v1/manifests', authenticate, async (req, res) => {
     try {
-        const { orderNumber, customer, items, shippingAddress, total } = req.body;
-
-        const result = await db.query(`
-            INSERT INTO orders (id, organization_id, order_number, source, status, 
-                customer_name, customer_email, shipping_address, items, total)
-            VALUES ($1, $2, $3, 'api', 'pending', $4, $5, $6, $7, $8)
-            RETURNING *
-        `, [
-            uuidv4(), req.orgId, orderNumber,
-            customer.name, customer.email,
-            JSON.stringify(shippingAddress), JSON.stringify(items), total
-        ]);
-
-        await emitWebhookEvent(req.orgId, 'order.created', result.rows[0]);
+        const { carrier, page = 1, limit = 20 } = req.query;
+        const manifestService = new ManifestService({ db });
+        const manifests = await manifestService.listManifests(req.orgId, {
+            carrier,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
 
-        res.status(201).json(result.rows[0]);
+        res.json({ data: manifests });
     } catch (error) {
-        console.error('Error creating order:', error);
+        console.error('Error fetching manifests:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/orders/:orderId/ship', authenticate, async (req, res) => {
+app.get('/api/v1/manifests/:id', authenticate, async (req, res) => {
     try {
-        const { orderId } = req.params;
-        const { carrier, service, warehouseId } = req.body;
-
-        const orderResult = await db.query(
-            'SELECT * FROM orders WHERE id = $1 AND organization_id = $2',
-            [orderId, req.orgId]
-        );
+        const manifestService = new ManifestService({ db });
+        const manifest = await manifestService.getManifest(req.orgId, req.params.id);
 
-        if (orderResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+        if (!manifest) {
+            return res.status(404).json({ error: 'Manifest not found' });
         }
 
-        const order = orderResult.rows[0];
-        const shippingAddress = order.shipping_address;
-
-        // Create shipment from order
-        const trackingNumber = generateTrackingNumber(carrier);
-
-        const shipmentResult = await db.query(`
-            INSERT INTO shipments (id, organization_id, order_id, tracking_number, carrier, service, status,
-                recipient_name, recipient_address1, recipient_city, recipient_postal_code, recipient_country)
-            VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11)
-            RETURNING *
-        `, [
-            uuidv4(), req.orgId, orderId, trackingNumber, carrier, service || 'standard',
-            shippingAddress.name, shippingAddress.address1, shippingAddress.city,
-            shippingAddress.postalCode, shippingAddress.country
-        ]);
+        res.json(manifest);
+    } catch (error) {
+        console.error('Error fetching manifest:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Update order status
-        await db.query(
-            'UPDATE orders SET status = $1, shipped_at = NOW() WHERE id = $2',
-            ['shipped', orderId]
-        );
+app.get('/api/v1/manifests/:id/document', authenticate, async (req, res) => {
+    try {
+        const { format = 'pdf' } = req.query;
+        const manifestService = new ManifestService({ db });
+        const document = await manifestService.getDocument(req.orgId, req.params.id, format);
 
-        await emitWebhookEvent(req.orgId, 'order.shipped', { order, shipment: shipmentResult.rows[0] });
+        if (!document) {
+            return res.status(404).json({ error: 'Manifest not found' });
+        }
 
-        res.json(shipmentResult.rows[0]);
+        res.setHeader('Content-Type', document.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+        res.send(document.data);
     } catch (error) {
-        console.error('Error shipping order:', error);
+        if (error.name === 'ManifestError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error fetching manifest document:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // ==========================================
-// RETURNS API
+// CUSTOMS DOCUMENTS
 // ==========================================
 
-app.get('/api/v1/returns', authenticate, async (req, res) => {
+app.post('/api/v1/customs/declarations', authenticate, async (req, res) => {
     try {
-        const { page = 1, limit = 20, status } = req.query;
-        const offset = (page - 1) * limit;
+        const { sender, recipient, items, landedCostQuoteId } = req.body;
+        const errors = [];
 
-        let query = 'SELECT * FROM returns WHERE organization_id = $1';
-        const params = [req.orgId];
+        if (!sender?.country) errors.push({ field: 'sender.country', message: 'Sender country is required' });
+        if (!recipient?.country) errors.push({ field: 'recipient.country', message: 'Recipient country is required' });
+        if (!Array.isArray(items) || items.length === 0) errors.push({ field: 'items', message: 'At least one item is required' });
 
-        if (status) {
-            query += ' AND status = $2';
-            params.push(status);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation error', errors });
         }
 
-        query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-        params.push(limit, offset);
+        const international = new InternationalService({ db });
+
+        // Montants encaissés repris du devis enregistré au checkout, jamais du corps de la requête
+        let landedCost = null;
+        if (landedCostQuoteId) {
+            landedCost = await international.getLandedCostQuote(req.orgId, landedCostQuoteId);
+            if (!landedCost || landedCost.destinationCountry !== recipient.country) {
+                return res.status(422).json({
+                    error: 'Validation error',
+                    errors: [{ field: 'landedCostQuoteId', message: 'Landed cost quote not found for this destination' }]
+                });
+            }
+        }
 
-        const result = await db.query(query, params);
-        res.json({ data: result.rows });
+        const declaration = await international.createCustomsDeclaration({ ...req.body, landedCost, organizationId: req.orgId });
+
+        res.status(201).json({ ...declaration, documents: international.documents.selectDocuments(declaration) });
     } catch (error) {
-        console.error('Error fetching returns:', error);
+        console.error('Error creating customs declaration:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/returns', authenticate, async (req, res) => {
+app.get('/api/v1/customs/declarations/:id', authenticate, async (req, res) => {
     try {
-        const { orderId, items, reason, comments } = req.body;
+        const international = new InternationalService({ db });
+        const declaration = await international.getCustomsDeclaration(req.orgId, req.params.id);
 
-        const validReasons = ['SIZE_TOO_SMALL', 'SIZE_TOO_LARGE', 'WRONG_ITEM', 'DEFECTIVE', 
-                            'DAMAGED_SHIPPING', 'NOT_AS_DESCRIBED', 'CHANGED_MIND', 'OTHER'];
-
-        if (!validReasons.includes(reason)) {
-            return res.status(422).json({ error: 'Invalid return reason' });
+        if (!declaration) {
+            return res.status(404).json({ error: 'Customs declaration not found' });
         }
 
-        // Check order exists
-        const orderResult = await db.query(
-            'SELECT * FROM orders WHERE id = $1 AND organization_id = $2',
+        const invoice = await international.generateCommercialInvoice(declaration);
+        res.json({
+            ...declaration,
+            documents: international.documents.selectDocuments(declaration),
+            electronicData: international.documents.buildElectronicData(declaration, invoice)
+        });
+    } catch (error) {
+        console.error('Error fetching customs declaration:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// CN22, CN23, facture commerciale ou pro forma (PDF)
+app.get('/api/v1/customs/declarations/:id/documents/:type', authenticate, async (req, res) => {
+    try {
+        const international = new InternationalService({ db });
+        const declaration = await international.getCustomsDeclaration(req.orgId, req.params.id);
+
+        if (!declaration) {
+            return res.status(404).json({ error: 'Customs declaration not found' });
+        }
+
+        const { signatory, place } = req.query;
+        const { documents: [document] } = await international.generateCustomsDocuments(declaration, {
+            types: [req.params.type],
+            signature: { ...(signatory && { name: signatory }), ...(place && { place }) }
+        });
+
+        res.setHeader('Content-Type', document.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+        res.send(document.data);
+    } catch (error) {
+        if (error.name === 'CustomsDocumentError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error generating customs document:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// PRODUCT CLASSIFICATION (HS CODES)
+// ==========================================
+
+// Catalogue de classement par SKU ; status=pending_review pour la file de revue
+app.get('/api/v1/customs/classifications', authenticate, async (req, res) => {
+    try {
+        const { status, search, limit = 50, offset = 0 } = req.query;
+        const result = await new ProductClassificationService({ db }).getCatalogue(req.orgId, {
+            status,
+            search,
+            limit: Math.min(parseInt(limit) || 50, 500),
+            offset: parseInt(offset) || 0
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching classifications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Classement de produits normalisés par les connecteurs e-commerce
+app.post('/api/v1/customs/classifications/classify', authenticate, async (req, res) => {
+    try {
+        const { products, reviewThreshold } = req.body;
+
+        if (!products?.length) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'products', message: 'At least one product is required' }]
+            });
+        }
+
+        const summary = await new ProductClassificationService({ db }).classifyProducts(req.orgId, products, {
+            ...(reviewThreshold !== undefined && { reviewThreshold: parseFloat(reviewThreshold) })
+        });
+        res.json(summary);
+    } catch (error) {
+        console.error('Error classifying products:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/v1/customs/classifications/:sku', authenticate, async (req, res) => {
+    try {
+        const classification = await new ProductClassificationService({ db }).saveClassification(req.orgId, req.params.sku, req.body, {
+            userId: req.user.id || req.user.sub
+        });
+        res.json(classification);
+    } catch (error) {
+        if (error.name === 'ClassificationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error saving classification:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Valider une fiche de la file de revue (corrections facultatives)
+app.post('/api/v1/customs/classifications/:sku/review', authenticate, async (req, res) => {
+    try {
+        const classification = await new ProductClassificationService({ db }).review(req.orgId, req.params.sku, req.body, req.user.id || req.user.sub);
+        res.json(classification);
+    } catch (error) {
+        if (error.name === 'ClassificationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error reviewing classification:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Classement en masse du catalogue de la boutique connectée (traité par le worker imports)
+app.post('/api/v1/customs/classification-jobs', authenticate, async (req, res) => {
+    try {
+        const { platform, reviewThreshold } = req.body;
+        const job = await new ProductClassificationService({ db }).createJob(req.orgId, {
+            platform,
+            ...(reviewThreshold !== undefined && { reviewThreshold: parseFloat(reviewThreshold) })
+        }, req.user.id || req.user.sub);
+        res.status(202).json(job);
+    } catch (error) {
+        if (error.name === 'ClassificationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error creating classification job:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/customs/classification-jobs/:id', authenticate, async (req, res) => {
+    try {
+        const job = await new ProductClassificationService({ db }).getJob(req.orgId, req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Classification job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('Error fetching classification job:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// EXPORT COMPLIANCE (DENIED PARTY SCREENING)
+// ==========================================
+
+// Contrôle ponctuel d'une partie (prospect, client B2B) ; tracé comme les contrôles d'expédition
+app.post('/api/v1/compliance/screen', authenticate, async (req, res) => {
+    try {
+        const { party, destinationCountry, originCountry } = req.body;
+        const errors = [];
+
+        if (!party?.name && !party?.company) errors.push({ field: 'party', message: 'Party name or company is required' });
+        if (!destinationCountry) errors.push({ field: 'destinationCountry', message: 'Destination country is required' });
+
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation error', errors });
+        }
+
+        const screening = await new DeniedPartyScreeningService({ db }).screen(req.orgId, { party, destinationCountry, originCountry });
+        res.status(201).json(screening);
+    } catch (error) {
+        console.error('Error screening party:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// File de revue conformité : status=pending_review
+app.get('/api/v1/compliance/screenings', authenticate, async (req, res) => {
+    try {
+        const { status, shipmentId, limit = 50, offset = 0 } = req.query;
+        const screenings = await new DeniedPartyScreeningService({ db }).getScreenings(req.orgId, {
+            status,
+            shipmentId,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+        res.json({ data: screenings });
+    } catch (error) {
+        console.error('Error fetching screenings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/compliance/screenings/:id', authenticate, async (req, res) => {
+    try {
+        const screening = await new DeniedPartyScreeningService({ db }).getScreening(req.orgId, req.params.id);
+        res.json(screening);
+    } catch (error) {
+        if (error.name === 'ScreeningError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error fetching screening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Faux positif ou licence d'exportation : l'expédition repasse en attente d'étiquette
+app.post('/api/v1/compliance/screenings/:id/clear', authenticate, async (req, res) => {
+    try {
+        const { notes, licenceNumber } = req.body;
+        const screening = await new DeniedPartyScreeningService({ db }).clear(req.orgId, req.params.id, { notes, licenceNumber }, req.user.id || req.user.sub);
+        res.json(screening);
+    } catch (error) {
+        if (error.name === 'ScreeningError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error clearing screening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Concordance confirmée : l'expédition est annulée
+app.post('/api/v1/compliance/screenings/:id/reject', authenticate, async (req, res) => {
+    try {
+        const service = new DeniedPartyScreeningService({ db });
+        const screening = await service.reject(req.orgId, req.params.id, { notes: req.body?.notes }, req.user.id || req.user.sub);
+
+        if (screening.shipment_id) {
+            await emitWebhookEvent(req.orgId, 'shipment.cancelled', { id: screening.shipment_id, reason: 'export_compliance' });
+        }
+
+        res.json(screening);
+    } catch (error) {
+        if (error.name === 'ScreeningError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error rejecting screening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// CARRIER INVOICES (FREIGHT AUDIT)
+// ==========================================
+
+app.post('/api/v1/carrier-invoices', authenticate, async (req, res) => {
+    try {
+        const { carrier, invoiceNumber, invoiceDate, filename, file } = req.body;
+
+        if (!carrier || !invoiceNumber || !file) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [
+                    !carrier && { field: 'carrier', message: 'Carrier is required' },
+                    !invoiceNumber && { field: 'invoiceNumber', message: 'Invoice number is required' },
+                    !file && { field: 'file', message: 'Invoice file (base64) is required' }
+                ].filter(Boolean)
+            });
+        }
+
+        const freightAudit = new FreightAuditService({ db });
+        const invoice = await freightAudit.importInvoice(req.orgId, {
+            carrier,
+            invoiceNumber,
+            invoiceDate,
+            filename,
+            file: Buffer.from(file, 'base64'),
+            userId: req.user.id || req.user.sub
+        });
+
+        if (invoice.disputedCount > 0) {
+            await emitWebhookEvent(req.orgId, 'carrier_invoice.disputed', invoice);
+        }
+
+        res.status(201).json(invoice);
+    } catch (error) {
+        if (error.name === 'FreightAuditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error importing carrier invoice:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/carrier-invoices', authenticate, async (req, res) => {
+    try {
+        const { carrier, page = 1, limit = 20 } = req.query;
+        const freightAudit = new FreightAuditService({ db });
+        const invoices = await freightAudit.listInvoices(req.orgId, {
+            carrier,
+            page: parseInt(page),
+            limit: Math.min(parseInt(limit), 100)
+        });
+
+        res.json({ data: invoices });
+    } catch (error) {
+        console.error('Error listing carrier invoices:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/carrier-invoices/:id', authenticate, async (req, res) => {
+    try {
+        const freightAudit = new FreightAuditService({ db });
+        const invoice = await freightAudit.getInvoice(req.orgId, req.params.id, { status: req.query.status });
+
+        if (!invoice) {
+            return res.status(404).json({ error: 'Carrier invoice not found' });
+        }
+
+        res.json(invoice);
+    } catch (error) {
+        console.error('Error fetching carrier invoice:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/carrier-invoices/:id/claims', authenticate, async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+        const freightAudit = new FreightAuditService({ db });
+        const report = await freightAudit.getClaimsReport(req.orgId, req.params.id, format);
+
+        if (!report) {
+            return res.status(404).json({ error: 'Carrier invoice not found' });
+        }
+
+        if (format === 'json') {
+            return res.json(report);
+        }
+
+        res.setHeader('Content-Type', report.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+        res.send(report.data);
+    } catch (error) {
+        if (error.name === 'FreightAuditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error building claims report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// TRACKING API
+// ==========================================
+
+// Taxonomie des statuts et correspondances des codes transporteurs
+app.get('/api/v1/tracking-statuses', authenticate, async (req, res) => {
+    const statusRegistry = new TrackingStatusRegistry({ db });
+    res.json({ data: statusRegistry.getTaxonomy() });
+});
+
+app.get('/api/v1/tracking-mappings', authenticate, async (req, res) => {
+    try {
+        const statusRegistry = new TrackingStatusRegistry({ db });
+        const mappings = await statusRegistry.listMappings(req.orgId, req.query.carrier);
+
+        res.json({ data: mappings });
+    } catch (error) {
+        console.error('Error listing tracking mappings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/v1/tracking-mappings', authenticate, async (req, res) => {
+    try {
+        const { carrier, eventCode, status, subStatus, description } = req.body;
+
+        const statusRegistry = new TrackingStatusRegistry({ db });
+        const mapping = await statusRegistry.saveMapping({
+            carrier,
+            eventCode,
+            status,
+            subStatus,
+            description,
+            orgId: req.orgId,
+            userId: req.user.id || req.user.sub
+        });
+
+        res.json(mapping);
+    } catch (error) {
+        if (error.name === 'TrackingStatusError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, errors: error.errors });
+        }
+        console.error('Error saving tracking mapping:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/tracking-mappings/unknown', authenticate, async (req, res) => {
+    try {
+        const statusRegistry = new TrackingStatusRegistry({ db });
+        const events = await statusRegistry.listUnknownEvents(req.orgId, {
+            carrier: req.query.carrier,
+            includeResolved: req.query.includeResolved === 'true'
+        });
+
+        res.json({ data: events });
+    } catch (error) {
+        console.error('Error listing unknown tracking events:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/tracking/:trackingNumber', authenticate, async (req, res) => {
+    try {
+        const { trackingNumber } = req.params;
+
+        // Check cache first
+        const cached = await redis.get(`tracking:${trackingNumber}`);
+        if (cached) {
+            return res.json(JSON.parse(cached));
+        }
+
+        // Numéro maître ou numéro d'un colis enfant
+        const result = await db.query(`
+            SELECT * FROM shipments
+            WHERE tracking_number = $1
+               OR id = (SELECT shipment_id FROM shipment_parcels WHERE tracking_number = $1)
+        `, [trackingNumber]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tracking number not found' });
+        }
+
+        const shipment = result.rows[0];
+
+        const trackingInfo = {
+            trackingNumber: shipment.tracking_number,
+            carrier: shipment.carrier,
+            status: shipment.status,
+            subStatus: shipment.sub_status || null,
+            statusLabel: getStatusLabel(shipment.status),
+            estimatedDelivery: shipment.estimated_delivery,
+            lastLocation: shipment.last_location,
+            events: shipment.tracking_events || generateMockTrackingEvents(shipment)
+        };
+
+        if (shipment.parcel_count > 1) {
+            const multiParcel = new MultiParcelService({ db });
+            trackingInfo.parcels = multiParcel.formatParcels(await multiParcel.getParcels(shipment.id));
+            trackingInfo.deliveredParcels = trackingInfo.parcels.filter(p => p.status === 'delivered').length;
+        }
+
+        // Cache for 5 minutes
+        await redis.setex(`tracking:${trackingNumber}`, 300, JSON.stringify(trackingInfo));
+
+        res.json(trackingInfo);
+    } catch (error) {
+        console.error('Error fetching tracking:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/tracking/batch', authenticate, async (req, res) => {
+    try {
+        const { trackingNumbers } = req.body;
+
+        if (!trackingNumbers || trackingNumbers.length > 100) {
+            return res.status(422).json({ error: 'Maximum 100 tracking numbers allowed' });
+        }
+
+        const results = await Promise.all(
+            trackingNumbers.map(async (tn) => {
+                const result = await db.query(
+                    'SELECT * FROM shipments WHERE tracking_number = $1',
+                    [tn]
+                );
+                if (result.rows.length === 0) {
+                    return { trackingNumber: tn, error: 'Not found' };
+                }
+                const shipment = result.rows[0];
+                return {
+                    trackingNumber: shipment.tracking_number,
+                    carrier: shipment.carrier,
+                    status: shipment.status,
+                    statusLabel: getStatusLabel(shipment.status)
+                };
+            })
+        );
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error batch tracking:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// ORDERS API
+// ==========================================
+
+app.get('/api/v1/orders', authenticate, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, source } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = 'SELECT * FROM orders WHERE organization_id = $1';
+        const params = [req.orgId];
+        let paramCount = 1;
+
+        if (status) {
+            paramCount++;
+            query += ` AND status = $${paramCount}`;
+            params.push(status);
+        }
+
+        if (source) {
+            paramCount++;
+            query += ` AND source = $${paramCount}`;
+            params.push(source);
+        }
+
+        query += ` ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+        params.push(limit, offset);
+
+        const result = await db.query(query, params);
+        
+        res.json({
+            data: result.rows,
+            pagination: { page: parseInt(page), limit: parseInt(limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/orders', authenticate, async (req, res) => {
+    try {
+        const { orderNumber, customer, items, shippingAddress, total } = req.body;
+
+        const result = await db.query(`
+            INSERT INTO orders (id, organization_id, order_number, source, status, 
+                customer_name, customer_email, shipping_address, items, total)
+            VALUES ($1, $2, $3, 'api', 'pending', $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            uuidv4(), req.orgId, orderNumber,
+            customer.name, customer.email,
+            JSON.stringify(shippingAddress), JSON.stringify(items), total
+        ]);
+
+        // Règles d'automatisation : transporteur, options, mise en attente, découpage
+        const automation = await new AutomationRulesService({ db }).applyToOrder(req.orgId, result.rows[0]);
+        const order = automation?.order || result.rows[0];
+
+        await emitWebhookEvent(req.orgId, 'order.created', order);
+        if (order.status === ON_HOLD_STATUS) {
+            await emitWebhookEvent(req.orgId, 'order.on_hold', { order, rules: automation.decision.matchedRules });
+        }
+
+        res.status(201).json({
+            ...order,
+            automation: automation
+                ? { matchedRules: automation.decision.matchedRules, actions: automation.decision.actions }
+                : null
+        });
+    } catch (error) {
+        console.error('Error creating order:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/orders/:orderId/ship', authenticate, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { warehouseId } = req.body;
+
+        const orderResult = await db.query(
+            'SELECT * FROM orders WHERE id = $1 AND organization_id = $2',
+            [orderId, req.orgId]
+        );
+
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = orderResult.rows[0];
+        const shippingAddress = order.shipping_address;
+
+        if (order.status === ON_HOLD_STATUS) {
+            return res.status(409).json({ error: 'Order is on hold for review', reason: order.hold_reason });
+        }
+
+        // Transporteur choisi par les règles d'automatisation, sauf indication contraire
+        const carrier = req.body.carrier || order.carrier;
+        const service = req.body.service || order.service;
+
+        if (!carrier) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'carrier', message: 'Carrier is required' }]
+            });
+        }
+
+        if (warehouseId) {
+            const warehouse = await db.query(
+                'SELECT id FROM warehouses WHERE id = $1 AND organization_id = $2',
+                [warehouseId, req.orgId]
+            );
+            if (warehouse.rows.length === 0) {
+                return res.status(404).json({ error: 'Warehouse not found' });
+            }
+        }
+
+        // Create shipment from order
+        const trackingNumber = generateTrackingNumber(carrier);
+
+        // Cartons calculés à partir des articles (emballage imposé par les règles d'automatisation)
+        const multiParcel = new MultiParcelService({ db });
+        const parcels = await cartonizeOrder(req.orgId, order, { warehouseId, carrier });
+        const trackedParcels = multiParcel.assignTrackingNumbers(parcels, trackingNumber, () => generateTrackingNumber(carrier));
+        const totalWeight = trackedParcels.reduce((sum, p) => sum + p.weight, 0);
+
+        const quote = parcels.length > 0 ? await quoteShipment(req.orgId, {
+            carrier,
+            service: service || 'standard',
+            parcels,
+            total_weight: totalWeight,
+            recipient_country: shippingAddress.country,
+            recipient_postal_code: shippingAddress.postalCode
+        }) : null;
+        const weightBreakdown = parcels.length > 0 ? getWeightBreakdown(quote, { carrier, service: service || 'standard', parcels }) : null;
+
+        // Stock réservé jusqu'à la remise au transporteur (libéré si l'expédition est annulée)
+        const reservedItems = warehouseId
+            ? (order.items || [])
+                .filter(item => item.sku && item.quantity > 0)
+                .map(item => ({ sku: item.sku, quantity: item.quantity }))
+            : [];
+
+        const client = await db.connect();
+        let shipment;
+        let compliance;
+
+        try {
+            await client.query('BEGIN');
+
+            if (reservedItems.length > 0) {
+                const reservations = await new WarehouseService(client).reserveInventory(warehouseId, reservedItems);
+                const shortages = reservations.filter(reservation => !reservation.success);
+                if (shortages.length > 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        error: 'Insufficient stock',
+                        shortages: shortages.map(({ sku, available }) => ({ sku, available }))
+                    });
+                }
+            }
+
+            const shipmentResult = await client.query(`
+                INSERT INTO shipments (id, organization_id, order_id, tracking_number, carrier, service, status,
+                    recipient_name, recipient_address1, recipient_city, recipient_postal_code, recipient_country, warehouse_id, metadata,
+                    parcels, total_weight, parcel_count, shipping_cost, quoted_rate, chargeable_weight, weight_breakdown, reserved_items)
+                VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+                RETURNING *
+            `, [
+                uuidv4(), req.orgId, orderId, trackingNumber, carrier, service || 'standard',
+                shippingAddress.name, shippingAddress.address1, shippingAddress.city,
+                shippingAddress.postalCode, shippingAddress.country, warehouseId || null,
+                JSON.stringify(order.shipping_options || {}),
+                JSON.stringify(trackedParcels), totalWeight,
+                Math.max(trackedParcels.length, 1),
+                quote?.finalRate ?? null, quote ? JSON.stringify(quote) : null,
+                weightBreakdown?.chargeableWeight ?? null, weightBreakdown ? JSON.stringify(weightBreakdown) : null,
+                JSON.stringify(reservedItems)
+            ]);
+            shipment = shipmentResult.rows[0];
+
+            if (trackedParcels.length > 1) {
+                await new MultiParcelService({ db: client }).saveParcels(shipment, trackedParcels);
+            }
+
+            // Hors UE : contrôle du destinataire avant validation, comme pour une expédition créée directement
+            compliance = await new DeniedPartyScreeningService({ db: client }).screenShipment(req.orgId, shipment);
+            if (compliance) {
+                shipment = compliance.shipment;
+            }
+
+            // Update order status
+            await client.query(
+                'UPDATE orders SET status = $1, shipped_at = NOW() WHERE id = $2',
+                ['shipped', orderId]
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (compliance) {
+            shipment.compliance = { screeningId: compliance.screening.id, decision: compliance.screening.decision, reasons: compliance.screening.reasons };
+        }
+
+        trackShipmentUsage(req.orgId);
+
+        await emitWebhookEvent(req.orgId, 'order.shipped', { order, shipment });
+        if (shipment.status === COMPLIANCE_HOLD_STATUS) {
+            await emitWebhookEvent(req.orgId, 'shipment.compliance_hold', { shipment, screening: compliance.screening });
+        }
+
+        res.json(shipment);
+    } catch (error) {
+        if (error.code === '23505' && error.constraint === 'idx_shipment_parcels_tracking') {
+            return res.status(409).json({ error: 'Parcel tracking number already in use' });
+        }
+        console.error('Error shipping order:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// AUTOMATION RULES API
+// ==========================================
+
+app.get('/api/v1/automation-rules', authenticate, async (req, res) => {
+    try {
+        const rules = await new AutomationRulesService({ db }).listRules(req.orgId);
+        res.json({ data: rules });
+    } catch (error) {
+        console.error('Error fetching automation rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/automation-rules', authenticate, async (req, res) => {
+    try {
+        const automation = new AutomationRulesService({ db });
+        const errors = automation.validateRule(req.body);
+
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation error', errors });
+        }
+
+        const rule = await automation.createRule(req.orgId, req.body);
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('Error creating automation rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Simulation : règles déclenchées pour une commande, sans modification
+app.post('/api/v1/automation-rules/simulate', authenticate, async (req, res) => {
+    try {
+        const automation = new AutomationRulesService({ db });
+        const { orderId, order, rules } = req.body;
+
+        if (rules) {
+            const errors = rules.flatMap((rule, i) => automation.validateRule(rule)
+                .map(e => ({ field: `rules[${i}].${e.field}`, message: e.message })));
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'Validation error', errors });
+            }
+        }
+
+        const decision = await automation.simulate(req.orgId, {
+            orderId,
+            order,
+            rules: rules?.map((rule, i) => ({ id: rule.id || `draft_${i + 1}`, stop_processing: rule.stopProcessing, ...rule }))
+        });
+        res.json(decision);
+    } catch (error) {
+        if (error.name === 'AutomationRuleError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error simulating automation rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/v1/automation-rules/:ruleId', authenticate, async (req, res) => {
+    try {
+        const automation = new AutomationRulesService({ db });
+        const errors = automation.validateRule(req.body);
+
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation error', errors });
+        }
+
+        const rule = await automation.updateRule(req.orgId, req.params.ruleId, req.body);
+        res.json(rule);
+    } catch (error) {
+        if (error.name === 'AutomationRuleError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error updating automation rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/v1/automation-rules/:ruleId', authenticate, async (req, res) => {
+    try {
+        await new AutomationRulesService({ db }).deleteRule(req.orgId, req.params.ruleId);
+        res.json({ message: 'Rule deleted successfully' });
+    } catch (error) {
+        if (error.name === 'AutomationRuleError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error deleting automation rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/orders/:orderId/automation-decisions', authenticate, async (req, res) => {
+    try {
+        const decisions = await new AutomationRulesService({ db }).getDecisions(req.orgId, req.params.orderId);
+        res.json({ data: decisions });
+    } catch (error) {
+        console.error('Error fetching automation decisions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/orders/:orderId/release', authenticate, async (req, res) => {
+    try {
+        const order = await new AutomationRulesService({ db }).releaseHold(req.orgId, req.params.orderId);
+
+        await emitWebhookEvent(req.orgId, 'order.updated', order);
+
+        res.json(order);
+    } catch (error) {
+        if (error.name === 'AutomationRuleError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error releasing order:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// RETURNS API
+// ==========================================
+
+// Chaque transition de retour (API, portail, services de retours) publie return.<statut> (avec le détail éventuel, ex. la notation)
+rmaEvents.on('transition', ({ return: returnRequest, to, details }) => {
+    emitWebhookEvent(returnRequest.organization_id, `return.${to}`, details ? { return: returnRequest, ...details } : returnRequest);
+});
+
+// Original reçu : l'échange standard part, l'empreinte de l'échange instantané est libérée
+rmaEvents.on('return:received', async ({ return: returnRequest }) => {
+    try {
+        const fulfilled = await new ExchangeService({ db }).fulfillOnReceipt(returnRequest.organization_id, returnRequest.id);
+        if (fulfilled?.shipment) {
+            await emitWebhookEvent(returnRequest.organization_id, 'return.exchange_shipped', fulfilled);
+        }
+    } catch (error) {
+        console.error('Error fulfilling exchange:', error);
+    }
+});
+
+app.get('/api/v1/returns', authenticate, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, riskDecision } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = 'SELECT * FROM returns WHERE organization_id = $1';
+        const params = [req.orgId];
+
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        // File de revue manuelle : ?status=pending_approval&riskDecision=review
+        if (riskDecision) {
+            params.push(riskDecision);
+            query += ` AND risk_decision = $${params.length}`;
+        }
+
+        query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, offset);
+
+        const result = await db.query(query, params);
+        res.json({ data: result.rows });
+    } catch (error) {
+        console.error('Error fetching returns:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/returns/recovery-report', authenticate, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const report = await new ReturnDispositionService({ db }).getRecoveryReport(req.orgId, { from, to });
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching recovery report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/returns/returnless-report', authenticate, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const report = await new ReturnlessService({ db }).getSavingsReport(req.orgId, { from, to });
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching returnless report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/returns', authenticate, async (req, res) => {
+    try {
+        const { orderId, items, reason, comments } = req.body;
+
+        const validReasons = ['SIZE_TOO_SMALL', 'SIZE_TOO_LARGE', 'WRONG_ITEM', 'DEFECTIVE', 
+                            'DAMAGED_SHIPPING', 'NOT_AS_DESCRIBED', 'CHANGED_MIND', 'OTHER'];
+
+        if (!validReasons.includes(reason)) {
+            return res.status(422).json({ error: 'Invalid return reason' });
+        }
+
+        // Check order exists
+        const orderResult = await db.query(
+            'SELECT * FROM orders WHERE id = $1 AND organization_id = $2',
             [orderId, req.orgId]
         );
 
-        if (orderResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const { status, history } = rmaStateMachine.initialState({ actor: req.user.id || req.user.sub });
+
+        const result = await db.query(`
+            INSERT INTO returns (id, organization_id, order_id, rma_number, status, status_history, reason_code, reason_text, items)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [uuidv4(), req.orgId, orderId, generateRmaNumber(), status, JSON.stringify(history), reason, comments, JSON.stringify(items)]);
+
+        await emitWebhookEvent(req.orgId, 'return.created', result.rows[0]);
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Error creating return:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/returns/:returnId/approve', authenticate, async (req, res) => {
+    try {
+        const { returnId } = req.params;
+        const { generateLabel = true, carrier = 'colissimo', notes } = req.body;
+
+        let trackingNumber = null;
+        if (generateLabel) {
+            trackingNumber = generateTrackingNumber(carrier);
+        }
+
+        const transition = await rmaStateMachine.transition(returnId, 'approve', {
+            orgId: req.orgId,
+            actor: req.user.id || req.user.sub,
+            notes,
+            changes: { return_carrier: carrier, return_tracking_number: trackingNumber }
+        });
+
+        res.json(transition.return);
+    } catch (error) {
+        if (error.name === 'RmaTransitionError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error approving return:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/returns/:returnId/grade', authenticate, async (req, res) => {
+    try {
+        const { units, warehouseId } = req.body;
+
+        if (warehouseId) {
+            const warehouse = await db.query(
+                'SELECT id FROM warehouses WHERE id = $1 AND organization_id = $2',
+                [warehouseId, req.orgId]
+            );
+            if (warehouse.rows.length === 0) {
+                return res.status(404).json({ error: 'Warehouse not found' });
+            }
+        }
+
+        const disposition = new ReturnDispositionService({ db, rma: rmaStateMachine });
+        const grading = await disposition.gradeReturn(req.orgId, req.params.returnId, {
+            units,
+            warehouseId,
+            gradedBy: req.user.id || req.user.sub
+        });
+
+        res.json(grading);
+    } catch (error) {
+        if (error.name === 'ReturnDispositionError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error grading return:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/returns/:returnId/units', authenticate, async (req, res) => {
+    try {
+        const units = await new ReturnDispositionService({ db }).getUnits(req.orgId, req.params.returnId);
+        res.json({ data: units });
+    } catch (error) {
+        console.error('Error fetching return units:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/returns/:returnId/refund', authenticate, async (req, res) => {
+    try {
+        const { returnId } = req.params;
+        const { method } = req.body;
+
+        const result = await db.query(
+            'SELECT * FROM returns WHERE id = $1 AND organization_id = $2',
+            [returnId, req.orgId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+
+        const returnItem = result.rows[0];
+
+        // Sans montant explicite : remboursement calculé au tri (part remboursée selon le grade)
+        const amount = req.body.amount ?? returnItem.graded_refund_amount;
+        if (amount === undefined || amount === null) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'amount', message: 'Amount is required until the return is graded' }]
+            });
+        }
+
+        // Avoir : inscrit au registre (bonus selon la politique), statut store_credit plutôt que refunded.
+        // Avoir et transition dans une même transaction : un appel concurrent n'émet pas un second avoir
+        if (method === 'store_credit') {
+            rmaStateMachine.assertTransition(returnItem, 'issue_store_credit', { amount });
+            const storeCredit = new StoreCreditService({ db });
+            const client = await db.connect();
+            let credit;
+            let transition;
+
+            try {
+                await client.query('BEGIN');
+
+                credit = await storeCredit.issueCredit(req.orgId, {
+                    customerEmail: returnItem.customer_email,
+                    amount,
+                    bonusPercent: req.body.bonusPercent,
+                    country: returnItem.pickup_address?.country,
+                    returnId,
+                    reason: `Retour ${returnItem.rma_number}`,
+                    actor: req.user.id || req.user.sub,
+                    client
+                });
+                transition = await rmaStateMachine.transition(returnId, 'issue_store_credit', {
+                    client,
+                    current: returnItem,
+                    orgId: req.orgId,
+                    actor: req.user.id || req.user.sub,
+                    amount,
+                    notes: `Avoir ${credit.code} de ${credit.balance}€`,
+                    changes: { refund_amount: amount, refund_method: method, refund_status: 'completed', store_credit_id: credit.id }
+                });
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            rmaStateMachine.emitTransition(transition);
+            credit = await storeCredit.publishCredit(req.orgId, credit);
+            await emitWebhookEvent(req.orgId, 'store_credit.issued', credit);
+
+            return res.json({ ...transition.return, storeCredit: credit });
+        }
+
+        const transition = await rmaStateMachine.transition(returnId, 'refund', {
+            current: returnItem,
+            actor: req.user.id || req.user.sub,
+            amount,
+            changes: { refund_amount: amount, refund_method: method, refund_status: 'completed' }
+        });
+
+        res.json(transition.return);
+    } catch (error) {
+        if (error.name === 'RmaTransitionError' || error.name === 'StoreCreditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error processing refund:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Transition générique : reject, ship, receive, start_inspection, close, cancel...
+app.post('/api/v1/returns/:returnId/transitions', authenticate, async (req, res) => {
+    try {
+        const { event, notes, reason } = req.body;
+
+        if (!event) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'event', message: 'Event is required' }]
+            });
+        }
+
+        const transition = await rmaStateMachine.transition(req.params.returnId, event, {
+            orgId: req.orgId,
+            actor: req.user.id || req.user.sub,
+            notes,
+            reason,
+            changes: event === 'reject' ? { rejection_reason: reason } : {}
+        });
+
+        res.json({ return: transition.return, transition: transition.entry });
+    } catch (error) {
+        if (error.name === 'RmaTransitionError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error transitioning return:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/returns/:returnId/history', authenticate, async (req, res) => {
+    try {
+        const history = await rmaStateMachine.getHistory(req.orgId, req.params.returnId);
+        res.json(history);
+    } catch (error) {
+        if (error.name === 'RmaTransitionError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error fetching return history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Échange : variante ou autre produit, stock réservé ; instant = expédié avant réception contre empreinte bancaire
+app.post('/api/v1/returns/:returnId/exchange', authenticate, async (req, res) => {
+    try {
+        const { items, instant = false, warehouseId } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'items', message: 'At least one item to exchange is required' }]
+            });
         }
 
-        const rmaNumber = `RMA-${Date.now().toString(36).toUpperCase()}`;
-
-        const result = await db.query(`
-            INSERT INTO returns (id, organization_id, order_id, rma_number, status, reason_code, reason_text, items)
-            VALUES ($1, $2, $3, $4, 'pending_approval', $5, $6, $7)
-            RETURNING *
-        `, [uuidv4(), req.orgId, orderId, rmaNumber, reason, comments, JSON.stringify(items)]);
+        const result = await new ExchangeService({ db }).createExchange(req.orgId, req.params.returnId, {
+            items,
+            instant,
+            warehouseId,
+            actor: req.user.id || req.user.sub
+        });
 
-        await emitWebhookEvent(req.orgId, 'return.created', result.rows[0]);
+        await emitWebhookEvent(req.orgId, 'return.exchange_created', result.exchange);
 
-        res.status(201).json(result.rows[0]);
+        res.status(201).json(result);
     } catch (error) {
-        console.error('Error creating return:', error);
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error creating exchange:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/returns/:returnId/approve', authenticate, async (req, res) => {
+app.get('/api/v1/returns/:returnId/exchange', authenticate, async (req, res) => {
     try {
-        const { returnId } = req.params;
-        const { generateLabel = true, carrier = 'colissimo' } = req.body;
+        const exchange = await new ExchangeService({ db }).getExchangeForReturn(req.orgId, req.params.returnId);
+
+        if (!exchange) {
+            return res.status(404).json({ error: 'Exchange not found' });
+        }
+
+        res.json(exchange);
+    } catch (error) {
+        console.error('Error fetching exchange:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
+app.get('/api/v1/returns/:returnId/risk', authenticate, async (req, res) => {
+    try {
         const result = await db.query(
-            'SELECT * FROM returns WHERE id = $1 AND organization_id = $2',
-            [returnId, req.orgId]
+            'SELECT id, rma_number, risk_score, risk_decision FROM returns WHERE id = $1 AND organization_id = $2',
+            [req.params.returnId, req.orgId]
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Return not found' });
         }
 
-        let trackingNumber = null;
-        if (generateLabel) {
-            trackingNumber = generateTrackingNumber(carrier);
+        const assessments = await new ReturnRiskService({ db }).getAssessments(req.orgId, req.params.returnId);
+        res.json({ ...result.rows[0], assessments });
+    } catch (error) {
+        console.error('Error fetching return risk:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/exchanges/:exchangeId/cancel', authenticate, async (req, res) => {
+    try {
+        const exchange = await new ExchangeService({ db }).cancelExchange(req.orgId, req.params.exchangeId, {
+            reason: req.body.reason
+        });
+        res.json(exchange);
+    } catch (error) {
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error cancelling exchange:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Article d'origine jamais renvoyé : encaisser l'empreinte de l'échange instantané
+app.post('/api/v1/exchanges/:exchangeId/capture-hold', authenticate, async (req, res) => {
+    try {
+        const exchange = await new ExchangeService({ db }).captureHold(req.orgId, req.params.exchangeId);
+        res.json(exchange);
+    } catch (error) {
+        if (error.name === 'ExchangeError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
         }
+        console.error('Error capturing exchange hold:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// STORE CREDIT API
+// ==========================================
+
+app.post('/api/v1/store-credits', authenticate, async (req, res) => {
+    try {
+        const { customerEmail, amount, bonusPercent, currency, expiresInDays, reason } = req.body;
 
-        await db.query(`
-            UPDATE returns SET status = 'approved', approved_at = NOW(), 
-                return_carrier = $1, return_tracking_number = $2
-            WHERE id = $3
-        `, [carrier, trackingNumber, returnId]);
+        const errors = [];
+        if (!customerEmail) errors.push({ field: 'customerEmail', message: 'Customer email is required' });
+        if (!(parseFloat(amount) > 0)) errors.push({ field: 'amount', message: 'Amount must be positive' });
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation error', errors });
+        }
 
-        const updated = await db.query('SELECT * FROM returns WHERE id = $1', [returnId]);
+        const credit = await new StoreCreditService({ db }).issueCredit(req.orgId, {
+            customerEmail,
+            amount,
+            bonusPercent,
+            currency,
+            expiresInDays,
+            reason,
+            source: 'manual',
+            actor: req.user.id || req.user.sub
+        });
 
-        await emitWebhookEvent(req.orgId, 'return.approved', updated.rows[0]);
+        await emitWebhookEvent(req.orgId, 'store_credit.issued', credit);
 
-        res.json(updated.rows[0]);
+        res.status(201).json(credit);
     } catch (error) {
-        console.error('Error approving return:', error);
+        if (error.name === 'StoreCreditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error issuing store credit:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/v1/returns/:returnId/refund', authenticate, async (req, res) => {
+// Solde d'un client (par devise) et ses avoirs
+app.get('/api/v1/store-credits/balance', authenticate, async (req, res) => {
     try {
-        const { returnId } = req.params;
-        const { amount, method } = req.body;
-
-        const result = await db.query(
-            'SELECT * FROM returns WHERE id = $1 AND organization_id = $2',
-            [returnId, req.orgId]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Return not found' });
+        if (!req.query.email) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'email', message: 'Customer email is required' }]
+            });
         }
 
-        const returnItem = result.rows[0];
+        const balance = await new StoreCreditService({ db }).getBalance(req.orgId, req.query.email);
+        res.json(balance);
+    } catch (error) {
+        console.error('Error fetching store credit balance:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!['received', 'inspecting', 'approved'].includes(returnItem.status)) {
-            return res.status(400).json({ error: 'Return must be received before refund' });
+// Utilisation par les connecteurs e-commerce (idempotent par orderReference)
+app.post('/api/v1/store-credits/redeem', authenticate, async (req, res) => {
+    try {
+        const { code, customerEmail, amount, currency, orderReference, channel } = req.body;
+        const service = new StoreCreditService({ db });
+
+        const redemption = await service.redeem(req.orgId, {
+            code,
+            customerEmail,
+            amount,
+            currency,
+            orderReference,
+            channel,
+            actor: req.user.id || req.user.sub
+        });
+
+        if (!redemption.replayed) {
+            await emitWebhookEvent(req.orgId, 'store_credit.redeemed', { orderReference, ...redemption });
         }
 
-        await db.query(`
-            UPDATE returns SET status = 'refunded', refund_amount = $1, refund_method = $2, 
-                refund_status = 'completed', refunded_at = NOW()
-            WHERE id = $3
-        `, [amount, method, returnId]);
+        res.json(redemption);
+    } catch (error) {
+        if (error.name === 'StoreCreditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error redeeming store credit:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        const updated = await db.query('SELECT * FROM returns WHERE id = $1', [returnId]);
+// Commande annulée : les montants utilisés sont recrédités
+app.post('/api/v1/store-credits/redeem/:orderReference/reverse', authenticate, async (req, res) => {
+    try {
+        const reversal = await new StoreCreditService({ db }).reverseRedemption(req.orgId, req.params.orderReference, {
+            actor: req.user.id || req.user.sub
+        });
+        res.json(reversal);
+    } catch (error) {
+        console.error('Error reversing store credit redemption:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        await emitWebhookEvent(req.orgId, 'return.refunded', updated.rows[0]);
+app.get('/api/v1/store-credits/:creditId', authenticate, async (req, res) => {
+    try {
+        const credit = await new StoreCreditService({ db }).getCredit(req.orgId, req.params.creditId, { withTransactions: true });
+        res.json(credit);
+    } catch (error) {
+        if (error.name === 'StoreCreditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error fetching store credit:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json(updated.rows[0]);
+app.post('/api/v1/store-credits/:creditId/void', authenticate, async (req, res) => {
+    try {
+        const credit = await new StoreCreditService({ db }).voidCredit(req.orgId, req.params.creditId, {
+            reason: req.body.reason,
+            actor: req.user.id || req.user.sub
+        });
+        res.json(credit);
     } catch (error) {
-        console.error('Error processing refund:', error);
+        if (error.name === 'StoreCreditError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error voiding store credit:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -683,33 +2130,142 @@ app.get('/api/v1/carriers', authenticate, async (req, res) => {
 
 app.post('/api/v1/carriers/rates', authenticate, async (req, res) => {
     try {
-        const { origin, destination, parcels } = req.body;
+        const { origin, destination, items, warehouseId, options, carriers, sortBy } = req.body;
+        let { parcels } = req.body;
 
-        // Mock rate calculation
-        const carriers = await db.query('SELECT * FROM carriers WHERE active = true');
-        
-        const rates = carriers.rows.map(carrier => {
-            const basePrice = getBasePrice(carrier.id);
-            const weight = parcels.reduce((sum, p) => sum + (p.weight || 0), 0);
-            const price = basePrice + (weight * 0.5);
+        if (!destination || (!parcels?.length && !items?.length)) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [
+                    !destination && { field: 'destination', message: 'Destination is required' },
+                    !parcels?.length && !items?.length && { field: 'parcels', message: 'At least one parcel or item is required' }
+                ].filter(Boolean)
+            });
+        }
+
+        // Mêmes cartons qu'à la création de l'expédition
+        if (!parcels?.length) {
+            const cartonization = new CartonizationService({ db });
+            parcels = cartonization.toParcels(await cartonization.cartonize(req.orgId, {
+                items,
+                warehouseId,
+                carriers,
+                boxCode: options?.packaging
+            }));
+        }
 
-            return {
-                carrier: carrier.id,
-                carrierName: carrier.name,
-                service: 'standard',
-                price: Math.round(price * 100) / 100,
-                currency: 'EUR',
-                estimatedDays: getEstimatedDays(carrier.id)
-            };
+        const rateShopping = new RateShoppingService({ db });
+        const result = await rateShopping.shop({
+            orgId: req.orgId,
+            origin,
+            destination,
+            parcels,
+            options,
+            carriers,
+            sortBy
         });
 
-        res.json(rates.sort((a, b) => a.price - b.price));
+        res.json(result.quotes);
     } catch (error) {
+        if (error.name === 'CartonizationError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
         console.error('Error calculating rates:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Tables de surcharges versionnées (carburant, accessoires)
+app.get('/api/v1/surcharge-tables', authenticate, async (req, res) => {
+    try {
+        const { carrier } = req.query;
+        const surchargeTables = new SurchargeTableService({ db });
+        const tables = await surchargeTables.listTables(req.orgId, carrier);
+
+        res.json({ data: tables });
+    } catch (error) {
+        console.error('Error fetching surcharge tables:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/v1/surcharge-tables/effective', authenticate, async (req, res) => {
+    try {
+        const { carrier, date } = req.query;
+
+        if (!carrier || (date && isNaN(Date.parse(date)))) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [
+                    !carrier && { field: 'carrier', message: 'Carrier is required' },
+                    date && isNaN(Date.parse(date)) && { field: 'date', message: 'Invalid date' }
+                ].filter(Boolean)
+            });
+        }
+
+        const surchargeTables = new SurchargeTableService({ db });
+        const table = await surchargeTables.getTable(carrier, date || new Date(), req.orgId);
+
+        res.json(table);
+    } catch (error) {
+        console.error('Error fetching surcharge table:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/surcharge-tables', authenticate, async (req, res) => {
+    try {
+        const { carrier, validFrom, validTo, fuelPercent, accessorials, remotePostalCodes } = req.body;
+        const surchargeTables = new SurchargeTableService({ db });
+
+        const table = await surchargeTables.createTable({
+            carrier,
+            validFrom,
+            validTo,
+            fuelPercent,
+            accessorials,
+            remotePostalCodes,
+            orgId: req.orgId,
+            userId: req.user.id || req.user.sub
+        });
+
+        res.status(201).json(table);
+    } catch (error) {
+        if (error.name === 'SurchargeTableError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, errors: error.errors });
+        }
+        console.error('Error creating surcharge table:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/surcharge-tables/import', authenticate, async (req, res) => {
+    try {
+        const { csv } = req.body;
+
+        if (!csv) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'csv', message: 'CSV content is required' }]
+            });
+        }
+
+        const surchargeTables = new SurchargeTableService({ db });
+        const tables = await surchargeTables.importCSV(csv, {
+            orgId: req.orgId,
+            userId: req.user.id || req.user.sub
+        });
+
+        res.status(201).json({ imported: tables.length, data: tables });
+    } catch (error) {
+        if (error.name === 'SurchargeTableError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, errors: error.errors });
+        }
+        console.error('Error importing surcharge tables:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 app.post('/api/v1/carriers/recommend', authenticate, async (req, res) => {
     try {
         const carrierAI = new CarrierSelectionAI({ db });
@@ -725,6 +2281,158 @@ app.post('/api/v1/carriers/recommend', authenticate, async (req, res) => {
     }
 });
 
+// ==========================================
+// DELIVERY PROMISE API
+// ==========================================
+
+// Date promise au checkout ou sur une fiche produit (« Commandez dans les 2 h 14 min pour être livré jeudi »)
+app.post('/api/v1/delivery-promise', authenticate, async (req, res) => {
+    try {
+        const { country, postalCode, warehouseId, serviceId, weight, carriers, includePickupPoints, lang } = req.body;
+
+        if (!country || !postalCode) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [
+                    !country && { field: 'country', message: 'Destination country is required' },
+                    !postalCode && { field: 'postalCode', message: 'Destination postal code is required' }
+                ].filter(Boolean)
+            });
+        }
+
+        const checkout = new DynamicCheckoutService();
+        const result = await checkout.getDeliveryPromise({
+            orgId: req.orgId,
+            country: country.toUpperCase(),
+            postalCode: String(postalCode),
+            warehouseId,
+            serviceId,
+            weight,
+            preferredCarriers: carriers,
+            includePickupPoints,
+            lang
+        });
+
+        res.json(result);
+    } catch (error) {
+        if (error.name === 'DeliveryPromiseError' || error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error computing delivery promise:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==========================================
+// CALENDARS API
+// ==========================================
+
+// Jours fériés d'un pays (fêtes mobiles comprises)
+app.get('/api/v1/calendars/holidays', authenticate, async (req, res) => {
+    try {
+        const { country, year = new Date().getUTCFullYear() } = req.query;
+
+        if (!country) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'country', message: 'Country is required' }]
+            });
+        }
+
+        const holidays = new CalendarService({ db }).getHolidays(country, parseInt(year));
+        res.json({ country: country.toUpperCase(), year: parseInt(year), data: holidays });
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Fermetures d'entrepôt (inventaire, congés) : exclues de la préparation et des promesses de livraison
+app.get('/api/v1/warehouses/:warehouseId/closures', authenticate, async (req, res) => {
+    try {
+        const closures = await new CalendarService({ db }).listWarehouseClosures(req.orgId, req.params.warehouseId, { from: req.query.from });
+        res.json({ data: closures });
+    } catch (error) {
+        console.error('Error fetching warehouse closures:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/warehouses/:warehouseId/closures', authenticate, async (req, res) => {
+    try {
+        const { date, reason } = req.body;
+
+        if (!date) {
+            return res.status(422).json({
+                error: 'Validation error',
+                errors: [{ field: 'date', message: 'Closure date is required' }]
+            });
+        }
+
+        const closure = await new CalendarService({ db }).addWarehouseClosure(req.orgId, req.params.warehouseId, { date, reason });
+        res.status(201).json(closure);
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+        }
+        console.error('Error creating warehouse closure:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/v1/warehouses/:warehouseId/closures/:closureId', authenticate, async (req, res) => {
+    try {
+        await new CalendarService({ db }).removeWarehouseClosure(req.orgId, req.params.warehouseId, req.params.closureId);
+        res.json({ message: 'Closure deleted successfully' });
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error deleting warehouse closure:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Exceptions transporteur (pas de livraison le samedi, grève, ouverture exceptionnelle)
+app.get('/api/v1/calendars/carrier-exceptions', authenticate, async (req, res) => {
+    try {
+        const exceptions = await new CalendarService({ db }).listCarrierExceptions(req.orgId, req.query.carrier || null);
+        res.json({ data: exceptions });
+    } catch (error) {
+        console.error('Error fetching carrier exceptions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/v1/calendars/carrier-exceptions', authenticate, async (req, res) => {
+    try {
+        const exception = await new CalendarService({ db }).addCarrierException(req.orgId, req.body);
+        res.status(201).json(exception);
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(422).json({ error: 'Validation error', errors: error.details.errors });
+        }
+        console.error('Error creating carrier exception:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/v1/calendars/carrier-exceptions/:id', authenticate, async (req, res) => {
+    try {
+        await new CalendarService({ db }).removeCarrierException(req.orgId, req.params.id);
+        res.json({ message: 'Carrier exception deleted successfully' });
+    } catch (error) {
+        if (error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error deleting carrier exception:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ==========================================
 // ANALYTICS API
 // ==========================================
@@ -863,6 +2571,31 @@ function generateTrackingNumber(carrier) {
     return `${prefix}${Math.random().toString().slice(2, 13)}`;
 }
 
+async function quoteShipment(orgId, shipment) {
+    try {
+        const negotiatedRates = new NegotiatedRatesService();
+        return await negotiatedRates.rerateShipment(orgId, {
+            ...shipment,
+            service: SERVICE_ALIASES[shipment.carrier]?.[shipment.service] || shipment.service
+        });
+    } catch (error) {
+        // Le devis ne doit jamais bloquer la création de l'expédition
+        console.error('Error quoting shipment:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Poids taxable figé sur l'expédition : celui du devis (règles du contrat),
+ * à défaut celui des règles publiques du transporteur
+ */
+function getWeightBreakdown(quote, { carrier, service, parcels }) {
+    return quote?.weightBreakdown || calculateChargeableWeight(parcels, {
+        carrier,
+        service: SERVICE_ALIASES[carrier]?.[service] || service
+    });
+}
+
 function getStatusLabel(status) {
     const labels = {
         pending: 'En attente',
@@ -876,20 +2609,6 @@ function getStatusLabel(status) {
     return labels[status] || status;
 }
 
-function getBasePrice(carrierId) {
-    const prices = { colissimo: 4.95, chronopost: 9.90, mondial_relay: 3.50, dhl: 12.00, ups: 11.50, fedex: 13.00, gls: 5.50, dpd: 5.20 };
-    return prices[carrierId] || 6.00;
-}
-
-function getEstimatedDays(carrierId) {
-    const days = { colissimo: 3, chronopost: 1, mondial_relay: 5, dhl: 2, ups: 2, fedex: 2, gls: 3, dpd: 3 };
-    return days[carrierId] || 3;
-}
-
-function generateMockLabel(shipment, format) {
-    return Buffer.from(`Label for ${shipment.tracking_number}`);
-}
-
 function generateMockTrackingEvents(shipment) {
     return [
         { timestamp: shipment.created_at, status: 'created', description: 'Shipment created', location: 'Origin' },
@@ -897,6 +2616,32 @@ function generateMockTrackingEvents(shipment) {
     ];
 }
 
+/**
+ * Colis d'une commande par cartonisation ; sans dimensions produits ni cartons
+ * configurés, l'expédition est créée sans colis
+ */
+async function cartonizeOrder(orgId, order, { warehouseId, carrier }) {
+    if (!order.items?.length) return [];
+
+    try {
+        const cartonization = new CartonizationService({ db });
+        return cartonization.toParcels(await cartonization.cartonize(orgId, {
+            items: order.items,
+            warehouseId,
+            carriers: [carrier],
+            boxCode: order.shipping_options?.packaging
+        }));
+    } catch (error) {
+        if (error.name === 'CartonizationError') return [];
+        throw error;
+    }
+}
+
+function trackShipmentUsage(orgId) {
+    billingService.trackUsage(orgId, 'shipmentsPerMonth', 1)
+        .catch(error => console.error('Error tracking shipment usage:', error));
+}
+
 async function emitWebhookEvent(orgId, event, data) {
     try {
         const webhooks = await db.query(
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const { BaseCarrier } = require('./carriers');
+const { carrierCalendar, toDay } = require('../services/calendar');
 
 // ==========================================
 // DHL EXPRESS
@@ -34,7 +35,7 @@ class DHLExpressConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'dhl', service: options.service || 'express' }),
             labelFormat: 'PDF',
             carrier: 'dhl',
             service: options.service || 'express',
@@ -103,13 +104,7 @@ class DHLExpressConnector extends BaseCarrier {
 
     calculateEstimatedDelivery(country, service) {
         const days = service === 'economy' ? 6 : (country === 'FR' ? 1 : 3);
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`DHL Label for ${trackingNumber}`).toString('base64');
+        return carrierCalendar('dhl', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), days);
     }
 
     async getServicePoints(postalCode, country) {
@@ -160,7 +155,7 @@ class UPSConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'ups', service: options.service || 'standard' }),
             labelFormat: 'PDF',
             carrier: 'ups',
             service: options.service || 'standard',
@@ -238,13 +233,7 @@ class UPSConnector extends BaseCarrier {
     calculateEstimatedDelivery(country, service) {
         const daysMap = { express: 1, saver: 2, standard: 4 };
         const days = country === 'FR' ? daysMap[service] || 3 : (daysMap[service] || 3) + 2;
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`UPS Label for ${trackingNumber}`).toString('base64');
+        return carrierCalendar('ups', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), days);
     }
 
     async getAccessPoints(postalCode, country) {
@@ -293,7 +282,7 @@ class FedExConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'fedex', service: options.service || 'priority' }),
             labelFormat: 'PDF',
             carrier: 'fedex',
             service: options.service || 'priority',
@@ -360,13 +349,7 @@ class FedExConnector extends BaseCarrier {
 
     calculateEstimatedDelivery(country, service) {
         const days = service === 'economy' ? 5 : (country === 'FR' ? 1 : 2);
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`FedEx Label for ${trackingNumber}`).toString('base64');
+        return carrierCalendar('fedex', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), days);
     }
 }
 
@@ -388,9 +371,9 @@ class GLSConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'gls', service: 'standard' }),
             carrier: 'gls',
-            estimatedDelivery: this.calculateEstimatedDelivery()
+            estimatedDelivery: this.calculateEstimatedDelivery(shipmentData.recipient?.country)
         };
     }
 
@@ -419,14 +402,8 @@ class GLSConnector extends BaseCarrier {
         ];
     }
 
-    calculateEstimatedDelivery() {
-        const date = new Date();
-        date.setDate(date.getDate() + 3);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`GLS Label for ${trackingNumber}`).toString('base64');
+    calculateEstimatedDelivery(country) {
+        return carrierCalendar('gls', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), 3);
     }
 
     async getParcelShops(postalCode, country) {
@@ -455,9 +432,9 @@ class DPDConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'dpd', service: 'standard' }),
             carrier: 'dpd',
-            estimatedDelivery: this.calculateEstimatedDelivery()
+            estimatedDelivery: this.calculateEstimatedDelivery(shipmentData.recipient?.country)
         };
     }
 
@@ -486,14 +463,8 @@ class DPDConnector extends BaseCarrier {
         ];
     }
 
-    calculateEstimatedDelivery() {
-        const date = new Date();
-        date.setDate(date.getDate() + 3);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`DPD Label for ${trackingNumber}`).toString('base64');
+    calculateEstimatedDelivery(country) {
+        return carrierCalendar('dpd', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), 3);
     }
 
     async getPickupShops(postalCode, country) {
@@ -522,9 +493,9 @@ class TNTConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'tnt', service: 'standard' }),
             carrier: 'tnt',
-            estimatedDelivery: this.calculateEstimatedDelivery()
+            estimatedDelivery: this.calculateEstimatedDelivery(shipmentData.recipient?.country)
         };
     }
 
@@ -553,14 +524,8 @@ class TNTConnector extends BaseCarrier {
         ];
     }
 
-    calculateEstimatedDelivery() {
-        const date = new Date();
-        date.setDate(date.getDate() + 2);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`TNT Label for ${trackingNumber}`).toString('base64');
+    calculateEstimatedDelivery(country) {
+        return carrierCalendar('tnt', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), 2);
     }
 }
 
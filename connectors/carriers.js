@@ -5,6 +5,10 @@
 
 const axios = require('axios');
 const crypto = require('crypto');
+const { LabelService } = require('../services/labels');
+const { carrierCalendar, toDay } = require('../services/calendar');
+
+const labelService = new LabelService();
 
 // ==========================================
 // BASE CARRIER CLASS
@@ -44,6 +48,14 @@ class BaseCarrier {
             email: address.email || ''
         };
     }
+
+    /**
+     * Étiquette générée par le moteur commun, renvoyée en data URL
+     */
+    async generateLabel(shipmentData, format = 'pdf') {
+        const label = await labelService.render(shipmentData, format);
+        return `data:${label.contentType};base64,${label.data.toString('base64')}`;
+    }
 }
 
 // ==========================================
@@ -129,7 +141,7 @@ class ColissimoConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'colissimo', service: productCode }),
             labelFormat: 'PDF',
             carrier: 'colissimo',
             service: productCode,
@@ -212,13 +224,7 @@ class ColissimoConnector extends BaseCarrier {
 
     calculateEstimatedDelivery(country) {
         const days = country === 'FR' ? 2 : 5;
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`PDF Label for ${trackingNumber}`).toString('base64');
+        return carrierCalendar('colissimo', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), days);
     }
 
     async getPickupPoints(postalCode, country = 'FR') {
@@ -251,7 +257,7 @@ class ChronopostConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'chronopost', service: productCode }),
             labelFormat: 'PDF',
             carrier: 'chronopost',
             service: productCode,
@@ -323,13 +329,7 @@ class ChronopostConnector extends BaseCarrier {
 
     calculateEstimatedDelivery(service) {
         const days = service === 'chronoRelais' ? 2 : 1;
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`PDF Label for ${trackingNumber}`).toString('base64');
+        return carrierCalendar('chronopost', 'FR', 'delivery').addWorkingDays(toDay(new Date()), days);
     }
 
     async getPickupPoints(postalCode, country = 'FR') {
@@ -365,12 +365,12 @@ class MondialRelayConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${this.generateMockLabel(trackingNumber)}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'mondial_relay', service: options.service || 'standard' }),
             labelFormat: 'PDF',
             carrier: 'mondial_relay',
             service: options.service || 'standard',
             pickupPointId: options.pickupPointId,
-            estimatedDelivery: this.calculateEstimatedDelivery()
+            estimatedDelivery: this.calculateEstimatedDelivery(recipient?.country)
         };
     }
 
@@ -429,14 +429,8 @@ class MondialRelayConnector extends BaseCarrier {
         return mockPoints.slice(0, maxResults);
     }
 
-    calculateEstimatedDelivery() {
-        const date = new Date();
-        date.setDate(date.getDate() + 4);
-        return date.toISOString().split('T')[0];
-    }
-
-    generateMockLabel(trackingNumber) {
-        return Buffer.from(`PDF Label for ${trackingNumber}`).toString('base64');
+    calculateEstimatedDelivery(country) {
+        return carrierCalendar('mondial_relay', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), 4);
     }
 }
 
@@ -456,9 +450,9 @@ class ColisPriveConnector extends BaseCarrier {
         return {
             success: true,
             trackingNumber,
-            labelUrl: `data:application/pdf;base64,${Buffer.from('Label').toString('base64')}`,
+            labelUrl: await this.generateLabel({ ...shipmentData, trackingNumber, carrier: 'colis_prive', service: 'standard' }),
             carrier: 'colis_prive',
-            estimatedDelivery: this.calculateEstimatedDelivery()
+            estimatedDelivery: this.calculateEstimatedDelivery(shipmentData.recipient?.country)
         };
     }
 
@@ -478,10 +472,8 @@ class ColisPriveConnector extends BaseCarrier {
         ];
     }
 
-    calculateEstimatedDelivery() {
-        const date = new Date();
-        date.setDate(date.getDate() + 3);
-        return date.toISOString().split('T')[0];
+    calculateEstimatedDelivery(country) {
+        return carrierCalendar('colis_prive', country || 'FR', 'delivery').addWorkingDays(toDay(new Date()), 3);
     }
 }
 
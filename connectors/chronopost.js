@@ -10,6 +10,7 @@ const { Redis } = require('ioredis');
 const pRetry = require('p-retry');
 const pLimit = require('p-limit');
 const { EventEmitter } = require('events');
+const { mapCarrierEvent } = require('../services/tracking-status');
 
 // ============================================
 // CONFIGURATION
@@ -450,8 +451,9 @@ class ChronopostClient {
     buildShipmentRequest(request) {
         const now = new Date();
         const depositDate = request.depositDate || now.toISOString().split('T')[0].replace(/-/g, '');
+        const customs = request.customs;
 
-        return {
+        const soapRequest = {
             headerValue: {
                 accountNumber: this.credentials.accountNumber,
                 subAccount: this.credentials.subAccount,
@@ -519,11 +521,11 @@ class ChronopostClient {
                 insuredValue: request.parcel.insuranceValue || 0,
                 insuredCurrency: 'EUR',
                 content: request.parcel.description || 'Marchandise',
-                objectType: request.parcel.objectType || 'MAR', // MAR = merchandise
+                objectType: request.parcel.objectType || (customs?.category === 'documents' ? 'DOC' : 'MAR'), // MAR = merchandise
                 service: request.additionalService || '0',
                 codCurrency: 'EUR',
                 codValue: request.codValue || 0,
-                customsCurrency: 'EUR',
+                customsCurrency: customs?.currency || 'EUR',
                 customsValue: request.customsValue || 0,
                 portCurrency: 'EUR',
                 portValue: 0
@@ -536,6 +538,36 @@ class ChronopostClient {
             password: this.credentials.password,
             numberOfParcel: 1
         };
+
+        // Export hors UE : données douanières électroniques et documents PDF (CN23, facture) en base64
+        if (customs) {
+            soapRequest.customsValue = {
+                incoterm: customs.incoterm || 'DAP',
+                invoiceNumber: customs.invoiceNumber || '',
+                shipperEori: customs.exporter?.eoriNumber || '',
+                shipperVatNumber: customs.exporter?.vatNumber || '',
+                iossNumber: customs.iossNumber || '',
+                consigneeEori: customs.importer?.eoriNumber || '',
+                consigneeTaxId: customs.importer?.taxId || '',
+                articles: (customs.contents || []).map(item => ({
+                    description: item.description,
+                    quantity: item.quantity,
+                    weight: item.weight,
+                    value: item.value,
+                    currency: item.currency || customs.currency || 'EUR',
+                    hsCode: item.hsCode || '',
+                    originCountry: item.originCountry || 'FR'
+                })),
+                documents: (customs.documents || []).map(document => ({
+                    type: document.type,
+                    fileName: document.filename,
+                    format: document.format || 'PDF',
+                    content: document.content
+                }))
+            };
+        }
+
+        return soapRequest;
     }
 
     parseShipmentResponse(result, request) {
@@ -668,6 +700,7 @@ class ChronopostClient {
             trackingNumber,
             carrier: 'chronopost',
             status: this.mapEventToStatus(latestEvent?.code),
+            subStatus: mapCarrierEvent('chronopost', latestEvent?.code).subStatus,
             statusDescription: latestEvent?.description,
             estimatedDelivery: data.deliveryDate || null,
             delivered: this.isDelivered(latestEvent?.code),
@@ -680,33 +713,11 @@ class ChronopostClient {
     }
 
     mapEventToStatus(eventCode) {
-        const statusMap = {
-            'DR': 'pending',           // Dépôt reçu
-            'PH': 'in_transit',        // Pris en charge
-            'TA': 'in_transit',        // Tri arrivée
-            'TD': 'in_transit',        // Tri départ
-            'AA': 'in_transit',        // Arrivée agence
-            'PC': 'in_transit',        // Pris en charge pour livraison
-            'CS': 'in_transit',        // Colis en attente
-            'EL': 'out_for_delivery',  // En cours de livraison
-            'DI': 'available_pickup',  // Disponible en point relais
-            'AL': 'available_pickup',  // Avisé en bureau de poste
-            'Li': 'delivered',         // Livré
-            'LD': 'delivered',         // Livré
-            'LP': 'delivered',         // Livré en point relais
-            'RE': 'returned',          // Retour expéditeur
-            'RA': 'returned',          // Retour arrivé
-            'AN': 'exception',         // Anomalie
-            'NA': 'exception',         // Non livrable
-            'AR': 'exception',         // Absence - avis de passage
-            'NP': 'exception'          // Refusé
-        };
-
-        return statusMap[eventCode] || 'unknown';
+        return mapCarrierEvent('chronopost', eventCode).status;
     }
 
     isDelivered(eventCode) {
-        return ['Li', 'LD', 'LP'].includes(eventCode);
+        return this.mapEventToStatus(eventCode) === 'delivered';
     }
 
     getEventDescription(eventCode) {
@@ -1179,5 +1190,6 @@ module.exports = {
     ChronopostValidator,
     CHRONOPOST_SERVICES,
     requestLogger,
-    rateLimiter
+    rateLimiter,
+    rateLimits: config.rateLimit
 };
@@ -11,6 +11,7 @@ const { Redis } = require('ioredis');
 const pRetry = require('p-retry');
 const pLimit = require('p-limit');
 const { EventEmitter } = require('events');
+const { mapCarrierEvent } = require('../services/tracking-status');
 
 // ============================================
 // CONFIGURATION
@@ -558,10 +559,12 @@ class ColissimoClient {
 
         // Add customs declaration for international
         if (request.customs) {
+            const customs = request.customs;
             soapRequest.generateLabelRequest.letter.customsDeclarations = {
+                includeCustomsDeclarations: 1,
                 contents: {
-                    category: request.customs.category || 1, // 1 = Gift, 2 = Sample, 3 = Commercial
-                    article: request.customs.contents.map(item => ({
+                    category: customs.category || 1, // 1 = Gift, 2 = Sample, 3 = Commercial, 4 = Documents, 5 = Other, 6 = Returned goods
+                    article: customs.contents.map(item => ({
                         description: item.description,
                         quantity: item.quantity,
                         weight: item.weight,
@@ -570,8 +573,27 @@ class ColissimoClient {
                         originCountry: item.originCountry || 'FR',
                         currency: item.currency || 'EUR'
                     }))
-                }
+                },
+                invoiceNumber: customs.invoiceNumber || '',
+                importersReference: customs.importer?.eoriNumber || customs.importer?.taxId || '',
+                // Données électroniques préalables (EAD) : identifiants douaniers de l'expéditeur
+                eoriNumber: customs.exporter?.eoriNumber || '',
+                vatNumber: customs.exporter?.vatNumber || '',
+                iossNumber: customs.iossNumber || '',
+                incoterm: customs.incoterm || ''
             };
+
+            // CN23 / facture jointes en PDF (dématérialisation des documents douaniers)
+            if (customs.documents?.length) {
+                soapRequest.generateLabelRequest.letter.customsDeclarations.documents = {
+                    document: customs.documents.map(document => ({
+                        documentType: document.type,
+                        fileName: document.filename,
+                        fileFormat: document.format || 'PDF',
+                        content: document.content
+                    }))
+                };
+            }
         }
 
         // Add return label if requested
@@ -712,6 +734,7 @@ class ColissimoClient {
             trackingNumber,
             carrier: 'colissimo',
             status: this.mapEventToStatus(latestEvent?.code),
+            subStatus: mapCarrierEvent('colissimo', latestEvent?.code).subStatus,
             statusDescription: latestEvent?.description,
             estimatedDelivery: data.deliveryDate || null,
             delivered: this.isDelivered(latestEvent?.code),
@@ -722,28 +745,11 @@ class ColissimoClient {
     }
 
     mapEventToStatus(eventCode) {
-        const statusMap = {
-            'PC1': 'pending',          // Pris en charge
-            'PC2': 'in_transit',       // Pris en charge
-            'ET1': 'in_transit',       // En cours de traitement
-            'ET2': 'in_transit',       // En cours d'acheminement
-            'ET3': 'in_transit',       // En cours d'acheminement
-            'ET4': 'in_transit',       // Arrivée dans le pays de destination
-            'DR1': 'out_for_delivery', // En cours de livraison
-            'MD2': 'delivered',        // Distribué
-            'AG1': 'available_pickup', // Disponible en point de retrait
-            'RE1': 'returned',         // Retour à l'expéditeur
-            'CO1': 'exception',        // Colis endommagé
-            'DI1': 'exception',        // Destinataire absent
-            'DI2': 'exception',        // Boîte aux lettres non accessible
-            'ND1': 'exception'         // Non distribuable
-        };
-
-        return statusMap[eventCode] || 'unknown';
+        return mapCarrierEvent('colissimo', eventCode).status;
     }
 
     isDelivered(eventCode) {
-        return ['MD2', 'AG1'].includes(eventCode);
+        return this.mapEventToStatus(eventCode) === 'delivered';
     }
 
     getEventDescription(eventCode) {
@@ -1181,5 +1187,6 @@ module.exports = {
     ColissimoValidator,
     COLISSIMO_SERVICES,
     requestLogger,
-    rateLimiter
+    rateLimiter,
+    rateLimits: config.rateLimit
 };
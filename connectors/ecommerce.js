@@ -140,6 +140,42 @@ class ShopifyConnector extends BaseEcommerceConnector {
         return response.data.locations;
     }
 
+    // Avoir publié en carte cadeau (solde débité par Shopify au paiement)
+    async createGiftCard({ code, amount, currency, expiresAt, note }) {
+        const response = await axios.post(
+            `${this.baseUrl}/gift_cards.json`,
+            {
+                gift_card: {
+                    code,
+                    initial_value: amount.toFixed(2),
+                    currency,
+                    expires_on: expiresAt ? expiresAt.slice(0, 10) : null,
+                    note
+                }
+            },
+            { headers: this.getHeaders() }
+        );
+        return { id: response.data.gift_card.id.toString(), platform: 'shopify' };
+    }
+
+    async adjustGiftCard(giftCardId, amount, note) {
+        const response = await axios.post(
+            `${this.baseUrl}/gift_cards/${giftCardId}/adjustments.json`,
+            { adjustment: { amount: amount.toFixed(2), note } },
+            { headers: this.getHeaders() }
+        );
+        return response.data.adjustment;
+    }
+
+    async disableGiftCard(giftCardId) {
+        const response = await axios.post(
+            `${this.baseUrl}/gift_cards/${giftCardId}/disable.json`,
+            { gift_card: { id: giftCardId } },
+            { headers: this.getHeaders() }
+        );
+        return response.data.gift_card;
+    }
+
     normalizeOrder(order) {
         return {
             id: order.id.toString(),
@@ -334,6 +370,40 @@ class WooCommerceConnector extends BaseEcommerceConnector {
         return response.data;
     }
 
+    // Avoir publié en code promo à montant fixe, réservé à l'email du client
+    async createCoupon({ code, amount, expiresAt, customerEmail, note }) {
+        const response = await axios.post(
+            `${this.baseUrl}/coupons`,
+            {
+                code,
+                discount_type: 'fixed_cart',
+                amount: amount.toFixed(2),
+                date_expires: expiresAt,
+                email_restrictions: customerEmail ? [customerEmail] : [],
+                description: note
+            },
+            { auth: this.getAuth() }
+        );
+        return { id: response.data.id.toString(), platform: 'woocommerce' };
+    }
+
+    async updateCoupon(couponId, data) {
+        const response = await axios.put(
+            `${this.baseUrl}/coupons/${couponId}`,
+            data,
+            { auth: this.getAuth() }
+        );
+        return response.data;
+    }
+
+    async deleteCoupon(couponId) {
+        const response = await axios.delete(
+            `${this.baseUrl}/coupons/${couponId}?force=true`,
+            { auth: this.getAuth() }
+        );
+        return response.data;
+    }
+
     normalizeOrder(order) {
         return {
             id: order.id.toString(),
@@ -577,6 +647,11 @@ class PrestaShopConnector extends BaseEcommerceConnector {
             active: product.active === '1',
             quantity: parseInt(product.quantity || 0),
             weight: parseFloat(product.weight || 0),
+            dimensions: {
+                length: parseFloat(product.depth || 0) || null,
+                width: parseFloat(product.width || 0) || null,
+                height: parseFloat(product.height || 0) || null
+            },
             createdAt: product.date_add,
             updatedAt: product.date_upd
         };
@@ -775,6 +850,12 @@ class EcommerceService {
         return store.getOrders(params);
     }
 
+    async syncProducts(storeId, params = {}) {
+        const store = this.getStore(storeId);
+        if (!store) throw new Error(`Store ${storeId} not configured`);
+        return store.getProducts(params);
+    }
+
     async markAsShipped(storeId, orderId, trackingNumber, carrier) {
         const store = this.getStore(storeId);
         if (!store) throw new Error(`Store ${storeId} not configured`);
@@ -792,6 +873,45 @@ class EcommerceService {
         if (!store) throw new Error(`Store ${storeId} not configured`);
         return store.updateStock(productId, quantity, variantId);
     }
+
+    async pushStoreCredit(storeId, credit) {
+        const store = this.getStore(storeId);
+        if (!store) throw new Error(`Store ${storeId} not configured`);
+
+        if (store.createGiftCard) {
+            return store.createGiftCard(credit);
+        } else if (store.createCoupon) {
+            return store.createCoupon(credit);
+        }
+        throw new Error('Store does not support store credit');
+    }
+
+    async updateStoreCreditBalance(storeId, externalId, { balance, adjustment, note }) {
+        const store = this.getStore(storeId);
+        if (!store) throw new Error(`Store ${storeId} not configured`);
+
+        if (store.adjustGiftCard) {
+            return store.adjustGiftCard(externalId, adjustment, note);
+        } else if (store.updateCoupon) {
+            // Coupon WooCommerce : montant fixe = solde restant, supprimé une fois épuisé
+            return balance > 0
+                ? store.updateCoupon(externalId, { amount: balance.toFixed(2) })
+                : store.deleteCoupon(externalId);
+        }
+        throw new Error('Store does not support store credit');
+    }
+
+    async disableStoreCredit(storeId, externalId) {
+        const store = this.getStore(storeId);
+        if (!store) throw new Error(`Store ${storeId} not configured`);
+
+        if (store.disableGiftCard) {
+            return store.disableGiftCard(externalId);
+        } else if (store.deleteCoupon) {
+            return store.deleteCoupon(externalId);
+        }
+        throw new Error('Store does not support store credit');
+    }
 }
 
 module.exports = {
@@ -0,0 +1,173 @@
+/**
+ * ROUTZ - Delivery Promise Widget Routes
+ * Routes du widget de promesse de livraison (checkout et fiches produit)
+ */
+
+const express = require('express');
+const { validate: isUuid } = require('uuid');
+const router = express.Router();
+
+const { DynamicCheckoutService } = require('./services/dynamic-checkout');
+
+// Initialize services
+const checkoutService = new DynamicCheckoutService();
+
+// ============================================
+// WIDGET ROUTES
+// ============================================
+
+/**
+ * GET /widget/delivery-promise/:orgId
+ * Promise for a destination (fastest option, or the requested service)
+ */
+router.get('/widget/delivery-promise/:orgId', async (req, res) => {
+    try {
+        const { orgId } = req.params;
+        const { country = 'FR', postalCode, serviceId, lang = 'fr' } = req.query;
+
+        // Identifiant public : un orgId mal formé ne doit pas atteindre la base
+        if (!isUuid(orgId)) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        if (!postalCode) {
+            return res.status(400).json({ error: 'postalCode required' });
+        }
+
+        const result = await checkoutService.getDeliveryPromise({
+            orgId,
+            country: String(country).toUpperCase(),
+            postalCode: String(postalCode),
+            serviceId,
+            lang
+        });
+
+        // L'heure limite avance : pas de cache
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({
+            promise: result.promise,
+            options: result.options.map(option => ({
+                serviceId: option.serviceId,
+                serviceName: option.serviceName,
+                carrier: option.carrier,
+                cutoff: option.cutoff,
+                deliveryDate: option.deliveryDate,
+                message: option.message
+            }))
+        });
+    } catch (error) {
+        if (error.name === 'DeliveryPromiseError' || error.name === 'CalendarError') {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Delivery promise widget error:', error);
+        res.status(500).json({ error: 'Failed to compute delivery promise' });
+    }
+});
+
+/**
+ * GET /widget/delivery-promise.js
+ * Embeddable JavaScript for the widget
+ */
+router.get('/widget/delivery-promise.js', (req, res) => {
+    const script = `
+(function() {
+    const ROUTZ_API = '${process.env.BASE_URL || ''}';
+    const REFRESH_INTERVAL = 60000;
+
+    /**
+     * Routz Delivery Promise
+     * "Order within 2h 14m to get it Thursday" on product and checkout pages
+     */
+    window.RoutzDeliveryPromise = {
+        _options: {},
+        _timers: [],
+
+        /**
+         * Initialize the widget
+         * @param {Object} options - Configuration options
+         * @param {string} options.orgId - Your Routz organization ID
+         * @param {string} options.lang - Language (default: 'fr')
+         * @param {string} options.country - Country code (default: 'FR')
+         */
+        init: function(options) {
+            this._options = options || {};
+            return this;
+        },
+
+        /**
+         * Fetch the promise for a destination
+         * @param {Object} params - { postalCode, country, serviceId, lang }
+         */
+        get: function(params) {
+            const url = new URL(ROUTZ_API + '/widget/delivery-promise/' + this._options.orgId);
+            url.searchParams.set('country', params.country || this._options.country || 'FR');
+            url.searchParams.set('postalCode', params.postalCode || this._options.postalCode || '');
+            url.searchParams.set('lang', params.lang || this._options.lang || 'fr');
+            if (params.serviceId) url.searchParams.set('serviceId', params.serviceId);
+
+            return fetch(url.toString()).then(function(response) {
+                if (!response.ok) throw new Error('Delivery promise unavailable');
+                return response.json();
+            });
+        },
+
+        /**
+         * Render the promise in a container, refreshed every minute
+         * @param {string|Element} container - Container element or selector
+         * @param {Object} params - Parameters
+         */
+        render: function(container, params) {
+            const el = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!el) return;
+
+            const self = this;
+            const update = function() {
+                self.get(params || {}).then(function(result) {
+                    el.textContent = result.promise ? result.promise.message : '';
+                    el.dataset.cutoff = result.promise ? result.promise.cutoff : '';
+                    if (self._options.onUpdate) self._options.onUpdate(result);
+                }).catch(function() {
+                    el.textContent = '';
+                });
+            };
+
+            update();
+            this._timers.push(setInterval(update, REFRESH_INTERVAL));
+        },
+
+        /**
+         * Stop refreshing all rendered promises
+         */
+        destroy: function() {
+            this._timers.forEach(clearInterval);
+            this._timers = [];
+        }
+    };
+
+    // Auto-init if data attributes present
+    document.addEventListener('DOMContentLoaded', function() {
+        const elements = document.querySelectorAll('[data-routz-delivery-promise]');
+        elements.forEach(function(el) {
+            const orgId = el.dataset.orgId || el.dataset.routzDeliveryPromise;
+
+            if (!window.RoutzDeliveryPromise._options.orgId) {
+                window.RoutzDeliveryPromise.init({ orgId: orgId });
+            }
+
+            window.RoutzDeliveryPromise.render(el, {
+                country: el.dataset.country,
+                postalCode: el.dataset.postalCode,
+                serviceId: el.dataset.serviceId,
+                lang: el.dataset.lang
+            });
+        });
+    });
+})();
+`;
+
+    res.setHeader('Content-Type', 'application/javascript');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.send(script);
+});
+
+module.exports = router;
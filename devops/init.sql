@@ -133,6 +133,7 @@ CREATE TABLE shipments (
     carrier VARCHAR(50),
     service VARCHAR(100),
     status VARCHAR(50) DEFAULT 'pending',
+    hold_reason TEXT,
     
     -- Sender
     sender_name VARCHAR(255),
@@ -406,12 +407,19 @@ CREATE TABLE customs_declarations (
     organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
     shipment_id UUID REFERENCES shipments(id),
     type VARCHAR(50),
+    category VARCHAR(30) DEFAULT 'commercial',
+    invoice_number VARCHAR(100),
     exporter JSONB,
     importer JSONB,
     items JSONB DEFAULT '[]',
     total_value DECIMAL(10, 2),
     currency VARCHAR(3),
     incoterm VARCHAR(10),
+    ioss_number VARCHAR(20),
+    shipping_cost DECIMAL(10, 2) DEFAULT 0,
+    tax_regime VARCHAR(20),
+    collected_duties DECIMAL(10, 2) DEFAULT 0,
+    collected_taxes DECIMAL(10, 2) DEFAULT 0,
     origin_country VARCHAR(2),
     destination_country VARCHAR(2),
     required_documents JSONB DEFAULT '[]',
@@ -979,6 +979,1071 @@ migrationManager.registerMigration({
     }
 });
 
+// Migration 011: Carrier manifests (end-of-day close-out)
+migrationManager.registerMigration({
+    version: '011',
+    name: 'manifests',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE manifests (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                manifest_number VARCHAR(100) NOT NULL UNIQUE,
+                carrier VARCHAR(50) NOT NULL,
+                warehouse_id VARCHAR(100),
+                status VARCHAR(50) DEFAULT 'closed',
+                shipment_count INTEGER NOT NULL DEFAULT 0,
+                parcel_count INTEGER NOT NULL DEFAULT 0,
+                total_weight DECIMAL(12, 3) DEFAULT 0,
+                pdf_data TEXT,
+                data_file TEXT,
+                data_format VARCHAR(10),
+                carrier_reference VARCHAR(255),
+                submission_error TEXT,
+                created_by UUID REFERENCES users(id),
+                closed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                submitted_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        await client.query('CREATE INDEX idx_manifests_org ON manifests(organization_id, closed_at DESC)');
+
+        await client.query(`
+            ALTER TABLE shipments
+                ADD COLUMN IF NOT EXISTS parcels JSONB,
+                ADD COLUMN IF NOT EXISTS total_weight DECIMAL(10, 3),
+                ADD COLUMN IF NOT EXISTS warehouse_id VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS manifest_id UUID REFERENCES manifests(id),
+                ADD COLUMN IF NOT EXISTS manifested_at TIMESTAMP WITH TIME ZONE
+        `);
+
+        await client.query(`
+            CREATE INDEX idx_shipments_unmanifested ON shipments(organization_id, carrier, warehouse_id)
+            WHERE manifest_id IS NULL AND cancelled_at IS NULL
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS idx_shipments_unmanifested');
+        await client.query(`
+            ALTER TABLE shipments
+                DROP COLUMN IF EXISTS manifested_at,
+                DROP COLUMN IF EXISTS manifest_id
+        `);
+        await client.query('DROP TABLE IF EXISTS manifests CASCADE');
+    }
+});
+
+// Migration 012: Versioned surcharge tables
+migrationManager.registerMigration({
+    version: '012',
+    name: 'surcharge_tables',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE surcharge_tables (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID REFERENCES organizations(id),
+                carrier VARCHAR(50) NOT NULL,
+                version INTEGER NOT NULL,
+                valid_from DATE NOT NULL,
+                valid_to DATE,
+                fuel_percent DECIMAL(6, 3) DEFAULT 0,
+                accessorials JSONB DEFAULT '{}',
+                remote_postal_codes JSONB DEFAULT '{}',
+                source VARCHAR(20) DEFAULT 'api',
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                CHECK (valid_to IS NULL OR valid_to >= valid_from)
+            )
+        `);
+
+        await client.query(`
+            CREATE UNIQUE INDEX idx_surcharge_tables_version
+            ON surcharge_tables(carrier, COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid), valid_from)
+        `);
+        await client.query('CREATE INDEX idx_surcharge_tables_lookup ON surcharge_tables(carrier, valid_from, valid_to)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS surcharge_tables CASCADE');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '013',
+    name: 'carrier_invoices',
+
+    async up(client) {
+        await client.query('ALTER TABLE shipments ADD COLUMN IF NOT EXISTS quoted_rate JSONB');
+
+        await client.query(`
+            CREATE TABLE carrier_invoices (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                carrier VARCHAR(50) NOT NULL,
+                invoice_number VARCHAR(100) NOT NULL,
+                invoice_date DATE,
+                filename VARCHAR(255),
+                status VARCHAR(20) DEFAULT 'audited',
+                line_count INTEGER DEFAULT 0,
+                matched_count INTEGER DEFAULT 0,
+                disputed_count INTEGER DEFAULT 0,
+                total_billed DECIMAL(12, 2) DEFAULT 0,
+                total_expected DECIMAL(12, 2) DEFAULT 0,
+                total_disputed DECIMAL(12, 2) DEFAULT 0,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE(organization_id, carrier, invoice_number)
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE carrier_invoice_lines (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                invoice_id UUID NOT NULL REFERENCES carrier_invoices(id) ON DELETE CASCADE,
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                shipment_id UUID REFERENCES shipments(id),
+                line_number INTEGER,
+                line_type VARCHAR(20) DEFAULT 'freight',
+                tracking_number VARCHAR(100) NOT NULL,
+                service VARCHAR(50),
+                billed_weight DECIMAL(10, 3),
+                declared_weight DECIMAL(10, 3),
+                billed_amount DECIMAL(10, 2) NOT NULL,
+                expected_amount DECIMAL(10, 2),
+                disputed_amount DECIMAL(10, 2) DEFAULT 0,
+                flags TEXT[] DEFAULT '{}',
+                status VARCHAR(20) NOT NULL,
+                reason TEXT,
+                raw JSONB,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        await client.query('CREATE INDEX idx_carrier_invoice_lines_invoice ON carrier_invoice_lines(invoice_id)');
+        await client.query('CREATE INDEX idx_carrier_invoice_lines_tracking ON carrier_invoice_lines(organization_id, tracking_number)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS carrier_invoice_lines CASCADE');
+        await client.query('DROP TABLE IF EXISTS carrier_invoices CASCADE');
+        await client.query('ALTER TABLE shipments DROP COLUMN IF EXISTS quoted_rate');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '014',
+    name: 'tracking_status_registry',
+
+    async up(client) {
+        await client.query('ALTER TABLE shipments ADD COLUMN IF NOT EXISTS sub_status VARCHAR(50)');
+
+        await client.query(`
+            CREATE TABLE tracking_event_mappings (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID REFERENCES organizations(id),
+                carrier VARCHAR(50) NOT NULL,
+                event_code VARCHAR(50) NOT NULL,
+                status VARCHAR(50) NOT NULL,
+                sub_status VARCHAR(50),
+                description TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        await client.query(`
+            CREATE UNIQUE INDEX idx_tracking_event_mappings_code
+            ON tracking_event_mappings(carrier, event_code, COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid))
+        `);
+
+        await client.query(`
+            CREATE TABLE tracking_unknown_events (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                carrier VARCHAR(50) NOT NULL,
+                event_code VARCHAR(50) NOT NULL,
+                description TEXT,
+                sample_tracking_number VARCHAR(100),
+                occurrences INTEGER DEFAULT 1,
+                first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                resolved_at TIMESTAMP WITH TIME ZONE,
+                UNIQUE(carrier, event_code)
+            )
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS tracking_unknown_events CASCADE');
+        await client.query('DROP TABLE IF EXISTS tracking_event_mappings CASCADE');
+        await client.query('ALTER TABLE shipments DROP COLUMN IF EXISTS sub_status');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '015',
+    name: 'tracking_poll_schedule',
+
+    async up(client) {
+        await client.query('ALTER TABLE shipments ADD COLUMN IF NOT EXISTS next_tracking_poll_at TIMESTAMP WITH TIME ZONE');
+        await client.query(`
+            CREATE INDEX idx_shipments_tracking_poll ON shipments(carrier, next_tracking_poll_at)
+            WHERE status NOT IN ('delivered', 'cancelled', 'returned')
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS idx_shipments_tracking_poll');
+        await client.query('ALTER TABLE shipments DROP COLUMN IF EXISTS next_tracking_poll_at');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '016',
+    name: 'shipment_void',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE shipments
+                ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+                ADD COLUMN IF NOT EXISTS void_status VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS void_reference VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS void_error TEXT,
+                ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS reserved_items JSONB DEFAULT '[]'
+        `);
+        await client.query(`
+            CREATE INDEX idx_shipments_pending_void ON shipments(organization_id, carrier)
+            WHERE void_status = 'pending_void'
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS idx_shipments_pending_void');
+        await client.query(`
+            ALTER TABLE shipments
+                DROP COLUMN IF EXISTS cancellation_reason,
+                DROP COLUMN IF EXISTS void_status,
+                DROP COLUMN IF EXISTS void_reference,
+                DROP COLUMN IF EXISTS void_error,
+                DROP COLUMN IF EXISTS voided_at,
+                DROP COLUMN IF EXISTS reserved_items
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '017',
+    name: 'shipment_parcels',
+
+    async up(client) {
+        await client.query('ALTER TABLE shipments ADD COLUMN IF NOT EXISTS parcel_count INTEGER DEFAULT 1');
+        await client.query(`
+            CREATE TABLE shipment_parcels (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                parcel_index INTEGER NOT NULL,
+                tracking_number VARCHAR(100) NOT NULL,
+                weight DECIMAL(10, 3) DEFAULT 0,
+                length DECIMAL(10, 2),
+                width DECIMAL(10, 2),
+                height DECIMAL(10, 2),
+                reference VARCHAR(255),
+                status VARCHAR(50) DEFAULT 'pending',
+                sub_status VARCHAR(50),
+                delivered_at TIMESTAMP WITH TIME ZONE,
+                last_tracking_update TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (shipment_id, parcel_index)
+            )
+        `);
+        await client.query('CREATE UNIQUE INDEX idx_shipment_parcels_tracking ON shipment_parcels(tracking_number)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS shipment_parcels');
+        await client.query('ALTER TABLE shipments DROP COLUMN IF EXISTS parcel_count');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '018',
+    name: 'address_validation',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE postal_codes (
+                id SERIAL PRIMARY KEY,
+                country CHAR(2) NOT NULL,
+                postal_code VARCHAR(10) NOT NULL,
+                city VARCHAR(255) NOT NULL,
+                city_key VARCHAR(255) NOT NULL
+            )
+        `);
+        await client.query('CREATE INDEX idx_postal_codes_code ON postal_codes(country, postal_code)');
+        await client.query('CREATE INDEX idx_postal_codes_city ON postal_codes(country, city_key)');
+        await client.query('ALTER TABLE returns ADD COLUMN IF NOT EXISTS pickup_address JSONB');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE returns DROP COLUMN IF EXISTS pickup_address');
+        await client.query('DROP TABLE IF EXISTS postal_codes');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '019',
+    name: 'automation_rules',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE automation_rules (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                priority INTEGER DEFAULT 0,
+                conditions JSONB NOT NULL DEFAULT '{}',
+                actions JSONB NOT NULL DEFAULT '[]',
+                stop_processing BOOLEAN DEFAULT false,
+                active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_automation_rules_org ON automation_rules(organization_id, priority DESC) WHERE active = true');
+        await client.query(`
+            CREATE TABLE automation_decisions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                matched_rules JSONB NOT NULL DEFAULT '[]',
+                actions JSONB NOT NULL DEFAULT '{}',
+                trace JSONB NOT NULL DEFAULT '[]',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_automation_decisions_order ON automation_decisions(order_id, created_at DESC)');
+        await client.query(`
+            ALTER TABLE orders
+                ADD COLUMN IF NOT EXISTS carrier VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS service VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS shipping_options JSONB DEFAULT '{}',
+                ADD COLUMN IF NOT EXISTS hold_reason TEXT,
+                ADD COLUMN IF NOT EXISTS is_split BOOLEAN DEFAULT false
+        `);
+    },
+
+    async down(client) {
+        // carrier, service et is_split sont aussi renseignés par l'import Shopify et le routage
+        await client.query(`
+            ALTER TABLE orders
+                DROP COLUMN IF EXISTS shipping_options,
+                DROP COLUMN IF EXISTS hold_reason
+        `);
+        await client.query('DROP TABLE IF EXISTS automation_decisions');
+        await client.query('DROP TABLE IF EXISTS automation_rules');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '020',
+    name: 'cartonization',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE packaging_boxes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                warehouse_id VARCHAR(100),
+                code VARCHAR(50) NOT NULL,
+                name VARCHAR(255),
+                inner_length DECIMAL(10, 2) NOT NULL,
+                inner_width DECIMAL(10, 2) NOT NULL,
+                inner_height DECIMAL(10, 2) NOT NULL,
+                outer_length DECIMAL(10, 2),
+                outer_width DECIMAL(10, 2),
+                outer_height DECIMAL(10, 2),
+                tare_weight DECIMAL(10, 3) DEFAULT 0,
+                max_weight DECIMAL(10, 3),
+                cost DECIMAL(10, 2),
+                active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_packaging_boxes_org ON packaging_boxes(organization_id, warehouse_id) WHERE active = true');
+        await client.query(`
+            CREATE TABLE product_dimensions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                sku VARCHAR(100) NOT NULL,
+                length DECIMAL(10, 2),
+                width DECIMAL(10, 2),
+                height DECIMAL(10, 2),
+                weight DECIMAL(10, 3),
+                source VARCHAR(50) DEFAULT 'manual',
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (organization_id, sku)
+            )
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS product_dimensions');
+        await client.query('DROP TABLE IF EXISTS packaging_boxes');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '021',
+    name: 'chargeable_weight',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE shipments
+                ADD COLUMN chargeable_weight DECIMAL(10, 3),
+                ADD COLUMN weight_breakdown JSONB
+        `);
+        // Règles de poids taxable négociées (diviseur, arrondi, minimum)
+        await client.query('ALTER TABLE IF EXISTS carrier_contracts ADD COLUMN IF NOT EXISTS weight_rules TEXT');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE IF EXISTS carrier_contracts DROP COLUMN IF EXISTS weight_rules');
+        await client.query(`
+            ALTER TABLE shipments
+                DROP COLUMN IF EXISTS weight_breakdown,
+                DROP COLUMN IF EXISTS chargeable_weight
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '022',
+    name: 'return_disposition',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE return_units (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                return_id UUID NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+                sku VARCHAR(100) NOT NULL,
+                reason_code VARCHAR(100),
+                grade CHAR(1) NOT NULL,
+                disposition VARCHAR(50) NOT NULL,
+                warehouse_id VARCHAR(100),
+                location VARCHAR(100),
+                unit_price DECIMAL(10, 2) DEFAULT 0,
+                refund_percent DECIMAL(5, 2),
+                refund_amount DECIMAL(10, 2) DEFAULT 0,
+                recovery_value DECIMAL(10, 2) DEFAULT 0,
+                notes TEXT,
+                graded_by VARCHAR(100),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_return_units_return ON return_units(return_id)');
+        await client.query('CREATE INDEX idx_return_units_report ON return_units(organization_id, created_at)');
+        await client.query(`
+            ALTER TABLE returns
+                ADD COLUMN IF NOT EXISTS graded_refund_amount DECIMAL(10, 2),
+                ADD COLUMN IF NOT EXISTS recovery_value DECIMAL(10, 2)
+        `);
+        // Emplacement de destination des mouvements (zone de tri des retours)
+        await client.query('ALTER TABLE IF EXISTS stock_movements ADD COLUMN IF NOT EXISTS location VARCHAR(100)');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE IF EXISTS stock_movements DROP COLUMN IF EXISTS location');
+        await client.query('ALTER TABLE returns DROP COLUMN IF EXISTS recovery_value, DROP COLUMN IF EXISTS graded_refund_amount');
+        await client.query('DROP TABLE IF EXISTS return_units');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '023',
+    name: 'rma_state_machine',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE returns
+                ADD COLUMN IF NOT EXISTS rma_number VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS status_history JSONB DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+                ADD COLUMN IF NOT EXISTS requested_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS label_created_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS inspection_started_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS exchanged_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS store_credit_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE
+        `);
+
+        // Un seul numéro RMA : reprise de return_number et de l'ancien rma_id du portail
+        await client.query('ALTER TABLE returns ALTER COLUMN return_number DROP NOT NULL');
+        const legacy = await client.query(
+            "SELECT 1 FROM information_schema.columns WHERE table_name = 'returns' AND column_name = 'rma_id'"
+        );
+        await client.query(legacy.rows.length > 0
+            ? 'UPDATE returns SET rma_number = COALESCE(rma_number, rma_id, return_number)'
+            : 'UPDATE returns SET rma_number = COALESCE(rma_number, return_number)');
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_returns_rma_number ON returns(rma_number)');
+
+        // Statuts des anciennes implémentations -> statuts canoniques de la machine à états
+        await client.query(`
+            UPDATE returns SET status = CASE LOWER(status)
+                WHEN 'requested' THEN 'pending_approval'
+                WHEN 'shipped' THEN 'in_transit'
+                WHEN 'delivered' THEN 'received'
+                WHEN 'inspection_passed' THEN 'inspected'
+                WHEN 'inspection_failed' THEN 'inspected'
+                WHEN 'processed' THEN 'inspected'
+                ELSE LOWER(status)
+            END
+        `);
+        await client.query("ALTER TABLE returns ALTER COLUMN status SET DEFAULT 'pending_approval'");
+
+        // Historique initial des retours existants : leur statut courant
+        await client.query(`
+            UPDATE returns
+            SET status_history = jsonb_build_array(jsonb_build_object(
+                'event', 'migrate', 'from', NULL, 'to', status, 'actor', 'system',
+                'notes', 'Statut repris lors de la migration', 'at', COALESCE(updated_at, created_at)
+            ))
+            WHERE status_history IS NULL OR status_history = '[]'::jsonb
+        `);
+    },
+
+    async down(client) {
+        await client.query("ALTER TABLE returns ALTER COLUMN status SET DEFAULT 'requested'");
+        await client.query('DROP INDEX IF EXISTS idx_returns_rma_number');
+        await client.query(`
+            ALTER TABLE returns
+                DROP COLUMN IF EXISTS status_history,
+                DROP COLUMN IF EXISTS rejection_reason,
+                DROP COLUMN IF EXISTS rejected_at,
+                DROP COLUMN IF EXISTS label_created_at,
+                DROP COLUMN IF EXISTS shipped_at,
+                DROP COLUMN IF EXISTS inspection_started_at,
+                DROP COLUMN IF EXISTS exchanged_at,
+                DROP COLUMN IF EXISTS store_credit_at,
+                DROP COLUMN IF EXISTS closed_at,
+                DROP COLUMN IF EXISTS cancelled_at
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '024',
+    name: 'return_exchanges',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE return_exchanges (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                return_id UUID NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+                order_id UUID,
+                exchange_order_id UUID REFERENCES orders(id),
+                shipment_id UUID REFERENCES shipments(id),
+                warehouse_id VARCHAR(100),
+                items JSONB NOT NULL DEFAULT '[]',
+                instant BOOLEAN DEFAULT false,
+                status VARCHAR(50) NOT NULL DEFAULT 'reserved',
+                hold_intent_id VARCHAR(255),
+                hold_amount DECIMAL(10, 2),
+                hold_status VARCHAR(50),
+                hold_expires_at TIMESTAMP WITH TIME ZONE,
+                hold_released_at TIMESTAMP WITH TIME ZONE,
+                hold_captured_at TIMESTAMP WITH TIME ZONE,
+                cancellation_reason TEXT,
+                created_by VARCHAR(100),
+                shipped_at TIMESTAMP WITH TIME ZONE,
+                completed_at TIMESTAMP WITH TIME ZONE,
+                cancelled_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_return_exchanges_return ON return_exchanges(organization_id, return_id)');
+        // Empreintes d'échanges instantanés expédiés dont l'original n'est pas revenu
+        await client.query("CREATE INDEX idx_return_exchanges_holds ON return_exchanges(hold_expires_at) WHERE hold_status = 'held'");
+
+        await client.query(`
+            ALTER TABLE IF EXISTS returns_portal_settings
+                ADD COLUMN IF NOT EXISTS allow_exchange BOOLEAN DEFAULT true,
+                ADD COLUMN IF NOT EXISTS instant_exchange BOOLEAN DEFAULT false
+        `);
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE IF EXISTS returns_portal_settings DROP COLUMN IF EXISTS instant_exchange, DROP COLUMN IF EXISTS allow_exchange');
+        await client.query('DROP TABLE IF EXISTS return_exchanges');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '025',
+    name: 'store_credit_ledger',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE store_credits (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                customer_email VARCHAR(255) NOT NULL,
+                code VARCHAR(50) NOT NULL,
+                currency VARCHAR(3) DEFAULT 'EUR',
+                initial_amount DECIMAL(10, 2) NOT NULL,
+                bonus_amount DECIMAL(10, 2) DEFAULT 0,
+                balance DECIMAL(10, 2) NOT NULL,
+                status VARCHAR(50) NOT NULL DEFAULT 'active',
+                expires_at TIMESTAMP WITH TIME ZONE,
+                return_id UUID REFERENCES returns(id),
+                source VARCHAR(50) DEFAULT 'return',
+                reason TEXT,
+                external_platform VARCHAR(50),
+                external_id VARCHAR(255),
+                push_status VARCHAR(50),
+                push_error TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE(organization_id, code)
+            )
+        `);
+        await client.query('CREATE INDEX idx_store_credits_customer ON store_credits(organization_id, customer_email)');
+        await client.query("CREATE INDEX idx_store_credits_expiry ON store_credits(expires_at) WHERE status = 'active'");
+
+        // Registre des mouvements : issue, bonus, redeem, reversal, void, expire (montants signés)
+        await client.query(`
+            CREATE TABLE store_credit_transactions (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                store_credit_id UUID NOT NULL REFERENCES store_credits(id) ON DELETE CASCADE,
+                type VARCHAR(50) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                balance_after DECIMAL(10, 2) NOT NULL,
+                reference VARCHAR(255),
+                return_id UUID,
+                channel VARCHAR(50),
+                notes TEXT,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_store_credit_transactions_credit ON store_credit_transactions(store_credit_id, created_at)');
+        await client.query('CREATE INDEX idx_store_credit_transactions_reference ON store_credit_transactions(organization_id, reference)');
+        // Une seule rédemption (et une seule annulation) par avoir et par commande
+        await client.query(`
+            CREATE UNIQUE INDEX idx_store_credit_transactions_unique_reference
+            ON store_credit_transactions(store_credit_id, reference, type) WHERE reference IS NOT NULL
+        `);
+
+        await client.query('ALTER TABLE returns ADD COLUMN IF NOT EXISTS store_credit_id UUID REFERENCES store_credits(id)');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE returns DROP COLUMN IF EXISTS store_credit_id');
+        await client.query('DROP TABLE IF EXISTS store_credit_transactions');
+        await client.query('DROP TABLE IF EXISTS store_credits');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '026',
+    name: 'return_risk_scoring',
+
+    async up(client) {
+        await client.query(`
+            ALTER TABLE returns
+                ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+                ADD COLUMN IF NOT EXISTS risk_decision VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS photo_hashes JSONB DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS pickup_address_key VARCHAR(255)
+        `);
+        await client.query('CREATE INDEX idx_returns_photo_hashes ON returns USING GIN (photo_hashes)');
+        await client.query('CREATE INDEX idx_returns_pickup_address_key ON returns(organization_id, pickup_address_key)');
+        await client.query('CREATE INDEX idx_returns_customer_email ON returns(organization_id, LOWER(customer_email))');
+
+        // Historique des évaluations, y compris les demandes bloquées (return_id NULL)
+        await client.query(`
+            CREATE TABLE return_risk_assessments (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id),
+                return_id UUID REFERENCES returns(id) ON DELETE CASCADE,
+                order_id UUID,
+                customer_email VARCHAR(255),
+                score INTEGER NOT NULL,
+                decision VARCHAR(20) NOT NULL,
+                signals JSONB DEFAULT '[]',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_return_risk_assessments_return ON return_risk_assessments(organization_id, return_id)');
+        await client.query('CREATE INDEX idx_return_risk_assessments_customer ON return_risk_assessments(organization_id, customer_email)');
+
+        await client.query(`
+            ALTER TABLE IF EXISTS returns_portal_settings
+                ADD COLUMN IF NOT EXISTS fraud_scoring_enabled BOOLEAN DEFAULT true,
+                ADD COLUMN IF NOT EXISTS fraud_review_threshold INTEGER DEFAULT 40,
+                ADD COLUMN IF NOT EXISTS fraud_block_threshold INTEGER DEFAULT 80,
+                ADD COLUMN IF NOT EXISTS fraud_high_value_amount DECIMAL(10, 2) DEFAULT 300
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE IF EXISTS returns_portal_settings
+                DROP COLUMN IF EXISTS fraud_high_value_amount,
+                DROP COLUMN IF EXISTS fraud_block_threshold,
+                DROP COLUMN IF EXISTS fraud_review_threshold,
+                DROP COLUMN IF EXISTS fraud_scoring_enabled
+        `);
+        await client.query('DROP TABLE IF EXISTS return_risk_assessments');
+        await client.query('DROP INDEX IF EXISTS idx_returns_customer_email');
+        await client.query('DROP INDEX IF EXISTS idx_returns_pickup_address_key');
+        await client.query('DROP INDEX IF EXISTS idx_returns_photo_hashes');
+        await client.query(`
+            ALTER TABLE returns
+                DROP COLUMN IF EXISTS pickup_address_key,
+                DROP COLUMN IF EXISTS photo_hashes,
+                DROP COLUMN IF EXISTS risk_decision,
+                DROP COLUMN IF EXISTS risk_score
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '027',
+    name: 'returnless_refunds',
+
+    async up(client) {
+        // Remboursement sans retour : option choisie et coûts évités (étiquette, traitement) au moment de la demande
+        await client.query(`
+            ALTER TABLE returns
+                ADD COLUMN IF NOT EXISTS returnless BOOLEAN DEFAULT false,
+                ADD COLUMN IF NOT EXISTS returnless_option VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS returnless_label_cost DECIMAL(10, 2),
+                ADD COLUMN IF NOT EXISTS returnless_handling_cost DECIMAL(10, 2)
+        `);
+        await client.query('CREATE INDEX idx_returns_returnless ON returns(organization_id, created_at) WHERE returnless = true');
+
+        await client.query(`
+            ALTER TABLE IF EXISTS returns_portal_settings
+                ADD COLUMN IF NOT EXISTS returnless_enabled BOOLEAN DEFAULT false,
+                ADD COLUMN IF NOT EXISTS returnless_max_item_value DECIMAL(10, 2) DEFAULT 15,
+                ADD COLUMN IF NOT EXISTS returnless_reasons TEXT[] DEFAULT ARRAY['DEFECTIVE', 'DAMAGED', 'DAMAGED_SHIPPING', 'WRONG_ITEM', 'MISSING_PARTS'],
+                ADD COLUMN IF NOT EXISTS returnless_max_per_year INTEGER DEFAULT 2,
+                ADD COLUMN IF NOT EXISTS returnless_options TEXT[] DEFAULT ARRAY['keep', 'donate'],
+                ADD COLUMN IF NOT EXISTS return_label_cost DECIMAL(10, 2) DEFAULT 6.5,
+                ADD COLUMN IF NOT EXISTS return_handling_cost DECIMAL(10, 2) DEFAULT 3
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE IF EXISTS returns_portal_settings
+                DROP COLUMN IF EXISTS return_handling_cost,
+                DROP COLUMN IF EXISTS return_label_cost,
+                DROP COLUMN IF EXISTS returnless_options,
+                DROP COLUMN IF EXISTS returnless_max_per_year,
+                DROP COLUMN IF EXISTS returnless_reasons,
+                DROP COLUMN IF EXISTS returnless_max_item_value,
+                DROP COLUMN IF EXISTS returnless_enabled
+        `);
+        await client.query('DROP INDEX IF EXISTS idx_returns_returnless');
+        await client.query(`
+            ALTER TABLE returns
+                DROP COLUMN IF EXISTS returnless_handling_cost,
+                DROP COLUMN IF EXISTS returnless_label_cost,
+                DROP COLUMN IF EXISTS returnless_option,
+                DROP COLUMN IF EXISTS returnless
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '028',
+    name: 'customs_documents',
+
+    async up(client) {
+        // Nature de l'envoi (CN22/CN23), facture et identifiants repris sur les documents douaniers
+        await client.query(`
+            ALTER TABLE customs_declarations
+                ADD COLUMN IF NOT EXISTS category VARCHAR(30) DEFAULT 'commercial',
+                ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS ioss_number VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS shipping_cost DECIMAL(10, 2) DEFAULT 0
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE customs_declarations
+                DROP COLUMN IF EXISTS shipping_cost,
+                DROP COLUMN IF EXISTS ioss_number,
+                DROP COLUMN IF EXISTS invoice_number,
+                DROP COLUMN IF EXISTS category
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '029',
+    name: 'landed_cost',
+
+    async up(client) {
+        // Devis de coût rendu retenu au checkout : régime de TVA, droits et taxes encaissés
+        await client.query(`
+            ALTER TABLE customs_declarations
+                ADD COLUMN IF NOT EXISTS tax_regime VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS collected_duties DECIMAL(10, 2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS collected_taxes DECIMAL(10, 2) DEFAULT 0
+        `);
+
+        // Devis présentés au checkout, référencés par la déclaration en douane
+        await client.query(`
+            CREATE TABLE landed_cost_quotes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                origin_country VARCHAR(2),
+                destination_country VARCHAR(2) NOT NULL,
+                incoterm VARCHAR(3) NOT NULL,
+                regime VARCHAR(20) NOT NULL,
+                currency VARCHAR(3) DEFAULT 'EUR',
+                quote JSONB NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_landed_cost_quotes_org ON landed_cost_quotes(organization_id, created_at)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS landed_cost_quotes');
+        await client.query(`
+            ALTER TABLE customs_declarations
+                DROP COLUMN IF EXISTS collected_taxes,
+                DROP COLUMN IF EXISTS collected_duties,
+                DROP COLUMN IF EXISTS tax_regime
+        `);
+    }
+});
+
+migrationManager.registerMigration({
+    version: '030',
+    name: 'product_classification',
+
+    async up(client) {
+        // Catalogue de classement douanier par SKU, réutilisé par les déclarations en douane
+        await client.query(`
+            CREATE TABLE product_classifications (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                sku VARCHAR(100) NOT NULL,
+                product_name VARCHAR(255),
+                hs_code VARCHAR(14) NOT NULL,
+                country_of_origin VARCHAR(2),
+                material VARCHAR(50),
+                customs_description VARCHAR(255),
+                confidence DECIMAL(4, 3) DEFAULT 0,
+                matched_on JSONB DEFAULT '[]',
+                source VARCHAR(20) DEFAULT 'manual',
+                status VARCHAR(20) DEFAULT 'approved',
+                reviewed_by UUID,
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (organization_id, sku)
+            )
+        `);
+        await client.query('CREATE INDEX idx_product_classifications_review ON product_classifications(organization_id, status, confidence)');
+
+        // Classement en masse des catalogues e-commerce (worker imports)
+        await client.query(`
+            CREATE TABLE classification_jobs (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                platform VARCHAR(50),
+                review_threshold DECIMAL(4, 3) DEFAULT 0.8,
+                status VARCHAR(20) DEFAULT 'queued',
+                total INTEGER DEFAULT 0,
+                approved INTEGER DEFAULT 0,
+                pending_review INTEGER DEFAULT 0,
+                skipped INTEGER DEFAULT 0,
+                error TEXT,
+                created_by UUID,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                started_at TIMESTAMP WITH TIME ZONE,
+                completed_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        await client.query('CREATE INDEX idx_classification_jobs_queued ON classification_jobs(status, created_at)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS classification_jobs');
+        await client.query('DROP TABLE IF EXISTS product_classifications');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '031',
+    name: 'denied_party_screening',
+
+    async up(client) {
+        // Trace de chaque contrôle des destinataires (listes de sanctions, embargos) et revue conformité
+        await client.query(`
+            CREATE TABLE denied_party_screenings (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                shipment_id UUID REFERENCES shipments(id) ON DELETE SET NULL,
+                party JSONB NOT NULL,
+                origin_country VARCHAR(2),
+                destination_country VARCHAR(2),
+                decision VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                reasons JSONB DEFAULT '[]',
+                matches JSONB DEFAULT '[]',
+                embargo JSONB,
+                lists JSONB DEFAULT '[]',
+                min_score DECIMAL(4, 3),
+                review_notes TEXT,
+                licence_number VARCHAR(100),
+                reviewed_by UUID,
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_denied_party_screenings_status ON denied_party_screenings(organization_id, status, created_at DESC)');
+        await client.query('CREATE INDEX idx_denied_party_screenings_shipment ON denied_party_screenings(shipment_id)');
+
+        // Motif de la mise en attente conformité
+        await client.query('ALTER TABLE shipments ADD COLUMN IF NOT EXISTS hold_reason TEXT');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE shipments DROP COLUMN IF EXISTS hold_reason');
+        await client.query('DROP TABLE IF EXISTS denied_party_screenings');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '032',
+    name: 'calendars',
+
+    async up(client) {
+        // Fermetures ponctuelles des entrepôts (inventaire, congés)
+        await client.query(`
+            CREATE TABLE warehouse_closures (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+                closure_date DATE NOT NULL,
+                reason TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (warehouse_id, closure_date)
+            )
+        `);
+        await client.query('CREATE INDEX idx_warehouse_closures_org ON warehouse_closures(organization_id, closure_date)');
+
+        // Exceptions aux calendriers transporteurs : jour de semaine non travaillé, jour fermé ou ouvert
+        await client.query(`
+            CREATE TABLE carrier_calendar_exceptions (
+                id UUID PRIMARY KEY,
+                organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                carrier VARCHAR(50) NOT NULL,
+                country VARCHAR(2),
+                operation VARCHAR(20) NOT NULL,
+                weekday VARCHAR(2),
+                exception_date DATE,
+                working BOOLEAN DEFAULT false,
+                reason TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX idx_carrier_calendar_exceptions_org ON carrier_calendar_exceptions(organization_id, carrier)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS carrier_calendar_exceptions');
+        await client.query('DROP TABLE IF EXISTS warehouse_closures');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '033',
+    name: 'tracking_unknown_events_organization',
+
+    async up(client) {
+        // Codes inconnus propres à chaque organisation (les mappings personnalisés le sont déjà)
+        await client.query(`
+            ALTER TABLE tracking_unknown_events
+            ADD COLUMN organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE
+        `);
+
+        // Rattachement par le numéro de suivi d'exemple ; les codes non rattachables seront recapturés
+        await client.query(`
+            UPDATE tracking_unknown_events e
+            SET organization_id = s.organization_id
+            FROM shipments s
+            WHERE s.tracking_number = e.sample_tracking_number
+        `);
+        await client.query('DELETE FROM tracking_unknown_events WHERE organization_id IS NULL');
+
+        await client.query('ALTER TABLE tracking_unknown_events ALTER COLUMN organization_id SET NOT NULL');
+        await client.query('ALTER TABLE tracking_unknown_events DROP CONSTRAINT tracking_unknown_events_carrier_event_code_key');
+        await client.query(`
+            ALTER TABLE tracking_unknown_events
+            ADD CONSTRAINT tracking_unknown_events_org_carrier_event_code_key UNIQUE (organization_id, carrier, event_code)
+        `);
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE tracking_unknown_events DROP CONSTRAINT IF EXISTS tracking_unknown_events_org_carrier_event_code_key');
+        await client.query(`
+            DELETE FROM tracking_unknown_events e
+            USING tracking_unknown_events d
+            WHERE e.carrier = d.carrier AND e.event_code = d.event_code AND e.first_seen_at > d.first_seen_at
+        `);
+        await client.query('ALTER TABLE tracking_unknown_events DROP COLUMN IF EXISTS organization_id');
+        await client.query('ALTER TABLE tracking_unknown_events ADD CONSTRAINT tracking_unknown_events_carrier_event_code_key UNIQUE (carrier, event_code)');
+    }
+});
+
+migrationManager.registerMigration({
+    version: '034',
+    name: 'manifests_warehouse_reference',
+
+    async up(client) {
+        // Entrepôt du manifeste : référence réelle à warehouses (VARCHAR libre en 011)
+        await client.query(`
+            UPDATE manifests m SET warehouse_id = NULL
+            WHERE warehouse_id IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM warehouses w WHERE w.id::text = m.warehouse_id)
+        `);
+        await client.query('ALTER TABLE manifests ALTER COLUMN warehouse_id TYPE UUID USING warehouse_id::uuid');
+        await client.query(`
+            ALTER TABLE manifests
+            ADD CONSTRAINT manifests_warehouse_id_fkey FOREIGN KEY (warehouse_id) REFERENCES warehouses(id)
+        `);
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE manifests DROP CONSTRAINT IF EXISTS manifests_warehouse_id_fkey');
+        await client.query('ALTER TABLE manifests ALTER COLUMN warehouse_id TYPE VARCHAR(100)');
+    }
+});
+
 // ============================================
 // CLI COMMANDS
 // ============================================
@@ -116,6 +116,25 @@ CREATE TABLE IF NOT EXISTS returns_portal_settings (
     -- Refund Options
     refund_methods TEXT[] DEFAULT ARRAY['original_payment', 'store_credit'],
     default_refund_method VARCHAR(50) DEFAULT 'original_payment',
+
+    -- Exchanges (instant: shipped before the original is received, against a card hold)
+    allow_exchange BOOLEAN DEFAULT true,
+    instant_exchange BOOLEAN DEFAULT false,
+
+    -- Fraud scoring (0-100: manual review, then block above the thresholds)
+    fraud_scoring_enabled BOOLEAN DEFAULT true,
+    fraud_review_threshold INTEGER DEFAULT 40,
+    fraud_block_threshold INTEGER DEFAULT 80,
+    fraud_high_value_amount DECIMAL(10, 2) DEFAULT 300,
+
+    -- Returnless refunds (keep it / donate): eligibility rules and costs avoided per return
+    returnless_enabled BOOLEAN DEFAULT false,
+    returnless_max_item_value DECIMAL(10, 2) DEFAULT 15,
+    returnless_reasons TEXT[] DEFAULT ARRAY['DEFECTIVE', 'DAMAGED', 'DAMAGED_SHIPPING', 'WRONG_ITEM', 'MISSING_PARTS'],
+    returnless_max_per_year INTEGER DEFAULT 2,
+    returnless_options TEXT[] DEFAULT ARRAY['keep', 'donate'],
+    return_label_cost DECIMAL(10, 2) DEFAULT 6.5,
+    return_handling_cost DECIMAL(10, 2) DEFAULT 3,
     
     -- QR Code / Paperless
     enable_qr_code BOOLEAN DEFAULT true,
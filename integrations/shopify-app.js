@@ -56,6 +56,9 @@ const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
 const { Pool } = require('pg');
+const { AddressValidationService } = require('../services/address-validation');
+const { AutomationRulesService, ON_HOLD_STATUS } = require('../services/automation-rules');
+const { DeniedPartyScreeningService, COMPLIANCE_HOLD_STATUS } = require('../services/denied-party-screening');
 
 const db = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -70,6 +73,7 @@ class ShopifyApp {
         };
         
         this.router = express.Router();
+        this.addressValidation = new AddressValidationService({ db });
         this.setupRoutes();
     }
 
@@ -360,7 +364,7 @@ class ShopifyApp {
             created_at: orderData.created_at
         };
 
-        await db.query(`
+        const result = await db.query(`
             INSERT INTO orders (
                 organization_id, external_id, external_platform, order_number,
                 customer_email, customer_name, customer_phone,
@@ -369,9 +373,10 @@ class ShopifyApp {
                 tags, note, external_created_at, created_at
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, NOW())
             ON CONFLICT (organization_id, external_id, external_platform) DO UPDATE SET
-                status = EXCLUDED.status,
+                status = CASE WHEN orders.status = '${ON_HOLD_STATUS}' THEN orders.status ELSE EXCLUDED.status END,
                 financial_status = EXCLUDED.financial_status,
                 updated_at = NOW()
+            RETURNING *, (xmax = 0) AS inserted
         `, [
             order.organization_id, order.external_id, order.external_platform, order.order_number,
             order.customer_email, order.customer_name, order.customer_phone,
@@ -380,15 +385,22 @@ class ShopifyApp {
             order.total_weight, order.status, order.financial_status,
             order.shipping_method, order.carrier, order.tags, order.note, order.created_at
         ]);
+
+        // Règles d'automatisation à la première réception uniquement (webhook rejoué = mise à jour)
+        const imported = result.rows[0];
+        if (imported?.inserted) {
+            await new AutomationRulesService({ db }).applyToOrder(order.organization_id, imported);
+        }
     }
 
     async handleOrderUpdate(shop, orderData) {
         const shopInfo = await this.getShopByDomain(shop);
         if (!shopInfo) return;
 
+        // Commande mise en attente par une règle : seule une libération explicite la remet en préparation
         await db.query(`
             UPDATE orders SET
-                status = $1,
+                status = CASE WHEN status = '${ON_HOLD_STATUS}' THEN status ELSE $1 END,
                 financial_status = $2,
                 updated_at = NOW()
             WHERE organization_id = $3 
@@ -492,15 +504,29 @@ class ShopifyApp {
                 return sum + (item.price / 100) * item.quantity;
             }, 0);
 
+            // Destination normalisée ; pas de tarif pour un code postal inexistant
+            // ou incohérent avec la ville, le client corrige son adresse au checkout
+            const destination = await this.addressValidation.validate({
+                address1: rate.destination.address1,
+                city: rate.destination.city,
+                postalCode: rate.destination.postal_code,
+                country: rate.destination.country
+            });
+            const postalErrors = destination.errors.filter(e => !['MISSING_STREET', 'MISSING_CITY'].includes(e.code));
+
+            if (postalErrors.length > 0) {
+                return res.json({ rates: [] });
+            }
+
             // Get dynamic checkout options
             const { DynamicCheckoutService } = require('./dynamic-checkout');
             const checkoutService = new DynamicCheckoutService();
             
             const options = await checkoutService.getShippingOptions({
                 orgId: shopInfo.organization_id,
-                country: rate.destination.country,
-                postalCode: rate.destination.postal_code,
-                city: rate.destination.city,
+                country: destination.address.country,
+                postalCode: destination.address.postalCode,
+                city: destination.address.city,
                 weight: totalWeight,
                 cartValue,
                 includePickupPoints: settings.enable_pickup_points !== false
@@ -526,8 +552,8 @@ class ShopifyApp {
                     service_code: option.serviceId,
                     total_price: Math.round(option.price * 100).toString(), // In cents
                     currency: options.currency || 'EUR',
-                    min_delivery_date: this.calculateDeliveryDate(option.deliveryDays.min),
-                    max_delivery_date: this.calculateDeliveryDate(option.deliveryDays.max),
+                    min_delivery_date: this.calculateDeliveryDate(option.deliveryDays.estimatedMinDate),
+                    max_delivery_date: this.calculateDeliveryDate(option.deliveryDays.estimatedMaxDate),
                     description: option.description || ''
                 });
             }
@@ -539,10 +565,9 @@ class ShopifyApp {
         return rates;
     }
 
-    calculateDeliveryDate(days) {
-        const date = new Date();
-        date.setDate(date.getDate() + days);
-        return date.toISOString();
+    // Dates promises par le checkout (heure limite, calendriers transporteur et jours fériés)
+    calculateDeliveryDate(day) {
+        return new Date(`${day}T00:00:00Z`).toISOString();
     }
 
     // ----------------------------------------
@@ -636,27 +661,53 @@ class ShopifyApp {
             `, [req.shopInfo.organization_id, id]).then(r => r.rows[0] || {});
 
             if (routzOrderId) {
-                // Create shipment via Routz
-                const shipmentResult = await db.query(`
-                    INSERT INTO shipments (
-                        organization_id, order_id, carrier, service,
-                        recipient_name, recipient_address1, recipient_city,
-                        recipient_postal_code, recipient_country, recipient_email,
-                        status, created_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW())
-                    RETURNING *
-                `, [
-                    req.shopInfo.organization_id,
-                    routzOrderId,
-                    carrier,
-                    service,
-                    `${order.shipping_address.first_name} ${order.shipping_address.last_name}`,
-                    order.shipping_address.address1,
-                    order.shipping_address.city,
-                    order.shipping_address.zip,
-                    order.shipping_address.country_code,
-                    order.email
-                ]);
+                // Create shipment via Routz (contrôle export dans la même transaction)
+                const client = await db.connect();
+                let compliance;
+
+                try {
+                    await client.query('BEGIN');
+
+                    const shipmentResult = await client.query(`
+                        INSERT INTO shipments (
+                            organization_id, order_id, carrier, service,
+                            recipient_name, recipient_address1, recipient_city,
+                            recipient_postal_code, recipient_country, recipient_email,
+                            status, created_at
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW())
+                        RETURNING *
+                    `, [
+                        req.shopInfo.organization_id,
+                        routzOrderId,
+                        carrier,
+                        service,
+                        `${order.shipping_address.first_name} ${order.shipping_address.last_name}`,
+                        order.shipping_address.address1,
+                        order.shipping_address.city,
+                        order.shipping_address.zip,
+                        order.shipping_address.country_code,
+                        order.email
+                    ]);
+
+                    compliance = await new DeniedPartyScreeningService({ db: client })
+                        .screenShipment(req.shopInfo.organization_id, shipmentResult.rows[0]);
+
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw error;
+                } finally {
+                    client.release();
+                }
+
+                // Hors UE : pas d'exécution Shopify tant que la conformité n'a pas levé l'attente
+                if (compliance?.shipment.status === COMPLIANCE_HOLD_STATUS) {
+                    return res.status(409).json({
+                        error: 'Shipment is on compliance hold',
+                        screening_id: compliance.screening.id,
+                        reasons: compliance.screening.reasons
+                    });
+                }
 
                 // Generate label via carrier API
                 // const label = await generateLabel(shipmentResult.rows[0]);
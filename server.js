@@ -21,6 +21,7 @@ const { v4: uuidv4 } = require('uuid');
 // Import existing routes
 const trackingRoutes = require('./api-routes');
 const servicePointRoutes = require('./service-point-routes');
+const deliveryPromiseRoutes = require('./delivery-promise-routes');
 
 // Shopify integration (conditional)
 let shopifyApp = null;
@@ -259,6 +260,7 @@ app.get('/api', (req, res) => {
 
 app.use('/', trackingRoutes);
 app.use('/', servicePointRoutes);
+app.use('/', deliveryPromiseRoutes);
 
 // Shopify routes
 if (shopifyApp) {
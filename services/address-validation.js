@@ -0,0 +1,441 @@
+/**
+ * Routz v4.0 - Address Validation Service
+ * Normalisation des adresses par pays (voie, ville, code postal), contrôle de
+ * cohérence code postal / ville sur référentiel et suggestions de correction
+ */
+
+const { POSTAL_FORMATS, POSTAL_REFERENCE, SUPPORTED_COUNTRIES } = require('./postal-reference');
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Au-delà de ce score, une ville mal orthographiée est corrigée d'office
+const AUTO_CORRECT_SIMILARITY = 0.8;
+const MAX_SUGGESTIONS = 5;
+
+// Norme AFNOR NF Z10-011 : 38 caractères par ligne, abréviations si dépassement
+const AFNOR_LINE_LENGTH = 38;
+const AFNOR_ABBREVIATIONS = {
+    ALLEE: 'ALL', AVENUE: 'AV', BOULEVARD: 'BD', CHEMIN: 'CHE', CHAUSSEE: 'CHS',
+    FAUBOURG: 'FG', IMPASSE: 'IMP', LOTISSEMENT: 'LOT', PASSAGE: 'PAS', PLACE: 'PL',
+    QUAI: 'QU', RESIDENCE: 'RES', ROUTE: 'RTE', SQUARE: 'SQ', SAINT: 'ST', SAINTE: 'STE'
+};
+
+// Abréviations courantes développées à la saisie
+const STREET_EXPANSIONS = {
+    DE: [[/(\p{L})str\.(?=\s|$)/giu, '$1straße'], [/\bStr\.(?=\s|$)/g, 'Straße']],
+    NL: [[/(\p{L})str\.(?=\s|$)/giu, '$1straat']],
+    ES: [[/^C\/\s*/i, 'Calle '], [/^Avda\.?\s+/i, 'Avenida '], [/^Pza\.?\s+/i, 'Plaza ']],
+    IT: [[/^V\.le\s*/i, 'Viale '], [/^P\.(?:zza|za)\s*/i, 'Piazza '], [/^C\.so\s*/i, 'Corso '], [/^V\.\s*/i, 'Via ']]
+};
+
+const COUNTRY_PREFIXES = /^(FR|F|BE|B|DE|D|ES|E|IT|I|NL)-/;
+
+class AddressValidationError extends Error {
+    constructor(message, code, errors = [], suggestions = []) {
+        super(message);
+        this.name = 'AddressValidationError';
+        this.code = code;
+        this.status = 422;
+        this.errors = errors;
+        this.suggestions = suggestions;
+    }
+}
+
+// ==========================================
+// TEXT HELPERS
+// ==========================================
+
+function stripAccents(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Clé de comparaison d'une ville : majuscules, sans accents ni ponctuation, ST -> SAINT
+ */
+function toCityKey(value) {
+    return stripAccents(String(value || ''))
+        .toUpperCase()
+        .replace(/ß/g, 'SS')
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .map(word => (word === 'ST' ? 'SAINT' : word === 'STE' ? 'SAINTE' : word))
+        .join(' ');
+}
+
+function toAfnor(value) {
+    return stripAccents(String(value || ''))
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .trim();
+}
+
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// ==========================================
+// ADDRESS VALIDATION SERVICE
+// ==========================================
+
+class AddressValidationService {
+    constructor(config = {}) {
+        this.db = config.db || null;
+        this.reference = config.reference || POSTAL_REFERENCE;
+        this.cache = new Map();
+    }
+
+    // ----------------------------------------
+    // VALIDATION
+    // ----------------------------------------
+
+    /**
+     * Valider et normaliser une adresse
+     * status : valid (cohérente avec le référentiel), corrected (corrigée d'office),
+     * unverified (format correct, absente du référentiel), invalid
+     */
+    async validate(address = {}) {
+        const input = this.readAddress(address);
+        const errors = [];
+        const corrections = [];
+        let suggestions = [];
+        let verified = false;
+
+        if (!input.address1) errors.push({ field: 'address1', code: 'MISSING_STREET', message: 'Street address is required' });
+        if (!input.city) errors.push({ field: 'city', code: 'MISSING_CITY', message: 'City is required' });
+
+        if (!SUPPORTED_COUNTRIES.includes(input.country)) {
+            return this.buildResult(input, { errors, corrections, suggestions, verified });
+        }
+
+        const normalized = {
+            ...input,
+            address1: this.normalizeStreet(input.country, input.address1),
+            address2: input.address2 ? this.normalizeStreet(input.country, input.address2) : '',
+            city: this.normalizeCity(input.country, input.city),
+            postalCode: this.normalizePostalCode(input.country, input.postalCode)
+        };
+
+        if (normalized.postalCode.replace(/\s/g, '') !== input.postalCode.toUpperCase().replace(/\s/g, '')) {
+            corrections.push({ field: 'postalCode', from: input.postalCode, to: normalized.postalCode });
+        }
+
+        const format = POSTAL_FORMATS[input.country];
+        if (!format.pattern.test(normalized.postalCode) || !format.inRange(normalized.postalCode)) {
+            errors.push({
+                field: 'postalCode',
+                code: 'INVALID_POSTAL_CODE',
+                message: `Invalid postal code for ${input.country} (expected format: ${format.example})`
+            });
+        } else if (normalized.city && !this.isCedex(input.country, normalized.city)) {
+            const check = await this.checkPostalCity(input.country, normalized.postalCode, normalized.city);
+            verified = check.verified;
+            suggestions = check.suggestions;
+
+            if (check.error) {
+                errors.push(check.error);
+            } else if (check.city) {
+                if (toCityKey(check.city) !== toCityKey(normalized.city)) {
+                    corrections.push({ field: 'city', from: input.city, to: check.city });
+                }
+                normalized.city = check.city;
+            }
+        }
+
+        return this.buildResult(normalized, { errors, corrections, suggestions, verified });
+    }
+
+    /**
+     * Valider en levant une AddressValidationError si l'adresse est invalide
+     */
+    async assertValid(address) {
+        const result = await this.validate(address);
+        if (!result.valid) {
+            throw new AddressValidationError('Address validation failed', 'INVALID_ADDRESS', result.errors, result.suggestions);
+        }
+        return result;
+    }
+
+    buildResult(address, { errors, corrections, suggestions, verified }) {
+        let status = 'unverified';
+        if (errors.length > 0) status = 'invalid';
+        else if (corrections.length > 0) status = 'corrected';
+        else if (verified) status = 'valid';
+
+        return {
+            valid: errors.length === 0,
+            status,
+            address,
+            corrections,
+            errors,
+            suggestions: suggestions.slice(0, MAX_SUGGESTIONS)
+        };
+    }
+
+    /**
+     * Cohérence code postal / ville : ville exacte, correction d'une faute
+     * de frappe, ou erreur avec suggestions
+     */
+    async checkPostalCity(country, postalCode, city) {
+        const lookup = await this.lookupPostalCode(country, postalCode);
+        const cityKey = toCityKey(city);
+
+        if (lookup.cities.length === 0) {
+            if (!lookup.complete) return { verified: false, suggestions: [] };
+
+            return {
+                verified: false,
+                suggestions: await this.findPostalCodes(country, city),
+                error: { field: 'postalCode', code: 'UNKNOWN_POSTAL_CODE', message: `Postal code ${postalCode} does not exist` }
+            };
+        }
+
+        const scored = lookup.cities.map(entry => {
+            const names = [entry.city, ...(entry.aliases || [])];
+            const exact = names.find(name => toCityKey(name) === cityKey);
+            return {
+                city: entry.city,
+                // Une variante officielle (Brussel, Koeln...) est conservée telle quelle
+                match: exact || entry.city,
+                score: exact ? 1 : Math.max(...names.map(name => similarity(cityKey, toCityKey(name))))
+            };
+        }).sort((a, b) => b.score - a.score);
+
+        if (scored[0].score >= AUTO_CORRECT_SIMILARITY) {
+            return { verified: true, city: scored[0].match, suggestions: [] };
+        }
+
+        const byCity = await this.findPostalCodes(country, city);
+        return {
+            verified: false,
+            suggestions: [
+                ...scored.map(entry => ({ postalCode, city: entry.city })),
+                ...byCity
+            ],
+            error: {
+                field: 'city',
+                code: 'CITY_MISMATCH',
+                message: `City ${city} does not match postal code ${postalCode}`
+            }
+        };
+    }
+
+    // ----------------------------------------
+    // NORMALIZATION
+    // ----------------------------------------
+
+    readAddress(address) {
+        return {
+            address1: String(address.address1 || address.line1 || address.street || '').replace(/\s+/g, ' ').trim(),
+            address2: String(address.address2 || address.line2 || '').replace(/\s+/g, ' ').trim(),
+            city: String(address.city || '').replace(/\s+/g, ' ').trim(),
+            postalCode: String(address.postalCode || address.postal_code || address.zip || '').trim(),
+            country: String(address.country || address.countryCode || address.country_code || 'FR').toUpperCase()
+        };
+    }
+
+    normalizePostalCode(country, value) {
+        const format = POSTAL_FORMATS[country];
+        let postalCode = String(value || '').toUpperCase().trim()
+            .replace(COUNTRY_PREFIXES, '')
+            .replace(/[\s-]/g, '');
+
+        if (country === 'NL') {
+            return postalCode.replace(/^(\d{4})([A-Z]{2})$/, '$1 $2');
+        }
+
+        // Zéros initiaux perdus par un tableur (ex : 1000 -> 01000, 184 -> 00184)
+        if (/^\d{3,}$/.test(postalCode) && postalCode.length < format.digits) {
+            postalCode = postalCode.padStart(format.digits, '0');
+        }
+        return postalCode;
+    }
+
+    normalizeStreet(country, street) {
+        if (country === 'FR') {
+            const line = toAfnor(street);
+            if (line.length <= AFNOR_LINE_LENGTH) return line;
+
+            return line.split(' ').map(word => AFNOR_ABBREVIATIONS[word] || word).join(' ');
+        }
+
+        return (STREET_EXPANSIONS[country] || [])
+            .reduce((line, [pattern, replacement]) => line.replace(pattern, replacement), street);
+    }
+
+    normalizeCity(country, city) {
+        return country === 'FR' ? toAfnor(city) : city;
+    }
+
+    isCedex(country, city) {
+        return country === 'FR' && /\bCEDEX\b/.test(city);
+    }
+
+    // ----------------------------------------
+    // REFERENCE LOOKUPS
+    // ----------------------------------------
+
+    /**
+     * Villes d'un code postal : référentiel importé en base s'il couvre le pays,
+     * sinon référentiel embarqué (partiel, une absence n'est pas une erreur)
+     */
+    async lookupPostalCode(country, postalCode) {
+        if (await this.hasImportedReference(country)) {
+            const result = await this.db.query(
+                'SELECT city FROM postal_codes WHERE country = $1 AND postal_code = $2',
+                [country, postalCode]
+            );
+            return { complete: true, cities: result.rows };
+        }
+
+        const key = this.referenceKey(country, postalCode);
+        const cities = (this.reference[country] || [])
+            .filter(([from, to]) => key >= from && key <= to)
+            .map(([, , city, aliases]) => ({ city, aliases }));
+
+        return { complete: false, cities };
+    }
+
+    /**
+     * Codes postaux connus pour une ville (suggestions)
+     */
+    async findPostalCodes(country, city) {
+        const cityKey = toCityKey(city);
+
+        if (await this.hasImportedReference(country)) {
+            const result = await this.db.query(`
+                SELECT postal_code, city FROM postal_codes
+                WHERE country = $1 AND city_key = $2
+                ORDER BY postal_code
+                LIMIT ${MAX_SUGGESTIONS}
+            `, [country, cityKey]);
+            return result.rows.map(row => ({ postalCode: row.postal_code, city: row.city }));
+        }
+
+        return (this.reference[country] || [])
+            .filter(([, , name, aliases]) => [name, ...aliases].some(n => toCityKey(n) === cityKey))
+            .map(([from, , name]) => ({ postalCode: from, city: name }));
+    }
+
+    referenceKey(country, postalCode) {
+        return country === 'NL' ? postalCode.substring(0, 4) : postalCode;
+    }
+
+    async hasImportedReference(country) {
+        if (!this.db) return false;
+
+        const cacheKey = `coverage:${country}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const result = await this.db.query(
+            'SELECT EXISTS (SELECT 1 FROM postal_codes WHERE country = $1) AS covered',
+            [country]
+        );
+        const value = Boolean(result.rows[0]?.covered);
+
+        this.cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL });
+        return value;
+    }
+
+    // ----------------------------------------
+    // IMPORT
+    // ----------------------------------------
+
+    /**
+     * Importer le référentiel complet d'un pays (export GeoNames « postal codes » :
+     * pays, code postal, localité, ... séparés par des tabulations)
+     */
+    async importGeoNames(country, content) {
+        if (!SUPPORTED_COUNTRIES.includes(country)) {
+            throw new AddressValidationError(`Unsupported country: ${country}`, 'UNSUPPORTED_COUNTRY');
+        }
+
+        const rows = new Map();
+        for (const line of content.split(/\r?\n/)) {
+            const [lineCountry, rawCode, city] = line.split('\t');
+            if (lineCountry !== country || !rawCode || !city) continue;
+
+            const postalCode = this.normalizePostalCode(country, rawCode);
+            const cityName = this.normalizeCity(country, city);
+            rows.set(`${postalCode}|${toCityKey(cityName)}`, { postalCode, city: cityName });
+        }
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM postal_codes WHERE country = $1', [country]);
+
+            for (const row of rows.values()) {
+                await client.query(`
+                    INSERT INTO postal_codes (country, postal_code, city, city_key)
+                    VALUES ($1, $2, $3, $4)
+                `, [country, row.postalCode, row.city, toCityKey(row.city)]);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        this.cache.clear();
+        return rows.size;
+    }
+}
+
+// ============================================
+// CLI
+// ============================================
+
+async function runCLI() {
+    const { Pool } = require('pg');
+    const fs = require('fs');
+    const [command, country, file] = process.argv.slice(2);
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+    try {
+        if (command !== 'import' || !country || !file) {
+            console.log('Usage: node address-validation.js import <COUNTRY> <geonames-file.txt>');
+            return;
+        }
+
+        const service = new AddressValidationService({ db: pool });
+        const count = await service.importGeoNames(country.toUpperCase(), fs.readFileSync(file, 'utf8'));
+        console.log(`  ✓ ${country.toUpperCase()}: ${count} postal code / city pairs`);
+    } catch (error) {
+        console.error('Import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    runCLI();
+}
+
+module.exports = {
+    AddressValidationService,
+    AddressValidationError,
+    toCityKey,
+    SUPPORTED_COUNTRIES
+};
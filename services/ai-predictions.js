@@ -3,6 +3,8 @@
  * Machine Learning pour prédictions logistiques
  */
 
+const { carrierCalendar, toDay } = require('./calendar');
+
 class AIPredictionService {
     constructor(config = {}) {
         this.modelVersion = '1.0.0';
@@ -69,7 +71,7 @@ class AIPredictionService {
             minDays: Math.max(1, Math.floor(adjustedDays * 0.8)),
             maxDays: Math.ceil(adjustedDays * 1.3),
             confidence: this.calculateConfidence(factors),
-            estimatedDeliveryDate: this.calculateDeliveryDate(shipDate, Math.round(adjustedDays)),
+            estimatedDeliveryDate: this.calculateDeliveryDate(shipDate, Math.round(adjustedDays), { carrier, country: destinationCountry }),
             factors: {
                 carrierPerformance: factors.carrierScore,
                 routeEfficiency: factors.routeScore,
@@ -224,19 +226,11 @@ class AIPredictionService {
         return Math.round(avgScore * 100);
     }
 
-    calculateDeliveryDate(shipDate, days) {
-        const date = new Date(shipDate);
-        let addedDays = 0;
-        
-        while (addedDays < days) {
-            date.setDate(date.getDate() + 1);
-            const dayOfWeek = date.getDay();
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Skip weekends
-                addedDays++;
-            }
-        }
-        
-        return date.toISOString().split('T')[0];
+    /**
+     * Jours de distribution du transporteur dans le pays de destination (week-ends et fériés exclus)
+     */
+    calculateDeliveryDate(shipDate, days, { carrier, country = 'FR' } = {}) {
+        return carrierCalendar(carrier, country, 'delivery').addWorkingDays(toDay(shipDate), days);
     }
 
     generateRecommendations(factors, carrier, service) {
@@ -0,0 +1,531 @@
+/**
+ * Routz v4.0 - Automation Rules Service
+ * Règles d'automatisation évaluées à l'import des commandes : transporteur, assurance,
+ * signature, emballage, mise en attente, découpage. Simulation et historique des décisions
+ */
+
+// Champs de commande utilisables dans les conditions
+const CONDITION_FIELDS = {
+    country: (order) => order.shipping_address?.country || order.shipping_country,
+    postal_code: (order) => order.shipping_address?.postalCode || order.shipping_address?.postal_code || order.shipping_postal_code,
+    weight: (order) => orderWeight(order),
+    sku: (order) => (order.items || []).map(item => item.sku).filter(Boolean),
+    tags: (order) => orderTags(order),
+    total_value: (order) => order.total !== undefined && order.total !== null ? parseFloat(order.total) : undefined,
+    item_count: (order) => (order.items || []).reduce((sum, item) => sum + (parseInt(item.quantity) || 1), 0),
+    channel: (order) => order.external_platform || order.source,
+    shipping_method: (order) => order.shipping_method
+};
+
+const OPERATORS = [
+    'equals', 'not_equals', 'in', 'not_in', 'starts_with',
+    'greater_than', 'less_than', 'between',
+    'contains', 'contains_any', 'not_contains'
+];
+
+const ACTION_TYPES = {
+    set_carrier: { attribute: 'carrier', required: ['carrier'] },
+    add_insurance: { attribute: 'insurance', required: [] },
+    require_signature: { attribute: 'signature', required: [] },
+    set_packaging: { attribute: 'packaging', required: ['packaging'] },
+    hold: { attribute: 'hold', required: [] },
+    split: { attribute: 'split', required: [] }
+};
+
+// Statut d'une commande bloquée par une règle « hold »
+const ON_HOLD_STATUS = 'on_hold';
+
+class AutomationRuleError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'AutomationRuleError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// ==========================================
+// CONDITIONS
+// ==========================================
+
+function orderWeight(order) {
+    if (order.total_weight !== undefined && order.total_weight !== null) return parseFloat(order.total_weight);
+    if (!order.items?.length) return undefined;
+    return order.items.reduce((sum, item) => sum + (parseFloat(item.weight) || 0) * (parseInt(item.quantity) || 1), 0);
+}
+
+function orderTags(order) {
+    if (Array.isArray(order.tags)) return order.tags;
+    // Shopify : tags séparés par des virgules
+    return String(order.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Évaluer une condition { operator, target } ; pour les champs multi-valués
+ * (sku, tags), equals / in portent sur au moins une valeur
+ */
+function evaluateCondition(value, condition) {
+    const { operator, target } = condition;
+
+    if (Array.isArray(value)) {
+        const targets = Array.isArray(target) ? target : [target];
+        switch (operator) {
+            case 'equals':
+            case 'contains': return targets.every(t => value.includes(t));
+            case 'in':
+            case 'contains_any': return targets.some(t => value.includes(t));
+            case 'not_equals':
+            case 'not_in':
+            case 'not_contains': return !targets.some(t => value.includes(t));
+            case 'starts_with': return value.some(v => String(v).startsWith(target));
+            default: return false;
+        }
+    }
+
+    if (value === undefined || value === null) {
+        return ['not_equals', 'not_in', 'not_contains'].includes(operator);
+    }
+
+    switch (operator) {
+        case 'equals': return value === target;
+        case 'not_equals': return value !== target;
+        case 'in': return target.includes(value);
+        case 'not_in': return !target.includes(value);
+        case 'starts_with': return String(value).startsWith(target);
+        case 'greater_than': return value > target;
+        case 'less_than': return value < target;
+        case 'between': return value >= target[0] && value <= target[1];
+        case 'contains': return String(value).includes(target);
+        case 'contains_any': return target.some(t => String(value).includes(t));
+        case 'not_contains': return !String(value).includes(target);
+        default: return false;
+    }
+}
+
+/**
+ * Erreurs de validation des conditions ({ field, message }) : champ, opérateur et type de la cible
+ */
+function conditionErrors(conditions = {}) {
+    const errors = [];
+    const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+
+    for (const [field, condition] of Object.entries(conditions || {})) {
+        const target = condition?.target;
+        let message = null;
+
+        if (!CONDITION_FIELDS[field]) {
+            message = `Unknown field ${field}`;
+        } else if (!OPERATORS.includes(condition?.operator)) {
+            message = `Unknown operator ${condition?.operator}`;
+        } else if (target === undefined) {
+            message = 'Target is required';
+        } else if (['in', 'not_in', 'contains_any'].includes(condition.operator) && !Array.isArray(target)) {
+            message = `Target of ${condition.operator} must be an array`;
+        } else if (condition.operator === 'between' && !(Array.isArray(target) && target.length === 2 && target.every(isNumber))) {
+            message = 'Target of between must be an array of two numbers [min, max]';
+        } else if (['greater_than', 'less_than'].includes(condition.operator) && !isNumber(target)) {
+            message = `Target of ${condition.operator} must be a number`;
+        }
+
+        if (message) errors.push({ field: `conditions.${field}`, message });
+    }
+
+    return errors;
+}
+
+// ==========================================
+// AUTOMATION RULES SERVICE
+// ==========================================
+
+class AutomationRulesService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    // ----------------------------------------
+    // EVALUATION
+    // ----------------------------------------
+
+    /**
+     * Évaluer les règles actives par priorité décroissante.
+     * Toutes les règles correspondantes s'appliquent ; en cas de conflit,
+     * la règle la plus prioritaire l'emporte. stop_processing arrête l'évaluation
+     */
+    evaluate(order, rules) {
+        const sorted = [...rules]
+            .filter(rule => rule.active !== false)
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+        const actions = {};
+        const appliedBy = {};
+        const matchedRules = [];
+        const trace = [];
+
+        for (const rule of sorted) {
+            // Règle invalide (enregistrée avant la validation des cibles) : ignorée, l'import continue
+            const errors = conditionErrors(rule.conditions);
+            if (errors.length > 0) {
+                trace.push({ ruleId: rule.id, name: rule.name, priority: rule.priority || 0, matched: false, skipped: true, errors });
+                continue;
+            }
+
+            const conditions = this.explainRule(order, rule);
+            const matched = conditions.every(c => c.passed);
+            trace.push({ ruleId: rule.id, name: rule.name, priority: rule.priority || 0, matched, conditions });
+
+            if (!matched) continue;
+
+            matchedRules.push({ id: rule.id, name: rule.name, priority: rule.priority || 0 });
+
+            for (const action of rule.actions || []) {
+                const { attribute } = ACTION_TYPES[action.type] || {};
+                if (!attribute || attribute in actions) continue;
+
+                const value = this.resolveAction(order, action);
+                if (attribute === 'carrier') {
+                    actions.carrier = value.carrier;
+                    if (value.service) actions.service = value.service;
+                } else {
+                    actions[attribute] = value;
+                }
+                appliedBy[attribute] = rule.id;
+            }
+
+            if (rule.stop_processing) break;
+        }
+
+        return {
+            matched: matchedRules.length > 0,
+            matchedRules,
+            actions,
+            appliedBy,
+            trace
+        };
+    }
+
+    /**
+     * Détail de chaque condition d'une règle (valeur lue, résultat)
+     */
+    explainRule(order, rule) {
+        return Object.entries(rule.conditions || {}).map(([field, condition]) => {
+            const value = this.getOrderField(order, field);
+            return {
+                field,
+                operator: condition.operator,
+                target: condition.target,
+                value: value === undefined ? null : value,
+                passed: evaluateCondition(value, condition)
+            };
+        });
+    }
+
+    getOrderField(order, field) {
+        const read = CONDITION_FIELDS[field];
+        return read ? read(order) : undefined;
+    }
+
+    resolveAction(order, action) {
+        const params = action.params || {};
+
+        switch (action.type) {
+            case 'set_carrier':
+                return { carrier: params.carrier, service: params.service || null };
+            case 'add_insurance':
+                // Sans montant : valeur de la commande
+                return parseFloat(params.amount ?? order.total ?? 0);
+            case 'require_signature':
+                return true;
+            case 'set_packaging':
+                return params.packaging;
+            case 'hold':
+                return { reason: params.reason || 'Held for review' };
+            case 'split':
+                return this.splitItems(order.items || [], params);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Découper les articles en envois : une ligne par SKU (by: 'sku')
+     * ou par lots de maxItems unités
+     */
+    splitItems(items, { by, maxItems } = {}) {
+        if (by === 'sku') {
+            return items.map(item => [item]);
+        }
+
+        const limit = parseInt(maxItems) || 1;
+        const groups = [];
+        let current = [];
+        let count = 0;
+
+        for (const item of items) {
+            let remaining = parseInt(item.quantity) || 1;
+            while (remaining > 0) {
+                if (count === limit) {
+                    groups.push(current);
+                    current = [];
+                    count = 0;
+                }
+                const quantity = Math.min(remaining, limit - count);
+                current.push({ ...item, quantity });
+                count += quantity;
+                remaining -= quantity;
+            }
+        }
+        if (current.length > 0) groups.push(current);
+
+        return groups;
+    }
+
+    // ----------------------------------------
+    // ORDER IMPORT
+    // ----------------------------------------
+
+    /**
+     * Appliquer les règles à une commande importée et tracer la décision
+     */
+    async applyToOrder(orgId, order) {
+        const rules = await this.getActiveRules(orgId);
+        if (rules.length === 0) return null;
+
+        const decision = this.evaluate(order, rules);
+        const { actions } = decision;
+        const shippingOptions = {};
+        if (actions.insurance !== undefined) shippingOptions.insurance = actions.insurance;
+        if (actions.signature) shippingOptions.signature = true;
+        if (actions.packaging) shippingOptions.packaging = actions.packaging;
+
+        const client = await this.db.connect();
+        let updated;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE orders
+                SET carrier = COALESCE($1, carrier),
+                    service = COALESCE($2, service),
+                    shipping_options = COALESCE(shipping_options, '{}'::jsonb) || $3::jsonb,
+                    status = CASE WHEN $4::text IS NOT NULL THEN '${ON_HOLD_STATUS}' ELSE status END,
+                    hold_reason = COALESCE($4, hold_reason),
+                    is_split = $5 OR COALESCE(is_split, false),
+                    updated_at = NOW()
+                WHERE id = $6 AND organization_id = $7
+                RETURNING *
+            `, [
+                actions.carrier || null,
+                actions.service || null,
+                JSON.stringify(shippingOptions),
+                actions.hold?.reason || null,
+                (actions.split?.length || 0) > 1,
+                order.id,
+                orgId
+            ]);
+            updated = result.rows[0];
+
+            if ((actions.split?.length || 0) > 1) {
+                for (const items of actions.split) {
+                    await client.query(`
+                        INSERT INTO order_fulfillments (order_id, warehouse_id, items, status)
+                        VALUES ($1, $2, $3, 'pending')
+                    `, [order.id, order.warehouse_id || null, JSON.stringify(items)]);
+                }
+            }
+
+            await this.saveDecision(client, orgId, order.id, decision);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return { order: updated, decision };
+    }
+
+    /**
+     * Simulation sans effet : commande existante ou fournie, règles enregistrées ou fournies
+     */
+    async simulate(orgId, { orderId, order, rules } = {}) {
+        let target = order;
+        if (orderId) {
+            const result = await this.db.query(
+                'SELECT * FROM orders WHERE id = $1 AND organization_id = $2',
+                [orderId, orgId]
+            );
+            if (result.rows.length === 0) {
+                throw new AutomationRuleError('Order not found', 'ORDER_NOT_FOUND', 404);
+            }
+            target = result.rows[0];
+        }
+        if (!target) {
+            throw new AutomationRuleError('orderId or order is required', 'ORDER_REQUIRED', 422);
+        }
+
+        const candidates = rules || await this.getActiveRules(orgId);
+        return this.evaluate(target, candidates);
+    }
+
+    /**
+     * Lever la mise en attente d'une commande
+     */
+    async releaseHold(orgId, orderId) {
+        const result = await this.db.query(`
+            UPDATE orders
+            SET status = 'pending', hold_reason = NULL, updated_at = NOW()
+            WHERE id = $1 AND organization_id = $2 AND status = '${ON_HOLD_STATUS}'
+            RETURNING *
+        `, [orderId, orgId]);
+
+        if (result.rows.length === 0) {
+            throw new AutomationRuleError('Order is not on hold', 'NOT_ON_HOLD', 409);
+        }
+        return result.rows[0];
+    }
+
+    // ----------------------------------------
+    // AUDIT TRAIL
+    // ----------------------------------------
+
+    async saveDecision(client, orgId, orderId, decision) {
+        await client.query(`
+            INSERT INTO automation_decisions (organization_id, order_id, matched_rules, actions, trace)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [
+            orgId,
+            orderId,
+            JSON.stringify(decision.matchedRules),
+            JSON.stringify({ ...decision.actions, appliedBy: decision.appliedBy }),
+            JSON.stringify(decision.trace)
+        ]);
+    }
+
+    async getDecisions(orgId, orderId) {
+        const result = await this.db.query(`
+            SELECT id, matched_rules, actions, trace, created_at
+            FROM automation_decisions
+            WHERE organization_id = $1 AND order_id = $2
+            ORDER BY created_at DESC
+        `, [orgId, orderId]);
+
+        return result.rows;
+    }
+
+    // ----------------------------------------
+    // RULES
+    // ----------------------------------------
+
+    async getActiveRules(orgId) {
+        const result = await this.db.query(`
+            SELECT * FROM automation_rules
+            WHERE organization_id = $1 AND active = true
+            ORDER BY priority DESC
+        `, [orgId]);
+
+        return result.rows;
+    }
+
+    async listRules(orgId) {
+        const result = await this.db.query(
+            'SELECT * FROM automation_rules WHERE organization_id = $1 ORDER BY priority DESC, created_at',
+            [orgId]
+        );
+        return result.rows;
+    }
+
+    async createRule(orgId, rule) {
+        const result = await this.db.query(`
+            INSERT INTO automation_rules (organization_id, name, priority, conditions, actions, stop_processing, active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            orgId,
+            rule.name,
+            rule.priority || 0,
+            JSON.stringify(rule.conditions || {}),
+            JSON.stringify(rule.actions),
+            rule.stopProcessing === true,
+            rule.active !== false
+        ]);
+
+        return result.rows[0];
+    }
+
+    async updateRule(orgId, ruleId, rule) {
+        const result = await this.db.query(`
+            UPDATE automation_rules
+            SET name = $1, priority = $2, conditions = $3, actions = $4,
+                stop_processing = $5, active = $6, updated_at = NOW()
+            WHERE id = $7 AND organization_id = $8
+            RETURNING *
+        `, [
+            rule.name,
+            rule.priority || 0,
+            JSON.stringify(rule.conditions || {}),
+            JSON.stringify(rule.actions),
+            rule.stopProcessing === true,
+            rule.active !== false,
+            ruleId,
+            orgId
+        ]);
+
+        if (result.rows.length === 0) {
+            throw new AutomationRuleError('Rule not found', 'RULE_NOT_FOUND', 404);
+        }
+        return result.rows[0];
+    }
+
+    async deleteRule(orgId, ruleId) {
+        const result = await this.db.query(
+            'DELETE FROM automation_rules WHERE id = $1 AND organization_id = $2 RETURNING id',
+            [ruleId, orgId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new AutomationRuleError('Rule not found', 'RULE_NOT_FOUND', 404);
+        }
+    }
+
+    /**
+     * Erreurs de validation d'une règle ({ field, message })
+     */
+    validateRule(rule = {}) {
+        const errors = [];
+
+        if (!rule.name) errors.push({ field: 'name', message: 'Name is required' });
+        errors.push(...conditionErrors(rule.conditions));
+
+        if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+            errors.push({ field: 'actions', message: 'At least one action is required' });
+        } else {
+            rule.actions.forEach((action, i) => {
+                const type = ACTION_TYPES[action?.type];
+                if (!type) {
+                    errors.push({ field: `actions[${i}].type`, message: `Unknown action ${action?.type}` });
+                    return;
+                }
+                for (const param of type.required) {
+                    if (!action.params?.[param]) {
+                        errors.push({ field: `actions[${i}].params.${param}`, message: `${param} is required` });
+                    }
+                }
+            });
+        }
+
+        return errors;
+    }
+}
+
+module.exports = {
+    AutomationRulesService,
+    AutomationRuleError,
+    evaluateCondition,
+    CONDITION_FIELDS,
+    OPERATORS,
+    ACTION_TYPES,
+    ON_HOLD_STATUS
+};
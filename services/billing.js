@@ -584,6 +584,28 @@ class BillingService extends EventEmitter {
         return true;
     }
 
+    /**
+     * Annuler un usage déjà comptabilisé (ex : expédition annulée),
+     * sur la période où il avait été enregistré
+     */
+    async reverseUsage(organizationId, metric, quantity = 1, occurredAt = new Date()) {
+        const date = new Date(occurredAt);
+        const periodStart = new Date(date.getFullYear(), date.getMonth(), 1);
+
+        const result = await pool.query(`
+            UPDATE usage_records SET quantity = GREATEST(0, quantity - $3)
+            WHERE organization_id = $1 AND metric = $2 AND period_start = $4
+            RETURNING quantity
+        `, [organizationId, metric, quantity, periodStart]);
+
+        if (result.rows.length === 0) return false;
+
+        const redisKey = `usage:${organizationId}:${metric}:${periodStart.toISOString().substring(0, 7)}`;
+        await redis.decrby(redisKey, quantity);
+
+        return true;
+    }
+
     async getUsage(organizationId, period = 'current') {
         let periodStart, periodEnd;
         const today = new Date();
@@ -11,6 +11,8 @@ const Redis = require('ioredis');
 const twilio = require('twilio');
 const path = require('path');
 const fs = require('fs').promises;
+const { TrackingStatusRegistry, isTrackingStatus } = require('./tracking-status');
+const { MultiParcelService } = require('./multi-parcel');
 
 // ============================================
 // CONFIGURATION
@@ -783,7 +785,8 @@ class BrandedTrackingService {
             `SELECT s.*, o.order_number, o.items as order_items, o.total as order_total
              FROM shipments s
              LEFT JOIN orders o ON s.order_id = o.id
-             WHERE s.tracking_number = $1`,
+             WHERE s.tracking_number = $1
+                OR s.id = (SELECT shipment_id FROM shipment_parcels WHERE tracking_number = $1)`,
             [trackingNumber]
         );
         return result.rows[0];
@@ -970,23 +973,58 @@ class BrandedTrackingService {
 class TrackingWebhookHandler {
     constructor(trackingService) {
         this.trackingService = trackingService;
+        this.statusRegistry = new TrackingStatusRegistry({ db });
+        this.multiParcel = new MultiParcelService({ db });
+    }
+
+    /**
+     * Normaliser un événement transporteur brut puis mettre à jour l'expédition
+     */
+    async handleCarrierEvent(shipment, carrier, eventCode, eventData = {}) {
+        const trackingNumber = eventData.trackingNumber || shipment.tracking_number;
+        let normalized = await this.statusRegistry.resolve(carrier, eventCode, {
+            orgId: shipment.organization_id,
+            trackingNumber,
+            description: eventData.description
+        });
+
+        // Multi-colis : l'événement ne vaut que pour un colis, le statut de l'expédition est consolidé
+        if (shipment.parcel_count > 1 && normalized.known) {
+            const aggregate = await this.multiParcel.updateParcelStatus(shipment.id, trackingNumber, normalized);
+            normalized = { ...normalized, status: aggregate.status, subStatus: aggregate.subStatus };
+        }
+
+        return this.handleStatusUpdate(shipment.id, normalized.status, {
+            ...eventData,
+            subStatus: normalized.subStatus,
+            carrierCode: eventCode
+        });
     }
 
     async handleStatusUpdate(shipmentId, newStatus, eventData = {}) {
-        // Update shipment status
+        // Un code non rattaché est historisé sans modifier le statut courant
+        const known = isTrackingStatus(newStatus);
+
         await db.query(`
             UPDATE shipments 
-            SET status = $1, 
+            SET status = COALESCE($1, status), 
+                sub_status = CASE WHEN $1::text IS NULL THEN sub_status ELSE $4 END,
                 last_tracking_update = NOW(),
                 tracking_events = tracking_events || $2::jsonb,
                 updated_at = NOW()
             WHERE id = $3
-        `, [newStatus, JSON.stringify([{
+        `, [known ? newStatus : null, JSON.stringify([{
             timestamp: new Date().toISOString(),
             status: newStatus,
+            subStatus: eventData.subStatus || null,
+            carrierCode: eventData.carrierCode || null,
             description: eventData.description || '',
             location: eventData.location || ''
-        }]), shipmentId]);
+        }]), shipmentId, eventData.subStatus || null]);
+
+        if (!known) {
+            return { success: true, status: null, unmapped: true };
+        }
 
         // Trigger notifications
         const notificationEvents = ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
@@ -1001,7 +1039,7 @@ class TrackingWebhookHandler {
             }
         }
 
-        return { success: true, status: newStatus };
+        return { success: true, status: newStatus, subStatus: eventData.subStatus || null };
     }
 }
 
@@ -0,0 +1,544 @@
+/**
+ * Routz v4.0 - Calendar Service
+ * Jours ouvrés : jours fériés des pays desservis (fêtes mobiles comprises), jours d'enlèvement
+ * et de distribution des transporteurs avec leurs exceptions, fermetures d'entrepôt
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONDAY_TO_FRIDAY = ['MO', 'TU', 'WE', 'TH', 'FR'];
+const MONDAY_TO_SATURDAY = [...MONDAY_TO_FRIDAY, 'SA'];
+const CARRIER_OPERATIONS = ['pickup', 'delivery'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Recherche d'un jour ouvré bornée (calendrier sans aucun jour travaillé)
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Jours fériés nationaux
+ * - fixed : dates fixes (MM-DD)
+ * - easter / orthodox : fêtes mobiles, décalage en jours depuis Pâques (grégorienne ou orthodoxe)
+ * - weekday : premier jour de semaine donné à partir d'une date (« dernier lundi de mai » : MO à partir du 25/05)
+ * - substitute : férié fixe tombant le week-end reporté au jour ouvré suivant
+ */
+const HOLIDAY_RULES = {
+    AT: { fixed: ['01-01', '01-06', '05-01', '08-15', '10-26', '11-01', '12-08', '12-25', '12-26'], easter: [1, 39, 50, 60] },
+    BE: { fixed: ['01-01', '05-01', '07-21', '08-15', '11-01', '11-11', '12-25'], easter: [1, 39, 50] },
+    BG: { fixed: ['01-01', '03-03', '05-01', '05-06', '05-24', '09-06', '09-22', '12-24', '12-25', '12-26'], orthodox: [-2, -1, 1], substitute: true },
+    CY: { fixed: ['01-01', '01-06', '03-25', '04-01', '05-01', '08-15', '10-01', '10-28', '12-25', '12-26'], orthodox: [-48, -2, 1, 50] },
+    CZ: { fixed: ['01-01', '05-01', '05-08', '07-05', '07-06', '09-28', '10-28', '11-17', '12-24', '12-25', '12-26'], easter: [-2, 1] },
+    DE: { fixed: ['01-01', '05-01', '10-03', '12-25', '12-26'], easter: [-2, 1, 39, 50] },
+    DK: { fixed: ['01-01', '12-24', '12-25', '12-26'], easter: [-3, -2, 1, 39, 50] },
+    EE: { fixed: ['01-01', '02-24', '05-01', '06-23', '06-24', '08-20', '12-24', '12-25', '12-26'], easter: [-2] },
+    ES: { fixed: ['01-01', '01-06', '05-01', '08-15', '10-12', '11-01', '12-06', '12-08', '12-25'], easter: [-2] },
+    FI: { fixed: ['01-01', '01-06', '05-01', '12-06', '12-24', '12-25', '12-26'], easter: [-2, 1, 39], weekday: [{ month: 6, day: 19, weekday: 'FR' }] },
+    FR: { fixed: ['01-01', '05-01', '05-08', '07-14', '08-15', '11-01', '11-11', '12-25'], easter: [1, 39, 50] },
+    GB: {
+        fixed: ['01-01', '12-25', '12-26'],
+        easter: [-2, 1],
+        weekday: [{ month: 5, day: 1, weekday: 'MO' }, { month: 5, day: 25, weekday: 'MO' }, { month: 8, day: 25, weekday: 'MO' }],
+        substitute: true
+    },
+    GR: { fixed: ['01-01', '01-06', '03-25', '05-01', '08-15', '10-28', '12-25', '12-26'], orthodox: [-48, -2, 1, 50] },
+    HR: { fixed: ['01-01', '01-06', '05-01', '05-30', '06-22', '08-05', '08-15', '11-01', '11-18', '12-25', '12-26'], easter: [1, 60] },
+    HU: { fixed: ['01-01', '03-15', '05-01', '08-20', '10-23', '11-01', '12-25', '12-26'], easter: [-2, 1, 50] },
+    IE: {
+        fixed: ['01-01', '03-17', '12-25', '12-26'],
+        easter: [1],
+        weekday: [
+            { month: 2, day: 1, weekday: 'MO' }, { month: 5, day: 1, weekday: 'MO' }, { month: 6, day: 1, weekday: 'MO' },
+            { month: 8, day: 1, weekday: 'MO' }, { month: 10, day: 25, weekday: 'MO' }
+        ],
+        substitute: true
+    },
+    IT: { fixed: ['01-01', '01-06', '04-25', '05-01', '06-02', '08-15', '11-01', '12-08', '12-25', '12-26'], easter: [1] },
+    LT: { fixed: ['01-01', '02-16', '03-11', '05-01', '06-24', '07-06', '08-15', '11-01', '11-02', '12-24', '12-25', '12-26'], easter: [1] },
+    LU: { fixed: ['01-01', '05-01', '05-09', '06-23', '08-15', '11-01', '12-25', '12-26'], easter: [1, 39, 50] },
+    LV: { fixed: ['01-01', '05-01', '05-04', '06-23', '06-24', '11-18', '12-24', '12-25', '12-26', '12-31'], easter: [-2, 1] },
+    MT: { fixed: ['01-01', '02-10', '03-19', '03-31', '05-01', '06-07', '06-29', '08-15', '09-08', '09-21', '12-08', '12-13', '12-25'], easter: [-2] },
+    NL: { fixed: ['01-01', '04-27', '12-25', '12-26'], easter: [1, 39, 50] },
+    PL: { fixed: ['01-01', '01-06', '05-01', '05-03', '08-15', '11-01', '11-11', '12-24', '12-25', '12-26'], easter: [1, 60] },
+    PT: { fixed: ['01-01', '04-25', '05-01', '06-10', '08-15', '10-05', '11-01', '12-01', '12-08', '12-25'], easter: [-2, 60] },
+    RO: { fixed: ['01-01', '01-02', '01-06', '01-07', '01-24', '05-01', '06-01', '08-15', '11-30', '12-01', '12-25', '12-26'], orthodox: [-2, 1, 50] },
+    SE: { fixed: ['01-01', '01-06', '05-01', '06-06', '12-24', '12-25', '12-26', '12-31'], easter: [-2, 1, 39], weekday: [{ month: 6, day: 19, weekday: 'FR' }] },
+    SI: { fixed: ['01-01', '01-02', '02-08', '04-27', '05-01', '05-02', '06-25', '08-15', '10-31', '11-01', '12-25', '12-26'], easter: [1] },
+    SK: { fixed: ['01-01', '01-06', '05-01', '05-08', '07-05', '08-29', '09-15', '11-01', '12-24', '12-25', '12-26'], easter: [-2, 1] }
+};
+
+/**
+ * Jours d'enlèvement en entrepôt et de distribution par transporteur ;
+ * workingHolidays : fériés travaillés (La Poste distribue le lundi de Pentecôte)
+ */
+const CARRIER_CALENDARS = {
+    colissimo: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_SATURDAY, workingHolidays: { FR: { easter: [50] } } },
+    chronopost: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY, workingHolidays: { FR: { easter: [50] } } },
+    mondial_relay: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_SATURDAY },
+    dpd: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY },
+    gls: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY },
+    ups: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY },
+    fedex: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY },
+    dhl: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY },
+    default: { pickup: MONDAY_TO_FRIDAY, delivery: MONDAY_TO_FRIDAY }
+};
+
+class CalendarError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'CalendarError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ==========================================
+// DATES (jours au format YYYY-MM-DD)
+// ==========================================
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDay = (value) => typeof value === 'string' && DAY_PATTERN.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+const addDays = (day, days) => toDay(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS);
+const weekdayOf = (day) => WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Jour et minute de la journée d'un instant dans un fuseau horaire
+ */
+const localTime = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+};
+
+const parseTime = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Instant correspondant à une heure locale (HH:MM) d'un jour donné
+ */
+const zonedTime = (day, time, timeZone) => {
+    const guess = Date.parse(`${day}T00:00:00Z`) + parseTime(time) * 60000;
+    const local = localTime(new Date(guess), timeZone);
+    const offset = Date.parse(`${local.day}T00:00:00Z`) + local.minutes * 60000 - guess;
+    return new Date(guess - offset);
+};
+
+// ==========================================
+// HOLIDAYS
+// ==========================================
+
+const formatDay = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Dimanche de Pâques (calendrier grégorien)
+ */
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return formatDay(year, month, day);
+};
+
+/**
+ * Dimanche de Pâques orthodoxe (calcul julien, +13 jours de 1900 à 2099)
+ */
+const orthodoxEasterSunday = (year) => {
+    const d = (19 * (year % 19) + 15) % 30;
+    const e = (2 * (year % 4) + 4 * (year % 7) - d + 34) % 7;
+    const month = Math.floor((d + e + 114) / 31);
+    const day = ((d + e + 114) % 31) + 1;
+    return addDays(formatDay(year, month, day), 13);
+};
+
+const holidayCache = new Map();
+
+/**
+ * Jours fériés d'une règle pour une année
+ * @returns {{date: string, rule: string}[]} triés par date
+ */
+const ruleHolidays = (rules, year) => {
+    const holidays = new Map();
+    const add = (date, rule) => {
+        if (!holidays.has(date)) holidays.set(date, rule);
+    };
+
+    (rules.fixed || []).forEach(date => add(`${year}-${date}`, 'fixed'));
+    (rules.easter || []).forEach(offset => add(addDays(easterSunday(year), offset), 'easter'));
+    (rules.orthodox || []).forEach(offset => add(addDays(orthodoxEasterSunday(year), offset), 'orthodox'));
+    (rules.weekday || []).forEach(({ month, day, weekday }) => {
+        let date = formatDay(year, month, day);
+        while (weekdayOf(date) !== weekday) date = addDays(date, 1);
+        add(date, 'weekday');
+    });
+
+    // Report au jour ouvré suivant (Royaume-Uni, Irlande : Christmas le samedi, Boxing Day le lundi 28)
+    if (rules.substitute) {
+        (rules.fixed || []).map(date => `${year}-${date}`).forEach(date => {
+            if (!['SA', 'SU'].includes(weekdayOf(date))) return;
+            let substitute = addDays(date, 1);
+            while (['SA', 'SU'].includes(weekdayOf(substitute)) || holidays.has(substitute)) {
+                substitute = addDays(substitute, 1);
+            }
+            add(substitute, 'substitute');
+        });
+    }
+
+    return [...holidays.entries()]
+        .map(([date, rule]) => ({ date, rule }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Jours fériés d'un pays pour une année (pays sans règle : aucun)
+ */
+const holidaysFor = (country, year) => {
+    const key = `${country}:${year}`;
+    if (!holidayCache.has(key)) {
+        holidayCache.set(key, ruleHolidays(HOLIDAY_RULES[country] || {}, year));
+    }
+    return holidayCache.get(key);
+};
+
+const holidaySets = new Map();
+
+const isHoliday = (country, day) => {
+    const key = `${country}:${day.slice(0, 4)}`;
+    if (!holidaySets.has(key)) {
+        holidaySets.set(key, new Set(holidaysFor(country, parseInt(day.slice(0, 4))).map(holiday => holiday.date)));
+    }
+    return holidaySets.get(key).has(day);
+};
+
+// ==========================================
+// WORKING CALENDARS
+// ==========================================
+
+/**
+ * Calendrier de jours ouvrés : jours de la semaine travaillés, fériés du pays,
+ * fériés travaillés, jours fermés et jours ouverts exceptionnellement
+ */
+class WorkingCalendar {
+    constructor({ country = 'FR', weekdays = MONDAY_TO_FRIDAY, closedDays = [], openDays = [], workingHolidays = null } = {}) {
+        this.country = country;
+        this.weekdays = weekdays;
+        this.closedDays = new Set(closedDays);
+        this.openDays = new Set(openDays);
+        this.workingHolidays = workingHolidays;
+        this.workingHolidayDays = new Map();
+    }
+
+    isHoliday(day) {
+        if (!isHoliday(this.country, day)) return false;
+        if (!this.workingHolidays) return true;
+
+        const year = parseInt(day.slice(0, 4));
+        if (!this.workingHolidayDays.has(year)) {
+            this.workingHolidayDays.set(year, new Set(ruleHolidays(this.workingHolidays, year).map(holiday => holiday.date)));
+        }
+        return !this.workingHolidayDays.get(year).has(day);
+    }
+
+    isWorkingDay(day) {
+        if (this.openDays.has(day)) return true;
+        if (this.closedDays.has(day)) return false;
+        return this.weekdays.includes(weekdayOf(day)) && !this.isHoliday(day);
+    }
+
+    /**
+     * Le jour lui-même s'il est ouvré, sinon le suivant
+     */
+    nextWorkingDay(day) {
+        let next = day;
+        for (let checked = 0; !this.isWorkingDay(next); checked++) {
+            if (checked >= MAX_LOOKAHEAD_DAYS) {
+                throw new CalendarError('Calendar has no working day', 'NO_WORKING_DAY', 422, { country: this.country, weekdays: this.weekdays });
+            }
+            next = addDays(next, 1);
+        }
+        return next;
+    }
+
+    /**
+     * N jours ouvrés après un jour (le jour de départ n'est pas compté)
+     */
+    addWorkingDays(day, days) {
+        let next = day;
+        for (let counted = 0; counted < days; counted++) {
+            next = this.nextWorkingDay(addDays(next, 1));
+        }
+        return next;
+    }
+}
+
+const countryCalendar = (country) => new WorkingCalendar({ country });
+
+/**
+ * Décale un instant de N jours ouvrés en conservant l'heure (échéances, SLA) ;
+ * avec 0, reporte seulement un jour non ouvré au jour ouvré suivant
+ */
+const shiftWorkingDays = (date, days, calendar) => {
+    const day = toDay(date);
+    const target = days > 0 ? calendar.addWorkingDays(day, days) : calendar.nextWorkingDay(day);
+    return new Date(new Date(date).getTime() + daysBetween(day, target) * DAY_MS);
+};
+
+/**
+ * Calendrier d'un transporteur pour l'enlèvement (pays de l'entrepôt) ou la distribution (pays de destination)
+ * @param {Object[]} exceptions exceptions de l'organisation ({ carrier, country, operation, weekday | date, working })
+ */
+const carrierCalendar = (carrier, country, operation = 'delivery', exceptions = []) => {
+    const defaults = CARRIER_CALENDARS[carrier] || CARRIER_CALENDARS.default;
+    let weekdays = [...defaults[operation]];
+    const closedDays = [];
+    const openDays = [];
+
+    exceptions
+        .filter(exception => exception.carrier === carrier && exception.operation === operation)
+        .filter(exception => !exception.country || exception.country === country)
+        .forEach(exception => {
+            if (exception.weekday) {
+                weekdays = exception.working
+                    ? [...new Set([...weekdays, exception.weekday])]
+                    : weekdays.filter(weekday => weekday !== exception.weekday);
+            } else if (exception.date) {
+                (exception.working ? openDays : closedDays).push(exception.date);
+            }
+        });
+
+    return new WorkingCalendar({
+        country,
+        weekdays,
+        closedDays,
+        openDays,
+        workingHolidays: defaults.workingHolidays?.[country] || null
+    });
+};
+
+/**
+ * Calendrier de préparation d'un entrepôt (jours de préparation, fériés du pays, fermetures)
+ */
+const warehouseCalendar = (warehouse) => new WorkingCalendar({
+    country: warehouse.country || 'FR',
+    weekdays: warehouse.processingDays?.length ? warehouse.processingDays : MONDAY_TO_FRIDAY,
+    closedDays: warehouse.closures || []
+});
+
+// ==========================================
+// SERVICE (fermetures et exceptions de l'organisation)
+// ==========================================
+
+class CalendarService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    /**
+     * Jours fériés publiés pour un pays desservi
+     */
+    getHolidays(country, year = new Date().getUTCFullYear()) {
+        const code = String(country || '').toUpperCase();
+        if (!HOLIDAY_RULES[code]) {
+            throw new CalendarError(`No holiday calendar for country ${country}`, 'UNSUPPORTED_COUNTRY', 422, {
+                supported: Object.keys(HOLIDAY_RULES)
+            });
+        }
+        if (!Number.isInteger(year) || year < 1900 || year > 2099) {
+            throw new CalendarError('Year must be between 1900 and 2099', 'INVALID_YEAR');
+        }
+        return holidaysFor(code, year);
+    }
+
+    // ----------------------------------------
+    // WAREHOUSE CLOSURES
+    // ----------------------------------------
+
+    async listWarehouseClosures(orgId, warehouseId, { from } = {}) {
+        const result = await this.db.query(`
+            SELECT id, warehouse_id, closure_date::text AS closure_date, reason, created_at
+            FROM warehouse_closures
+            WHERE organization_id = $1 AND warehouse_id = $2 AND closure_date >= COALESCE($3::date, CURRENT_DATE)
+            ORDER BY closure_date ASC
+        `, [orgId, warehouseId, from || null]);
+
+        return result.rows.map(row => ({
+            id: row.id,
+            warehouseId: row.warehouse_id,
+            date: row.closure_date,
+            reason: row.reason,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Jours de fermeture à venir (inventaire, congés) pour le calendrier de préparation
+     */
+    async warehouseClosureDays(orgId, warehouseId) {
+        if (!warehouseId) return [];
+        const closures = await this.listWarehouseClosures(orgId, warehouseId);
+        return closures.map(closure => closure.date);
+    }
+
+    async addWarehouseClosure(orgId, warehouseId, { date, reason }) {
+        if (!isDay(date)) {
+            throw new CalendarError('date must be a valid YYYY-MM-DD day', 'INVALID_DATE', 422, { field: 'date' });
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO warehouse_closures (id, organization_id, warehouse_id, closure_date, reason, created_at)
+            SELECT $1, $2, w.id, $4, $5, NOW() FROM warehouses w
+            WHERE w.id = $3 AND w.organization_id = $2
+            ON CONFLICT (warehouse_id, closure_date) DO UPDATE SET reason = EXCLUDED.reason
+            RETURNING id, warehouse_id, closure_date::text AS closure_date, reason, created_at
+        `, [uuidv4(), orgId, warehouseId, date, reason || null]);
+
+        if (result.rows.length === 0) {
+            throw new CalendarError('Warehouse not found', 'WAREHOUSE_NOT_FOUND', 404);
+        }
+
+        const row = result.rows[0];
+        return { id: row.id, warehouseId: row.warehouse_id, date: row.closure_date, reason: row.reason, createdAt: row.created_at };
+    }
+
+    async removeWarehouseClosure(orgId, warehouseId, closureId) {
+        const result = await this.db.query(
+            'DELETE FROM warehouse_closures WHERE id = $1 AND warehouse_id = $2 AND organization_id = $3 RETURNING id',
+            [closureId, warehouseId, orgId]
+        );
+        if (result.rows.length === 0) {
+            throw new CalendarError('Closure not found', 'CLOSURE_NOT_FOUND', 404);
+        }
+    }
+
+    // ----------------------------------------
+    // CARRIER EXCEPTIONS
+    // ----------------------------------------
+
+    /**
+     * Exceptions transporteur de l'organisation : jour de semaine non travaillé
+     * (pas de livraison le samedi), jour fermé (grève) ou ouvert exceptionnellement
+     */
+    async listCarrierExceptions(orgId, carrier = null) {
+        const result = await this.db.query(`
+            SELECT id, carrier, country, operation, weekday, exception_date::text AS exception_date, working, reason, created_at
+            FROM carrier_calendar_exceptions
+            WHERE organization_id = $1 AND ($2::text IS NULL OR carrier = $2)
+              AND (exception_date IS NULL OR exception_date >= CURRENT_DATE)
+            ORDER BY carrier, exception_date NULLS FIRST, weekday
+        `, [orgId, carrier]);
+
+        return result.rows.map(row => this.rowToException(row));
+    }
+
+    async addCarrierException(orgId, data) {
+        const errors = this.validateException(data);
+        if (errors.length > 0) {
+            throw new CalendarError('Invalid carrier exception', 'INVALID_CARRIER_EXCEPTION', 422, { errors });
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO carrier_calendar_exceptions
+                (id, organization_id, carrier, country, operation, weekday, exception_date, working, reason, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+            RETURNING id, carrier, country, operation, weekday, exception_date::text AS exception_date, working, reason, created_at
+        `, [
+            uuidv4(), orgId, data.carrier, data.country ? data.country.toUpperCase() : null, data.operation,
+            data.weekday || null, data.date || null, data.working === true, data.reason || null
+        ]);
+
+        return this.rowToException(result.rows[0]);
+    }
+
+    async removeCarrierException(orgId, exceptionId) {
+        const result = await this.db.query(
+            'DELETE FROM carrier_calendar_exceptions WHERE id = $1 AND organization_id = $2 RETURNING id',
+            [exceptionId, orgId]
+        );
+        if (result.rows.length === 0) {
+            throw new CalendarError('Carrier exception not found', 'EXCEPTION_NOT_FOUND', 404);
+        }
+    }
+
+    validateException(data) {
+        const errors = [];
+
+        if (!data.carrier) {
+            errors.push({ field: 'carrier', message: 'Carrier is required' });
+        }
+        if (!CARRIER_OPERATIONS.includes(data.operation)) {
+            errors.push({ field: 'operation', message: `Operation must be one of: ${CARRIER_OPERATIONS.join(', ')}` });
+        }
+        if (!data.weekday === !data.date) {
+            errors.push({ field: 'weekday', message: 'Exactly one of weekday or date is required' });
+        } else if (data.weekday && !WEEKDAYS.includes(data.weekday)) {
+            errors.push({ field: 'weekday', message: `Weekday must be one of: ${WEEKDAYS.join(', ')}` });
+        } else if (data.date && !isDay(data.date)) {
+            errors.push({ field: 'date', message: 'Date must be a valid YYYY-MM-DD day' });
+        }
+        if (data.country && !/^[A-Za-z]{2}$/.test(data.country)) {
+            errors.push({ field: 'country', message: 'Country must be an ISO 3166-1 alpha-2 code' });
+        }
+
+        return errors;
+    }
+
+    rowToException(row) {
+        return {
+            id: row.id,
+            carrier: row.carrier,
+            country: row.country,
+            operation: row.operation,
+            weekday: row.weekday,
+            date: row.exception_date,
+            working: row.working,
+            reason: row.reason,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = {
+    CalendarService,
+    CalendarError,
+    WorkingCalendar,
+    HOLIDAY_RULES,
+    CARRIER_CALENDARS,
+    WEEKDAYS,
+    MONDAY_TO_FRIDAY,
+    countryCalendar,
+    carrierCalendar,
+    warehouseCalendar,
+    shiftWorkingDays,
+    easterSunday,
+    orthodoxEasterSunday,
+    holidaysFor,
+    isHoliday,
+    isDay,
+    toDay,
+    addDays,
+    weekdayOf,
+    daysBetween,
+    localTime,
+    zonedTime,
+    parseTime
+};
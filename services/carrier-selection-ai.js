@@ -3,6 +3,8 @@
  * Recommandation intelligente basée sur ML, historique, et règles métier
  */
 
+const { carrierCalendar, toDay } = require('./calendar');
+
 class CarrierSelectionAI {
     constructor(config = {}) {
         this.db = config.db;
@@ -395,7 +397,7 @@ class CarrierSelectionAI {
                 carrier: best.carrier,
                 score: best.finalScore,
                 pricing: best.pricing,
-                estimatedDelivery: this.calculateEstimatedDelivery(best),
+                estimatedDelivery: this.calculateEstimatedDelivery(best, shipmentData.destination?.country),
                 confidence: this.calculateConfidence(best),
                 reasons: this.generateReasons(best)
             },
@@ -403,7 +405,7 @@ class CarrierSelectionAI {
                 carrier: alt.carrier,
                 score: alt.finalScore,
                 pricing: alt.pricing,
-                estimatedDelivery: this.calculateEstimatedDelivery(alt),
+                estimatedDelivery: this.calculateEstimatedDelivery(alt, shipmentData.destination?.country),
                 comparedToBest: this.compareToRecommended(alt, best)
             })),
             factors: this.explainFactors(best, shipmentData),
@@ -415,17 +417,14 @@ class CarrierSelectionAI {
         };
     }
 
-    calculateEstimatedDelivery(scoredCarrier) {
+    calculateEstimatedDelivery(scoredCarrier, country = 'FR') {
         const avgDays = scoredCarrier.performance?.avgDeliveryDays || 3;
-        const deliveryDate = new Date();
-        deliveryDate.setDate(deliveryDate.getDate() + Math.ceil(avgDays));
 
-        // Ajuster pour les weekends
-        if (deliveryDate.getDay() === 0) deliveryDate.setDate(deliveryDate.getDate() + 1);
-        if (deliveryDate.getDay() === 6) deliveryDate.setDate(deliveryDate.getDate() + 2);
+        // Jours de distribution du transporteur (week-ends et jours fériés exclus)
+        const calendar = carrierCalendar(scoredCarrier.carrier?.id, country || 'FR', 'delivery');
 
         return {
-            date: deliveryDate.toISOString().split('T')[0],
+            date: calendar.addWorkingDays(toDay(new Date()), Math.ceil(avgDays)),
             daysRange: `${Math.floor(avgDays)}-${Math.ceil(avgDays) + 1} jours`,
             confidence: scoredCarrier.performance?.totalShipments > 100 ? 'high' : 'medium'
         };
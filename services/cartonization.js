@@ -0,0 +1,475 @@
+/**
+ * Routz v4.0 - Cartonization Service
+ * Choix des cartons : bin-packing 3D des articles d'une commande dans le catalogue
+ * de cartons de l'entrepôt, poids volumétrique par transporteur
+ */
+
+const { getWeightRule, volumetricWeight, CARRIER_WEIGHT_RULES } = require('./chargeable-weight');
+
+// Garde-fou : au-delà, la commande relève d'un envoi palette
+const MAX_UNITS = 200;
+
+const WEIGHT_UNITS = { kg: 1, g: 0.001, lb: 0.45359237, oz: 0.028349523125 };
+
+class CartonizationError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'CartonizationError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const volumeOf = (dims) => dims.length * dims.width * dims.height;
+
+// Permutations des dimensions d'un article (triées par taille décroissante)
+const ORIENTATIONS = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+/**
+ * Orientations distinctes d'un article, l'orientation préférée en premier
+ * (même orientation pour des articles identiques)
+ */
+function orientations({ length, width, height }, preferred = 0) {
+    const dims = [length, width, height].sort((a, b) => b - a);
+    const ordered = [ORIENTATIONS[preferred], ...ORIENTATIONS.filter((_, i) => i !== preferred)];
+    const seen = new Set();
+
+    return ordered.map(order => order.map(i => dims[i])).filter(dims => {
+        const key = dims.join('x');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function overlaps(a, b) {
+    return a.x < b.x + b.length && b.x < a.x + a.length
+        && a.y < b.y + b.width && b.y < a.y + a.width
+        && a.z < b.z + b.height && b.z < a.z + a.height;
+}
+
+/**
+ * Poids volumétrique par transporteur
+ */
+function dimensionalWeight(dims, carriers = Object.keys(CARRIER_WEIGHT_RULES)) {
+    const weights = {};
+    for (const carrier of carriers) {
+        weights[carrier] = round(volumetricWeight(dims, getWeightRule(carrier).divisor), 2);
+    }
+    return weights;
+}
+
+class CartonizationService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    // ==========================================
+    // CARTONIZATION
+    // ==========================================
+
+    /**
+     * Cartons pour une liste d'articles ({ sku, quantity } complétés par le
+     * référentiel produits si les dimensions ne sont pas fournies)
+     */
+    async cartonize(orgId, { items, warehouseId = null, carriers, boxCode = null }) {
+        const enriched = await this.withProductDimensions(orgId, items);
+
+        let boxes = await this.getBoxes(orgId, warehouseId);
+        if (boxCode) boxes = boxes.filter(box => box.code === boxCode);
+        if (boxes.length === 0) {
+            throw new CartonizationError(
+                boxCode ? `Box ${boxCode} not found` : 'No packaging configured for this warehouse',
+                'NO_BOXES'
+            );
+        }
+
+        return this.pack(enriched, boxes, { carriers });
+    }
+
+    /**
+     * Bin-packing : à chaque tour, plus petit carton contenant tous les articles restants,
+     * à défaut le carton le mieux rempli. Les articles hors gabarit partent seuls
+     */
+    pack(items, boxes, { carriers } = {}) {
+        const units = this.expandUnits(items);
+        const catalogue = boxes
+            .map(box => this.toBox(box))
+            .sort((a, b) => a.volume - b.volume);
+
+        const packages = [];
+        let remaining = units;
+
+        while (remaining.length > 0) {
+            let best = null;
+
+            for (const box of catalogue) {
+                const attempt = this.packBox(box, remaining);
+                if (attempt.remaining.length === 0) {
+                    best = attempt;
+                    break;
+                }
+                if (attempt.placed.length > 0 && (!best || attempt.packedVolume > best.packedVolume)) {
+                    best = attempt;
+                }
+            }
+
+            if (!best) {
+                const [unit, ...rest] = remaining;
+                packages.push(this.ownPackage(unit, carriers));
+                remaining = rest;
+                continue;
+            }
+
+            packages.push(this.toPackage(best, carriers));
+            remaining = best.remaining;
+        }
+
+        return {
+            packages,
+            totalWeight: round(packages.reduce((sum, p) => sum + p.weight, 0)),
+            boxCount: packages.filter(p => p.box).length
+        };
+    }
+
+    /**
+     * Remplissage d'un carton : une passe par orientation préférée, la meilleure est retenue
+     */
+    packBox(box, units) {
+        let best = null;
+
+        for (let preferred = 0; preferred < ORIENTATIONS.length; preferred++) {
+            const attempt = this.packBoxWith(box, units, preferred);
+            if (!best || attempt.packedVolume > best.packedVolume) best = attempt;
+            if (attempt.remaining.length === 0) break;
+        }
+
+        return best;
+    }
+
+    /**
+     * Placement par points extrêmes : chaque article est posé au premier point
+     * (le plus bas, puis le plus au fond) où une orientation tient sans chevauchement
+     */
+    packBoxWith(box, units, preferred) {
+        const placed = [];
+        const remaining = [];
+        // Un format qui n'a pas trouvé de place n'en trouvera pas davantage ensuite
+        const unplaceable = new Set();
+        let points = [{ x: 0, y: 0, z: 0 }];
+        let weight = box.tareWeight;
+        let packedVolume = 0;
+
+        for (const unit of units) {
+            const format = `${unit.length}x${unit.width}x${unit.height}`;
+
+            if (unplaceable.has(format) || (box.maxWeight && weight + unit.weight > box.maxWeight)) {
+                remaining.push(unit);
+                continue;
+            }
+
+            const position = this.findPosition(box, unit, placed, points, preferred);
+            if (!position) {
+                unplaceable.add(format);
+                remaining.push(unit);
+                continue;
+            }
+
+            placed.push(position);
+            weight += unit.weight;
+            packedVolume += unit.volume;
+
+            points = points
+                .filter(p => !overlaps({ ...p, length: 1e-9, width: 1e-9, height: 1e-9 }, position))
+                .concat([
+                    { x: position.x + position.length, y: position.y, z: position.z },
+                    { x: position.x, y: position.y + position.width, z: position.z },
+                    { x: position.x, y: position.y, z: position.z + position.height }
+                ].filter(p => p.x < box.length && p.y < box.width && p.z < box.height))
+                .sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+        }
+
+        return { box, placed, remaining, weight, packedVolume };
+    }
+
+    findPosition(box, unit, placed, points, preferred = 0) {
+        for (const point of points) {
+            for (const [length, width, height] of orientations(unit, preferred)) {
+                const candidate = { ...point, length, width, height, unit };
+
+                if (point.x + length > box.length || point.y + width > box.width || point.z + height > box.height) continue;
+                if (placed.some(other => overlaps(candidate, other))) continue;
+
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    toPackage({ box, placed, weight, packedVolume }, carriers) {
+        const outer = box.outer;
+        return {
+            box: { id: box.id, code: box.code, name: box.name },
+            length: outer.length,
+            width: outer.width,
+            height: outer.height,
+            weight: round(weight),
+            items: this.groupUnits(placed.map(p => p.unit)),
+            fillRate: round(packedVolume / box.volume, 2),
+            dimensionalWeight: dimensionalWeight(outer, carriers)
+        };
+    }
+
+    /**
+     * Article expédié dans son propre emballage (hors gabarit ou trop lourd)
+     */
+    ownPackage(unit, carriers) {
+        return {
+            box: null,
+            length: unit.length,
+            width: unit.width,
+            height: unit.height,
+            weight: round(unit.weight),
+            items: this.groupUnits([unit]),
+            fillRate: 1,
+            dimensionalWeight: dimensionalWeight(unit, carriers)
+        };
+    }
+
+    /**
+     * Colis au format POST /shipments
+     */
+    toParcels(result) {
+        return result.packages.map(pkg => ({
+            weight: pkg.weight,
+            length: pkg.length,
+            width: pkg.width,
+            height: pkg.height,
+            boxCode: pkg.box?.code || null,
+            items: pkg.items
+        }));
+    }
+
+    // ----------------------------------------
+    // ITEMS
+    // ----------------------------------------
+
+    expandUnits(items) {
+        const units = [];
+
+        for (const item of items) {
+            const quantity = parseInt(item.quantity) || 1;
+            if (units.length + quantity > MAX_UNITS) {
+                throw new CartonizationError(`Maximum ${MAX_UNITS} units per cartonization`, 'TOO_MANY_UNITS');
+            }
+
+            const dims = {
+                length: parseFloat(item.length),
+                width: parseFloat(item.width),
+                height: parseFloat(item.height)
+            };
+            for (let i = 0; i < quantity; i++) {
+                units.push({ sku: item.sku, ...dims, weight: parseFloat(item.weight) || 0, volume: volumeOf(dims) });
+            }
+        }
+
+        // Plus volumineux d'abord
+        return units.sort((a, b) => b.volume - a.volume || Math.max(b.length, b.width, b.height) - Math.max(a.length, a.width, a.height));
+    }
+
+    groupUnits(units) {
+        const bySku = new Map();
+        for (const unit of units) {
+            bySku.set(unit.sku, (bySku.get(unit.sku) || 0) + 1);
+        }
+        return [...bySku].map(([sku, quantity]) => ({ sku, quantity }));
+    }
+
+    /**
+     * Compléter les dimensions manquantes depuis le référentiel produits
+     */
+    async withProductDimensions(orgId, items) {
+        const missing = items.filter(item => !this.hasDimensions(item)).map(item => item.sku);
+        const catalogue = missing.length > 0 ? await this.getProductDimensions(orgId, missing) : {};
+
+        const enriched = items.map(item => {
+            if (this.hasDimensions(item)) return item;
+            const product = catalogue[item.sku];
+            if (!product) return item;
+            return { ...item, length: product.length, width: product.width, height: product.height, weight: item.weight ?? product.weight };
+        });
+
+        const unknown = enriched.filter(item => !this.hasDimensions(item)).map(item => item.sku);
+        if (unknown.length > 0) {
+            throw new CartonizationError('Missing product dimensions', 'MISSING_DIMENSIONS', 422, { skus: unknown });
+        }
+
+        return enriched;
+    }
+
+    hasDimensions(item) {
+        return ['length', 'width', 'height'].every(dim => parseFloat(item[dim]) > 0);
+    }
+
+    // ----------------------------------------
+    // BOX CATALOGUE
+    // ----------------------------------------
+
+    /**
+     * Cartons actifs de l'entrepôt et cartons communs à l'organisation
+     */
+    async getBoxes(orgId, warehouseId = null) {
+        const result = await this.db.query(`
+            SELECT * FROM packaging_boxes
+            WHERE organization_id = $1 AND active = true
+            AND (warehouse_id IS NULL OR warehouse_id = $2)
+            ORDER BY inner_length * inner_width * inner_height
+        `, [orgId, warehouseId]);
+
+        return result.rows;
+    }
+
+    async createBox(orgId, data) {
+        const result = await this.db.query(`
+            INSERT INTO packaging_boxes (
+                organization_id, warehouse_id, code, name,
+                inner_length, inner_width, inner_height,
+                outer_length, outer_width, outer_height,
+                tare_weight, max_weight, cost
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING *
+        `, [
+            orgId, data.warehouseId || null, data.code, data.name || data.code,
+            data.length, data.width, data.height,
+            data.outerLength || null, data.outerWidth || null, data.outerHeight || null,
+            data.tareWeight || 0, data.maxWeight || null, data.cost || null
+        ]);
+
+        return result.rows[0];
+    }
+
+    async deactivateBox(orgId, boxId) {
+        const result = await this.db.query(
+            'UPDATE packaging_boxes SET active = false WHERE id = $1 AND organization_id = $2 RETURNING id',
+            [boxId, orgId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new CartonizationError('Box not found', 'BOX_NOT_FOUND', 404);
+        }
+    }
+
+    toBox(row) {
+        const inner = {
+            length: parseFloat(row.inner_length),
+            width: parseFloat(row.inner_width),
+            height: parseFloat(row.inner_height)
+        };
+        return {
+            id: row.id,
+            code: row.code,
+            name: row.name,
+            ...inner,
+            volume: volumeOf(inner),
+            // Dimensions facturées : extérieures si connues
+            outer: row.outer_length ? {
+                length: parseFloat(row.outer_length),
+                width: parseFloat(row.outer_width),
+                height: parseFloat(row.outer_height)
+            } : inner,
+            tareWeight: parseFloat(row.tare_weight) || 0,
+            maxWeight: row.max_weight ? parseFloat(row.max_weight) : null
+        };
+    }
+
+    // ----------------------------------------
+    // PRODUCT DIMENSIONS
+    // ----------------------------------------
+
+    async getProductDimensions(orgId, skus) {
+        const result = await this.db.query(`
+            SELECT sku, length, width, height, weight FROM product_dimensions
+            WHERE organization_id = $1 AND sku = ANY($2)
+        `, [orgId, skus]);
+
+        const bySku = {};
+        for (const row of result.rows) {
+            bySku[row.sku] = {
+                length: parseFloat(row.length),
+                width: parseFloat(row.width),
+                height: parseFloat(row.height),
+                weight: row.weight !== null ? parseFloat(row.weight) : undefined
+            };
+        }
+        return bySku;
+    }
+
+    /**
+     * Enregistrer les dimensions de produits normalisés par les connecteurs
+     * e-commerce (normalizeProduct). Une dimension absente ne remplace pas
+     * une valeur saisie manuellement
+     */
+    async saveProductDimensions(orgId, products, source = 'manual') {
+        const entries = products.flatMap(product => this.extractDimensions(product));
+        let saved = 0;
+
+        for (const entry of entries) {
+            await this.db.query(`
+                INSERT INTO product_dimensions (organization_id, sku, length, width, height, weight, source, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                ON CONFLICT (organization_id, sku) DO UPDATE SET
+                    length = COALESCE(EXCLUDED.length, product_dimensions.length),
+                    width = COALESCE(EXCLUDED.width, product_dimensions.width),
+                    height = COALESCE(EXCLUDED.height, product_dimensions.height),
+                    weight = COALESCE(EXCLUDED.weight, product_dimensions.weight),
+                    source = EXCLUDED.source,
+                    updated_at = NOW()
+            `, [orgId, entry.sku, entry.length, entry.width, entry.height, entry.weight, source]);
+            saved++;
+        }
+
+        return { saved };
+    }
+
+    /**
+     * Dimensions (cm) et poids (kg) d'un produit normalisé ; Shopify porte le
+     * poids sur chaque variante avec son unité
+     */
+    extractDimensions(product) {
+        if (product.variants?.length) {
+            return product.variants
+                .filter(variant => variant.sku)
+                .map(variant => ({
+                    sku: variant.sku,
+                    length: null,
+                    width: null,
+                    height: null,
+                    weight: variant.weight !== undefined && variant.weight !== null
+                        ? round(parseFloat(variant.weight) * (WEIGHT_UNITS[variant.weightUnit] || 1))
+                        : null
+                }));
+        }
+
+        if (!product.sku) return [];
+
+        const dims = product.dimensions || product;
+        const value = (dim) => parseFloat(dims[dim]) > 0 ? parseFloat(dims[dim]) : null;
+        return [{
+            sku: product.sku,
+            length: value('length'),
+            width: value('width'),
+            height: value('height'),
+            weight: parseFloat(product.weight) > 0 ? parseFloat(product.weight) : null
+        }];
+    }
+}
+
+module.exports = {
+    CartonizationService,
+    CartonizationError,
+    dimensionalWeight,
+    MAX_UNITS
+};
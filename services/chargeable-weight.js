@@ -0,0 +1,135 @@
+/**
+ * Routz v4.0 - Chargeable Weight
+ * Poids taxable par colis : max(poids réel, poids volumétrique), avec le diviseur,
+ * l'arrondi et le minimum de facturation du transporteur / service, surchargeables par contrat
+ */
+
+// ============================================
+// CARRIER WEIGHT RULES
+// ============================================
+
+// divisor : cm³/kg, rounding : pas d'arrondi supérieur (kg), minimum : poids facturé minimal (kg)
+const DEFAULT_WEIGHT_RULE = { divisor: 5000, rounding: 0.001, minimum: 0 };
+
+const CARRIER_WEIGHT_RULES = {
+    colissimo: { divisor: 5000, rounding: 0.01 },
+    chronopost: {
+        divisor: 5000,
+        rounding: 0.1,
+        services: {
+            classic_intl: { rounding: 0.5 },
+            express_intl: { rounding: 0.5, minimum: 0.5 }
+        }
+    },
+    mondial_relay: { divisor: 6000, rounding: 0.1 },
+    colis_prive: { divisor: 6000, rounding: 0.1 },
+    dpd: { divisor: 6000, rounding: 0.1 },
+    gls: { divisor: 6000, rounding: 0.1 },
+    ups: { divisor: 5000, rounding: 0.5, minimum: 0.5 },
+    fedex: { divisor: 5000, rounding: 0.5, minimum: 0.5 },
+    dhl: {
+        divisor: 5000,
+        rounding: 0.5,
+        minimum: 0.5,
+        services: {
+            economy_select: { divisor: 4000, rounding: 1, minimum: 1 }
+        }
+    },
+    tnt: { divisor: 4000, rounding: 0.5, minimum: 0.5 }
+};
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Règle applicable : défaut < transporteur < service < contrat < service du contrat
+ */
+function getWeightRule(carrier, service, contractRules = null) {
+    const { services: carrierServices, ...carrierRule } = CARRIER_WEIGHT_RULES[carrier] || {};
+    const { services: contractServices, ...contractRule } = contractRules || {};
+    const contractServiceRule = contractServices?.[service];
+
+    let source = 'default';
+    if (CARRIER_WEIGHT_RULES[carrier]) source = 'carrier';
+    if (Object.keys(contractRule).length > 0 || contractServiceRule) source = 'contract';
+
+    return {
+        ...DEFAULT_WEIGHT_RULE,
+        ...carrierRule,
+        ...carrierServices?.[service],
+        ...contractRule,
+        ...contractServiceRule,
+        source
+    };
+}
+
+function volumetricWeight(parcel, divisor = DEFAULT_WEIGHT_RULE.divisor) {
+    const length = parseFloat(parcel.length);
+    const width = parseFloat(parcel.width);
+    const height = parseFloat(parcel.height);
+    if (!length || !width || !height) return 0;
+
+    return (length * width * height) / divisor;
+}
+
+function roundUp(weight, step) {
+    if (!step) return round(weight);
+    // Arrondi préalable : 1.5 / 0.5 ne doit pas donner 3.0000000001
+    return round(Math.ceil(round(weight / step, 6)) * step);
+}
+
+/**
+ * Poids taxable d'un envoi, colis par colis
+ * @param {Array<{weight, length?, width?, height?}>} parcels
+ * @param {{carrier?, service?, contractRules?}} options
+ */
+function calculateChargeableWeight(parcels = [], { carrier, service, contractRules } = {}) {
+    const rule = getWeightRule(carrier, service, contractRules);
+
+    const lines = parcels.map(parcel => {
+        const actual = parseFloat(parcel.weight) || 0;
+        const volumetric = volumetricWeight(parcel, rule.divisor);
+
+        return {
+            actualWeight: round(actual),
+            volumetricWeight: round(volumetric),
+            chargeableWeight: roundUp(Math.max(actual, volumetric, rule.minimum), rule.rounding),
+            basis: volumetric > actual ? 'volumetric' : 'actual'
+        };
+    });
+
+    const sum = key => round(lines.reduce((total, line) => total + line[key], 0));
+
+    return {
+        carrier: carrier || null,
+        service: service || null,
+        divisor: rule.divisor,
+        rounding: rule.rounding,
+        minimum: rule.minimum,
+        source: rule.source,
+        actualWeight: sum('actualWeight'),
+        volumetricWeight: sum('volumetricWeight'),
+        chargeableWeight: sum('chargeableWeight'),
+        basis: lines.some(line => line.basis === 'volumetric') ? 'volumetric' : 'actual',
+        parcels: lines
+    };
+}
+
+/**
+ * Colis à partir d'un poids total et de dimensions optionnelles
+ */
+function toParcels(weight, dimensions) {
+    return [{ weight, ...(dimensions || {}) }];
+}
+
+module.exports = {
+    calculateChargeableWeight,
+    getWeightRule,
+    volumetricWeight,
+    toParcels,
+    CARRIER_WEIGHT_RULES,
+    DEFAULT_WEIGHT_RULE
+};
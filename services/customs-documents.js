@@ -0,0 +1,418 @@
+/**
+ * Routz v4.0 - Customs Documents Service
+ * Documents douaniers PDF (CN22, CN23, facture commerciale et pro forma) et données
+ * électroniques (EAD) transmises aux transporteurs pour les envois hors UE
+ */
+
+const PDFDocument = require('pdfkit');
+
+// Seuil UPU : CN22 jusqu'à 300 DTS (≈ 300 €), CN23 au-delà
+const CN22_MAX_VALUE = 300;
+
+// Nature de l'envoi (cases CN22/CN23) ; seule la vente donne lieu à une facture commerciale
+const CUSTOMS_CATEGORIES = {
+    gift: { label: 'Cadeau / Gift' },
+    documents: { label: 'Documents' },
+    sample: { label: 'Échantillon commercial / Commercial sample' },
+    returned_goods: { label: 'Retour de marchandise / Returned goods' },
+    commercial: { label: 'Vente de marchandises / Sale of goods' },
+    other: { label: 'Autre / Other' }
+};
+
+const DOCUMENT_TYPES = {
+    cn22: { title: 'CN 22', filename: 'cn22' },
+    cn23: { title: 'CN 23', filename: 'cn23' },
+    commercial_invoice: { title: 'Facture commerciale / Commercial invoice', filename: 'commercial-invoice' },
+    proforma_invoice: { title: 'Facture pro forma / Pro forma invoice', filename: 'proforma-invoice' }
+};
+
+const CERTIFICATION = 'Je certifie que les renseignements donnés dans la présente déclaration sont exacts et que cet envoi ne contient '
+    + 'aucun objet dangereux ou interdit par la réglementation. / I certify that the particulars given in this declaration are correct '
+    + 'and that this item does not contain any dangerous article prohibited by legislation.';
+
+const INVOICE_DECLARATION = 'Nous certifions que les informations de cette facture sont exactes et que les marchandises sont originaires '
+    + 'des pays indiqués. / We declare that the information contained in this invoice is true and correct and that the goods originate '
+    + 'from the countries shown.';
+
+class CustomsDocumentError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'CustomsDocumentError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const money = (value, currency = 'EUR') => `${(Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2)} ${currency}`;
+const weightOf = (items) => Math.round(items.reduce((sum, item) => sum + (parseFloat(item.weight) || 0) * (item.quantity || 1), 0) * 1000) / 1000;
+
+function addressLines(party = {}) {
+    const address = party.address || {};
+    return [
+        party.name,
+        address.address1 || address.line1 || address.street,
+        address.address2 || address.line2,
+        [address.postalCode || address.postal_code, address.city].filter(Boolean).join(' '),
+        address.country
+    ].filter(Boolean);
+}
+
+class CustomsDocumentService {
+    constructor(config = {}) {
+        this.cn22MaxValue = config.cn22MaxValue || CN22_MAX_VALUE;
+    }
+
+    /**
+     * Documents à produire pour une déclaration : CN22 ou CN23 selon la valeur,
+     * facture commerciale pour une vente, pro forma sinon
+     */
+    selectDocuments(declaration) {
+        if (declaration.type === 'intra_eu') return [];
+
+        const category = declaration.category || 'commercial';
+        const documents = [declaration.totalValue <= this.cn22MaxValue ? 'cn22' : 'cn23'];
+        if (category !== 'documents') {
+            documents.push(category === 'commercial' ? 'commercial_invoice' : 'proforma_invoice');
+        }
+        return documents;
+    }
+
+    /**
+     * @param {string} type cn22 | cn23 | commercial_invoice | proforma_invoice
+     * @param {Object} [options.invoice] facture (InternationalService.generateCommercialInvoice)
+     * @param {Object} [options.signature] { name, place, date }
+     * @returns {Promise<{type, filename, contentType, data: Buffer}>}
+     */
+    async render(type, declaration, options = {}) {
+        if (!DOCUMENT_TYPES[type]) {
+            throw new CustomsDocumentError(`Unknown customs document: ${type}`, 'INVALID_DOCUMENT_TYPE', 422, {
+                allowed: Object.keys(DOCUMENT_TYPES)
+            });
+        }
+        if (type === 'cn22' && declaration.totalValue > this.cn22MaxValue) {
+            throw new CustomsDocumentError(`CN22 is limited to ${this.cn22MaxValue} ${declaration.currency}, use a CN23`, 'CN22_VALUE_EXCEEDED');
+        }
+
+        const signature = {
+            name: declaration.exporter?.signatory || declaration.exporter?.name,
+            place: declaration.exporter?.address?.city,
+            date: new Date().toISOString().split('T')[0],
+            ...options.signature
+        };
+
+        let data;
+        if (type === 'cn22') data = await this.buildCN22(declaration, signature);
+        else if (type === 'cn23') data = await this.buildCN23(declaration, signature, options.invoice);
+        else data = await this.buildInvoice(declaration, options.invoice, signature, { proforma: type === 'proforma_invoice' });
+
+        return {
+            type,
+            filename: `${DOCUMENT_TYPES[type].filename}-${declaration.invoiceNumber || declaration.id}.pdf`,
+            contentType: 'application/pdf',
+            data
+        };
+    }
+
+    // ----------------------------------------
+    // CN22 / CN23
+    // ----------------------------------------
+
+    buildCN22(declaration, signature) {
+        const doc = this.createDocument('A6', `CN22 ${declaration.id}`, 20);
+        const currency = declaration.currency;
+
+        doc.font('Helvetica-Bold').fontSize(11).text('DÉCLARATION EN DOUANE  CN 22', 20, 20);
+        doc.font('Helvetica').fontSize(6).text('CUSTOMS DECLARATION - Peut être ouvert d\'office / May be opened officially', 20, 34);
+
+        let y = this.drawCategories(doc, declaration.category, 20, 48, 258);
+
+        const columns = [
+            { label: 'Description détaillée / Detailed description', width: 110, value: item => `${item.quantity} x ${item.description}` },
+            { label: 'Poids / Weight (kg)', width: 40, value: item => String(weightOf([item])) },
+            { label: 'Valeur / Value', width: 50, value: item => money(item.totalValue, currency) },
+            { label: 'SH / HS, origine', width: 58, value: item => `${item.hsCode || ''} ${item.countryOfOrigin || ''}` }
+        ];
+        y = this.drawTable(doc, columns, declaration.items, 20, y + 4, { fontSize: 6, rowHeight: 10 });
+        y = this.ensureSpace(doc, y, 120);
+
+        doc.font('Helvetica-Bold').fontSize(6)
+            .text(`Poids total / Total weight : ${weightOf(declaration.items)} kg`, 20, y + 4)
+            .text(`Valeur totale / Total value : ${money(declaration.totalValue, currency)}`, 150, y + 4);
+
+        y = this.drawIdentifiers(doc, declaration, 20, y + 16, 6);
+        this.drawSignature(doc, signature, 20, y + 6, 258, 6);
+
+        return this.toBuffer(doc);
+    }
+
+    buildCN23(declaration, signature, invoice = null) {
+        const doc = this.createDocument('A4', `CN23 ${declaration.id}`, 40);
+        const currency = declaration.currency;
+
+        doc.font('Helvetica-Bold').fontSize(16).text('DÉCLARATION EN DOUANE  CN 23', 40, 40);
+        doc.font('Helvetica').fontSize(8).text('CUSTOMS DECLARATION - Peut être ouvert d\'office / May be opened officially', 40, 60);
+
+        this.drawParty(doc, 'Expéditeur / From', declaration.exporter, 40, 80, 250);
+        this.drawParty(doc, 'Destinataire / To', declaration.importer, 305, 80, 250);
+
+        doc.font('Helvetica').fontSize(8)
+            .text(`Référence de l'importateur / Importer's reference : ${declaration.importer?.eoriNumber || declaration.importer?.taxId || '-'}`, 40, 170);
+
+        const columns = [
+            { label: 'Description détaillée / Detailed description', width: 175, value: item => item.description },
+            { label: 'Quantité / Qty', width: 45, value: item => String(item.quantity) },
+            { label: 'Poids net / Net weight (kg)', width: 65, value: item => String(weightOf([item])) },
+            { label: 'Valeur / Value', width: 75, value: item => money(item.totalValue, currency) },
+            { label: 'N° tarifaire SH / HS tariff number', width: 85, value: item => item.hsCode || '' },
+            { label: 'Pays d\'origine / Origin', width: 70, value: item => item.countryOfOrigin || '' }
+        ];
+        let y = this.drawTable(doc, columns, declaration.items, 40, 190);
+        y = this.ensureSpace(doc, y, 240);
+
+        doc.font('Helvetica-Bold').fontSize(8)
+            .text(`Poids brut total / Total gross weight : ${weightOf(declaration.items)} kg`, 40, y + 6)
+            .text(`Valeur totale / Total value : ${money(declaration.totalValue, currency)}`, 305, y + 6)
+            .text(`Frais de port / Postal charges : ${money(declaration.shippingCost, currency)}`, 305, y + 18);
+
+        y = this.drawCategories(doc, declaration.category, 40, y + 36, 515);
+
+        doc.font('Helvetica').fontSize(8)
+            .text(`Facture / Invoice : ${invoice?.invoiceNumber || declaration.invoiceNumber || '-'}`, 40, y + 6)
+            .text(`Incoterm : ${declaration.incoterm}`, 305, y + 6);
+
+        y = this.drawIdentifiers(doc, declaration, 40, y + 22, 8);
+        this.drawSignature(doc, signature, 40, y + 10, 515, 8);
+
+        return this.toBuffer(doc);
+    }
+
+    // ----------------------------------------
+    // COMMERCIAL / PRO FORMA INVOICE
+    // ----------------------------------------
+
+    buildInvoice(declaration, invoice, signature, { proforma = false } = {}) {
+        if (!invoice) {
+            throw new CustomsDocumentError('An invoice is required to render the document', 'INVOICE_REQUIRED');
+        }
+
+        const doc = this.createDocument('A4', `${proforma ? 'Pro forma' : 'Invoice'} ${invoice.invoiceNumber}`, 40);
+        const currency = invoice.currency;
+
+        doc.font('Helvetica-Bold').fontSize(16)
+            .text(proforma ? 'FACTURE PRO FORMA / PRO FORMA INVOICE' : 'FACTURE COMMERCIALE / COMMERCIAL INVOICE', 40, 40);
+        doc.font('Helvetica').fontSize(9)
+            .text(`N° / No. ${invoice.invoiceNumber}`, 40, 62)
+            .text(`Date : ${invoice.date}`, 40, 74)
+            .text(`Incoterm : ${invoice.incoterm}`, 305, 62)
+            .text(`Motif / Reason for export : ${CUSTOMS_CATEGORIES[invoice.reasonForExport]?.label || invoice.reasonForExport}`, 305, 74);
+
+        this.drawParty(doc, 'Vendeur - exportateur / Seller - exporter', invoice.exporter, 40, 96, 250);
+        this.drawParty(doc, 'Acheteur - destinataire / Buyer - consignee', invoice.importer, 305, 96, 250);
+
+        const columns = [
+            { label: 'Description', width: 165, value: item => item.description },
+            { label: 'Code SH / HS code', width: 70, value: item => item.hsCode || '' },
+            { label: 'Origine / Origin', width: 50, value: item => item.countryOfOrigin || '' },
+            { label: 'Qté / Qty', width: 40, value: item => String(item.quantity) },
+            { label: 'Prix unitaire / Unit price', width: 95, value: item => money(item.unitPrice, currency) },
+            { label: 'Total', width: 95, value: item => money(item.totalPrice, currency) }
+        ];
+        let y = this.drawTable(doc, columns, invoice.items, 40, 190);
+        y = this.ensureSpace(doc, y, 260);
+
+        const totals = [
+            ['Sous-total / Subtotal', invoice.subtotal],
+            ['Transport / Freight', invoice.shipping],
+            ['Assurance / Insurance', invoice.insurance],
+            ['Total', invoice.total]
+        ];
+        totals.forEach(([label, value], index) => {
+            doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                .text(label, 325, y + 6 + index * 13, { width: 130 })
+                .text(money(value, currency), 455, y + 6 + index * 13, { width: 100, align: 'right' });
+        });
+        y += 6 + totals.length * 13;
+
+        doc.font('Helvetica').fontSize(8)
+            .text(`Conditions de paiement / Payment terms : ${invoice.paymentTerms}`, 40, y + 8)
+            .text(`Poids total / Total weight : ${weightOf(declaration.items)} kg`, 40, y + 20);
+        if (proforma) {
+            doc.font('Helvetica-Bold').fontSize(8)
+                .text('Sans valeur commerciale - valeur déclarée pour la douane uniquement / No commercial value - value for customs purposes only', 40, y + 34);
+        }
+
+        y = this.drawIdentifiers(doc, declaration, 40, y + 50, 8);
+        this.drawSignature(doc, signature, 40, y + 10, 515, 8, INVOICE_DECLARATION);
+
+        return this.toBuffer(doc);
+    }
+
+    // ----------------------------------------
+    // ELECTRONIC DATA
+    // ----------------------------------------
+
+    /**
+     * Données électroniques préalables (EAD) jointes à la demande d'étiquette transporteur
+     */
+    buildElectronicData(declaration, invoice = null) {
+        return {
+            declarationId: declaration.id,
+            documentType: declaration.totalValue <= this.cn22MaxValue ? 'CN22' : 'CN23',
+            category: declaration.category || 'commercial',
+            invoiceNumber: invoice?.invoiceNumber || declaration.invoiceNumber || null,
+            incoterm: declaration.incoterm,
+            currency: declaration.currency,
+            totalValue: declaration.totalValue,
+            shippingCost: declaration.shippingCost || 0,
+            totalWeight: weightOf(declaration.items),
+            exporter: {
+                eoriNumber: declaration.exporter?.eoriNumber || null,
+                vatNumber: declaration.exporter?.vatNumber || null
+            },
+            importer: {
+                eoriNumber: declaration.importer?.eoriNumber || null,
+                taxId: declaration.importer?.taxId || null
+            },
+            iossNumber: declaration.iossNumber || null,
+            // Droits et TVA déjà encaissés auprès de l'acheteur (DDP, IOSS, TVA britannique)
+            taxRegime: declaration.taxRegime || null,
+            collectedDuties: declaration.collectedDuties || 0,
+            collectedTaxes: declaration.collectedTaxes || 0,
+            articles: declaration.items.map(item => ({
+                description: item.description,
+                quantity: item.quantity,
+                weight: parseFloat(item.weight) || 0,
+                value: item.unitValue,
+                hsCode: (item.hsCode || '').replace(/\D/g, ''),
+                originCountry: item.countryOfOrigin,
+                currency: item.currency || declaration.currency
+            }))
+        };
+    }
+
+    // ----------------------------------------
+    // DRAWING HELPERS
+    // ----------------------------------------
+
+    createDocument(size, title, margin) {
+        return new PDFDocument({
+            size,
+            margin,
+            info: { Title: title, Producer: 'Routz', Creator: 'Routz' }
+        });
+    }
+
+    /**
+     * Nouvelle page si le bloc suivant (totaux, mentions, signature) ne tient pas
+     */
+    ensureSpace(doc, y, height) {
+        if (y + height <= doc.page.height - doc.page.margins.bottom) return y;
+        doc.addPage();
+        return doc.page.margins.top;
+    }
+
+    drawParty(doc, title, party, x, y, width) {
+        doc.rect(x, y, width, 80).stroke();
+        doc.font('Helvetica-Bold').fontSize(8).text(title, x + 6, y + 6, { width: width - 12 });
+        doc.font('Helvetica').fontSize(8).text(addressLines(party).join('\n'), x + 6, y + 18, { width: width - 12, height: 58 });
+    }
+
+    drawCategories(doc, selected = 'commercial', x, y, width) {
+        const entries = Object.entries(CUSTOMS_CATEGORIES);
+        const columnWidth = width / 2;
+        const fontSize = width < 300 ? 6 : 8;
+
+        doc.font('Helvetica').fontSize(fontSize);
+        entries.forEach(([key, category], index) => {
+            const cx = x + (index % 2) * columnWidth;
+            const cy = y + Math.floor(index / 2) * (fontSize + 5);
+            doc.rect(cx, cy, fontSize, fontSize).stroke();
+            if (key === selected) {
+                doc.moveTo(cx, cy).lineTo(cx + fontSize, cy + fontSize).moveTo(cx + fontSize, cy).lineTo(cx, cy + fontSize).stroke();
+            }
+            doc.text(category.label, cx + fontSize + 4, cy, { width: columnWidth - fontSize - 8, lineBreak: false, ellipsis: true });
+        });
+
+        return y + Math.ceil(entries.length / 2) * (fontSize + 5);
+    }
+
+    drawTable(doc, columns, rows, x, y, { fontSize = 8, rowHeight = 14 } = {}) {
+        const width = columns.reduce((sum, col) => sum + col.width, 0);
+        const pageBottom = doc.page.height - doc.page.margins.bottom - rowHeight;
+
+        const drawHeader = (top) => {
+            let cx = x;
+            doc.font('Helvetica-Bold').fontSize(fontSize);
+            columns.forEach(col => {
+                doc.text(col.label, cx, top, { width: col.width - 4, height: fontSize * 2 + 2 });
+                cx += col.width;
+            });
+            doc.moveTo(x, top + fontSize * 2 + 4).lineTo(x + width, top + fontSize * 2 + 4).stroke();
+            return top + fontSize * 2 + 8;
+        };
+
+        let cy = drawHeader(y);
+        doc.font('Helvetica').fontSize(fontSize);
+        rows.forEach(row => {
+            if (cy > pageBottom) {
+                doc.addPage();
+                cy = drawHeader(doc.page.margins.top);
+                doc.font('Helvetica').fontSize(fontSize);
+            }
+            let cx = x;
+            columns.forEach(col => {
+                doc.text(col.value(row), cx, cy, { width: col.width - 4, lineBreak: false, ellipsis: true });
+                cx += col.width;
+            });
+            cy += rowHeight;
+        });
+
+        doc.moveTo(x, cy).lineTo(x + width, cy).stroke();
+        return cy;
+    }
+
+    drawIdentifiers(doc, declaration, x, y, fontSize) {
+        const identifiers = [
+            ['EORI expéditeur / Sender EORI', declaration.exporter?.eoriNumber],
+            ['TVA / VAT', declaration.exporter?.vatNumber],
+            ['IOSS', declaration.iossNumber],
+            ['EORI destinataire / Consignee EORI', declaration.importer?.eoriNumber]
+        ].filter(([, value]) => value);
+
+        doc.font('Helvetica').fontSize(fontSize);
+        identifiers.forEach(([label, value], index) => {
+            doc.text(`${label} : ${value}`, x, y + index * (fontSize + 4));
+        });
+        return y + identifiers.length * (fontSize + 4);
+    }
+
+    drawSignature(doc, signature, x, y, width, fontSize, statement = CERTIFICATION) {
+        doc.font('Helvetica').fontSize(fontSize - 1).text(statement, x, y, { width });
+        const top = doc.y + 6;
+
+        doc.rect(x, top, width, fontSize * 6).stroke();
+        doc.fontSize(fontSize)
+            .text(`Lieu et date / Place and date : ${[signature.place, signature.date].filter(Boolean).join(', ')}`, x + 6, top + 6, { width: width - 12 })
+            .text(`Nom et signature / Name and signature : ${signature.name || ''}`, x + 6, top + fontSize + 12, { width: width - 12 });
+    }
+
+    toBuffer(doc) {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+
+        return new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+            doc.end();
+        });
+    }
+}
+
+module.exports = {
+    CustomsDocumentService,
+    CustomsDocumentError,
+    CUSTOMS_CATEGORIES,
+    DOCUMENT_TYPES,
+    CN22_MAX_VALUE
+};
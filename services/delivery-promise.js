@@ -0,0 +1,241 @@
+/**
+ * Routz v4.0 - Delivery Promise Service
+ * Promesse de date de livraison (checkout, fiche produit) : heure limite et délai de préparation
+ * de l'entrepôt, délais de transit par zone, jours fériés et jours non travaillés des transporteurs
+ */
+
+const {
+    MONDAY_TO_FRIDAY,
+    CalendarService,
+    CalendarError,
+    carrierCalendar,
+    warehouseCalendar,
+    addDays,
+    daysBetween,
+    localTime,
+    zonedTime,
+    parseTime
+} = require('./calendar');
+
+// Réglages d'entrepôt par défaut (warehouses.settings)
+const DEFAULT_WAREHOUSE_SETTINGS = {
+    cutoffTime: '16:00',
+    processingDays: MONDAY_TO_FRIDAY,
+    // Jours de préparation supplémentaires après le jour de commande
+    handlingDays: 0,
+    timezone: 'Europe/Paris'
+};
+
+// Jours de transit ajoutés au délai domestique du service, par zone de destination
+const ZONE_TRANSIT_DELAYS = {
+    FR_CORSE: 1,
+    FR_DOM: 4,
+    EU: 1,
+    EUROPE_OTHER: 2,
+    WORLD_1: 3,
+    WORLD_2: 5,
+    WORLD_3: 7
+};
+
+// Délais de transit (jours de distribution) publiés par les transporteurs, par service et par zone
+const TRANSIT_TIMES = {
+    colissimo_home: { FR_METRO: { min: 2, max: 3 }, FR_CORSE: { min: 3, max: 5 }, FR_DOM: { min: 5, max: 8 } },
+    colissimo_international: { EU: { min: 3, max: 6 }, EUROPE_OTHER: { min: 4, max: 8 }, WORLD_1: { min: 5, max: 10 } },
+    chrono_13: { FR_METRO: { min: 1, max: 1 }, FR_CORSE: { min: 2, max: 2 } },
+    chrono_18: { FR_METRO: { min: 1, max: 1 }, FR_CORSE: { min: 2, max: 2 } },
+    chrono_classic: { EU: { min: 2, max: 4 }, EUROPE_OTHER: { min: 3, max: 5 } },
+    dhl_express: { EU: { min: 1, max: 2 }, WORLD_1: { min: 2, max: 3 }, WORLD_2: { min: 3, max: 5 } },
+    ups_express: { EU: { min: 1, max: 2 }, WORLD_1: { min: 2, max: 3 } }
+};
+
+const PROMISE_LABELS = {
+    fr: {
+        countdown: (time, day) => `Commandez dans les ${time} pour être livré ${day}`,
+        deadline: (time, day) => `Commandez avant ${time} pour être livré ${day}`,
+        range: (from, to) => `entre ${from} et ${to}`,
+        today: "aujourd'hui",
+        tomorrow: 'demain',
+        hours: (h, m) => (h > 0 ? `${h} h ${m} min` : `${m} min`),
+        datePrefix: 'le '
+    },
+    en: {
+        countdown: (time, day) => `Order within ${time} to get it ${day}`,
+        deadline: (time, day) => `Order by ${time} to get it ${day}`,
+        range: (from, to) => `between ${from} and ${to}`,
+        today: 'today',
+        tomorrow: 'tomorrow',
+        hours: (h, m) => (h > 0 ? `${h}h ${m}m` : `${m}m`),
+        datePrefix: ''
+    }
+};
+
+class DeliveryPromiseError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'DeliveryPromiseError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class DeliveryPromiseService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.calendar = new CalendarService({ db: this.db });
+    }
+
+    // ----------------------------------------
+    // WAREHOUSE
+    // ----------------------------------------
+
+    /**
+     * Entrepôt d'expédition (par défaut celui de l'organisation), ses réglages de préparation et ses fermetures
+     */
+    async getWarehouse(orgId, warehouseId = null) {
+        const result = await this.db.query(`
+            SELECT id, name, country, settings FROM warehouses
+            WHERE organization_id = $1 AND ($2::uuid IS NULL OR id = $2)
+            ORDER BY is_default DESC, created_at ASC
+            LIMIT 1
+        `, [orgId, warehouseId]);
+
+        if (result.rows.length === 0) {
+            if (warehouseId) {
+                throw new DeliveryPromiseError('Warehouse not found', 'WAREHOUSE_NOT_FOUND', 404);
+            }
+            return this.warehouseSettings({});
+        }
+
+        const row = result.rows[0];
+        const settings = typeof row.settings === 'string' ? JSON.parse(row.settings) : (row.settings || {});
+        const closures = await this.calendar.warehouseClosureDays(orgId, row.id);
+        return this.warehouseSettings({ id: row.id, name: row.name, country: row.country, ...settings, closures });
+    }
+
+    warehouseSettings(warehouse) {
+        return {
+            id: warehouse.id || null,
+            name: warehouse.name || null,
+            country: warehouse.country || 'FR',
+            cutoffTime: warehouse.cutoffTime || DEFAULT_WAREHOUSE_SETTINGS.cutoffTime,
+            processingDays: warehouse.processingDays?.length ? warehouse.processingDays : DEFAULT_WAREHOUSE_SETTINGS.processingDays,
+            handlingDays: parseInt(warehouse.handlingDays) || DEFAULT_WAREHOUSE_SETTINGS.handlingDays,
+            timezone: warehouse.timezone || DEFAULT_WAREHOUSE_SETTINGS.timezone,
+            closures: warehouse.closures || []
+        };
+    }
+
+    // ----------------------------------------
+    // TRANSIT
+    // ----------------------------------------
+
+    /**
+     * Délai de transit d'un service vers une zone : surcharge de l'organisation,
+     * table transporteur, puis délai domestique majoré selon la zone
+     */
+    transitDays(service, zoneId, overrides = {}) {
+        const transit = overrides[service.id]?.[zoneId] || TRANSIT_TIMES[service.id]?.[zoneId];
+        if (transit) return { min: transit.min, max: transit.max };
+
+        const delay = ZONE_TRANSIT_DELAYS[zoneId] || 0;
+        return { min: service.deliveryDays.min + delay, max: service.deliveryDays.max + delay };
+    }
+
+    // ----------------------------------------
+    // PROMISE
+    // ----------------------------------------
+
+    /**
+     * Promesse de livraison d'un service
+     * @param {Object} params.service service transporteur ({ id, carrier, deliveryDays })
+     * @param {Object} params.warehouse réglages d'entrepôt (getWarehouse)
+     * @returns {{shipDate, cutoff, orderWithin: {hours, minutes}, transitDays, deliveryDate: {min, max}, message}}
+     */
+    promise({ service, zoneId, country, warehouse, transitTimes = {}, carrierExceptions = [], now = new Date(), lang = 'fr' }) {
+        const origin = localTime(now, warehouse.timezone);
+        const preparation = warehouseCalendar(warehouse);
+        const pickup = carrierCalendar(service.carrier, warehouse.country, 'pickup', carrierExceptions);
+        const delivery = carrierCalendar(service.carrier, country, 'delivery', carrierExceptions);
+
+        // Jour de prise en charge de la commande : aujourd'hui avant l'heure limite, sinon le prochain jour de préparation
+        const orderDay = origin.minutes < parseTime(warehouse.cutoffTime) && preparation.isWorkingDay(origin.day)
+            ? origin.day
+            : preparation.nextWorkingDay(addDays(origin.day, 1));
+
+        // Préparation, puis premier passage du transporteur un jour d'ouverture de l'entrepôt
+        let shipDate = preparation.addWorkingDays(orderDay, warehouse.handlingDays);
+        for (let checked = 0; !pickup.isWorkingDay(shipDate); checked++) {
+            if (checked >= 31) {
+                throw new CalendarError('No pickup day matches the warehouse processing days', 'NO_WORKING_DAY', 422, {
+                    carrier: service.carrier,
+                    warehouseId: warehouse.id
+                });
+            }
+            shipDate = preparation.nextWorkingDay(addDays(shipDate, 1));
+        }
+
+        const transit = this.transitDays(service, zoneId, transitTimes);
+        const cutoff = zonedTime(orderDay, warehouse.cutoffTime, warehouse.timezone);
+        const remaining = Math.max(0, Math.floor((cutoff.getTime() - now.getTime()) / 60000));
+        const deliveryDate = { min: delivery.addWorkingDays(shipDate, transit.min), max: delivery.addWorkingDays(shipDate, transit.max) };
+
+        return {
+            serviceId: service.id,
+            carrier: service.carrier,
+            orderDay,
+            shipDate,
+            cutoff: cutoff.toISOString(),
+            orderWithin: { hours: Math.floor(remaining / 60), minutes: remaining % 60 },
+            transitDays: transit,
+            deliveryDate,
+            message: this.formatMessage({ origin, orderDay, remaining, cutoffTime: warehouse.cutoffTime, deliveryDate, lang })
+        };
+    }
+
+    /**
+     * « Commandez dans les 2 h 14 min pour être livré jeudi » ; heure limite d'un autre jour
+     * (week-end, férié) : « Commandez avant lundi 16:00 pour être livré mercredi »
+     */
+    formatMessage({ origin, orderDay, remaining, cutoffTime, deliveryDate, lang }) {
+        const labels = PROMISE_LABELS[lang] || PROMISE_LABELS.fr;
+        const locale = PROMISE_LABELS[lang] ? lang : 'fr';
+
+        const dayLabel = (day) => {
+            const offset = daysBetween(origin.day, day);
+            if (offset === 0) return labels.today;
+            if (offset === 1) return labels.tomorrow;
+
+            const date = new Date(`${day}T00:00:00Z`);
+            return offset < 7
+                ? date.toLocaleDateString(locale, { weekday: 'long', timeZone: 'UTC' })
+                : labels.datePrefix + date.toLocaleDateString(locale, { day: 'numeric', month: 'long', timeZone: 'UTC' });
+        };
+
+        const delivery = deliveryDate.min === deliveryDate.max
+            ? dayLabel(deliveryDate.min)
+            : labels.range(dayLabel(deliveryDate.min), dayLabel(deliveryDate.max));
+
+        return orderDay === origin.day
+            ? labels.countdown(labels.hours(Math.floor(remaining / 60), remaining % 60), delivery)
+            : labels.deadline(`${dayLabel(orderDay)} ${cutoffTime}`, delivery);
+    }
+
+    /**
+     * Délai en jours calendaires depuis le jour de commande (tri et affichage des options du checkout)
+     */
+    toDeliveryDays(promise, now = new Date(), timeZone = DEFAULT_WAREHOUSE_SETTINGS.timezone) {
+        const today = localTime(now, timeZone).day;
+        return {
+            min: daysBetween(today, promise.deliveryDate.min),
+            max: daysBetween(today, promise.deliveryDate.max)
+        };
+    }
+}
+
+module.exports = {
+    DeliveryPromiseService,
+    DeliveryPromiseError,
+    DEFAULT_WAREHOUSE_SETTINGS,
+    TRANSIT_TIMES
+};
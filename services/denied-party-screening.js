@@ -0,0 +1,630 @@
+/**
+ * Routz v4.0 - Denied Party Screening Service
+ * Contrôle des destinataires hors UE : listes de sanctions (liste consolidée UE, OFAC SDN, HMT britannique)
+ * chargées depuis des fichiers locaux, rapprochement approché nom / adresse, pays sous embargo,
+ * mise en attente de l'expédition jusqu'à décision de la conformité et trace de chaque contrôle
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { v4: uuidv4 } = require('uuid');
+const { InternationalService } = require('./international');
+
+const COMPLIANCE_HOLD_STATUS = 'compliance_hold';
+
+const DEFAULT_LISTS_DIR = path.join(__dirname, '..', 'data', 'sanctions');
+
+// Fichiers attendus dans le répertoire des listes (exports officiels au format CSV)
+const SANCTIONS_LISTS = {
+    eu_consolidated: { name: 'EU consolidated financial sanctions list', file: 'eu-consolidated.csv' },
+    ofac_sdn: { name: 'OFAC Specially Designated Nationals', file: 'sdn.csv', addresses: 'add.csv', aliases: 'alt.csv' },
+    uk_hmt: { name: 'UK HMT consolidated list', file: 'ConList.csv' }
+};
+
+// Score de similarité du nom à partir duquel l'expédition est mise en attente
+const DEFAULT_MIN_SCORE = 0.85;
+const MAX_MATCHES = 10;
+
+// Embargo global (licence obligatoire) ou sanctions sectorielles (revue au cas par cas)
+const EMBARGOED_COUNTRIES = {
+    KP: { level: 'embargo', regime: 'Corée du Nord' },
+    IR: { level: 'embargo', regime: 'Iran' },
+    SY: { level: 'embargo', regime: 'Syrie' },
+    CU: { level: 'embargo', regime: 'Cuba (OFAC)' },
+    RU: { level: 'restricted', regime: 'Russie (règlement UE 833/2014)' },
+    BY: { level: 'restricted', regime: 'Biélorussie (règlement UE 765/2006)' },
+    VE: { level: 'restricted', regime: 'Venezuela' },
+    MM: { level: 'restricted', regime: 'Myanmar' }
+};
+
+// Territoires sous embargo repérés dans l'adresse
+const EMBARGOED_REGIONS = {
+    UA: { level: 'embargo', regime: 'Crimée et territoires non contrôlés', keywords: ['crimea', 'krym', 'sevastopol', 'donetsk', 'luhansk', 'lugansk'] }
+};
+
+// Formes juridiques et mots vides ignorés dans les noms
+const NAME_STOPWORDS = [
+    'the', 'and', 'of', 'de', 'du', 'des', 'la', 'le', 'les', 'et',
+    'ltd', 'limited', 'llc', 'llp', 'inc', 'co', 'company', 'corp', 'corporation', 'plc',
+    'sa', 'sas', 'sarl', 'gmbh', 'ag', 'bv', 'nv', 'jsc', 'ojsc', 'pjsc', 'ooo', 'fze', 'fzco'
+];
+
+const OFAC_NULL = '-0-';
+
+class ScreeningError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'ScreeningError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Listes déjà chargées, rechargées quand le fichier change
+const listCache = new Map();
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function normalizeText(value) {
+    return String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function nameTokens(value) {
+    const tokens = normalizeText(value).split(' ').filter(Boolean);
+    const significant = tokens.filter(token => !NAME_STOPWORDS.includes(token));
+    return significant.length > 0 ? significant : tokens;
+}
+
+/**
+ * Similarité de Jaro-Winkler (0 à 1)
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (!bMatches[j] && a[i] === b[j]) {
+                aMatches[i] = bMatches[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[j]) j++;
+        if (a[i] !== b[j++]) transpositions++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarité de deux noms indépendante de l'ordre des mots (« SMITH, John » / « John Smith »)
+ */
+function nameSimilarity(queryTokens, candidateTokens) {
+    if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+    const coverage = (from, to) => from.reduce((sum, token) =>
+        sum + Math.max(...to.map(other => jaroWinkler(token, other))), 0) / from.length;
+
+    return (coverage(queryTokens, candidateTokens) + coverage(candidateTokens, queryTokens)) / 2;
+}
+
+function readCsv(file, options = {}) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        fs.createReadStream(file)
+            .on('error', reject)
+            .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(), ...options }))
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class DeniedPartyScreeningService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.listsDir = config.listsDir || process.env.SANCTIONS_LISTS_DIR || DEFAULT_LISTS_DIR;
+        this.minScore = config.minScore ?? DEFAULT_MIN_SCORE;
+        this.international = config.international || new InternationalService({ db: this.db });
+    }
+
+    // ----------------------------------------
+    // SANCTIONS LISTS
+    // ----------------------------------------
+
+    /**
+     * Charger les listes disponibles ; une liste absente est signalée dans le résultat du contrôle
+     * @returns {{entries: Array, sources: Array<{list, name, file, loaded, entries, updatedAt}>}}
+     */
+    async loadLists() {
+        const entries = [];
+        const sources = [];
+
+        for (const [list, definition] of Object.entries(SANCTIONS_LISTS)) {
+            const file = path.join(this.listsDir, definition.file);
+            const stat = await fs.promises.stat(file).catch(() => null);
+
+            if (!stat) {
+                sources.push({ list, name: definition.name, file: definition.file, loaded: false, entries: 0, updatedAt: null });
+                continue;
+            }
+
+            let cached = listCache.get(file);
+            if (!cached || cached.mtimeMs !== stat.mtimeMs) {
+                try {
+                    cached = { mtimeMs: stat.mtimeMs, entries: await this.parseList(list, file) };
+                } catch (error) {
+                    console.error(`Sanctions list ${definition.file} could not be parsed:`, error.message);
+                    sources.push({ list, name: definition.name, file: definition.file, loaded: false, entries: 0, updatedAt: null });
+                    continue;
+                }
+                listCache.set(file, cached);
+            }
+
+            cached.entries.forEach(entry => entries.push(entry));
+            sources.push({
+                list,
+                name: definition.name,
+                file: definition.file,
+                loaded: true,
+                entries: cached.entries.length,
+                updatedAt: stat.mtime.toISOString()
+            });
+        }
+
+        return { entries, sources };
+    }
+
+    async parseList(list, file) {
+        switch (list) {
+            case 'ofac_sdn':
+                return this.parseOfac(file);
+            case 'eu_consolidated':
+                return this.parseEuConsolidated(await readCsv(file, { separator: ';' }));
+            case 'uk_hmt':
+                // Première ligne : « Last Updated,<date> »
+                return this.parseUkHmt(await readCsv(file, { skipLines: 1 }));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * OFAC : sdn.csv sans en-tête, adresses (add.csv) et noms alternatifs (alt.csv) facultatifs
+     */
+    async parseOfac(file) {
+        const clean = (value) => {
+            const text = String(value ?? '').trim();
+            return text === OFAC_NULL ? '' : text;
+        };
+        const sibling = async (name, headers) => {
+            const siblingFile = path.join(path.dirname(file), name);
+            return fs.existsSync(siblingFile) ? readCsv(siblingFile, { headers }) : [];
+        };
+
+        const sdn = await readCsv(file, { headers: ['ent_num', 'name', 'type', 'program', 'title', 'call_sign', 'vess_type', 'tonnage', 'grt', 'vess_flag', 'vess_owner', 'remarks'] });
+        const addresses = await sibling(SANCTIONS_LISTS.ofac_sdn.addresses, ['ent_num', 'add_num', 'address', 'city', 'country', 'remarks']);
+        const aliases = await sibling(SANCTIONS_LISTS.ofac_sdn.aliases, ['ent_num', 'alt_num', 'alt_type', 'alt_name', 'remarks']);
+
+        const byId = new Map();
+        for (const row of sdn) {
+            const id = clean(row.ent_num);
+            if (!id || !clean(row.name)) continue;
+            byId.set(id, {
+                list: 'ofac_sdn',
+                listId: id,
+                name: clean(row.name),
+                aliases: [],
+                type: (clean(row.type) || 'entity').toLowerCase(),
+                programs: clean(row.program).split(/[;\]\[]/).map(p => p.trim()).filter(Boolean),
+                addresses: []
+            });
+        }
+        for (const row of addresses) {
+            const entry = byId.get(clean(row.ent_num));
+            if (entry) entry.addresses.push({ line: [clean(row.address), clean(row.city)].filter(Boolean).join(', '), country: clean(row.country) });
+        }
+        for (const row of aliases) {
+            const entry = byId.get(clean(row.ent_num));
+            if (entry && clean(row.alt_name)) entry.aliases.push(clean(row.alt_name));
+        }
+
+        return [...byId.values()];
+    }
+
+    /**
+     * Liste consolidée UE (CSV 1.1, séparateur « ; ») : une ligne par nom ou adresse de chaque entité
+     */
+    parseEuConsolidated(rows) {
+        const byId = new Map();
+
+        for (const row of rows) {
+            const id = row.Entity_LogicalId;
+            if (!id) continue;
+
+            if (!byId.has(id)) {
+                const subjectType = (row.Entity_SubjectType_ClassificationCode || row.Entity_SubjectType || '').toLowerCase();
+                byId.set(id, {
+                    list: 'eu_consolidated',
+                    listId: row.Entity_EU_ReferenceNumber || id,
+                    name: null,
+                    aliases: [],
+                    type: subjectType.startsWith('p') ? 'individual' : 'entity',
+                    programs: [row.Entity_Regulation_Programme].filter(Boolean),
+                    addresses: []
+                });
+            }
+            const entry = byId.get(id);
+
+            const wholeName = (row.NameAlias_WholeName || '').trim();
+            if (wholeName) {
+                if (!entry.name) entry.name = wholeName;
+                else if (wholeName !== entry.name && !entry.aliases.includes(wholeName)) entry.aliases.push(wholeName);
+            }
+
+            const line = [row.Address_Street, row.Address_ZipCode, row.Address_City].filter(Boolean).join(', ');
+            if (line || row.Address_CountryIso2Code) {
+                entry.addresses.push({ line, country: row.Address_CountryIso2Code || row.Address_CountryDescription || '' });
+            }
+        }
+
+        return [...byId.values()].filter(entry => entry.name);
+    }
+
+    /**
+     * Liste HMT : une ligne par nom (primaire ou alias) et adresse, regroupées par Group ID
+     */
+    parseUkHmt(rows) {
+        const byId = new Map();
+
+        for (const row of rows) {
+            const id = row['Group ID'];
+            // « Name 6 » porte le nom de famille ou la raison sociale
+            const name = [1, 2, 3, 4, 5, 6].map(n => row[`Name ${n}`]).filter(Boolean).join(' ').trim();
+            if (!id || !name) continue;
+
+            if (!byId.has(id)) {
+                byId.set(id, {
+                    list: 'uk_hmt',
+                    listId: id,
+                    name: null,
+                    aliases: [],
+                    type: (row['Group Type'] || 'entity').toLowerCase(),
+                    programs: [row.Regime].filter(Boolean),
+                    addresses: []
+                });
+            }
+            const entry = byId.get(id);
+
+            if (!entry.name && (row['Alias Type'] || '').toLowerCase().startsWith('primary')) {
+                entry.name = name;
+            } else if (name !== entry.name && !entry.aliases.includes(name)) {
+                entry.aliases.push(name);
+            }
+
+            const line = [1, 2, 3, 4, 5, 6].map(n => row[`Address ${n}`]).concat(row['Post/Zip Code']).filter(Boolean).join(', ');
+            if ((line || row.Country) && !entry.addresses.some(address => address.line === line)) {
+                entry.addresses.push({ line, country: row.Country || '' });
+            }
+        }
+
+        // Groupe sans nom primaire : premier alias
+        return [...byId.values()].map(entry => entry.name ? entry : { ...entry, name: entry.aliases[0], aliases: entry.aliases.slice(1) });
+    }
+
+    // ----------------------------------------
+    // MATCHING
+    // ----------------------------------------
+
+    /**
+     * Contrôle d'une partie (nom, société, adresse) contre les listes chargées et les embargos
+     * @returns {{matches: Array<{list, listId, name, matchedName, score, type, programs, addressMatch}>, embargo}}
+     */
+    screenParty(party, destinationCountry, entries) {
+        const queries = [party.name, party.company].filter(Boolean).map(nameTokens).filter(tokens => tokens.length > 0);
+        const partyAddress = new Set(nameTokens([party.address1, party.address2, party.city, party.postalCode].filter(Boolean).join(' ')));
+        const matches = [];
+
+        for (const entry of entries) {
+            let best = null;
+            for (const candidate of [entry.name, ...entry.aliases]) {
+                const candidateTokens = nameTokens(candidate);
+                for (const query of queries) {
+                    const score = nameSimilarity(query, candidateTokens);
+                    if (!best || score > best.score) best = { matchedName: candidate, score };
+                }
+            }
+            if (!best || best.score < this.minScore) continue;
+
+            matches.push({
+                list: entry.list,
+                listId: entry.listId,
+                name: entry.name,
+                matchedName: best.matchedName,
+                score: round(best.score),
+                type: entry.type,
+                programs: entry.programs,
+                addressMatch: this.addressMatch(entry.addresses, partyAddress, destinationCountry)
+            });
+        }
+
+        // Nom et adresse concordants d'abord
+        matches.sort((a, b) => (b.score + (b.addressMatch?.score || 0) * 0.1) - (a.score + (a.addressMatch?.score || 0) * 0.1));
+
+        return { matches: matches.slice(0, MAX_MATCHES), embargo: this.checkEmbargo(destinationCountry, party) };
+    }
+
+    /**
+     * Concordance d'adresse, indicative pour la revue : même pays, mots communs avec l'adresse listée
+     */
+    addressMatch(addresses, partyAddress, destinationCountry) {
+        if (addresses.length === 0) return null;
+
+        const countryName = normalizeText(countryNames.of(destinationCountry) || destinationCountry);
+        let best = { country: false, score: 0 };
+
+        for (const address of addresses) {
+            const country = normalizeText(address.country);
+            const sameCountry = country === destinationCountry.toLowerCase() || country === countryName;
+            const lineTokens = new Set(nameTokens(address.line));
+            const common = [...lineTokens].filter(token => partyAddress.has(token)).length;
+            const overlap = lineTokens.size + partyAddress.size > 0 ? (2 * common) / (lineTokens.size + partyAddress.size) : 0;
+            const score = round((sameCountry ? 0.5 : 0) + overlap * 0.5);
+
+            if (score > best.score || (sameCountry && !best.country)) best = { country: sameCountry, score, line: address.line };
+        }
+
+        return best;
+    }
+
+    checkEmbargo(destinationCountry, party = {}) {
+        const country = EMBARGOED_COUNTRIES[destinationCountry];
+        if (country) return { country: destinationCountry, ...country };
+
+        const region = EMBARGOED_REGIONS[destinationCountry];
+        if (region) {
+            const address = normalizeText([party.address1, party.address2, party.city, party.state].filter(Boolean).join(' '));
+            const keyword = region.keywords.find(word => address.split(' ').includes(word));
+            if (keyword) return { country: destinationCountry, level: region.level, regime: region.regime, matchedOn: keyword };
+        }
+
+        return null;
+    }
+
+    /**
+     * Envois soumis au contrôle : hors UE et hors national
+     */
+    requiresScreening(originCountry, destinationCountry) {
+        if (!destinationCountry || originCountry === destinationCountry) return false;
+        const type = this.international.determineDeclarationType({ sender: { country: originCountry }, recipient: { country: destinationCountry } });
+        return type !== 'intra_eu';
+    }
+
+    // ----------------------------------------
+    // SCREENING
+    // ----------------------------------------
+
+    /**
+     * Contrôler une partie et tracer le résultat ; toute concordance, embargo ou liste indisponible met en attente
+     */
+    async screen(orgId, { shipmentId = null, party, originCountry = null, destinationCountry }) {
+        const { entries, sources } = await this.loadLists();
+        const { matches, embargo } = this.screenParty(party, destinationCountry, entries);
+        // Une seule liste manquante suffit : le contrôle serait incomplet
+        const listsUnavailable = sources.some(source => !source.loaded);
+
+        const reasons = [];
+        if (embargo) reasons.push(embargo.level === 'embargo' ? 'embargoed_country' : 'restricted_country');
+        if (matches.length > 0) reasons.push('denied_party_match');
+        if (listsUnavailable) reasons.push('lists_unavailable');
+
+        const decision = reasons.length > 0 ? 'hold' : 'clear';
+        const screening = {
+            id: uuidv4(),
+            organizationId: orgId,
+            shipmentId,
+            party,
+            originCountry,
+            destinationCountry,
+            decision,
+            status: decision === 'hold' ? 'pending_review' : 'clear',
+            reasons,
+            matches,
+            embargo,
+            lists: sources,
+            minScore: this.minScore,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.db.query(`
+            INSERT INTO denied_party_screenings (id, organization_id, shipment_id, party, origin_country, destination_country,
+                decision, status, reasons, matches, embargo, lists, min_score, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+            screening.id, orgId, shipmentId, JSON.stringify(party), originCountry, destinationCountry,
+            decision, screening.status, JSON.stringify(reasons), JSON.stringify(matches), embargo ? JSON.stringify(embargo) : null,
+            JSON.stringify(sources), this.minScore, screening.createdAt
+        ]);
+
+        return screening;
+    }
+
+    /**
+     * Contrôle du destinataire d'une expédition ; en cas de doute, l'expédition passe en attente conformité
+     * @returns {{screening, shipment}|null} null si l'envoi n'est pas soumis au contrôle
+     */
+    async screenShipment(orgId, shipment) {
+        const originCountry = shipment.sender_country || await this.getOriginCountry(orgId, shipment.warehouse_id);
+        if (!this.requiresScreening(originCountry, shipment.recipient_country)) return null;
+
+        const screening = await this.screen(orgId, {
+            shipmentId: shipment.id,
+            originCountry,
+            destinationCountry: shipment.recipient_country,
+            party: {
+                name: shipment.recipient_name,
+                company: shipment.recipient_company,
+                address1: shipment.recipient_address1,
+                address2: shipment.recipient_address2,
+                city: shipment.recipient_city,
+                state: shipment.recipient_state,
+                postalCode: shipment.recipient_postal_code,
+                country: shipment.recipient_country
+            }
+        });
+
+        if (screening.decision !== 'hold') return { screening, shipment };
+
+        const held = await this.db.query(`
+            UPDATE shipments SET status = '${COMPLIANCE_HOLD_STATUS}', hold_reason = $3, updated_at = NOW()
+            WHERE id = $1 AND organization_id = $2
+            RETURNING *
+        `, [shipment.id, orgId, `Contrôle export : ${screening.reasons.join(', ')}`]);
+
+        return { screening, shipment: held.rows[0] || shipment };
+    }
+
+    /**
+     * Pays d'expédition d'un envoi créé depuis une commande : entrepôt d'expédition, sinon entrepôt par défaut
+     */
+    async getOriginCountry(orgId, warehouseId = null) {
+        const result = await this.db.query(`
+            SELECT country FROM warehouses
+            WHERE organization_id = $1
+            ORDER BY (id = $2::uuid) DESC NULLS LAST, is_default DESC
+            LIMIT 1
+        `, [orgId, warehouseId]);
+        return result.rows[0]?.country || null;
+    }
+
+    async getScreenings(orgId, { status, shipmentId, limit = 50, offset = 0 } = {}) {
+        const params = [orgId];
+        let where = 'organization_id = $1';
+
+        if (status) {
+            params.push(status);
+            where += ` AND status = $${params.length}`;
+        }
+        if (shipmentId) {
+            params.push(shipmentId);
+            where += ` AND shipment_id = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        const result = await this.db.query(`
+            SELECT * FROM denied_party_screenings
+            WHERE ${where}
+            ORDER BY created_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    async getScreening(orgId, screeningId) {
+        const result = await this.db.query(
+            'SELECT * FROM denied_party_screenings WHERE id = $1 AND organization_id = $2',
+            [screeningId, orgId]
+        );
+        if (result.rows.length === 0) {
+            throw new ScreeningError('Screening not found', 'SCREENING_NOT_FOUND', 404);
+        }
+        return result.rows[0];
+    }
+
+    // ----------------------------------------
+    // COMPLIANCE REVIEW
+    // ----------------------------------------
+
+    /**
+     * Lever la mise en attente : faux positif justifié, ou licence d'exportation pour un pays sous embargo
+     */
+    async clear(orgId, screeningId, { notes, licenceNumber } = {}, userId = null) {
+        const screening = await this.getPendingScreening(orgId, screeningId);
+
+        if (!notes) {
+            throw new ScreeningError('A justification is required to clear a screening', 'JUSTIFICATION_REQUIRED');
+        }
+        const embargo = typeof screening.embargo === 'string' ? JSON.parse(screening.embargo) : screening.embargo;
+        if (embargo?.level === 'embargo' && !licenceNumber) {
+            throw new ScreeningError('An export licence is required for an embargoed destination', 'LICENCE_REQUIRED', 422, { embargo });
+        }
+
+        const updated = await this.review(orgId, screeningId, 'cleared', { notes, licenceNumber, userId });
+
+        if (screening.shipment_id) {
+            await this.db.query(`
+                UPDATE shipments SET status = 'pending', hold_reason = NULL, updated_at = NOW()
+                WHERE id = $1 AND organization_id = $2 AND status = '${COMPLIANCE_HOLD_STATUS}'
+            `, [screening.shipment_id, orgId]);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Confirmer la concordance : l'expédition est annulée
+     */
+    async reject(orgId, screeningId, { notes } = {}, userId = null) {
+        const screening = await this.getPendingScreening(orgId, screeningId);
+        const updated = await this.review(orgId, screeningId, 'rejected', { notes, userId });
+
+        if (screening.shipment_id) {
+            await this.db.query(`
+                UPDATE shipments SET status = 'cancelled', hold_reason = $3, updated_at = NOW()
+                WHERE id = $1 AND organization_id = $2 AND status = '${COMPLIANCE_HOLD_STATUS}'
+            `, [screening.shipment_id, orgId, `Refus conformité export${notes ? ` : ${notes}` : ''}`]);
+        }
+
+        return updated;
+    }
+
+    async getPendingScreening(orgId, screeningId) {
+        const screening = await this.getScreening(orgId, screeningId);
+        if (screening.status !== 'pending_review') {
+            throw new ScreeningError('Screening is not pending review', 'NOT_PENDING_REVIEW', 409, { status: screening.status });
+        }
+        return screening;
+    }
+
+    async review(orgId, screeningId, status, { notes = null, licenceNumber = null, userId = null }) {
+        const result = await this.db.query(`
+            UPDATE denied_party_screenings
+            SET status = $3, review_notes = $4, licence_number = $5, reviewed_by = $6, reviewed_at = NOW()
+            WHERE id = $1 AND organization_id = $2
+            RETURNING *
+        `, [screeningId, orgId, status, notes, licenceNumber, userId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = {
+    DeniedPartyScreeningService,
+    ScreeningError,
+    COMPLIANCE_HOLD_STATUS,
+    SANCTIONS_LISTS,
+    EMBARGOED_COUNTRIES,
+    jaroWinkler,
+    nameSimilarity
+};
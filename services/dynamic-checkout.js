@@ -7,6 +7,11 @@
 const { Pool } = require('pg');
 const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
+const { CartonizationService } = require('./cartonization');
+const { calculateChargeableWeight, toParcels } = require('./chargeable-weight');
+const { InternationalService } = require('./international');
+const { DeliveryPromiseService, DeliveryPromiseError } = require('./delivery-promise');
+const { NegotiatedRatesService } = require('./negotiated-rates');
 
 const db = new Pool({ connectionString: process.env.DATABASE_URL });
 const redis = new Redis(process.env.REDIS_URL);
@@ -337,6 +342,8 @@ const CARRIER_SERVICES = {
 class DynamicCheckoutService {
     constructor() {
         this.carrierRateProviders = {};
+        this.deliveryPromise = new DeliveryPromiseService({ db });
+        this.negotiatedRates = new NegotiatedRatesService();
     }
 
     // ----------------------------------------
@@ -359,6 +366,7 @@ class DynamicCheckoutService {
             // Origin (optional, uses default warehouse if not provided)
             originCountry,
             originPostalCode,
+            warehouseId,
             
             // Package
             weight, // in kg
@@ -377,7 +385,8 @@ class DynamicCheckoutService {
             
             // Customer
             customerId,
-            customerEmail
+            customerEmail,
+            lang
         } = params;
 
         // Validate required fields
@@ -390,19 +399,28 @@ class DynamicCheckoutService {
         
         // Determine shipping zone
         const zone = this.determineZone(country, postalCode, orgConfig.originCountry || 'FR');
+
+        // Heure limite, préparation et fermetures de l'entrepôt, exceptions transporteur pour les dates promises
+        const warehouse = await this.deliveryPromise.getWarehouse(orgId, warehouseId);
+        const carrierExceptions = await this.deliveryPromise.calendar.listCarrierExceptions(orgId);
+        const promise = { warehouse, transitTimes: orgConfig.transitTimes, carrierExceptions, now: new Date(), lang };
         
-        // Calculate volumetric weight if dimensions provided
-        const volumetricWeight = dimensions 
-            ? (dimensions.length * dimensions.width * dimensions.height) / 5000 
+        // Sans dimensions fournies, cartons calculés à partir du panier
+        const packing = !dimensions && cartItems?.length
+            ? await this.cartonizeCart(orgId, cartItems)
             : null;
-        const chargeableWeight = Math.max(weight || 0.5, volumetricWeight || 0);
+        const packageDimensions = packing ? packing.dimensions : dimensions;
+        const parcels = packing ? packing.packages : toParcels(weight || 0.5, dimensions);
+
+        // Poids taxable de référence ; chaque service est coté avec les règles de son transporteur
+        const { chargeableWeight } = calculateChargeableWeight(parcels);
 
         // Get available services
         const availableServices = await this.getAvailableServices({
             orgConfig,
             zone,
             weight: chargeableWeight,
-            dimensions,
+            dimensions: packageDimensions,
             country,
             preferredCarriers,
             excludeCarriers,
@@ -416,12 +434,13 @@ class DynamicCheckoutService {
                 orgId,
                 service,
                 zone,
-                weight: chargeableWeight,
-                dimensions,
+                parcels,
+                dimensions: packageDimensions,
                 country,
                 postalCode,
                 cartValue,
-                currency
+                currency,
+                promise
             })
         );
 
@@ -437,9 +456,26 @@ class DynamicCheckoutService {
             zone
         });
 
-        // Sort by price (cheapest first) then by delivery time
+        // Coût rendu des envois transfrontaliers : droits, TVA import et frais de dédouanement
+        const originCountryCode = originCountry || orgConfig.originCountry || 'FR';
+        const incoterm = this.resolveIncoterm(orgConfig, country);
+        if (originCountryCode !== country) {
+            await this.addLandedCosts(finalRates, {
+                orgId,
+                orgConfig,
+                originCountry: originCountryCode,
+                country,
+                cartValue,
+                cartItems,
+                currency,
+                incoterm
+            });
+        }
+
+        // Sort by price paid at checkout (cheapest first) then by delivery time
+        const checkoutPrice = rate => rate.landedCost?.checkoutTotal ?? rate.price;
         finalRates.sort((a, b) => {
-            if (a.price !== b.price) return a.price - b.price;
+            if (checkoutPrice(a) !== checkoutPrice(b)) return checkoutPrice(a) - checkoutPrice(b);
             return a.deliveryDays.min - b.deliveryDays.min;
         });
 
@@ -460,6 +496,8 @@ class DynamicCheckoutService {
             currency,
             zone: zone.id,
             chargeableWeight,
+            incoterm: finalRates.some(rate => rate.landedCost) ? incoterm : null,
+            packages: packing ? packing.packages : null,
             freeShippingThreshold: orgConfig.freeShippingThreshold,
             freeShippingEligible: cartValue >= (orgConfig.freeShippingThreshold || Infinity),
             options: grouped,
@@ -500,7 +538,7 @@ class DynamicCheckoutService {
             orgId,
             service,
             zone,
-            weight,
+            parcels: toParcels(weight, dimensions),
             dimensions,
             country,
             postalCode,
@@ -588,6 +626,77 @@ class DynamicCheckoutService {
         };
     }
 
+    // ----------------------------------------
+    // LANDED COST
+    // ----------------------------------------
+
+    /**
+     * Devis de coût rendu par option, enregistrés : l'identifiant du devis retenu est transmis à la déclaration
+     * en douane (landedCostQuoteId) pour reprendre l'incoterm et les taxes encaissées
+     */
+    async addLandedCosts(rates, { orgId, orgConfig, originCountry, country, cartValue, cartItems, currency, incoterm }) {
+        const international = new InternationalService({ db });
+        const pricedItems = (cartItems || []).filter(item => item.price !== undefined || item.unitValue !== undefined);
+        const items = pricedItems.length > 0
+            ? pricedItems.map(item => ({
+                description: item.description || item.name,
+                hsCode: item.hsCode,
+                quantity: item.quantity || 1,
+                unitValue: parseFloat(item.unitValue ?? item.price) || 0
+            }))
+            : [{ quantity: 1, unitValue: parseFloat(cartValue) || 0 }];
+
+        for (const rate of rates) {
+            const quote = await international.estimateLandedCost({
+                originCountry,
+                destinationCountry: country,
+                items,
+                shippingCost: rate.price,
+                currency,
+                incoterm,
+                carrier: rate.carrier,
+                iossNumber: orgConfig.iossNumber || null
+            });
+
+            // Envois sans formalités douanières : pas de devis
+            if (quote.regime !== 'no_customs') {
+                rate.landedCost = await international.saveLandedCostQuote(orgId, { originCountry, destinationCountry: country }, quote);
+            }
+        }
+
+        return rates;
+    }
+
+    /**
+     * Incoterm par destination : pays, puis zone UE, puis valeur par défaut de l'organisation
+     */
+    resolveIncoterm(orgConfig, country) {
+        const incoterms = orgConfig.incoterms || {};
+        const euCountries = DEFAULT_ZONES.FR.international.EU.concat('FR');
+        const incoterm = incoterms[country] || (euCountries.includes(country) && incoterms.EU) || incoterms.default;
+        return incoterm === 'DDP' ? 'DDP' : 'DAP';
+    }
+
+    /**
+     * Cartons du panier (dimensions du référentiel produits) ; en cas d'échec,
+     * le calcul retombe sur le poids fourni par l'appelant
+     */
+    async cartonizeCart(orgId, cartItems) {
+        try {
+            const cartonization = new CartonizationService({ db });
+            const result = await cartonization.cartonize(orgId, { items: cartItems, carriers: [] });
+            const largest = result.packages.reduce((max, p) =>
+                p.length * p.width * p.height > max.length * max.width * max.height ? p : max);
+
+            return {
+                packages: cartonization.toParcels(result),
+                dimensions: { length: largest.length, width: largest.width, height: largest.height }
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
     // ----------------------------------------
     // RATE CALCULATION
     // ----------------------------------------
@@ -597,19 +706,29 @@ class DynamicCheckoutService {
             orgId,
             service,
             zone,
-            weight,
+            parcels,
             dimensions,
             country,
             postalCode,
             cartValue,
-            currency
+            currency,
+            promise = {}
         } = params;
 
-        // Check cache first
+        // Poids taxable selon le diviseur et l'arrondi du transporteur, du service et du contrat
+        const contract = await this.negotiatedRates.getContract(orgId, service.carrier);
+        const weightBreakdown = calculateChargeableWeight(parcels, {
+            carrier: service.carrier,
+            service: service.id,
+            contractRules: contract?.weight_rules
+        });
+        const weight = weightBreakdown.chargeableWeight;
+
+        // Check cache first (dates promises recalculées : l'heure limite avance)
         const cacheKey = `rate:${orgId}:${service.id}:${zone.id}:${weight}`;
         const cached = await redis.get(cacheKey);
         if (cached) {
-            return JSON.parse(cached);
+            return { ...JSON.parse(cached), deliveryDays: this.calculateDeliveryDays(service, zone, country, promise) };
         }
 
         // Get organization's rate configuration
@@ -662,8 +781,11 @@ class DynamicCheckoutService {
             price: finalPrice,
             originalPrice: finalPrice,
             currency,
+
+            chargeableWeight: weight,
+            weightBreakdown,
             
-            deliveryDays: this.calculateDeliveryDays(service, zone, country),
+            deliveryDays: this.calculateDeliveryDays(service, zone, country, promise),
             
             features: {
                 tracking: service.tracking,
@@ -795,50 +917,109 @@ class DynamicCheckoutService {
     // DELIVERY TIME CALCULATION
     // ----------------------------------------
 
-    calculateDeliveryDays(service, zone, country) {
-        let { min, max } = service.deliveryDays;
-        
-        // Adjust for international
-        if (zone.type === 'international') {
-            const zoneDelays = {
-                'EU': { add: 1 },
-                'EUROPE_OTHER': { add: 2 },
-                'WORLD_1': { add: 3 },
-                'WORLD_2': { add: 5 },
-                'WORLD_3': { add: 7 }
-            };
-            
-            const delay = zoneDelays[zone.id]?.add || 0;
-            min += delay;
-            max += delay;
-        }
-        
-        // Adjust for weekend
-        const now = new Date();
-        const dayOfWeek = now.getDay();
-        
-        // If today is Friday after cutoff, Saturday, or Sunday, add days
-        if (dayOfWeek === 5 || dayOfWeek === 6 || dayOfWeek === 0) {
-            const daysToMonday = dayOfWeek === 5 ? 3 : dayOfWeek === 6 ? 2 : 1;
-            min += daysToMonday;
-            max += daysToMonday;
-        }
-        
-        // Calculate estimated dates
-        const estimatedMin = new Date(now);
-        estimatedMin.setDate(estimatedMin.getDate() + min);
-        
-        const estimatedMax = new Date(now);
-        estimatedMax.setDate(estimatedMax.getDate() + max);
+    /**
+     * Dates de livraison promises : heure limite et préparation de l'entrepôt,
+     * transit par zone, jours fériés et jours non travaillés du transporteur
+     */
+    calculateDeliveryDays(service, zone, country, { warehouse, transitTimes, carrierExceptions, now = new Date(), lang } = {}) {
+        const shippingWarehouse = warehouse || this.deliveryPromise.warehouseSettings({});
+        const promise = this.deliveryPromise.promise({
+            service,
+            zoneId: zone.id,
+            country,
+            warehouse: shippingWarehouse,
+            transitTimes,
+            carrierExceptions,
+            now,
+            lang
+        });
+        const { min, max } = this.deliveryPromise.toDeliveryDays(promise, now, shippingWarehouse.timezone);
         
         return {
             min,
             max,
-            estimatedMinDate: estimatedMin.toISOString().split('T')[0],
-            estimatedMaxDate: estimatedMax.toISOString().split('T')[0],
+            estimatedMinDate: promise.deliveryDate.min,
+            estimatedMaxDate: promise.deliveryDate.max,
             formatted: min === max 
                 ? `${min} jour${min > 1 ? 's' : ''}` 
-                : `${min}-${max} jours`
+                : `${min}-${max} jours`,
+            shipDate: promise.shipDate,
+            cutoff: promise.cutoff,
+            orderWithin: promise.orderWithin,
+            promise: promise.message
+        };
+    }
+
+    /**
+     * Promesse de livraison pour le checkout et les fiches produit :
+     * option la plus rapide (« Commandez dans les 2 h 14 min pour être livré jeudi ») et détail par service
+     */
+    async getDeliveryPromise(params) {
+        const {
+            orgId,
+            country,
+            postalCode,
+            warehouseId,
+            serviceId,
+            weight = 0.5,
+            preferredCarriers,
+            includePickupPoints = true,
+            lang = 'fr'
+        } = params;
+
+        if (!orgId || !country || !postalCode) {
+            throw new Error('orgId, country, and postalCode are required');
+        }
+
+        const orgConfig = await this.getOrgConfig(orgId);
+        const zone = this.determineZone(country, postalCode, orgConfig.originCountry || 'FR');
+        const warehouse = await this.deliveryPromise.getWarehouse(orgId, warehouseId);
+        const carrierExceptions = await this.deliveryPromise.calendar.listCarrierExceptions(orgId);
+
+        let services;
+        if (serviceId) {
+            const service = this.findService(serviceId);
+            if (!service) {
+                throw new DeliveryPromiseError(`Service ${serviceId} not found`, 'SERVICE_NOT_FOUND', 404);
+            }
+            services = [service];
+        } else {
+            services = await this.getAvailableServices({
+                orgConfig,
+                zone,
+                weight,
+                country,
+                preferredCarriers,
+                includePickupPoints,
+                includeLockers: includePickupPoints
+            });
+        }
+
+        const now = new Date();
+        const options = services
+            .map(service => ({
+                serviceName: service.name,
+                type: service.type,
+                ...this.deliveryPromise.promise({
+                    service,
+                    zoneId: zone.id,
+                    country,
+                    warehouse,
+                    transitTimes: orgConfig.transitTimes,
+                    carrierExceptions,
+                    now,
+                    lang
+                })
+            }))
+            .sort((a, b) => a.deliveryDate.min.localeCompare(b.deliveryDate.min) || b.cutoff.localeCompare(a.cutoff));
+
+        return {
+            country,
+            zone: zone.id,
+            warehouse: { id: warehouse.id, cutoffTime: warehouse.cutoffTime, timezone: warehouse.timezone },
+            promise: options[0] || null,
+            options,
+            generatedAt: now.toISOString()
         };
     }
 
@@ -1075,7 +1256,10 @@ class DynamicCheckoutService {
             freeShippingServices: ['pickup_point', 'home_delivery'],
             freeShippingZones: ['FR_METRO'],
             originCountry: 'FR',
-            originPostalCode: '75001'
+            originPostalCode: '75001',
+            // DDP ou DAP par pays de destination ("EU" pour l'ensemble de l'Union, "default" sinon)
+            incoterms: { default: 'DAP' },
+            iossNumber: null
         };
     }
 
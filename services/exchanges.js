@@ -0,0 +1,481 @@
+/**
+ * Routz v4.0 - Exchange Service
+ * Échanges de retours : variante ou autre produit, réservation du stock, commande et expédition
+ * de remplacement ; échange instantané expédié avant réception, garanti par une empreinte bancaire
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { WarehouseService } = require('./warehouse');
+const { normalizeStatus } = require('./rma-state-machine');
+
+// Statuts RMA où un échange peut être demandé / expédié avant réception du retour
+const EXCHANGEABLE_STATUSES = ['pending_approval', 'approved', 'label_created', 'in_transit', 'received', 'inspecting', 'inspected'];
+const INSTANT_EXCHANGE_STATUSES = ['approved', 'label_created', 'in_transit'];
+
+// awaiting_hold : échange instantané en attente de l'empreinte bancaire
+// reserved : stock réservé, expédition à réception du retour (ou dès l'empreinte autorisée)
+// shipped : remplacement expédié ; completed : article d'origine reçu ; cancelled
+const ACTIVE_STATUSES = ['awaiting_hold', 'reserved', 'shipped'];
+
+// Une autorisation Stripe en capture manuelle expire au bout de 7 jours ; renouvelée la veille
+const HOLD_VALIDITY_DAYS = 7;
+const HOLD_RENEWAL_MARGIN_HOURS = 24;
+
+class ExchangeError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'ExchangeError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+
+/**
+ * Échange à l'identique : même SKU, même quantité
+ */
+function sameItemExchange(items) {
+    return parseJson(items, []).map(item => ({ sku: item.sku, replacementSku: item.sku, quantity: item.quantity }));
+}
+
+class ExchangeService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.payments = config.payments || null;
+    }
+
+    // Empreintes bancaires via le portail retours (Stripe), chargé à la demande
+    getPayments() {
+        if (!this.payments) {
+            const { ReturnsPortalService } = require('./returns-portal');
+            this.payments = new ReturnsPortalService();
+        }
+        return this.payments;
+    }
+
+    // ----------------------------------------
+    // CATALOGUE
+    // ----------------------------------------
+
+    /**
+     * Articles proposés en échange : variantes du produit retourné et recherche libre, en stock uniquement
+     */
+    async getExchangeOptions(orgId, { sku, search, limit = 20 } = {}) {
+        const available = `
+            SELECT i.sku, MAX(i.product_id) AS product_id, MAX(i.product_name) AS product_name, SUM(i.available) AS available
+            FROM inventory i
+            JOIN warehouses w ON i.warehouse_id = w.id
+            WHERE w.organization_id = $1 AND i.available > 0`;
+
+        let productId = null;
+        let variants = [];
+        if (sku) {
+            const current = await this.db.query(`
+                SELECT i.product_id FROM inventory i
+                JOIN warehouses w ON i.warehouse_id = w.id
+                WHERE w.organization_id = $1 AND i.sku = $2 AND i.product_id IS NOT NULL
+                LIMIT 1
+            `, [orgId, sku]);
+            productId = current.rows[0]?.product_id || null;
+
+            if (productId) {
+                const result = await this.db.query(
+                    `${available} AND i.product_id = $2 AND i.sku <> $3 GROUP BY i.sku ORDER BY i.sku LIMIT $4`,
+                    [orgId, productId, sku, limit]
+                );
+                variants = result.rows.map(this.formatOption);
+            }
+        }
+
+        let products = [];
+        if (search) {
+            const result = await this.db.query(
+                `${available} AND (i.sku ILIKE $2 OR i.product_name ILIKE $2) GROUP BY i.sku ORDER BY i.sku LIMIT $3`,
+                [orgId, `%${search}%`, limit]
+            );
+            products = result.rows.map(this.formatOption);
+        }
+
+        return { sku: sku || null, productId, variants, products };
+    }
+
+    formatOption(row) {
+        return {
+            sku: row.sku,
+            productId: row.product_id,
+            productName: row.product_name,
+            available: parseInt(row.available)
+        };
+    }
+
+    // ----------------------------------------
+    // EXCHANGE LIFECYCLE
+    // ----------------------------------------
+
+    /**
+     * Créer l'échange : stock réservé, commande de remplacement, empreinte bancaire si instantané
+     * @param {Array<{sku, replacementSku, quantity}>} items sku : article retourné
+     */
+    async createExchange(orgId, returnId, { items, instant = false, warehouseId, actor } = {}) {
+        const returnResult = await this.db.query(
+            'SELECT * FROM returns WHERE id = $1 AND organization_id = $2',
+            [returnId, orgId]
+        );
+        const rma = returnResult.rows[0];
+        if (!rma) {
+            throw new ExchangeError('Return not found', 'RETURN_NOT_FOUND', 404);
+        }
+
+        const status = normalizeStatus(rma.status);
+        if (!EXCHANGEABLE_STATUSES.includes(status)) {
+            throw new ExchangeError(`Return cannot be exchanged in status ${status}`, 'INVALID_STATUS', 409);
+        }
+        if (instant && !INSTANT_EXCHANGE_STATUSES.includes(status)) {
+            throw new ExchangeError('Instant exchange requires an approved return not yet received', 'INVALID_STATUS', 409);
+        }
+        if (await this.getExchangeForReturn(orgId, returnId)) {
+            throw new ExchangeError('Return already has an exchange in progress', 'EXCHANGE_EXISTS', 409);
+        }
+
+        const returnItems = parseJson(rma.items, []);
+        const errors = this.validateItems(items, returnItems);
+        if (errors.length > 0) {
+            throw new ExchangeError('Invalid exchange items', 'INVALID_ITEMS', 422, { errors });
+        }
+
+        const orderResult = await this.db.query('SELECT * FROM orders WHERE id = $1', [rma.order_id]);
+        const order = orderResult.rows[0] || {};
+        const orderItems = parseJson(order.items, []);
+
+        // Échange à valeur égale : le remplacement reprend le prix de l'article retourné
+        const replacements = items.map(item => {
+            const returned = returnItems.find(i => i.sku === item.sku);
+            const ordered = orderItems.find(i => i.sku === item.sku) || {};
+            return {
+                sku: item.replacementSku,
+                quantity: item.quantity,
+                price: parseFloat(returned.price ?? ordered.price) || 0,
+                name: item.replacementName || returned.name || ordered.name || item.replacementSku,
+                returnedSku: item.sku
+            };
+        });
+        const value = Math.round(replacements.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+        if (instant && value <= 0) {
+            throw new ExchangeError('Instant exchange requires a priced item to hold', 'INVALID_ITEMS', 422);
+        }
+
+        const warehouse = warehouseId || (await new WarehouseService(this.db).findOptimalWarehouse(orgId, { items: replacements }))?.warehouse?.id;
+        if (!warehouse) {
+            throw new ExchangeError('No warehouse can fulfil the exchange', 'NO_WAREHOUSE', 422);
+        }
+
+        const exchangeId = uuidv4();
+
+        const client = await this.db.connect();
+        let exchange;
+
+        try {
+            await client.query('BEGIN');
+
+            const reservations = await new WarehouseService(client).reserveInventory(warehouse, replacements);
+            const unavailable = reservations.filter(reservation => !reservation.success);
+            if (unavailable.length > 0) {
+                throw new ExchangeError('Replacement items are out of stock', 'OUT_OF_STOCK', 409, {
+                    items: unavailable.map(({ sku, available }) => ({ sku, available }))
+                });
+            }
+
+            const exchangeOrder = await client.query(`
+                INSERT INTO orders (id, organization_id, order_number, source, status, customer_name, customer_email,
+                    shipping_address, items, total, carrier, service, metadata)
+                VALUES ($1, $2, $3, 'exchange', 'pending', $4, $5, $6, $7, 0, $8, $9, $10)
+                RETURNING *
+            `, [
+                uuidv4(), orgId, `${order.order_number || rma.rma_number}-EXC`, order.customer_name || null,
+                order.customer_email || rma.customer_email || null,
+                JSON.stringify(rma.pickup_address || order.shipping_address || {}), JSON.stringify(replacements),
+                order.carrier || null, order.service || null,
+                JSON.stringify({ returnId, exchangeId, instantExchange: instant })
+            ]);
+
+            const result = await client.query(`
+                INSERT INTO return_exchanges (id, organization_id, return_id, order_id, exchange_order_id, warehouse_id,
+                    items, instant, status, hold_amount, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [
+                exchangeId, orgId, returnId, rma.order_id, exchangeOrder.rows[0].id, warehouse,
+                JSON.stringify(replacements), instant, instant ? 'awaiting_hold' : 'reserved',
+                instant ? value : null, actor || null
+            ]);
+            exchange = { ...result.rows[0], exchange_order_number: exchangeOrder.rows[0].order_number };
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (!instant) {
+            return { exchange, payment: null };
+        }
+
+        // Appel Stripe hors transaction : l'empreinte couvre la valeur de l'article expédié d'avance
+        let payment;
+        try {
+            payment = await this.getPayments().createPaymentIntent(returnId, { hold: { amount: value, exchangeId } });
+        } catch (error) {
+            // Pas d'empreinte : stock et commande de remplacement libérés
+            await this.cancelExchange(orgId, exchangeId, { reason: 'hold_failed' });
+            throw new ExchangeError('Card hold could not be created', 'HOLD_FAILED', 502, { message: error.message });
+        }
+        const updated = await this.db.query(
+            'UPDATE return_exchanges SET hold_intent_id = $1, hold_status = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+            [payment.paymentIntentId, 'pending', exchangeId]
+        );
+
+        return { exchange: { ...exchange, ...updated.rows[0] }, payment };
+    }
+
+    validateItems(items, returnItems) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return [{ field: 'items', message: 'At least one item to exchange is required' }];
+        }
+
+        const errors = [];
+        items.forEach((item, index) => {
+            const returned = returnItems.find(i => i.sku === item.sku);
+            if (!returned) {
+                errors.push({ field: `items[${index}].sku`, message: `${item.sku} is not part of the return` });
+            } else if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > returned.quantity) {
+                errors.push({ field: `items[${index}].quantity`, message: `Quantity must be between 1 and ${returned.quantity}` });
+            }
+            if (!item.replacementSku) {
+                errors.push({ field: `items[${index}].replacementSku`, message: 'Replacement SKU is required' });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Empreinte autorisée par le client : l'échange instantané part sans attendre le retour
+     */
+    async confirmHold(orgId, exchangeId, paymentIntentId) {
+        const exchange = await this.getExchange(orgId, exchangeId);
+        if (exchange.status !== 'awaiting_hold') {
+            throw new ExchangeError('Exchange is not awaiting a card hold', 'INVALID_STATUS', 409);
+        }
+        if (paymentIntentId !== exchange.hold_intent_id) {
+            throw new ExchangeError('Payment does not match the exchange hold', 'HOLD_MISMATCH', 422);
+        }
+
+        await this.getPayments().verifyPaymentHold(paymentIntentId);
+        await this.db.query(`
+            UPDATE return_exchanges
+            SET status = 'reserved', hold_status = 'held', hold_expires_at = NOW() + INTERVAL '${HOLD_VALIDITY_DAYS} days', updated_at = NOW()
+            WHERE id = $1
+        `, [exchangeId]);
+
+        return this.shipExchange(orgId, exchangeId);
+    }
+
+    /**
+     * Expédition de remplacement (stock déjà réservé, libéré à la remise transporteur)
+     */
+    async shipExchange(orgId, exchangeId) {
+        const exchange = await this.getExchange(orgId, exchangeId);
+        if (exchange.status !== 'reserved') {
+            throw new ExchangeError(`Exchange cannot be shipped in status ${exchange.status}`, 'INVALID_STATUS', 409);
+        }
+
+        const orderResult = await this.db.query('SELECT * FROM orders WHERE id = $1', [exchange.exchange_order_id]);
+        const order = orderResult.rows[0];
+        const address = parseJson(order.shipping_address, {});
+
+        const shipment = await this.db.query(`
+            INSERT INTO shipments (id, organization_id, order_id, carrier, service, status,
+                recipient_name, recipient_address1, recipient_city, recipient_postal_code, recipient_country, warehouse_id, metadata)
+            VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+        `, [
+            uuidv4(), orgId, order.id, order.carrier || 'colissimo', order.service || 'standard',
+            address.name || order.customer_name, address.address1, address.city,
+            address.postalCode || address.postal_code, address.country || 'FR', exchange.warehouse_id,
+            JSON.stringify({ exchangeId, returnId: exchange.return_id, instantExchange: exchange.instant })
+        ]);
+
+        await this.db.query("UPDATE orders SET status = 'shipped', shipped_at = NOW() WHERE id = $1", [order.id]);
+        const updated = await this.db.query(`
+            UPDATE return_exchanges SET status = 'shipped', shipment_id = $1, shipped_at = NOW(), updated_at = NOW()
+            WHERE id = $2 RETURNING *
+        `, [shipment.rows[0].id, exchangeId]);
+
+        return { exchange: { ...exchange, ...updated.rows[0] }, shipment: shipment.rows[0] };
+    }
+
+    /**
+     * Article d'origine reçu : expédier l'échange standard, libérer l'empreinte de l'échange instantané
+     */
+    async fulfillOnReceipt(orgId, returnId) {
+        let exchange = await this.getExchangeForReturn(orgId, returnId);
+        if (!exchange) return null;
+
+        let shipment = null;
+        if (exchange.status === 'awaiting_hold') {
+            // Empreinte jamais autorisée : l'échange devient standard
+            await this.releaseHold(exchange);
+            await this.db.query("UPDATE return_exchanges SET status = 'reserved', updated_at = NOW() WHERE id = $1", [exchange.id]);
+            exchange = { ...exchange, status: 'reserved' };
+        }
+        if (exchange.status === 'reserved') {
+            ({ shipment } = await this.shipExchange(orgId, exchange.id));
+        }
+        if (exchange.hold_status === 'held') {
+            await this.releaseHold(exchange);
+        }
+
+        const result = await this.db.query(`
+            UPDATE return_exchanges SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+            WHERE id = $1 RETURNING *
+        `, [exchange.id]);
+
+        return { exchange: { ...exchange, ...result.rows[0] }, shipment };
+    }
+
+    /**
+     * Annuler un échange pas encore expédié : stock, commande et empreinte libérés
+     */
+    async cancelExchange(orgId, exchangeId, { reason } = {}) {
+        const exchange = await this.getExchange(orgId, exchangeId);
+        if (!['awaiting_hold', 'reserved'].includes(exchange.status)) {
+            throw new ExchangeError(`Exchange cannot be cancelled in status ${exchange.status}`, 'INVALID_STATUS', 409);
+        }
+
+        await new WarehouseService(this.db).releaseInventory(exchange.warehouse_id, parseJson(exchange.items, []));
+        await this.db.query("UPDATE orders SET status = 'cancelled' WHERE id = $1", [exchange.exchange_order_id]);
+        await this.releaseHold(exchange);
+
+        const result = await this.db.query(`
+            UPDATE return_exchanges SET status = 'cancelled', cancellation_reason = $1, cancelled_at = NOW(), updated_at = NOW()
+            WHERE id = $2 RETURNING *
+        `, [reason || null, exchangeId]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Article d'origine jamais renvoyé : l'empreinte est encaissée
+     */
+    async captureHold(orgId, exchangeId) {
+        const exchange = await this.getExchange(orgId, exchangeId);
+        if (exchange.status !== 'shipped' || exchange.hold_status !== 'held') {
+            throw new ExchangeError('Exchange has no card hold to capture', 'NO_HOLD', 409);
+        }
+
+        await this.getPayments().capturePaymentHold(exchange.hold_intent_id);
+        const result = await this.db.query(`
+            UPDATE return_exchanges SET hold_status = 'captured', hold_captured_at = NOW(), updated_at = NOW()
+            WHERE id = $1 RETURNING *
+        `, [exchangeId]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Tâche planifiée : empreintes arrivant à expiration avant réception de l'article d'origine.
+     * Renouvelées hors session ; en cas d'échec, l'échange non expédié est annulé,
+     * l'échange expédié est signalé (empreinte expirée, plus de garantie)
+     */
+    async renewExpiringHolds() {
+        const result = await this.db.query(`
+            SELECT * FROM return_exchanges
+            WHERE hold_status = 'held' AND status = ANY($1)
+              AND hold_expires_at <= NOW() + INTERVAL '${HOLD_RENEWAL_MARGIN_HOURS} hours'
+            ORDER BY hold_expires_at
+        `, [['reserved', 'shipped']]);
+
+        const summary = { renewed: 0, cancelled: 0, expired: 0 };
+
+        for (const exchange of result.rows) {
+            try {
+                const payment = await this.getPayments().reauthorizePaymentHold(exchange.hold_intent_id);
+                await this.db.query(`
+                    UPDATE return_exchanges
+                    SET hold_intent_id = $1, hold_expires_at = NOW() + INTERVAL '${HOLD_VALIDITY_DAYS} days', updated_at = NOW()
+                    WHERE id = $2
+                `, [payment.paymentIntentId, exchange.id]);
+                summary.renewed++;
+            } catch (error) {
+                console.error(`Exchange ${exchange.id} hold renewal failed:`, error.message);
+
+                if (exchange.status === 'reserved') {
+                    await this.cancelExchange(exchange.organization_id, exchange.id, { reason: 'hold_expired' });
+                    summary.cancelled++;
+                } else {
+                    await this.db.query(
+                        "UPDATE return_exchanges SET hold_status = 'expired', updated_at = NOW() WHERE id = $1",
+                        [exchange.id]
+                    );
+                    summary.expired++;
+                }
+            }
+        }
+
+        return summary;
+    }
+
+    async releaseHold(exchange) {
+        if (!exchange.hold_intent_id || !['pending', 'held'].includes(exchange.hold_status)) return;
+
+        await this.getPayments().releasePaymentHold(exchange.hold_intent_id);
+        await this.db.query(
+            "UPDATE return_exchanges SET hold_status = 'released', hold_released_at = NOW(), updated_at = NOW() WHERE id = $1",
+            [exchange.id]
+        );
+    }
+
+    // ----------------------------------------
+    // QUERIES
+    // ----------------------------------------
+
+    async getExchange(orgId, exchangeId) {
+        const result = await this.db.query(`
+            SELECT e.*, o.order_number AS exchange_order_number
+            FROM return_exchanges e
+            LEFT JOIN orders o ON o.id = e.exchange_order_id
+            WHERE e.id = $1 AND e.organization_id = $2
+        `, [exchangeId, orgId]);
+
+        if (!result.rows[0]) {
+            throw new ExchangeError('Exchange not found', 'EXCHANGE_NOT_FOUND', 404);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Échange en cours d'un retour (un seul à la fois)
+     */
+    async getExchangeForReturn(orgId, returnId) {
+        const result = await this.db.query(`
+            SELECT e.*, o.order_number AS exchange_order_number
+            FROM return_exchanges e
+            LEFT JOIN orders o ON o.id = e.exchange_order_id
+            WHERE e.return_id = $1 AND e.organization_id = $2 AND e.status = ANY($3)
+            ORDER BY e.created_at DESC
+            LIMIT 1
+        `, [returnId, orgId, ACTIVE_STATUSES]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = {
+    ExchangeService,
+    ExchangeError,
+    sameItemExchange,
+    EXCHANGEABLE_STATUSES,
+    INSTANT_EXCHANGE_STATUSES
+};
@@ -0,0 +1,469 @@
+/**
+ * Routz v4.0 - Freight Audit Service
+ * Contrôle des factures transporteurs : rapprochement avec les expéditions,
+ * surfacturations, doubles facturations, litiges de re-pesée et réclamations
+ */
+
+const XLSX = require('xlsx');
+const { v4: uuidv4 } = require('uuid');
+const { NegotiatedRatesService } = require('./negotiated-rates');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const AUDIT_TOLERANCES = {
+    amountPercent: 2,    // écart de prix toléré (%)
+    amountMin: 0.05,     // écart de prix toléré (EUR)
+    weightPercent: 5,    // écart de poids toléré (%)
+    weightMinKg: 0.1     // écart de poids toléré (kg)
+};
+
+const AUDIT_FLAGS = {
+    OVERCHARGE: 'overcharge',
+    DUPLICATE: 'duplicate_billing',
+    WEIGHT_DISPUTE: 'weight_dispute',
+    UNKNOWN_SHIPMENT: 'unknown_shipment'
+};
+
+// En-têtes reconnus dans les fichiers transporteurs (normalisés sans accents)
+const COLUMN_ALIASES = {
+    trackingNumber: ['tracking_number', 'tracking', 'numero_colis', 'n_colis', 'no_colis', 'colis', 'parcel_number', 'awb', 'shipment_number', 'numero_suivi'],
+    billedWeight: ['billed_weight', 'weight', 'poids', 'poids_facture', 'poids_taxe', 'chargeable_weight'],
+    amount: ['amount', 'net_amount', 'montant', 'montant_ht', 'total_ht', 'price', 'prix_ht', 'charge'],
+    service: ['service', 'produit', 'product'],
+    shipDate: ['ship_date', 'date', 'date_envoi', 'date_expedition', 'pickup_date'],
+    description: ['description', 'libelle', 'designation']
+};
+
+const CLAIM_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CLAIM_COLUMNS = [
+    'line_number', 'tracking_number', 'flags', 'billed_amount', 'expected_amount',
+    'disputed_amount', 'billed_weight', 'declared_weight', 'reason'
+];
+
+class FreightAuditError extends Error {
+    constructor(message, code, status = 400, details = {}) {
+        super(message);
+        this.name = 'FreightAuditError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ============================================
+// FREIGHT AUDIT SERVICE
+// ============================================
+
+class FreightAuditService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.negotiatedRates = config.negotiatedRates || new NegotiatedRatesService();
+        this.tolerances = { ...AUDIT_TOLERANCES, ...(config.tolerances || {}) };
+    }
+
+    // ----------------------------------------
+    // IMPORT
+    // ----------------------------------------
+
+    /**
+     * Importer et contrôler une facture transporteur (CSV ou XLSX)
+     */
+    async importInvoice(orgId, params) {
+        const { carrier, invoiceNumber, invoiceDate = null, file, filename = null, userId = null } = params;
+
+        if (!carrier || !invoiceNumber || !file) {
+            throw new FreightAuditError('Carrier, invoice number and file are required', 'VALIDATION_ERROR', 422);
+        }
+
+        const lines = this.parseInvoiceFile(file, filename);
+        const trackingNumbers = [...new Set(lines.map(l => l.trackingNumber))];
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                'SELECT id FROM carrier_invoices WHERE organization_id = $1 AND carrier = $2 AND invoice_number = $3',
+                [orgId, carrier, invoiceNumber]
+            );
+            if (existing.rows.length > 0) {
+                throw new FreightAuditError(`Invoice ${invoiceNumber} has already been imported`, 'INVOICE_EXISTS', 409, {
+                    invoiceId: existing.rows[0].id
+                });
+            }
+
+            const shipments = await client.query(`
+                SELECT * FROM shipments
+                WHERE organization_id = $1 AND tracking_number = ANY($2)
+            `, [orgId, trackingNumbers]);
+
+            const previouslyBilled = await client.query(`
+                SELECT l.tracking_number, i.invoice_number
+                FROM carrier_invoice_lines l
+                JOIN carrier_invoices i ON i.id = l.invoice_id
+                WHERE l.organization_id = $1 AND l.tracking_number = ANY($2)
+                AND l.line_type = 'freight'
+            `, [orgId, trackingNumbers]);
+
+            const invoiceId = uuidv4();
+            const audited = await this.auditLines(orgId, lines, {
+                shipments: new Map(shipments.rows.map(s => [s.tracking_number, s])),
+                previouslyBilled: new Map(previouslyBilled.rows.map(r => [r.tracking_number, r.invoice_number]))
+            });
+
+            const summary = this.summarize(audited);
+
+            await client.query(`
+                INSERT INTO carrier_invoices (
+                    id, organization_id, carrier, invoice_number, invoice_date, filename, status,
+                    line_count, matched_count, disputed_count, total_billed, total_expected, total_disputed, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, 'audited', $7, $8, $9, $10, $11, $12, $13)
+            `, [
+                invoiceId, orgId, carrier, invoiceNumber, invoiceDate, filename,
+                summary.lineCount, summary.matchedCount, summary.disputedCount,
+                summary.totalBilled, summary.totalExpected, summary.totalDisputed, userId
+            ]);
+
+            for (const line of audited) {
+                await client.query(`
+                    INSERT INTO carrier_invoice_lines (
+                        id, invoice_id, organization_id, shipment_id, line_number, line_type, tracking_number,
+                        service, billed_weight, declared_weight, billed_amount, expected_amount,
+                        disputed_amount, flags, status, reason, raw
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                `, [
+                    uuidv4(), invoiceId, orgId, line.shipmentId, line.lineNumber, line.lineType, line.trackingNumber,
+                    line.service, line.billedWeight, line.declaredWeight, line.billedAmount, line.expectedAmount,
+                    line.disputedAmount, line.flags, line.status, line.reason, JSON.stringify(line.raw)
+                ]);
+            }
+
+            await client.query('COMMIT');
+
+            return { id: invoiceId, carrier, invoiceNumber, status: 'audited', ...summary };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ----------------------------------------
+    // AUDIT
+    // ----------------------------------------
+
+    /**
+     * Contrôler chaque ligne facturée contre le devis de l'expédition
+     */
+    async auditLines(orgId, lines, context) {
+        const seen = new Set();
+        const audited = [];
+
+        for (const line of lines) {
+            const shipment = context.shipments.get(line.trackingNumber);
+            const flags = [];
+            const reasons = [];
+            let expectedAmount = null;
+            let declaredWeight = null;
+            let disputedAmount = 0;
+
+            // Lignes annexes (surcharges facturées séparément) : rapprochées mais non contrôlées
+            const lineType = line.isAccessorial ? 'accessorial' : 'freight';
+
+            if (!shipment) {
+                flags.push(AUDIT_FLAGS.UNKNOWN_SHIPMENT);
+                reasons.push('Numéro de suivi inconnu');
+                disputedAmount = line.billedAmount;
+            } else if (lineType === 'freight') {
+                const duplicateOf = seen.has(line.trackingNumber)
+                    ? 'cette facture'
+                    : context.previouslyBilled.get(line.trackingNumber);
+
+                if (duplicateOf) {
+                    flags.push(AUDIT_FLAGS.DUPLICATE);
+                    reasons.push(`Déjà facturé (${duplicateOf})`);
+                    disputedAmount = line.billedAmount;
+                } else {
+                    const expected = await this.getExpectedCost(orgId, shipment);
+                    expectedAmount = expected.amount;
+                    declaredWeight = expected.weight;
+
+                    if (line.billedWeight !== null && declaredWeight !== null && this.exceedsWeight(line.billedWeight, declaredWeight)) {
+                        flags.push(AUDIT_FLAGS.WEIGHT_DISPUTE);
+                        reasons.push(`Poids facturé ${line.billedWeight} kg pour ${declaredWeight} kg déclarés`);
+                    }
+
+                    if (expectedAmount !== null && this.exceedsAmount(line.billedAmount, expectedAmount)) {
+                        flags.push(AUDIT_FLAGS.OVERCHARGE);
+                        reasons.push(`Facturé ${line.billedAmount.toFixed(2)} € pour ${expectedAmount.toFixed(2)} € attendus (${expected.source})`);
+                        disputedAmount = round(line.billedAmount - expectedAmount);
+                    }
+                }
+            }
+
+            if (lineType === 'freight') seen.add(line.trackingNumber);
+
+            audited.push({
+                ...line,
+                lineType,
+                shipmentId: shipment?.id || null,
+                declaredWeight,
+                expectedAmount,
+                disputedAmount: round(disputedAmount),
+                flags,
+                status: !shipment ? 'unmatched' : (flags.length > 0 ? 'disputed' : 'ok'),
+                reason: reasons.join(' ; ') || null
+            });
+        }
+
+        return audited;
+    }
+
+    /**
+     * Coût attendu : devis figé à la création, sinon recalcul avec
+     * la table de surcharges en vigueur à la date d'expédition
+     */
+    async getExpectedCost(orgId, shipment) {
+        const quote = typeof shipment.quoted_rate === 'string' ? JSON.parse(shipment.quoted_rate) : shipment.quoted_rate;
+        // Poids taxable figé à la création (diviseur et arrondi du transporteur), sinon poids déclaré
+        const declaredWeight = parseFloat(shipment.chargeable_weight || shipment.total_weight || shipment.weight) || null;
+
+        if (quote?.finalRate !== undefined) {
+            return { amount: quote.finalRate, weight: quote.weight ?? declaredWeight, source: 'devis à la création' };
+        }
+
+        const rerated = await this.negotiatedRates.rerateShipment(orgId, shipment).catch(() => null);
+        if (rerated) {
+            return { amount: rerated.finalRate, weight: rerated.weight, source: 'recalcul' };
+        }
+
+        const shippingCost = parseFloat(shipment.shipping_cost);
+        return {
+            amount: isNaN(shippingCost) ? null : shippingCost,
+            weight: declaredWeight,
+            source: 'coût enregistré'
+        };
+    }
+
+    exceedsAmount(billed, expected) {
+        const tolerance = Math.max(this.tolerances.amountMin, expected * this.tolerances.amountPercent / 100);
+        return billed - expected > tolerance;
+    }
+
+    exceedsWeight(billed, declared) {
+        const tolerance = Math.max(this.tolerances.weightMinKg, declared * this.tolerances.weightPercent / 100);
+        return billed - declared > tolerance;
+    }
+
+    summarize(lines) {
+        const sum = (items, key) => round(items.reduce((total, item) => total + (item[key] || 0), 0));
+        const byFlag = Object.fromEntries(Object.values(AUDIT_FLAGS).map(flag => [
+            flag,
+            lines.filter(l => l.flags.includes(flag)).length
+        ]));
+
+        return {
+            lineCount: lines.length,
+            matchedCount: lines.filter(l => l.shipmentId).length,
+            disputedCount: lines.filter(l => l.flags.length > 0).length,
+            totalBilled: sum(lines, 'billedAmount'),
+            totalExpected: sum(lines, 'expectedAmount'),
+            totalDisputed: sum(lines, 'disputedAmount'),
+            byFlag
+        };
+    }
+
+    // ----------------------------------------
+    // PARSING
+    // ----------------------------------------
+
+    /**
+     * Lire un fichier facture (CSV ou XLSX) et normaliser les colonnes
+     */
+    parseInvoiceFile(file, filename = '') {
+        // Le contenu prime sur l'extension : signature 'PK' = zip/xlsx
+        const isZip = Buffer.isBuffer(file) && file.length > 1 && file[0] === 0x50 && file[1] === 0x4b;
+        const isCSV = !isZip && !/\.(xlsx?|ods)$/i.test(filename || '');
+
+        let workbook;
+        try {
+            workbook = isCSV
+                ? XLSX.read(Buffer.isBuffer(file) ? file.toString('utf8') : file, { type: 'string', raw: true })
+                : XLSX.read(file, { type: 'buffer' });
+        } catch (error) {
+            throw new FreightAuditError('Invoice file could not be read', 'INVALID_FILE', 422, { message: error.message });
+        }
+
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+
+        if (rows.length === 0) {
+            throw new FreightAuditError('Invoice file is empty', 'EMPTY_FILE', 422);
+        }
+
+        const columns = this.mapColumns(Object.keys(rows[0]));
+        const missing = ['trackingNumber', 'amount'].filter(field => !columns[field]);
+        if (missing.length > 0) {
+            throw new FreightAuditError(`Missing invoice columns: ${missing.join(', ')}`, 'INVALID_FILE', 422, {
+                headers: Object.keys(rows[0])
+            });
+        }
+
+        return rows
+            .map((row, index) => ({
+                lineNumber: index + 2,
+                trackingNumber: String(row[columns.trackingNumber]).trim(),
+                billedWeight: columns.billedWeight ? parseDecimal(row[columns.billedWeight]) : null,
+                billedAmount: parseDecimal(row[columns.amount]) || 0,
+                service: columns.service ? String(row[columns.service]).trim() || null : null,
+                shipDate: columns.shipDate ? row[columns.shipDate] || null : null,
+                isAccessorial: columns.description ? /surcharge|suppl|fuel|carburant|taxe/i.test(row[columns.description]) : false,
+                raw: row
+            }))
+            .filter(line => line.trackingNumber);
+    }
+
+    mapColumns(headers) {
+        const normalize = (header) => header
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+
+        const normalized = headers.map(h => [normalize(h), h]);
+
+        return Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => {
+            const match = normalized.find(([key]) => aliases.includes(key));
+            return [field, match?.[1] || null];
+        }));
+    }
+
+    // ----------------------------------------
+    // QUERIES & REPORTS
+    // ----------------------------------------
+
+    async listInvoices(orgId, filters = {}) {
+        const { carrier, page = 1, limit = 20 } = filters;
+        const params = [orgId];
+        let query = 'SELECT * FROM carrier_invoices WHERE organization_id = $1';
+
+        if (carrier) {
+            params.push(carrier);
+            query += ` AND carrier = $${params.length}`;
+        }
+
+        query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, (page - 1) * limit);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getInvoice(orgId, invoiceId, filters = {}) {
+        const invoice = await this.db.query(
+            'SELECT * FROM carrier_invoices WHERE id = $1 AND organization_id = $2',
+            [invoiceId, orgId]
+        );
+
+        if (invoice.rows.length === 0) return null;
+
+        const params = [invoiceId];
+        let query = 'SELECT * FROM carrier_invoice_lines WHERE invoice_id = $1';
+
+        if (filters.status) {
+            params.push(filters.status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        const lines = await this.db.query(`${query} ORDER BY line_number`, params);
+
+        return { ...invoice.rows[0], lines: lines.rows };
+    }
+
+    /**
+     * Rapport de réclamations à transmettre au transporteur
+     */
+    async getClaimsReport(orgId, invoiceId, format = 'json') {
+        if (!CLAIM_FORMATS.includes(format)) {
+            throw new FreightAuditError(`Unsupported claims format: ${format}`, 'INVALID_FORMAT', 422);
+        }
+
+        const invoice = await this.db.query(
+            'SELECT * FROM carrier_invoices WHERE id = $1 AND organization_id = $2',
+            [invoiceId, orgId]
+        );
+
+        if (invoice.rows.length === 0) return null;
+
+        const lines = await this.db.query(`
+            SELECT * FROM carrier_invoice_lines
+            WHERE invoice_id = $1 AND cardinality(flags) > 0
+            ORDER BY line_number
+        `, [invoiceId]);
+
+        const { invoice_number: invoiceNumber, carrier } = invoice.rows[0];
+        const claims = lines.rows.map(line => ({
+            line_number: line.line_number,
+            tracking_number: line.tracking_number,
+            flags: line.flags.join(', '),
+            billed_amount: parseFloat(line.billed_amount),
+            expected_amount: line.expected_amount === null ? null : parseFloat(line.expected_amount),
+            disputed_amount: parseFloat(line.disputed_amount),
+            billed_weight: line.billed_weight === null ? null : parseFloat(line.billed_weight),
+            declared_weight: line.declared_weight === null ? null : parseFloat(line.declared_weight),
+            reason: line.reason
+        }));
+
+        const totalClaimed = round(claims.reduce((sum, c) => sum + c.disputed_amount, 0));
+
+        if (format === 'json') {
+            return { invoiceNumber, carrier, claimCount: claims.length, totalClaimed, claims };
+        }
+
+        const sheet = XLSX.utils.json_to_sheet(claims, { header: CLAIM_COLUMNS });
+        const filename = `claims-${carrier}-${invoiceNumber}.${format}`;
+
+        if (format === 'csv') {
+            return {
+                contentType: 'text/csv',
+                filename,
+                data: Buffer.from(XLSX.utils.sheet_to_csv(sheet, { FS: ';' }), 'utf8')
+            };
+        }
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Réclamations');
+
+        return {
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            filename,
+            data: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+        };
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function parseDecimal(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+    return isNaN(parsed) ? null : parsed;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    FreightAuditService,
+    FreightAuditError,
+    AUDIT_FLAGS,
+    AUDIT_TOLERANCES
+};
@@ -7,6 +7,7 @@
 const { Pool } = require('pg');
 const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
+const { evaluateCondition } = require('./automation-rules');
 
 const db = new Pool({ connectionString: process.env.DATABASE_URL });
 const redis = new Redis(process.env.REDIS_URL);
@@ -817,19 +818,8 @@ class IntelligentRoutingService {
     }
 
     evaluateCondition(value, condition) {
-        const { operator, target } = condition;
-
-        switch (operator) {
-            case 'equals': return value === target;
-            case 'not_equals': return value !== target;
-            case 'in': return target.includes(value);
-            case 'not_in': return !target.includes(value);
-            case 'starts_with': return String(value).startsWith(target);
-            case 'greater_than': return value > target;
-            case 'less_than': return value < target;
-            case 'between': return value >= target[0] && value <= target[1];
-            default: return false;
-        }
+        // Mêmes opérateurs que les règles d'automatisation des commandes
+        return evaluateCondition(value, condition);
     }
 }
 
@@ -3,11 +3,43 @@
  * Gestion douanes, HS codes, documents export, réglementations
  */
 
+const { CustomsDocumentService } = require('./customs-documents');
+
+// Catégories d'envoi Colissimo (customsDeclarations.contents.category)
+const COLISSIMO_CUSTOMS_CATEGORIES = { gift: 1, sample: 2, commercial: 3, documents: 4, other: 5, returned_goods: 6 };
+
+const EU_COUNTRIES = ['FR', 'DE', 'ES', 'IT', 'BE', 'NL', 'PT', 'AT', 'PL', 'CZ', 'SK', 'HU', 'RO', 'BG', 'GR', 'SE', 'DK', 'FI', 'IE', 'LU', 'MT', 'CY', 'EE', 'LV', 'LT', 'SI', 'HR'];
+
+// Taux normaux de TVA des États membres (TVA à l'import)
+const EU_VAT_RATES = {
+    FR: 0.20, DE: 0.19, ES: 0.21, IT: 0.22, BE: 0.21, NL: 0.21, PT: 0.23, AT: 0.20, PL: 0.23,
+    CZ: 0.21, SK: 0.23, HU: 0.27, RO: 0.19, BG: 0.20, GR: 0.24, SE: 0.25, DK: 0.25, FI: 0.255,
+    IE: 0.23, LU: 0.17, MT: 0.18, CY: 0.19, EE: 0.22, LV: 0.21, LT: 0.21, SI: 0.22, HR: 0.25
+};
+
+// Envois B2C de faible valeur : pas de droits, TVA perçue par le vendeur au moment de la vente
+// (guichet IOSS jusqu'à 150 € vers l'UE, TVA britannique jusqu'à 135 £)
+const LOW_VALUE_THRESHOLDS = {
+    EU: { regime: 'ioss', threshold: 150, currency: 'EUR' },
+    GB: { regime: 'uk_low_value', threshold: 135, currency: 'GBP', vatRate: 0.20 }
+};
+
+// Cours de référence (1 EUR =) pour comparer la valeur du panier aux seuils
+const REFERENCE_RATES = { EUR: 1, GBP: 0.85, USD: 1.08, CHF: 0.94, CAD: 1.47, AUD: 1.65, JPY: 162 };
+
+// Frais de dédouanement (EUR) facturés par le transporteur lorsqu'il avance droits et TVA
+const CLEARANCE_FEES = { colissimo: 15, chronopost: 17, dhl: 11, ups: 13, fedex: 12, default: 15 };
+
+const INCOTERMS = ['DAP', 'DDP'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
 class InternationalService {
     constructor(config = {}) {
         this.db = config.db;
         this.hsCodeApi = config.hsCodeApi;
         this.dutiesApi = config.dutiesApi;
+        this.documents = config.documents || new CustomsDocumentService();
     }
 
     // ==========================================
@@ -15,17 +47,28 @@ class InternationalService {
     // ==========================================
 
     async createCustomsDeclaration(shipmentData) {
+        // Devis de coût rendu retenu au checkout (incoterm, droits et TVA déjà encaissés)
+        const landedCost = shipmentData.landedCost || null;
+        const catalogue = await this.getCatalogueClassifications(
+            shipmentData.organizationId,
+            shipmentData.items.map(item => item.sku).filter(Boolean)
+        );
         const declaration = {
             id: this.generateId('CUST'),
+            organizationId: shipmentData.organizationId,
             shipmentId: shipmentData.shipmentId,
             type: this.determineDeclarationType(shipmentData),
+            // gift, documents, sample, returned_goods, commercial, other
+            category: shipmentData.category || 'commercial',
+            invoiceNumber: shipmentData.invoiceNumber || null,
             
             // Parties
             exporter: {
                 name: shipmentData.sender.company || `${shipmentData.sender.firstName} ${shipmentData.sender.lastName}`,
                 address: shipmentData.sender,
                 eoriNumber: shipmentData.sender.eoriNumber,
-                vatNumber: shipmentData.sender.vatNumber
+                vatNumber: shipmentData.sender.vatNumber,
+                signatory: shipmentData.sender.signatory || [shipmentData.sender.firstName, shipmentData.sender.lastName].filter(Boolean).join(' ') || null
             },
             importer: {
                 name: shipmentData.recipient.company || `${shipmentData.recipient.firstName} ${shipmentData.recipient.lastName}`,
@@ -34,22 +77,33 @@ class InternationalService {
                 taxId: shipmentData.recipient.taxId
             },
 
-            // Contenu
-            items: await Promise.all(shipmentData.items.map(async item => ({
-                description: item.description,
-                hsCode: item.hsCode || await this.suggestHSCode(item.description, item.category),
-                quantity: item.quantity,
-                unitValue: item.unitValue,
-                totalValue: item.quantity * item.unitValue,
-                weight: item.weight,
-                countryOfOrigin: item.countryOfOrigin || shipmentData.sender.country,
-                currency: shipmentData.currency || 'EUR'
-            }))),
+            // Contenu (catalogue de classement par SKU, sinon suggestion par mots-clés)
+            items: await Promise.all(shipmentData.items.map(async item => {
+                const classified = catalogue[item.sku] || {};
+                return {
+                    ...(item.sku && { sku: item.sku }),
+                    description: classified.customsDescription || item.description,
+                    hsCode: item.hsCode || classified.hsCode || await this.suggestHSCode(item.description, item.category),
+                    quantity: item.quantity,
+                    unitValue: item.unitValue,
+                    totalValue: item.quantity * item.unitValue,
+                    weight: item.weight,
+                    countryOfOrigin: item.countryOfOrigin || classified.countryOfOrigin || shipmentData.sender.country,
+                    ...(classified.material && { material: classified.material }),
+                    currency: shipmentData.currency || 'EUR'
+                };
+            })),
 
             // Valeurs
             totalValue: 0, // Calculé ci-dessous
             currency: shipmentData.currency || 'EUR',
-            incoterm: shipmentData.incoterm || 'DAP',
+            incoterm: shipmentData.incoterm || landedCost?.incoterm || 'DAP',
+            shippingCost: shipmentData.shippingCost ?? landedCost?.shipping ?? 0,
+            // Guichet unique TVA import (envois B2C ≤ 150 € vers l'UE)
+            iossNumber: shipmentData.iossNumber || shipmentData.sender.iossNumber || landedCost?.iossNumber || null,
+            taxRegime: landedCost?.regime || null,
+            collectedDuties: landedCost?.collected?.duties || 0,
+            collectedTaxes: landedCost?.collected?.importVat || 0,
             
             // Shipping
             originCountry: shipmentData.sender.country,
@@ -79,9 +133,9 @@ class InternationalService {
 
         // Sauvegarder
         await this.db.query(
-            `INSERT INTO customs_declarations (id, shipment_id, type, exporter, importer, items, total_value, currency, incoterm, origin_country, destination_country, required_documents, estimated_duties, estimated_taxes, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-            [declaration.id, declaration.shipmentId, declaration.type, JSON.stringify(declaration.exporter), JSON.stringify(declaration.importer), JSON.stringify(declaration.items), declaration.totalValue, declaration.currency, declaration.incoterm, declaration.originCountry, declaration.destinationCountry, JSON.stringify(declaration.requiredDocuments), declaration.estimatedDuties, declaration.estimatedTaxes, declaration.createdAt]
+            `INSERT INTO customs_declarations (id, shipment_id, type, exporter, importer, items, total_value, currency, incoterm, origin_country, destination_country, required_documents, estimated_duties, estimated_taxes, created_at, organization_id, category, invoice_number, ioss_number, shipping_cost, tax_regime, collected_duties, collected_taxes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)`,
+            [declaration.id, declaration.shipmentId, declaration.type, JSON.stringify(declaration.exporter), JSON.stringify(declaration.importer), JSON.stringify(declaration.items), declaration.totalValue, declaration.currency, declaration.incoterm, declaration.originCountry, declaration.destinationCountry, JSON.stringify(declaration.requiredDocuments), declaration.estimatedDuties, declaration.estimatedTaxes, declaration.createdAt, declaration.organizationId, declaration.category, declaration.invoiceNumber, declaration.iossNumber, declaration.shippingCost, declaration.taxRegime, declaration.collectedDuties, declaration.collectedTaxes]
         );
 
         return declaration;
@@ -91,11 +145,8 @@ class InternationalService {
         const origin = shipmentData.sender.country;
         const destination = shipmentData.recipient.country;
         
-        // EU countries
-        const euCountries = ['FR', 'DE', 'ES', 'IT', 'BE', 'NL', 'PT', 'AT', 'PL', 'CZ', 'SK', 'HU', 'RO', 'BG', 'GR', 'SE', 'DK', 'FI', 'IE', 'LU', 'MT', 'CY', 'EE', 'LV', 'LT', 'SI', 'HR'];
-        
-        const originEU = euCountries.includes(origin);
-        const destEU = euCountries.includes(destination);
+        const originEU = EU_COUNTRIES.includes(origin);
+        const destEU = EU_COUNTRIES.includes(destination);
 
         if (originEU && destEU) {
             return 'intra_eu'; // Pas de déclaration douanière, juste Intrastat si seuils
@@ -113,6 +164,15 @@ class InternationalService {
     // ==========================================
 
     async suggestHSCode(description, category = null) {
+        return this.classifyDescription(description, category).hsCode;
+    }
+
+    /**
+     * Classement par mots-clés avec indice de confiance : un seul code trouvé (0.9),
+     * plusieurs codes concurrents (0.5, premier retenu), défaut de catégorie (0.4), aucun (0)
+     * @returns {{hsCode, confidence, matchedOn: string[]}}
+     */
+    classifyDescription(description, category = null) {
         // Base de données simplifiée de HS codes
         const hsCodeDatabase = {
             // Vêtements
@@ -156,12 +216,16 @@ class InternationalService {
             'shampooing': '3305.10'
         };
 
-        const lowerDesc = description.toLowerCase();
-        
-        for (const [keyword, hsCode] of Object.entries(hsCodeDatabase)) {
-            if (lowerDesc.includes(keyword)) {
-                return hsCode;
-            }
+        const lowerDesc = (description || '').toLowerCase();
+        const matches = Object.entries(hsCodeDatabase).filter(([keyword]) => lowerDesc.includes(keyword));
+
+        if (matches.length > 0) {
+            const codes = new Set(matches.map(([, hsCode]) => hsCode));
+            return {
+                hsCode: matches[0][1],
+                confidence: codes.size === 1 ? 0.9 : 0.5,
+                matchedOn: matches.map(([keyword]) => keyword)
+            };
         }
 
         // Codes par défaut par catégorie
@@ -175,7 +239,29 @@ class InternationalService {
             'food': '2106.90'
         };
 
-        return categoryDefaults[category?.toLowerCase()] || '9999.99';
+        const categoryCode = categoryDefaults[category?.toLowerCase()];
+        return categoryCode
+            ? { hsCode: categoryCode, confidence: 0.4, matchedOn: [`category:${category.toLowerCase()}`] }
+            : { hsCode: '9999.99', confidence: 0, matchedOn: [] };
+    }
+
+    /**
+     * Fiches validées du catalogue de classement douanier, par SKU
+     */
+    async getCatalogueClassifications(orgId, skus) {
+        if (!orgId || skus.length === 0) return {};
+
+        const result = await this.db.query(`
+            SELECT sku, hs_code, country_of_origin, material, customs_description FROM product_classifications
+            WHERE organization_id = $1 AND sku = ANY($2) AND status = 'approved'
+        `, [orgId, skus]);
+
+        return Object.fromEntries(result.rows.map(row => [row.sku, {
+            hsCode: row.hs_code,
+            countryOfOrigin: row.country_of_origin,
+            material: row.material,
+            customsDescription: row.customs_description
+        }]));
     }
 
     async validateHSCode(hsCode, destinationCountry) {
@@ -275,7 +361,7 @@ class InternationalService {
         };
 
         const countryDutyRates = dutyRates[country] || { default: 0.05 };
-        const vatRate = vatRates[country] || 0.20;
+        const vatRate = vatRates[country] ?? 0.20;
         const threshold = deMinimis[country] || 150;
 
         // Vérifier le seuil de minimis
@@ -310,6 +396,146 @@ class InternationalService {
         };
     }
 
+    // ==========================================
+    // LANDED COST
+    // ==========================================
+
+    /**
+     * Coût rendu d'une option de livraison : port, droits, TVA import et frais de dédouanement,
+     * ventilé entre ce qui est encaissé au checkout et ce que le destinataire paiera à la livraison
+     * @param {string} params.incoterm DDP (droits et taxes encaissés au checkout) ou DAP (payés à la livraison)
+     * @param {string} [params.iossNumber] numéro IOSS du vendeur, requis pour percevoir la TVA UE ≤ 150 €
+     * @returns {{incoterm, regime, goodsValue, shipping, duties, importVat, clearanceFee, collected, dueOnDelivery, checkoutTotal, landedCost}}
+     */
+    async estimateLandedCost({ originCountry = 'FR', destinationCountry, items = [], shippingCost = 0, currency = 'EUR', incoterm = 'DAP', carrier = null, iossNumber = null }) {
+        const lines = items.map(item => ({
+            ...item,
+            totalValue: item.totalValue ?? (item.quantity || 1) * (parseFloat(item.unitValue) || 0)
+        }));
+        const goodsValue = round(lines.reduce((sum, item) => sum + item.totalValue, 0));
+        const shipping = round(shippingCost);
+        const quote = {
+            incoterm: INCOTERMS.includes(incoterm) ? incoterm : 'DAP',
+            regime: 'standard',
+            currency,
+            goodsValue,
+            shipping,
+            duties: 0,
+            importVat: 0,
+            vatRate: 0,
+            clearanceFee: 0,
+            iossNumber: null
+        };
+
+        const type = this.determineDeclarationType({ sender: { country: originCountry }, recipient: { country: destinationCountry } });
+        if (type === 'intra_eu' || originCountry === destinationCountry) {
+            return this.settleLandedCost({ ...quote, regime: 'no_customs' }, { sellerCollects: false });
+        }
+
+        const destEU = EU_COUNTRIES.includes(destinationCountry);
+        const lowValue = LOW_VALUE_THRESHOLDS[destEU ? 'EU' : destinationCountry];
+
+        // Faible valeur : pas de droits, TVA sur marchandises et port
+        if (lowValue && this.convertAmount(goodsValue, currency, lowValue.currency) <= lowValue.threshold) {
+            const vatRate = destEU ? EU_VAT_RATES[destinationCountry] : lowValue.vatRate;
+            const importVat = round((goodsValue + shipping) * vatRate);
+
+            // Vers le Royaume-Uni la TVA est toujours due par le vendeur ; vers l'UE seulement sous IOSS
+            if (lowValue.regime === 'uk_low_value' || iossNumber) {
+                return this.settleLandedCost({
+                    ...quote,
+                    regime: lowValue.regime,
+                    importVat,
+                    vatRate,
+                    iossNumber: lowValue.regime === 'ioss' ? iossNumber : null
+                }, { sellerCollects: true });
+            }
+
+            // Sans IOSS, TVA acquittée à l'import par le transporteur
+            return this.settleLandedCost({
+                ...quote,
+                regime: 'eu_low_value',
+                importVat,
+                vatRate,
+                clearanceFee: this.clearanceFee(carrier, currency)
+            }, { sellerCollects: false });
+        }
+
+        // Régime général : droits (seuils de minimis), puis TVA sur valeur, port et droits
+        const estimate = await this.estimateDutiesAndTaxes({ destinationCountry, items: lines, totalValue: goodsValue });
+        if (estimate.deMinimisApplied) {
+            return this.settleLandedCost({ ...quote, regime: 'de_minimis' }, { sellerCollects: false });
+        }
+
+        const duties = estimate.duties;
+        const vatRate = destEU ? EU_VAT_RATES[destinationCountry] : estimate.vatRate;
+        return this.settleLandedCost({
+            ...quote,
+            duties,
+            importVat: round((goodsValue + shipping + duties) * vatRate),
+            vatRate,
+            clearanceFee: this.clearanceFee(carrier, currency)
+        }, { sellerCollects: false });
+    }
+
+    /**
+     * Répartition checkout / livraison : la TVA perçue par le vendeur (IOSS, Royaume-Uni) et,
+     * en DDP, les droits, taxes et frais avancés par le transporteur sont encaissés au checkout
+     */
+    settleLandedCost(quote, { sellerCollects }) {
+        const dutiesAndTaxes = round(quote.duties + quote.importVat + quote.clearanceFee);
+        const collectAll = sellerCollects || quote.incoterm === 'DDP';
+        const collected = {
+            duties: collectAll ? quote.duties : 0,
+            importVat: collectAll ? quote.importVat : 0,
+            clearanceFee: collectAll ? quote.clearanceFee : 0,
+            total: collectAll ? dutiesAndTaxes : 0
+        };
+
+        return {
+            ...quote,
+            collected,
+            dueOnDelivery: round(dutiesAndTaxes - collected.total),
+            checkoutTotal: round(quote.shipping + collected.total),
+            landedCost: round(quote.goodsValue + quote.shipping + dutiesAndTaxes)
+        };
+    }
+
+    /**
+     * Devis présenté au checkout, conservé pour que la déclaration en douane reprenne les montants réellement encaissés
+     * @returns {Object} devis avec son identifiant (id)
+     */
+    async saveLandedCostQuote(orgId, { originCountry, destinationCountry }, quote) {
+        const result = await this.db.query(`
+            INSERT INTO landed_cost_quotes (organization_id, origin_country, destination_country, incoterm, regime, currency, quote)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id
+        `, [orgId, originCountry, destinationCountry, quote.incoterm, quote.regime, quote.currency, JSON.stringify(quote)]);
+
+        return { id: result.rows[0].id, ...quote };
+    }
+
+    async getLandedCostQuote(orgId, quoteId) {
+        const result = await this.db.query(
+            'SELECT * FROM landed_cost_quotes WHERE id = $1 AND organization_id = $2',
+            [quoteId, orgId]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+
+        const quote = typeof row.quote === 'string' ? JSON.parse(row.quote) : row.quote;
+        return { id: row.id, originCountry: row.origin_country, destinationCountry: row.destination_country, ...quote };
+    }
+
+    clearanceFee(carrier, currency = 'EUR') {
+        return round(this.convertAmount(CLEARANCE_FEES[carrier] ?? CLEARANCE_FEES.default, 'EUR', currency));
+    }
+
+    convertAmount(amount, from, to) {
+        if (from === to) return amount;
+        return amount / (REFERENCE_RATES[from] || 1) * (REFERENCE_RATES[to] || 1);
+    }
+
     // ==========================================
     // DOCUMENTS
     // ==========================================
@@ -400,9 +626,15 @@ class InternationalService {
         return regulatedPrefixes.some(prefix => hsCode?.startsWith(prefix));
     }
 
-    async generateCommercialInvoice(declaration) {
+    /**
+     * @param {boolean} [options.proforma] envoi sans vente (cadeau, échantillon, retour) : valeur pour la douane uniquement
+     */
+    async generateCommercialInvoice(declaration, { proforma = (declaration.category || 'commercial') !== 'commercial' } = {}) {
+        const shipping = declaration.shippingCost || 0;
+
         return {
-            invoiceNumber: `INV-${Date.now()}`,
+            invoiceNumber: declaration.invoiceNumber || `INV-${Date.now()}`,
+            invoiceType: proforma ? 'proforma' : 'commercial',
             date: new Date().toISOString().split('T')[0],
             exporter: declaration.exporter,
             importer: declaration.importer,
@@ -416,16 +648,114 @@ class InternationalService {
                 currency: item.currency
             })),
             subtotal: declaration.totalValue,
-            shipping: 0,
+            shipping,
             insurance: 0,
-            total: declaration.totalValue,
+            total: Math.round((declaration.totalValue + shipping) * 100) / 100,
             currency: declaration.currency,
             incoterm: declaration.incoterm,
-            paymentTerms: 'Prepaid',
+            reasonForExport: declaration.category || 'commercial',
+            eoriNumber: declaration.exporter?.eoriNumber || null,
+            vatNumber: declaration.exporter?.vatNumber || null,
+            iossNumber: declaration.iossNumber || null,
+            paymentTerms: proforma ? 'No charge' : 'Prepaid',
             declarationText: 'We declare that the information contained in this invoice is true and correct.'
         };
     }
 
+    /**
+     * Documents PDF (CN22/CN23, facture commerciale ou pro forma) et données électroniques de la déclaration
+     * @param {string[]} [options.types] par défaut selon la valeur et la nature de l'envoi
+     * @returns {{documents: Array<{type, filename, contentType, data: Buffer}>, electronicData}}
+     */
+    async generateCustomsDocuments(declaration, { types, signature } = {}) {
+        const selected = types || this.documents.selectDocuments(declaration);
+        // Pro forma demandée explicitement, sinon selon la nature de l'envoi
+        const invoice = await this.generateCommercialInvoice(declaration, selected.includes('proforma_invoice') ? { proforma: true } : {});
+
+        const documents = [];
+        for (const type of selected) {
+            documents.push(await this.documents.render(type, declaration, { invoice, signature }));
+        }
+
+        return {
+            documents,
+            electronicData: this.documents.buildElectronicData(declaration, invoice)
+        };
+    }
+
+    async getCustomsDeclaration(orgId, declarationId) {
+        const result = await this.db.query(
+            'SELECT * FROM customs_declarations WHERE id = $1 AND organization_id = $2',
+            [declarationId, orgId]
+        );
+        return result.rows[0] ? this.rowToDeclaration(result.rows[0]) : null;
+    }
+
+    async getShipmentDeclaration(shipmentId) {
+        const result = await this.db.query(
+            'SELECT * FROM customs_declarations WHERE shipment_id = $1 ORDER BY created_at DESC LIMIT 1',
+            [shipmentId]
+        );
+        return result.rows[0] ? this.rowToDeclaration(result.rows[0]) : null;
+    }
+
+    rowToDeclaration(row) {
+        const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            shipmentId: row.shipment_id,
+            type: row.type,
+            category: row.category || 'commercial',
+            invoiceNumber: row.invoice_number,
+            exporter: parse(row.exporter, {}),
+            importer: parse(row.importer, {}),
+            items: parse(row.items, []),
+            totalValue: parseFloat(row.total_value) || 0,
+            currency: row.currency,
+            incoterm: row.incoterm,
+            shippingCost: parseFloat(row.shipping_cost) || 0,
+            iossNumber: row.ioss_number,
+            taxRegime: row.tax_regime || null,
+            collectedDuties: parseFloat(row.collected_duties) || 0,
+            collectedTaxes: parseFloat(row.collected_taxes) || 0,
+            originCountry: row.origin_country,
+            destinationCountry: row.destination_country,
+            requiredDocuments: parse(row.required_documents, []),
+            estimatedDuties: row.estimated_duties !== null ? parseFloat(row.estimated_duties) : null,
+            estimatedTaxes: row.estimated_taxes !== null ? parseFloat(row.estimated_taxes) : null,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Joindre la déclaration à la demande d'étiquette : données électroniques et PDF (base64)
+     * au format attendu par les connecteurs Colissimo et Chronopost
+     */
+    async attachCustomsToCarrierRequest(carrier, request, declaration, options = {}) {
+        if (!declaration || declaration.type === 'intra_eu') return request;
+
+        const { documents, electronicData } = await this.generateCustomsDocuments(declaration, options);
+        const customs = {
+            ...electronicData,
+            contents: electronicData.articles,
+            documents: documents.map(document => ({
+                type: document.type,
+                filename: document.filename,
+                format: 'PDF',
+                content: document.data.toString('base64')
+            }))
+        };
+
+        if (carrier === 'colissimo') {
+            customs.category = COLISSIMO_CUSTOMS_CATEGORIES[electronicData.category] || COLISSIMO_CUSTOMS_CATEGORIES.other;
+        } else if (carrier !== 'chronopost') {
+            return request;
+        }
+
+        return { ...request, customs, customsValue: electronicData.totalValue };
+    }
+
     // ==========================================
     // COUNTRY REGULATIONS
     // ==========================================
@@ -548,4 +878,4 @@ class InternationalService {
     }
 }
 
-module.exports = { InternationalService };
+module.exports = { InternationalService, COLISSIMO_CUSTOMS_CATEGORIES, LOW_VALUE_THRESHOLDS, CLEARANCE_FEES };
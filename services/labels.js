@@ -0,0 +1,444 @@
+/**
+ * Routz v4.0 - Label Rendering Service
+ * Moteur d'étiquettes multi-transporteurs : ZPL II, EPL2, PDF A6 (thermique) et A4 (4 étiquettes par page)
+ */
+
+const PDFDocument = require('pdfkit');
+const JsBarcode = require('jsbarcode');
+
+// ==========================================
+// FORMATS & DIMENSIONS
+// ==========================================
+
+const LABEL_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf', layout: 'a6' },
+    pdf_a6: { contentType: 'application/pdf', extension: 'pdf', layout: 'a6' },
+    pdf_a4: { contentType: 'application/pdf', extension: 'pdf', layout: 'a4' },
+    zpl: { contentType: 'application/zpl', extension: 'zpl' },
+    epl: { contentType: 'application/epl', extension: 'epl' }
+};
+
+// Étiquette thermique 4x6" à 203 dpi
+const THERMAL = {
+    width: 812,
+    height: 1218,
+    margin: 30
+};
+
+// Points PDF (1/72")
+const PDF_PAGE = {
+    a6: { width: 297.64, height: 419.53 },
+    a4: { width: 595.28, height: 841.89 }
+};
+
+const CARRIER_NAMES = {
+    colissimo: 'Colissimo',
+    chronopost: 'Chronopost',
+    mondial_relay: 'Mondial Relay',
+    colis_prive: 'Colis Privé',
+    dhl: 'DHL Express',
+    ups: 'UPS',
+    fedex: 'FedEx',
+    gls: 'GLS',
+    dpd: 'DPD',
+    tnt: 'TNT'
+};
+
+class LabelService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.defaultFormat = config.defaultFormat || 'pdf';
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    /**
+     * Générer les étiquettes d'une ou plusieurs expéditions
+     * Une étiquette est produite par colis (options.parcelIndex : un seul colis)
+     */
+    async render(shipments, format = this.defaultFormat, options = {}) {
+        const formatConfig = LABEL_FORMATS[format];
+        if (!formatConfig) {
+            throw new Error(`Unsupported label format: ${format}`);
+        }
+
+        let labels = [].concat(shipments).flatMap(shipment => this.normalizeShipment(shipment));
+        if (options.parcelIndex) {
+            labels = labels.filter(label => label.parcelIndex === options.parcelIndex);
+            if (labels.length === 0) {
+                throw new Error(`Unknown parcel: ${options.parcelIndex}`);
+            }
+        }
+
+        let data;
+        if (format === 'zpl') {
+            data = Buffer.from(labels.map(label => this.renderZPL(label)).join('\n'), 'utf8');
+        } else if (format === 'epl') {
+            data = Buffer.from(labels.map(label => this.renderEPL(label)).join('\n'), 'latin1');
+        } else {
+            data = await this.renderPDF(labels, formatConfig.layout);
+        }
+
+        return {
+            format,
+            contentType: formatConfig.contentType,
+            filename: `label-${labels[0].trackingNumber}.${formatConfig.extension}`,
+            count: labels.length,
+            data
+        };
+    }
+
+    isSupportedFormat(format) {
+        return Boolean(LABEL_FORMATS[format]);
+    }
+
+    /**
+     * Normaliser une expédition (ligne DB ou payload API) en étiquettes, une par colis
+     */
+    normalizeShipment(shipment) {
+        const parcels = this.parseParcels(shipment.parcels);
+        const carrier = shipment.carrier || 'unknown';
+        const trackingNumber = shipment.tracking_number || shipment.trackingNumber;
+        const createdAt = new Date(shipment.created_at || shipment.createdAt || Date.now());
+
+        const base = {
+            trackingNumber,
+            carrier,
+            carrierName: CARRIER_NAMES[carrier] || carrier.toUpperCase(),
+            service: shipment.service || 'standard',
+            reference: shipment.reference || shipment.order_number || '',
+            shipDate: createdAt.toISOString().split('T')[0],
+            createdAt,
+            sender: this.normalizeAddress(shipment.sender || this.extractAddress(shipment, 'sender')),
+            recipient: this.normalizeAddress(shipment.recipient || this.extractAddress(shipment, 'recipient'))
+        };
+        base.routing = this.buildRoutingBlock(base);
+
+        if (parcels.length === 0) {
+            return [{
+                ...base,
+                parcelIndex: 1,
+                parcelCount: 1,
+                weight: parseFloat(shipment.total_weight || shipment.weight) || 0
+            }];
+        }
+
+        return parcels.map((parcel, index) => ({
+            ...base,
+            trackingNumber: parcel.trackingNumber || parcel.tracking_number || trackingNumber,
+            parcelIndex: index + 1,
+            parcelCount: parcels.length,
+            weight: parseFloat(parcel.weight) || 0
+        }));
+    }
+
+    parseParcels(parcels) {
+        if (!parcels) return [];
+        if (typeof parcels === 'string') {
+            try {
+                return JSON.parse(parcels);
+            } catch (e) {
+                return [];
+            }
+        }
+        return Array.isArray(parcels) ? parcels : [parcels];
+    }
+
+    extractAddress(row, prefix) {
+        return {
+            name: row[`${prefix}_name`],
+            company: row[`${prefix}_company`],
+            address1: row[`${prefix}_address1`],
+            address2: row[`${prefix}_address2`],
+            city: row[`${prefix}_city`],
+            postalCode: row[`${prefix}_postal_code`],
+            country: row[`${prefix}_country`],
+            phone: row[`${prefix}_phone`]
+        };
+    }
+
+    normalizeAddress(address = {}) {
+        const name = address.name
+            || [address.firstName, address.lastName].filter(Boolean).join(' ');
+
+        return {
+            name: name || '',
+            company: address.company || address.companyName || '',
+            line1: address.address1 || address.line1 || '',
+            line2: address.address2 || address.line2 || '',
+            postalCode: (address.postalCode || address.postal_code || '').toString().trim(),
+            city: (address.city || '').toUpperCase(),
+            country: (address.country || address.countryCode || 'FR').toUpperCase(),
+            phone: address.phone || ''
+        };
+    }
+
+    /**
+     * Bloc de routage : pays + préfixe postal (département en France) pour le tri
+     */
+    buildRoutingBlock(label) {
+        const { country, postalCode, city } = label.recipient;
+        const prefix = postalCode.replace(/\s/g, '').substring(0, 2);
+
+        return {
+            code: prefix ? `${country}-${prefix}` : country,
+            country,
+            city,
+            service: label.service.toUpperCase()
+        };
+    }
+
+    // ==========================================
+    // ZPL II (Zebra)
+    // ==========================================
+
+    renderZPL(label) {
+        const m = THERMAL.margin;
+        const text = (value) => this.escapeZPL(value);
+        const barcodeModule = this.barcodeModuleWidth(label.trackingNumber, THERMAL.width - 2 * m);
+
+        const lines = [
+            '^XA',
+            '^CI28',
+            `^PW${THERMAL.width}`,
+            `^LL${THERMAL.height}`,
+            '^LH0,0',
+
+            // En-tête transporteur / service
+            `^FO${m},${m}^A0N,50,50^FD${text(label.carrierName)}^FS`,
+            `^FO${THERMAL.width - m - 300},${m + 10}^A0N,36,36^FB300,1,0,R^FD${text(label.routing.service)}^FS`,
+            `^FO${m},${m + 70}^GB${THERMAL.width - 2 * m},3,3^FS`,
+
+            // Expéditeur
+            `^FO${m},${m + 90}^A0N,22,22^FDEXPEDITEUR / FROM^FS`,
+            ...this.addressLines(label.sender).map((line, i) =>
+                `^FO${m},${m + 120 + i * 28}^A0N,24,24^FD${text(line)}^FS`),
+
+            // Destinataire
+            `^FO${m},${m + 270}^GB${THERMAL.width - 2 * m},300,3^FS`,
+            `^FO${m + 15},${m + 285}^A0N,22,22^FDDESTINATAIRE / TO^FS`,
+            ...this.addressLines(label.recipient).map((line, i) =>
+                `^FO${m + 15},${m + 320 + i * 40}^A0N,36,36^FD${text(line)}^FS`),
+
+            // Bloc de routage (inversé)
+            `^FO${m},${m + 590}^GB${THERMAL.width - 2 * m},150,150^FS`,
+            `^FO${m + 20},${m + 610}^A0N,110,110^FR^FD${text(label.routing.code)}^FS`,
+            `^FO${THERMAL.width - m - 260},${m + 615}^A0N,40,40^FR^FB240,1,0,R^FD${label.parcelIndex}/${label.parcelCount}^FS`,
+            `^FO${THERMAL.width - m - 260},${m + 670}^A0N,40,40^FR^FB240,1,0,R^FD${label.weight.toFixed(2)} KG^FS`,
+
+            // Code-barres Code 128
+            `^FO${m},${m + 770}^BY${barcodeModule},3,200^BCN,200,Y,N,N,A^FD${text(label.trackingNumber)}^FS`,
+
+            // Pied
+            `^FO${m},${THERMAL.height - m - 60}^A0N,24,24^FDREF: ${text(label.reference)}^FS`,
+            `^FO${m},${THERMAL.height - m - 30}^A0N,24,24^FDDATE: ${label.shipDate}^FS`,
+            '^PQ1',
+            '^XZ'
+        ];
+
+        return lines.join('\n');
+    }
+
+    escapeZPL(value) {
+        // ^ et ~ sont des préfixes de commande ZPL
+        return String(value || '').replace(/[\^~]/g, ' ');
+    }
+
+    // ==========================================
+    // EPL2 (Eltron / Zebra LP)
+    // ==========================================
+
+    renderEPL(label) {
+        const m = THERMAL.margin;
+        const text = (value) => this.escapeEPL(value);
+        const barcodeModule = this.barcodeModuleWidth(label.trackingNumber, THERMAL.width - 2 * m);
+
+        const lines = [
+            '',
+            'N',
+            `q${THERMAL.width}`,
+            `Q${THERMAL.height},24`,
+
+            `A${m},${m},0,5,1,1,N,"${text(label.carrierName)}"`,
+            `A${THERMAL.width - m - 300},${m + 10},0,4,1,1,N,"${text(label.routing.service)}"`,
+            `LO${m},${m + 70},${THERMAL.width - 2 * m},3`,
+
+            `A${m},${m + 90},0,2,1,1,N,"EXPEDITEUR / FROM"`,
+            ...this.addressLines(label.sender).map((line, i) =>
+                `A${m},${m + 120 + i * 28},0,3,1,1,N,"${text(line)}"`),
+
+            `X${m},${m + 270},3,${THERMAL.width - m},${m + 570}`,
+            `A${m + 15},${m + 285},0,2,1,1,N,"DESTINATAIRE / TO"`,
+            ...this.addressLines(label.recipient).map((line, i) =>
+                `A${m + 15},${m + 320 + i * 40},0,4,1,1,N,"${text(line)}"`),
+
+            // Bloc de routage : zone noire puis texte en inversion vid\u00e9o
+            `LO${m},${m + 590},${THERMAL.width - 2 * m},150`,
+            `A${m + 20},${m + 610},0,5,2,2,R,"${text(label.routing.code)}"`,
+            `A${THERMAL.width - m - 200},${m + 615},0,4,1,1,R,"${label.parcelIndex}/${label.parcelCount}"`,
+            `A${THERMAL.width - m - 200},${m + 670},0,4,1,1,R,"${label.weight.toFixed(2)} KG"`,
+
+            `B${m},${m + 770},0,1,${barcodeModule},${barcodeModule},200,B,"${text(label.trackingNumber)}"`,
+
+            `A${m},${THERMAL.height - m - 60},0,3,1,1,N,"REF: ${text(label.reference)}"`,
+            `A${m},${THERMAL.height - m - 30},0,3,1,1,N,"DATE: ${label.shipDate}"`,
+            'P1'
+        ];
+
+        return lines.join('\n');
+    }
+
+    escapeEPL(value) {
+        // EPL2 n'accepte que l'ASCII : on retire les accents et on \u00e9chappe les guillemets
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7E]/g, '?')
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"');
+    }
+
+    // ==========================================
+    // PDF (A6 thermique / A4 planche de 4)
+    // ==========================================
+
+    renderPDF(labels, layout = 'a6') {
+        const page = PDF_PAGE[layout];
+        const slot = PDF_PAGE.a6;
+        const perPage = layout === 'a4' ? 4 : 1;
+
+        const doc = new PDFDocument({
+            size: [page.width, page.height],
+            margin: 0,
+            autoFirstPage: false,
+            info: {
+                Title: `Labels ${labels[0].trackingNumber}`,
+                Producer: 'Routz',
+                Creator: 'Routz',
+                CreationDate: labels[0].createdAt
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+
+        labels.forEach((label, index) => {
+            const position = index % perPage;
+            if (position === 0) {
+                doc.addPage({ size: [page.width, page.height], margin: 0 });
+            }
+
+            const x = (position % 2) * slot.width;
+            const y = Math.floor(position / 2) * slot.height;
+
+            doc.save();
+            doc.translate(x, y);
+            this.drawPDFLabel(doc, label, slot);
+            doc.restore();
+        });
+
+        return new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+            doc.end();
+        });
+    }
+
+    drawPDFLabel(doc, label, size) {
+        const m = 10;
+        const innerWidth = size.width - 2 * m;
+
+        // Cadre de découpe
+        doc.lineWidth(0.5).rect(2, 2, size.width - 4, size.height - 4).stroke('#999999');
+        doc.fillColor('#000000').strokeColor('#000000');
+
+        // En-tête
+        doc.font('Helvetica-Bold').fontSize(14).text(label.carrierName, m, m, { width: innerWidth, lineBreak: false });
+        doc.font('Helvetica-Bold').fontSize(10).text(label.routing.service, m, m + 3, { width: innerWidth, align: 'right', lineBreak: false });
+        doc.lineWidth(1.5).moveTo(m, m + 22).lineTo(size.width - m, m + 22).stroke();
+
+        // Expéditeur
+        doc.font('Helvetica').fontSize(6).text('EXPÉDITEUR / FROM', m, m + 28);
+        doc.fontSize(7);
+        this.addressLines(label.sender).forEach((line, i) => {
+            doc.text(line, m, m + 37 + i * 8.5, { width: innerWidth, lineBreak: false });
+        });
+
+        // Destinataire
+        doc.lineWidth(1).rect(m, m + 92, innerWidth, 100).stroke();
+        doc.font('Helvetica').fontSize(6).text('DESTINATAIRE / TO', m + 5, m + 96);
+        this.addressLines(label.recipient).forEach((line, i) => {
+            doc.font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+                .text(line, m + 5, m + 106 + i * 13, { width: innerWidth - 10, lineBreak: false });
+        });
+
+        // Bloc de routage
+        doc.rect(m, m + 200, innerWidth, 50).fill('#000000');
+        doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(30)
+            .text(label.routing.code, m + 8, m + 210, { lineBreak: false });
+        doc.fontSize(11)
+            .text(`${label.parcelIndex}/${label.parcelCount}`, m, m + 208, { width: innerWidth - 8, align: 'right', lineBreak: false })
+            .text(`${label.weight.toFixed(2)} KG`, m, m + 228, { width: innerWidth - 8, align: 'right', lineBreak: false });
+        doc.fillColor('#000000');
+
+        // Code-barres
+        this.drawPDFBarcode(doc, label.trackingNumber, m, m + 262, innerWidth, 70);
+        doc.font('Helvetica-Bold').fontSize(10)
+            .text(label.trackingNumber, m, m + 336, { width: innerWidth, align: 'center', lineBreak: false });
+
+        // Pied
+        doc.font('Helvetica').fontSize(7)
+            .text(`REF: ${label.reference}`, m, size.height - m - 22, { width: innerWidth, lineBreak: false })
+            .text(`DATE: ${label.shipDate}`, m, size.height - m - 12, { width: innerWidth, lineBreak: false });
+    }
+
+    drawPDFBarcode(doc, value, x, y, maxWidth, height) {
+        const modules = this.encodeCode128(value);
+        const moduleWidth = Math.min(1.5, maxWidth / modules.length);
+        const offset = x + (maxWidth - modules.length * moduleWidth) / 2;
+
+        let run = 0;
+        for (let i = 0; i <= modules.length; i++) {
+            if (modules[i] === '1') {
+                run++;
+            } else if (run > 0) {
+                doc.rect(offset + (i - run) * moduleWidth, y, run * moduleWidth, height);
+                run = 0;
+            }
+        }
+        doc.fill('#000000');
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Encodage Code 128 sous forme de modules binaires ('1' = barre)
+     */
+    encodeCode128(value) {
+        const data = {};
+        JsBarcode(data, String(value), { format: 'CODE128' });
+        return data.encodings.map(e => e.data).join('');
+    }
+
+    barcodeModuleWidth(value, maxDots) {
+        const modules = this.encodeCode128(value).length;
+        return Math.max(1, Math.min(3, Math.floor(maxDots / modules)));
+    }
+
+    addressLines(address) {
+        return [
+            address.name,
+            address.company,
+            address.line1,
+            address.line2,
+            `${address.postalCode} ${address.city}`.trim(),
+            address.country
+        ].filter(Boolean);
+    }
+}
+
+module.exports = { LabelService, LABEL_FORMATS };
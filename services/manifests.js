@@ -0,0 +1,485 @@
+/**
+ * Routz v4.0 - Carrier Manifest Service
+ * Clôture de fin de journée : bordereaux de remise par transporteur et site d'enlèvement
+ */
+
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+
+// Statuts d'une expédition étiquetée mais pas encore remise au transporteur
+const MANIFESTABLE_STATUSES = ['pending', 'label_created'];
+
+// Format du fichier de données transmis à chaque transporteur
+const CARRIER_MANIFEST_SPECS = {
+    colissimo: { format: 'csv', delimiter: ';' },
+    chronopost: { format: 'xml' },
+    dhl: { format: 'xml' },
+    ups: { format: 'xml' },
+    fedex: { format: 'xml' },
+    default: { format: 'csv', delimiter: ',' }
+};
+
+const MANIFEST_COLUMNS = [
+    { key: 'tracking_number', header: 'tracking_number' },
+    { key: 'reference', header: 'reference' },
+    { key: 'service', header: 'service' },
+    { key: 'recipient_name', header: 'recipient_name' },
+    { key: 'recipient_postal_code', header: 'postal_code' },
+    { key: 'recipient_city', header: 'city' },
+    { key: 'recipient_country', header: 'country' },
+    { key: 'parcel_count', header: 'parcels' },
+    { key: 'weight', header: 'weight_kg' }
+];
+
+class ManifestError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ManifestError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class ManifestService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    // ==========================================
+    // PENDING SHIPMENTS
+    // ==========================================
+
+    /**
+     * Expéditions étiquetées non clôturées, regroupées par transporteur et site
+     */
+    async getPendingSummary(orgId) {
+        const result = await this.db.query(`
+            SELECT carrier, warehouse_id, COUNT(*) as shipments,
+                COALESCE(SUM(COALESCE(total_weight, weight, 0)), 0) as total_weight,
+                MIN(created_at) as oldest_created_at
+            FROM shipments
+            WHERE organization_id = $1
+            AND manifest_id IS NULL
+            AND cancelled_at IS NULL
+            AND tracking_number IS NOT NULL
+            AND status = ANY($2)
+            GROUP BY carrier, warehouse_id
+            ORDER BY carrier, warehouse_id
+        `, [orgId, MANIFESTABLE_STATUSES]);
+
+        return result.rows.map(row => ({
+            carrier: row.carrier,
+            warehouseId: row.warehouse_id,
+            shipments: parseInt(row.shipments),
+            totalWeight: parseFloat(row.total_weight),
+            oldestCreatedAt: row.oldest_created_at
+        }));
+    }
+
+    // ==========================================
+    // CLOSE-OUT
+    // ==========================================
+
+    /**
+     * Clôturer les expéditions d'un transporteur / site et générer le bordereau
+     * Les expéditions sont verrouillées pendant la clôture (FOR UPDATE SKIP LOCKED)
+     */
+    async closeOut(orgId, params = {}) {
+        const { carrier, warehouseId = null, userId = null, submitToCarrier = true } = params;
+
+        if (!carrier) {
+            throw new ManifestError('Carrier is required', 'CARRIER_REQUIRED', 422);
+        }
+
+        // manifests.warehouse_id référence warehouses : entrepôt de l'organisation uniquement
+        if (warehouseId) {
+            const warehouse = await this.db.query(
+                'SELECT id FROM warehouses WHERE id::text = $1 AND organization_id = $2',
+                [String(warehouseId), orgId]
+            );
+            if (warehouse.rows.length === 0) {
+                throw new ManifestError('Warehouse not found', 'WAREHOUSE_NOT_FOUND', 404);
+            }
+        }
+
+        const client = await this.db.connect();
+        let manifest;
+        let shipments;
+
+        try {
+            await client.query('BEGIN');
+
+            const locked = await client.query(`
+                SELECT * FROM shipments
+                WHERE organization_id = $1
+                AND carrier = $2
+                AND warehouse_id IS NOT DISTINCT FROM $3
+                AND manifest_id IS NULL
+                AND cancelled_at IS NULL
+                AND tracking_number IS NOT NULL
+                AND status = ANY($4)
+                ORDER BY created_at
+                FOR UPDATE SKIP LOCKED
+            `, [orgId, carrier, warehouseId, MANIFESTABLE_STATUSES]);
+
+            shipments = locked.rows;
+
+            if (shipments.length === 0) {
+                throw new ManifestError('No shipments to manifest', 'NOTHING_TO_MANIFEST', 404);
+            }
+
+            manifest = {
+                id: uuidv4(),
+                organizationId: orgId,
+                manifestNumber: this.generateManifestNumber(carrier),
+                carrier,
+                warehouseId,
+                shipmentCount: shipments.length,
+                parcelCount: shipments.reduce((sum, s) => sum + this.countParcels(s), 0),
+                totalWeight: Math.round(shipments.reduce((sum, s) => sum + this.shipmentWeight(s), 0) * 1000) / 1000,
+                closedAt: new Date()
+            };
+
+            const spec = CARRIER_MANIFEST_SPECS[carrier] || CARRIER_MANIFEST_SPECS.default;
+            const dataFile = spec.format === 'xml'
+                ? this.buildXML(manifest, shipments)
+                : this.buildCSV(shipments, spec.delimiter);
+            const pdf = await this.buildPDF(manifest, shipments);
+
+            await client.query(`
+                INSERT INTO manifests (
+                    id, organization_id, manifest_number, carrier, warehouse_id, status,
+                    shipment_count, parcel_count, total_weight, pdf_data, data_file, data_format,
+                    created_by, closed_at
+                ) VALUES ($1, $2, $3, $4, $5, 'closed', $6, $7, $8, $9, $10, $11, $12, $13)
+            `, [
+                manifest.id, orgId, manifest.manifestNumber, carrier, warehouseId,
+                manifest.shipmentCount, manifest.parcelCount, manifest.totalWeight,
+                pdf.toString('base64'), dataFile, spec.format, userId, manifest.closedAt
+            ]);
+
+            await client.query(`
+                UPDATE shipments SET manifest_id = $1, manifested_at = $2, updated_at = NOW()
+                WHERE id = ANY($3)
+            `, [manifest.id, manifest.closedAt, shipments.map(s => s.id)]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        manifest.status = 'closed';
+        manifest.dataFormat = (CARRIER_MANIFEST_SPECS[carrier] || CARRIER_MANIFEST_SPECS.default).format;
+        manifest.trackingNumbers = shipments.map(s => s.tracking_number);
+
+        if (submitToCarrier) {
+            Object.assign(manifest, await this.submitToCarrier(manifest));
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Clôturer tous les groupes transporteur / site en attente
+     * Sans orgId, toutes les organisations ayant des expéditions en attente sont traitées
+     */
+    async closeOutAll(orgId = null, params = {}) {
+        const orgIds = orgId ? [orgId] : await this.getOrganizationsWithPending();
+        const results = [];
+
+        for (const id of orgIds) {
+            const groups = await this.getPendingSummary(id);
+
+            for (const group of groups) {
+                try {
+                    const manifest = await this.closeOut(id, {
+                        ...params,
+                        carrier: group.carrier,
+                        warehouseId: group.warehouseId
+                    });
+                    results.push({ orgId: id, success: true, manifest });
+                } catch (error) {
+                    if (error.code === 'NOTHING_TO_MANIFEST') continue;
+                    results.push({ orgId: id, carrier: group.carrier, warehouseId: group.warehouseId, success: false, error: error.message });
+                }
+            }
+        }
+
+        return results;
+    }
+
+    async getOrganizationsWithPending() {
+        const result = await this.db.query(`
+            SELECT DISTINCT organization_id FROM shipments
+            WHERE manifest_id IS NULL
+            AND cancelled_at IS NULL
+            AND tracking_number IS NOT NULL
+            AND status = ANY($1)
+        `, [MANIFESTABLE_STATUSES]);
+
+        return result.rows.map(row => row.organization_id);
+    }
+
+    /**
+     * Transmission au transporteur quand il expose une API de bordereau
+     */
+    async submitToCarrier(manifest) {
+        try {
+            if (manifest.carrier === 'colissimo') {
+                const { ColissimoClient } = require('../connectors/colissimo');
+                const bordereau = await new ColissimoClient().generateBordereau(manifest.trackingNumbers, {
+                    header: manifest.manifestNumber
+                });
+
+                await this.db.query(
+                    'UPDATE manifests SET status = $1, carrier_reference = $2, submitted_at = NOW() WHERE id = $3',
+                    ['submitted', bordereau.bordereauNumber, manifest.id]
+                );
+
+                return { status: 'submitted', carrierReference: bordereau.bordereauNumber };
+            }
+
+            return {};
+        } catch (error) {
+            console.error(`[manifests] Carrier submission failed for ${manifest.manifestNumber}:`, error.message);
+            await this.db.query(
+                'UPDATE manifests SET submission_error = $1 WHERE id = $2',
+                [error.message, manifest.id]
+            );
+            return { submissionError: error.message };
+        }
+    }
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    async listManifests(orgId, filters = {}) {
+        const { carrier, page = 1, limit = 20 } = filters;
+        const params = [orgId];
+        let query = `
+            SELECT id, manifest_number, carrier, warehouse_id, status, shipment_count, parcel_count,
+                total_weight, data_format, carrier_reference, submission_error, closed_at, submitted_at
+            FROM manifests WHERE organization_id = $1
+        `;
+
+        if (carrier) {
+            params.push(carrier);
+            query += ` AND carrier = $${params.length}`;
+        }
+
+        query += ` ORDER BY closed_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, (page - 1) * limit);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getManifest(orgId, manifestId) {
+        const result = await this.db.query(`
+            SELECT id, manifest_number, carrier, warehouse_id, status, shipment_count, parcel_count,
+                total_weight, data_format, carrier_reference, submission_error, closed_at, submitted_at
+            FROM manifests WHERE id = $1 AND organization_id = $2
+        `, [manifestId, orgId]);
+
+        if (result.rows.length === 0) return null;
+
+        const shipments = await this.db.query(
+            'SELECT id, tracking_number, reference, recipient_name, recipient_country, status FROM shipments WHERE manifest_id = $1',
+            [manifestId]
+        );
+
+        return { ...result.rows[0], shipments: shipments.rows };
+    }
+
+    /**
+     * Document du bordereau : 'pdf' ou fichier de données ('csv' / 'xml')
+     */
+    async getDocument(orgId, manifestId, format = 'pdf') {
+        const result = await this.db.query(
+            'SELECT manifest_number, pdf_data, data_file, data_format FROM manifests WHERE id = $1 AND organization_id = $2',
+            [manifestId, orgId]
+        );
+
+        if (result.rows.length === 0) return null;
+        const row = result.rows[0];
+
+        if (format === 'pdf') {
+            return {
+                contentType: 'application/pdf',
+                filename: `${row.manifest_number}.pdf`,
+                data: Buffer.from(row.pdf_data, 'base64')
+            };
+        }
+
+        if (format !== row.data_format) {
+            throw new ManifestError(`Manifest data is only available as ${row.data_format}`, 'INVALID_FORMAT', 422);
+        }
+
+        return {
+            contentType: format === 'xml' ? 'application/xml' : 'text/csv',
+            filename: `${row.manifest_number}.${format}`,
+            data: Buffer.from(row.data_file, 'utf8')
+        };
+    }
+
+    // ==========================================
+    // DOCUMENTS
+    // ==========================================
+
+    buildCSV(shipments, delimiter = ',') {
+        const escape = (value) => {
+            const str = value === null || value === undefined ? '' : String(value);
+            return /["\n\r]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+
+        const rows = shipments.map(shipment => {
+            const row = this.toManifestRow(shipment);
+            return MANIFEST_COLUMNS.map(col => escape(row[col.key])).join(delimiter);
+        });
+
+        return [MANIFEST_COLUMNS.map(col => col.header).join(delimiter), ...rows].join('\n');
+    }
+
+    buildXML(manifest, shipments) {
+        const escape = (value) => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const parcels = shipments.map(shipment => {
+            const row = this.toManifestRow(shipment);
+            const fields = MANIFEST_COLUMNS
+                .map(col => `      <${col.header}>${escape(row[col.key])}</${col.header}>`)
+                .join('\n');
+            return `    <shipment>\n${fields}\n    </shipment>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<manifest number="${escape(manifest.manifestNumber)}" carrier="${escape(manifest.carrier)}" closedAt="${manifest.closedAt.toISOString()}">`,
+            `  <summary shipments="${manifest.shipmentCount}" parcels="${manifest.parcelCount}" weight="${manifest.totalWeight}"/>`,
+            '  <shipments>',
+            ...parcels,
+            '  </shipments>',
+            '</manifest>'
+        ].join('\n');
+    }
+
+    buildPDF(manifest, shipments) {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 40,
+            info: {
+                Title: `Manifest ${manifest.manifestNumber}`,
+                Producer: 'Routz',
+                Creator: 'Routz',
+                CreationDate: manifest.closedAt
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+
+        const columns = [
+            { key: 'tracking_number', label: 'N° de suivi', width: 110 },
+            { key: 'reference', label: 'Référence', width: 80 },
+            { key: 'recipient_name', label: 'Destinataire', width: 120 },
+            { key: 'recipient_postal_code', label: 'CP', width: 50 },
+            { key: 'recipient_city', label: 'Ville', width: 75 },
+            { key: 'parcel_count', label: 'Colis', width: 35 },
+            { key: 'weight', label: 'Poids', width: 45 }
+        ];
+
+        const drawHeader = () => {
+            doc.font('Helvetica-Bold').fontSize(16).text(`Bordereau de remise - ${manifest.carrier.toUpperCase()}`, 40, 40);
+            doc.font('Helvetica').fontSize(9)
+                .text(`N° ${manifest.manifestNumber}`, 40, 62)
+                .text(`Clôturé le ${manifest.closedAt.toISOString().replace('T', ' ').substring(0, 16)} UTC`, 40, 74)
+                .text(`Site : ${manifest.warehouseId || 'Par défaut'}`, 40, 86);
+
+            let x = 40;
+            doc.font('Helvetica-Bold').fontSize(8);
+            columns.forEach(col => {
+                doc.text(col.label, x, 110, { width: col.width, lineBreak: false });
+                x += col.width;
+            });
+            doc.moveTo(40, 122).lineTo(555, 122).stroke();
+            return 128;
+        };
+
+        let y = drawHeader();
+        doc.font('Helvetica').fontSize(8);
+
+        shipments.forEach(shipment => {
+            if (y > 760) {
+                doc.addPage();
+                y = drawHeader();
+                doc.font('Helvetica').fontSize(8);
+            }
+
+            const row = this.toManifestRow(shipment);
+            let x = 40;
+            columns.forEach(col => {
+                doc.text(String(row[col.key] ?? ''), x, y, { width: col.width - 4, lineBreak: false, ellipsis: true });
+                x += col.width;
+            });
+            y += 14;
+        });
+
+        // Totaux et signatures
+        if (y > 680) {
+            doc.addPage();
+            y = 40;
+        }
+        doc.moveTo(40, y + 4).lineTo(555, y + 4).stroke();
+        doc.font('Helvetica-Bold').fontSize(9)
+            .text(`Total : ${manifest.shipmentCount} expéditions, ${manifest.parcelCount} colis, ${manifest.totalWeight} kg`, 40, y + 12);
+
+        doc.font('Helvetica').fontSize(8);
+        doc.rect(40, y + 40, 240, 70).stroke();
+        doc.text('Signature expéditeur', 46, y + 46);
+        doc.rect(315, y + 40, 240, 70).stroke();
+        doc.text('Signature chauffeur / date et heure de prise en charge', 321, y + 46);
+
+        return new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+            doc.end();
+        });
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    toManifestRow(shipment) {
+        return {
+            ...shipment,
+            reference: shipment.reference || shipment.order_number || '',
+            parcel_count: this.countParcels(shipment),
+            weight: this.shipmentWeight(shipment).toFixed(2)
+        };
+    }
+
+    countParcels(shipment) {
+        const parcels = typeof shipment.parcels === 'string' ? JSON.parse(shipment.parcels) : shipment.parcels;
+        return Array.isArray(parcels) && parcels.length > 0 ? parcels.length : 1;
+    }
+
+    shipmentWeight(shipment) {
+        return parseFloat(shipment.total_weight || shipment.weight) || 0;
+    }
+
+    generateManifestNumber(carrier) {
+        const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
+        const suffix = Math.random().toString(36).substr(2, 5).toUpperCase();
+        return `MAN-${carrier.toUpperCase()}-${date}-${suffix}`;
+    }
+}
+
+module.exports = { ManifestService, ManifestError, CARRIER_MANIFEST_SPECS, MANIFESTABLE_STATUSES };
@@ -0,0 +1,195 @@
+/**
+ * Routz v4.0 - Multi-Parcel Shipments
+ * Expéditions multi-colis : numéro de suivi maître, un suivi par colis
+ * et consolidation des statuts colis en un statut d'expédition
+ */
+
+const { isFinalStatus } = require('./tracking-status');
+
+const MAX_PARCELS = 99;
+
+// Ordre d'avancement des statuts non-incident ; le moins avancé fait le statut de l'expédition
+const STATUS_PROGRESSION = ['pending', 'label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+const PARTIAL_DELIVERY = 'partially_delivered';
+
+class MultiParcelError extends Error {
+    constructor(message, code, status = 422) {
+        super(message);
+        this.name = 'MultiParcelError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// ==========================================
+// AGGREGATION
+// ==========================================
+
+/**
+ * Statut consolidé d'une expédition à partir de ses colis :
+ * - un colis en incident met l'expédition en incident
+ * - sinon le colis le moins avancé donne le statut
+ * - une livraison partielle est signalée par le sous-statut partially_delivered
+ */
+function aggregateParcelStatus(parcels) {
+    const total = parcels.length;
+    const delivered = parcels.filter(p => p.status === 'delivered').length;
+    const summary = { total, delivered };
+
+    const exception = parcels.find(p => p.status === 'exception');
+    if (exception) {
+        return { ...summary, status: 'exception', subStatus: exception.sub_status || null };
+    }
+
+    if (parcels.every(p => p.status === 'cancelled')) {
+        return { ...summary, status: 'cancelled', subStatus: null };
+    }
+
+    const returned = parcels.filter(p => p.status === 'returned').length;
+    if (returned === total) {
+        return { ...summary, status: 'returned', subStatus: parcels[0].sub_status || null };
+    }
+
+    const open = parcels.filter(p => !isFinalStatus(p.status));
+
+    // Tous les colis sont arrivés au bout : livrés, ou livrés pour partie et retournés pour le reste
+    if (open.length === 0) {
+        const subStatuses = new Set(parcels.map(p => p.sub_status || null));
+        return {
+            ...summary,
+            status: 'delivered',
+            subStatus: delivered < total ? PARTIAL_DELIVERY : (subStatuses.size === 1 ? [...subStatuses][0] : null)
+        };
+    }
+
+    const laggard = open.reduce((min, parcel) =>
+        progressOf(parcel.status) < progressOf(min.status) ? parcel : min
+    );
+
+    if (delivered === 0) {
+        return { ...summary, status: laggard.status, subStatus: laggard.sub_status || null };
+    }
+
+    // Des colis déjà livrés : l'expédition est au moins en cours d'acheminement
+    return {
+        ...summary,
+        status: progressOf(laggard.status) < progressOf('in_transit') ? 'in_transit' : laggard.status,
+        subStatus: PARTIAL_DELIVERY
+    };
+}
+
+function progressOf(status) {
+    const index = STATUS_PROGRESSION.indexOf(status);
+    return index === -1 ? STATUS_PROGRESSION.indexOf('in_transit') : index;
+}
+
+// ==========================================
+// MULTI-PARCEL SERVICE
+// ==========================================
+
+class MultiParcelService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    /**
+     * Attribuer un numéro de suivi par colis ; le premier colis porte le numéro maître
+     */
+    assignTrackingNumbers(parcels, masterTrackingNumber, nextTrackingNumber) {
+        if (parcels.length > MAX_PARCELS) {
+            throw new MultiParcelError(`Maximum ${MAX_PARCELS} parcels per shipment`, 'TOO_MANY_PARCELS');
+        }
+
+        return parcels.map((parcel, index) => ({
+            ...parcel,
+            index: index + 1,
+            trackingNumber: index === 0
+                ? masterTrackingNumber
+                : (parcel.trackingNumber || nextTrackingNumber())
+        }));
+    }
+
+    async saveParcels(shipment, parcels) {
+        for (const parcel of parcels) {
+            await this.db.query(`
+                INSERT INTO shipment_parcels (
+                    shipment_id, organization_id, parcel_index, tracking_number,
+                    weight, length, width, height, reference, status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                shipment.id, shipment.organization_id, parcel.index, parcel.trackingNumber,
+                parcel.weight || 0, parcel.length || null, parcel.width || null, parcel.height || null,
+                parcel.reference || null, shipment.status || 'pending'
+            ]);
+        }
+    }
+
+    async getParcels(shipmentId) {
+        const result = await this.db.query(
+            'SELECT * FROM shipment_parcels WHERE shipment_id = $1 ORDER BY parcel_index',
+            [shipmentId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Colis rattachés à un lot d'expéditions, indexés par expédition
+     */
+    async getParcelsByShipment(shipmentIds) {
+        const result = await this.db.query(
+            'SELECT * FROM shipment_parcels WHERE shipment_id = ANY($1) ORDER BY shipment_id, parcel_index',
+            [shipmentIds]
+        );
+
+        const byShipment = new Map();
+        for (const parcel of result.rows) {
+            if (!byShipment.has(parcel.shipment_id)) byShipment.set(parcel.shipment_id, []);
+            byShipment.get(parcel.shipment_id).push(parcel);
+        }
+        return byShipment;
+    }
+
+    /**
+     * Mettre à jour le statut d'un colis et recalculer le statut consolidé
+     */
+    async updateParcelStatus(shipmentId, trackingNumber, parcelStatus) {
+        await this.saveParcelStatus(shipmentId, trackingNumber, parcelStatus);
+        return this.getAggregateStatus(shipmentId);
+    }
+
+    async getAggregateStatus(shipmentId) {
+        const parcels = await this.getParcels(shipmentId);
+        return aggregateParcelStatus(parcels);
+    }
+
+    async saveParcelStatus(shipmentId, trackingNumber, { status, subStatus = null, timestamp = null }) {
+        await this.db.query(`
+            UPDATE shipment_parcels
+            SET status = $1, sub_status = $2,
+                delivered_at = CASE WHEN $1 = 'delivered' THEN COALESCE(delivered_at, $3, NOW()) ELSE delivered_at END,
+                last_tracking_update = NOW()
+            WHERE shipment_id = $4 AND tracking_number = $5
+        `, [status, subStatus, timestamp, shipmentId, trackingNumber]);
+    }
+
+    formatParcels(parcels) {
+        return parcels.map(parcel => ({
+            index: parcel.parcel_index,
+            trackingNumber: parcel.tracking_number,
+            weight: parseFloat(parcel.weight) || 0,
+            reference: parcel.reference,
+            status: parcel.status,
+            subStatus: parcel.sub_status,
+            deliveredAt: parcel.delivered_at
+        }));
+    }
+}
+
+module.exports = {
+    MultiParcelService,
+    MultiParcelError,
+    aggregateParcelStatus,
+    MAX_PARCELS,
+    PARTIAL_DELIVERY
+};
@@ -8,9 +8,17 @@ const { Pool } = require('pg');
 const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { SurchargeTableService, getDefaultSurchargeTable, isRemotePostalCode } = require('./surcharge-tables');
+const { calculateChargeableWeight, toParcels } = require('./chargeable-weight');
 
 const db = new Pool({ connectionString: process.env.DATABASE_URL });
-const redis = new Redis(process.env.REDIS_URL);
+
+// Connexion Redis ouverte au premier accès au cache
+let redisClient = null;
+const getRedis = () => {
+    if (!redisClient) redisClient = new Redis(process.env.REDIS_URL);
+    return redisClient;
+};
 
 // ============================================
 // CARRIER CONTRACT TYPES
@@ -254,8 +262,7 @@ const CARRIER_RATE_STRUCTURES = {
         zones: ['FR', 'EU_1', 'EU_2', 'US_CA', 'WORLD'],
         services: ['standard', 'express', 'express_plus', 'access_point'],
         surcharges: ['fuel', 'residential', 'delivery_area', 'large_package', 'additional_handling'],
-        volumeThresholds: [50, 200, 1000, 5000],
-        fuelSurchargePercent: 24.75
+        volumeThresholds: [50, 200, 1000, 5000]
     },
     
     fedex: {
@@ -264,8 +271,7 @@ const CARRIER_RATE_STRUCTURES = {
         zones: ['FR', 'EU', 'US', 'WORLD'],
         services: ['economy', 'priority', 'first', 'ground'],
         surcharges: ['fuel', 'residential', 'delivery_area', 'signature'],
-        volumeThresholds: [50, 200, 1000, 5000],
-        fuelSurchargePercent: 23.50
+        volumeThresholds: [50, 200, 1000, 5000]
     },
     
     dhl: {
@@ -274,8 +280,7 @@ const CARRIER_RATE_STRUCTURES = {
         zones: ['FR', 'EU', 'WORLD_1', 'WORLD_2', 'WORLD_3'],
         services: ['parcel', 'express', 'express_worldwide', 'economy_select'],
         surcharges: ['fuel', 'remote_area', 'overweight', 'non_stackable'],
-        volumeThresholds: [100, 500, 2000, 10000],
-        fuelSurchargePercent: 26.00
+        volumeThresholds: [100, 500, 2000, 10000]
     }
 };
 
@@ -286,6 +291,7 @@ const CARRIER_RATE_STRUCTURES = {
 class NegotiatedRatesService {
     constructor() {
         this.rateCache = new Map();
+        this.surchargeTables = new SurchargeTableService({ db });
     }
 
     // ----------------------------------------
@@ -305,6 +311,7 @@ class NegotiatedRatesService {
             rates,
             discounts,
             surchargeOverrides,
+            weightRules,
             volumeCommitment,
             validFrom,
             validUntil,
@@ -334,6 +341,7 @@ class NegotiatedRatesService {
             custom_rates: rates ? JSON.stringify(rates) : null,
             discounts: discounts ? JSON.stringify(discounts) : null,
             surcharge_overrides: surchargeOverrides ? JSON.stringify(surchargeOverrides) : null,
+            weight_rules: weightRules ? JSON.stringify(weightRules) : null,
             
             // Commitment
             volume_commitment: volumeCommitment,
@@ -352,9 +360,9 @@ class NegotiatedRatesService {
             INSERT INTO carrier_contracts (
                 id, organization_id, carrier, contract_type, account_number,
                 credentials_encrypted, credentials_iv, custom_rates, discounts,
-                surcharge_overrides, volume_commitment, valid_from, valid_until,
+                surcharge_overrides, weight_rules, volume_commitment, valid_from, valid_until,
                 auto_renew, status, created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
             ON CONFLICT (organization_id, carrier) DO UPDATE SET
                 contract_type = EXCLUDED.contract_type,
                 account_number = EXCLUDED.account_number,
@@ -363,6 +371,7 @@ class NegotiatedRatesService {
                 custom_rates = EXCLUDED.custom_rates,
                 discounts = EXCLUDED.discounts,
                 surcharge_overrides = EXCLUDED.surcharge_overrides,
+                weight_rules = EXCLUDED.weight_rules,
                 volume_commitment = EXCLUDED.volume_commitment,
                 valid_from = EXCLUDED.valid_from,
                 valid_until = EXCLUDED.valid_until,
@@ -374,7 +383,7 @@ class NegotiatedRatesService {
             contract.contract_type, contract.account_number,
             contract.credentials_encrypted, contract.credentials_iv,
             contract.custom_rates, contract.discounts, contract.surcharge_overrides,
-            contract.volume_commitment, contract.valid_from, contract.valid_until,
+            contract.weight_rules, contract.volume_commitment, contract.valid_from, contract.valid_until,
             contract.auto_renew, contract.status, contract.created_at
         ]);
 
@@ -411,6 +420,7 @@ class NegotiatedRatesService {
             custom_rates: row.custom_rates ? JSON.parse(row.custom_rates) : null,
             discounts: row.discounts ? JSON.parse(row.discounts) : null,
             surcharge_overrides: row.surcharge_overrides ? JSON.parse(row.surcharge_overrides) : null,
+            weight_rules: row.weight_rules ? JSON.parse(row.weight_rules) : null,
             credentials_encrypted: undefined, // Don't expose
             credentials_iv: undefined
         }));
@@ -477,25 +487,33 @@ class NegotiatedRatesService {
             zone,
             weight,
             dimensions,
+            parcels,
+            destination,
+            shipDate = new Date(),
             options = {}
         } = params;
 
+        // Table de surcharges en vigueur à la date d'expédition
+        const surchargeTable = await this.surchargeTables.getTable(carrier, shipDate, orgId);
+
+        // Get contract
+        const contract = await this.getContract(orgId, carrier);
+
+        // Poids taxable selon les règles du transporteur / du contrat
+        const weightBreakdown = calculateChargeableWeight(parcels?.length ? parcels : toParcels(weight, dimensions), {
+            carrier,
+            service,
+            contractRules: contract?.weight_rules
+        });
+        const chargeableWeight = weightBreakdown.chargeableWeight;
+
         // Check cache
-        const cacheKey = `rate:${orgId}:${carrier}:${service}:${zone}:${weight}`;
-        const cached = await redis.get(cacheKey);
+        const cacheKey = `rate:${orgId}:${carrier}:${service}:${zone}:${chargeableWeight}:${destination?.postalCode || ''}:${surchargeTable.id || 'default'}`;
+        const cached = await getRedis().get(cacheKey);
         if (cached) {
             return JSON.parse(cached);
         }
 
-        // Get contract
-        const contract = await this.getContract(orgId, carrier);
-        
-        // Calculate volumetric weight
-        const volumetricWeight = dimensions 
-            ? (dimensions.length * dimensions.width * dimensions.height) / 5000 
-            : weight;
-        const chargeableWeight = Math.max(weight, volumetricWeight);
-
         // Get base rate
         let baseRate;
         
@@ -531,7 +549,10 @@ class NegotiatedRatesService {
             dimensions,
             zone,
             options,
-            overrides: contract?.surcharge_overrides
+            overrides: contract?.surcharge_overrides,
+            baseRate: finalRate,
+            table: surchargeTable,
+            destination
         });
 
         const totalSurcharges = Object.values(surcharges).reduce((s, v) => s + v, 0);
@@ -541,17 +562,21 @@ class NegotiatedRatesService {
             service,
             zone,
             weight: chargeableWeight,
+            actualWeight: weightBreakdown.actualWeight,
+            volumetricWeight: weightBreakdown.volumetricWeight,
+            weightBreakdown,
             baseRate: Math.round(baseRate * 100) / 100,
             discounts: contract?.discounts ? Math.round((baseRate - finalRate) * 100) / 100 : 0,
             surcharges,
             totalSurcharges: Math.round(totalSurcharges * 100) / 100,
             finalRate: Math.round((finalRate + totalSurcharges) * 100) / 100,
             contractType: contract?.contract_type || 'standard',
+            surchargeTable: { id: surchargeTable.id, version: surchargeTable.version, validFrom: surchargeTable.validFrom },
             currency: 'EUR'
         };
 
         // Cache
-        await redis.setex(cacheKey, 300, JSON.stringify(rate));
+        await getRedis().setex(cacheKey, 300, JSON.stringify(rate));
 
         return rate;
     }
@@ -568,6 +593,7 @@ class NegotiatedRatesService {
             toPostalCode,
             weight,
             dimensions,
+            parcels,
             serviceType // 'express', 'standard', 'pickup'
         } = params;
 
@@ -596,7 +622,8 @@ class NegotiatedRatesService {
                     service,
                     zone: this.mapZone(carrier, zone),
                     weight,
-                    dimensions
+                    dimensions,
+                    parcels
                 }))
             );
 
@@ -618,11 +645,14 @@ class NegotiatedRatesService {
             }))
             .sort((a, b) => a.cheapest.finalRate - b.cheapest.finalRate);
 
+        // Référence hors règles transporteur : chaque service porte son propre poids taxable
+        const reference = calculateChargeableWeight(parcels?.length ? parcels : toParcels(weight, dimensions));
+
         return {
             zone,
             weight,
-            volumetricWeight: dimensions ? (dimensions.length * dimensions.width * dimensions.height) / 5000 : null,
-            chargeableWeight: dimensions ? Math.max(weight, (dimensions.length * dimensions.width * dimensions.height) / 5000) : weight,
+            volumetricWeight: reference.volumetricWeight || null,
+            chargeableWeight: reference.chargeableWeight,
             carriers: validResults,
             recommendation: validResults[0] ? {
                 carrier: validResults[0].carrier,
@@ -643,7 +673,11 @@ class NegotiatedRatesService {
         const standardRate = this.lookupStandardRate(carrier, service, zone, weight);
         if (!standardRate) return null;
 
-        const discountPercent = {
+        return standardRate * (1 - this.getPooledDiscount(carrier) / 100);
+    }
+
+    getPooledDiscount(carrier) {
+        return {
             colissimo: 18,
             chronopost: 15,
             mondial_relay: 20,
@@ -653,14 +687,15 @@ class NegotiatedRatesService {
             fedex: 12,
             dhl: 14
         }[carrier] || 15;
-
-        return standardRate * (1 - discountPercent / 100);
     }
 
     // ----------------------------------------
     // RATE LOOKUPS
     // ----------------------------------------
 
+    /**
+     * Grille publique ; weight est le poids taxable (voir calculateChargeableWeight)
+     */
     lookupStandardRate(carrier, service, zone, weight) {
         const carrierRates = CARRIER_RATE_STRUCTURES[carrier]?.standardRates;
         if (!carrierRates) return null;
@@ -736,28 +771,36 @@ class NegotiatedRatesService {
         return rate;
     }
 
+    /**
+     * Surcharges calculées depuis la table versionnée du transporteur
+     * (table par défaut si aucune n'est fournie)
+     */
     calculateSurcharges(carrier, params) {
-        const { weight, dimensions, zone, options, overrides } = params;
+        const { weight, dimensions, zone, options = {}, overrides, baseRate, destination } = params;
         const surcharges = {};
 
         const carrierConfig = CARRIER_RATE_STRUCTURES[carrier];
         if (!carrierConfig) return surcharges;
 
-        // Fuel surcharge
-        if (carrierConfig.fuelSurchargePercent && !overrides?.fuel_exempt) {
-            const fuelPercent = overrides?.fuel_percent || carrierConfig.fuelSurchargePercent;
-            // Apply to estimated base rate
-            surcharges.fuel = 0; // Would be calculated on final rate
+        const table = params.table || getDefaultSurchargeTable(carrier);
+        const amounts = table.accessorials;
+
+        // Fuel surcharge (pourcentage du tarif après remises)
+        if (table.fuelPercent && !overrides?.fuel_exempt) {
+            const fuelPercent = overrides?.fuel_percent || table.fuelPercent;
+            surcharges.fuel = baseRate ? Math.round(baseRate * fuelPercent) / 100 : 0;
         }
 
         // Residential surcharge
         if (options.residential && carrierConfig.surcharges?.includes('residential')) {
-            surcharges.residential = overrides?.residential || 3.50;
+            surcharges.residential = overrides?.residential || amounts.residential;
         }
 
-        // Remote area surcharge
-        if (options.remoteArea && carrierConfig.surcharges?.includes('remote_area')) {
-            surcharges.remote_area = overrides?.remote_area || 8.00;
+        // Remote area surcharge (montant de la table en vigueur, 0 = non facturé par le transporteur)
+        const remoteArea = options.remoteArea || isRemotePostalCode(table, destination?.country, destination?.postalCode);
+        const remoteAreaAmount = overrides?.remote_area || amounts.remote_area;
+        if (remoteArea && remoteAreaAmount > 0) {
+            surcharges.remote_area = remoteAreaAmount;
         }
 
         // Oversize surcharge
@@ -766,23 +809,23 @@ class NegotiatedRatesService {
             const girth = 2 * (dimensions.width + dimensions.height) + dimensions.length;
             
             if (maxDim > 120 || girth > 300) {
-                surcharges.oversize = overrides?.oversize || 15.00;
+                surcharges.oversize = overrides?.oversize || amounts.oversize;
             }
         }
 
         // Overweight surcharge
         if (weight > 30) {
-            surcharges.overweight = overrides?.overweight || ((weight - 30) * 1.50);
+            surcharges.overweight = overrides?.overweight || ((weight - 30) * amounts.overweight_per_kg);
         }
 
         // Saturday delivery
         if (options.saturday) {
-            surcharges.saturday = overrides?.saturday || 12.00;
+            surcharges.saturday = overrides?.saturday || amounts.saturday;
         }
 
         // COD (Cash on Delivery)
         if (options.cod) {
-            surcharges.cod = overrides?.cod || 4.50;
+            surcharges.cod = overrides?.cod || amounts.cod;
         }
 
         // Insurance
@@ -794,6 +837,38 @@ class NegotiatedRatesService {
         return surcharges;
     }
 
+    /**
+     * Recalculer le tarif d'une expédition existante avec la table
+     * de surcharges valable à sa date d'expédition
+     */
+    async rerateShipment(orgId, shipment) {
+        const parcels = typeof shipment.parcels === 'string' ? JSON.parse(shipment.parcels) : shipment.parcels;
+        const zone = this.determineZone(
+            shipment.sender_country || 'FR',
+            shipment.recipient_country || 'FR',
+            shipment.recipient_postal_code
+        );
+
+        return this.getRate({
+            orgId,
+            carrier: shipment.carrier,
+            service: shipment.service,
+            zone: this.mapZone(shipment.carrier, zone),
+            weight: parseFloat(shipment.total_weight || shipment.weight) || 0,
+            dimensions: shipment.length && shipment.width && shipment.height
+                ? { length: parseFloat(shipment.length), width: parseFloat(shipment.width), height: parseFloat(shipment.height) }
+                : undefined,
+            // Poids taxable colis par colis dès que les colis portent leurs dimensions
+            parcels: parcels?.some(p => p.length && p.width && p.height) ? parcels : undefined,
+            destination: { country: shipment.recipient_country, postalCode: shipment.recipient_postal_code },
+            shipDate: shipment.shipped_at || shipment.manifested_at || shipment.created_at,
+            options: {
+                cod: parseFloat(shipment.cod_amount) > 0,
+                insuranceValue: parseFloat(shipment.insurance_value) || undefined
+            }
+        });
+    }
+
     // ----------------------------------------
     // VOLUME TRACKING
     // ----------------------------------------
@@ -884,7 +959,7 @@ class NegotiatedRatesService {
 
     async getContract(orgId, carrier) {
         const cacheKey = `contract:${orgId}:${carrier}`;
-        const cached = await redis.get(cacheKey);
+        const cached = await getRedis().get(cacheKey);
         if (cached) return JSON.parse(cached);
 
         const result = await db.query(`
@@ -897,8 +972,9 @@ class NegotiatedRatesService {
             contract.custom_rates = contract.custom_rates ? JSON.parse(contract.custom_rates) : null;
             contract.discounts = contract.discounts ? JSON.parse(contract.discounts) : null;
             contract.surcharge_overrides = contract.surcharge_overrides ? JSON.parse(contract.surcharge_overrides) : null;
+            contract.weight_rules = contract.weight_rules ? JSON.parse(contract.weight_rules) : null;
             
-            await redis.setex(cacheKey, 3600, JSON.stringify(contract));
+            await getRedis().setex(cacheKey, 3600, JSON.stringify(contract));
         }
 
         return contract;
@@ -906,11 +982,11 @@ class NegotiatedRatesService {
 
     async clearRateCache(orgId, carrier) {
         const pattern = `rate:${orgId}:${carrier}:*`;
-        const keys = await redis.keys(pattern);
+        const keys = await getRedis().keys(pattern);
         if (keys.length > 0) {
-            await redis.del(...keys);
+            await getRedis().del(...keys);
         }
-        await redis.del(`contract:${orgId}:${carrier}`);
+        await getRedis().del(`contract:${orgId}:${carrier}`);
     }
 
     encryptCredentials(credentials) {
@@ -0,0 +1,193 @@
+/**
+ * Routz v4.0 - Postal Reference Data
+ * Formats de codes postaux et référentiel embarqué (principales villes) par pays.
+ * Le référentiel complet se charge en base via `node services/address-validation.js import`
+ */
+
+// ==========================================
+// POSTAL CODE FORMATS
+// ==========================================
+
+const POSTAL_FORMATS = {
+    FR: {
+        pattern: /^\d{5}$/,
+        digits: 5,
+        // Départements 01-95 (20 = Corse), outre-mer 97x / 98x
+        inRange: (code) => {
+            const dept = parseInt(code.substring(0, 2), 10);
+            return (dept >= 1 && dept <= 95) || dept === 97 || dept === 98;
+        },
+        example: '75008'
+    },
+    BE: {
+        pattern: /^\d{4}$/,
+        digits: 4,
+        inRange: (code) => parseInt(code, 10) >= 1000 && parseInt(code, 10) <= 9992,
+        example: '1000'
+    },
+    DE: {
+        pattern: /^\d{5}$/,
+        digits: 5,
+        inRange: (code) => !code.startsWith('00'),
+        example: '10115'
+    },
+    ES: {
+        pattern: /^\d{5}$/,
+        digits: 5,
+        // Provinces 01-52
+        inRange: (code) => {
+            const province = parseInt(code.substring(0, 2), 10);
+            return province >= 1 && province <= 52;
+        },
+        example: '28001'
+    },
+    IT: {
+        pattern: /^\d{5}$/,
+        digits: 5,
+        inRange: (code) => parseInt(code, 10) >= 10 && parseInt(code, 10) <= 98168,
+        example: '00184'
+    },
+    NL: {
+        pattern: /^[1-9]\d{3} [A-Z]{2}$/,
+        // Combinaisons de lettres non attribuées par PostNL
+        inRange: (code) => !['SA', 'SD', 'SS'].includes(code.slice(-2)),
+        example: '1012 AB'
+    }
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(POSTAL_FORMATS);
+
+// ==========================================
+// BUNDLED REFERENCE
+// ==========================================
+
+// [premier code, dernier code, ville, variantes acceptées]
+// NL : seule la partie numérique du code est référencée
+const range = (from, to, city, aliases = []) => [from, to, city, aliases];
+const code = (value, city, aliases = []) => [value, value, city, aliases];
+
+const POSTAL_REFERENCE = {
+    FR: [
+        range('75001', '75020', 'PARIS'),
+        code('75116', 'PARIS'),
+        range('13001', '13016', 'MARSEILLE'),
+        range('69001', '69009', 'LYON'),
+        code('31000', 'TOULOUSE'), code('31100', 'TOULOUSE'), code('31200', 'TOULOUSE'),
+        code('31300', 'TOULOUSE'), code('31400', 'TOULOUSE'), code('31500', 'TOULOUSE'),
+        code('06000', 'NICE'), code('06100', 'NICE'), code('06200', 'NICE'), code('06300', 'NICE'),
+        code('44000', 'NANTES'), code('44100', 'NANTES'), code('44200', 'NANTES'), code('44300', 'NANTES'),
+        code('67000', 'STRASBOURG'), code('67100', 'STRASBOURG'), code('67200', 'STRASBOURG'),
+        code('34000', 'MONTPELLIER'), code('34070', 'MONTPELLIER'), code('34080', 'MONTPELLIER'), code('34090', 'MONTPELLIER'),
+        code('33000', 'BORDEAUX'), code('33100', 'BORDEAUX'), code('33200', 'BORDEAUX'), code('33300', 'BORDEAUX'), code('33800', 'BORDEAUX'),
+        code('59000', 'LILLE'), code('59800', 'LILLE'),
+        code('35000', 'RENNES'), code('35200', 'RENNES'), code('35700', 'RENNES'),
+        code('51100', 'REIMS'),
+        code('42000', 'SAINT ETIENNE'), code('42100', 'SAINT ETIENNE'),
+        code('76600', 'LE HAVRE'),
+        code('83000', 'TOULON'), code('83100', 'TOULON'), code('83200', 'TOULON'),
+        code('38000', 'GRENOBLE'), code('38100', 'GRENOBLE'),
+        code('21000', 'DIJON'),
+        code('49000', 'ANGERS'), code('49100', 'ANGERS'),
+        code('30000', 'NIMES'), code('30900', 'NIMES'),
+        code('69100', 'VILLEURBANNE'),
+        code('13090', 'AIX EN PROVENCE'), code('13100', 'AIX EN PROVENCE'),
+        code('29200', 'BREST'),
+        code('37000', 'TOURS'), code('37100', 'TOURS'), code('37200', 'TOURS'),
+        code('87000', 'LIMOGES'), code('87100', 'LIMOGES'), code('87280', 'LIMOGES'),
+        code('80000', 'AMIENS'), code('80080', 'AMIENS'), code('80090', 'AMIENS'),
+        code('66000', 'PERPIGNAN'),
+        code('57000', 'METZ'),
+        code('25000', 'BESANCON'),
+        code('45000', 'ORLEANS'), code('45100', 'ORLEANS'),
+        code('68100', 'MULHOUSE'), code('68200', 'MULHOUSE'),
+        code('76000', 'ROUEN'), code('76100', 'ROUEN'),
+        code('14000', 'CAEN'),
+        code('54000', 'NANCY'),
+        code('92100', 'BOULOGNE BILLANCOURT'),
+        code('93200', 'SAINT DENIS'),
+        code('20000', 'AJACCIO'), code('20090', 'AJACCIO'),
+        code('97400', 'SAINT DENIS')
+    ],
+    BE: [
+        code('1000', 'Bruxelles', ['Brussel', 'Brussels']),
+        code('1030', 'Schaerbeek', ['Schaarbeek']),
+        code('1050', 'Ixelles', ['Elsene']),
+        code('1060', 'Saint-Gilles', ['Sint-Gillis']),
+        code('1070', 'Anderlecht'),
+        code('1080', 'Molenbeek-Saint-Jean', ['Sint-Jans-Molenbeek']),
+        code('1180', 'Uccle', ['Ukkel']),
+        code('1200', 'Woluwe-Saint-Lambert', ['Sint-Lambrechts-Woluwe']),
+        code('1300', 'Wavre', ['Waver']),
+        code('2000', 'Antwerpen', ['Anvers', 'Antwerp']),
+        code('2018', 'Antwerpen', ['Anvers', 'Antwerp']),
+        code('2800', 'Mechelen', ['Malines']),
+        code('3000', 'Leuven', ['Louvain']),
+        code('3500', 'Hasselt'),
+        code('4000', 'Liège', ['Luik']),
+        code('5000', 'Namur', ['Namen']),
+        code('6000', 'Charleroi'),
+        code('7000', 'Mons', ['Bergen']),
+        code('8000', 'Brugge', ['Bruges']),
+        code('8500', 'Kortrijk', ['Courtrai']),
+        code('9000', 'Gent', ['Gand', 'Ghent'])
+    ],
+    DE: [
+        range('10115', '14199', 'Berlin'),
+        range('20095', '20539', 'Hamburg'),
+        range('22041', '22769', 'Hamburg'),
+        range('80331', '81929', 'München', ['Munich', 'Muenchen']),
+        range('50667', '51149', 'Köln', ['Cologne', 'Koeln']),
+        range('60306', '60599', 'Frankfurt am Main', ['Frankfurt']),
+        range('70173', '70629', 'Stuttgart'),
+        range('40210', '40629', 'Düsseldorf', ['Duesseldorf']),
+        range('44135', '44388', 'Dortmund'),
+        range('45127', '45359', 'Essen'),
+        range('04103', '04357', 'Leipzig'),
+        range('28195', '28779', 'Bremen'),
+        range('01067', '01328', 'Dresden'),
+        range('30159', '30669', 'Hannover', ['Hanover']),
+        range('90402', '90491', 'Nürnberg', ['Nuremberg', 'Nuernberg'])
+    ],
+    ES: [
+        range('28001', '28055', 'Madrid'),
+        range('08001', '08042', 'Barcelona'),
+        range('46001', '46026', 'Valencia', ['València']),
+        range('41001', '41020', 'Sevilla', ['Seville']),
+        range('50001', '50021', 'Zaragoza'),
+        range('29001', '29018', 'Málaga'),
+        range('48001', '48015', 'Bilbao'),
+        range('03001', '03016', 'Alicante', ['Alacant']),
+        range('15001', '15011', 'A Coruña', ['La Coruña']),
+        range('07001', '07015', 'Palma', ['Palma de Mallorca'])
+    ],
+    IT: [
+        range('00118', '00199', 'Roma', ['Rome']),
+        range('20121', '20162', 'Milano', ['Milan']),
+        range('80121', '80147', 'Napoli', ['Naples']),
+        range('10121', '10156', 'Torino', ['Turin']),
+        range('90121', '90151', 'Palermo'),
+        range('16121', '16167', 'Genova', ['Genoa']),
+        range('40121', '40141', 'Bologna'),
+        range('50121', '50145', 'Firenze', ['Florence']),
+        range('70121', '70132', 'Bari'),
+        range('30121', '30176', 'Venezia', ['Venice']),
+        range('37121', '37142', 'Verona')
+    ],
+    NL: [
+        range('1011', '1109', 'Amsterdam'),
+        range('3011', '3089', 'Rotterdam'),
+        range('2491', '2599', 'Den Haag', ['\'s-Gravenhage', 'The Hague']),
+        range('3511', '3585', 'Utrecht'),
+        range('5611', '5658', 'Eindhoven'),
+        range('9711', '9747', 'Groningen'),
+        range('6811', '6846', 'Arnhem'),
+        range('6511', '6546', 'Nijmegen'),
+        range('2011', '2037', 'Haarlem')
+    ]
+};
+
+module.exports = {
+    POSTAL_FORMATS,
+    POSTAL_REFERENCE,
+    SUPPORTED_COUNTRIES
+};
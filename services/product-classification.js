@@ -0,0 +1,402 @@
+/**
+ * Routz v4.0 - Product Classification Service
+ * Catalogue de classement douanier par SKU (HS code, origine, matière, désignation douanière),
+ * classement en masse des produits importés des boutiques e-commerce et file de revue
+ */
+
+const { InternationalService } = require('./international');
+const { ShopifyConnector, WooCommerceConnector, PrestaShopConnector, MagentoConnector } = require('../connectors/ecommerce');
+
+const PLATFORM_CONNECTORS = {
+    shopify: ShopifyConnector,
+    woocommerce: WooCommerceConnector,
+    prestashop: PrestaShopConnector,
+    magento: MagentoConnector
+};
+
+// En dessous de ce seuil, le classement automatique part en revue
+const DEFAULT_REVIEW_THRESHOLD = 0.8;
+
+// Pagination des imports produits
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+// Sources saisies ou validées par un utilisateur : jamais écrasées par un import
+const HUMAN_SOURCES = ['manual', 'review'];
+
+// Matière principale, reprise sur la désignation douanière
+const MATERIAL_KEYWORDS = {
+    coton: ['coton', 'cotton'],
+    laine: ['laine', 'wool', 'merinos', 'cachemire', 'cashmere'],
+    soie: ['soie', 'silk'],
+    lin: ['lin', 'linen'],
+    cuir: ['cuir', 'leather'],
+    polyester: ['polyester'],
+    nylon: ['nylon', 'polyamide'],
+    caoutchouc: ['caoutchouc', 'rubber'],
+    plastique: ['plastique', 'plastic'],
+    metal: ['acier', 'steel', 'aluminium', 'laiton', 'brass'],
+    argent: ['argent', 'sterling'],
+    or: ['plaqué or', 'gold'],
+    bois: ['bois', 'wood'],
+    verre: ['verre', 'glass'],
+    ceramique: ['ceramique', 'céramique', 'ceramic', 'porcelaine']
+};
+
+const HS_CODE_PATTERN = /^\d{4}(\.?\d{2}){1,3}$/;
+
+class ClassificationError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'ClassificationError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const stripHtml = (value) => String(value || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+class ProductClassificationService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.international = config.international || new InternationalService({ db: this.db });
+    }
+
+    // ----------------------------------------
+    // CLASSIFICATION
+    // ----------------------------------------
+
+    /**
+     * Classer une fiche produit : nom et type d'abord, description complète si le nom ne suffit pas
+     * @returns {{hsCode, confidence, matchedOn, material}}
+     */
+    classify(product) {
+        const category = product.category || null;
+        const byName = this.international.classifyDescription([product.name, category].filter(Boolean).join(' '), category);
+        const byDescription = byName.confidence < 0.9 && product.description
+            ? this.international.classifyDescription(`${product.name || ''} ${stripHtml(product.description)}`, category)
+            : null;
+        const best = byDescription && byDescription.confidence > byName.confidence ? byDescription : byName;
+
+        return { ...best, material: this.detectMaterial(`${product.name || ''} ${stripHtml(product.description)}`) };
+    }
+
+    detectMaterial(text) {
+        const normalized = ` ${text.toLowerCase()} `;
+        const found = Object.entries(MATERIAL_KEYWORDS).find(([, keywords]) =>
+            keywords.some(keyword => new RegExp(`[^a-zà-ÿ]${keyword}[^a-zà-ÿ]`).test(normalized)));
+        return found ? found[0] : null;
+    }
+
+    /**
+     * Une entrée par SKU : variantes Shopify, produit simple ailleurs (produits normalisés par les connecteurs)
+     */
+    expandProducts(products) {
+        return products.flatMap(product => {
+            const category = product.productType || product.categories?.[0]?.name || null;
+            const base = {
+                description: product.description,
+                category,
+                countryOfOrigin: product.countryOfOrigin || null
+            };
+
+            if (product.variants?.length) {
+                return product.variants
+                    .filter(variant => variant.sku)
+                    .map(variant => ({
+                        ...base,
+                        sku: variant.sku,
+                        name: variant.name && variant.name !== 'Default Title' ? `${product.name} - ${variant.name}` : product.name
+                    }));
+            }
+
+            return product.sku ? [{ ...base, sku: product.sku, name: product.name }] : [];
+        });
+    }
+
+    /**
+     * Classer en masse des produits normalisés ; les fiches sous le seuil de confiance vont en revue,
+     * les fiches saisies ou revues par un utilisateur sont conservées
+     * @returns {{total, approved, pendingReview, skipped}}
+     */
+    async classifyProducts(orgId, products, { reviewThreshold = DEFAULT_REVIEW_THRESHOLD, source = 'import' } = {}) {
+        const summary = { total: 0, approved: 0, pendingReview: 0, skipped: 0 };
+
+        for (const product of this.expandProducts(products)) {
+            summary.total++;
+            const result = this.classify(product);
+            const status = result.confidence >= reviewThreshold ? 'approved' : 'pending_review';
+
+            const saved = await this.db.query(`
+                INSERT INTO product_classifications (organization_id, sku, product_name, hs_code, country_of_origin, material,
+                    customs_description, confidence, matched_on, source, status, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+                ON CONFLICT (organization_id, sku) DO UPDATE SET
+                    product_name = EXCLUDED.product_name,
+                    hs_code = EXCLUDED.hs_code,
+                    country_of_origin = COALESCE(EXCLUDED.country_of_origin, product_classifications.country_of_origin),
+                    material = EXCLUDED.material,
+                    customs_description = EXCLUDED.customs_description,
+                    confidence = EXCLUDED.confidence,
+                    matched_on = EXCLUDED.matched_on,
+                    source = EXCLUDED.source,
+                    status = EXCLUDED.status,
+                    updated_at = NOW()
+                WHERE product_classifications.source <> ALL($12)
+            `, [
+                orgId, product.sku, product.name, result.hsCode, product.countryOfOrigin, result.material,
+                this.customsDescription(product.name, result.material), result.confidence,
+                JSON.stringify(result.matchedOn), source, status, HUMAN_SOURCES
+            ]);
+
+            if (saved.rowCount === 0) {
+                summary.skipped++;
+            } else if (status === 'approved') {
+                summary.approved++;
+            } else {
+                summary.pendingReview++;
+            }
+        }
+
+        return summary;
+    }
+
+    customsDescription(name, material) {
+        const description = material ? `${name} (${material})` : name;
+        return (description || '').slice(0, 100);
+    }
+
+    // ----------------------------------------
+    // CATALOGUE
+    // ----------------------------------------
+
+    async getCatalogue(orgId, { status, search, limit = 50, offset = 0 } = {}) {
+        const params = [orgId];
+        let where = 'organization_id = $1';
+
+        if (status) {
+            params.push(status);
+            where += ` AND status = $${params.length}`;
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            where += ` AND (sku ILIKE $${params.length} OR product_name ILIKE $${params.length} OR hs_code LIKE $${params.length})`;
+        }
+
+        // File de revue : fiches les moins sûres d'abord
+        const order = status === 'pending_review' ? 'confidence ASC, updated_at DESC' : 'updated_at DESC';
+        params.push(limit, offset);
+        const result = await this.db.query(`
+            SELECT * FROM product_classifications
+            WHERE ${where}
+            ORDER BY ${order}
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        const count = await this.db.query(`SELECT COUNT(*) AS total FROM product_classifications WHERE ${where}`, params.slice(0, -2));
+
+        return { data: result.rows, total: parseInt(count.rows[0].total) };
+    }
+
+    /**
+     * Saisie manuelle ou revue d'une fiche : validée, confiance maximale
+     */
+    async saveClassification(orgId, sku, { hsCode, countryOfOrigin, material, customsDescription, productName }, { userId = null, source = 'manual' } = {}) {
+        this.validateEntry({ hsCode, countryOfOrigin });
+
+        const result = await this.db.query(`
+            INSERT INTO product_classifications (organization_id, sku, product_name, hs_code, country_of_origin, material,
+                customs_description, confidence, source, status, reviewed_by, reviewed_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, 1, $8, 'approved', $9, NOW(), NOW())
+            ON CONFLICT (organization_id, sku) DO UPDATE SET
+                product_name = COALESCE(EXCLUDED.product_name, product_classifications.product_name),
+                hs_code = EXCLUDED.hs_code,
+                country_of_origin = COALESCE(EXCLUDED.country_of_origin, product_classifications.country_of_origin),
+                material = COALESCE(EXCLUDED.material, product_classifications.material),
+                customs_description = COALESCE(EXCLUDED.customs_description, product_classifications.customs_description),
+                confidence = 1,
+                source = EXCLUDED.source,
+                status = 'approved',
+                reviewed_by = EXCLUDED.reviewed_by,
+                reviewed_at = NOW(),
+                updated_at = NOW()
+            RETURNING *
+        `, [orgId, sku, productName || null, hsCode, countryOfOrigin || null, material || null, customsDescription || null, source, userId]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Valider une fiche de la file de revue, avec corrections éventuelles
+     */
+    async review(orgId, sku, corrections = {}, userId = null) {
+        const existing = await this.db.query(
+            'SELECT * FROM product_classifications WHERE organization_id = $1 AND sku = $2',
+            [orgId, sku]
+        );
+        const entry = existing.rows[0];
+
+        if (!entry) {
+            throw new ClassificationError('Classification not found', 'CLASSIFICATION_NOT_FOUND', 404);
+        }
+
+        return this.saveClassification(orgId, sku, {
+            hsCode: corrections.hsCode || entry.hs_code,
+            countryOfOrigin: corrections.countryOfOrigin || entry.country_of_origin,
+            material: corrections.material || entry.material,
+            customsDescription: corrections.customsDescription || entry.customs_description
+        }, { userId, source: 'review' });
+    }
+
+    validateEntry({ hsCode, countryOfOrigin }) {
+        if (!hsCode || !HS_CODE_PATTERN.test(String(hsCode).trim())) {
+            throw new ClassificationError('HS code must have 6 to 10 digits (e.g. 6109.10)', 'INVALID_HS_CODE', 422, { hsCode });
+        }
+        if (countryOfOrigin && !/^[A-Z]{2}$/.test(countryOfOrigin)) {
+            throw new ClassificationError('Country of origin must be an ISO 3166-1 alpha-2 code', 'INVALID_COUNTRY_OF_ORIGIN', 422, { countryOfOrigin });
+        }
+    }
+
+    // ----------------------------------------
+    // BULK CLASSIFICATION JOBS
+    // ----------------------------------------
+
+    async createJob(orgId, { platform = null, reviewThreshold = DEFAULT_REVIEW_THRESHOLD } = {}, userId = null) {
+        if (platform && !PLATFORM_CONNECTORS[platform]) {
+            throw new ClassificationError(`Platform must be one of: ${Object.keys(PLATFORM_CONNECTORS).join(', ')}`, 'INVALID_PLATFORM');
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO classification_jobs (organization_id, platform, review_threshold, status, created_by, created_at)
+            VALUES ($1, $2, $3, 'queued', $4, NOW())
+            RETURNING *
+        `, [orgId, platform, reviewThreshold, userId]);
+
+        return result.rows[0];
+    }
+
+    async getJob(orgId, jobId) {
+        const result = await this.db.query(
+            'SELECT * FROM classification_jobs WHERE id = $1 AND organization_id = $2',
+            [jobId, orgId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Traiter les jobs en attente (worker imports)
+     */
+    async runPendingJobs(limit = 1) {
+        const jobs = await this.db.query(`
+            UPDATE classification_jobs SET status = 'running', started_at = NOW()
+            WHERE id IN (
+                SELECT id FROM classification_jobs WHERE status = 'queued'
+                ORDER BY created_at ASC
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit]);
+
+        const results = [];
+        for (const job of jobs.rows) {
+            results.push(await this.runJob(job));
+        }
+        return results;
+    }
+
+    async runJob(job) {
+        try {
+            const store = await this.getStoreConnector(job.organization_id, job.platform);
+            if (!store) {
+                throw new ClassificationError('No e-commerce integration configured', 'NO_STORE_INTEGRATION', 404);
+            }
+
+            const products = await this.fetchProducts(store);
+            const summary = await this.classifyProducts(job.organization_id, products, {
+                reviewThreshold: parseFloat(job.review_threshold) || DEFAULT_REVIEW_THRESHOLD
+            });
+
+            await this.db.query(`
+                UPDATE classification_jobs SET status = 'completed', platform = $2, total = $3, approved = $4,
+                    pending_review = $5, skipped = $6, completed_at = NOW()
+                WHERE id = $1
+            `, [job.id, store.platform, summary.total, summary.approved, summary.pendingReview, summary.skipped]);
+
+            return { jobId: job.id, status: 'completed', ...summary };
+        } catch (error) {
+            await this.db.query(
+                "UPDATE classification_jobs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1",
+                [job.id, error.message]
+            );
+            return { jobId: job.id, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Catalogue complet de la boutique, page par page selon la pagination de chaque plateforme
+     */
+    async fetchProducts({ platform, connector }) {
+        const products = [];
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            let params;
+            if (platform === 'shopify') {
+                params = { limit: PAGE_SIZE, ...(products.length > 0 && { since_id: products[products.length - 1].id }) };
+            } else if (platform === 'woocommerce') {
+                params = { per_page: PAGE_SIZE, page: page + 1 };
+            } else if (platform === 'prestashop') {
+                params = { limit: `${page * PAGE_SIZE},${PAGE_SIZE}` };
+            } else {
+                params = { pageSize: PAGE_SIZE, currentPage: page + 1 };
+            }
+
+            const batch = await connector.getProducts(params);
+            products.push(...batch);
+            if (batch.length < PAGE_SIZE) break;
+        }
+
+        return products;
+    }
+
+    /**
+     * Boutique de l'organisation : intégration e-commerce active, sinon application Shopify installée
+     */
+    async getStoreConnector(orgId, platform = null) {
+        const platforms = platform ? [platform] : Object.keys(PLATFORM_CONNECTORS);
+        const result = await this.db.query(`
+            SELECT platform, store_url, credentials FROM integrations
+            WHERE organization_id = $1 AND platform = ANY($2) AND enabled = true
+            ORDER BY created_at ASC
+            LIMIT 1
+        `, [orgId, platforms]);
+        const integration = result.rows[0];
+
+        if (integration) {
+            const Connector = PLATFORM_CONNECTORS[integration.platform];
+            return {
+                platform: integration.platform,
+                connector: new Connector({ storeUrl: integration.store_url, ...integration.credentials })
+            };
+        }
+
+        if (!platforms.includes('shopify')) return null;
+        const shop = await this.db.query(
+            'SELECT shop_domain, access_token FROM shopify_shops WHERE organization_id = $1 LIMIT 1',
+            [orgId]
+        );
+        if (!shop.rows[0]) return null;
+
+        return {
+            platform: 'shopify',
+            connector: new ShopifyConnector({ storeUrl: `https://${shop.rows[0].shop_domain}`, accessToken: shop.rows[0].access_token })
+        };
+    }
+}
+
+module.exports = {
+    ProductClassificationService,
+    ClassificationError,
+    DEFAULT_REVIEW_THRESHOLD
+};
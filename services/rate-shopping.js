@@ -0,0 +1,468 @@
+/**
+ * Routz v4.0 - Rate Shopping Service
+ * Moteur unique de cotation : tarifs négociés, mutualisés et publics
+ * interrogés en parallèle, dédoublonnés et classés avec le détail de chaque ligne
+ */
+
+const { NegotiatedRatesService, CARRIER_RATE_STRUCTURES } = require('./negotiated-rates');
+const { SurchargeTableService } = require('./surcharge-tables');
+const { calculateChargeableWeight } = require('./chargeable-weight');
+const {
+    CarrierService,
+    ColissimoConnector,
+    ChronopostConnector,
+    MondialRelayConnector,
+    ColisPriveConnector
+} = require('../connectors/carriers');
+const {
+    DHLExpressConnector,
+    UPSConnector,
+    FedExConnector,
+    GLSConnector,
+    DPDConnector,
+    TNTConnector
+} = require('../connectors/carriers-international');
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const RATE_SOURCES = {
+    negotiated: 'Tarif négocié (contrat)',
+    pooled: 'Tarif mutualisé Routz',
+    public: 'Tarif public',
+    carrier_api: 'Tarif transporteur (API)'
+};
+
+const CONNECTORS = {
+    colissimo: ColissimoConnector,
+    chronopost: ChronopostConnector,
+    mondial_relay: MondialRelayConnector,
+    colis_prive: ColisPriveConnector,
+    dhl: DHLExpressConnector,
+    ups: UPSConnector,
+    fedex: FedExConnector,
+    gls: GLSConnector,
+    dpd: DPDConnector,
+    tnt: TNTConnector
+};
+
+// Codes service renvoyés par les connecteurs -> codes des grilles tarifaires
+const SERVICE_ALIASES = {
+    colissimo: { standard: 'home', expert: 'signature' },
+    chronopost: { chrono13: '13h', chrono18: '18h', chronoRelais: 'relais' },
+    gls: { standard: 'business' },
+    dhl: { economy: 'economy_select' }
+};
+
+const SERVICE_NAMES = {
+    colissimo: { home: 'Colissimo Domicile', signature: 'Colissimo Expert', pickup: 'Colissimo Point Retrait', international: 'Colissimo International' },
+    chronopost: { '13h': 'Chrono 13', '18h': 'Chrono 18', relais: 'Chrono Relais', classic_intl: 'Chrono Classic', express_intl: 'Chrono Express' },
+    mondial_relay: { standard: 'Point Relais', home: 'Mondial Relay Domicile', locker: 'Locker' },
+    dpd: { classic: 'DPD Classic', predict: 'DPD Predict', relais: 'DPD Relais', express: 'DPD Express' },
+    gls: { business: 'GLS BusinessParcel', express: 'GLS Express', shop: 'GLS ShopDelivery' }
+};
+
+const SERVICE_TYPES = {
+    express: ['13h', '18h', 'express', 'express_plus', 'express_intl', 'priority', 'first', 'express_worldwide'],
+    relay_point: ['pickup', 'relais', 'locker', 'shop', 'access_point', 'xl'],
+    economy: ['economy', 'economy_select', 'saver', 'ground']
+};
+
+const DEFAULT_TRANSIT_DAYS = { colissimo: 3, chronopost: 1, mondial_relay: 5, colis_prive: 3, dhl: 2, ups: 2, fedex: 2, gls: 3, dpd: 3, tnt: 2 };
+
+// Zones sans grille dédiée : tarif de la zone de repli + supplément forfaitaire
+const ZONE_FALLBACKS = { FR_CORSE: 'FR_METRO', FR_DOM: 'FR_METRO' };
+const ZONE_SURCHARGES = { FR_CORSE: 4.50, FR_DOM: 12.00 };
+
+const EU_COUNTRIES = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+const VAT_RATES = { FR: 20, BE: 21, DE: 19, ES: 21, IT: 22, NL: 21, PT: 23, LU: 17, AT: 20 };
+
+// ==========================================
+// RATE SHOPPING SERVICE
+// ==========================================
+
+class RateShoppingService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.negotiatedRates = config.negotiatedRates || new NegotiatedRatesService();
+        this.surchargeTables = config.surchargeTables || (this.db ? new SurchargeTableService({ db: this.db }) : this.negotiatedRates.surchargeTables);
+        this.carrierService = config.carrierService || this.createCarrierService(config.sandbox);
+    }
+
+    createCarrierService(sandbox = process.env.NODE_ENV !== 'production') {
+        const carrierService = new CarrierService();
+        for (const [carrierId, Connector] of Object.entries(CONNECTORS)) {
+            carrierService.registerCarrier(carrierId, new Connector({ sandbox }));
+        }
+        return carrierService;
+    }
+
+    // ==========================================
+    // RATE SHOPPING
+    // ==========================================
+
+    /**
+     * Cotation complète pour un envoi
+     * @returns {Promise<{zone, chargeableWeight, quotes, errors}>}
+     */
+    async shop(params) {
+        const { orgId, origin = {}, destination = {}, parcels = [], options = {}, carriers, sortBy = 'price', shipDate = new Date() } = params;
+
+        const fromCountry = origin.country || 'FR';
+        const toCountry = destination.country || 'FR';
+        const toPostalCode = destination.postalCode || destination.postal_code;
+
+        const zone = this.negotiatedRates.determineZone(fromCountry, toCountry, toPostalCode);
+        // Poids taxable de référence ; chaque ligne est cotée avec les règles de son transporteur
+        const { chargeableWeight } = calculateChargeableWeight(parcels);
+
+        const scope = await this.getCarrierScope(carriers);
+        const errors = [];
+
+        const context = {
+            zone,
+            parcels,
+            weights: new Map(),
+            dimensions: this.getLargestDimensions(parcels),
+            destination: { country: toCountry, postalCode: toPostalCode },
+            options,
+            vatRate: this.getVatRate(fromCountry, toCountry, zone),
+            contracts: await this.getActiveContracts(orgId),
+            surchargeTables: await this.surchargeTables.getTables(scope, shipDate, orgId)
+        };
+
+        const candidates = [
+            ...this.getTableCandidates(scope, context),
+            ...await this.getConnectorCandidates(scope, { origin, destination, parcels }, errors)
+        ];
+
+        const quotes = this.rankQuotes(
+            this.dedupe(candidates.map(candidate => this.priceCandidate(candidate, context))),
+            sortBy
+        );
+
+        return { zone, chargeableWeight, quotes, errors };
+    }
+
+    // ==========================================
+    // CANDIDATES
+    // ==========================================
+
+    /**
+     * Tarifs issus des grilles : publics, mutualisés Routz et contrat client
+     */
+    getTableCandidates(scope, context) {
+        const candidates = [];
+
+        for (const carrier of scope) {
+            const structure = CARRIER_RATE_STRUCTURES[carrier];
+            if (!structure?.standardRates) continue;
+
+            const contract = context.contracts[carrier];
+
+            for (const service of structure.services) {
+                // Grilles publiques et mutualisées : diviseur et arrondi publics du transporteur
+                const publicWeight = this.getWeightBreakdown(context, carrier, service, null).chargeableWeight;
+                const publicRate = this.lookupWithZoneFallback(carrier, context.zone, zone =>
+                    this.negotiatedRates.lookupStandardRate(carrier, service, zone, publicWeight));
+
+                if (publicRate) {
+                    candidates.push({ carrier, service, source: 'public', ...publicRate });
+
+                    if (context.options.pooled !== false) {
+                        const pooled = this.lookupWithZoneFallback(carrier, context.zone, zone =>
+                            this.poolRate(carrier, this.negotiatedRates.lookupStandardRate(carrier, service, zone, publicWeight)));
+                        if (pooled) candidates.push({ carrier, service, source: 'pooled', ...pooled });
+                    }
+                }
+
+                if (contract?.custom_rates) {
+                    const contractWeight = this.getWeightBreakdown(context, carrier, service, contract).chargeableWeight;
+                    const negotiated = this.lookupWithZoneFallback(carrier, context.zone, zone =>
+                        this.negotiatedRates.lookupCustomRate(contract.custom_rates, service, zone, contractWeight));
+                    if (negotiated) candidates.push({ carrier, service, source: 'negotiated', ...negotiated });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Cotations temps réel des connecteurs activés
+     */
+    async getConnectorCandidates(scope, shipment, errors) {
+        const connectors = Object.entries(this.carrierService.connectors)
+            .filter(([carrierId]) => scope.includes(carrierId));
+
+        const results = await Promise.all(connectors.map(async ([carrierId, connector]) => {
+            try {
+                const rates = await connector.getRates(shipment.origin, shipment.destination, shipment.parcels);
+                return rates.map(rate => ({
+                    carrier: carrierId,
+                    service: SERVICE_ALIASES[carrierId]?.[rate.service] || rate.service,
+                    serviceName: rate.serviceName,
+                    source: 'carrier_api',
+                    base: rate.price,
+                    pricedZone: null,
+                    zoneSurcharge: 0,
+                    estimatedDays: rate.estimatedDays,
+                    features: rate.features || []
+                }));
+            } catch (error) {
+                console.error(`Error getting rates from ${carrierId}:`, error.message);
+                errors.push({ carrier: carrierId, error: error.message });
+                return [];
+            }
+        }));
+
+        return results.flat();
+    }
+
+    lookupWithZoneFallback(carrier, genericZone, lookup) {
+        const zone = this.negotiatedRates.mapZone(carrier, genericZone);
+        const base = lookup(zone);
+        if (base) return { base, pricedZone: zone, zoneSurcharge: 0 };
+
+        const fallback = ZONE_FALLBACKS[genericZone];
+        if (!fallback) return null;
+
+        const fallbackZone = this.negotiatedRates.mapZone(carrier, fallback);
+        const fallbackBase = lookup(fallbackZone);
+        if (!fallbackBase) return null;
+
+        return { base: fallbackBase, pricedZone: fallbackZone, zoneSurcharge: ZONE_SURCHARGES[genericZone] || 0 };
+    }
+
+    poolRate(carrier, standardRate) {
+        if (!standardRate) return null;
+        return standardRate * (1 - this.negotiatedRates.getPooledDiscount(carrier) / 100);
+    }
+
+    // ==========================================
+    // PRICING
+    // ==========================================
+
+    /**
+     * Applique remises contrat, surcharges et TVA à un tarif brut
+     */
+    priceCandidate(candidate, context) {
+        const { carrier, service, source } = candidate;
+        const contract = source === 'pooled' ? null : context.contracts[carrier];
+        // Règles de poids du contrat pour les seuls tarifs négociés
+        const weight = this.getWeightBreakdown(context, carrier, service, source === 'negotiated' ? contract : null);
+        const explanation = [RATE_SOURCES[source]];
+
+        let net = candidate.base;
+        if (contract?.discounts) {
+            net = this.negotiatedRates.applyDiscounts(net, contract.discounts, {
+                weight: weight.chargeableWeight,
+                service,
+                zone: candidate.pricedZone || context.zone,
+                monthlyVolume: parseInt(contract.current_month_volume) || 0
+            });
+        }
+
+        const surcharges = this.negotiatedRates.calculateSurcharges(carrier, {
+            weight: weight.chargeableWeight,
+            dimensions: context.dimensions,
+            zone: candidate.pricedZone || context.zone,
+            options: context.options,
+            overrides: contract?.surcharge_overrides,
+            baseRate: net,
+            table: context.surchargeTables[carrier],
+            destination: context.destination
+        });
+
+        const { fuel = 0, remote_area: remoteArea = 0, ...others } = surcharges;
+        const other = Object.values(others).reduce((sum, value) => sum + value, 0);
+
+        const base = round(candidate.base);
+        const discount = round(candidate.base - net);
+        const subtotal = round(net + fuel + candidate.zoneSurcharge + remoteArea + other);
+        const vat = round(subtotal * context.vatRate / 100);
+
+        explanation.push(weight.basis === 'volumetric'
+            ? `Poids taxable ${weight.chargeableWeight} kg (volumétrique, diviseur ${weight.divisor} ; réel ${weight.actualWeight} kg), zone ${context.zone}`
+            : `Poids taxable ${weight.chargeableWeight} kg, zone ${context.zone}`);
+        if (discount > 0) explanation.push(`Remises contrat : -${discount.toFixed(2)} €`);
+        if (fuel > 0) explanation.push(`Surcharge carburant : ${round(fuel).toFixed(2)} €`);
+        if (candidate.zoneSurcharge > 0) explanation.push(`Supplément zone ${context.zone} (grille ${candidate.pricedZone}) : ${round(candidate.zoneSurcharge).toFixed(2)} €`);
+        if (remoteArea > 0) explanation.push(`Supplément zone difficile d'accès : ${round(remoteArea).toFixed(2)} €`);
+        Object.entries(others).forEach(([key, value]) => explanation.push(`Supplément ${key} : ${round(value).toFixed(2)} €`));
+        explanation.push(context.vatRate > 0 ? `TVA ${context.vatRate}% : ${vat.toFixed(2)} €` : 'Exonéré de TVA (export)');
+
+        return {
+            id: `${carrier}:${service}`,
+            carrier,
+            carrierName: CARRIER_RATE_STRUCTURES[carrier]?.name || carrier,
+            service,
+            serviceName: SERVICE_NAMES[carrier]?.[service] || candidate.serviceName || service,
+            serviceType: this.getServiceType(carrier, service),
+            source,
+            contractType: contract?.contract_type || (source === 'pooled' ? 'routz_pooled' : 'standard'),
+            chargeableWeight: weight.chargeableWeight,
+            zone: context.zone,
+            estimatedDays: candidate.estimatedDays || this.getDefaultTransitDays(carrier, service, context.zone),
+            features: candidate.features || [],
+            breakdown: {
+                weight: {
+                    actual: weight.actualWeight,
+                    volumetric: weight.volumetricWeight,
+                    chargeable: weight.chargeableWeight,
+                    divisor: weight.divisor,
+                    rounding: weight.rounding,
+                    basis: weight.basis
+                },
+                base,
+                discount,
+                fuel: round(fuel),
+                zone: round(candidate.zoneSurcharge),
+                remoteArea: round(remoteArea),
+                other: round(other),
+                surcharges: Object.fromEntries(Object.entries(others).map(([key, value]) => [key, round(value)])),
+                subtotal,
+                vatRate: context.vatRate,
+                vat,
+                total: round(subtotal + vat)
+            },
+            price: round(subtotal + vat),
+            priceExclVat: subtotal,
+            currency: 'EUR',
+            explanation
+        };
+    }
+
+    /**
+     * Une seule ligne par transporteur / service : la moins chère,
+     * les autres sources sont conservées comme alternatives
+     */
+    dedupe(quotes) {
+        const byKey = new Map();
+
+        for (const quote of quotes) {
+            const existing = byKey.get(quote.id);
+            if (!existing) {
+                byKey.set(quote.id, [quote]);
+            } else {
+                existing.push(quote);
+            }
+        }
+
+        return [...byKey.values()].map(variants => {
+            variants.sort((a, b) => a.price - b.price);
+            const [best, ...others] = variants;
+            const live = variants.find(v => v.source === 'carrier_api');
+
+            return {
+                ...best,
+                serviceName: SERVICE_NAMES[best.carrier]?.[best.service] || live?.serviceName || best.serviceName,
+                estimatedDays: live?.estimatedDays || best.estimatedDays,
+                features: live?.features.length ? live.features : best.features,
+                alternatives: others.map(alt => ({ source: alt.source, price: alt.price, priceExclVat: alt.priceExclVat })),
+                explanation: others.length > 0
+                    ? [...best.explanation, `Retenu face à : ${others.map(alt => `${RATE_SOURCES[alt.source]} (${alt.price.toFixed(2)} €)`).join(', ')}`]
+                    : best.explanation
+            };
+        });
+    }
+
+    rankQuotes(quotes, sortBy = 'price') {
+        const compare = sortBy === 'speed'
+            ? (a, b) => a.estimatedDays - b.estimatedDays || a.price - b.price
+            : (a, b) => a.price - b.price || a.estimatedDays - b.estimatedDays;
+
+        return quotes
+            .sort(compare)
+            .map((quote, index) => ({ rank: index + 1, ...quote }));
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Transporteurs interrogés : connecteurs et grilles, restreints aux
+     * transporteurs actifs (table carriers) et au filtre éventuel de la requête
+     */
+    async getCarrierScope(requested) {
+        let scope = [...new Set([
+            ...Object.keys(this.carrierService.connectors),
+            ...Object.keys(CARRIER_RATE_STRUCTURES)
+        ])];
+
+        if (this.db) {
+            const result = await this.db.query('SELECT id FROM carriers WHERE active = true');
+            if (result.rows.length > 0) {
+                const active = result.rows.map(row => row.id);
+                scope = scope.filter(carrier => active.includes(carrier));
+            }
+        }
+
+        if (requested?.length) {
+            scope = scope.filter(carrier => requested.includes(carrier));
+        }
+
+        return scope;
+    }
+
+    async getActiveContracts(orgId) {
+        if (!orgId) return {};
+
+        const contracts = await this.negotiatedRates.getContracts(orgId);
+        return Object.fromEntries(
+            contracts.filter(c => c.status === 'active').map(c => [c.carrier, c])
+        );
+    }
+
+    /**
+     * Poids taxable selon les règles du transporteur / du contrat,
+     * calculé une fois par cotation
+     */
+    getWeightBreakdown(context, carrier, service, contract) {
+        const key = `${carrier}:${service}:${contract ? 'contract' : 'public'}`;
+        if (!context.weights.has(key)) {
+            context.weights.set(key, calculateChargeableWeight(context.parcels, {
+                carrier,
+                service,
+                contractRules: contract?.weight_rules
+            }));
+        }
+        return context.weights.get(key);
+    }
+
+    getLargestDimensions(parcels) {
+        const withDimensions = parcels.filter(p => p.length && p.width && p.height);
+        if (withDimensions.length === 0) return null;
+
+        const largest = withDimensions.reduce((max, p) =>
+            Math.max(p.length, p.width, p.height) > Math.max(max.length, max.width, max.height) ? p : max);
+
+        return { length: largest.length, width: largest.width, height: largest.height };
+    }
+
+    getVatRate(fromCountry, toCountry, zone) {
+        if (!EU_COUNTRIES.includes(toCountry) || zone === 'FR_DOM') return 0;
+        return VAT_RATES[fromCountry] ?? 20;
+    }
+
+    getServiceType(carrier, service) {
+        if (carrier === 'mondial_relay' && service === 'standard') return 'relay_point';
+
+        const type = Object.keys(SERVICE_TYPES).find(key => SERVICE_TYPES[key].includes(service));
+        return type || 'standard';
+    }
+
+    getDefaultTransitDays(carrier, service, zone) {
+        const domestic = zone.startsWith('FR');
+        const days = this.getServiceType(carrier, service) === 'express' ? 1 : (DEFAULT_TRANSIT_DAYS[carrier] || 3);
+        return domestic ? days : days + 2;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { RateShoppingService, RATE_SOURCES, SERVICE_ALIASES };
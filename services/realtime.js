@@ -16,6 +16,7 @@ class RealtimeService extends EventEmitter {
         this.db = config.db;
         this.heartbeatInterval = config.heartbeatInterval || 30000;
         this.reconnectTimeout = config.reconnectTimeout || 5000;
+        this.instanceId = this.generateClientId();
     }
 
     // ==========================================
@@ -258,8 +259,7 @@ class RealtimeService extends EventEmitter {
     // ==========================================
 
     broadcast(channel, message) {
-        const channelClients = this.channels.get(channel);
-        if (!channelClients) return;
+        const channelClients = this.channels.get(channel) || [];
 
         const payload = {
             channel,
@@ -271,9 +271,9 @@ class RealtimeService extends EventEmitter {
             this.send(clientId, payload);
         }
 
-        // Publier sur Redis pour le scaling horizontal
+        // Publier sur Redis pour le scaling horizontal (et les workers sans clients connectés)
         if (this.redis) {
-            this.redis.publish(channel, JSON.stringify(payload));
+            this.redis.publish(channel, JSON.stringify({ ...payload, origin: this.instanceId }));
         }
     }
 
@@ -527,9 +527,12 @@ class RealtimeService extends EventEmitter {
     subscribeToRedis() {
         const subscriber = this.redis.duplicate();
 
-        subscriber.on('message', (channel, message) => {
+        subscriber.on('pmessage', (pattern, channel, message) => {
             try {
-                const payload = JSON.parse(message);
+                const { origin, ...payload } = JSON.parse(message);
+                // Déjà envoyé aux clients locaux par broadcast()
+                if (origin === this.instanceId) return;
+
                 // Redistribuer aux clients locaux
                 const channelClients = this.channels.get(channel);
                 if (channelClients) {
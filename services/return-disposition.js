@@ -0,0 +1,353 @@
+/**
+ * Routz v4.0 - Return Disposition Service
+ * Tri des retours : grade par unité, rangement dans l'emplacement dédié du grade,
+ * remboursement selon le grade et valeur récupérée par SKU / motif de retour
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { WarehouseService } = require('./warehouse');
+const { RmaStateMachine } = require('./rma-state-machine');
+
+// Grades d'inspection : orientation, remboursement (%), valeur récupérée (part du prix) et emplacement par défaut
+const GRADES = {
+    A: { label: 'Revendable', disposition: 'restock', refundPercent: 100, recoveryRate: 1, location: 'RET-A' },
+    B: { label: 'À reconditionner', disposition: 'refurbish', refundPercent: 85, recoveryRate: 0.6, location: 'RET-B' },
+    C: { label: 'Déstockage', disposition: 'outlet', refundPercent: 60, recoveryRate: 0.3, location: 'RET-C' },
+    D: { label: 'Rebut', disposition: 'scrap', refundPercent: 0, recoveryRate: 0, location: 'RET-D' }
+};
+
+// Grade D d'un défaut fabricant : renvoyé au fournisseur (avoir fournisseur)
+const RETURN_TO_VENDOR = { disposition: 'return_to_vendor', recoveryRate: 0.5, location: 'RET-RTV' };
+
+const DISPOSITIONS = ['restock', 'refurbish', 'outlet', 'scrap', 'return_to_vendor'];
+
+// Motifs imputables au marchand : remboursement intégral quel que soit le grade
+const MERCHANT_FAULT_REASONS = ['DEFECTIVE', 'DAMAGED_SHIPPING', 'DAMAGED_IN_TRANSIT', 'WRONG_ITEM', 'MISSING_PARTS', 'NOT_AS_DESCRIBED'];
+
+// Défauts fabricant : le grade D part en retour fournisseur plutôt qu'au rebut
+const VENDOR_FAULT_REASONS = ['DEFECTIVE', 'MISSING_PARTS'];
+
+// État déclaré à la réception (returns-advanced) -> grade
+const CONDITION_GRADES = { new: 'A', like_new: 'A', used: 'B', damaged: 'C', defective: 'D' };
+
+class ReturnDispositionError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'ReturnDispositionError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Orientation d'une unité selon son grade, le motif de retour et la politique de l'organisation
+ * @param {string} grade A, B, C ou D
+ * @param {{reasonCode?, disposition?, grading?}} options grading : surcharges par grade (return_policy.grading)
+ */
+function gradeOutcome(grade, { reasonCode, disposition, grading = {} } = {}) {
+    const base = { ...GRADES[grade], ...grading[grade] };
+    const toVendor = grade === 'D' && (disposition === 'return_to_vendor' || (!disposition && VENDOR_FAULT_REASONS.includes(reasonCode)));
+    const outcome = toVendor ? { ...base, ...RETURN_TO_VENDOR, ...grading.return_to_vendor } : base;
+
+    return {
+        grade,
+        disposition: outcome.disposition,
+        location: outcome.location,
+        refundPercent: MERCHANT_FAULT_REASONS.includes(reasonCode) ? 100 : outcome.refundPercent,
+        recoveryRate: outcome.recoveryRate
+    };
+}
+
+class ReturnDispositionService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.rma = config.rma || new RmaStateMachine({ db: this.db });
+    }
+
+    // ----------------------------------------
+    // GRADING
+    // ----------------------------------------
+
+    /**
+     * Noter chaque unité reçue, la ranger et calculer le remboursement
+     * @param {Array<{sku, grade, disposition?, notes?}>} units une entrée par unité
+     */
+    async gradeReturn(orgId, returnId, { units, warehouseId, gradedBy } = {}) {
+        const result = await this.db.query(
+            'SELECT * FROM returns WHERE id = $1 AND organization_id = $2',
+            [returnId, orgId]
+        );
+        const returnRequest = result.rows[0];
+
+        if (!returnRequest) {
+            throw new ReturnDispositionError('Return not found', 'RETURN_NOT_FOUND', 404);
+        }
+        if (!this.rma.can(returnRequest, 'inspect')) {
+            throw new ReturnDispositionError(`Return cannot be graded in status ${returnRequest.status}`, 'INVALID_STATUS', 409);
+        }
+
+        const items = typeof returnRequest.items === 'string' ? JSON.parse(returnRequest.items) : (returnRequest.items || []);
+        const errors = this.validateUnits(units, items);
+        if (errors.length > 0) {
+            throw new ReturnDispositionError('Invalid grading', 'INVALID_UNITS', 422, { errors });
+        }
+
+        const warehouse = warehouseId || await this.getDefaultReturnWarehouse(orgId);
+        if (!warehouse) {
+            throw new ReturnDispositionError('No return warehouse configured', 'NO_RETURN_WAREHOUSE', 422);
+        }
+
+        const grading = await this.getGradingPolicy(orgId);
+        const graded = units.map(unit => {
+            const item = items.find(i => i.sku === unit.sku);
+            const reasonCode = item.reasonCode || item.reason_code || returnRequest.reason_code || null;
+            const unitPrice = parseFloat(item.price ?? item.unitPrice) || 0;
+            const outcome = gradeOutcome(unit.grade, { reasonCode, disposition: unit.disposition, grading });
+
+            return {
+                sku: unit.sku,
+                reasonCode,
+                unitPrice,
+                ...outcome,
+                refundAmount: round(unitPrice * outcome.refundPercent / 100),
+                recoveryValue: round(unitPrice * outcome.recoveryRate),
+                notes: unit.notes || null
+            };
+        });
+
+        const refundAmount = round(graded.reduce((sum, unit) => sum + unit.refundAmount, 0));
+        const recoveryValue = round(graded.reduce((sum, unit) => sum + unit.recoveryValue, 0));
+
+        const client = await this.db.connect();
+        let movements;
+        let transition;
+
+        try {
+            await client.query('BEGIN');
+
+            for (const unit of graded) {
+                await client.query(`
+                    INSERT INTO return_units (
+                        id, organization_id, return_id, sku, reason_code, grade, disposition,
+                        warehouse_id, location, unit_price, refund_percent, refund_amount, recovery_value,
+                        notes, graded_by
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                `, [
+                    uuidv4(), orgId, returnId, unit.sku, unit.reasonCode, unit.grade, unit.disposition,
+                    warehouse, unit.location, unit.unitPrice, unit.refundPercent, unit.refundAmount, unit.recoveryValue,
+                    unit.notes, gradedBy || null
+                ]);
+            }
+
+            movements = await this.routeUnits(client, { warehouseId: warehouse, reference: returnId, units: graded, userId: gradedBy });
+
+            transition = await this.rma.transition(returnId, 'inspect', {
+                client,
+                current: returnRequest,
+                actor: gradedBy,
+                notes: `${graded.length} unité(s) triée(s)`,
+                changes: { graded_refund_amount: refundAmount, recovery_value: recoveryValue }
+            });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const outcome = {
+            returnId,
+            warehouseId: warehouse,
+            units: graded,
+            refundAmount,
+            recoveryValue,
+            movements
+        };
+
+        // Émis après COMMIT : la notation accompagne l'événement return.inspected
+        this.rma.emitTransition({ ...transition, details: { grading: outcome } });
+        return outcome;
+    }
+
+    /**
+     * Rangement des unités : le grade A retourne en stock vendable, les autres
+     * grades sont tracés vers l'emplacement de leur orientation
+     */
+    async routeUnits(db, { warehouseId, reference, units, userId }) {
+        const warehouse = new WarehouseService(db);
+        const groups = new Map();
+
+        for (const unit of units) {
+            const key = `${unit.sku}:${unit.disposition}:${unit.location}`;
+            const group = groups.get(key) || { sku: unit.sku, grade: unit.grade, disposition: unit.disposition, location: unit.location, quantity: 0 };
+            group.quantity++;
+            groups.set(key, group);
+        }
+
+        const movements = [];
+        for (const group of groups.values()) {
+            let stock = null;
+            if (group.disposition === 'restock') {
+                const inventory = await warehouse.receiveInventory(warehouseId, group.sku, group.quantity);
+                stock = { previousQuantity: inventory.quantity - group.quantity, newQuantity: inventory.quantity };
+            }
+
+            movements.push(await warehouse.recordMovement({
+                warehouseId,
+                sku: group.sku,
+                type: 'return',
+                quantity: group.quantity,
+                reference,
+                reason: group.disposition,
+                location: group.location,
+                previousQuantity: stock?.previousQuantity ?? null,
+                newQuantity: stock?.newQuantity ?? null,
+                userId,
+                notes: `Grade ${group.grade} - ${GRADES[group.grade].label}`
+            }));
+        }
+
+        return movements;
+    }
+
+    validateUnits(units, items) {
+        if (!Array.isArray(units) || units.length === 0) {
+            return [{ field: 'units', message: 'At least one graded unit is required' }];
+        }
+
+        const errors = [];
+        const counts = {};
+
+        units.forEach((unit, index) => {
+            const item = items.find(i => i.sku === unit.sku);
+            if (!item) {
+                errors.push({ field: `units[${index}].sku`, message: `SKU ${unit.sku} is not part of this return` });
+            }
+            if (!GRADES[unit.grade]) {
+                errors.push({ field: `units[${index}].grade`, message: `Grade must be one of ${Object.keys(GRADES).join(', ')}` });
+            }
+            if (unit.disposition && !DISPOSITIONS.includes(unit.disposition)) {
+                errors.push({ field: `units[${index}].disposition`, message: `Disposition must be one of ${DISPOSITIONS.join(', ')}` });
+            }
+            counts[unit.sku] = (counts[unit.sku] || 0) + 1;
+        });
+
+        for (const [sku, count] of Object.entries(counts)) {
+            const returned = items
+                .filter(i => i.sku === sku)
+                .reduce((sum, i) => sum + (parseInt(i.receivedQuantity ?? i.quantity) || 1), 0);
+            if (returned > 0 && count > returned) {
+                errors.push({ field: 'units', message: `${count} units graded for ${sku}, ${returned} returned` });
+            }
+        }
+
+        return errors;
+    }
+
+    async getUnits(orgId, returnId) {
+        const result = await this.db.query(
+            'SELECT * FROM return_units WHERE organization_id = $1 AND return_id = $2 ORDER BY created_at, sku',
+            [orgId, returnId]
+        );
+        return result.rows;
+    }
+
+    // ----------------------------------------
+    // REPORTING
+    // ----------------------------------------
+
+    /**
+     * Valeur récupérée par SKU et par motif de retour
+     */
+    async getRecoveryReport(orgId, { from, to } = {}) {
+        const startDate = from ? new Date(from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const endDate = to ? new Date(to) : new Date();
+        const params = [orgId, startDate.toISOString(), endDate.toISOString()];
+
+        const aggregate = `
+            COUNT(*) AS units,
+            COUNT(*) FILTER (WHERE grade = 'A') AS grade_a,
+            COUNT(*) FILTER (WHERE grade = 'B') AS grade_b,
+            COUNT(*) FILTER (WHERE grade = 'C') AS grade_c,
+            COUNT(*) FILTER (WHERE grade = 'D') AS grade_d,
+            COALESCE(SUM(unit_price), 0) AS returned_value,
+            COALESCE(SUM(refund_amount), 0) AS refunded,
+            COALESCE(SUM(recovery_value), 0) AS recovery_value
+        `;
+        const scope = 'WHERE organization_id = $1 AND created_at >= $2 AND created_at < $3';
+
+        const [bySku, byReason] = await Promise.all([
+            this.db.query(`SELECT sku, ${aggregate} FROM return_units ${scope} GROUP BY sku ORDER BY recovery_value DESC`, params),
+            this.db.query(`SELECT COALESCE(reason_code, 'OTHER') AS reason_code, ${aggregate} FROM return_units ${scope} GROUP BY COALESCE(reason_code, 'OTHER') ORDER BY units DESC`, params)
+        ]);
+
+        const skus = bySku.rows.map(row => ({ sku: row.sku, ...this.formatReportRow(row) }));
+        const sum = key => skus.reduce((total, row) => total + row[key], 0);
+
+        return {
+            period: { from: startDate.toISOString(), to: endDate.toISOString() },
+            totals: this.formatReportRow({
+                units: sum('units'),
+                grade_a: skus.reduce((total, row) => total + row.grades.A, 0),
+                grade_b: skus.reduce((total, row) => total + row.grades.B, 0),
+                grade_c: skus.reduce((total, row) => total + row.grades.C, 0),
+                grade_d: skus.reduce((total, row) => total + row.grades.D, 0),
+                returned_value: sum('returnedValue'),
+                refunded: sum('refunded'),
+                recovery_value: sum('recoveryValue')
+            }),
+            bySku: skus,
+            byReason: byReason.rows.map(row => ({ reasonCode: row.reason_code, ...this.formatReportRow(row) }))
+        };
+    }
+
+    formatReportRow(row) {
+        const returnedValue = round(parseFloat(row.returned_value) || 0);
+        const recoveryValue = round(parseFloat(row.recovery_value) || 0);
+
+        return {
+            units: parseInt(row.units) || 0,
+            grades: {
+                A: parseInt(row.grade_a) || 0,
+                B: parseInt(row.grade_b) || 0,
+                C: parseInt(row.grade_c) || 0,
+                D: parseInt(row.grade_d) || 0
+            },
+            returnedValue,
+            refunded: round(parseFloat(row.refunded) || 0),
+            recoveryValue,
+            recoveryRate: returnedValue > 0 ? round(recoveryValue / returnedValue * 100) : 0
+        };
+    }
+
+    // ----------------------------------------
+    // HELPERS
+    // ----------------------------------------
+
+    async getGradingPolicy(orgId) {
+        const result = await this.db.query('SELECT return_policy FROM organizations WHERE id = $1', [orgId]);
+        return result.rows[0]?.return_policy?.grading || {};
+    }
+
+    async getDefaultReturnWarehouse(orgId) {
+        const result = await this.db.query(
+            "SELECT id FROM warehouses WHERE organization_id = $1 AND type = 'return' ORDER BY priority LIMIT 1",
+            [orgId]
+        );
+        return result.rows[0]?.id;
+    }
+}
+
+module.exports = {
+    ReturnDispositionService,
+    ReturnDispositionError,
+    gradeOutcome,
+    GRADES,
+    CONDITION_GRADES,
+    MERCHANT_FAULT_REASONS
+};
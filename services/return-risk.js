@@ -0,0 +1,230 @@
+/**
+ * Routz v4.0 - Return Risk Service
+ * Score de fraude / abus des retours : historique du client, taux de retour, motifs récurrents,
+ * articles de forte valeur, preuves photo et adresses partagées -> approbation, revue ou blocage
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Seuils par défaut, surchargeables dans la configuration du portail
+const DEFAULT_THRESHOLDS = {
+    fraud_scoring_enabled: true,
+    fraud_review_threshold: 40,
+    fraud_block_threshold: 80,
+    fraud_high_value_amount: 300
+};
+
+// Points ajoutés au score (plafonné à 100) par signal
+const SIGNAL_POINTS = {
+    serial_returner: 25,
+    high_return_rate: 20,
+    repeated_quality_claims: 20,
+    wardrobing: 15,
+    high_value: 15,
+    missing_evidence: 15,
+    reused_photos: 35,
+    shared_address: 20
+};
+
+const LOOKBACK_DAYS = 365;
+const SERIAL_WINDOW_DAYS = 90;
+const SERIAL_RETURNS = 3;
+const MIN_ORDERS_FOR_RATE = 3;
+const HIGH_RETURN_RATE = 0.5;
+const SHARED_ADDRESS_CUSTOMERS = 2;
+// Retour « porté puis rendu » : motif de convenance déposé dans le dernier quart du délai
+const WARDROBING_WINDOW_SHARE = 0.75;
+
+// Motifs engageant la qualité ou la livraison (réclamations répétées suspectes, photos attendues)
+const QUALITY_REASONS = ['DEFECTIVE', 'DAMAGED', 'DAMAGED_SHIPPING', 'NOT_AS_DESCRIBED', 'MISSING_PARTS', 'WRONG_ITEM'];
+const EVIDENCE_REASONS = ['DEFECTIVE', 'DAMAGED', 'DAMAGED_SHIPPING', 'MISSING_PARTS'];
+const CONVENIENCE_REASONS = ['CHANGED_MIND', 'BETTER_PRICE', 'OTHER'];
+
+class ReturnRiskError extends Error {
+    constructor(message, code, status = 403, details = null) {
+        super(message);
+        this.name = 'ReturnRiskError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+
+function hashPhoto(photo) {
+    return crypto.createHash('sha256').update(String(photo)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Clé d'adresse normalisée (voie, code postal, pays) pour repérer une adresse partagée entre clients
+ */
+function addressKey(address) {
+    if (!address || !address.address1) return null;
+    const normalize = (value) => String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '');
+    return [normalize(address.address1), normalize(address.postalCode || address.postal_code), normalize(address.country || 'FR')].join('|');
+}
+
+function reasonsOf(items) {
+    return parseJson(items, []).map(item => item.reasonCode || item.reason_code).filter(Boolean);
+}
+
+class ReturnRiskService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    /**
+     * Évaluer une demande de retour avant sa création
+     * @returns {{score, decision: 'approve'|'review'|'block', signals: Array<{code, points, detail}>, photoHashes, addressKey}}
+     */
+    async assess(orgId, { customerEmail, order, items, photos = [], pickupAddress, portalConfig = {} }) {
+        const thresholds = { ...DEFAULT_THRESHOLDS, ...this.pickThresholds(portalConfig) };
+        const email = (customerEmail || order.customer_email || '').trim().toLowerCase();
+        const photoHashes = photos.map(hashPhoto);
+        const key = addressKey(pickupAddress);
+
+        if (!thresholds.fraud_scoring_enabled) {
+            return { score: 0, decision: 'approve', signals: [], photoHashes, addressKey: key };
+        }
+
+        const signals = [];
+        const add = (code, detail) => signals.push({ code, points: SIGNAL_POINTS[code], detail });
+
+        const history = email ? await this.getCustomerHistory(orgId, email) : { returns: [], orderCount: 0 };
+        const previous = history.returns.filter(r => r.order_id !== order.id);
+        const reasons = reasonsOf(items);
+
+        // Historique et taux de retour
+        const serialSince = Date.now() - SERIAL_WINDOW_DAYS * 24 * 3600 * 1000;
+        const recentReturns = previous.filter(r => new Date(r.created_at).getTime() >= serialSince);
+        if (recentReturns.length >= SERIAL_RETURNS) {
+            add('serial_returner', `${recentReturns.length} retours sur ${SERIAL_WINDOW_DAYS} jours`);
+        }
+
+        const returnedOrders = new Set([...previous.map(r => r.order_id), order.id]).size;
+        if (history.orderCount >= MIN_ORDERS_FOR_RATE && returnedOrders / history.orderCount >= HIGH_RETURN_RATE) {
+            add('high_return_rate', `${returnedOrders} commandes retournées sur ${history.orderCount}`);
+        }
+
+        // Motifs : réclamations qualité répétées, retour de convenance en fin de délai
+        const previousClaims = previous.filter(r => reasonsOf(r.items).some(code => QUALITY_REASONS.includes(code)));
+        if (reasons.some(code => QUALITY_REASONS.includes(code)) && previousClaims.length >= 2) {
+            add('repeated_quality_claims', `${previousClaims.length} réclamations qualité antérieures`);
+        }
+
+        const windowShare = this.windowElapsed(order, portalConfig.return_window_days);
+        if (reasons.length > 0 && reasons.every(code => CONVENIENCE_REASONS.includes(code)) && windowShare >= WARDROBING_WINDOW_SHARE) {
+            add('wardrobing', `Retour de convenance à ${Math.round(windowShare * 100)} % du délai`);
+        }
+
+        // Valeur retournée
+        const value = this.returnedValue(items, order);
+        if (value >= thresholds.fraud_high_value_amount) {
+            add('high_value', `Valeur retournée ${value.toFixed(2)} €`);
+        }
+
+        // Preuves photo : absentes pour une avarie déclarée, ou déjà utilisées sur un autre retour
+        if (reasons.some(code => EVIDENCE_REASONS.includes(code)) && photos.length === 0) {
+            add('missing_evidence', 'Avarie déclarée sans photo');
+        }
+        if (photoHashes.length > 0) {
+            const reused = await this.db.query(
+                'SELECT COUNT(*) AS count FROM returns WHERE organization_id = $1 AND photo_hashes ?| $2',
+                [orgId, photoHashes]
+            );
+            if (parseInt(reused.rows[0].count) > 0) {
+                add('reused_photos', `Photos déjà jointes à ${reused.rows[0].count} autre(s) retour(s)`);
+            }
+        }
+
+        // Adresse de retour utilisée par d'autres clients
+        if (key) {
+            const shared = await this.db.query(`
+                SELECT COUNT(DISTINCT LOWER(customer_email)) AS customers FROM returns
+                WHERE organization_id = $1 AND pickup_address_key = $2 AND LOWER(customer_email) <> $3
+                  AND created_at > NOW() - INTERVAL '${LOOKBACK_DAYS} days'
+            `, [orgId, key, email]);
+            if (parseInt(shared.rows[0].customers) >= SHARED_ADDRESS_CUSTOMERS) {
+                add('shared_address', `Adresse utilisée par ${shared.rows[0].customers} autres clients`);
+            }
+        }
+
+        const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0));
+        const decision = score >= thresholds.fraud_block_threshold ? 'block'
+            : score >= thresholds.fraud_review_threshold ? 'review'
+                : 'approve';
+
+        return { score, decision, signals, photoHashes, addressKey: key };
+    }
+
+    pickThresholds(portalConfig) {
+        return Object.fromEntries(Object.keys(DEFAULT_THRESHOLDS)
+            .filter(key => portalConfig[key] !== undefined && portalConfig[key] !== null)
+            .map(key => [key, portalConfig[key]]));
+    }
+
+    async getCustomerHistory(orgId, email) {
+        const returns = await this.db.query(`
+            SELECT id, order_id, items, status, created_at FROM returns
+            WHERE organization_id = $1 AND LOWER(customer_email) = $2
+              AND created_at > NOW() - INTERVAL '${LOOKBACK_DAYS} days'
+        `, [orgId, email]);
+        const orders = await this.db.query(`
+            SELECT COUNT(*) AS count FROM orders
+            WHERE organization_id = $1 AND LOWER(customer_email) = $2
+              AND created_at > NOW() - INTERVAL '${LOOKBACK_DAYS} days'
+        `, [orgId, email]);
+
+        return { returns: returns.rows, orderCount: parseInt(orders.rows[0].count) };
+    }
+
+    /**
+     * Part du délai de retour écoulée depuis la livraison (0 à 1+)
+     */
+    windowElapsed(order, windowDays = 30) {
+        const start = order.delivered_at || order.shipped_at || order.created_at;
+        if (!start || !windowDays) return 0;
+        return (Date.now() - new Date(start).getTime()) / (windowDays * 24 * 3600 * 1000);
+    }
+
+    returnedValue(items, order) {
+        const orderItems = parseJson(order.items, []);
+        return parseJson(items, []).reduce((sum, item) => {
+            const ordered = orderItems.find(oi => oi.id === item.orderItemId || oi.sku === item.sku) || {};
+            // Prix de la commande : le prix saisi par le client n'est qu'un repli
+            return sum + (parseFloat(ordered.price ?? item.price) || 0) * (item.quantity || 1);
+        }, 0);
+    }
+
+    /**
+     * Trace de l'évaluation (y compris les demandes bloquées, sans retour créé)
+     */
+    async recordAssessment(orgId, { returnId = null, orderId, customerEmail, assessment }) {
+        await this.db.query(`
+            INSERT INTO return_risk_assessments (id, organization_id, return_id, order_id, customer_email, score, decision, signals)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            uuidv4(), orgId, returnId, orderId, (customerEmail || '').toLowerCase() || null,
+            assessment.score, assessment.decision, JSON.stringify(assessment.signals)
+        ]);
+    }
+
+    async getAssessments(orgId, returnId) {
+        const result = await this.db.query(
+            'SELECT * FROM return_risk_assessments WHERE organization_id = $1 AND return_id = $2 ORDER BY created_at DESC',
+            [orgId, returnId]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = {
+    ReturnRiskService,
+    ReturnRiskError,
+    DEFAULT_THRESHOLDS,
+    SIGNAL_POINTS,
+    hashPhoto,
+    addressKey
+};
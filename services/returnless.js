@@ -0,0 +1,191 @@
+/**
+ * Routz v4.0 - Returnless Refund Service
+ * Remboursement sans retour (« gardez-le » ou don) : règles d'éligibilité du portail
+ * (valeur, motif, client fiable) et économies réalisées sur l'étiquette et le traitement
+ */
+
+const RETURNLESS_OPTIONS = ['keep', 'donate'];
+
+// Règles par défaut, surchargeables dans la configuration du portail
+const DEFAULT_RETURNLESS_RULES = {
+    returnless_enabled: false,
+    returnless_max_item_value: 15,
+    // null ou [] : tous les motifs
+    returnless_reasons: ['DEFECTIVE', 'DAMAGED', 'DAMAGED_SHIPPING', 'WRONG_ITEM', 'MISSING_PARTS'],
+    returnless_max_per_year: 2,
+    returnless_options: RETURNLESS_OPTIONS,
+    // Coûts évités par retour non expédié
+    return_label_cost: 6.5,
+    return_handling_cost: 3
+};
+
+// Signaux du score de fraude portant sur le client (et non sur la demande elle-même)
+const STANDING_SIGNALS = ['serial_returner', 'high_return_rate', 'repeated_quality_claims', 'reused_photos', 'shared_address'];
+
+class ReturnlessError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'ReturnlessError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+const round = (value) => Math.round(value * 100) / 100;
+
+class ReturnlessService {
+    constructor(config = {}) {
+        this.db = config.db;
+    }
+
+    /**
+     * Éligibilité d'une demande au remboursement sans retour
+     * @param {Object} [params.risk] évaluation du score de fraude (client fiable : décision approve, sans signal client)
+     * @returns {{eligible, options, rejections: string[], savings: {labelCost, handlingCost, total}}}
+     */
+    async evaluate(orgId, { customerEmail, order, items, risk, portalConfig = {} }) {
+        const rules = this.rulesFor(portalConfig);
+        const savings = this.estimateSavings(rules);
+
+        if (!rules.returnless_enabled) {
+            return { eligible: false, options: [], rejections: ['disabled'], savings };
+        }
+
+        const rejections = [];
+        const orderItems = parseJson(order.items, []);
+
+        // Valeur de chaque ligne retournée
+        const overValue = items.some(item => {
+            const ordered = orderItems.find(oi => oi.id === item.orderItemId || oi.sku === item.sku) || {};
+            const price = parseFloat(ordered.price ?? item.price) || 0;
+            return price * (item.quantity || 1) > rules.returnless_max_item_value;
+        });
+        if (overValue) rejections.push('item_value');
+
+        const reasons = rules.returnless_reasons;
+        if (reasons && reasons.length > 0 && !items.every(item => reasons.includes(item.reasonCode))) {
+            rejections.push('reason');
+        }
+
+        if (risk && (risk.decision !== 'approve' || risk.signals.some(signal => STANDING_SIGNALS.includes(signal.code)))) {
+            rejections.push('customer_standing');
+        }
+
+        // Quota annuel par client, vérifié seulement si les autres règles passent
+        const email = (customerEmail || order.customer_email || '').trim().toLowerCase();
+        if (rejections.length === 0 && email) {
+            const previous = await this.db.query(`
+                SELECT COUNT(*) AS count FROM returns
+                WHERE organization_id = $1 AND LOWER(customer_email) = $2 AND returnless = true
+                  AND created_at > NOW() - INTERVAL '365 days'
+            `, [orgId, email]);
+            if (parseInt(previous.rows[0].count) >= rules.returnless_max_per_year) {
+                rejections.push('yearly_limit');
+            }
+        }
+
+        const options = RETURNLESS_OPTIONS.filter(option => (rules.returnless_options || RETURNLESS_OPTIONS).includes(option));
+
+        return {
+            eligible: rejections.length === 0 && options.length > 0,
+            options: rejections.length === 0 ? options : [],
+            rejections,
+            savings
+        };
+    }
+
+    /**
+     * Vérifier l'option choisie par le client au moment de la création du retour
+     */
+    async assertEligible(orgId, { option, ...params }) {
+        const evaluation = await this.evaluate(orgId, params);
+
+        if (!evaluation.eligible) {
+            throw new ReturnlessError('This return is not eligible for a returnless refund', 'RETURNLESS_NOT_ELIGIBLE', 422, {
+                rejections: evaluation.rejections
+            });
+        }
+        if (!evaluation.options.includes(option)) {
+            throw new ReturnlessError(`Returnless option must be one of: ${evaluation.options.join(', ')}`, 'INVALID_RETURNLESS_OPTION');
+        }
+
+        return evaluation;
+    }
+
+    rulesFor(portalConfig) {
+        const overrides = Object.fromEntries(Object.keys(DEFAULT_RETURNLESS_RULES)
+            .filter(key => portalConfig[key] !== undefined && portalConfig[key] !== null)
+            .map(key => [key, portalConfig[key]]));
+        return { ...DEFAULT_RETURNLESS_RULES, ...overrides };
+    }
+
+    estimateSavings(rules) {
+        const labelCost = parseFloat(rules.return_label_cost) || 0;
+        const handlingCost = parseFloat(rules.return_handling_cost) || 0;
+        return { labelCost: round(labelCost), handlingCost: round(handlingCost), total: round(labelCost + handlingCost) };
+    }
+
+    // ----------------------------------------
+    // REPORTING
+    // ----------------------------------------
+
+    /**
+     * Économies des remboursements sans retour : étiquettes et traitement évités,
+     * face à la valeur des articles laissés au client
+     */
+    async getSavingsReport(orgId, { from, to } = {}) {
+        const startDate = from ? new Date(from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const endDate = to ? new Date(to) : new Date();
+
+        const result = await this.db.query(`
+            SELECT returnless_option,
+                   COUNT(*) AS returns,
+                   COALESCE(SUM(original_amount), 0) AS item_value,
+                   COALESCE(SUM(estimated_refund), 0) AS refunded,
+                   COALESCE(SUM(returnless_label_cost), 0) AS label_cost,
+                   COALESCE(SUM(returnless_handling_cost), 0) AS handling_cost
+            FROM returns
+            WHERE organization_id = $1 AND returnless = true AND created_at >= $2 AND created_at < $3
+            GROUP BY returnless_option
+            ORDER BY returns DESC
+        `, [orgId, startDate.toISOString(), endDate.toISOString()]);
+
+        const byOption = result.rows.map(row => ({ option: row.returnless_option, ...this.formatReportRow(row) }));
+        const sum = key => byOption.reduce((total, row) => total + row[key], 0);
+
+        return {
+            period: { from: startDate.toISOString(), to: endDate.toISOString() },
+            totals: this.formatReportRow({
+                returns: sum('returns'),
+                item_value: sum('itemValue'),
+                refunded: sum('refunded'),
+                label_cost: sum('labelCostAvoided'),
+                handling_cost: sum('handlingCostAvoided')
+            }),
+            byOption
+        };
+    }
+
+    formatReportRow(row) {
+        const labelCost = round(parseFloat(row.label_cost) || 0);
+        const handlingCost = round(parseFloat(row.handling_cost) || 0);
+
+        return {
+            returns: parseInt(row.returns) || 0,
+            itemValue: round(parseFloat(row.item_value) || 0),
+            refunded: round(parseFloat(row.refunded) || 0),
+            labelCostAvoided: labelCost,
+            handlingCostAvoided: handlingCost,
+            saved: round(labelCost + handlingCost)
+        };
+    }
+}
+
+module.exports = {
+    ReturnlessService,
+    ReturnlessError,
+    DEFAULT_RETURNLESS_RULES,
+    RETURNLESS_OPTIONS
+};
@@ -3,12 +3,22 @@
  * Gestion complète des retours : RMA, portail client, remboursements, analytics
  */
 
+const { ReturnDispositionService, gradeOutcome, CONDITION_GRADES } = require('./return-disposition');
+const { RmaStateMachine, generateRmaNumber } = require('./rma-state-machine');
+const { ExchangeService, sameItemExchange } = require('./exchanges');
+const { StoreCreditService } = require('./store-credit');
+const { countryCalendar, shiftWorkingDays } = require('./calendar');
+
 class ReturnsService {
     constructor(config = {}) {
         this.db = config.db;
         this.carriers = config.carriers;
         this.notifications = config.notifications;
         this.refundProviders = config.refundProviders || {};
+        this.rma = config.rma || new RmaStateMachine({ db: this.db });
+        this.disposition = config.disposition || new ReturnDispositionService({ db: this.db, rma: this.rma });
+        this.exchanges = config.exchanges || new ExchangeService({ db: this.db });
+        this.storeCredit = config.storeCredit || new StoreCreditService({ db: this.db });
     }
 
     // ==========================================
@@ -19,8 +29,11 @@ class ReturnsService {
      * Créer une demande de retour (RMA)
      */
     async createReturnRequest(data) {
+        const { status, history } = this.rma.initialState({ actor: data.source === 'admin' ? 'admin' : 'customer' });
+
         const rma = {
             id: this.generateId('RMA'),
+            rmaNumber: generateRmaNumber(),
             organizationId: data.organizationId,
             orderId: data.orderId,
             orderNumber: data.orderNumber,
@@ -42,7 +55,8 @@ class ReturnsService {
             })),
             
             // Statut et workflow
-            status: 'pending_approval', // pending_approval, approved, label_created, in_transit, received, inspecting, processed, refunded, rejected, closed
+            status, // cycle de vie : voir RMA_STATUSES (rma-state-machine)
+            statusHistory: history,
             workflow: data.workflow || 'standard', // standard, exchange, repair, store_credit
             
             // Adresses
@@ -85,10 +99,10 @@ class ReturnsService {
         };
 
         await this.db.query(
-            `INSERT INTO returns (id, organization_id, order_id, shipment_id, customer_id, items, status, workflow, return_address, customer_address, original_amount, source, priority, requested_at, sla_deadline)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
-            [rma.id, rma.organizationId, rma.orderId, rma.shipmentId, rma.customerId, 
-             JSON.stringify(rma.items), rma.status, rma.workflow, JSON.stringify(rma.returnAddress),
+            `INSERT INTO returns (id, rma_number, organization_id, order_id, shipment_id, customer_id, items, status, status_history, workflow, return_address, customer_address, original_amount, source, priority, requested_at, sla_deadline)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+            [rma.id, rma.rmaNumber, rma.organizationId, rma.orderId, rma.shipmentId, rma.customerId, 
+             JSON.stringify(rma.items), rma.status, JSON.stringify(rma.statusHistory), rma.workflow, JSON.stringify(rma.returnAddress),
              JSON.stringify(rma.customerAddress), rma.originalAmount, rma.source, rma.priority,
              rma.requestedAt, rma.slaDeadline]
         );
@@ -97,7 +111,7 @@ class ReturnsService {
         await this.notifications.send({
             type: 'return_request_created',
             to: data.customerEmail,
-            data: { rmaId: rma.id, orderNumber: rma.orderNumber }
+            data: { rmaId: rma.id, rmaNumber: rma.rmaNumber, orderNumber: rma.orderNumber }
         });
 
         return rma;
@@ -109,28 +123,25 @@ class ReturnsService {
     async approveReturn(rmaId, options = {}) {
         const rma = await this.getReturn(rmaId);
         if (!rma) throw new Error('Return not found');
-        if (rma.status !== 'pending_approval') throw new Error('Return cannot be approved');
+        this.rma.assertTransition(rma, 'approve');
 
         const updates = {
-            status: 'approved',
-            approvedAt: new Date().toISOString(),
             approvedBy: options.userId,
             refundAmount: this.calculateRefundAmount(rma, options),
             restockingFee: options.restockingFee || 0,
             shippingDeduction: options.shippingDeduction || 0
         };
 
+        let transition = await this.transitionReturn(rmaId, 'approve', updates, { actor: options.userId });
+
         // Générer l'étiquette de retour si prepaid
         if (rma.shippingMethod === 'prepaid') {
             const label = await this.generateReturnLabel(rma, options);
-            updates.carrier = label.carrier;
-            updates.trackingNumber = label.trackingNumber;
-            updates.labelUrl = label.labelUrl;
-            updates.status = 'label_created';
+            const labelUpdates = { carrier: label.carrier, trackingNumber: label.trackingNumber, labelUrl: label.labelUrl };
+            transition = await this.transitionReturn(rmaId, 'create_label', labelUpdates, { notes: `Étiquette ${label.carrier} créée: ${label.trackingNumber}` });
+            Object.assign(updates, labelUpdates);
         }
 
-        await this.updateReturn(rmaId, updates);
-
         // Notification
         await this.notifications.send({
             type: 'return_approved',
@@ -143,7 +154,7 @@ class ReturnsService {
             }
         });
 
-        return { ...rma, ...updates };
+        return { ...rma, ...updates, ...transition.return };
     }
 
     /**
@@ -153,12 +164,10 @@ class ReturnsService {
         const rma = await this.getReturn(rmaId);
         if (!rma) throw new Error('Return not found');
 
-        await this.updateReturn(rmaId, {
-            status: 'rejected',
+        await this.transitionReturn(rmaId, 'reject', {
             rejectionReason: reason,
-            rejectedBy: userId,
-            closedAt: new Date().toISOString()
-        });
+            rejectedBy: userId
+        }, { actor: userId, reason });
 
         await this.notifications.send({
             type: 'return_rejected',
@@ -182,13 +191,11 @@ class ReturnsService {
             inspectionNotes: receivedData.items?.[i]?.notes
         }));
 
-        await this.updateReturn(rmaId, {
-            status: 'received',
-            receivedAt: new Date().toISOString(),
+        await this.transitionReturn(rmaId, 'receive', {
             receivedBy: receivedData.userId,
             items: inspectedItems,
             warehouseLocation: receivedData.warehouseLocation
-        });
+        }, { actor: receivedData.userId });
 
         // Auto-process si conditions OK
         if (this.canAutoProcess(inspectedItems)) {
@@ -206,27 +213,26 @@ class ReturnsService {
         let finalRefundAmount = rma.refundAmount;
         let refundAdjustments = [];
 
-        // Ajustements basés sur l'inspection
-        for (const item of rma.items) {
-            if (item.actualCondition === 'damaged' && item.originalCondition !== 'damaged') {
-                const deduction = item.price * 0.3; // 30% deduction for damage
+        // Ajustements selon le grade d'inspection de chaque article
+        for (const item of await this.gradeItems(rma)) {
+            if (item.outcome.refundPercent < 100) {
+                const deduction = (item.price || 0) * item.gradedQuantity * (100 - item.outcome.refundPercent) / 100;
                 finalRefundAmount -= deduction;
                 refundAdjustments.push({
                     itemId: item.id,
-                    reason: 'damage_deduction',
+                    reason: `grade_${item.outcome.grade}`,
                     amount: -deduction
                 });
             }
         }
 
-        await this.updateReturn(rmaId, {
-            status: 'processed',
+        await this.transitionReturn(rmaId, 'inspect', {
             processedAt: new Date().toISOString(),
             processedBy: options.userId,
             finalRefundAmount,
             refundAdjustments,
             autoProcessed: options.autoProcessed || false
-        });
+        }, { actor: options.userId || (options.autoProcessed ? 'system' : undefined) });
 
         // Initier le remboursement selon le workflow
         if (rma.workflow === 'standard' || rma.workflow === 'store_credit') {
@@ -246,9 +252,15 @@ class ReturnsService {
         const rma = await this.getReturn(rmaId);
         if (!rma) throw new Error('Return not found');
 
+        const amount = rma.final_refund_amount ?? rma.refund_amount;
+        const method = rma.refund_method || rma.refundMethod;
+        // L'avoir n'est pas un remboursement : statut store_credit
+        const event = method === 'store_credit' ? 'issue_store_credit' : 'refund';
+        this.rma.assertTransition(rma, event, { amount });
+
         let refundResult;
 
-        switch (rma.refundMethod) {
+        switch (method) {
             case 'original_payment':
                 refundResult = await this.refundToOriginalPayment(rma);
                 break;
@@ -260,12 +272,11 @@ class ReturnsService {
                 break;
         }
 
-        await this.updateReturn(rmaId, {
-            status: 'refunded',
-            refundedAt: new Date().toISOString(),
+        await this.transitionReturn(rmaId, event, {
             refundTransactionId: refundResult.transactionId,
-            refundStatus: refundResult.status
-        });
+            refundStatus: refundResult.status,
+            ...(refundResult.credit && { storeCreditId: refundResult.credit.id })
+        }, { amount, notes: `Remboursement ${method}: ${refundResult.transactionId}` });
 
         await this.notifications.send({
             type: 'refund_processed',
@@ -364,7 +375,7 @@ class ReturnsService {
                 COUNT(*) as total_returns,
                 COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded,
                 COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
-                COUNT(CASE WHEN status IN ('pending_approval', 'approved', 'label_created', 'in_transit', 'received', 'inspecting', 'processed') THEN 1 END) as pending,
+                COUNT(CASE WHEN status IN ('pending_approval', 'approved', 'label_created', 'in_transit', 'received', 'inspecting', 'inspected', 'refund_pending') THEN 1 END) as pending,
                 SUM(CASE WHEN status = 'refunded' THEN final_refund_amount ELSE 0 END) as total_refunded,
                 AVG(EXTRACT(EPOCH FROM (refunded_at - requested_at))/86400) as avg_processing_days
             FROM returns 
@@ -440,14 +451,14 @@ class ReturnsService {
         return result.rows[0];
     }
 
-    async updateReturn(rmaId, updates) {
-        const fields = Object.keys(updates).map((k, i) => `${this.toSnakeCase(k)} = $${i + 2}`);
-        const values = Object.values(updates).map(v => typeof v === 'object' ? JSON.stringify(v) : v);
-        
-        await this.db.query(
-            `UPDATE returns SET ${fields.join(', ')}, updated_at = NOW() WHERE id = $1`,
-            [rmaId, ...values]
-        );
+    /**
+     * Changement de statut via la machine à états RMA, avec les colonnes associées
+     */
+    async transitionReturn(rmaId, event, updates = {}, options = {}) {
+        const changes = Object.fromEntries(Object.entries(updates).map(([key, value]) => [this.toSnakeCase(key), value]));
+        const current = await this.getReturn(rmaId);
+        if (!current) throw new Error('Return not found');
+        return this.rma.transition(rmaId, event, { ...options, orgId: current.organization_id, current, changes });
     }
 
     async listReturns(orgId, filters = {}) {
@@ -492,10 +503,11 @@ class ReturnsService {
         return Math.max(0, amount);
     }
 
-    calculateSLADeadline(priority) {
+    // SLA en jours ouvrés
+    calculateSLADeadline(priority, country = 'FR') {
         const slaDays = { high: 2, normal: 5, low: 10 };
         const days = slaDays[priority] || 5;
-        return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+        return shiftWorkingDays(new Date(), days, countryCalendar(country)).toISOString();
     }
 
     canAutoProcess(items) {
@@ -536,29 +548,62 @@ class ReturnsService {
     }
 
     async issueStoreCredit(rma) {
-        return { transactionId: `credit_${Date.now()}`, status: 'completed' };
+        const credit = await this.storeCredit.issueCredit(rma.organization_id, {
+            customerEmail: rma.customer_email,
+            amount: rma.final_refund_amount ?? rma.refund_amount,
+            country: rma.pickup_address?.country,
+            returnId: rma.id,
+            reason: `Retour ${rma.rma_number}`,
+            actor: 'system'
+        });
+        return { transactionId: credit.code, status: 'completed', credit };
     }
 
     async initiateBankTransfer(rma) {
         return { transactionId: `bank_${Date.now()}`, status: 'pending' };
     }
 
+    /**
+     * Grade de chaque article inspecté (grade saisi, sinon déduit de l'état constaté)
+     */
+    async gradeItems(rma) {
+        const graded = rma.items.filter(item => item.grade || CONDITION_GRADES[item.actualCondition]);
+        if (graded.length === 0) return [];
+
+        const grading = await this.disposition.getGradingPolicy(rma.organizationId || rma.organization_id);
+        return graded.map(item => ({
+            ...item,
+            gradedQuantity: item.receivedQuantity || item.quantity,
+            outcome: gradeOutcome(item.grade || CONDITION_GRADES[item.actualCondition], { reasonCode: item.reasonCode, grading })
+        }));
+    }
+
     async updateInventory(rma) {
-        // Remettre en stock les articles retournés en bon état
-        for (const item of rma.items) {
-            if (['new', 'like_new'].includes(item.actualCondition)) {
-                await this.db.query(
-                    `UPDATE inventory SET quantity = quantity + $1 WHERE sku = $2`,
-                    [item.receivedQuantity, item.sku]
-                );
-            }
-        }
+        // Seul le grade A revient en stock vendable, les autres grades sont rangés dans leur zone
+        const items = await this.gradeItems(rma);
+        if (items.length === 0) return [];
+
+        const warehouseId = rma.warehouseId || rma.warehouse_id
+            || await this.disposition.getDefaultReturnWarehouse(rma.organizationId || rma.organization_id);
+        if (!warehouseId) return [];
+
+        const units = items.flatMap(item =>
+            Array.from({ length: item.gradedQuantity }, () => ({ sku: item.sku, ...item.outcome })));
+
+        return this.disposition.routeUnits(this.db, { warehouseId, reference: rma.id, units, userId: rma.processedBy });
     }
 
     async initiateExchange(rmaId) {
-        // Créer une nouvelle commande d'échange
         const rma = await this.getReturn(rmaId);
-        // Logic for exchange order creation
+        const orgId = rma.organization_id;
+
+        // Échange choisi par le client, sinon à l'identique ; le remplacement part à réception de l'original
+        if (!await this.exchanges.getExchangeForReturn(orgId, rma.id)) {
+            await this.exchanges.createExchange(orgId, rma.id, { items: sameItemExchange(rma.items), actor: 'system' });
+        }
+        await this.exchanges.fulfillOnReceipt(orgId, rma.id);
+
+        return this.transitionReturn(rma.id, 'exchange');
     }
 }
 
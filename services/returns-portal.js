@@ -11,6 +11,12 @@ const Handlebars = require('handlebars');
 const path = require('path');
 const fs = require('fs').promises;
 const Stripe = require('stripe');
+const { AddressValidationService } = require('./address-validation');
+const { RmaStateMachine, normalizeStatus, readHistory, generateRmaNumber } = require('./rma-state-machine');
+const { ExchangeService, ExchangeError, INSTANT_EXCHANGE_STATUSES } = require('./exchanges');
+const { ReturnRiskService, ReturnRiskError } = require('./return-risk');
+const { ReturnlessService, DEFAULT_RETURNLESS_RULES } = require('./returnless');
+const { countryCalendar, shiftWorkingDays } = require('./calendar');
 
 // ============================================
 // DATABASE & CACHE
@@ -134,7 +140,24 @@ const portalTranslations = {
         processing_payment: 'Traitement du paiement...',
         payment_required: 'Paiement requis',
         pay_return_fee: 'Payer les frais de retour',
-        secure_payment: 'Paiement sécurisé'
+        secure_payment: 'Paiement sécurisé',
+        resolution: 'Que souhaitez-vous ?',
+        resolution_refund: 'Remboursement',
+        resolution_exchange: 'Échange',
+        replacement_item: 'Article de remplacement',
+        same_item: 'Même article',
+        instant_exchange: 'Recevoir l\'échange tout de suite',
+        instant_exchange_desc: 'Nous expédions le remplacement sans attendre votre retour. Une empreinte bancaire est prise et libérée à réception de l\'article retourné.',
+        authorize_hold: 'Autoriser l\'empreinte bancaire',
+        exchange_created: 'Votre article de remplacement est réservé.',
+        exchange_shipped: 'Votre article de remplacement est en cours d\'expédition.',
+        exchange_unavailable: 'L\'échange n\'a pas pu être créé, votre retour sera remboursé.',
+        returnless_title: 'Inutile de nous renvoyer l\'article',
+        returnless_keep: 'Gardez-le',
+        returnless_keep_desc: 'Remboursé sans retour, vous conservez l\'article.',
+        returnless_donate: 'Donnez-le',
+        returnless_donate_desc: 'Remboursé sans retour, offrez l\'article à une association.',
+        returnless_success: 'Aucun renvoi nécessaire : votre remboursement est en cours.'
     },
     en: {
         portal_title: 'Returns Portal',
@@ -199,7 +222,24 @@ const portalTranslations = {
         processing_payment: 'Processing payment...',
         payment_required: 'Payment required',
         pay_return_fee: 'Pay return fee',
-        secure_payment: 'Secure payment'
+        secure_payment: 'Secure payment',
+        resolution: 'What would you like?',
+        resolution_refund: 'Refund',
+        resolution_exchange: 'Exchange',
+        replacement_item: 'Replacement item',
+        same_item: 'Same item',
+        instant_exchange: 'Get the exchange right away',
+        instant_exchange_desc: 'We ship the replacement without waiting for your return. A card hold is placed and released once the returned item is received.',
+        authorize_hold: 'Authorize card hold',
+        exchange_created: 'Your replacement item is reserved.',
+        exchange_shipped: 'Your replacement item is on its way.',
+        exchange_unavailable: 'The exchange could not be created, your return will be refunded.',
+        returnless_title: 'No need to send it back',
+        returnless_keep: 'Keep it',
+        returnless_keep_desc: 'Refunded without a return, keep the item.',
+        returnless_donate: 'Donate it',
+        returnless_donate_desc: 'Refunded without a return, give the item to a charity.',
+        returnless_success: 'No need to ship anything back: your refund is on its way.'
     }
 };
 
@@ -210,6 +250,11 @@ const portalTranslations = {
 class ReturnsPortalService {
     constructor() {
         this.templateCache = new Map();
+        this.addressValidation = new AddressValidationService({ db });
+        this.rma = new RmaStateMachine({ db });
+        this.exchanges = new ExchangeService({ db, payments: this });
+        this.risk = new ReturnRiskService({ db });
+        this.returnless = new ReturnlessService({ db });
     }
 
     // ----------------------------------------
@@ -262,6 +307,19 @@ class ReturnsPortalService {
             // Refund options
             refund_methods: ['original_payment', 'store_credit'],
             default_refund_method: 'original_payment',
+
+            // Exchanges (instant : expédié avant réception, contre empreinte bancaire)
+            allow_exchange: true,
+            instant_exchange: false,
+
+            // Fraud scoring (score 0-100 : revue manuelle puis blocage au-delà des seuils)
+            fraud_scoring_enabled: true,
+            fraud_review_threshold: 40,
+            fraud_block_threshold: 80,
+            fraud_high_value_amount: 300,
+
+            // Returnless refunds (« gardez-le » / don) : articles à faible valeur, coûts évités par retour
+            ...DEFAULT_RETURNLESS_RULES,
             
             // QR code / paperless options
             enable_qr_code: true,
@@ -282,8 +340,12 @@ class ReturnsPortalService {
                 organization_id, enabled, return_window_days, auto_approve, require_photos,
                 allow_partial_returns, methods, restocking_fee_percent, free_return_threshold,
                 return_carriers, default_carrier, custom_reasons, refund_methods, default_refund_method,
-                enable_qr_code, enable_label_in_box, custom_css, terms_url, privacy_url
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+                enable_qr_code, enable_label_in_box, custom_css, terms_url, privacy_url,
+                allow_exchange, instant_exchange, fraud_scoring_enabled, fraud_review_threshold,
+                fraud_block_threshold, fraud_high_value_amount, returnless_enabled, returnless_max_item_value,
+                returnless_reasons, returnless_max_per_year, returnless_options, return_label_cost, return_handling_cost
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+                $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32)
             ON CONFLICT (organization_id) DO UPDATE SET
                 enabled = EXCLUDED.enabled,
                 return_window_days = EXCLUDED.return_window_days,
@@ -303,6 +365,19 @@ class ReturnsPortalService {
                 custom_css = EXCLUDED.custom_css,
                 terms_url = EXCLUDED.terms_url,
                 privacy_url = EXCLUDED.privacy_url,
+                allow_exchange = EXCLUDED.allow_exchange,
+                instant_exchange = EXCLUDED.instant_exchange,
+                fraud_scoring_enabled = EXCLUDED.fraud_scoring_enabled,
+                fraud_review_threshold = EXCLUDED.fraud_review_threshold,
+                fraud_block_threshold = EXCLUDED.fraud_block_threshold,
+                fraud_high_value_amount = EXCLUDED.fraud_high_value_amount,
+                returnless_enabled = EXCLUDED.returnless_enabled,
+                returnless_max_item_value = EXCLUDED.returnless_max_item_value,
+                returnless_reasons = EXCLUDED.returnless_reasons,
+                returnless_max_per_year = EXCLUDED.returnless_max_per_year,
+                returnless_options = EXCLUDED.returnless_options,
+                return_label_cost = EXCLUDED.return_label_cost,
+                return_handling_cost = EXCLUDED.return_handling_cost,
                 updated_at = NOW()
         `, [
             orgId, config.enabled, config.return_window_days, config.auto_approve,
@@ -310,7 +385,16 @@ class ReturnsPortalService {
             config.restocking_fee_percent, config.free_return_threshold,
             config.return_carriers, config.default_carrier, JSON.stringify(config.custom_reasons),
             config.refund_methods, config.default_refund_method, config.enable_qr_code,
-            config.enable_label_in_box, config.custom_css, config.terms_url, config.privacy_url
+            config.enable_label_in_box, config.custom_css, config.terms_url, config.privacy_url,
+            config.allow_exchange !== false, !!config.instant_exchange,
+            config.fraud_scoring_enabled !== false, config.fraud_review_threshold ?? 40,
+            config.fraud_block_threshold ?? 80, config.fraud_high_value_amount ?? 300,
+            !!config.returnless_enabled, config.returnless_max_item_value ?? DEFAULT_RETURNLESS_RULES.returnless_max_item_value,
+            config.returnless_reasons ?? DEFAULT_RETURNLESS_RULES.returnless_reasons,
+            config.returnless_max_per_year ?? DEFAULT_RETURNLESS_RULES.returnless_max_per_year,
+            config.returnless_options ?? DEFAULT_RETURNLESS_RULES.returnless_options,
+            config.return_label_cost ?? DEFAULT_RETURNLESS_RULES.return_label_cost,
+            config.return_handling_cost ?? DEFAULT_RETURNLESS_RULES.return_handling_cost
         ]);
 
         await redis.del(`returns_portal:${orgId}`);
@@ -385,8 +469,10 @@ class ReturnsPortalService {
                             order.shipped_at ? new Date(order.shipped_at) : 
                             new Date(order.created_at);
         
-        const returnDeadline = new Date(deliveryDate);
-        returnDeadline.setDate(returnDeadline.getDate() + portalConfig.return_window_days);
+        // Délai de retour reporté au jour ouvré suivant (week-end, férié du pays de livraison)
+        const windowEnd = new Date(deliveryDate);
+        windowEnd.setDate(windowEnd.getDate() + portalConfig.return_window_days);
+        const returnDeadline = shiftWorkingDays(windowEnd, 0, countryCalendar(order.shipping_address?.country || 'FR'));
         
         const now = new Date();
         const isWithinReturnWindow = now <= returnDeadline;
@@ -420,7 +506,9 @@ class ReturnsPortalService {
             returnMethod,
             refundMethod,
             comments,
-            photos
+            photos,
+            pickupAddress,
+            returnlessOption
         } = requestData;
 
         const portalConfig = await this.getPortalConfig(orgId);
@@ -429,16 +517,44 @@ class ReturnsPortalService {
         const order = await this.getOrderById(orderId);
         if (!order) throw new Error('Order not found');
 
+        // Adresse d'enlèvement du client (par défaut l'adresse de livraison de la commande)
+        const addressCheck = await this.addressValidation.assertValid(pickupAddress || order.shipping_address || {});
+
         // Calculate refund
         const refundCalculation = this.calculateRefund(items, order, portalConfig, returnMethod);
 
-        // Generate RMA ID
-        const rmaId = this.generateRMAId();
+        // Score de risque : approbation automatique seulement sous le seuil de revue
+        const risk = await this.risk.assess(orgId, {
+            customerEmail,
+            order,
+            items,
+            photos: photos || [],
+            pickupAddress: addressCheck.address,
+            portalConfig
+        });
+        if (risk.decision === 'block') {
+            await this.risk.recordAssessment(orgId, { orderId, customerEmail: customerEmail || order.customer_email, assessment: risk });
+            throw new ReturnRiskError('This return cannot be processed online, please contact customer support', 'RETURN_BLOCKED');
+        }
+
+        // Remboursement sans retour : règles revérifiées avec le score de la demande (photos comprises)
+        const returnless = returnMethod === 'returnless'
+            ? await this.returnless.assertEligible(orgId, { option: returnlessOption, customerEmail, order, items, risk, portalConfig })
+            : null;
+
+        const autoApprove = (portalConfig.auto_approve || !!returnless) && risk.decision === 'approve';
+        const rmaNumber = generateRmaNumber();
+        const { status, history } = this.rma.initialState({
+            autoApprove,
+            notes: risk.decision === 'review' ? `Revue manuelle requise (score de risque ${risk.score})`
+                : returnless ? `Remboursement sans retour (${returnlessOption === 'donate' ? 'don' : 'article conservé'})`
+                    : undefined
+        });
 
         // Create return record
         const returnRecord = {
             id: uuidv4(),
-            rma_id: rmaId,
+            rma_number: rmaNumber,
             organization_id: orgId,
             order_id: orderId,
             order_number: orderNumber,
@@ -451,6 +567,7 @@ class ReturnsPortalService {
             refund_method: refundMethod || portalConfig.default_refund_method,
             comments,
             photos: photos || [],
+            pickup_address: { name: order.customer_name || order.shipping_address?.name, ...addressCheck.address },
             
             // Financial
             original_amount: refundCalculation.originalAmount,
@@ -459,32 +576,52 @@ class ReturnsPortalService {
             estimated_refund: refundCalculation.totalRefund,
             
             // Status
-            status: portalConfig.auto_approve ? 'approved' : 'pending_approval',
+            status,
+            status_history: history,
+            
+            // Risk
+            risk_score: risk.score,
+            risk_decision: risk.decision,
+            photo_hashes: risk.photoHashes,
+            pickup_address_key: risk.addressKey,
+            
+            // Returnless (aucune étiquette : coûts évités enregistrés pour le rapport d'économies)
+            returnless: !!returnless,
+            returnless_option: returnless ? returnlessOption : null,
+            returnless_label_cost: returnless ? returnless.savings.labelCost : null,
+            returnless_handling_cost: returnless ? returnless.savings.handlingCost : null,
             
             // Dates
             created_at: new Date().toISOString(),
-            approved_at: portalConfig.auto_approve ? new Date().toISOString() : null
+            approved_at: autoApprove ? new Date().toISOString() : null
         };
 
         await db.query(`
             INSERT INTO returns (
-                id, rma_id, organization_id, order_id, order_number, customer_email,
+                id, rma_number, organization_id, order_id, order_number, customer_email,
                 items, return_method, refund_method, comments, photos,
                 original_amount, restocking_fee, shipping_fee, estimated_refund,
-                status, created_at, approved_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                status, status_history, created_at, approved_at, pickup_address,
+                risk_score, risk_decision, photo_hashes, pickup_address_key,
+                returnless, returnless_option, returnless_label_cost, returnless_handling_cost
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24,
+                $25, $26, $27, $28)
         `, [
-            returnRecord.id, returnRecord.rma_id, returnRecord.organization_id,
+            returnRecord.id, returnRecord.rma_number, returnRecord.organization_id,
             returnRecord.order_id, returnRecord.order_number, returnRecord.customer_email,
             JSON.stringify(returnRecord.items), returnRecord.return_method, returnRecord.refund_method,
             returnRecord.comments, JSON.stringify(returnRecord.photos),
             returnRecord.original_amount, returnRecord.restocking_fee, returnRecord.shipping_fee,
-            returnRecord.estimated_refund, returnRecord.status, returnRecord.created_at,
-            returnRecord.approved_at
+            returnRecord.estimated_refund, returnRecord.status, JSON.stringify(returnRecord.status_history), returnRecord.created_at,
+            returnRecord.approved_at, JSON.stringify(returnRecord.pickup_address),
+            returnRecord.risk_score, returnRecord.risk_decision, JSON.stringify(returnRecord.photo_hashes),
+            returnRecord.pickup_address_key, returnRecord.returnless, returnRecord.returnless_option,
+            returnRecord.returnless_label_cost, returnRecord.returnless_handling_cost
         ]);
+        await this.risk.recordAssessment(orgId, { returnId: returnRecord.id, orderId, customerEmail: customerEmail || order.customer_email, assessment: risk });
 
-        // If auto-approved and no payment needed, generate label
-        if (portalConfig.auto_approve && refundCalculation.shippingFee === 0) {
+        // If auto-approved and no payment needed, generate label (none for returnless refunds)
+        if (autoApprove && !returnless && refundCalculation.shippingFee === 0) {
             await this.generateReturnLabel(returnRecord.id);
         }
 
@@ -497,6 +634,71 @@ class ReturnsPortalService {
         };
     }
 
+    // ----------------------------------------
+    // EXCHANGES
+    // ----------------------------------------
+
+    /**
+     * Articles de remplacement proposés pour un article retourné
+     */
+    async getExchangeOptions(orgId, { sku, search }) {
+        const portalConfig = await this.getPortalConfig(orgId);
+        if (portalConfig.allow_exchange === false) {
+            throw new ExchangeError('Exchanges are not available', 'EXCHANGE_DISABLED', 403);
+        }
+        return this.exchanges.getExchangeOptions(orgId, { sku, search });
+    }
+
+    /**
+     * Échange demandé depuis le portail ; l'échange instantané n'est proposé que si le portail l'active
+     * et que le retour est déjà approuvé (sinon échange standard, expédié à réception)
+     */
+    async requestExchange(orgId, { returnId, items, instant }) {
+        const portalConfig = await this.getPortalConfig(orgId);
+        if (portalConfig.allow_exchange === false) {
+            throw new ExchangeError('Exchanges are not available', 'EXCHANGE_DISABLED', 403);
+        }
+
+        const returnRecord = await this.getReturnById(returnId);
+        if (!returnRecord || returnRecord.organization_id !== orgId) {
+            throw new ExchangeError('Return not found', 'RETURN_NOT_FOUND', 404);
+        }
+
+        const holdAllowed = !!(portalConfig.instant_exchange && stripe)
+            && INSTANT_EXCHANGE_STATUSES.includes(normalizeStatus(returnRecord.status));
+
+        const result = await this.exchanges.createExchange(orgId, returnId, {
+            items,
+            instant: !!instant && holdAllowed,
+            actor: 'customer'
+        });
+
+        await db.query(
+            "UPDATE returns SET refund_method = 'exchange', updated_at = NOW() WHERE id = $1",
+            [returnId]
+        );
+
+        return result;
+    }
+
+    /**
+     * Remboursement sans retour proposé au client avant l'envoi de la demande (options keep / donate)
+     */
+    async checkReturnless(orgId, { orderId, customerEmail, items }) {
+        const portalConfig = await this.getPortalConfig(orgId);
+        const order = await this.getOrderById(orderId);
+        if (!order || order.organization_id !== orgId) throw new Error('Order not found');
+
+        const risk = await this.risk.assess(orgId, { customerEmail, order, items, portalConfig });
+        const evaluation = await this.returnless.evaluate(orgId, { customerEmail, order, items, risk, portalConfig });
+
+        return {
+            eligible: evaluation.eligible,
+            options: evaluation.options,
+            refundCalculation: evaluation.eligible ? this.calculateRefund(items, order, portalConfig, 'returnless') : null
+        };
+    }
+
     calculateRefund(items, order, portalConfig, returnMethod) {
         // Calculate original amount
         let originalAmount = 0;
@@ -507,9 +709,9 @@ class ReturnsPortalService {
             }
         });
 
-        // Calculate restocking fee
+        // Calculate restocking fee (none when the item is not sent back)
         let restockingFee = 0;
-        if (portalConfig.restocking_fee_percent > 0) {
+        if (portalConfig.restocking_fee_percent > 0 && returnMethod !== 'returnless') {
             // Check if reason warrants restocking fee
             const hasCustomerReason = items.some(item => 
                 ['CHANGED_MIND', 'BETTER_PRICE'].includes(item.reasonCode)
@@ -557,6 +759,9 @@ class ReturnsPortalService {
         const returnRecord = await this.getReturnById(returnId);
         if (!returnRecord) throw new Error('Return not found');
 
+        // Retour approuvé et frais de retour réglés, avant tout appel transporteur
+        this.rma.assertTransition(returnRecord, 'create_label');
+
         const portalConfig = await this.getPortalConfig(returnRecord.organization_id);
         const order = await this.getOrderById(returnRecord.order_id);
 
@@ -565,17 +770,19 @@ class ReturnsPortalService {
 
         // Generate label with carrier
         const carrier = portalConfig.default_carrier;
+        const pickup = returnRecord.pickup_address || order.shipping_address || {};
         const labelData = await this.createCarrierLabel(carrier, {
             sender: {
-                name: order.customer_name || order.shipping_address?.name,
-                address1: order.shipping_address?.address1,
-                city: order.shipping_address?.city,
-                postalCode: order.shipping_address?.postalCode || order.shipping_address?.postal_code,
-                country: order.shipping_address?.country || 'FR',
+                name: pickup.name || order.customer_name,
+                address1: pickup.address1,
+                address2: pickup.address2,
+                city: pickup.city,
+                postalCode: pickup.postalCode || pickup.postal_code,
+                country: pickup.country || 'FR',
                 email: order.customer_email
             },
             recipient: returnAddress,
-            reference: returnRecord.rma_id,
+            reference: returnRecord.rma_number,
             weight: this.estimateReturnWeight(returnRecord.items)
         });
 
@@ -585,18 +792,16 @@ class ReturnsPortalService {
             qrCodeUrl = await this.generateQRCode(labelData.trackingNumber, carrier);
         }
 
-        // Update return record
-        await db.query(`
-            UPDATE returns SET
-                carrier = $1,
-                tracking_number = $2,
-                label_url = $3,
-                qr_code_url = $4,
-                status = 'label_created',
-                label_created_at = NOW(),
-                updated_at = NOW()
-            WHERE id = $5
-        `, [carrier, labelData.trackingNumber, labelData.labelUrl, qrCodeUrl, returnId]);
+        await this.rma.transition(returnId, 'create_label', {
+            current: returnRecord,
+            notes: `Étiquette ${carrier} créée: ${labelData.trackingNumber}`,
+            changes: {
+                carrier,
+                tracking_number: labelData.trackingNumber,
+                label_url: labelData.labelUrl,
+                qr_code_url: qrCodeUrl
+            }
+        });
 
         return {
             trackingNumber: labelData.trackingNumber,
@@ -628,12 +833,44 @@ class ReturnsPortalService {
     // PAYMENT PROCESSING
     // ----------------------------------------
 
-    async createPaymentIntent(returnId) {
+    /**
+     * @param {Object} [options.hold] empreinte d'un échange instantané ({ amount, exchangeId }) :
+     * autorisée sans débit (capture manuelle), libérée à réception de l'article d'origine
+     */
+    async createPaymentIntent(returnId, { hold } = {}) {
         if (!stripe) throw new Error('Stripe not configured');
 
         const returnRecord = await this.getReturnById(returnId);
         if (!returnRecord) throw new Error('Return not found');
 
+        if (hold) {
+            // Client Stripe et carte conservée : l'empreinte doit pouvoir être renouvelée hors session
+            const customer = await stripe.customers.create({
+                email: returnRecord.customer_email || undefined,
+                metadata: { returnId: returnRecord.id }
+            });
+            const holdIntent = await stripe.paymentIntents.create({
+                amount: Math.round(hold.amount * 100), // cents
+                currency: 'eur',
+                capture_method: 'manual',
+                customer: customer.id,
+                setup_future_usage: 'off_session',
+                metadata: {
+                    returnId: returnRecord.id,
+                    rmaNumber: returnRecord.rma_number,
+                    orderId: returnRecord.order_id,
+                    exchangeId: hold.exchangeId,
+                    purpose: 'exchange_hold'
+                }
+            });
+
+            return {
+                clientSecret: holdIntent.client_secret,
+                amount: hold.amount,
+                paymentIntentId: holdIntent.id
+            };
+        }
+
         if (returnRecord.shipping_fee <= 0) {
             throw new Error('No payment required');
         }
@@ -643,7 +880,7 @@ class ReturnsPortalService {
             currency: 'eur',
             metadata: {
                 returnId: returnRecord.id,
-                rmaId: returnRecord.rma_id,
+                rmaNumber: returnRecord.rma_number,
                 orderId: returnRecord.order_id
             }
         });
@@ -687,23 +924,76 @@ class ReturnsPortalService {
         return await this.generateReturnLabel(returnId);
     }
 
+    // Empreinte bancaire (échange instantané)
+
+    async verifyPaymentHold(paymentIntentId) {
+        if (!stripe) throw new Error('Stripe not configured');
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        if (paymentIntent.status !== 'requires_capture') {
+            throw new Error('Card hold not authorized');
+        }
+        return paymentIntent;
+    }
+
+    /**
+     * Renouveler une empreinte avant son expiration : nouvelle autorisation hors session sur la même carte,
+     * puis annulation de l'ancienne
+     */
+    async reauthorizePaymentHold(paymentIntentId) {
+        if (!stripe) throw new Error('Stripe not configured');
+
+        const previous = await stripe.paymentIntents.retrieve(paymentIntentId);
+        if (!previous.customer || !previous.payment_method) {
+            throw new Error('Card hold cannot be renewed off session');
+        }
+
+        const holdIntent = await stripe.paymentIntents.create({
+            amount: previous.amount,
+            currency: previous.currency,
+            capture_method: 'manual',
+            customer: previous.customer,
+            payment_method: previous.payment_method,
+            off_session: true,
+            confirm: true,
+            metadata: previous.metadata
+        });
+        if (holdIntent.status !== 'requires_capture') {
+            throw new Error('Card hold not authorized');
+        }
+
+        await stripe.paymentIntents.cancel(paymentIntentId);
+
+        return { paymentIntentId: holdIntent.id, amount: previous.amount / 100 };
+    }
+
+    async releasePaymentHold(paymentIntentId) {
+        if (!stripe) throw new Error('Stripe not configured');
+        return stripe.paymentIntents.cancel(paymentIntentId);
+    }
+
+    async capturePaymentHold(paymentIntentId) {
+        if (!stripe) throw new Error('Stripe not configured');
+        return stripe.paymentIntents.capture(paymentIntentId);
+    }
+
     // ----------------------------------------
     // RETURN STATUS & TRACKING
     // ----------------------------------------
 
-    async getReturnStatus(rmaId) {
+    async getReturnStatus(rmaNumber) {
         const result = await db.query(`
             SELECT r.*, o.order_number, o.customer_name
             FROM returns r
             LEFT JOIN orders o ON r.order_id = o.id
-            WHERE r.rma_id = $1
-        `, [rmaId]);
+            WHERE r.rma_number = $1
+        `, [rmaNumber]);
 
         return result.rows[0];
     }
 
-    async trackReturn(rmaId) {
-        const returnRecord = await this.getReturnStatus(rmaId);
+    async trackReturn(rmaNumber) {
+        const returnRecord = await this.getReturnStatus(rmaNumber);
         if (!returnRecord) return null;
 
         // Get tracking events from carrier
@@ -717,6 +1007,8 @@ class ReturnsPortalService {
 
         return {
             ...returnRecord,
+            status: normalizeStatus(returnRecord.status),
+            history: readHistory(returnRecord),
             trackingEvents
         };
     }
@@ -798,12 +1090,6 @@ class ReturnsPortalService {
         return Math.max(0.5, totalWeight);
     }
 
-    generateRMAId() {
-        const timestamp = Date.now().toString(36).toUpperCase();
-        const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-        return `RMA-${timestamp}-${random}`;
-    }
-
     getReturnReasons(lang = 'fr') {
         return DEFAULT_RETURN_REASONS[lang] || DEFAULT_RETURN_REASONS.en;
     }
@@ -5,6 +5,11 @@
 
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { gradeOutcome } = require('./return-disposition');
+const { RmaStateMachine, RMA_STATUSES, normalizeStatus, readHistory, generateRmaNumber } = require('./rma-state-machine');
+const { ExchangeService, sameItemExchange } = require('./exchanges');
+const { StoreCreditService } = require('./store-credit');
+const { countryCalendar, shiftWorkingDays } = require('./calendar');
 
 class ReturnsService extends EventEmitter {
     constructor(config = {}) {
@@ -13,6 +18,9 @@ class ReturnsService extends EventEmitter {
         this.carriers = config.carriers;
         this.notifications = config.notifications;
         this.refundService = config.refundService;
+        this.rma = config.rma || new RmaStateMachine({ db: this.db });
+        this.exchanges = config.exchanges || new ExchangeService({ db: this.db });
+        this.storeCredit = config.storeCredit || new StoreCreditService({ db: this.db });
         
         // Configuration des politiques de retour
         this.defaultPolicy = {
@@ -43,25 +51,7 @@ class ReturnsService extends EventEmitter {
             { code: 'OTHER', label: 'Autre raison', category: 'other' }
         ];
 
-        this.returnStatuses = {
-            REQUESTED: { label: 'Demandé', color: '#F59E0B' },
-            PENDING_APPROVAL: { label: 'En attente d\'approbation', color: '#F59E0B' },
-            APPROVED: { label: 'Approuvé', color: '#10B981' },
-            REJECTED: { label: 'Rejeté', color: '#EF4444' },
-            LABEL_CREATED: { label: 'Étiquette créée', color: '#3B82F6' },
-            SHIPPED: { label: 'Expédié', color: '#8B5CF6' },
-            IN_TRANSIT: { label: 'En transit', color: '#8B5CF6' },
-            DELIVERED: { label: 'Reçu à l\'entrepôt', color: '#10B981' },
-            INSPECTING: { label: 'Inspection en cours', color: '#F59E0B' },
-            INSPECTION_PASSED: { label: 'Inspection validée', color: '#10B981' },
-            INSPECTION_FAILED: { label: 'Inspection échouée', color: '#EF4444' },
-            REFUND_PENDING: { label: 'Remboursement en cours', color: '#3B82F6' },
-            REFUNDED: { label: 'Remboursé', color: '#10B981' },
-            EXCHANGED: { label: 'Échangé', color: '#10B981' },
-            STORE_CREDIT: { label: 'Avoir émis', color: '#10B981' },
-            CLOSED: { label: 'Clôturé', color: '#6B7280' },
-            CANCELLED: { label: 'Annulé', color: '#6B7280' }
-        };
+        this.returnStatuses = RMA_STATUSES;
     }
 
     // ==========================================
@@ -83,9 +73,11 @@ class ReturnsService extends EventEmitter {
             throw new Error(validation.reason);
         }
 
+        const { status, history } = this.rma.initialState({ autoApprove: policy.autoApprove });
+
         const returnRequest = {
             id: this.generateId('ret'),
-            rmaNumber: this.generateRMANumber(),
+            rmaNumber: generateRmaNumber(),
             organizationId: order.organizationId,
             orderId: order.id,
             orderNumber: order.orderNumber,
@@ -115,7 +107,7 @@ class ReturnsService extends EventEmitter {
             customerNotes: data.customerNotes,
             internalNotes: data.internalNotes,
             resolution: data.preferredResolution || 'refund', // refund, exchange, store_credit
-            status: policy.autoApprove ? 'APPROVED' : 'PENDING_APPROVAL',
+            status,
             refundAmount: this.calculateRefundAmount(data.items, policy),
             restockingFee: this.calculateRestockingFee(data.items, data.reasonCode, policy),
             shippingRefund: this.shouldRefundShipping(data.reasonCode, policy),
@@ -130,34 +122,19 @@ class ReturnsService extends EventEmitter {
                 paidBy: policy.labelPaidBy
             },
             warehouse: data.warehouseId || await this.getDefaultReturnWarehouse(order.organizationId),
-            timeline: [{
-                status: 'REQUESTED',
-                timestamp: new Date().toISOString(),
-                actor: 'customer',
-                notes: 'Demande de retour créée'
-            }],
+            timeline: history,
             metadata: data.metadata || {},
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
-            expiresAt: this.calculateExpiryDate(policy.returnWindowDays)
+            expiresAt: this.calculateExpiryDate(policy.returnWindowDays, order.shippingAddress?.country)
         };
 
-        // Auto-approve si configuré
-        if (policy.autoApprove) {
-            returnRequest.timeline.push({
-                status: 'APPROVED',
-                timestamp: new Date().toISOString(),
-                actor: 'system',
-                notes: 'Approuvé automatiquement selon la politique de retour'
-            });
-        }
-
         await this.db.query(
-            `INSERT INTO returns (id, rma_number, organization_id, order_id, customer_id, items, reason_code, status, refund_amount, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            `INSERT INTO returns (id, rma_number, organization_id, order_id, customer_id, items, reason_code, status, status_history, refund_amount, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
             [returnRequest.id, returnRequest.rmaNumber, returnRequest.organizationId, returnRequest.orderId,
              returnRequest.customerId, JSON.stringify(returnRequest.items), returnRequest.reasonCode,
-             returnRequest.status, returnRequest.refundAmount, returnRequest.createdAt]
+             returnRequest.status, JSON.stringify(returnRequest.timeline), returnRequest.refundAmount, returnRequest.createdAt]
         );
 
         // Notifications
@@ -170,7 +147,7 @@ class ReturnsService extends EventEmitter {
         this.emit('return:created', returnRequest);
 
         // Auto-générer l'étiquette si approuvé
-        if (returnRequest.status === 'APPROVED' && policy.labelPaidBy === 'merchant') {
+        if (returnRequest.status === 'approved' && policy.labelPaidBy === 'merchant') {
             await this.generateReturnLabel(returnRequest.id);
         }
 
@@ -207,7 +184,7 @@ class ReturnsService extends EventEmitter {
         const existingReturns = order.returns || [];
         for (const item of items) {
             const alreadyReturned = existingReturns
-                .filter(r => r.status !== 'CANCELLED' && r.status !== 'REJECTED')
+                .filter(r => !['cancelled', 'rejected'].includes(normalizeStatus(r.status)))
                 .flatMap(r => r.items)
                 .filter(i => i.sku === item.sku)
                 .reduce((sum, i) => sum + i.quantity, 0);
@@ -227,21 +204,10 @@ class ReturnsService extends EventEmitter {
     async approveReturn(returnId, approvedBy, notes) {
         const returnRequest = await this.getReturn(returnId);
         if (!returnRequest) throw new Error('Retour introuvable');
-        if (returnRequest.status !== 'PENDING_APPROVAL') {
-            throw new Error('Ce retour ne peut pas être approuvé');
-        }
 
-        returnRequest.status = 'APPROVED';
+        await this.applyTransition(returnRequest, 'approve', { actor: approvedBy, notes: notes || 'Retour approuvé' });
         returnRequest.approvedAt = new Date().toISOString();
         returnRequest.approvedBy = approvedBy;
-        returnRequest.timeline.push({
-            status: 'APPROVED',
-            timestamp: new Date().toISOString(),
-            actor: approvedBy,
-            notes: notes || 'Retour approuvé'
-        });
-
-        await this.updateReturn(returnRequest);
 
         // Générer l'étiquette
         const policy = await this.getReturnPolicy(returnRequest.organizationId);
@@ -266,18 +232,10 @@ class ReturnsService extends EventEmitter {
         const returnRequest = await this.getReturn(returnId);
         if (!returnRequest) throw new Error('Retour introuvable');
 
-        returnRequest.status = 'REJECTED';
+        await this.applyTransition(returnRequest, 'reject', { actor: rejectedBy, reason, changes: { rejection_reason: reason } });
         returnRequest.rejectedAt = new Date().toISOString();
         returnRequest.rejectedBy = rejectedBy;
         returnRequest.rejectionReason = reason;
-        returnRequest.timeline.push({
-            status: 'REJECTED',
-            timestamp: new Date().toISOString(),
-            actor: rejectedBy,
-            notes: reason
-        });
-
-        await this.updateReturn(returnRequest);
 
         await this.notifications.send({
             type: 'return_rejected',
@@ -300,6 +258,9 @@ class ReturnsService extends EventEmitter {
         const returnRequest = await this.getReturn(returnId);
         if (!returnRequest) throw new Error('Retour introuvable');
 
+        // Gardes vérifiées avant d'acheter l'étiquette chez le transporteur
+        this.rma.assertTransition(returnRequest, 'create_label');
+
         const order = await this.getOrder(returnRequest.orderId);
         const warehouse = await this.getWarehouse(returnRequest.warehouse);
         const policy = await this.getReturnPolicy(returnRequest.organizationId);
@@ -352,16 +313,11 @@ class ReturnsService extends EventEmitter {
             cost: label.cost,
             paidBy: policy.labelPaidBy
         };
-        returnRequest.status = 'LABEL_CREATED';
-        returnRequest.timeline.push({
-            status: 'LABEL_CREATED',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: `Étiquette ${carrier} créée: ${label.trackingNumber}`
+        await this.applyTransition(returnRequest, 'create_label', {
+            notes: `Étiquette ${carrier} créée: ${label.trackingNumber}`,
+            changes: { return_carrier: carrier, return_tracking_number: label.trackingNumber, return_label_url: label.labelUrl }
         });
 
-        await this.updateReturn(returnRequest);
-
         // Envoyer l'étiquette au client
         await this.notifications.send({
             type: 'return_label_created',
@@ -389,18 +345,10 @@ class ReturnsService extends EventEmitter {
         const returnRequest = await this.getReturn(returnId);
         if (!returnRequest) throw new Error('Retour introuvable');
 
-        returnRequest.status = 'DELIVERED';
+        await this.applyTransition(returnRequest, 'receive', { actor: receivedBy, notes: notes || `Colis reçu - Condition: ${condition}` });
         returnRequest.receivedAt = new Date().toISOString();
         returnRequest.receivedBy = receivedBy;
         returnRequest.receivedCondition = condition; // good, damaged, incomplete
-        returnRequest.timeline.push({
-            status: 'DELIVERED',
-            timestamp: new Date().toISOString(),
-            actor: receivedBy,
-            notes: notes || `Colis reçu - Condition: ${condition}`
-        });
-
-        await this.updateReturn(returnRequest);
 
         // Démarrer l'inspection si nécessaire
         const policy = await this.getReturnPolicy(returnRequest.organizationId);
@@ -419,17 +367,10 @@ class ReturnsService extends EventEmitter {
      */
     async startInspection(returnId) {
         const returnRequest = await this.getReturn(returnId);
-        
-        returnRequest.status = 'INSPECTING';
-        returnRequest.inspectionStartedAt = new Date().toISOString();
-        returnRequest.timeline.push({
-            status: 'INSPECTING',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: 'Inspection en cours'
-        });
+        if (!returnRequest) throw new Error('Retour introuvable');
 
-        await this.updateReturn(returnRequest);
+        await this.applyTransition(returnRequest, 'start_inspection', { notes: 'Inspection en cours' });
+        returnRequest.inspectionStartedAt = new Date().toISOString();
         this.emit('return:inspecting', returnRequest);
         return returnRequest;
     }
@@ -442,6 +383,7 @@ class ReturnsService extends EventEmitter {
         if (!returnRequest) throw new Error('Retour introuvable');
 
         const passed = results.every(r => r.passed);
+        const policy = await this.getReturnPolicy(returnRequest.organizationId);
         
         returnRequest.inspection = {
             completedAt: new Date().toISOString(),
@@ -452,20 +394,22 @@ class ReturnsService extends EventEmitter {
                 condition: r.condition,
                 passed: r.passed,
                 notes: r.notes,
-                photos: r.photos
+                photos: r.photos,
+                // Grade A-D : orientation, emplacement et part remboursée
+                ...(r.grade && gradeOutcome(r.grade, { reasonCode: returnRequest.reason, disposition: r.disposition, grading: policy.grading }))
             }))
         };
 
-        returnRequest.status = passed ? 'INSPECTION_PASSED' : 'INSPECTION_FAILED';
-        returnRequest.timeline.push({
-            status: returnRequest.status,
-            timestamp: new Date().toISOString(),
+        if (returnRequest.inspection.results.some(r => r.grade)) {
+            returnRequest.refundAmount = this.calculateGradedRefund(returnRequest.items, returnRequest.inspection.results);
+        }
+
+        await this.applyTransition(returnRequest, 'inspect', {
             actor: inspectedBy,
-            notes: passed ? 'Inspection validée' : 'Inspection échouée - ' + results.filter(r => !r.passed).map(r => r.notes).join(', ')
+            notes: passed ? 'Inspection validée' : 'Inspection échouée - ' + results.filter(r => !r.passed).map(r => r.notes).join(', '),
+            changes: { refund_amount: returnRequest.refundAmount }
         });
 
-        await this.updateReturn(returnRequest);
-
         if (passed) {
             await this.processResolution(returnId);
         } else {
@@ -507,15 +451,7 @@ class ReturnsService extends EventEmitter {
      * Traiter le remboursement
      */
     async processRefund(returnRequest) {
-        returnRequest.status = 'REFUND_PENDING';
-        returnRequest.timeline.push({
-            status: 'REFUND_PENDING',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: 'Remboursement en cours de traitement'
-        });
-
-        await this.updateReturn(returnRequest);
+        await this.applyTransition(returnRequest, 'request_refund', { notes: 'Remboursement en cours de traitement' });
 
         // Calculer le montant final
         let refundAmount = returnRequest.refundAmount - returnRequest.restockingFee;
@@ -538,16 +474,12 @@ class ReturnsService extends EventEmitter {
             method: refund.method,
             processedAt: new Date().toISOString()
         };
-        returnRequest.status = 'REFUNDED';
-        returnRequest.completedAt = new Date().toISOString();
-        returnRequest.timeline.push({
-            status: 'REFUNDED',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: `Remboursement de ${refundAmount}€ effectué`
+        await this.applyTransition(returnRequest, 'refund', {
+            amount: refundAmount,
+            notes: `Remboursement de ${refundAmount}€ effectué`,
+            changes: { refund_amount: refundAmount, refund_status: 'completed' }
         });
-
-        await this.updateReturn(returnRequest);
+        returnRequest.completedAt = new Date().toISOString();
 
         await this.notifications.send({
             type: 'return_refunded',
@@ -562,24 +494,17 @@ class ReturnsService extends EventEmitter {
      * Traiter l'échange
      */
     async processExchange(returnRequest) {
-        // Créer une nouvelle commande d'échange
+        // Échange choisi par le client (portail), sinon à l'identique ; expédié à réception de l'original
         const exchangeOrder = await this.createExchangeOrder(returnRequest);
+        await this.exchanges.fulfillOnReceipt(returnRequest.organizationId, returnRequest.id);
 
         returnRequest.exchange = {
             orderId: exchangeOrder.id,
             orderNumber: exchangeOrder.orderNumber,
             createdAt: new Date().toISOString()
         };
-        returnRequest.status = 'EXCHANGED';
+        await this.applyTransition(returnRequest, 'exchange', { notes: `Commande d'échange créée: ${exchangeOrder.orderNumber}` });
         returnRequest.completedAt = new Date().toISOString();
-        returnRequest.timeline.push({
-            status: 'EXCHANGED',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: `Commande d'échange créée: ${exchangeOrder.orderNumber}`
-        });
-
-        await this.updateReturn(returnRequest);
 
         await this.notifications.send({
             type: 'return_exchanged',
@@ -596,31 +521,29 @@ class ReturnsService extends EventEmitter {
     async processStoreCredit(returnRequest) {
         const creditAmount = returnRequest.refundAmount - returnRequest.restockingFee;
 
+        // Bonus et expiration selon la politique d'avoir de l'organisation
         const storeCredit = await this.createStoreCredit({
-            customerId: returnRequest.customerId,
+            organizationId: returnRequest.organizationId,
+            customerEmail: returnRequest.customer.email,
             amount: creditAmount,
             reason: `Retour ${returnRequest.rmaNumber}`,
-            returnId: returnRequest.id,
-            expiresAt: this.addMonths(new Date(), 12)
+            returnId: returnRequest.id
         });
 
         returnRequest.storeCredit = {
             id: storeCredit.id,
             code: storeCredit.code,
-            amount: creditAmount,
-            createdAt: new Date().toISOString(),
-            expiresAt: storeCredit.expiresAt
+            amount: parseFloat(storeCredit.balance),
+            bonusAmount: parseFloat(storeCredit.bonus_amount),
+            createdAt: storeCredit.created_at,
+            expiresAt: storeCredit.expires_at
         };
-        returnRequest.status = 'STORE_CREDIT';
-        returnRequest.completedAt = new Date().toISOString();
-        returnRequest.timeline.push({
-            status: 'STORE_CREDIT',
-            timestamp: new Date().toISOString(),
-            actor: 'system',
-            notes: `Avoir de ${creditAmount}€ émis: ${storeCredit.code}`
+        await this.applyTransition(returnRequest, 'issue_store_credit', {
+            amount: creditAmount,
+            notes: `Avoir de ${storeCredit.balance}€ émis: ${storeCredit.code}`,
+            changes: { store_credit_id: storeCredit.id }
         });
-
-        await this.updateReturn(returnRequest);
+        returnRequest.completedAt = new Date().toISOString();
 
         await this.notifications.send({
             type: 'return_store_credit',
@@ -645,12 +568,12 @@ class ReturnsService extends EventEmitter {
         const stats = await this.db.query(`
             SELECT 
                 COUNT(*) as total_returns,
-                SUM(CASE WHEN status = 'REFUNDED' THEN refund_amount ELSE 0 END) as total_refunded,
+                SUM(CASE WHEN status = 'refunded' THEN refund_amount ELSE 0 END) as total_refunded,
                 AVG(EXTRACT(EPOCH FROM (completed_at - created_at))/86400) as avg_processing_days,
-                COUNT(CASE WHEN status = 'REFUNDED' THEN 1 END) as refunded_count,
-                COUNT(CASE WHEN status = 'EXCHANGED' THEN 1 END) as exchanged_count,
-                COUNT(CASE WHEN status = 'STORE_CREDIT' THEN 1 END) as store_credit_count,
-                COUNT(CASE WHEN status = 'REJECTED' THEN 1 END) as rejected_count
+                COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded_count,
+                COUNT(CASE WHEN status = 'exchanged' THEN 1 END) as exchanged_count,
+                COUNT(CASE WHEN status = 'store_credit' THEN 1 END) as store_credit_count,
+                COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count
             FROM returns 
             WHERE organization_id = $1 AND created_at >= $2
         `, [orgId, startDate]);
@@ -717,12 +640,6 @@ class ReturnsService extends EventEmitter {
         return `${prefix}_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
     }
 
-    generateRMANumber() {
-        const timestamp = Date.now().toString(36).toUpperCase();
-        const random = crypto.randomBytes(2).toString('hex').toUpperCase();
-        return `RMA-${timestamp}${random}`;
-    }
-
     getReasonCategory(reasonCode) {
         const reason = this.returnReasons.find(r => r.code === reasonCode);
         return reason?.category || 'other';
@@ -732,6 +649,14 @@ class ReturnsService extends EventEmitter {
         return items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     }
 
+    calculateGradedRefund(items, results) {
+        return items.reduce((sum, item) => {
+            const result = results.find(r => r.itemSku === item.sku && r.grade);
+            const percent = result ? result.refundPercent : 100;
+            return sum + (item.price * item.quantity * percent / 100);
+        }, 0);
+    }
+
     calculateRestockingFee(items, reasonCode, policy) {
         const reason = this.returnReasons.find(r => r.code === reasonCode);
         if (reason?.restockingFee && policy.restockingFeePercent > 0) {
@@ -751,8 +676,12 @@ class ReturnsService extends EventEmitter {
         return Math.max(0.5, items.reduce((sum, item) => sum + (item.weight || 0.3) * item.quantity, 0));
     }
 
-    calculateExpiryDate(days) {
-        return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    /**
+     * Fin du délai de retour, reportée au jour ouvré suivant (week-end, férié du pays du client)
+     */
+    calculateExpiryDate(days, country = 'FR') {
+        const expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        return shiftWorkingDays(expiry, 0, countryCalendar(country || 'FR')).toISOString();
     }
 
     addMonths(date, months) {
@@ -776,13 +705,23 @@ class ReturnsService extends EventEmitter {
         return result.rows[0];
     }
 
-    async updateReturn(returnRequest) {
+    /**
+     * Changement de statut via la machine à états RMA (statut, horodatage et historique)
+     */
+    async applyTransition(returnRequest, event, { actor = 'system', notes, reason, amount, changes = {} } = {}) {
+        const transition = await this.rma.transition(returnRequest.id, event, {
+            orgId: returnRequest.organization_id || returnRequest.organizationId,
+            actor,
+            notes,
+            reason,
+            amount,
+            changes: { items: returnRequest.items, ...changes }
+        });
+
+        returnRequest.status = transition.to;
+        returnRequest.timeline = readHistory(transition.return);
         returnRequest.updatedAt = new Date().toISOString();
-        await this.db.query(
-            'UPDATE returns SET status = $1, items = $2, timeline = $3, updated_at = $4 WHERE id = $5',
-            [returnRequest.status, JSON.stringify(returnRequest.items), JSON.stringify(returnRequest.timeline), 
-             returnRequest.updatedAt, returnRequest.id]
-        );
+        return transition;
     }
 
     async getOrder(orderId) {
@@ -809,13 +748,21 @@ class ReturnsService extends EventEmitter {
     }
 
     async createExchangeOrder(returnRequest) {
-        // Implémentation à adapter selon le système de commandes
-        return { id: this.generateId('ord'), orderNumber: `EXC-${Date.now()}` };
+        const orgId = returnRequest.organizationId;
+        let exchange = await this.exchanges.getExchangeForReturn(orgId, returnRequest.id);
+
+        if (!exchange) {
+            ({ exchange } = await this.exchanges.createExchange(orgId, returnRequest.id, {
+                items: sameItemExchange(returnRequest.items),
+                actor: 'system'
+            }));
+        }
+
+        return { id: exchange.exchange_order_id, orderNumber: exchange.exchange_order_number, exchangeId: exchange.id };
     }
 
     async createStoreCredit(data) {
-        const code = `SC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
-        return { id: this.generateId('sc'), code, ...data };
+        return this.storeCredit.issueCredit(data.organizationId, { ...data, source: 'return', actor: 'system' });
     }
 }
 
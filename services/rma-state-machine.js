@@ -0,0 +1,283 @@
+/**
+ * Routz v4.0 - RMA State Machine
+ * Cycle de vie unique des retours (portail, API admin, GraphQL) : statuts, transitions
+ * autorisées, gardes, historique horodaté et événements de transition
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ============================================
+// STATUSES & TRANSITIONS
+// ============================================
+
+// timestamp : colonne horodatée à l'entrée dans le statut
+const RMA_STATUSES = {
+    pending_approval: { label: 'En attente d\'approbation', color: '#F59E0B', timestamp: 'requested_at' },
+    approved: { label: 'Approuvé', color: '#10B981', timestamp: 'approved_at' },
+    rejected: { label: 'Rejeté', color: '#EF4444', timestamp: 'rejected_at' },
+    label_created: { label: 'Étiquette créée', color: '#3B82F6', timestamp: 'label_created_at' },
+    in_transit: { label: 'En transit', color: '#8B5CF6', timestamp: 'shipped_at' },
+    received: { label: 'Reçu à l\'entrepôt', color: '#10B981', timestamp: 'received_at' },
+    inspecting: { label: 'Inspection en cours', color: '#F59E0B', timestamp: 'inspection_started_at' },
+    inspected: { label: 'Inspecté', color: '#10B981', timestamp: 'inspected_at' },
+    refund_pending: { label: 'Remboursement en cours', color: '#3B82F6', timestamp: null },
+    refunded: { label: 'Remboursé', color: '#10B981', timestamp: 'refunded_at' },
+    exchanged: { label: 'Échangé', color: '#10B981', timestamp: 'exchanged_at' },
+    store_credit: { label: 'Avoir émis', color: '#10B981', timestamp: 'store_credit_at' },
+    closed: { label: 'Clôturé', color: '#6B7280', timestamp: 'closed_at' },
+    cancelled: { label: 'Annulé', color: '#6B7280', timestamp: 'cancelled_at' }
+};
+
+// Statuts des anciennes implémentations (returns.js en majuscules, returns-advanced.js) -> statut canonique
+const LEGACY_STATUSES = {
+    requested: 'pending_approval',
+    shipped: 'in_transit',
+    delivered: 'received',
+    inspection_passed: 'inspected',
+    inspection_failed: 'inspected',
+    processed: 'inspected'
+};
+
+/**
+ * Gardes : renvoient un message d'erreur si la transition est refusée
+ */
+const GUARDS = {
+    reasonRequired: (rma, { reason }) => (reason ? null : 'A rejection reason is required'),
+
+    // Retour payant : l'étiquette n'est émise qu'une fois les frais de retour réglés
+    shippingPaid: (rma) => (parseFloat(rma.shipping_fee) > 0 && rma.payment_status !== 'paid'
+        ? 'Return shipping must be paid before the label is created'
+        : null),
+
+    refundAmount: (rma, { amount }) => {
+        if (amount === undefined || amount === null || isNaN(parseFloat(amount)) || parseFloat(amount) < 0) {
+            return 'A refund amount is required';
+        }
+        const original = parseFloat(rma.original_amount);
+        return original > 0 && parseFloat(amount) > original ? `Refund amount exceeds the returned value (${original})` : null;
+    }
+};
+
+const TRANSITIONS = {
+    approve: { from: ['pending_approval'], to: 'approved' },
+    reject: { from: ['pending_approval', 'approved'], to: 'rejected', guard: GUARDS.reasonRequired },
+    create_label: { from: ['approved'], to: 'label_created', guard: GUARDS.shippingPaid },
+    ship: { from: ['label_created'], to: 'in_transit' },
+    receive: { from: ['approved', 'label_created', 'in_transit'], to: 'received' },
+    start_inspection: { from: ['received'], to: 'inspecting' },
+    inspect: { from: ['approved', 'received', 'inspecting'], to: 'inspected' },
+    request_refund: { from: ['received', 'inspected'], to: 'refund_pending' },
+    // Remboursement avant réception possible (remboursement anticipé d'un retour approuvé)
+    refund: { from: ['approved', 'received', 'inspecting', 'inspected', 'refund_pending'], to: 'refunded', guard: GUARDS.refundAmount },
+    exchange: { from: ['received', 'inspected'], to: 'exchanged' },
+    // Avoir anticipé possible comme le remboursement (retour approuvé, remboursement sans retour)
+    issue_store_credit: { from: ['approved', 'received', 'inspected'], to: 'store_credit', guard: GUARDS.refundAmount },
+    close: { from: ['rejected', 'refunded', 'exchanged', 'store_credit'], to: 'closed' },
+    cancel: { from: ['pending_approval', 'approved', 'label_created'], to: 'cancelled' }
+};
+
+class RmaTransitionError extends Error {
+    constructor(message, code, status = 409, details = null) {
+        super(message);
+        this.name = 'RmaTransitionError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Événements de transition de toutes les instances (API admin, portail, services de retours) :
+ * les webhooks return.* et l'expédition des échanges s'y abonnent une seule fois
+ */
+const rmaEvents = new EventEmitter();
+
+// ============================================
+// HELPERS
+// ============================================
+
+function normalizeStatus(status) {
+    if (!status) return null;
+    const lower = String(status).toLowerCase();
+    return LEGACY_STATUSES[lower] || lower;
+}
+
+function availableEvents(status) {
+    const current = normalizeStatus(status);
+    return Object.keys(TRANSITIONS).filter(event => TRANSITIONS[event].from.includes(current));
+}
+
+function readHistory(rma) {
+    const history = rma.status_history ?? rma.statusHistory ?? [];
+    return typeof history === 'string' ? JSON.parse(history) : history;
+}
+
+/**
+ * Numéro RMA unique, communiqué au client et imprimé sur l'étiquette retour
+ */
+function generateRmaNumber() {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = crypto.randomBytes(2).toString('hex').toUpperCase();
+    return `RMA-${timestamp}${random}`;
+}
+
+// ============================================
+// STATE MACHINE
+// ============================================
+
+class RmaStateMachine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.db = config.db;
+    }
+
+    /**
+     * Statut et historique d'un nouveau retour (approbation automatique selon la politique)
+     */
+    initialState({ autoApprove = false, actor = 'customer', notes } = {}) {
+        const history = [this.historyEntry({ event: 'request', from: null, to: 'pending_approval', actor, notes: notes || 'Demande de retour créée' })];
+
+        if (autoApprove) {
+            history.push(this.historyEntry({
+                event: 'approve',
+                from: 'pending_approval',
+                to: 'approved',
+                actor: 'system',
+                notes: 'Approuvé automatiquement selon la politique de retour'
+            }));
+        }
+
+        return { status: history[history.length - 1].to, history };
+    }
+
+    historyEntry({ event, from, to, actor, notes }) {
+        return { event, from, to, actor: actor || 'system', notes: notes || null, at: new Date().toISOString() };
+    }
+
+    /**
+     * Vérifier qu'un événement est applicable au retour, sans l'appliquer
+     */
+    assertTransition(rma, event, context = {}) {
+        const transition = TRANSITIONS[event];
+        if (!transition) {
+            throw new RmaTransitionError(`Unknown return event ${event}`, 'UNKNOWN_EVENT', 422, { events: Object.keys(TRANSITIONS) });
+        }
+
+        const from = normalizeStatus(rma.status);
+        if (!transition.from.includes(from)) {
+            throw new RmaTransitionError(`Return cannot ${event.replace(/_/g, ' ')} from status ${from}`, 'INVALID_TRANSITION', 409, {
+                from,
+                event,
+                availableEvents: availableEvents(from)
+            });
+        }
+
+        const refusal = transition.guard && transition.guard(rma, context);
+        if (refusal) {
+            throw new RmaTransitionError(refusal, 'GUARD_FAILED', 422, { from, event });
+        }
+
+        return { from, to: transition.to };
+    }
+
+    can(rma, event, context = {}) {
+        try {
+            this.assertTransition(rma, event, context);
+            return true;
+        } catch (error) {
+            if (error.name === 'RmaTransitionError') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Appliquer un événement : statut, horodatage, historique et colonnes associées
+     * @param {Object} options
+     * @param {string} [options.orgId] restreint la recherche à l'organisation
+     * @param {Object} [options.changes] colonnes mises à jour avec le statut
+     * @param {Object} [options.client] client de transaction : l'événement est alors émis par l'appelant après COMMIT (emitTransition)
+     * @param {Object} [options.current] retour déjà chargé par l'appelant
+     */
+    async transition(returnId, event, { orgId, actor, notes, reason, amount, changes = {}, details = null, client, current } = {}) {
+        const db = client || this.db;
+        const rma = current || await this.getReturn(db, returnId, orgId);
+
+        const { from, to } = this.assertTransition(rma, event, { reason, amount });
+        const entry = this.historyEntry({ event, from, to, actor, notes: notes || reason });
+
+        const columns = { ...changes };
+        const sets = ['status = $2', 'status_history = COALESCE(status_history, \'[]\'::jsonb) || $3::jsonb', 'updated_at = NOW()'];
+        const params = [returnId, to, JSON.stringify([entry])];
+
+        if (RMA_STATUSES[to].timestamp && !(RMA_STATUSES[to].timestamp in columns)) {
+            sets.push(`${RMA_STATUSES[to].timestamp} = NOW()`);
+        }
+        for (const [column, value] of Object.entries(columns)) {
+            params.push(value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value);
+            sets.push(`${column} = $${params.length}`);
+        }
+
+        // Mise à jour conditionnelle : un appel concurrent qui a déjà changé le statut l'emporte
+        params.push(rma.status, orgId || rma.organization_id);
+        const result = await db.query(
+            `UPDATE returns SET ${sets.join(', ')} WHERE id = $1 AND status = $${params.length - 1} AND organization_id = $${params.length} RETURNING *`,
+            params
+        );
+        if (result.rows.length === 0) {
+            throw new RmaTransitionError('Return status changed concurrently', 'CONCURRENT_TRANSITION', 409, { from, event });
+        }
+
+        const transition = { return: result.rows[0], event, from, to, entry, details };
+
+        if (!client) this.emitTransition(transition);
+        return transition;
+    }
+
+    emitTransition(transition) {
+        for (const emitter of [this, rmaEvents]) {
+            emitter.emit('transition', transition);
+            emitter.emit(`return:${transition.to}`, transition);
+        }
+    }
+
+    async getReturn(db, returnId, orgId) {
+        if (!orgId) {
+            throw new RmaTransitionError('Organization is required to load a return', 'ORGANIZATION_REQUIRED', 400);
+        }
+
+        const result = await db.query('SELECT * FROM returns WHERE id = $1 AND organization_id = $2', [returnId, orgId]);
+
+        if (!result.rows[0]) {
+            throw new RmaTransitionError('Return not found', 'RETURN_NOT_FOUND', 404);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Historique horodaté et événements applicables
+     */
+    async getHistory(orgId, returnId) {
+        const rma = await this.getReturn(this.db, returnId, orgId);
+        return {
+            returnId: rma.id,
+            rmaNumber: rma.rma_number,
+            status: normalizeStatus(rma.status),
+            availableEvents: availableEvents(rma.status),
+            history: readHistory(rma)
+        };
+    }
+}
+
+module.exports = {
+    RmaStateMachine,
+    RmaTransitionError,
+    rmaEvents,
+    RMA_STATUSES,
+    LEGACY_STATUSES,
+    TRANSITIONS,
+    normalizeStatus,
+    availableEvents,
+    readHistory,
+    generateRmaNumber
+};
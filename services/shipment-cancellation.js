@@ -0,0 +1,248 @@
+/**
+ * Routz v4.0 - Shipment Cancellation Service
+ * Annulation d'expédition : annulation de l'étiquette chez le transporteur (void),
+ * demande de remboursement si non supporté, libération du stock et de l'usage facturé
+ */
+
+const { WarehouseService } = require('./warehouse');
+
+// Statuts d'une expédition pas encore prise en charge par le transporteur
+const CANCELLABLE_STATUSES = ['pending', 'label_created'];
+
+// États de l'annulation côté transporteur
+const VOID_STATUSES = {
+    voided: 'voided',             // étiquette annulée chez le transporteur
+    pending_void: 'pending_void'  // annulation non supportée ou en échec : réclamation de remboursement à suivre
+};
+
+// Transporteurs exposant un endpoint d'annulation
+const CARRIER_VOID = {
+    colissimo: () => {
+        const { ColissimoClient } = require('../connectors/colissimo');
+        return new ColissimoClient();
+    },
+    chronopost: () => {
+        const { ChronopostClient } = require('../connectors/chronopost');
+        return new ChronopostClient();
+    }
+};
+
+const USAGE_METRIC = 'shipmentsPerMonth';
+
+const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+
+class ShipmentCancellationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ShipmentCancellationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class ShipmentCancellationService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.billing = config.billing || null;
+        this.carriers = config.carriers || CARRIER_VOID;
+    }
+
+    // ==========================================
+    // CANCELLATION
+    // ==========================================
+
+    /**
+     * Annuler une expédition non remise au transporteur
+     */
+    async cancel(orgId, shipmentId, { reason = null } = {}) {
+        // Refus rapide sans ouvrir de transaction
+        this.assertCancellable(await this.getShipment(orgId, shipmentId));
+
+        const client = await this.db.connect();
+        let shipment;
+        let cancelled;
+
+        try {
+            await client.query('BEGIN');
+
+            // Ligne verrouillée jusqu'au COMMIT : une annulation concurrente attend,
+            // la clôture de manifeste l'ignore (SKIP LOCKED)
+            shipment = await this.getShipment(orgId, shipmentId, { client, lock: true });
+            this.assertCancellable(shipment);
+
+            // Appel transporteur sous verrou : il ne se rejoue pas, un seul void par expédition
+            const voidResult = await this.voidWithCarrier(shipment);
+
+            const result = await client.query(`
+                UPDATE shipments
+                SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $1,
+                    void_status = $2, void_reference = $3, void_error = $4,
+                    voided_at = CASE WHEN $2 = 'voided' THEN NOW() ELSE NULL END,
+                    next_tracking_poll_at = NULL, updated_at = NOW()
+                WHERE id = $5 AND status = ANY($6) AND manifest_id IS NULL
+                RETURNING *
+            `, [reason, voidResult.status, voidResult.reference, voidResult.error, shipment.id, CANCELLABLE_STATUSES]);
+
+            if (result.rows.length === 0) {
+                throw new ShipmentCancellationError('Shipment was updated during cancellation', 'CANCELLATION_CONFLICT', 409);
+            }
+            cancelled = result.rows[0];
+
+            await client.query(
+                `UPDATE shipment_parcels SET status = 'cancelled' WHERE shipment_id = $1`,
+                [shipment.id]
+            );
+
+            await this.releaseOrder(client, shipment);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await this.reverseUsage(orgId, shipment);
+
+        return cancelled;
+    }
+
+    /**
+     * Relancer l'annulation transporteur, ou la confirmer manuellement
+     * (remboursement obtenu hors API) avec une référence
+     */
+    async resolveVoid(orgId, shipmentId, { reference = null } = {}) {
+        const shipment = await this.getShipment(orgId, shipmentId);
+
+        if (shipment.status !== 'cancelled' || shipment.void_status !== VOID_STATUSES.pending_void) {
+            throw new ShipmentCancellationError('Shipment has no pending void', 'NO_PENDING_VOID', 409);
+        }
+
+        const voidResult = reference
+            ? { status: VOID_STATUSES.voided, reference, error: null }
+            : await this.voidWithCarrier(shipment);
+
+        const result = await this.db.query(`
+            UPDATE shipments
+            SET void_status = $1, void_reference = $2, void_error = $3,
+                voided_at = CASE WHEN $1 = 'voided' THEN NOW() ELSE NULL END, updated_at = NOW()
+            WHERE id = $4
+            RETURNING *
+        `, [voidResult.status, voidResult.reference, voidResult.error, shipment.id]);
+
+        return result.rows[0];
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getShipment(orgId, shipmentId, { client = this.db, lock = false } = {}) {
+        const result = await client.query(
+            `SELECT * FROM shipments WHERE id = $1 AND organization_id = $2${lock ? ' FOR UPDATE' : ''}`,
+            [shipmentId, orgId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new ShipmentCancellationError('Shipment not found', 'SHIPMENT_NOT_FOUND', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    assertCancellable(shipment) {
+        if (shipment.status === 'cancelled') {
+            throw new ShipmentCancellationError('Shipment is already cancelled', 'ALREADY_CANCELLED', 409);
+        }
+        if (shipment.manifest_id) {
+            throw new ShipmentCancellationError('Shipment cannot be cancelled - already manifested', 'ALREADY_MANIFESTED', 409);
+        }
+        if (!CANCELLABLE_STATUSES.includes(shipment.status)) {
+            throw new ShipmentCancellationError('Shipment cannot be cancelled - already shipped', 'ALREADY_SHIPPED', 400);
+        }
+    }
+
+    supportsVoid(carrier) {
+        return Boolean(this.carriers[carrier]);
+    }
+
+    /**
+     * Annulation chez le transporteur ; un échec bascule en pending_void
+     * plutôt que de bloquer l'annulation côté Routz
+     */
+    async voidWithCarrier(shipment) {
+        if (!this.supportsVoid(shipment.carrier)) {
+            return { status: VOID_STATUSES.pending_void, reference: null, error: 'Carrier does not support label void' };
+        }
+
+        try {
+            const carrierClient = this.carriers[shipment.carrier]();
+            for (const trackingNumber of await this.getTrackingNumbers(shipment)) {
+                await carrierClient.cancelShipment(trackingNumber);
+            }
+            return { status: VOID_STATUSES.voided, reference: shipment.tracking_number, error: null };
+        } catch (error) {
+            console.error(`[cancellation] Carrier void failed for ${shipment.id}:`, error.message);
+            return { status: VOID_STATUSES.pending_void, reference: null, error: error.message };
+        }
+    }
+
+    /**
+     * Numéros à annuler : un par colis pour une expédition multi-colis
+     */
+    async getTrackingNumbers(shipment) {
+        if (!(shipment.parcel_count > 1)) return [shipment.tracking_number];
+
+        const result = await this.db.query(
+            'SELECT tracking_number FROM shipment_parcels WHERE shipment_id = $1 ORDER BY parcel_index',
+            [shipment.id]
+        );
+        return result.rows.map(row => row.tracking_number);
+    }
+
+    /**
+     * Libérer le stock réservé à l'expédition et rouvrir la commande d'origine
+     */
+    async releaseOrder(client, shipment) {
+        const items = parseJson(shipment.reserved_items, []);
+        if (shipment.warehouse_id && items.length > 0) {
+            await new WarehouseService(client).releaseInventory(shipment.warehouse_id, items);
+        }
+
+        if (!shipment.order_id) return;
+
+        const order = await client.query(
+            'SELECT id, status FROM orders WHERE id = $1',
+            [shipment.order_id]
+        );
+        if (order.rows.length === 0) return;
+
+        if (order.rows[0].status === 'shipped') {
+            await client.query(
+                `UPDATE orders SET status = 'pending', shipped_at = NULL WHERE id = $1`,
+                [shipment.order_id]
+            );
+        }
+    }
+
+    /**
+     * Décompter l'expédition de l'usage du mois où elle a été créée
+     */
+    async reverseUsage(orgId, shipment) {
+        if (!this.billing) return;
+
+        try {
+            await this.billing.reverseUsage(orgId, USAGE_METRIC, 1, shipment.created_at || new Date());
+        } catch (error) {
+            console.error(`[cancellation] Usage reversal failed for ${shipment.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    ShipmentCancellationService,
+    ShipmentCancellationError,
+    CANCELLABLE_STATUSES,
+    VOID_STATUSES
+};
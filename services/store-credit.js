@@ -0,0 +1,517 @@
+/**
+ * Routz v4.0 - Store Credit Service
+ * Registre des avoirs : émission (bonus pour préférer l'avoir au remboursement), solde par client,
+ * expiration, utilisation par les connecteurs e-commerce et publication en carte cadeau / code promo
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { EcommerceService, ShopifyConnector, WooCommerceConnector } = require('../connectors/ecommerce');
+const { countryCalendar, shiftWorkingDays } = require('./calendar');
+
+// Politique par défaut, surchargeable par organisation (return_policy.store_credit)
+const DEFAULT_POLICY = {
+    bonusPercent: 0,
+    expiryDays: 365,
+    currency: 'EUR'
+};
+
+// Plateformes où l'avoir est publié : carte cadeau Shopify, code promo WooCommerce
+const STORE_CREDIT_PLATFORMS = ['shopify', 'woocommerce'];
+
+class StoreCreditError extends Error {
+    constructor(message, code, status = 422, details = null) {
+        super(message);
+        this.name = 'StoreCreditError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Code d'avoir : alphanumérique, 14 caractères (compatible cartes cadeaux Shopify et coupons WooCommerce)
+ */
+function generateCreditCode() {
+    return `SC${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+class StoreCreditService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.ecommerce = config.ecommerce || new EcommerceService();
+    }
+
+    async getPolicy(orgId) {
+        const result = await this.db.query('SELECT return_policy FROM organizations WHERE id = $1', [orgId]);
+        return { ...DEFAULT_POLICY, ...result.rows[0]?.return_policy?.store_credit };
+    }
+
+    // ----------------------------------------
+    // ISSUE
+    // ----------------------------------------
+
+    /**
+     * Émettre un avoir ; le bonus s'ajoute au montant remboursé
+     * @param {Object} data
+     * @param {number} [data.bonusPercent] défaut : politique de l'organisation
+     * @param {number} [data.expiresInDays] défaut : politique de l'organisation (0 = sans expiration)
+     * @param {string} [data.country] pays du client : une échéance un jour non ouvré est reportée au jour ouvré suivant
+     * @param {Object} [data.client] transaction de l'appelant : ni COMMIT ni publication, l'appelant publie après COMMIT (publishCredit)
+     */
+    async issueCredit(orgId, { customerEmail, amount, bonusPercent, currency, expiresInDays, country = 'FR', returnId, reason, source = 'return', actor, publish = true, client: transaction }) {
+        if (!customerEmail) {
+            throw new StoreCreditError('Customer email is required', 'INVALID_CUSTOMER');
+        }
+        if (!(parseFloat(amount) > 0)) {
+            throw new StoreCreditError('Credit amount must be positive', 'INVALID_AMOUNT');
+        }
+
+        const policy = await this.getPolicy(orgId);
+        const base = round(parseFloat(amount));
+        const bonus = round(base * (bonusPercent ?? policy.bonusPercent) / 100);
+        const total = round(base + bonus);
+        const days = expiresInDays ?? policy.expiryDays;
+        const expiresAt = days > 0
+            ? shiftWorkingDays(new Date(Date.now() + days * 24 * 60 * 60 * 1000), 0, countryCalendar(country || 'FR'))
+            : null;
+
+        const insertCredit = async (db) => {
+            const result = await db.query(`
+                INSERT INTO store_credits (id, organization_id, customer_email, code, currency, initial_amount, bonus_amount,
+                    balance, status, expires_at, return_id, source, reason, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', $9, $10, $11, $12, $13)
+                RETURNING *
+            `, [
+                uuidv4(), orgId, customerEmail.trim().toLowerCase(), generateCreditCode(), currency || policy.currency,
+                base, bonus, total, expiresAt, returnId || null, source, reason || null, actor || null
+            ]);
+            const created = result.rows[0];
+
+            await this.recordTransaction(db, created, { type: 'issue', amount: base, balanceAfter: base, returnId, actor, notes: reason });
+            if (bonus > 0) {
+                await this.recordTransaction(db, created, { type: 'bonus', amount: bonus, balanceAfter: total, returnId, actor });
+            }
+            return created;
+        };
+
+        if (transaction) return insertCredit(transaction);
+
+        const client = await this.db.connect();
+        let credit;
+
+        try {
+            await client.query('BEGIN');
+            credit = await insertCredit(client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return publish ? this.publishCredit(orgId, credit) : credit;
+    }
+
+    // ----------------------------------------
+    // REDEMPTION
+    // ----------------------------------------
+
+    /**
+     * Utiliser un avoir sur une commande (par code, ou sur le solde du client, avoirs expirant en premier)
+     * Idempotent par orderReference. Seuls les avoirs dans la devise de la commande sont utilisés.
+     * channel : plateforme de la commande ; si l'avoir y est publié, le solde distant est déjà débité par la boutique
+     */
+    async redeem(orgId, { code, customerEmail, amount, currency, orderReference, channel, actor }) {
+        const value = round(parseFloat(amount));
+        if (!(value > 0)) {
+            throw new StoreCreditError('Redemption amount must be positive', 'INVALID_AMOUNT');
+        }
+        if (!orderReference) {
+            throw new StoreCreditError('Order reference is required', 'INVALID_REFERENCE');
+        }
+        if (!code && !customerEmail) {
+            throw new StoreCreditError('Credit code or customer email is required', 'INVALID_CUSTOMER');
+        }
+        if (!currency) {
+            throw new StoreCreditError('Order currency is required', 'INVALID_CURRENCY');
+        }
+
+        const client = await this.db.connect();
+        const redemptions = [];
+
+        try {
+            await client.query('BEGIN');
+
+            // Verrou des avoirs d'abord : une rédemption concurrente de la même commande attend puis voit la première
+            const credits = code
+                ? await client.query(
+                    'SELECT * FROM store_credits WHERE organization_id = $1 AND code = $2 AND currency = $3 FOR UPDATE',
+                    [orgId, code.toUpperCase(), currency.toUpperCase()]
+                )
+                : await client.query(`
+                    SELECT * FROM store_credits
+                    WHERE organization_id = $1 AND customer_email = $2 AND currency = $3
+                    AND status = 'active' AND (expires_at IS NULL OR expires_at > NOW())
+                    ORDER BY expires_at ASC NULLS LAST, created_at ASC
+                    FOR UPDATE
+                `, [orgId, customerEmail.trim().toLowerCase(), currency.toUpperCase()]);
+
+            const previous = await client.query(
+                "SELECT * FROM store_credit_transactions WHERE organization_id = $1 AND type = 'redeem' AND reference = $2",
+                [orgId, orderReference]
+            );
+            if (previous.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { amount: round(-previous.rows.reduce((sum, t) => sum + parseFloat(t.amount), 0)), transactions: previous.rows, replayed: true };
+            }
+
+            if (code) this.assertRedeemable(credits.rows[0]);
+
+            const available = round(credits.rows.reduce((sum, credit) => sum + parseFloat(credit.balance), 0));
+            if (value > available) {
+                throw new StoreCreditError('Insufficient store credit balance', 'INSUFFICIENT_BALANCE', 422, { balance: available });
+            }
+
+            let remaining = value;
+            for (const credit of credits.rows) {
+                if (remaining <= 0) break;
+                const used = round(Math.min(remaining, parseFloat(credit.balance)));
+                const balance = round(parseFloat(credit.balance) - used);
+
+                const updated = await client.query(
+                    'UPDATE store_credits SET balance = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+                    [balance, balance > 0 ? 'active' : 'redeemed', credit.id]
+                );
+                const transaction = await this.recordTransaction(client, credit, {
+                    type: 'redeem', amount: -used, balanceAfter: balance, reference: orderReference, actor, channel
+                });
+
+                redemptions.push({ credit: updated.rows[0], transaction, used });
+                remaining = round(remaining - used);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new StoreCreditError('Order already redeemed', 'ALREADY_REDEEMED', 409, { orderReference });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        for (const { credit, used } of redemptions) {
+            if (credit.external_id && credit.external_platform !== channel) {
+                await this.syncRemoteBalance(orgId, credit, -used);
+            }
+        }
+
+        return { amount: value, transactions: redemptions.map(r => r.transaction), credits: redemptions.map(r => r.credit), replayed: false };
+    }
+
+    assertRedeemable(credit) {
+        if (!credit) {
+            throw new StoreCreditError('Store credit not found', 'CREDIT_NOT_FOUND', 404);
+        }
+        if (credit.status === 'expired' || (credit.expires_at && new Date(credit.expires_at) <= new Date())) {
+            throw new StoreCreditError('Store credit has expired', 'CREDIT_EXPIRED', 409);
+        }
+        if (credit.status === 'voided') {
+            throw new StoreCreditError('Store credit has been voided', 'CREDIT_VOIDED', 409);
+        }
+    }
+
+    /**
+     * Commande annulée / remboursée : les montants utilisés reviennent sur les avoirs
+     */
+    async reverseRedemption(orgId, orderReference, { actor } = {}) {
+        const client = await this.db.connect();
+        const reversals = [];
+
+        try {
+            await client.query('BEGIN');
+
+            const redeemed = await client.query(`
+                SELECT t.*, (SELECT COUNT(*) FROM store_credit_transactions r
+                    WHERE r.store_credit_id = t.store_credit_id AND r.type = 'reversal' AND r.reference = t.reference) AS reversed
+                FROM store_credit_transactions t
+                WHERE t.organization_id = $1 AND t.type = 'redeem' AND t.reference = $2
+            `, [orgId, orderReference]);
+
+            for (const transaction of redeemed.rows.filter(t => parseInt(t.reversed) === 0)) {
+                const amount = round(-parseFloat(transaction.amount));
+                const updated = await client.query(`
+                    UPDATE store_credits
+                    SET balance = balance + $1, status = CASE WHEN status = 'redeemed' THEN 'active' ELSE status END, updated_at = NOW()
+                    WHERE id = $2
+                    RETURNING *
+                `, [amount, transaction.store_credit_id]);
+
+                const credit = updated.rows[0];
+                reversals.push({
+                    credit,
+                    amount,
+                    transaction: await this.recordTransaction(client, credit, {
+                        type: 'reversal', amount, balanceAfter: parseFloat(credit.balance), reference: orderReference, actor
+                    })
+                });
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        for (const { credit, amount } of reversals) {
+            if (credit.external_id) await this.syncRemoteBalance(orgId, credit, amount);
+        }
+
+        return { amount: round(reversals.reduce((sum, r) => sum + r.amount, 0)), transactions: reversals.map(r => r.transaction) };
+    }
+
+    // ----------------------------------------
+    // LIFECYCLE
+    // ----------------------------------------
+
+    async voidCredit(orgId, creditId, { reason, actor } = {}) {
+        const client = await this.db.connect();
+        let credit;
+        let voided;
+
+        try {
+            await client.query('BEGIN');
+
+            // Verrou : une rédemption concurrente attend, puis ne trouve plus de solde
+            credit = await this.getCredit(orgId, creditId, { client, lock: true });
+            if (!['active', 'redeemed'].includes(credit.status)) {
+                throw new StoreCreditError(`Store credit cannot be voided in status ${credit.status}`, 'INVALID_STATUS', 409);
+            }
+
+            const result = await client.query(
+                "UPDATE store_credits SET balance = 0, status = 'voided', updated_at = NOW() WHERE id = $1 RETURNING *",
+                [credit.id]
+            );
+            voided = result.rows[0];
+            await this.recordTransaction(client, credit, {
+                type: 'void', amount: -parseFloat(credit.balance), balanceAfter: 0, actor, notes: reason
+            });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (credit.external_id) {
+            await this.withStore(orgId, credit, (storeId) => this.ecommerce.disableStoreCredit(storeId, credit.external_id));
+        }
+
+        return voided;
+    }
+
+    /**
+     * Tâche planifiée : solde des avoirs échus remis à zéro (les cartes cadeaux / coupons publiés expirent d'eux-mêmes)
+     */
+    async expireCredits() {
+        const result = await this.db.query(`
+            WITH expired AS (
+                UPDATE store_credits s
+                SET status = 'expired', balance = 0, updated_at = NOW()
+                FROM (
+                    SELECT id, balance FROM store_credits
+                    WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= NOW()
+                    FOR UPDATE
+                ) previous
+                WHERE s.id = previous.id
+                RETURNING s.id, s.organization_id, previous.balance
+            )
+            INSERT INTO store_credit_transactions (id, organization_id, store_credit_id, type, amount, balance_after, notes)
+            SELECT gen_random_uuid(), organization_id, id, 'expire', -balance, 0, 'Avoir expiré'
+            FROM expired
+            RETURNING store_credit_id
+        `);
+
+        return { expired: result.rows.length };
+    }
+
+    // ----------------------------------------
+    // QUERIES
+    // ----------------------------------------
+
+    /**
+     * Solde disponible d'un client, par devise, et détail de ses avoirs
+     */
+    async getBalance(orgId, customerEmail) {
+        const result = await this.db.query(`
+            SELECT * FROM store_credits
+            WHERE organization_id = $1 AND customer_email = $2
+            ORDER BY created_at DESC
+        `, [orgId, customerEmail.trim().toLowerCase()]);
+
+        const now = new Date();
+        const balances = {};
+        for (const credit of result.rows) {
+            if (credit.status !== 'active' || (credit.expires_at && new Date(credit.expires_at) <= now)) continue;
+            balances[credit.currency] = round((balances[credit.currency] || 0) + parseFloat(credit.balance));
+        }
+
+        return { customerEmail: customerEmail.trim().toLowerCase(), balances, credits: result.rows };
+    }
+
+    /**
+     * Avoir par identifiant ou code, avec ses mouvements
+     */
+    async getCredit(orgId, idOrCode, { withTransactions = false, client = this.db, lock = false } = {}) {
+        const result = await client.query(
+            `SELECT * FROM store_credits WHERE organization_id = $1 AND (id::text = $2 OR code = UPPER($2))${lock ? ' FOR UPDATE' : ''}`,
+            [orgId, idOrCode]
+        );
+        const credit = result.rows[0];
+        if (!credit) {
+            throw new StoreCreditError('Store credit not found', 'CREDIT_NOT_FOUND', 404);
+        }
+
+        if (withTransactions) {
+            const transactions = await this.db.query(
+                'SELECT * FROM store_credit_transactions WHERE store_credit_id = $1 ORDER BY created_at ASC',
+                [credit.id]
+            );
+            credit.transactions = transactions.rows;
+        }
+        return credit;
+    }
+
+    async recordTransaction(db, credit, { type, amount, balanceAfter, reference, returnId, channel, actor, notes }) {
+        const result = await db.query(`
+            INSERT INTO store_credit_transactions (id, organization_id, store_credit_id, type, amount, balance_after,
+                reference, return_id, channel, created_by, notes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+        `, [
+            uuidv4(), credit.organization_id, credit.id, type, round(amount), round(balanceAfter),
+            reference || null, returnId || null, channel || null, actor || null, notes || null
+        ]);
+        return result.rows[0];
+    }
+
+    // ----------------------------------------
+    // E-COMMERCE PUBLICATION
+    // ----------------------------------------
+
+    /**
+     * Publier l'avoir sur la boutique du marchand ; un échec n'annule pas l'avoir (push_status = failed)
+     */
+    async publishCredit(orgId, credit) {
+        const store = await this.getStoreConnector(orgId);
+        if (!store) return credit;
+
+        const storeId = `${orgId}:${store.platform}`;
+        this.ecommerce.registerStore(storeId, store.connector);
+
+        try {
+            const published = await this.ecommerce.pushStoreCredit(storeId, {
+                code: credit.code,
+                amount: parseFloat(credit.balance),
+                currency: credit.currency,
+                expiresAt: credit.expires_at ? new Date(credit.expires_at).toISOString() : null,
+                customerEmail: credit.customer_email,
+                note: credit.reason || `Avoir ${credit.code}`
+            });
+
+            const result = await this.db.query(`
+                UPDATE store_credits
+                SET external_platform = $1, external_id = $2, push_status = 'pushed', push_error = NULL, updated_at = NOW()
+                WHERE id = $3 RETURNING *
+            `, [store.platform, published.id, credit.id]);
+            return result.rows[0];
+        } catch (error) {
+            console.error(`Error publishing store credit ${credit.code}:`, error.message);
+            const result = await this.db.query(
+                "UPDATE store_credits SET push_status = 'failed', push_error = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+                [error.message, credit.id]
+            );
+            return result.rows[0];
+        }
+    }
+
+    async syncRemoteBalance(orgId, credit, adjustment) {
+        await this.withStore(orgId, credit, (storeId) => this.ecommerce.updateStoreCreditBalance(storeId, credit.external_id, {
+            balance: parseFloat(credit.balance),
+            adjustment,
+            note: `Routz ${credit.code}`
+        }));
+    }
+
+    async withStore(orgId, credit, action) {
+        const store = await this.getStoreConnector(orgId, credit.external_platform);
+        if (!store) return;
+
+        const storeId = `${orgId}:${store.platform}`;
+        this.ecommerce.registerStore(storeId, store.connector);
+        try {
+            await action(storeId);
+        } catch (error) {
+            console.error(`Error syncing store credit ${credit.code}:`, error.message);
+            await this.db.query(
+                "UPDATE store_credits SET push_status = 'out_of_sync', push_error = $1, updated_at = NOW() WHERE id = $2",
+                [error.message, credit.id]
+            );
+        }
+    }
+
+    /**
+     * Boutique de l'organisation : intégration e-commerce active, sinon application Shopify installée
+     */
+    async getStoreConnector(orgId, platform = null) {
+        const platforms = platform ? [platform] : STORE_CREDIT_PLATFORMS;
+        const result = await this.db.query(`
+            SELECT platform, store_url, credentials FROM integrations
+            WHERE organization_id = $1 AND platform = ANY($2) AND enabled = true
+            ORDER BY created_at ASC
+            LIMIT 1
+        `, [orgId, platforms]);
+        const integration = result.rows[0];
+
+        if (integration?.platform === 'woocommerce') {
+            return {
+                platform: 'woocommerce',
+                connector: new WooCommerceConnector({ storeUrl: integration.store_url, ...integration.credentials })
+            };
+        }
+        if (integration?.platform === 'shopify') {
+            return {
+                platform: 'shopify',
+                connector: new ShopifyConnector({ storeUrl: integration.store_url, ...integration.credentials })
+            };
+        }
+
+        if (!platforms.includes('shopify')) return null;
+        const shop = await this.db.query(
+            'SELECT shop_domain, access_token FROM shopify_shops WHERE organization_id = $1 LIMIT 1',
+            [orgId]
+        );
+        if (!shop.rows[0]) return null;
+
+        return {
+            platform: 'shopify',
+            connector: new ShopifyConnector({ storeUrl: `https://${shop.rows[0].shop_domain}`, accessToken: shop.rows[0].access_token })
+        };
+    }
+}
+
+module.exports = {
+    StoreCreditService,
+    StoreCreditError,
+    generateCreditCode,
+    DEFAULT_POLICY
+};
@@ -0,0 +1,461 @@
+/**
+ * Routz v4.0 - Surcharge Tables Service
+ * Tables de surcharges versionnées (carburant, zones difficiles, hors normes, samedi...)
+ * avec dates d'effet, import CSV et recherche historique
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+const ACCESSORIAL_CODES = ['residential', 'remote_area', 'oversize', 'overweight_per_kg', 'saturday', 'cod'];
+
+// Valeurs appliquées quand aucune table n'est en vigueur pour le transporteur
+const DEFAULT_ACCESSORIALS = {
+    residential: 3.50,
+    remote_area: 8.00,
+    oversize: 15.00,
+    overweight_per_kg: 1.50,
+    saturday: 12.00,
+    cod: 4.50
+};
+
+const DEFAULT_FUEL_PERCENT = {
+    ups: 24.75,
+    fedex: 23.50,
+    dhl: 26.00
+};
+
+// Transporteurs facturant par défaut la zone difficile d'accès (pour les autres, 0 tant qu'une table ne la fixe pas)
+const DEFAULT_REMOTE_AREA_CARRIERS = ['colissimo', 'dhl'];
+
+// Îles du littoral (Ré, Oléron, Yeu, Ouessant, Sein, Batz, Bréhat, Belle-Île, Groix)
+const DEFAULT_REMOTE_POSTAL_CODES = {
+    FR: ['17111', '17190', '17310', '17370', '17410', '17480', '17550', '17580', '17590', '17630', '17650', '17670', '17740', '17840', '17880', '17940', '85350', '29242', '29990', '29253', '22870', '56360', '56590']
+};
+
+const CSV_HEADER = ['carrier', 'valid_from', 'valid_to', 'code', 'value'];
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+class SurchargeTableError extends Error {
+    constructor(message, code, status = 422, errors = []) {
+        super(message);
+        this.name = 'SurchargeTableError';
+        this.code = code;
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+// ==========================================
+// SURCHARGE TABLE SERVICE
+// ==========================================
+
+class SurchargeTableService {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.cache = new Map();
+    }
+
+    // ----------------------------------------
+    // LOOKUP
+    // ----------------------------------------
+
+    /**
+     * Table en vigueur à une date donnée
+     * Priorité : table de l'organisation, puis table globale, puis valeurs par défaut
+     */
+    async getTable(carrier, date = new Date(), orgId = null) {
+        const day = toDay(date);
+        const cacheKey = `${carrier}:${day}:${orgId || 'global'}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.table;
+
+        const result = await this.db.query(`
+            SELECT * FROM surcharge_tables
+            WHERE carrier = $1
+            AND valid_from <= $2
+            AND (valid_to IS NULL OR valid_to >= $2)
+            AND (organization_id = $3 OR organization_id IS NULL)
+            ORDER BY organization_id NULLS LAST, valid_from DESC
+            LIMIT 1
+        `, [carrier, day, orgId]);
+
+        const table = result.rows.length > 0
+            ? this.mapRow(result.rows[0])
+            : getDefaultSurchargeTable(carrier);
+
+        this.cache.set(cacheKey, { table, expiresAt: Date.now() + CACHE_TTL });
+        return table;
+    }
+
+    async getTables(carriers, date = new Date(), orgId = null) {
+        const tables = await Promise.all(carriers.map(carrier => this.getTable(carrier, date, orgId)));
+        return Object.fromEntries(carriers.map((carrier, i) => [carrier, tables[i]]));
+    }
+
+    async listTables(orgId, carrier = null) {
+        const params = [orgId];
+        let query = `
+            SELECT * FROM surcharge_tables
+            WHERE (organization_id = $1 OR organization_id IS NULL)
+        `;
+
+        if (carrier) {
+            params.push(carrier);
+            query += ` AND carrier = $${params.length}`;
+        }
+
+        query += ' ORDER BY carrier, organization_id NULLS FIRST, valid_from DESC';
+
+        const result = await this.db.query(query, params);
+        return result.rows.map(row => this.mapRow(row));
+    }
+
+    // ----------------------------------------
+    // VERSIONING
+    // ----------------------------------------
+
+    /**
+     * Créer une nouvelle version de table
+     * Les champs absents sont repris de la table en vigueur à la date d'effet,
+     * la version précédente est clôturée la veille
+     */
+    async createTable(params) {
+        this.validateTable(params);
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+            const table = await this.insertVersion(client, params);
+            await client.query('COMMIT');
+            this.cache.clear();
+            return table;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Import CSV : carrier,valid_from,valid_to,code,value
+     * Codes : fuel_percent, residential, remote_area, oversize, overweight_per_kg,
+     * saturday, cod, remote_postal_code (valeur "FR:17111" ou "17111")
+     */
+    async importCSV(csv, options = {}) {
+        const { orgId = null, userId = null } = options;
+        const versions = this.parseCSV(csv).map(version => ({ ...version, orgId, userId, source: 'csv' }));
+
+        versions.forEach(version => this.validateTable(version));
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+
+            const tables = [];
+            for (const version of versions.sort((a, b) => a.validFrom.localeCompare(b.validFrom))) {
+                tables.push(await this.insertVersion(client, version));
+            }
+
+            await client.query('COMMIT');
+            this.cache.clear();
+            return tables;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async insertVersion(client, params) {
+        const { carrier, orgId = null, validFrom, source = 'api', userId = null } = params;
+        let { validTo = null } = params;
+
+        // Verrouiller les versions existantes du même périmètre
+        const existing = await client.query(`
+            SELECT * FROM surcharge_tables
+            WHERE carrier = $1 AND organization_id IS NOT DISTINCT FROM $2
+            ORDER BY valid_from
+            FOR UPDATE
+        `, [carrier, orgId]);
+
+        const rows = existing.rows.map(row => this.mapRow(row));
+
+        if (rows.some(row => row.validFrom === validFrom)) {
+            throw new SurchargeTableError(
+                `A ${carrier} surcharge table already starts on ${validFrom}`,
+                'VERSION_EXISTS',
+                409
+            );
+        }
+
+        const previous = rows.filter(row => row.validFrom < validFrom).pop();
+        const next = rows.find(row => row.validFrom > validFrom);
+
+        // Chevauchement avec la version suivante : refusé si la fin est explicite,
+        // sinon la nouvelle version s'arrête la veille
+        if (next && validTo && validTo >= next.validFrom) {
+            throw new SurchargeTableError(
+                `A ${carrier} surcharge table already starts on ${next.validFrom}`,
+                'VERSION_OVERLAP',
+                409,
+                { validTo: addDays(next.validFrom, -1) }
+            );
+        }
+        if (next && !validTo) {
+            validTo = addDays(next.validFrom, -1);
+        }
+
+        // Pas de période sans table entre deux versions
+        const gapBefore = previous?.validTo && previous.validTo < addDays(validFrom, -1);
+        const gapAfter = next && validTo < addDays(next.validFrom, -1);
+        if (gapBefore || gapAfter) {
+            throw new SurchargeTableError(
+                `A ${carrier} surcharge table from ${validFrom} would leave a period without surcharges`,
+                'VERSION_GAP',
+                409,
+                { previousValidTo: previous?.validTo || null, nextValidFrom: next?.validFrom || null }
+            );
+        }
+
+        const current = previous
+            || (orgId ? await this.getTable(carrier, validFrom, null) : getDefaultSurchargeTable(carrier));
+
+        const table = {
+            id: uuidv4(),
+            carrier,
+            organizationId: orgId,
+            version: rows.reduce((max, row) => Math.max(max, row.version || 0), 0) + 1,
+            validFrom,
+            validTo,
+            fuelPercent: params.fuelPercent ?? current.fuelPercent,
+            accessorials: { ...current.accessorials, ...(params.accessorials || {}) },
+            remotePostalCodes: params.remotePostalCodes || current.remotePostalCodes,
+            source
+        };
+
+        await client.query(`
+            UPDATE surcharge_tables SET valid_to = $1
+            WHERE carrier = $2 AND organization_id IS NOT DISTINCT FROM $3
+            AND valid_from < $4 AND (valid_to IS NULL OR valid_to >= $4)
+        `, [addDays(validFrom, -1), carrier, orgId, validFrom]);
+
+        await client.query(`
+            INSERT INTO surcharge_tables (
+                id, organization_id, carrier, version, valid_from, valid_to,
+                fuel_percent, accessorials, remote_postal_codes, source, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+            table.id, orgId, carrier, table.version, validFrom, validTo,
+            table.fuelPercent, JSON.stringify(table.accessorials), JSON.stringify(table.remotePostalCodes),
+            source, userId
+        ]);
+
+        return table;
+    }
+
+    // ----------------------------------------
+    // CSV
+    // ----------------------------------------
+
+    parseCSV(csv) {
+        const lines = String(csv || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length < 2) {
+            throw new SurchargeTableError('CSV file is empty', 'INVALID_CSV');
+        }
+
+        const delimiter = lines[0].includes(';') ? ';' : ',';
+        const header = lines[0].split(delimiter).map(h => h.trim().toLowerCase());
+        const missing = CSV_HEADER.filter(col => !header.includes(col));
+        if (missing.length > 0) {
+            throw new SurchargeTableError(`Missing CSV columns: ${missing.join(', ')}`, 'INVALID_CSV');
+        }
+
+        const errors = [];
+        const versions = new Map();
+
+        lines.slice(1).forEach((line, index) => {
+            const values = line.split(delimiter).map(v => v.trim());
+            const row = Object.fromEntries(header.map((col, i) => [col, values[i] || '']));
+            const lineNumber = index + 2;
+
+            const key = `${row.carrier}|${row.valid_from}|${row.valid_to}`;
+            if (!versions.has(key)) {
+                versions.set(key, {
+                    carrier: row.carrier.toLowerCase(),
+                    validFrom: row.valid_from,
+                    validTo: row.valid_to || null,
+                    accessorials: {}
+                });
+            }
+            const version = versions.get(key);
+
+            if (row.code === 'remote_postal_code') {
+                const [country, postalCode] = row.value.includes(':') ? row.value.split(':') : ['FR', row.value];
+                version.remotePostalCodes = version.remotePostalCodes || {};
+                version.remotePostalCodes[country.toUpperCase()] = [
+                    ...(version.remotePostalCodes[country.toUpperCase()] || []),
+                    postalCode
+                ];
+                return;
+            }
+
+            const value = parseFloat(String(row.value).replace(',', '.'));
+            if (isNaN(value)) {
+                errors.push({ line: lineNumber, message: `Invalid value "${row.value}"` });
+            } else if (row.code === 'fuel_percent') {
+                version.fuelPercent = value;
+            } else if (ACCESSORIAL_CODES.includes(row.code)) {
+                version.accessorials[row.code] = value;
+            } else {
+                errors.push({ line: lineNumber, message: `Unknown surcharge code "${row.code}"` });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new SurchargeTableError('Invalid CSV file', 'INVALID_CSV', 422, errors);
+        }
+
+        return [...versions.values()];
+    }
+
+    validateTable(params) {
+        const errors = [];
+        const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value));
+
+        if (!params.carrier) errors.push({ field: 'carrier', message: 'Carrier is required' });
+        if (!isDay(params.validFrom)) errors.push({ field: 'validFrom', message: 'validFrom must be a YYYY-MM-DD date' });
+        if (params.validTo && !isDay(params.validTo)) errors.push({ field: 'validTo', message: 'validTo must be a YYYY-MM-DD date' });
+        if (isDay(params.validFrom) && isDay(params.validTo) && params.validTo < params.validFrom) {
+            errors.push({ field: 'validTo', message: 'validTo must be on or after validFrom' });
+        }
+        if (params.fuelPercent !== undefined && (typeof params.fuelPercent !== 'number' || params.fuelPercent < 0 || params.fuelPercent > 100)) {
+            errors.push({ field: 'fuelPercent', message: 'fuelPercent must be between 0 and 100' });
+        }
+        Object.entries(params.accessorials || {}).forEach(([code, value]) => {
+            if (!ACCESSORIAL_CODES.includes(code)) {
+                errors.push({ field: `accessorials.${code}`, message: 'Unknown surcharge code' });
+            } else if (typeof value !== 'number' || value < 0) {
+                errors.push({ field: `accessorials.${code}`, message: 'Amount must be a positive number' });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new SurchargeTableError(
+                `Invalid surcharge table${params.carrier ? ` for ${params.carrier} ${params.validFrom}` : ''}`,
+                'VALIDATION_ERROR',
+                422,
+                errors
+            );
+        }
+    }
+
+    // ----------------------------------------
+    // HELPERS
+    // ----------------------------------------
+
+    mapRow(row) {
+        const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+        return {
+            id: row.id,
+            carrier: row.carrier,
+            organizationId: row.organization_id,
+            version: row.version,
+            validFrom: toDay(row.valid_from),
+            validTo: row.valid_to ? toDay(row.valid_to) : null,
+            fuelPercent: parseFloat(row.fuel_percent) || 0,
+            accessorials: { ...defaultAccessorials(row.carrier), ...(parse(row.accessorials) || {}) },
+            remotePostalCodes: parse(row.remote_postal_codes) || {},
+            source: row.source
+        };
+    }
+}
+
+// ==========================================
+// MODULE HELPERS
+// ==========================================
+
+function getDefaultSurchargeTable(carrier) {
+    return {
+        id: null,
+        carrier,
+        organizationId: null,
+        version: 0,
+        validFrom: null,
+        validTo: null,
+        fuelPercent: DEFAULT_FUEL_PERCENT[carrier] || 0,
+        accessorials: defaultAccessorials(carrier),
+        remotePostalCodes: DEFAULT_REMOTE_POSTAL_CODES,
+        source: 'default'
+    };
+}
+
+function defaultAccessorials(carrier) {
+    return {
+        ...DEFAULT_ACCESSORIALS,
+        remote_area: DEFAULT_REMOTE_AREA_CARRIERS.includes(carrier) ? DEFAULT_ACCESSORIALS.remote_area : 0
+    };
+}
+
+function isRemotePostalCode(table, country, postalCode) {
+    if (!postalCode) return false;
+    return Boolean(table?.remotePostalCodes?.[country || 'FR']?.includes(String(postalCode)));
+}
+
+function toDay(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// ==========================================
+// CLI (tables globales)
+// ==========================================
+
+async function runCLI() {
+    const { Pool } = require('pg');
+    const fs = require('fs');
+    const [command, file] = process.argv.slice(2);
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+    try {
+        if (command !== 'import' || !file) {
+            console.log('Usage: node surcharge-tables.js import <file.csv>');
+            return;
+        }
+
+        const service = new SurchargeTableService({ db: pool });
+        const tables = await service.importCSV(fs.readFileSync(file, 'utf8'));
+        tables.forEach(t => console.log(`  ✓ ${t.carrier} v${t.version} ${t.validFrom} -> ${t.validTo || '...'}`));
+    } catch (error) {
+        console.error('Import failed:', error.message);
+        (error.errors || []).forEach(e => console.error(`  line ${e.line || e.field}: ${e.message}`));
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    runCLI();
+}
+
+module.exports = {
+    SurchargeTableService,
+    SurchargeTableError,
+    ACCESSORIAL_CODES,
+    DEFAULT_ACCESSORIALS,
+    getDefaultSurchargeTable,
+    isRemotePostalCode
+};
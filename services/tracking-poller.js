@@ -0,0 +1,395 @@
+/**
+ * Routz v4.0 - Tracking Poller
+ * Planification du suivi transporteur : fréquence adaptée au statut,
+ * respect des quotas par transporteur, diffusion temps réel et webhooks
+ */
+
+const { TrackingStatusRegistry, isFinalStatus, getStatusLabel } = require('./tracking-status');
+const { MultiParcelService } = require('./multi-parcel');
+const { COMPLIANCE_HOLD_STATUS } = require('./denied-party-screening');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Intervalle entre deux interrogations, en minutes
+const POLLING_INTERVALS = {
+    pending: 360,
+    label_created: 360,
+    picked_up: 120,
+    in_transit: 180,
+    out_for_delivery: 20,
+    exception: 60
+};
+
+// Sous-statuts qui évoluent lentement
+const SUB_STATUS_INTERVALS = {
+    available_for_pickup: 360,
+    customs_hold: 240,
+    returning_to_sender: 720
+};
+
+const ERROR_RETRY_MINUTES = 30;
+const CLAIM_LEASE_MINUTES = 60;   // évite qu'un colis soit replanifié avant le traitement de son lot
+const MAX_TRACKING_AGE_DAYS = 30;
+
+// Connecteurs disposant de getTrackingBatch et d'un RateLimiter
+const TRACKING_CONNECTORS = {
+    colissimo: () => {
+        const { ColissimoClient, rateLimits } = require('../connectors/colissimo');
+        return { Client: ColissimoClient, rateLimits };
+    },
+    chronopost: () => {
+        const { ChronopostClient, rateLimits } = require('../connectors/chronopost');
+        return { Client: ChronopostClient, rateLimits };
+    }
+};
+
+// ============================================
+// TRACKING POLLER
+// ============================================
+
+class TrackingPoller {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.statusRegistry = config.statusRegistry || new TrackingStatusRegistry({ db: this.db });
+        this.realtime = config.realtime || null;
+        this.queueManager = config.queueManager || null;
+        this.multiParcel = config.multiParcel || new MultiParcelService({ db: this.db });
+        this.connectors = config.connectors || TRACKING_CONNECTORS;
+        this.tickMinutes = config.tickMinutes || 5;
+        this.batchSize = config.batchSize || 100;
+        this.clients = new Map();
+    }
+
+    // ----------------------------------------
+    // SCHEDULING
+    // ----------------------------------------
+
+    /**
+     * Prochaine interrogation selon le statut (null = suivi terminé)
+     */
+    getNextPollAt(status, subStatus = null, from = new Date()) {
+        if (isFinalStatus(status)) return null;
+
+        const minutes = SUB_STATUS_INTERVALS[subStatus] || POLLING_INTERVALS[status] || POLLING_INTERVALS.in_transit;
+        return new Date(from.getTime() + minutes * 60 * 1000);
+    }
+
+    /**
+     * Nombre d'appels autorisés par passage du planificateur,
+     * d'après les quotas minute/heure du connecteur
+     */
+    getCarrierBudget(carrier) {
+        const { rateLimits } = this.connectors[carrier]();
+        if (!rateLimits) return this.batchSize;
+
+        return Math.floor(Math.min(
+            rateLimits.maxPerMinute * this.tickMinutes,
+            (rateLimits.maxPerHour || Infinity) * this.tickMinutes / 60
+        ));
+    }
+
+    /**
+     * Réserver les expéditions à interroger pour un transporteur,
+     * dans la limite du budget d'appels (un appel par colis) ; la première
+     * expédition passe même si elle dépasse le budget à elle seule
+     */
+    async claimDueShipments(carrier, budget) {
+        const result = await this.db.query(`
+            UPDATE shipments SET next_tracking_poll_at = NOW() + INTERVAL '${CLAIM_LEASE_MINUTES} minutes'
+            WHERE id IN (
+                SELECT id FROM (
+                    SELECT id, calls, SUM(calls) OVER (ORDER BY next_tracking_poll_at NULLS FIRST, id) AS total_calls
+                    FROM (
+                        SELECT id, next_tracking_poll_at, GREATEST(COALESCE(parcel_count, 1), 1) AS calls
+                        FROM shipments
+                        WHERE carrier = $1
+                        AND tracking_number IS NOT NULL
+                        AND status NOT IN ('delivered', 'cancelled', 'returned', '${COMPLIANCE_HOLD_STATUS}')
+                        AND created_at > NOW() - INTERVAL '${MAX_TRACKING_AGE_DAYS} days'
+                        AND (next_tracking_poll_at IS NULL OR next_tracking_poll_at <= NOW())
+                        ORDER BY next_tracking_poll_at NULLS FIRST
+                        LIMIT $2
+                        FOR UPDATE SKIP LOCKED
+                    ) due
+                ) budgeted
+                WHERE total_calls <= $2 OR total_calls = calls
+            )
+            RETURNING id, parcel_count
+        `, [carrier, budget]);
+
+        return result.rows.map(row => ({ id: row.id, calls: Math.max(row.parcel_count || 1, 1) }));
+    }
+
+    /**
+     * Planifier les lots de suivi, étalés pour tenir le quota par minute
+     */
+    async schedule(queue) {
+        const summary = {};
+
+        for (const carrier of Object.keys(this.connectors)) {
+            const budget = this.getCarrierBudget(carrier);
+            const claimed = await this.claimDueShipments(carrier, budget);
+            if (claimed.length === 0) continue;
+
+            const { rateLimits } = this.connectors[carrier]();
+            const batchSize = Math.min(this.batchSize, rateLimits?.maxPerMinute || this.batchSize);
+
+            // Lots d'au plus batchSize appels (colis), et non d'expéditions
+            const batches = [];
+            let current = { shipmentIds: [], calls: 0 };
+            for (const { id, calls } of claimed) {
+                if (current.calls > 0 && current.calls + calls > batchSize) {
+                    batches.push(current);
+                    current = { shipmentIds: [], calls: 0 };
+                }
+                current.shipmentIds.push(id);
+                current.calls += calls;
+            }
+            batches.push(current);
+
+            for (const [index, batch] of batches.entries()) {
+                await queue.add('poll', {
+                    carrier,
+                    shipmentIds: batch.shipmentIds,
+                    batchId: `${carrier}-${Date.now()}-${index}`
+                }, {
+                    delay: index * 60 * 1000
+                });
+            }
+
+            summary[carrier] = {
+                shipments: claimed.length,
+                calls: batches.reduce((sum, batch) => sum + batch.calls, 0),
+                batches: batches.length
+            };
+        }
+
+        return summary;
+    }
+
+    // ----------------------------------------
+    // POLLING
+    // ----------------------------------------
+
+    getClient(carrier) {
+        if (!this.clients.has(carrier)) {
+            const factory = this.connectors[carrier];
+            if (!factory) throw new Error(`Unknown carrier: ${carrier}`);
+
+            const { Client } = factory();
+            this.clients.set(carrier, new Client());
+        }
+        return this.clients.get(carrier);
+    }
+
+    /**
+     * Interroger un lot d'expéditions et appliquer les changements
+     */
+    async processBatch({ carrier, shipmentIds }) {
+        const results = { polled: 0, updated: 0, delivered: 0, exceptions: 0, errors: 0 };
+
+        const shipments = await this.db.query(`
+            SELECT id, organization_id, tracking_number, carrier, status, sub_status, estimated_delivery, parcel_count
+            FROM shipments WHERE id = ANY($1)
+        `, [shipmentIds]);
+
+        if (shipments.rows.length === 0) return results;
+
+        // Multi-colis : un numéro de suivi par colis
+        const multiParcelIds = shipments.rows.filter(s => s.parcel_count > 1).map(s => s.id);
+        const parcelsByShipment = multiParcelIds.length > 0
+            ? await this.multiParcel.getParcelsByShipment(multiParcelIds)
+            : new Map();
+
+        const byTracking = new Map();
+        for (const shipment of shipments.rows) {
+            const parcels = parcelsByShipment.get(shipment.id) || [{ tracking_number: shipment.tracking_number }];
+            parcels.forEach(parcel => byTracking.set(parcel.tracking_number, shipment));
+        }
+
+        const batch = await this.getClient(carrier).getTrackingBatch([...byTracking.keys()]);
+
+        const byShipment = new Map(shipments.rows.map(shipment => [shipment.id, { shipment, trackings: [] }]));
+        for (const tracking of batch.results) {
+            const shipment = byTracking.get(tracking.trackingNumber);
+            // Numéro renvoyé par le transporteur sans expédition correspondante (reformaté, inconnu)
+            if (!shipment) {
+                console.warn(`[tracking] Unexpected ${carrier} tracking number in batch: ${tracking.trackingNumber}`);
+                continue;
+            }
+            byShipment.get(shipment.id).trackings.push(tracking);
+        }
+
+        for (const { shipment, trackings } of byShipment.values()) {
+            results.polled++;
+
+            try {
+                const expected = (parcelsByShipment.get(shipment.id) || [shipment]).length;
+                if (trackings.length < expected) {
+                    throw new Error('Missing tracking result');
+                }
+
+                const failed = trackings.find(tracking => !tracking.success);
+                if (failed) {
+                    throw new Error(failed.error?.message || 'Tracking request failed');
+                }
+
+                const outcome = parcelsByShipment.has(shipment.id)
+                    ? await this.applyParcelTracking(shipment, trackings)
+                    : await this.applyTracking(shipment, trackings[0]);
+                if (outcome.changed) results.updated++;
+                if (outcome.changed && outcome.status === 'delivered') results.delivered++;
+                if (outcome.changed && outcome.status === 'exception') results.exceptions++;
+            } catch (error) {
+                results.errors++;
+                console.error(`[tracking] Error updating shipment ${shipment.id}:`, error.message);
+                await this.db.query(
+                    `UPDATE shipments SET next_tracking_poll_at = NOW() + INTERVAL '${ERROR_RETRY_MINUTES} minutes' WHERE id = $1`,
+                    [shipment.id]
+                );
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Multi-colis : enregistrer le statut de chaque colis puis appliquer
+     * le statut consolidé à l'expédition
+     */
+    async applyParcelTracking(shipment, trackings) {
+        for (const tracking of trackings) {
+            const latestEvent = tracking.events?.[0];
+            const normalized = await this.statusRegistry.resolve(shipment.carrier, latestEvent?.code, {
+                orgId: shipment.organization_id,
+                trackingNumber: tracking.trackingNumber,
+                description: latestEvent?.description
+            });
+            if (!normalized.known) continue;
+
+            await this.multiParcel.saveParcelStatus(shipment.id, tracking.trackingNumber, {
+                status: normalized.status,
+                subStatus: normalized.subStatus,
+                timestamp: latestEvent?.timestamp || null
+            });
+        }
+
+        const aggregate = await this.multiParcel.getAggregateStatus(shipment.id);
+        const events = trackings
+            .flatMap(tracking => tracking.events || [])
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const estimatedDelivery = trackings
+            .map(tracking => tracking.estimatedDelivery)
+            .filter(Boolean)
+            .sort()
+            .pop();
+
+        return this.applyTracking(shipment, {
+            trackingNumber: shipment.tracking_number,
+            statusDescription: null,
+            estimatedDelivery: estimatedDelivery || null,
+            events
+        }, { known: true, status: aggregate.status, subStatus: aggregate.subStatus });
+    }
+
+    /**
+     * Normaliser la réponse transporteur, enregistrer les événements
+     * et diffuser le changement de statut
+     */
+    async applyTracking(shipment, tracking, resolved = null) {
+        const latestEvent = tracking.events?.[0];
+        const normalized = resolved || await this.statusRegistry.resolve(shipment.carrier, latestEvent?.code, {
+            orgId: shipment.organization_id,
+            trackingNumber: shipment.tracking_number,
+            description: latestEvent?.description
+        });
+
+        // Code non rattaché : on garde le statut courant et son rythme d'interrogation
+        const status = normalized.known ? normalized.status : shipment.status;
+        const subStatus = normalized.known ? normalized.subStatus : shipment.sub_status;
+        const statusChanged = status !== shipment.status;
+        const changed = statusChanged || subStatus !== shipment.sub_status;
+        const nextPollAt = this.getNextPollAt(status, subStatus);
+
+        await this.db.query(`
+            UPDATE shipments
+            SET status = $1,
+                sub_status = $2,
+                status_description = COALESCE($3, status_description),
+                estimated_delivery = COALESCE($4, estimated_delivery),
+                delivered_at = CASE WHEN $1 = 'delivered' THEN COALESCE(delivered_at, $5) ELSE delivered_at END,
+                next_tracking_poll_at = $6,
+                last_tracking_update = NOW()
+            WHERE id = $7
+        `, [
+            status, subStatus, tracking.statusDescription || null, tracking.estimatedDelivery || null,
+            latestEvent?.timestamp || new Date().toISOString(), nextPollAt, shipment.id
+        ]);
+
+        for (const event of tracking.events || []) {
+            await this.db.query(`
+                INSERT INTO shipment_events (shipment_id, event_code, description, location, timestamp)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (shipment_id, event_code, timestamp) DO NOTHING
+            `, [shipment.id, event.code, event.description, event.location, event.timestamp]);
+        }
+
+        if (changed) {
+            await this.publishChange(shipment, { ...tracking, status, subStatus }, latestEvent, statusChanged);
+        }
+
+        return { changed, status, subStatus, nextPollAt };
+    }
+
+    async publishChange(shipment, tracking, latestEvent, statusChanged) {
+        if (this.realtime) {
+            this.realtime.notifyTrackingUpdate(shipment.tracking_number, {
+                status: tracking.status,
+                statusLabel: getStatusLabel(tracking.status, tracking.subStatus),
+                location: latestEvent?.location,
+                description: latestEvent?.description,
+                timestamp: latestEvent?.timestamp,
+                carrier: shipment.carrier,
+                estimatedDelivery: tracking.estimatedDelivery || shipment.estimated_delivery,
+                orgId: shipment.organization_id,
+                shipmentId: shipment.id,
+                oldStatus: shipment.status
+            });
+        }
+
+        // Un changement de sous-statut ne re-notifie que les incidents
+        if (!this.queueManager || (!statusChanged && tracking.status !== 'exception')) return;
+
+        if (tracking.status === 'delivered' || tracking.status === 'exception') {
+            await this.queueManager.getQueue('notifications').add(tracking.status === 'delivered' ? 'delivery' : 'exception', {
+                shipmentId: shipment.id,
+                type: tracking.status,
+                tracking
+            });
+        }
+
+        const event = `shipment.${tracking.status}`;
+        const webhooks = await this.db.query(
+            'SELECT * FROM webhooks WHERE organization_id = $1 AND enabled = true AND $2 = ANY(events)',
+            [shipment.organization_id, event]
+        );
+
+        for (const webhook of webhooks.rows) {
+            await this.queueManager.getQueue('webhooks').add('delivery', {
+                webhookId: webhook.id,
+                url: webhook.url,
+                event,
+                payload: { shipment_id: shipment.id, tracking },
+                secret: webhook.secret
+            });
+        }
+    }
+}
+
+module.exports = {
+    TrackingPoller,
+    POLLING_INTERVALS,
+    SUB_STATUS_INTERVALS
+};
@@ -0,0 +1,431 @@
+/**
+ * Routz v4.0 - Tracking Status Registry
+ * Taxonomie unique des statuts de suivi (statut + sous-statut) et table de
+ * correspondance des codes événements transporteurs, surchargeable en base
+ */
+
+// ==========================================
+// TAXONOMY
+// ==========================================
+
+const UNKNOWN_STATUS = 'unknown';
+
+const TRACKING_STATUSES = {
+    pending: {
+        label: 'En attente de prise en charge',
+        final: false,
+        subStatuses: []
+    },
+    label_created: {
+        label: 'Étiquette créée',
+        final: false,
+        subStatuses: []
+    },
+    picked_up: {
+        label: 'Pris en charge par le transporteur',
+        final: false,
+        subStatuses: []
+    },
+    in_transit: {
+        label: 'En cours d\'acheminement',
+        final: false,
+        subStatuses: ['at_sorting_center', 'arrived_destination_country', 'customs_clearance', 'delayed', 'partially_delivered']
+    },
+    out_for_delivery: {
+        label: 'En cours de livraison',
+        final: false,
+        subStatuses: ['available_for_pickup', 'delivery_rescheduled', 'partially_delivered']
+    },
+    delivered: {
+        label: 'Livré',
+        final: true,
+        subStatuses: ['delivered_to_pickup_point', 'delivered_to_neighbour', 'partially_delivered']
+    },
+    exception: {
+        label: 'Incident de livraison',
+        final: false,
+        subStatuses: ['address_issue', 'recipient_absent', 'customs_hold', 'damaged', 'refused', 'lost', 'undeliverable']
+    },
+    returned: {
+        label: 'Retourné à l\'expéditeur',
+        final: true,
+        subStatuses: ['returning_to_sender', 'returned_to_sender']
+    },
+    cancelled: {
+        label: 'Annulé',
+        final: true,
+        subStatuses: []
+    }
+};
+
+const SUB_STATUS_LABELS = {
+    at_sorting_center: 'En centre de tri',
+    arrived_destination_country: 'Arrivé dans le pays de destination',
+    customs_clearance: 'En cours de dédouanement',
+    delayed: 'Retard d\'acheminement',
+    available_for_pickup: 'Disponible en point de retrait',
+    delivery_rescheduled: 'Livraison reprogrammée',
+    delivered_to_pickup_point: 'Livré en point relais',
+    delivered_to_neighbour: 'Livré à un voisin',
+    partially_delivered: 'Livraison partielle',
+    address_issue: 'Adresse incomplète ou inaccessible',
+    recipient_absent: 'Destinataire absent',
+    customs_hold: 'Retenu en douane',
+    damaged: 'Colis endommagé',
+    refused: 'Refusé par le destinataire',
+    lost: 'Colis perdu',
+    undeliverable: 'Non distribuable',
+    returning_to_sender: 'En retour vers l\'expéditeur',
+    returned_to_sender: 'Retourné à l\'expéditeur'
+};
+
+// Sous-statut -> statut parent
+const SUB_STATUS_PARENTS = Object.fromEntries(
+    Object.entries(TRACKING_STATUSES).flatMap(([status, def]) => def.subStatuses.map(sub => [sub, status]))
+);
+
+// ==========================================
+// DEFAULT CARRIER MAPPINGS
+// ==========================================
+
+// Codes événements connus : [statut, sous-statut]
+// Les codes du flux de suivi et ceux des webhooks transporteurs cohabitent
+const DEFAULT_EVENT_MAPPINGS = {
+    colissimo: {
+        'PC1': ['picked_up', null],                                 // Pris en charge
+        'PC2': ['in_transit', null],                                // Pris en charge
+        'ET1': ['in_transit', 'at_sorting_center'],                 // En cours de traitement
+        'ET2': ['in_transit', null],                                // En cours d'acheminement
+        'ET3': ['in_transit', null],                                // En cours d'acheminement
+        'ET4': ['in_transit', 'arrived_destination_country'],       // Arrivée dans le pays de destination
+        'DR1': ['out_for_delivery', null],                          // En cours de livraison
+        'MD2': ['delivered', null],                                 // Distribué
+        'AG1': ['delivered', 'delivered_to_pickup_point'],          // Livré en point de retrait
+        'RE1': ['returned', 'returning_to_sender'],                 // Retour à l'expéditeur
+        'CO1': ['exception', 'damaged'],                            // Colis endommagé
+        'DI1': ['exception', 'recipient_absent'],                   // Destinataire absent
+        'DI2': ['exception', 'address_issue'],                      // Boîte aux lettres non accessible
+        'ND1': ['exception', 'undeliverable'],                      // Non distribuable
+        'PRIS_EN_CHARGE': ['picked_up', null],
+        'EN_COURS_ACHEMINEMENT': ['in_transit', null],
+        'EN_COURS_LIVRAISON': ['out_for_delivery', null],
+        'LIVRE': ['delivered', null],
+        'ANOMALIE': ['exception', null]
+    },
+    chronopost: {
+        'DR': ['pending', null],                                    // Dépôt reçu
+        'PH': ['picked_up', null],                                  // Pris en charge
+        'TA': ['in_transit', 'at_sorting_center'],                  // Tri arrivée
+        'TD': ['in_transit', 'at_sorting_center'],                  // Tri départ
+        'AA': ['in_transit', null],                                 // Arrivée agence
+        'PC': ['in_transit', null],                                 // Pris en charge pour livraison
+        'CS': ['in_transit', 'delayed'],                            // Colis en attente
+        'EL': ['out_for_delivery', null],                           // En cours de livraison
+        'DI': ['out_for_delivery', 'available_for_pickup'],         // Disponible en point relais
+        'AL': ['out_for_delivery', 'available_for_pickup'],         // Avisé en bureau de poste
+        'Li': ['delivered', null],                                  // Livré
+        'LD': ['delivered', null],                                  // Livré
+        'LP': ['delivered', 'delivered_to_pickup_point'],           // Livré en point relais
+        'RE': ['returned', 'returning_to_sender'],                  // Retour expéditeur
+        'RA': ['returned', 'returned_to_sender'],                   // Retour arrivé
+        'AN': ['exception', null],                                  // Anomalie
+        'NA': ['exception', 'undeliverable'],                       // Non livrable
+        'AR': ['exception', 'recipient_absent'],                    // Absence - avis de passage
+        'NP': ['exception', 'refused'],                             // Refusé
+        'P': ['picked_up', null],
+        'T': ['in_transit', null],
+        'D': ['out_for_delivery', null],
+        'L': ['delivered', null],
+        'A': ['exception', null]
+    }
+};
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+class TrackingStatusError extends Error {
+    constructor(message, code, status = 422, errors = []) {
+        super(message);
+        this.name = 'TrackingStatusError';
+        this.code = code;
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+// ==========================================
+// MAPPING
+// ==========================================
+
+/**
+ * Normaliser un code événement transporteur (synchrone, sans base)
+ * Priorité : surcharges fournies, table par défaut, code déjà canonique
+ */
+function mapCarrierEvent(carrier, eventCode, overrides = {}) {
+    const code = String(eventCode ?? '').trim();
+    const mapping = overrides[code] || DEFAULT_EVENT_MAPPINGS[carrier]?.[code];
+
+    if (mapping) {
+        const [status, subStatus] = Array.isArray(mapping) ? mapping : [mapping.status, mapping.subStatus];
+        return { status, subStatus: subStatus || null, known: true };
+    }
+
+    const canonical = code.toLowerCase();
+    if (TRACKING_STATUSES[canonical]) {
+        return { status: canonical, subStatus: null, known: true };
+    }
+    if (SUB_STATUS_PARENTS[canonical]) {
+        return { status: SUB_STATUS_PARENTS[canonical], subStatus: canonical, known: true };
+    }
+
+    return { status: UNKNOWN_STATUS, subStatus: null, known: false };
+}
+
+function isTrackingStatus(status) {
+    return Boolean(TRACKING_STATUSES[status]);
+}
+
+function isFinalStatus(status) {
+    return Boolean(TRACKING_STATUSES[status]?.final);
+}
+
+function getStatusLabel(status, subStatus = null) {
+    return SUB_STATUS_LABELS[subStatus] || TRACKING_STATUSES[status]?.label || status;
+}
+
+// ==========================================
+// TRACKING STATUS REGISTRY
+// ==========================================
+
+class TrackingStatusRegistry {
+    constructor(config = {}) {
+        this.db = config.db;
+        this.cache = new Map();
+    }
+
+    /**
+     * Taxonomie exposée aux clients et à l'interface d'administration
+     */
+    getTaxonomy() {
+        return Object.entries(TRACKING_STATUSES).map(([status, def]) => ({
+            status,
+            label: def.label,
+            final: def.final,
+            subStatuses: def.subStatuses.map(sub => ({ subStatus: sub, label: SUB_STATUS_LABELS[sub] }))
+        }));
+    }
+
+    /**
+     * Normaliser un événement avec les correspondances en base ;
+     * les codes inconnus sont enregistrés pour être rattachés par l'exploitation
+     */
+    async resolve(carrier, eventCode, context = {}) {
+        const overrides = await this.getOverrides(carrier, context.orgId);
+        const result = mapCarrierEvent(carrier, eventCode, overrides);
+
+        if (!result.known && eventCode && context.orgId) {
+            await this.captureUnknown(carrier, eventCode, context);
+        }
+
+        return result;
+    }
+
+    async getOverrides(carrier, orgId = null) {
+        const cacheKey = `${carrier}:${orgId || 'global'}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.overrides;
+
+        const result = await this.db.query(`
+            SELECT event_code, status, sub_status FROM tracking_event_mappings
+            WHERE carrier = $1 AND (organization_id = $2 OR organization_id IS NULL)
+            ORDER BY organization_id NULLS FIRST
+        `, [carrier, orgId]);
+
+        // Les lignes de l'organisation arrivent en dernier et écrasent les globales
+        const overrides = {};
+        for (const row of result.rows) {
+            overrides[row.event_code] = [row.status, row.sub_status];
+        }
+
+        this.cache.set(cacheKey, { overrides, expiresAt: Date.now() + CACHE_TTL });
+        return overrides;
+    }
+
+    async captureUnknown(carrier, eventCode, context = {}) {
+        try {
+            await this.db.query(`
+                INSERT INTO tracking_unknown_events (organization_id, carrier, event_code, description, sample_tracking_number)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (organization_id, carrier, event_code) DO UPDATE SET
+                    occurrences = tracking_unknown_events.occurrences + 1,
+                    description = COALESCE(EXCLUDED.description, tracking_unknown_events.description),
+                    sample_tracking_number = COALESCE(EXCLUDED.sample_tracking_number, tracking_unknown_events.sample_tracking_number),
+                    last_seen_at = NOW(),
+                    resolved_at = NULL
+            `, [context.orgId, carrier, String(eventCode).trim(), context.description || null, context.trackingNumber || null]);
+        } catch (error) {
+            // La capture ne doit jamais bloquer le traitement du suivi
+            console.error('Error capturing unknown tracking event:', error.message);
+        }
+    }
+
+    // ----------------------------------------
+    // ADMINISTRATION
+    // ----------------------------------------
+
+    async listMappings(orgId, carrier = null) {
+        const params = [orgId];
+        let query = `
+            SELECT * FROM tracking_event_mappings
+            WHERE (organization_id = $1 OR organization_id IS NULL)
+        `;
+
+        if (carrier) {
+            params.push(carrier);
+            query += ` AND carrier = $${params.length}`;
+        }
+
+        const result = await this.db.query(`${query} ORDER BY carrier, event_code, organization_id NULLS FIRST`, params);
+
+        const defaults = Object.entries(DEFAULT_EVENT_MAPPINGS)
+            .filter(([name]) => !carrier || name === carrier)
+            .flatMap(([name, codes]) => Object.entries(codes).map(([code, [status, subStatus]]) => ({
+                carrier: name, eventCode: code, status, subStatus, source: 'default'
+            })));
+
+        return [
+            ...defaults,
+            ...result.rows.map(row => ({
+                id: row.id,
+                carrier: row.carrier,
+                eventCode: row.event_code,
+                status: row.status,
+                subStatus: row.sub_status,
+                description: row.description,
+                source: row.organization_id ? 'organization' : 'global'
+            }))
+        ];
+    }
+
+    /**
+     * Créer ou modifier une correspondance (sans déploiement)
+     */
+    async saveMapping(params) {
+        const { carrier, eventCode, status, subStatus = null, description = null, orgId = null, userId = null } = params;
+        this.validateMapping(params);
+
+        const result = await this.db.query(`
+            INSERT INTO tracking_event_mappings (carrier, event_code, status, sub_status, description, organization_id, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (carrier, event_code, COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid))
+            DO UPDATE SET status = EXCLUDED.status, sub_status = EXCLUDED.sub_status,
+                description = EXCLUDED.description, created_by = EXCLUDED.created_by, updated_at = NOW()
+            RETURNING *
+        `, [carrier, eventCode.trim(), status, subStatus, description, orgId, userId]);
+
+        // Une correspondance d'organisation ne résout que ses propres codes ; une globale les résout tous
+        await this.db.query(`
+            UPDATE tracking_unknown_events SET resolved_at = NOW()
+            WHERE carrier = $1 AND event_code = $2 AND resolved_at IS NULL
+              AND ($3::uuid IS NULL OR organization_id = $3)
+        `, [carrier, eventCode.trim(), orgId]);
+
+        this.cache.clear();
+        return result.rows[0];
+    }
+
+    validateMapping({ carrier, eventCode, status, subStatus }) {
+        const errors = [
+            !carrier && { field: 'carrier', message: 'Carrier is required' },
+            !eventCode?.trim() && { field: 'eventCode', message: 'Event code is required' },
+            !isTrackingStatus(status) && { field: 'status', message: `Status must be one of ${Object.keys(TRACKING_STATUSES).join(', ')}` },
+            subStatus && isTrackingStatus(status) && !TRACKING_STATUSES[status].subStatuses.includes(subStatus) && {
+                field: 'subStatus',
+                message: `Sub-status for ${status} must be one of ${TRACKING_STATUSES[status].subStatuses.join(', ') || 'none'}`
+            }
+        ].filter(Boolean);
+
+        if (errors.length > 0) {
+            throw new TrackingStatusError('Invalid tracking event mapping', 'VALIDATION_ERROR', 422, errors);
+        }
+    }
+
+    /**
+     * Codes inconnus d'une organisation (orgId null : toutes, réservé au CLI d'exploitation)
+     */
+    async listUnknownEvents(orgId, filters = {}) {
+        const { carrier, includeResolved = false } = filters;
+        const params = [];
+        const conditions = [];
+
+        if (orgId) {
+            params.push(orgId);
+            conditions.push(`organization_id = $${params.length}`);
+        }
+        if (!includeResolved) conditions.push('resolved_at IS NULL');
+        if (carrier) {
+            params.push(carrier);
+            conditions.push(`carrier = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = await this.db.query(`
+            SELECT * FROM tracking_unknown_events ${where}
+            ORDER BY occurrences DESC, last_seen_at DESC
+        `, params);
+
+        return result.rows;
+    }
+}
+
+// ==========================================
+// CLI
+// ==========================================
+
+// Correspondances globales (toutes organisations), réservées à l'exploitation
+async function runCLI() {
+    const { Pool } = require('pg');
+    const [command, carrier, eventCode, status, subStatus] = process.argv.slice(2);
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    const registry = new TrackingStatusRegistry({ db: pool });
+
+    try {
+        switch (command) {
+            case 'unknown': {
+                const events = await registry.listUnknownEvents(null, { carrier });
+                events.forEach(e => console.log(`  ? ${e.carrier} ${e.event_code} x${e.occurrences} - ${e.description || ''}`));
+                break;
+            }
+            case 'map': {
+                const mapping = await registry.saveMapping({ carrier, eventCode, status, subStatus: subStatus || null });
+                console.log(`  ✓ ${mapping.carrier} ${mapping.event_code} -> ${mapping.status}${mapping.sub_status ? `/${mapping.sub_status}` : ''}`);
+                break;
+            }
+            default:
+                console.log('Usage: node tracking-status.js unknown [carrier]');
+                console.log('       node tracking-status.js map <carrier> <eventCode> <status> [subStatus]');
+        }
+    } catch (error) {
+        console.error('Command failed:', error.message);
+        (error.errors || []).forEach(e => console.error(`  ${e.field}: ${e.message}`));
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    runCLI();
+}
+
+module.exports = {
+    TrackingStatusRegistry,
+    TrackingStatusError,
+    TRACKING_STATUSES,
+    SUB_STATUS_LABELS,
+    DEFAULT_EVENT_MAPPINGS,
+    UNKNOWN_STATUS,
+    mapCarrierEvent,
+    isTrackingStatus,
+    isFinalStatus,
+    getStatusLabel
+};
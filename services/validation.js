@@ -167,7 +167,8 @@ const carriers = z.enum([
 
 const shipmentStatus = z.enum([
     'pending', 'label_created', 'picked_up', 'in_transit', 
-    'out_for_delivery', 'delivered', 'exception', 'returned', 'cancelled'
+    'out_for_delivery', 'delivered', 'exception', 'returned', 'cancelled',
+    'compliance_hold'
 ]);
 
 const createShipment = z.object({
@@ -447,7 +448,7 @@ const createApiKey = z.object({
 const webhookEvents = z.array(z.enum([
     'shipment.created', 'shipment.updated', 'shipment.in_transit',
     'shipment.out_for_delivery', 'shipment.delivered', 'shipment.exception',
-    'shipment.returned', 'shipment.cancelled',
+    'shipment.returned', 'shipment.cancelled', 'shipment.compliance_hold',
     'order.created', 'order.updated', 'order.shipped', 'order.delivered',
     'return.requested', 'return.approved', 'return.received', 'return.refunded',
     'tracking.updated'
@@ -41,6 +41,8 @@ class WarehouseService {
                 autoAssign: data.settings?.autoAssign ?? true,
                 cutoffTime: data.settings?.cutoffTime || '16:00',
                 processingDays: data.settings?.processingDays || ['MO', 'TU', 'WE', 'TH', 'FR'],
+                handlingDays: data.settings?.handlingDays || 0,
+                timezone: data.settings?.timezone || 'Europe/Paris',
                 carriers: data.settings?.carriers || [],
                 zones: data.settings?.zones || []
             },
@@ -234,13 +236,20 @@ class WarehouseService {
         const results = [];
 
         for (const item of items) {
-            // Check availability
-            const current = await this.db.query(
-                `SELECT available FROM inventory WHERE warehouse_id = $1 AND sku = $2`,
-                [warehouseId, item.sku]
+            // Reserve only if enough stock is still available (atomic check)
+            const result = await this.db.query(
+                `UPDATE inventory 
+                 SET reserved = reserved + $3, available = available - $3, updated_at = NOW()
+                 WHERE warehouse_id = $1 AND sku = $2 AND available >= $3
+                 RETURNING *`,
+                [warehouseId, item.sku, item.quantity]
             );
 
-            if (!current.rows[0] || current.rows[0].available < item.quantity) {
+            if (result.rows.length === 0) {
+                const current = await this.db.query(
+                    `SELECT available FROM inventory WHERE warehouse_id = $1 AND sku = $2`,
+                    [warehouseId, item.sku]
+                );
                 results.push({
                     sku: item.sku,
                     success: false,
@@ -250,15 +259,6 @@ class WarehouseService {
                 continue;
             }
 
-            // Reserve
-            const result = await this.db.query(
-                `UPDATE inventory 
-                 SET reserved = reserved + $3, available = available - $3, updated_at = NOW()
-                 WHERE warehouse_id = $1 AND sku = $2
-                 RETURNING *`,
-                [warehouseId, item.sku, item.quantity]
-            );
-
             results.push({
                 sku: item.sku,
                 success: true,
@@ -297,6 +297,21 @@ class WarehouseService {
         }
     }
 
+    /**
+     * Receive units into sellable stock (returns restocked, goods receipt)
+     */
+    async receiveInventory(warehouseId, sku, quantity) {
+        const result = await this.db.query(
+            `INSERT INTO inventory (warehouse_id, sku, quantity, reserved, available, last_received, updated_at)
+             VALUES ($1, $2, $3, 0, $3, NOW(), NOW())
+             ON CONFLICT (warehouse_id, sku)
+             DO UPDATE SET quantity = inventory.quantity + $3, available = inventory.available + $3, last_received = NOW(), updated_at = NOW()
+             RETURNING *`,
+            [warehouseId, sku, quantity]
+        );
+        return result.rows[0];
+    }
+
     // ==========================================
     // WAREHOUSE SELECTION
     // ==========================================
@@ -400,6 +415,7 @@ class WarehouseService {
             quantity: data.quantity,
             reference: data.reference, // order_id, purchase_order_id, etc.
             reason: data.reason,
+            location: data.location || null, // bin/zone de destination
             previousQuantity: data.previousQuantity,
             newQuantity: data.newQuantity,
             userId: data.userId,
@@ -408,10 +424,10 @@ class WarehouseService {
         };
 
         await this.db.query(
-            `INSERT INTO stock_movements (id, warehouse_id, sku, type, quantity, reference, reason, previous_quantity, new_quantity, user_id, notes, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            `INSERT INTO stock_movements (id, warehouse_id, sku, type, quantity, reference, reason, location, previous_quantity, new_quantity, user_id, notes, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
             [movement.id, movement.warehouseId, movement.sku, movement.type, movement.quantity,
-             movement.reference, movement.reason, movement.previousQuantity, movement.newQuantity,
+             movement.reference, movement.reason, movement.location, movement.previousQuantity, movement.newQuantity,
              movement.userId, movement.notes, movement.createdAt]
         );
 
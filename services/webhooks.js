@@ -154,18 +154,34 @@ class WebhooksService extends EventEmitter {
         'shipment.exception': 'Exception de livraison',
         'shipment.returned': 'Retournée',
         'shipment.cancelled': 'Annulée',
+        'shipment.compliance_hold': 'En attente du contrôle export (sanctions, embargo)',
 
         // Orders
         'order.created': 'Commande créée',
         'order.updated': 'Commande mise à jour',
+        'order.on_hold': 'Commande en attente de validation',
         'order.fulfilled': 'Commande expédiée',
         'order.cancelled': 'Commande annulée',
 
         // Returns
         'return.requested': 'Retour demandé',
         'return.approved': 'Retour approuvé',
+        'return.rejected': 'Retour rejeté',
+        'return.label_created': 'Étiquette retour créée',
+        'return.in_transit': 'Retour en transit',
         'return.received': 'Retour reçu',
+        'return.inspecting': 'Retour en inspection',
+        'return.inspected': 'Retour inspecté et trié',
+        'return.refund_pending': 'Remboursement en cours',
         'return.refunded': 'Retour remboursé',
+        'return.exchanged': 'Retour échangé',
+        'return.store_credit': 'Avoir émis',
+        'return.closed': 'Retour clôturé',
+        'return.cancelled': 'Retour annulé',
+        'return.exchange_created': 'Échange créé',
+        'return.exchange_shipped': 'Échange expédié',
+        'store_credit.issued': 'Avoir émis',
+        'store_credit.redeemed': 'Avoir utilisé',
 
         // Inventory
         'inventory.low_stock': 'Stock faible',
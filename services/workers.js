@@ -8,8 +8,14 @@ const { Redis } = require('ioredis');
 const nodemailer = require('nodemailer');
 const { Pool } = require('pg');
 const crypto = require('crypto');
-const pLimit = require('p-limit');
 const { EventEmitter } = require('events');
+const { TrackingPoller } = require('./tracking-poller');
+const { RealtimeService } = require('./realtime');
+const { StoreCreditService } = require('./store-credit');
+const { ExchangeService } = require('./exchanges');
+const { InternationalService } = require('./international');
+const { ProductClassificationService } = require('./product-classification');
+const { COMPLIANCE_HOLD_STATUS } = require('./denied-party-screening');
 
 // ============================================
 // CONFIGURATION
@@ -83,9 +89,14 @@ const config = {
         from: process.env.EMAIL_FROM || 'Routz <notifications@routz.io>'
     },
     tracking: {
-        pollingInterval: 15 * 60 * 1000, // 15 minutes
-        batchSize: 100,
-        maxConcurrent: 10
+        pollingInterval: 5 * 60 * 1000, // 5 minutes (per-shipment interval depends on status)
+        batchSize: 100
+    },
+    manifests: {
+        closeOutCron: process.env.MANIFEST_CLOSE_OUT_CRON || '0 18 * * 1-5'
+    },
+    imports: {
+        classificationBatch: 1
     },
     workers: {
         concurrency: {
@@ -114,6 +125,7 @@ const pool = new Pool({
     idleTimeoutMillis: 30000
 });
 
+
 // ============================================
 // EMAIL TRANSPORTER
 // ============================================
@@ -286,6 +298,15 @@ class QueueManager {
 
 const queueManager = new QueueManager();
 
+// Realtime updates are published on Redis and relayed by the API WebSocket servers
+const trackingPoller = new TrackingPoller({
+    db: pool,
+    queueManager,
+    realtime: new RealtimeService({ redis }),
+    tickMinutes: config.tracking.pollingInterval / 60000,
+    batchSize: config.tracking.batchSize
+});
+
 // ============================================
 // WEBHOOK WORKER
 // ============================================
@@ -366,154 +387,28 @@ const webhookProcessor = async (job) => {
 // ============================================
 
 const trackingProcessor = async (job) => {
-    const { shipmentIds, carrier, batchId } = job.data;
-    const limit = pLimit(config.tracking.maxConcurrent);
+    const { carrier, shipmentIds, batchId } = job.data;
 
     console.log(`[tracking] Processing batch ${batchId} with ${shipmentIds.length} shipments`);
 
-    // Dynamic import of carrier connector
-    let connector;
-    switch (carrier) {
-        case 'colissimo':
-            connector = require('../connectors/colissimo').ColissimoClient;
-            break;
-        case 'chronopost':
-            connector = require('../connectors/chronopost').ChronopostClient;
-            break;
-        // Add more carriers...
-        default:
-            throw new Error(`Unknown carrier: ${carrier}`);
-    }
-
-    const client = new connector();
-    const results = { updated: 0, delivered: 0, exceptions: 0, errors: 0 };
-
-    const tasks = shipmentIds.map(shipmentId => limit(async () => {
-        try {
-            // Get shipment tracking number
-            const shipment = await pool.query(
-                'SELECT id, tracking_number, status FROM shipments WHERE id = $1',
-                [shipmentId]
-            );
-
-            if (shipment.rows.length === 0) return;
-
-            const { tracking_number, status: currentStatus } = shipment.rows[0];
-
-            // Get tracking info from carrier
-            const tracking = await client.getTracking(tracking_number);
-
-            // Update if status changed
-            if (tracking.status !== currentStatus) {
-                await pool.query(`
-                    UPDATE shipments 
-                    SET status = $1, 
-                        status_description = $2,
-                        delivered_at = $3,
-                        last_tracking_update = NOW()
-                    WHERE id = $4
-                `, [tracking.status, tracking.statusDescription, tracking.deliveredAt, shipmentId]);
-
-                // Store tracking events
-                for (const event of tracking.events) {
-                    await pool.query(`
-                        INSERT INTO shipment_events (shipment_id, event_code, description, location, timestamp)
-                        VALUES ($1, $2, $3, $4, $5)
-                        ON CONFLICT (shipment_id, event_code, timestamp) DO NOTHING
-                    `, [shipmentId, event.code, event.description, event.location, event.timestamp]);
-                }
-
-                results.updated++;
-
-                if (tracking.delivered) {
-                    results.delivered++;
-                    // Queue notification
-                    await queueManager.getQueue('notifications').add('delivery', {
-                        shipmentId,
-                        type: 'delivered',
-                        tracking
-                    });
-                }
-
-                if (tracking.status === 'exception') {
-                    results.exceptions++;
-                    await queueManager.getQueue('notifications').add('exception', {
-                        shipmentId,
-                        type: 'exception',
-                        tracking
-                    });
-                }
-
-                // Trigger webhooks for status change
-                const webhooks = await pool.query(`
-                    SELECT w.* FROM webhooks w
-                    JOIN shipments s ON s.organization_id = w.organization_id
-                    WHERE s.id = $1 AND w.enabled = true AND $2 = ANY(w.events)
-                `, [shipmentId, `shipment.${tracking.status}`]);
-
-                for (const webhook of webhooks.rows) {
-                    await queueManager.getQueue('webhooks').add('delivery', {
-                        webhookId: webhook.id,
-                        url: webhook.url,
-                        event: `shipment.${tracking.status}`,
-                        payload: { shipment_id: shipmentId, tracking },
-                        secret: webhook.secret
-                    });
-                }
-            }
-
-        } catch (error) {
-            results.errors++;
-            console.error(`[tracking] Error updating shipment ${shipmentId}:`, error.message);
-        }
-    }));
-
-    await Promise.all(tasks);
+    const results = await trackingPoller.processBatch({ carrier, shipmentIds });
 
     console.log(`[tracking] Batch ${batchId} completed: ${results.updated} updated, ${results.delivered} delivered, ${results.exceptions} exceptions, ${results.errors} errors`);
 
     return results;
 };
 
-// Schedule tracking polling
+// Schedule due shipments (interval depends on status, budget on carrier rate limits)
 const scheduleTrackingPolling = async () => {
-    const queue = queueManager.getQueue('tracking');
-
-    // Get active shipments grouped by carrier
-    const activeShipments = await pool.query(`
-        SELECT id, carrier FROM shipments 
-        WHERE status NOT IN ('delivered', 'cancelled', 'returned')
-        AND created_at > NOW() - INTERVAL '30 days'
-        ORDER BY carrier, created_at DESC
-    `);
-
-    const byCarrier = {};
-    for (const shipment of activeShipments.rows) {
-        if (!byCarrier[shipment.carrier]) {
-            byCarrier[shipment.carrier] = [];
-        }
-        byCarrier[shipment.carrier].push(shipment.id);
-    }
-
-    // Create batched jobs per carrier
-    for (const [carrier, ids] of Object.entries(byCarrier)) {
-        const batches = [];
-        for (let i = 0; i < ids.length; i += config.tracking.batchSize) {
-            batches.push(ids.slice(i, i + config.tracking.batchSize));
-        }
+    try {
+        const summary = await trackingPoller.schedule(queueManager.getQueue('tracking'));
+        const total = Object.values(summary).reduce((sum, s) => sum + s.shipments, 0);
 
-        for (let i = 0; i < batches.length; i++) {
-            await queue.add('poll', {
-                carrier,
-                shipmentIds: batches[i],
-                batchId: `${carrier}-${Date.now()}-${i}`
-            }, {
-                delay: i * 5000 // Stagger batches
-            });
-        }
+        console.log(`[tracking] Scheduled ${total} shipments for tracking update`, summary);
+        return summary;
+    } catch (error) {
+        console.error('[tracking] Scheduling failed:', error.message);
     }
-
-    console.log(`[tracking] Scheduled ${activeShipments.rows.length} shipments for tracking update`);
 };
 
 // ============================================
@@ -684,10 +579,17 @@ const emailProcessor = async (job) => {
 // ============================================
 
 const labelProcessor = async (job) => {
-    const { shipmentId, carrier, request, userId, orgId } = job.data;
+    const { shipmentId, carrier, userId, orgId } = job.data;
 
     console.log(`[labels] Generating label for shipment ${shipmentId}`);
 
+    // Pas d'étiquette tant que la conformité export n'a pas levé l'attente
+    const current = await pool.query('SELECT status FROM shipments WHERE id = $1', [shipmentId]);
+    if (current.rows[0]?.status === COMPLIANCE_HOLD_STATUS) {
+        console.log(`[labels] Shipment ${shipmentId} is on compliance hold, skipping`);
+        return { skipped: true, reason: COMPLIANCE_HOLD_STATUS };
+    }
+
     // Get carrier connector
     let connector;
     switch (carrier) {
@@ -704,6 +606,11 @@ const labelProcessor = async (job) => {
     const client = new connector();
 
     try {
+        // Envoi hors UE : CN22/CN23, facture et données électroniques joints à la demande transporteur
+        const international = new InternationalService({ db: pool });
+        const declaration = await international.getShipmentDeclaration(shipmentId);
+        const request = await international.attachCustomsToCarrierRequest(carrier, job.data.request, declaration);
+
         const result = await client.createShipment(request);
 
         // Update shipment in database
@@ -781,6 +688,11 @@ const labelProcessor = async (job) => {
 const reportProcessor = async (job) => {
     const { type, orgId, userId, params, format } = job.data;
 
+    // Clôture transporteur : le bordereau est stocké dans la table manifests
+    if (type === 'manifest') {
+        return closeOutManifests(orgId, params || {});
+    }
+
     console.log(`[reports] Generating ${type} report for org ${orgId}`);
 
     let data;
@@ -848,6 +760,49 @@ const reportProcessor = async (job) => {
     return { reportId, filename };
 };
 
+async function closeOutManifests(orgId, params) {
+    const { ManifestService } = require('./manifests');
+    const manifestService = new ManifestService({ db: pool });
+
+    console.log(`[reports] Closing out manifests for ${orgId ? `org ${orgId}` : 'all organizations'}`);
+
+    const results = params.carrier
+        ? [{ orgId, success: true, manifest: await manifestService.closeOut(orgId, params) }]
+        : await manifestService.closeOutAll(orgId, params);
+
+    for (const result of results.filter(r => r.success)) {
+        const webhooks = await pool.query(`
+            SELECT * FROM webhooks
+            WHERE organization_id = $1 AND enabled = true AND 'manifest.closed' = ANY(events)
+        `, [result.orgId]);
+
+        for (const webhook of webhooks.rows) {
+            await queueManager.getQueue('webhooks').add('delivery', {
+                webhookId: webhook.id,
+                url: webhook.url,
+                event: 'manifest.closed',
+                payload: {
+                    manifest_id: result.manifest.id,
+                    manifest_number: result.manifest.manifestNumber,
+                    carrier: result.manifest.carrier,
+                    warehouse_id: result.manifest.warehouseId,
+                    shipment_count: result.manifest.shipmentCount,
+                    closed_at: result.manifest.closedAt.toISOString()
+                },
+                secret: webhook.secret
+            });
+        }
+    }
+
+    const failed = results.filter(r => !r.success);
+    failed.forEach(r => console.error(`[reports] Manifest close-out failed for ${r.orgId}/${r.carrier}: ${r.error}`));
+
+    return {
+        manifests: results.filter(r => r.success).map(r => r.manifest.manifestNumber),
+        failed: failed.length
+    };
+}
+
 async function generateShipmentsReport(orgId, params) {
     const result = await pool.query(`
         SELECT 
@@ -924,6 +879,22 @@ async function convertToPDF(data, type) {
     return Buffer.from('PDF content');
 }
 
+// ============================================
+// IMPORTS WORKER
+// ============================================
+
+const importsProcessor = async (job) => {
+    const { type } = job.data;
+
+    switch (type) {
+        case 'classification_jobs':
+            // Classement douanier en masse des catalogues importés
+            return { processed: await new ProductClassificationService({ db: pool }).runPendingJobs(config.imports.classificationBatch) };
+        default:
+            throw new Error(`Unknown import type: ${type}`);
+    }
+};
+
 // ============================================
 // NOTIFICATION WORKER
 // ============================================
@@ -1045,6 +1016,12 @@ const cleanupProcessor = async (job) => {
                 WHERE read_at IS NOT NULL AND created_at < NOW() - INTERVAL '30 days'
             `);
             break;
+
+        case 'expired_store_credits':
+            return { cleaned: type, ...await new StoreCreditService({ db: pool }).expireCredits() };
+
+        case 'expiring_exchange_holds':
+            return { cleaned: type, ...await new ExchangeService({ db: pool }).renewExpiringHolds() };
     }
 
     return { cleaned: type };
@@ -1063,6 +1040,7 @@ async function initializeWorkers() {
     queueManager.createQueue('emails');
     queueManager.createQueue('labels');
     queueManager.createQueue('reports');
+    queueManager.createQueue('imports');
     queueManager.createQueue('notifications');
     queueManager.createQueue('cleanup');
 
@@ -1072,6 +1050,7 @@ async function initializeWorkers() {
     queueManager.createWorker('emails', emailProcessor);
     queueManager.createWorker('labels', labelProcessor);
     queueManager.createWorker('reports', reportProcessor);
+    queueManager.createWorker('imports', importsProcessor);
     queueManager.createWorker('notifications', notificationProcessor);
     queueManager.createWorker('cleanup', cleanupProcessor);
 
@@ -1088,12 +1067,32 @@ async function initializeWorkers() {
         repeat: { cron: '0 * * * *' }
     });
 
+    // Expire store credits daily at 2 AM
+    await cleanupQueue.add('expired_store_credits', { type: 'expired_store_credits' }, {
+        repeat: { cron: '0 2 * * *' }
+    });
+
+    // Renew instant-exchange card holds before they expire, hourly
+    await cleanupQueue.add('expiring_exchange_holds', { type: 'expiring_exchange_holds' }, {
+        repeat: { cron: '30 * * * *' }
+    });
+
     // Clean old audit logs weekly
     await cleanupQueue.add('old_audit_logs', { type: 'old_audit_logs' }, {
         repeat: { cron: '0 4 * * 0' }
     });
 
-    // Schedule tracking polling every 15 minutes
+    // End-of-day carrier close-out (weekdays at 6 PM by default)
+    await queueManager.getQueue('reports').add('manifest', { type: 'manifest', orgId: null, params: {} }, {
+        repeat: { cron: config.manifests.closeOutCron }
+    });
+
+    // Pick up queued HS classification jobs every minute
+    await queueManager.getQueue('imports').add('classification_jobs', { type: 'classification_jobs' }, {
+        repeat: { cron: '* * * * *' }
+    });
+
+    // Schedule due tracking polls every 5 minutes
     setInterval(scheduleTrackingPolling, config.tracking.pollingInterval);
     
     // Run initial tracking poll after 1 minute
@@ -1135,6 +1134,7 @@ module.exports = {
     emailProcessor,
     labelProcessor,
     reportProcessor,
+    importsProcessor,
     notificationProcessor,
     cleanupProcessor,
 
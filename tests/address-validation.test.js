@@ -0,0 +1,69 @@
+/**
+ * Routz v4.0 - Address Validation Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// ADDRESS VALIDATION TESTS
+// ==========================================
+
+describe('Address Validation', () => {
+    const { AddressValidationService } = require('../services/address-validation');
+
+    // Sans base : référentiel embarqué uniquement
+    const service = new AddressValidationService();
+
+    it('should normalize the address and correct a misspelt city', async () => {
+        const result = await service.validate({
+            address1: '25 avenue des Fleurs',
+            city: 'Pari',
+            postalCode: '75 008',
+            country: 'FR'
+        });
+
+        expect(result).toMatchObject({ valid: true, status: 'corrected' });
+        expect(result.address).toMatchObject({ address1: '25 AVENUE DES FLEURS', city: 'PARIS', postalCode: '75008' });
+        expect(result.corrections).toEqual([{ field: 'city', from: 'Pari', to: 'PARIS' }]);
+    });
+
+    it('should keep official city variants and country formats', async () => {
+        const brussels = await service.validate({ address1: 'Rue Neuve 1', city: 'Brussel', postalCode: '1000', country: 'BE' });
+        expect(brussels).toMatchObject({ status: 'valid', address: { city: 'Brussel' } });
+
+        const amsterdam = await service.validate({ address1: 'Damrak 1', city: 'Amsterdam', postalCode: '1012ab', country: 'NL' });
+        expect(amsterdam).toMatchObject({ valid: true, address: { postalCode: '1012 AB' } });
+    });
+
+    it('should reject a city that does not match the postal code with suggestions', async () => {
+        const result = await service.validate({ address1: '1 rue de la République', city: 'Lyon', postalCode: '75008', country: 'FR' });
+
+        expect(result).toMatchObject({ valid: false, status: 'invalid' });
+        expect(result.errors[0]).toMatchObject({ field: 'city', code: 'CITY_MISMATCH' });
+        expect(result.suggestions).toEqual(expect.arrayContaining([
+            { postalCode: '75008', city: 'PARIS' },
+            { postalCode: '69001', city: 'LYON' }
+        ]));
+
+        await expect(service.assertValid({ address1: 'Hauptstraße 1', city: 'Berlin', postalCode: '0011', country: 'DE' }))
+            .rejects.toMatchObject({ name: 'AddressValidationError', status: 422 });
+    });
+
+    it('should reject unknown postal codes once the country reference is imported', async () => {
+        mockDb.query.mockReset();
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ covered: true }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ postal_code: '31000', city: 'TOULOUSE' }] });
+
+        const result = await new AddressValidationService({ db: mockDb })
+            .validate({ address1: '3 place du Capitole', city: 'Toulouse', postalCode: '31999', country: 'FR' });
+
+        expect(result.errors[0]).toMatchObject({ code: 'UNKNOWN_POSTAL_CODE' });
+        expect(result.suggestions).toEqual([{ postalCode: '31000', city: 'TOULOUSE' }]);
+    });
+});
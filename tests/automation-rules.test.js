@@ -0,0 +1,117 @@
+/**
+ * Routz v4.0 - Automation Rules Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// AUTOMATION RULES TESTS
+// ==========================================
+
+describe('Automation Rules', () => {
+    const { AutomationRulesService } = require('../services/automation-rules');
+    const service = new AutomationRulesService({ db: mockDb });
+
+    const order = {
+        id: 'ord_1',
+        source: 'amazon',
+        total: '420.00',
+        tags: 'fragile, vip',
+        shipping_address: { country: 'DE', postalCode: '10115' },
+        items: [
+            { sku: 'VASE-01', quantity: 2, weight: 3.5 },
+            { sku: 'MUG-02', quantity: 3, weight: 0.4 }
+        ]
+    };
+
+    const rules = [
+        {
+            id: 'rule_default', name: 'Germany default', priority: 1,
+            conditions: { country: { operator: 'equals', target: 'DE' } },
+            actions: [{ type: 'set_carrier', params: { carrier: 'dhl', service: 'standard' } }, { type: 'set_packaging', params: { packaging: 'box_m' } }]
+        },
+        {
+            id: 'rule_fragile', name: 'Fragile high value', priority: 10,
+            conditions: { tags: { operator: 'contains', target: 'fragile' }, total_value: { operator: 'greater_than', target: 300 } },
+            actions: [{ type: 'set_carrier', params: { carrier: 'ups', service: 'express' } }, { type: 'add_insurance' }, { type: 'require_signature' }]
+        },
+        {
+            id: 'rule_heavy', name: 'Heavy', priority: 5,
+            conditions: { weight: { operator: 'greater_than', target: 30 } },
+            actions: [{ type: 'hold', params: { reason: 'Overweight' } }]
+        }
+    ];
+
+    it('should apply matching rules by priority with the highest priority winning conflicts', () => {
+        const decision = service.evaluate(order, rules);
+
+        expect(decision.matchedRules.map(r => r.id)).toEqual(['rule_fragile', 'rule_default']);
+        expect(decision.actions).toEqual({ carrier: 'ups', service: 'express', insurance: 420, signature: true, packaging: 'box_m' });
+        expect(decision.appliedBy).toMatchObject({ carrier: 'rule_fragile', packaging: 'rule_default' });
+        expect(decision.trace.find(t => t.ruleId === 'rule_heavy').conditions[0]).toMatchObject({ field: 'weight', value: 8.2, passed: false });
+
+        const stopped = service.evaluate(order, [{ ...rules[1], stop_processing: true }, rules[0]]);
+        expect(stopped.matchedRules.map(r => r.id)).toEqual(['rule_fragile']);
+    });
+
+    it('should match SKU and channel conditions and split items into shipments', () => {
+        const decision = service.evaluate(order, [{
+            id: 'rule_split', name: 'Amazon vases', priority: 1,
+            conditions: { channel: { operator: 'in', target: ['amazon', 'cdiscount'] }, sku: { operator: 'contains_any', target: ['VASE-01'] } },
+            actions: [{ type: 'split', params: { maxItems: 2 } }]
+        }]);
+
+        expect(decision.actions.split.map(group => group.map(i => `${i.sku}x${i.quantity}`)))
+            .toEqual([['VASE-01x2'], ['MUG-02x2'], ['MUG-02x1']]);
+        expect(service.validateRule({ name: 'Bad', conditions: { weight: { operator: 'heavier' } }, actions: [{ type: 'set_carrier' }] }))
+            .toEqual([
+                { field: 'conditions.weight', message: 'Unknown operator heavier' },
+                { field: 'actions[0].params.carrier', message: 'carrier is required' }
+            ]);
+    });
+
+    it('should reject mistyped targets and skip stored rules that have them', () => {
+        expect(service.validateRule({
+            name: 'Typed',
+            conditions: {
+                weight: { operator: 'in', target: 5 },
+                total_value: { operator: 'between', target: [10] },
+                country: { operator: 'greater_than', target: '5' }
+            },
+            actions: [{ type: 'require_signature' }]
+        })).toEqual([
+            { field: 'conditions.weight', message: 'Target of in must be an array' },
+            { field: 'conditions.total_value', message: 'Target of between must be an array of two numbers [min, max]' },
+            { field: 'conditions.country', message: 'Target of greater_than must be a number' }
+        ]);
+
+        const malformed = { id: 'rule_bad', name: 'Legacy', priority: 20, conditions: { weight: { operator: 'in', target: 5 } }, actions: [{ type: 'require_signature' }] };
+        const decision = service.evaluate(order, [malformed, rules[0]]);
+
+        expect(decision.matchedRules.map(r => r.id)).toEqual(['rule_default']);
+        expect(decision.trace[0]).toMatchObject({ ruleId: 'rule_bad', matched: false, skipped: true });
+    });
+
+    it('should hold the order and record the decision at import', async () => {
+        const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'ord_1', status: 'on_hold' }] }), release: jest.fn() };
+        mockDb.query.mockReset();
+        mockDb.connect.mockReset();
+        mockDb.connect.mockResolvedValue(client);
+        mockDb.query.mockResolvedValueOnce({ rows: [rules[2]] });
+
+        const heavy = { ...order, total_weight: 32 };
+        const result = await service.applyToOrder('org_123', heavy);
+
+        expect(result.order.status).toBe('on_hold');
+        const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE orders'));
+        expect(update[1].slice(3)).toEqual(['Overweight', false, 'ord_1', 'org_123']);
+        const audit = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO automation_decisions'));
+        expect(JSON.parse(audit[1][2])).toEqual([{ id: 'rule_heavy', name: 'Heavy', priority: 5 }]);
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+        expect(client.release).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Routz v4.0 - Calendar Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// CALENDAR TESTS
+// ==========================================
+
+describe('Calendar', () => {
+    const {
+        CalendarService, carrierCalendar, warehouseCalendar, countryCalendar, shiftWorkingDays, holidaysFor, isHoliday, orthodoxEasterSunday
+    } = require('../services/calendar');
+    const { DeliveryPromiseService } = require('../services/delivery-promise');
+    const { AIPredictionService } = require('../services/ai-predictions');
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should resolve movable feasts and substitute days', () => {
+        // Ascension et lundi de Pentecôte 2026
+        expect(isHoliday('FR', '2026-05-14')).toBe(true);
+        expect(isHoliday('BE', '2026-05-25')).toBe(true);
+        expect(isHoliday('ES', '2026-04-06')).toBe(false);
+
+        // Pâques orthodoxe
+        expect(orthodoxEasterSunday(2026)).toBe('2026-04-12');
+        expect(isHoliday('GR', '2026-04-13')).toBe(true);
+
+        // Noël 2027 un samedi : remplacé les lundi et mardi suivants au Royaume-Uni
+        expect(holidaysFor('GB', 2027).filter(holiday => holiday.rule === 'substitute').map(holiday => holiday.date))
+            .toEqual(['2027-12-27', '2027-12-28']);
+
+        expect(() => new CalendarService({ db: mockDb }).getHolidays('US', 2026))
+            .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_COUNTRY' }));
+    });
+
+    it('should apply carrier working days and exceptions', () => {
+        // Colissimo distribue le samedi et le lundi de Pentecôte
+        const colissimo = carrierCalendar('colissimo', 'FR', 'delivery');
+        expect(colissimo.addWorkingDays('2026-05-21', 1)).toBe('2026-05-22');
+        expect(colissimo.addWorkingDays('2026-05-22', 1)).toBe('2026-05-23');
+        expect(colissimo.isWorkingDay('2026-05-25')).toBe(true);
+        expect(carrierCalendar('dpd', 'FR', 'delivery').isWorkingDay('2026-05-25')).toBe(false);
+
+        // Pas de livraison le samedi, jour de grève
+        const exceptions = [
+            { carrier: 'colissimo', operation: 'delivery', weekday: 'SA', working: false },
+            { carrier: 'colissimo', operation: 'delivery', country: 'FR', date: '2026-05-26', working: false },
+            { carrier: 'colissimo', operation: 'delivery', country: 'BE', date: '2026-05-27', working: false }
+        ];
+        const restricted = carrierCalendar('colissimo', 'FR', 'delivery', exceptions);
+        expect(restricted.addWorkingDays('2026-05-22', 1)).toBe('2026-05-25');
+        expect(restricted.addWorkingDays('2026-05-25', 1)).toBe('2026-05-27');
+    });
+
+    it('should skip warehouse closures in the delivery promise', () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+        const warehouse = service.warehouseSettings({ country: 'FR', closures: ['2026-10-21'] });
+
+        expect(warehouseCalendar(warehouse).nextWorkingDay('2026-10-21')).toBe('2026-10-22');
+
+        // Mardi 20 octobre 2026 à 17:00 : entrepôt fermé le lendemain
+        const promise = service.promise({
+            service: { id: 'dpd_classic', carrier: 'dpd', deliveryDays: { min: 1, max: 1 } },
+            zoneId: 'FR_METRO',
+            country: 'FR',
+            warehouse,
+            now: new Date('2026-10-20T15:00:00Z')
+        });
+
+        expect(promise).toMatchObject({ orderDay: '2026-10-22', shipDate: '2026-10-22', deliveryDate: { min: '2026-10-23', max: '2026-10-23' } });
+    });
+
+    it('should use the calendar for every date computation', () => {
+        // Expédié le mercredi 6 mai 2026 : 8 mai férié, pas de distribution DPD le week-end
+        const predictions = new AIPredictionService({ cacheEnabled: false });
+        expect(predictions.calculateDeliveryDate('2026-05-06', 2, { carrier: 'dpd', country: 'FR' })).toBe('2026-05-11');
+        expect(predictions.calculateDeliveryDate('2026-05-06', 2, { carrier: 'colissimo', country: 'FR' })).toBe('2026-05-09');
+
+        // Échéance tombant le lundi de Pâques : reportée au mardi, à la même heure
+        expect(shiftWorkingDays(new Date('2026-04-06T10:00:00Z'), 0, countryCalendar('FR')).toISOString()).toBe('2026-04-07T10:00:00.000Z');
+        expect(shiftWorkingDays(new Date('2026-04-03T10:00:00Z'), 1, countryCalendar('FR')).toISOString()).toBe('2026-04-07T10:00:00.000Z');
+    });
+
+    it('should validate and store carrier exceptions and warehouse closures', async () => {
+        const service = new CalendarService({ db: mockDb });
+
+        await expect(service.addCarrierException('org_123', { carrier: 'colissimo', operation: 'sorting', weekday: 'SA', date: '2026-05-26' }))
+            .rejects.toMatchObject({
+                code: 'INVALID_CARRIER_EXCEPTION',
+                details: { errors: [{ field: 'operation' }, { field: 'weekday' }] }
+            });
+        expect(mockDb.query).not.toHaveBeenCalled();
+
+        mockDb.query.mockResolvedValueOnce({
+            rows: [{ id: 'ex_1', carrier: 'colissimo', country: 'FR', operation: 'delivery', weekday: 'SA', exception_date: null, working: false }]
+        });
+        await expect(service.addCarrierException('org_123', { carrier: 'colissimo', country: 'fr', operation: 'delivery', weekday: 'SA' }))
+            .resolves.toMatchObject({ id: 'ex_1', weekday: 'SA', working: false });
+        expect(mockDb.query.mock.calls[0][1]).toEqual(expect.arrayContaining(['org_123', 'colissimo', 'FR', 'delivery', 'SA']));
+
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        await expect(service.addWarehouseClosure('org_123', 'wh_other', { date: '2026-12-31' }))
+            .rejects.toMatchObject({ code: 'WAREHOUSE_NOT_FOUND', status: 404 });
+        await expect(service.addWarehouseClosure('org_123', 'wh_1', { date: '31/12/2026' }))
+            .rejects.toMatchObject({ code: 'INVALID_DATE' });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Routz v4.0 - Cartonization Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// CARTONIZATION TESTS
+// ==========================================
+
+describe('Cartonization', () => {
+    const { CartonizationService } = require('../services/cartonization');
+    const service = new CartonizationService({ db: mockDb });
+
+    const boxes = [
+        { id: 'box_s', code: 'S', name: 'Small', inner_length: 20, inner_width: 15, inner_height: 10, tare_weight: 0.1, max_weight: 5 },
+        { id: 'box_m', code: 'M', name: 'Medium', inner_length: 30, inner_width: 25, inner_height: 20, outer_length: 31, outer_width: 26, outer_height: 21, tare_weight: 0.25, max_weight: 15 },
+        { id: 'box_l', code: 'L', name: 'Large', inner_length: 50, inner_width: 40, inner_height: 30, tare_weight: 0.5, max_weight: 25 }
+    ];
+
+    it('should pick the smallest box holding every item', () => {
+        const twoUnits = service.pack([{ sku: 'TSHIRT', quantity: 2, length: 15, width: 10, height: 10, weight: 0.5 }], boxes);
+        expect(twoUnits.packages).toHaveLength(1);
+        expect(twoUnits.packages[0]).toMatchObject({ box: { code: 'S' }, weight: 1.1, fillRate: 1, items: [{ sku: 'TSHIRT', quantity: 2 }] });
+
+        // Trois unités : le petit carton ne suffit plus, poids volumétrique sur les dimensions extérieures
+        const threeUnits = service.pack([{ sku: 'TSHIRT', quantity: 3, length: 15, width: 10, height: 10, weight: 0.5 }], boxes, { carriers: ['ups', 'gls'] });
+        expect(threeUnits.packages[0]).toMatchObject({ box: { code: 'M' }, length: 31, width: 26, height: 21 });
+        expect(threeUnits.packages[0].dimensionalWeight).toEqual({ ups: 3.39, gls: 2.82 });
+    });
+
+    it('should split by box weight limit and ship oversize items on their own', () => {
+        const heavy = service.pack([{ sku: 'DUMBBELL', quantity: 3, length: 10, width: 10, height: 10, weight: 10 }], boxes);
+        expect(heavy.packages.map(p => [p.box.code, p.items[0].quantity])).toEqual([['L', 2], ['M', 1]]);
+        expect(heavy.boxCount).toBe(2);
+
+        const oversize = service.pack([
+            { sku: 'POSTER', quantity: 1, length: 80, width: 8, height: 8, weight: 0.4 },
+            { sku: 'MUG', quantity: 1, length: 10, width: 10, height: 10, weight: 0.3 }
+        ], boxes);
+        expect(oversize.packages.map(p => p.box?.code || null)).toEqual(['S', null]);
+        expect(oversize.packages[1]).toMatchObject({ length: 80, items: [{ sku: 'POSTER', quantity: 1 }] });
+    });
+
+    it('should complete item dimensions from the product catalogue', async () => {
+        mockDb.query.mockReset();
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ sku: 'MUG', length: '10', width: '10', height: '10', weight: '0.3' }] })
+            .mockResolvedValueOnce({ rows: boxes });
+
+        const result = await service.cartonize('org_123', { items: [{ sku: 'MUG', quantity: 2 }], warehouseId: 'wh_1', carriers: ['colissimo'] });
+
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', ['MUG']]);
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['org_123', 'wh_1']);
+        expect(service.toParcels(result)).toEqual([
+            { weight: 0.7, length: 20, width: 15, height: 10, boxCode: 'S', items: [{ sku: 'MUG', quantity: 2 }] }
+        ]);
+
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        await expect(service.cartonize('org_123', { items: [{ sku: 'UNKNOWN', quantity: 1 }] }))
+            .rejects.toMatchObject({ code: 'MISSING_DIMENSIONS', status: 422, details: { skus: ['UNKNOWN'] } });
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Routz v4.0 - Chargeable Weight Tests
+ */
+
+// ==========================================
+// CHARGEABLE WEIGHT TESTS
+// ==========================================
+
+describe('Chargeable Weight', () => {
+    const { calculateChargeableWeight } = require('../services/chargeable-weight');
+    const bulky = { weight: 3, length: 40, width: 30, height: 20 };
+
+    it('should apply each carrier divisor, rounding step and minimum', () => {
+        const chargeable = (carrier, service, parcels = [bulky]) =>
+            calculateChargeableWeight(parcels, { carrier, service }).chargeableWeight;
+
+        expect(chargeable('colissimo', 'home')).toBe(4.8);
+        expect(chargeable('gls', 'business')).toBe(4);
+        expect(chargeable('tnt', 'express')).toBe(6);
+        expect(chargeable('ups', 'standard', [{ ...bulky, height: 21 }])).toBe(5.5);
+        expect(chargeable('dhl', 'economy_select')).toBe(6);
+        expect(chargeable('ups', 'standard', [{ weight: 0.2 }])).toBe(0.5);
+
+        // Arrondi colis par colis
+        const twoParcels = calculateChargeableWeight([bulky, { weight: 1.2 }], { carrier: 'dpd', service: 'classic' });
+        expect(twoParcels).toMatchObject({ divisor: 6000, actualWeight: 4.2, volumetricWeight: 4, chargeableWeight: 5.2, basis: 'volumetric', source: 'carrier' });
+        expect(twoParcels.parcels.map(p => p.basis)).toEqual(['volumetric', 'actual']);
+    });
+
+    it('should let the contract override carrier rules per service', () => {
+        const contractRules = { divisor: 6000, services: { home: { rounding: 1 } } };
+
+        expect(calculateChargeableWeight([bulky], { carrier: 'colissimo', service: 'home', contractRules }))
+            .toMatchObject({ divisor: 6000, rounding: 1, chargeableWeight: 4, source: 'contract' });
+        expect(calculateChargeableWeight([{ ...bulky, weight: 4.2 }], { carrier: 'colissimo', service: 'home', contractRules }))
+            .toMatchObject({ chargeableWeight: 5, basis: 'actual' });
+        expect(calculateChargeableWeight([bulky], { carrier: 'colissimo', service: 'pickup', contractRules }))
+            .toMatchObject({ divisor: 6000, rounding: 0.01, chargeableWeight: 4 });
+    });
+});
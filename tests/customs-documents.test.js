@@ -0,0 +1,112 @@
+/**
+ * Routz v4.0 - Customs Documents Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// CUSTOMS DOCUMENTS TESTS
+// ==========================================
+
+describe('Customs Documents', () => {
+    const { InternationalService } = require('../services/international');
+    const { CustomsDocumentService } = require('../services/customs-documents');
+
+    const declaration = (overrides = {}) => ({
+        id: 'CUST_1',
+        type: 'export',
+        category: 'commercial',
+        invoiceNumber: 'F-2026-0042',
+        exporter: {
+            name: 'Maison Dupont',
+            address: { address1: '4 rue de la République', postalCode: '69001', city: 'Lyon', country: 'FR' },
+            eoriNumber: 'FR12345678900010',
+            vatNumber: 'FR32123456789'
+        },
+        importer: { name: 'John Smith', address: { address1: '221B Baker Street', postalCode: 'NW1 6XE', city: 'London', country: 'GB' } },
+        items: [
+            { description: 'T-shirt coton', hsCode: '6109.10', quantity: 2, unitValue: 25, totalValue: 50, weight: 0.2, countryOfOrigin: 'PT', currency: 'EUR' },
+            { description: 'Casquette', hsCode: '6505.00', quantity: 1, unitValue: 40, totalValue: 40, weight: 0.15, countryOfOrigin: 'FR', currency: 'EUR' }
+        ],
+        totalValue: 90,
+        currency: 'EUR',
+        incoterm: 'DAP',
+        shippingCost: 12.5,
+        iossNumber: null,
+        ...overrides
+    });
+
+    it('should pick CN22 or CN23 by value and a pro forma invoice for non-sales', () => {
+        const documents = new CustomsDocumentService();
+
+        expect(documents.selectDocuments(declaration())).toEqual(['cn22', 'commercial_invoice']);
+        expect(documents.selectDocuments(declaration({ totalValue: 450, category: 'gift' }))).toEqual(['cn23', 'proforma_invoice']);
+        expect(documents.selectDocuments(declaration({ category: 'documents' }))).toEqual(['cn22']);
+        expect(documents.selectDocuments(declaration({ type: 'intra_eu' }))).toEqual([]);
+    });
+
+    it('should render signed PDF documents and refuse a CN22 above the postal limit', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+
+        const { documents, electronicData } = await intlService.generateCustomsDocuments(declaration(), {
+            signature: { name: 'Claire Dupont', place: 'Lyon' }
+        });
+
+        expect(documents.map(document => document.filename)).toEqual(['cn22-F-2026-0042.pdf', 'commercial-invoice-F-2026-0042.pdf']);
+        documents.forEach(document => {
+            expect(document.contentType).toBe('application/pdf');
+            expect(document.data.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+        expect(electronicData).toMatchObject({
+            documentType: 'CN22',
+            invoiceNumber: 'F-2026-0042',
+            exporter: { eoriNumber: 'FR12345678900010', vatNumber: 'FR32123456789' },
+            totalWeight: 0.55
+        });
+        expect(electronicData.articles[0]).toEqual({
+            description: 'T-shirt coton', quantity: 2, weight: 0.2, value: 25, hsCode: '610910', originCountry: 'PT', currency: 'EUR'
+        });
+
+        await expect(intlService.generateCustomsDocuments(declaration({ totalValue: 650 }), { types: ['cn22'] }))
+            .rejects.toMatchObject({ name: 'CustomsDocumentError', code: 'CN22_VALUE_EXCEEDED' });
+    });
+
+    it('should build a pro forma invoice with freight and customs identifiers', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+
+        const invoice = await intlService.generateCommercialInvoice(declaration({ category: 'sample', iossNumber: 'IM2500000001' }));
+
+        expect(invoice).toMatchObject({
+            invoiceNumber: 'F-2026-0042',
+            invoiceType: 'proforma',
+            reasonForExport: 'sample',
+            shipping: 12.5,
+            total: 102.5,
+            eoriNumber: 'FR12345678900010',
+            iossNumber: 'IM2500000001',
+            paymentTerms: 'No charge'
+        });
+    });
+
+    it('should attach electronic data and documents to Colissimo and Chronopost requests only', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        const request = { service: 'COLI', parcel: { weight: 0.6 } };
+
+        const colissimo = await intlService.attachCustomsToCarrierRequest('colissimo', request, declaration({ category: 'gift' }));
+        expect(colissimo.customs.category).toBe(1);
+        expect(colissimo.customs.contents).toHaveLength(2);
+        expect(colissimo.customs.documents.map(document => document.type)).toEqual(['cn22', 'proforma_invoice']);
+        expect(Buffer.from(colissimo.customs.documents[0].content, 'base64').subarray(0, 5).toString()).toBe('%PDF-');
+        expect(colissimo.customsValue).toBe(90);
+
+        const chronopost = await intlService.attachCustomsToCarrierRequest('chronopost', request, declaration());
+        expect(chronopost.customs.category).toBe('commercial');
+
+        await expect(intlService.attachCustomsToCarrierRequest('colissimo', request, declaration({ type: 'intra_eu' }))).resolves.toBe(request);
+        await expect(intlService.attachCustomsToCarrierRequest('dhl', request, declaration())).resolves.toBe(request);
+    });
+});
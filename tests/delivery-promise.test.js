@@ -0,0 +1,117 @@
+/**
+ * Routz v4.0 - Delivery Promise Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// DELIVERY PROMISE TESTS
+// ==========================================
+
+describe('Delivery Promise', () => {
+    const { DeliveryPromiseService } = require('../services/delivery-promise');
+    const { easterSunday, isHoliday } = require('../services/calendar');
+
+    const warehouse = (settings = {}) => new DeliveryPromiseService({ db: mockDb }).warehouseSettings({ country: 'FR', ...settings });
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should count down to the warehouse cut-off and promise the delivery day', () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+
+        // Mardi 20 octobre 2026, 13:46 à Paris
+        const promise = service.promise({
+            service: { id: 'dpd_classic', carrier: 'dpd', deliveryDays: { min: 2, max: 2 } },
+            zoneId: 'FR_METRO',
+            country: 'FR',
+            warehouse: warehouse(),
+            now: new Date('2026-10-20T11:46:00Z'),
+            lang: 'en'
+        });
+
+        expect(promise).toMatchObject({
+            orderDay: '2026-10-20',
+            shipDate: '2026-10-20',
+            cutoff: '2026-10-20T14:00:00.000Z',
+            orderWithin: { hours: 2, minutes: 14 },
+            deliveryDate: { min: '2026-10-22', max: '2026-10-22' },
+            message: 'Order within 2h 14m to get it Thursday'
+        });
+    });
+
+    it('should skip public holidays and carrier non-working days after the cut-off', () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+
+        // Mercredi 13 mai 2026 à 17:00, veille de l'Ascension
+        const promise = service.promise({
+            service: { id: 'chrono_13', carrier: 'chronopost', deliveryDays: { min: 1, max: 1 } },
+            zoneId: 'FR_METRO',
+            country: 'FR',
+            warehouse: warehouse(),
+            now: new Date('2026-05-13T15:00:00Z')
+        });
+
+        expect(promise).toMatchObject({
+            orderDay: '2026-05-15',
+            shipDate: '2026-05-15',
+            cutoff: '2026-05-15T14:00:00.000Z',
+            deliveryDate: { min: '2026-05-18', max: '2026-05-18' },
+            message: 'Commandez avant vendredi 16:00 pour être livré lundi'
+        });
+    });
+
+    it('should add handling time and the destination country holidays', () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+
+        const promise = service.promise({
+            service: { id: 'colissimo_international', carrier: 'colissimo', deliveryDays: { min: 5, max: 10 } },
+            zoneId: 'EU',
+            country: 'DE',
+            warehouse: warehouse({ handlingDays: 1 }),
+            now: new Date('2026-12-21T09:00:00Z')
+        });
+
+        expect(promise.shipDate).toBe('2026-12-22');
+        expect(promise.transitDays).toEqual({ min: 3, max: 6 });
+        // 25 et 26 décembre fériés en Allemagne ; Colissimo distribue le samedi
+        expect(promise.deliveryDate).toEqual({ min: '2026-12-28', max: '2026-12-31' });
+    });
+
+    it('should resolve transit times and holiday calendars', () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+        const pickup = { id: 'colissimo_pickup', carrier: 'colissimo', deliveryDays: { min: 3, max: 5 } };
+
+        expect(service.transitDays(pickup, 'EUROPE_OTHER')).toEqual({ min: 5, max: 7 });
+        expect(service.transitDays(pickup, 'EUROPE_OTHER', { colissimo_pickup: { EUROPE_OTHER: { min: 4, max: 6 } } })).toEqual({ min: 4, max: 6 });
+
+        expect(easterSunday(2026)).toBe('2026-04-05');
+        expect(easterSunday(2027)).toBe('2027-03-28');
+        expect(isHoliday('FR', '2026-05-25')).toBe(true);
+        expect(isHoliday('DE', '2026-04-03')).toBe(true);
+        expect(isHoliday('FR', '2026-04-03')).toBe(false);
+    });
+
+    it('should load the shipping warehouse settings', async () => {
+        const service = new DeliveryPromiseService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({
+                rows: [{ id: 'wh_1', name: 'Lyon', country: 'FR', settings: { cutoffTime: '14:30', handlingDays: 2 } }]
+            })
+            .mockResolvedValueOnce({ rows: [{ id: 'cl_1', warehouse_id: 'wh_1', closure_date: '2026-12-31', reason: 'Inventaire' }] });
+
+        await expect(service.getWarehouse('org_123')).resolves.toMatchObject({
+            id: 'wh_1', cutoffTime: '14:30', handlingDays: 2, processingDays: ['MO', 'TU', 'WE', 'TH', 'FR'], timezone: 'Europe/Paris',
+            closures: ['2026-12-31']
+        });
+
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        await expect(service.getWarehouse('org_123', 'wh_missing'))
+            .rejects.toMatchObject({ name: 'DeliveryPromiseError', code: 'WAREHOUSE_NOT_FOUND', status: 404 });
+    });
+});
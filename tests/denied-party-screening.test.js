@@ -0,0 +1,154 @@
+/**
+ * Routz v4.0 - Denied Party Screening Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// DENIED PARTY SCREENING TESTS
+// ==========================================
+
+describe('Denied Party Screening', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { DeniedPartyScreeningService } = require('../services/denied-party-screening');
+
+    let listsDir;
+
+    beforeAll(() => {
+        listsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sanctions-'));
+        const nulls = Array(8).fill('"-0- "').join(',');
+        fs.writeFileSync(path.join(listsDir, 'sdn.csv'), `"36","SMITH, John","individual","SDGT",${nulls}\n"37","GOLDEN STAR SHIPPING","-0- ","IRAN",${nulls}\n`);
+        fs.writeFileSync(path.join(listsDir, 'add.csv'), '"36","25","12 Harbour Road","Dubai","United Arab Emirates","-0- "\n');
+        fs.writeFileSync(path.join(listsDir, 'alt.csv'), '"36","10","aka","SMYTHE, Johnny","-0- "\n');
+        fs.writeFileSync(path.join(listsDir, 'eu-consolidated.csv'), [
+            'Entity_LogicalId;Entity_EU_ReferenceNumber;Entity_SubjectType_ClassificationCode;Entity_Regulation_Programme;NameAlias_WholeName;Address_Street;Address_City;Address_ZipCode;Address_CountryIso2Code',
+            '13;EU.27.28;enterprise;IRN;Bank Melli Iran;;;;',
+            '13;EU.27.28;enterprise;IRN;Melli Bank PLC;Ferdowsi Avenue;Tehran;;IR'
+        ].join('\n'));
+        fs.writeFileSync(path.join(listsDir, 'ConList.csv'), [
+            'Last Updated,01/10/2026',
+            'Name 6,Name 1,Name 2,Name 3,Name 4,Name 5,Alias Type,Address 1,Address 2,Address 3,Address 4,Address 5,Address 6,Post/Zip Code,Country,Group Type,Regime,Group ID',
+            'ACME TRADING LLC,,,,,,Primary name,5 Nevsky Prospekt,,,,,St Petersburg,191186,Russia,Entity,Russia,15001',
+            'ACME TRADE,,,,,,AKA,,,,,,,,,Entity,Russia,15001'
+        ].join('\n'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(listsDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should load the EU, OFAC and UK HMT lists from local files', async () => {
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir });
+
+        const { entries, sources } = await service.loadLists();
+
+        expect(sources.map(source => [source.list, source.loaded, source.entries])).toEqual([
+            ['eu_consolidated', true, 1], ['ofac_sdn', true, 2], ['uk_hmt', true, 1]
+        ]);
+        expect(entries.find(entry => entry.listId === '36')).toMatchObject({
+            name: 'SMITH, John', aliases: ['SMYTHE, Johnny'], type: 'individual',
+            addresses: [{ line: '12 Harbour Road, Dubai', country: 'United Arab Emirates' }]
+        });
+        expect(entries.find(entry => entry.list === 'eu_consolidated')).toMatchObject({ listId: 'EU.27.28', name: 'Bank Melli Iran', aliases: ['Melli Bank PLC'] });
+        expect(entries.find(entry => entry.list === 'uk_hmt')).toMatchObject({ name: 'ACME TRADING LLC', aliases: ['ACME TRADE'], programs: ['Russia'] });
+    });
+
+    it('should match names fuzzily regardless of word order and legal form', async () => {
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir });
+        const { entries } = await service.loadLists();
+
+        const smith = service.screenParty({ name: 'Jon Smyth', city: 'Dubai', address1: '12 Harbour Rd' }, 'AE', entries);
+        expect(smith.matches[0]).toMatchObject({ list: 'ofac_sdn', listId: '36', addressMatch: { country: true } });
+        expect(smith.embargo).toBeNull();
+
+        const acme = service.screenParty({ name: 'Ivan Petrov', company: 'Acme Trading Ltd', city: 'St Petersburg' }, 'RU', entries);
+        expect(acme.matches[0]).toMatchObject({ list: 'uk_hmt', name: 'ACME TRADING LLC', score: 1 });
+        expect(acme.embargo).toMatchObject({ country: 'RU', level: 'restricted' });
+
+        expect(service.screenParty({ name: 'Marie Curie' }, 'US', entries).matches).toEqual([]);
+        expect(service.screenParty({ name: 'Olena Koval', city: 'Sevastopol' }, 'UA', entries).embargo).toMatchObject({ level: 'embargo', matchedOn: 'sevastopol' });
+    });
+
+    it('should record each screening and hold non-EU shipments until compliance decides', async () => {
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir });
+        const shipment = {
+            id: 'shp_1', sender_country: 'FR', recipient_country: 'US',
+            recipient_name: 'John Smith', recipient_address1: '1 Main Street', recipient_city: 'Boston', recipient_postal_code: '02108'
+        };
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'compliance_hold' }] });
+
+        const result = await service.screenShipment('org_123', shipment);
+
+        expect(result.screening).toMatchObject({ decision: 'hold', status: 'pending_review', reasons: ['denied_party_match'] });
+        const insert = mockDb.query.mock.calls[0];
+        expect(insert[0]).toContain('INSERT INTO denied_party_screenings');
+        expect(insert[1].slice(2, 8)).toEqual(['shp_1', expect.any(String), 'FR', 'US', 'hold', 'pending_review']);
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['shp_1', 'org_123', 'Contrôle export : denied_party_match']);
+        expect(result.shipment.status).toBe('compliance_hold');
+
+        await expect(service.screenShipment('org_123', { ...shipment, recipient_country: 'DE' })).resolves.toBeNull();
+
+        const unavailable = new DeniedPartyScreeningService({ db: mockDb, listsDir: path.join(listsDir, 'missing') });
+        mockDb.query.mockResolvedValue({ rows: [] });
+        await expect(unavailable.screen('org_123', { party: { name: 'Marie Curie' }, destinationCountry: 'US' }))
+            .resolves.toMatchObject({ decision: 'hold', reasons: ['lists_unavailable'] });
+    });
+
+    it('should take the origin from the warehouse for shipments created from an order', async () => {
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ country: 'FR' }] });
+
+        await expect(service.screenShipment('org_123', { id: 'shp_2', warehouse_id: 'wh_1', recipient_country: 'DE' })).resolves.toBeNull();
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', 'wh_1']);
+    });
+
+    it('should hold when any configured list is missing', async () => {
+        const partialDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sanctions-partial-'));
+        ['sdn.csv', 'add.csv', 'alt.csv'].forEach(file => fs.copyFileSync(path.join(listsDir, file), path.join(partialDir, file)));
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir: partialDir });
+        mockDb.query.mockResolvedValue({ rows: [] });
+
+        try {
+            const screening = await service.screen('org_123', { party: { name: 'Marie Curie' }, destinationCountry: 'US' });
+
+            expect(screening).toMatchObject({ decision: 'hold', reasons: ['lists_unavailable'] });
+            expect(screening.lists.filter(source => source.loaded).map(source => source.list)).toEqual(['ofac_sdn']);
+        } finally {
+            fs.rmSync(partialDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should require a licence to clear an embargoed destination and release the shipment', async () => {
+        const service = new DeniedPartyScreeningService({ db: mockDb, listsDir });
+        const pending = { id: 'scr_1', status: 'pending_review', shipment_id: 'shp_1', embargo: { country: 'IR', level: 'embargo' } };
+
+        mockDb.query.mockResolvedValueOnce({ rows: [pending] });
+        await expect(service.clear('org_123', 'scr_1', { notes: 'Homonyme' }))
+            .rejects.toMatchObject({ name: 'ScreeningError', code: 'LICENCE_REQUIRED' });
+
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [pending] })
+            .mockResolvedValueOnce({ rows: [{ ...pending, status: 'cleared' }] })
+            .mockResolvedValueOnce({ rows: [] });
+        const cleared = await service.clear('org_123', 'scr_1', { notes: 'Licence obtenue', licenceNumber: 'FR-EXP-2026-118' }, 'user_1');
+
+        expect(cleared.status).toBe('cleared');
+        expect(mockDb.query.mock.calls[2][1]).toEqual(['scr_1', 'org_123', 'cleared', 'Licence obtenue', 'FR-EXP-2026-118', 'user_1']);
+        expect(mockDb.query.mock.calls[3][0]).toContain("SET status = 'pending', hold_reason = NULL");
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{ ...pending, status: 'cleared' }] });
+        await expect(service.reject('org_123', 'scr_1')).rejects.toMatchObject({ code: 'NOT_PENDING_REVIEW', status: 409 });
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Routz v4.0 - Exchanges Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// EXCHANGES TESTS
+// ==========================================
+
+describe('Exchanges', () => {
+    const { ExchangeService } = require('../services/exchanges');
+
+    const rma = {
+        id: 'ret_1',
+        organization_id: 'org_123',
+        order_id: 'ord_1',
+        status: 'in_transit',
+        items: [{ sku: 'TSHIRT-M', quantity: 1 }]
+    };
+    const order = {
+        id: 'ord_1',
+        order_number: '1001',
+        customer_name: 'Jean Dupont',
+        items: [{ sku: 'TSHIRT-M', name: 'T-shirt M', price: 25 }],
+        shipping_address: { address1: '1 rue de Rivoli', city: 'Paris', postalCode: '75001', country: 'FR' }
+    };
+
+    const mockTransaction = (...results) => {
+        const client = { query: jest.fn(), release: jest.fn() };
+        results.forEach(result => client.query.mockResolvedValueOnce(result));
+        mockDb.connect.mockResolvedValueOnce(client);
+        return client;
+    };
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+        mockDb.connect.mockReset();
+    });
+
+    it('should reserve the replacement and create the exchange order in one transaction', async () => {
+        const service = new ExchangeService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [rma] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [order] });
+        const client = mockTransaction(
+            {},
+            { rows: [{ sku: 'TSHIRT-L', reserved: 1 }] },
+            { rows: [{ id: 'ord_exc', order_number: '1001-EXC' }] },
+            { rows: [{ id: 'exc_1', status: 'reserved', exchange_order_id: 'ord_exc' }] },
+            {}
+        );
+
+        const { exchange, payment } = await service.createExchange('org_123', 'ret_1', {
+            items: [{ sku: 'TSHIRT-M', replacementSku: 'TSHIRT-L', quantity: 1 }],
+            warehouseId: 'wh_1'
+        });
+
+        expect(exchange).toMatchObject({ id: 'exc_1', status: 'reserved', exchange_order_number: '1001-EXC' });
+        expect(payment).toBeNull();
+        expect(client.query.mock.calls[1][1]).toEqual(['wh_1', 'TSHIRT-L', 1]);
+        const replacements = JSON.parse(client.query.mock.calls[2][1][6]);
+        expect(replacements).toEqual([expect.objectContaining({ sku: 'TSHIRT-L', returnedSku: 'TSHIRT-M', price: 25 })]);
+        expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('should roll back the reservation when a replacement is out of stock', async () => {
+        const service = new ExchangeService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [rma] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [order] });
+        const client = mockTransaction({}, { rows: [] }, { rows: [{ available: 0 }] }, {});
+
+        await expect(service.createExchange('org_123', 'ret_1', {
+            items: [{ sku: 'TSHIRT-M', replacementSku: 'TSHIRT-L', quantity: 1 }],
+            warehouseId: 'wh_1'
+        })).rejects.toMatchObject({ code: 'OUT_OF_STOCK', status: 409, details: { items: [{ sku: 'TSHIRT-L', available: 0 }] } });
+        expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should place a card hold for an instant exchange', async () => {
+        const payments = { createPaymentIntent: jest.fn().mockResolvedValue({ clientSecret: 'pi_1_secret', amount: 25, paymentIntentId: 'pi_1' }) };
+        const service = new ExchangeService({ db: mockDb, payments });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [rma] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [order] });
+        mockTransaction(
+            {},
+            { rows: [{}] },
+            { rows: [{ id: 'ord_exc', order_number: '1001-EXC' }] },
+            { rows: [{ id: 'exc_1', status: 'awaiting_hold', instant: true }] },
+            {}
+        );
+        mockDb.query.mockResolvedValueOnce({ rows: [{ hold_intent_id: 'pi_1', hold_status: 'pending' }] });
+
+        const { exchange, payment } = await service.createExchange('org_123', 'ret_1', {
+            items: [{ sku: 'TSHIRT-M', replacementSku: 'TSHIRT-L', quantity: 1 }],
+            instant: true,
+            warehouseId: 'wh_1'
+        });
+
+        expect(payments.createPaymentIntent).toHaveBeenCalledWith('ret_1', { hold: { amount: 25, exchangeId: expect.any(String) } });
+        expect(exchange).toMatchObject({ status: 'awaiting_hold', hold_intent_id: 'pi_1', hold_status: 'pending' });
+        expect(payment.clientSecret).toBe('pi_1_secret');
+
+        // Pas d'expédition avant approbation du retour
+        mockDb.query.mockResolvedValueOnce({ rows: [{ ...rma, status: 'pending_approval' }] });
+        await expect(service.createExchange('org_123', 'ret_1', {
+            items: [{ sku: 'TSHIRT-M', replacementSku: 'TSHIRT-L', quantity: 1 }],
+            instant: true
+        })).rejects.toMatchObject({ code: 'INVALID_STATUS', status: 409 });
+    });
+
+    it('should cancel the exchange and release the stock when the card hold cannot be created', async () => {
+        const payments = { createPaymentIntent: jest.fn().mockRejectedValue(new Error('Stripe not configured')) };
+        const service = new ExchangeService({ db: mockDb, payments });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [rma] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [order] });
+        mockTransaction(
+            {},
+            { rows: [{}] },
+            { rows: [{ id: 'ord_exc', order_number: '1001-EXC' }] },
+            { rows: [{ id: 'exc_1', status: 'awaiting_hold', instant: true }] },
+            {}
+        );
+        const created = { id: 'exc_1', status: 'awaiting_hold', warehouse_id: 'wh_1', exchange_order_id: 'ord_exc', items: [{ sku: 'TSHIRT-L', quantity: 1 }] };
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [created] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ ...created, status: 'cancelled' }] });
+
+        await expect(service.createExchange('org_123', 'ret_1', {
+            items: [{ sku: 'TSHIRT-M', replacementSku: 'TSHIRT-L', quantity: 1 }],
+            instant: true,
+            warehouseId: 'wh_1'
+        })).rejects.toMatchObject({ code: 'HOLD_FAILED', status: 502 });
+
+        const calls = mockDb.query.mock.calls.slice(3);
+        expect(calls[1][0]).toContain('UPDATE inventory');
+        expect(calls[1][1]).toEqual(['wh_1', 'TSHIRT-L', 1]);
+        expect(calls[3][1]).toEqual(['hold_failed', expect.any(String)]);
+    });
+
+    it('should renew expiring holds and cancel or flag the exchange when renewal fails', async () => {
+        const payments = {
+            reauthorizePaymentHold: jest.fn()
+                .mockResolvedValueOnce({ paymentIntentId: 'pi_2', amount: 25 })
+                .mockRejectedValueOnce(new Error('authentication_required')),
+            releasePaymentHold: jest.fn()
+        };
+        const service = new ExchangeService({ db: mockDb, payments });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [
+                { id: 'exc_1', organization_id: 'org_123', status: 'shipped', hold_status: 'held', hold_intent_id: 'pi_1' },
+                { id: 'exc_2', organization_id: 'org_123', status: 'shipped', hold_status: 'held', hold_intent_id: 'pi_3' }
+            ] })
+            .mockResolvedValue({ rows: [] });
+
+        const summary = await service.renewExpiringHolds();
+
+        expect(summary).toEqual({ renewed: 1, cancelled: 0, expired: 1 });
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['pi_2', 'exc_1']);
+        expect(mockDb.query.mock.calls[2][0]).toContain("hold_status = 'expired'");
+        expect(payments.releasePaymentHold).not.toHaveBeenCalled();
+    });
+
+    it('should ship a standard exchange or release the hold when the original is received', async () => {
+        const payments = { releasePaymentHold: jest.fn().mockResolvedValue({ status: 'canceled' }) };
+        const service = new ExchangeService({ db: mockDb, payments });
+
+        // Échange instantané déjà expédié : seule l'empreinte est libérée
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ id: 'exc_1', status: 'shipped', instant: true, hold_status: 'held', hold_intent_id: 'pi_1' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 'exc_1', status: 'completed' }] });
+
+        const instant = await service.fulfillOnReceipt('org_123', 'ret_1');
+        expect(payments.releasePaymentHold).toHaveBeenCalledWith('pi_1');
+        expect(instant).toMatchObject({ exchange: { status: 'completed' }, shipment: null });
+
+        // Échange standard : le remplacement part à réception
+        const reserved = { id: 'exc_2', status: 'reserved', instant: false, return_id: 'ret_1', exchange_order_id: 'ord_exc', warehouse_id: 'wh_1' };
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [reserved] })
+            .mockResolvedValueOnce({ rows: [reserved] })
+            .mockResolvedValueOnce({ rows: [{ ...order, id: 'ord_exc' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'shp_1', status: 'pending' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ status: 'shipped', shipment_id: 'shp_1' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'exc_2', status: 'completed' }] });
+
+        const standard = await service.fulfillOnReceipt('org_123', 'ret_1');
+        expect(standard.shipment).toMatchObject({ id: 'shp_1' });
+        const [sql, params] = mockDb.query.mock.calls[6];
+        expect(sql).toContain('INSERT INTO shipments');
+        expect(params).toEqual(expect.arrayContaining(['ord_exc', '1 rue de Rivoli', 'wh_1']));
+        expect(payments.releasePaymentHold).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Routz v4.0 - Freight Audit Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// FREIGHT AUDIT TESTS
+// ==========================================
+
+describe('Freight Audit', () => {
+    const XLSX = require('xlsx');
+    const { FreightAuditService } = require('../services/freight-audit');
+    let freightAudit;
+    let negotiatedRates;
+    let client;
+
+    const shipments = [
+        { id: 'shp_1', tracking_number: '6L00000000001', total_weight: '2.0', quoted_rate: { finalRate: 8.5, weight: 2 } },
+        { id: 'shp_2', tracking_number: '6L00000000002', total_weight: '1.0', quoted_rate: { finalRate: 6.2, weight: 1 } },
+        { id: 'shp_3', tracking_number: '6L00000000003', total_weight: '0.5', quoted_rate: null, shipping_cost: '5.10' },
+        { id: 'shp_4', tracking_number: '6L00000000004', total_weight: '3.0', quoted_rate: { finalRate: 9.9, weight: 3 } }
+    ];
+
+    const invoiceCSV = [
+        'N° colis;Poids facturé;Montant HT;Libellé',
+        '6L00000000001;2,0;8,50;Transport',
+        '6L00000000002;2,4;9,80;Transport',
+        '6L00000000003;0,5;5,10;Transport',
+        '6L00000000003;0,5;5,10;Transport',
+        '6L00000000004;3,0;9,90;Transport',
+        '6L00000000004;;0,80;Surcharge carburant',
+        '6L99999999999;1,0;7,00;Transport'
+    ].join('\n');
+
+    beforeEach(() => {
+        client = {
+            query: jest.fn().mockImplementation(async (sql) => {
+                if (sql.includes('FROM shipments')) return { rows: shipments };
+                if (sql.includes('FROM carrier_invoice_lines')) return { rows: [{ tracking_number: '6L00000000004', invoice_number: 'FAC-2026-09' }] };
+                return { rows: [] };
+            }),
+            release: jest.fn()
+        };
+        mockDb.query.mockReset();
+        mockDb.connect.mockResolvedValue(client);
+        negotiatedRates = { rerateShipment: jest.fn().mockResolvedValue(null) };
+        freightAudit = new FreightAuditService({ db: mockDb, negotiatedRates });
+    });
+
+    it('should parse French CSV and XLSX invoice files', () => {
+        const lines = freightAudit.parseInvoiceFile(Buffer.from(invoiceCSV), 'facture.csv');
+
+        expect(lines).toHaveLength(7);
+        expect(lines[1]).toMatchObject({ trackingNumber: '6L00000000002', billedWeight: 2.4, billedAmount: 9.8 });
+        expect(lines[5].isAccessorial).toBe(true);
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Tracking: '1Z999', Weight: 1.2, Amount: 14.3 }]), 'Invoice');
+        const xlsx = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+        expect(freightAudit.parseInvoiceFile(xlsx, 'invoice.xlsx')).toEqual([
+            expect.objectContaining({ trackingNumber: '1Z999', billedWeight: 1.2, billedAmount: 14.3 })
+        ]);
+    });
+
+    it('should detect XLSX content without a filename and reject unreadable files', () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Tracking: '1Z999', Amount: 14.3 }]), 'Invoice');
+        const xlsx = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+        expect(freightAudit.parseInvoiceFile(xlsx)).toEqual([
+            expect.objectContaining({ trackingNumber: '1Z999', billedAmount: 14.3 })
+        ]);
+
+        const corrupted = Buffer.concat([Buffer.from('PK\u0003\u0004'), Buffer.alloc(64, 0xff)]);
+        expect(() => freightAudit.parseInvoiceFile(corrupted, 'invoice.csv')).toThrow(
+            expect.objectContaining({ name: 'FreightAuditError', code: 'INVALID_FILE', status: 422 })
+        );
+    });
+
+    it('should flag overcharges, weight disputes, duplicates and unknown parcels', async () => {
+        const invoice = await freightAudit.importInvoice('org_123', {
+            carrier: 'colissimo',
+            invoiceNumber: 'FAC-2026-10',
+            filename: 'facture.csv',
+            file: Buffer.from(invoiceCSV)
+        });
+
+        const inserted = client.query.mock.calls
+            .filter(([sql]) => sql.includes('INSERT INTO carrier_invoice_lines'))
+            .map(([, params]) => ({ tracking: params[6], lineType: params[5], disputed: params[12], flags: params[13], status: params[14] }));
+
+        expect(inserted).toEqual([
+            { tracking: '6L00000000001', lineType: 'freight', disputed: 0, flags: [], status: 'ok' },
+            { tracking: '6L00000000002', lineType: 'freight', disputed: 3.6, flags: ['weight_dispute', 'overcharge'], status: 'disputed' },
+            { tracking: '6L00000000003', lineType: 'freight', disputed: 0, flags: [], status: 'ok' },
+            { tracking: '6L00000000003', lineType: 'freight', disputed: 5.1, flags: ['duplicate_billing'], status: 'disputed' },
+            { tracking: '6L00000000004', lineType: 'freight', disputed: 9.9, flags: ['duplicate_billing'], status: 'disputed' },
+            { tracking: '6L00000000004', lineType: 'accessorial', disputed: 0, flags: [], status: 'ok' },
+            { tracking: '6L99999999999', lineType: 'freight', disputed: 7, flags: ['unknown_shipment'], status: 'unmatched' }
+        ]);
+        expect(invoice).toMatchObject({ lineCount: 7, matchedCount: 6, disputedCount: 4, totalDisputed: 25.6 });
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should reject an invoice that was already imported', async () => {
+        client.query.mockImplementation(async (sql) => (sql.includes('FROM carrier_invoices') ? { rows: [{ id: 'inv_1' }] } : { rows: [] }));
+
+        await expect(freightAudit.importInvoice('org_123', {
+            carrier: 'colissimo',
+            invoiceNumber: 'FAC-2026-10',
+            file: Buffer.from(invoiceCSV)
+        })).rejects.toMatchObject({ code: 'INVOICE_EXISTS', status: 409 });
+        expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should export the claims report', async () => {
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ id: 'inv_1', carrier: 'colissimo', invoice_number: 'FAC-2026-10' }] })
+            .mockResolvedValueOnce({ rows: [{
+                line_number: 3, tracking_number: '6L00000000002', flags: ['weight_dispute', 'overcharge'],
+                billed_amount: '9.80', expected_amount: '6.20', disputed_amount: '3.60',
+                billed_weight: '2.400', declared_weight: '1.000', reason: 'Poids facturé 2.4 kg pour 1 kg déclarés'
+            }] });
+
+        const report = await freightAudit.getClaimsReport('org_123', 'inv_1', 'csv');
+        const [header, row] = report.data.toString('utf8').split('\n');
+
+        expect(report.filename).toBe('claims-colissimo-FAC-2026-10.csv');
+        expect(header).toBe('line_number;tracking_number;flags;billed_amount;expected_amount;disputed_amount;billed_weight;declared_weight;reason');
+        expect(row).toContain('6L00000000002;weight_dispute, overcharge;9.8;6.2;3.6');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Routz v4.0 - Label Service Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// LABEL SERVICE TESTS
+// ==========================================
+
+describe('Label Service', () => {
+    const { LabelService } = require('../services/labels');
+    let labelService;
+
+    const shipmentRow = {
+        tracking_number: '6L12345678901FR',
+        carrier: 'colissimo',
+        service: 'standard',
+        reference: 'CMD-1001',
+        created_at: '2026-01-15T10:00:00.000Z',
+        sender_name: 'Ma Boutique',
+        sender_address1: '10 rue du Commerce',
+        sender_city: 'Paris',
+        sender_postal_code: '75001',
+        sender_country: 'FR',
+        recipient_name: 'Marie Dupont',
+        recipient_address1: '25 avenue des Fleurs',
+        recipient_city: 'Lyon',
+        recipient_postal_code: '69001',
+        recipient_country: 'FR',
+        parcels: JSON.stringify([{ weight: 2.5 }, { weight: 1 }])
+    };
+
+    beforeEach(() => {
+        labelService = new LabelService({ db: mockDb });
+    });
+
+    it('should render one ZPL label per parcel with barcode and routing block', async () => {
+        const label = await labelService.render(shipmentRow, 'zpl');
+        const zpl = label.data.toString();
+
+        expect(label.contentType).toBe('application/zpl');
+        expect(label.count).toBe(2);
+        expect(zpl.match(/\^XA/g)).toHaveLength(2);
+        expect(zpl).toContain('^BCN,200,Y,N,N,A^FD6L12345678901FR^FS');
+        expect(zpl).toContain('^FDFR-69^FS');
+        expect(zpl).toContain('^FD2/2^FS');
+    });
+
+    it('should render EPL2 with ASCII-only escaped text', async () => {
+        const label = await labelService.render({
+            ...shipmentRow,
+            recipient_name: 'Hélène "Léna" Dupré'
+        }, 'epl');
+        const epl = label.data.toString('latin1');
+
+        expect(epl).toContain('"Helene \\"Lena\\" Dupre"');
+        expect(epl).toContain('B30,800,0,1,3,3,200,B,"6L12345678901FR"');
+        expect(epl.trim().endsWith('P1')).toBe(true);
+    });
+
+    it('should render deterministic PDF output for snapshots', async () => {
+        const first = await labelService.render(shipmentRow, 'pdf');
+        const second = await labelService.render(shipmentRow, 'pdf');
+
+        expect(first.data.slice(0, 5).toString()).toBe('%PDF-');
+        expect(first.data.equals(second.data)).toBe(true);
+    });
+
+    it('should group four labels per A4 page', async () => {
+        const label = await labelService.render([shipmentRow, shipmentRow, shipmentRow], 'pdf_a4');
+        const pages = label.data.toString('latin1').match(/\/Type \/Page\b/g);
+
+        expect(label.count).toBe(6);
+        expect(pages).toHaveLength(2);
+    });
+
+    it('should reject unsupported formats', async () => {
+        expect(labelService.isSupportedFormat('png')).toBe(false);
+        await expect(labelService.render(shipmentRow, 'png')).rejects.toThrow('Unsupported label format');
+    });
+});
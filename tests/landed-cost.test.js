@@ -0,0 +1,128 @@
+/**
+ * Routz v4.0 - Landed Cost Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// LANDED COST TESTS
+// ==========================================
+
+describe('Landed Cost', () => {
+    const { InternationalService } = require('../services/international');
+
+    const items = (unitValue, hsCode = '6109.10') => [{ description: 'T-shirt coton', hsCode, quantity: 1, unitValue }];
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should collect UK VAT at checkout up to £135 whatever the incoterm', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+
+        const quote = await intlService.estimateLandedCost({
+            originCountry: 'FR', destinationCountry: 'GB', items: items(100), shippingCost: 15, incoterm: 'DAP', carrier: 'colissimo'
+        });
+
+        expect(quote).toMatchObject({
+            regime: 'uk_low_value',
+            duties: 0,
+            importVat: 23,
+            clearanceFee: 0,
+            collected: { duties: 0, importVat: 23, clearanceFee: 0, total: 23 },
+            dueOnDelivery: 0,
+            checkoutTotal: 38,
+            landedCost: 138
+        });
+    });
+
+    it('should apply the EU €150 threshold with and without IOSS', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        const params = { originCountry: 'GB', destinationCountry: 'DE', items: items(120), shippingCost: 10, incoterm: 'DAP', carrier: 'colissimo' };
+
+        const ioss = await intlService.estimateLandedCost({ ...params, iossNumber: 'IM2760000001' });
+        expect(ioss).toMatchObject({ regime: 'ioss', importVat: 24.7, iossNumber: 'IM2760000001', dueOnDelivery: 0, checkoutTotal: 34.7 });
+
+        const withoutIoss = await intlService.estimateLandedCost(params);
+        expect(withoutIoss).toMatchObject({ regime: 'eu_low_value', importVat: 24.7, clearanceFee: 15, dueOnDelivery: 39.7, checkoutTotal: 10 });
+
+        const intraEu = await intlService.estimateLandedCost({ ...params, originCountry: 'FR' });
+        expect(intraEu).toMatchObject({ regime: 'no_customs', dueOnDelivery: 0, checkoutTotal: 10 });
+    });
+
+    it('should charge duties, taxes and the clearance fee at checkout for DDP only', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        const params = { originCountry: 'FR', destinationCountry: 'US', items: items(1000), shippingCost: 25, carrier: 'chronopost' };
+
+        const ddp = await intlService.estimateLandedCost({ ...params, incoterm: 'DDP' });
+        expect(ddp).toMatchObject({
+            regime: 'standard',
+            duties: 167,
+            importVat: 0,
+            clearanceFee: 17,
+            collected: { total: 184 },
+            dueOnDelivery: 0,
+            checkoutTotal: 209,
+            landedCost: 1209
+        });
+
+        const dap = await intlService.estimateLandedCost({ ...params, incoterm: 'DAP' });
+        expect(dap).toMatchObject({ collected: { total: 0 }, dueOnDelivery: 184, checkoutTotal: 25 });
+
+        const deMinimis = await intlService.estimateLandedCost({ ...params, items: items(500), incoterm: 'DDP' });
+        expect(deMinimis).toMatchObject({ regime: 'de_minimis', duties: 0, importVat: 0, clearanceFee: 0, checkoutTotal: 25 });
+    });
+
+    it('should carry the checkout incoterm and collected taxes into the customs declaration', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        mockDb.query.mockResolvedValue({ rows: [] });
+
+        const landedCost = await intlService.estimateLandedCost({
+            originCountry: 'GB', destinationCountry: 'DE', items: items(120), shippingCost: 10, incoterm: 'DDP', iossNumber: 'IM2760000001'
+        });
+        const declaration = await intlService.createCustomsDeclaration({
+            organizationId: 'org_123',
+            sender: { company: 'Dupont Ltd', country: 'GB' },
+            recipient: { firstName: 'Anna', lastName: 'Schmidt', country: 'DE' },
+            items: [{ description: 'T-shirt coton', hsCode: '6109.10', quantity: 1, unitValue: 120 }],
+            landedCost
+        });
+
+        expect(declaration).toMatchObject({
+            incoterm: 'DDP',
+            shippingCost: 10,
+            iossNumber: 'IM2760000001',
+            taxRegime: 'ioss',
+            collectedDuties: 0,
+            collectedTaxes: 24.7
+        });
+        expect(mockDb.query.mock.calls[0][1].slice(-3)).toEqual(['ioss', 0, 24.7]);
+        expect(intlService.documents.buildElectronicData(declaration)).toMatchObject({ taxRegime: 'ioss', collectedTaxes: 24.7 });
+    });
+
+    it('should store the checkout quote and load it back for the customs declaration', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        const landedCost = await intlService.estimateLandedCost({
+            originCountry: 'FR', destinationCountry: 'GB', items: items(100), shippingCost: 15, carrier: 'colissimo'
+        });
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{ id: 'lcq_1' }] });
+        const saved = await intlService.saveLandedCostQuote('org_123', { originCountry: 'FR', destinationCountry: 'GB' }, landedCost);
+        expect(saved).toMatchObject({ id: 'lcq_1', regime: 'uk_low_value', collected: { importVat: 23 } });
+        expect(mockDb.query.mock.calls[0][1].slice(0, 6)).toEqual(['org_123', 'FR', 'GB', 'DAP', 'uk_low_value', 'EUR']);
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{
+            id: 'lcq_1', origin_country: 'FR', destination_country: 'GB', quote: mockDb.query.mock.calls[0][1][6]
+        }] });
+        const loaded = await intlService.getLandedCostQuote('org_123', 'lcq_1');
+        expect(loaded).toMatchObject({ id: 'lcq_1', destinationCountry: 'GB', collected: { importVat: 23 } });
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['lcq_1', 'org_123']);
+
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        await expect(intlService.getLandedCostQuote('org_456', 'lcq_1')).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Routz v4.0 - Manifest Service Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// MANIFEST SERVICE TESTS
+// ==========================================
+
+describe('Manifest Service', () => {
+    const { ManifestService } = require('../services/manifests');
+    let manifestService;
+    let client;
+
+    const pendingShipments = [
+        { id: 'shp_1', tracking_number: '6A001', reference: 'CMD;1', recipient_name: 'Marie Dupont', recipient_city: 'Lyon', parcels: '[{"weight":1},{"weight":2}]', total_weight: '3' },
+        { id: 'shp_2', tracking_number: '6A002', order_number: 'CMD-2', recipient_name: 'Paul Martin', recipient_city: 'Paris', weight: '1.5' }
+    ];
+
+    beforeEach(() => {
+        client = {
+            query: jest.fn(async (sql) => (sql.includes('FOR UPDATE') ? { rows: pendingShipments } : { rows: [] })),
+            release: jest.fn()
+        };
+        mockDb.connect.mockResolvedValue(client);
+        manifestService = new ManifestService({ db: mockDb });
+    });
+
+    it('should lock pending shipments and link them to the manifest', async () => {
+        const manifest = await manifestService.closeOut('org_123', { carrier: 'colissimo', submitToCarrier: false });
+        const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+        expect(statements).toEqual(['BEGIN', 'SELECT', 'INSERT', 'UPDATE', 'COMMIT']);
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE SKIP LOCKED');
+        expect(client.query.mock.calls[3][1][2]).toEqual(['shp_1', 'shp_2']);
+        expect(manifest).toMatchObject({ shipmentCount: 2, parcelCount: 3, totalWeight: 4.5, dataFormat: 'csv' });
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should roll back when there is nothing to manifest', async () => {
+        client.query.mockResolvedValue({ rows: [] });
+
+        await expect(manifestService.closeOut('org_123', { carrier: 'dpd' })).rejects.toMatchObject({ code: 'NOTHING_TO_MANIFEST' });
+        expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should refuse a warehouse of another organization', async () => {
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(manifestService.closeOut('org_123', { carrier: 'colissimo', warehouseId: 'wh_other' }))
+            .rejects.toMatchObject({ code: 'WAREHOUSE_NOT_FOUND', status: 404 });
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['wh_other', 'org_123']);
+        expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('should build carrier data files', () => {
+        const csv = manifestService.buildCSV(pendingShipments, ';').split('\n');
+        const xml = manifestService.buildXML({
+            manifestNumber: 'MAN-1', carrier: 'chronopost', closedAt: new Date(), shipmentCount: 2, parcelCount: 3, totalWeight: 4.5
+        }, pendingShipments);
+
+        expect(csv[0].startsWith('tracking_number;reference')).toBe(true);
+        expect(csv[1]).toContain('"CMD;1"');
+        expect(xml).toContain('<tracking_number>6A002</tracking_number>');
+        expect(xml).toContain('<reference>CMD-2</reference>');
+    });
+});
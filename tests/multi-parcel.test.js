@@ -0,0 +1,90 @@
+/**
+ * Routz v4.0 - Multi-Parcel Shipments Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// MULTI-PARCEL TESTS
+// ==========================================
+
+describe('Multi-Parcel Shipments', () => {
+    const { MultiParcelService, aggregateParcelStatus } = require('../services/multi-parcel');
+    const { TrackingPoller } = require('../services/tracking-poller');
+
+    const parcel = (status, sub_status = null) => ({ status, sub_status });
+
+    it('should give the master tracking number to the first parcel', () => {
+        const service = new MultiParcelService({ db: mockDb });
+        let sequence = 0;
+
+        const parcels = service.assignTrackingNumbers(
+            [{ weight: 4 }, { weight: 6 }, { weight: 2 }],
+            'XY000MASTER',
+            () => `XY00${++sequence}`
+        );
+
+        expect(parcels.map(p => [p.index, p.trackingNumber])).toEqual([[1, 'XY000MASTER'], [2, 'XY001'], [3, 'XY002']]);
+        expect(() => service.assignTrackingNumbers(new Array(100).fill({ weight: 1 }), 'XY', () => 'XY'))
+            .toThrow('Maximum 99 parcels per shipment');
+    });
+
+    it('should aggregate parcel statuses into a single shipment status', () => {
+        expect(aggregateParcelStatus([parcel('in_transit'), parcel('out_for_delivery')]))
+            .toMatchObject({ status: 'in_transit', subStatus: null, delivered: 0, total: 2 });
+        expect(aggregateParcelStatus([parcel('delivered'), parcel('picked_up'), parcel('out_for_delivery')]))
+            .toMatchObject({ status: 'in_transit', subStatus: 'partially_delivered', delivered: 1 });
+        expect(aggregateParcelStatus([parcel('delivered'), parcel('exception', 'damaged')]))
+            .toMatchObject({ status: 'exception', subStatus: 'damaged' });
+        expect(aggregateParcelStatus([parcel('delivered'), parcel('returned', 'returned_to_sender')]))
+            .toMatchObject({ status: 'delivered', subStatus: 'partially_delivered' });
+        expect(aggregateParcelStatus([parcel('delivered'), parcel('delivered')]))
+            .toMatchObject({ status: 'delivered', subStatus: null, delivered: 2 });
+    });
+
+    it('should poll every parcel and store the consolidated status', async () => {
+        const client = { getTrackingBatch: jest.fn() };
+        mockDb.query.mockReset();
+        mockDb.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM shipments WHERE id = ANY')) {
+                return { rows: [{ id: 'shp_1', organization_id: 'org_123', tracking_number: 'XY1', carrier: 'chronopost', status: 'in_transit', sub_status: null, parcel_count: 2 }] };
+            }
+            if (sql.includes('FROM shipment_parcels WHERE shipment_id = ANY')) {
+                return { rows: [{ shipment_id: 'shp_1', tracking_number: 'XY1' }, { shipment_id: 'shp_1', tracking_number: 'XY2' }] };
+            }
+            if (sql.includes('FROM shipment_parcels WHERE shipment_id = $1')) {
+                return { rows: [parcel('delivered'), parcel('in_transit')] };
+            }
+            return { rows: [] };
+        });
+        client.getTrackingBatch.mockResolvedValue({ results: [
+            { trackingNumber: 'XY1', success: true, events: [{ code: 'D', description: 'Livré', timestamp: '2024-03-12T10:00:00Z' }] },
+            { trackingNumber: 'XY2', success: true, events: [{ code: 'TS', description: 'En transit', timestamp: '2024-03-11T08:00:00Z' }] }
+        ] });
+
+        const poller = new TrackingPoller({
+            db: mockDb,
+            statusRegistry: {
+                resolve: jest.fn(async (carrier, code) => code === 'D'
+                    ? { status: 'delivered', subStatus: null, known: true }
+                    : { status: 'in_transit', subStatus: null, known: true })
+            },
+            connectors: { chronopost: () => ({ Client: function () { return client; }, rateLimits: null }) }
+        });
+
+        const results = await poller.processBatch({ carrier: 'chronopost', shipmentIds: ['shp_1'] });
+
+        expect(client.getTrackingBatch).toHaveBeenCalledWith(['XY1', 'XY2']);
+        expect(results).toMatchObject({ polled: 1, updated: 1, delivered: 0, errors: 0 });
+
+        const parcelUpdates = mockDb.query.mock.calls.filter(([sql]) => sql.includes('UPDATE shipment_parcels'));
+        expect(parcelUpdates.map(([, params]) => [params[4], params[0]])).toEqual([['XY1', 'delivered'], ['XY2', 'in_transit']]);
+
+        const shipmentUpdate = mockDb.query.mock.calls.find(([sql]) => sql.includes('UPDATE shipments') && sql.includes('sub_status = $2'));
+        expect(shipmentUpdate[1].slice(0, 2)).toEqual(['in_transit', 'partially_delivered']);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Routz v4.0 - Product Classification Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// PRODUCT CLASSIFICATION TESTS
+// ==========================================
+
+describe('Product Classification', () => {
+    const { ProductClassificationService } = require('../services/product-classification');
+    const { InternationalService } = require('../services/international');
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should score keyword classification confidence', () => {
+        const intlService = new InternationalService({ db: mockDb });
+
+        expect(intlService.classifyDescription('T-shirt marinière')).toMatchObject({ hsCode: '6109.10', confidence: 0.9 });
+        expect(intlService.classifyDescription('Sac et ceinture')).toMatchObject({ hsCode: '4202.22', confidence: 0.5 });
+        expect(intlService.classifyDescription('Article', 'toys')).toMatchObject({ hsCode: '9503.00', confidence: 0.4 });
+        expect(intlService.classifyDescription('Article')).toEqual({ hsCode: '9999.99', confidence: 0, matchedOn: [] });
+    });
+
+    it('should classify imported SKUs, queue uncertain ones for review and keep reviewed entries', async () => {
+        const service = new ProductClassificationService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rowCount: 0 });
+
+        const summary = await service.classifyProducts('org_123', [
+            {
+                id: '1', name: 'Tee Marinière', productType: 'T-shirt', description: '<p>100% coton bio</p>',
+                variants: [{ id: '11', sku: 'TEE-M', name: 'M' }, { id: '12', sku: null, name: 'L' }]
+            },
+            { id: '2', sku: 'BAG-1', name: 'Pochette', description: 'Sac et ceinture assortis', categories: [{ id: '5', name: 'Maroquinerie' }] },
+            { id: '3', sku: 'WATCH-1', name: 'Montre classique' }
+        ]);
+
+        expect(summary).toEqual({ total: 3, approved: 1, pendingReview: 1, skipped: 1 });
+
+        const [tee, bag] = mockDb.query.mock.calls.map(call => call[1]);
+        expect(tee.slice(1, 8)).toEqual(['TEE-M', 'Tee Marinière - M', '6109.10', null, 'coton', 'Tee Marinière - M (coton)', 0.9]);
+        expect(tee[10]).toBe('approved');
+        expect(bag[3]).toBe('4202.22');
+        expect(bag[10]).toBe('pending_review');
+    });
+
+    it('should validate reviewed entries', async () => {
+        const service = new ProductClassificationService({ db: mockDb });
+
+        await expect(service.saveClassification('org_123', 'TEE-M', { hsCode: '61' }))
+            .rejects.toMatchObject({ name: 'ClassificationError', code: 'INVALID_HS_CODE' });
+        await expect(service.saveClassification('org_123', 'TEE-M', { hsCode: '6109.10', countryOfOrigin: 'france' }))
+            .rejects.toMatchObject({ code: 'INVALID_COUNTRY_OF_ORIGIN' });
+
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        await expect(service.review('org_123', 'UNKNOWN')).rejects.toMatchObject({ code: 'CLASSIFICATION_NOT_FOUND', status: 404 });
+    });
+
+    it('should reuse approved catalogue entries when building customs declarations', async () => {
+        const intlService = new InternationalService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ sku: 'TEE-M', hs_code: '6109.10', country_of_origin: 'PT', material: 'coton', customs_description: 'T-shirt en coton' }] })
+            .mockResolvedValue({ rows: [] });
+
+        const declaration = await intlService.createCustomsDeclaration({
+            organizationId: 'org_123',
+            sender: { company: 'Maison Dupont', country: 'FR' },
+            recipient: { firstName: 'John', lastName: 'Smith', country: 'US' },
+            items: [
+                { sku: 'TEE-M', description: 'Tee Marinière', quantity: 2, unitValue: 25 },
+                { sku: 'NEW-1', description: 'Écharpe', quantity: 1, unitValue: 40, category: 'accessories' }
+            ]
+        });
+
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', ['TEE-M', 'NEW-1']]);
+        expect(declaration.items[0]).toMatchObject({ sku: 'TEE-M', description: 'T-shirt en coton', hsCode: '6109.10', countryOfOrigin: 'PT', material: 'coton' });
+        expect(declaration.items[1]).toMatchObject({ sku: 'NEW-1', description: 'Écharpe', hsCode: '4202.99', countryOfOrigin: 'FR' });
+    });
+
+    it('should run a bulk job over the connected store catalogue', async () => {
+        const service = new ProductClassificationService({ db: mockDb });
+        const connector = { getProducts: jest.fn().mockResolvedValue([{ id: '7', sku: 'PULL-1', name: 'Pull en laine' }]) };
+        service.getStoreConnector = jest.fn().mockResolvedValue({ platform: 'woocommerce', connector });
+        mockDb.query.mockResolvedValue({ rowCount: 1, rows: [] });
+
+        const result = await service.runJob({ id: 'job_1', organization_id: 'org_123', platform: null, review_threshold: '0.8' });
+
+        expect(connector.getProducts).toHaveBeenCalledWith({ per_page: 100, page: 1 });
+        expect(result).toEqual({ jobId: 'job_1', status: 'completed', total: 1, approved: 1, pendingReview: 0, skipped: 0 });
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['job_1', 'woocommerce', 1, 1, 0, 0]);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Routz v4.0 - Rate Shopping Service Tests
+ */
+
+// ==========================================
+// RATE SHOPPING TESTS
+// ==========================================
+
+describe('Rate Shopping Service', () => {
+    const { RateShoppingService } = require('../services/rate-shopping');
+    const { NegotiatedRatesService } = require('../services/negotiated-rates');
+    let rateShopping;
+    let contracts;
+    let connectorRates;
+
+    beforeEach(() => {
+        contracts = [];
+        connectorRates = [];
+
+        const negotiatedRates = new NegotiatedRatesService();
+        negotiatedRates.getContracts = jest.fn(async () => contracts);
+
+        rateShopping = new RateShoppingService({
+            db: { query: jest.fn().mockResolvedValue({ rows: [] }) },
+            negotiatedRates,
+            carrierService: {
+                connectors: {
+                    colissimo: { getRates: jest.fn(async () => connectorRates) }
+                }
+            }
+        });
+    });
+
+    const shop = (params = {}) => rateShopping.shop({
+        orgId: 'org_123',
+        origin: { country: 'FR' },
+        destination: { country: 'FR', postalCode: '69001' },
+        parcels: [{ weight: 1.5 }],
+        carriers: ['colissimo'],
+        ...params
+    });
+
+    it('should keep one line per service and rank by price', async () => {
+        const { quotes } = await shop();
+        const home = quotes.find(q => q.id === 'colissimo:home');
+
+        expect(new Set(quotes.map(q => q.id)).size).toBe(quotes.length);
+        expect(quotes.map(q => q.rank)).toEqual(quotes.map((_, i) => i + 1));
+        expect(quotes[0].price).toBeLessThanOrEqual(quotes[quotes.length - 1].price);
+        expect(home.source).toBe('pooled');
+        expect(home.alternatives).toEqual([expect.objectContaining({ source: 'public', price: 10.44 })]);
+    });
+
+    it('should apply contract rates and discounts with a VAT breakdown', async () => {
+        contracts = [{
+            carrier: 'colissimo',
+            status: 'active',
+            contract_type: 'negotiated',
+            custom_rates: JSON.parse('{"home":{"FR_METRO":[{"maxWeight":5,"price":6}]}}'),
+            discounts: { percentage: 10 }
+        }];
+
+        const { quotes } = await shop();
+        const home = quotes.find(q => q.id === 'colissimo:home');
+
+        expect(home.source).toBe('negotiated');
+        expect(home.breakdown).toMatchObject({ base: 6, discount: 0.6, subtotal: 5.4, vatRate: 20, vat: 1.08, total: 6.48 });
+    });
+
+    it('should price Corsica on the mainland grid plus a zone surcharge', async () => {
+        const { zone, quotes } = await shop({ destination: { country: 'FR', postalCode: '20000' }, options: { pooled: false } });
+        const home = quotes.find(q => q.id === 'colissimo:home');
+
+        expect(zone).toBe('FR_CORSE');
+        expect(home.breakdown).toMatchObject({ base: 8.70, zone: 4.50, subtotal: 13.20 });
+    });
+
+    it('should merge live connector quotes and drop VAT for exports', async () => {
+        connectorRates = [{ carrier: 'colissimo', service: 'standard', serviceName: 'Colissimo Domicile', price: 4, estimatedDays: 2 }];
+
+        const domestic = await shop();
+        expect(domestic.quotes[0]).toMatchObject({ id: 'colissimo:home', source: 'carrier_api', price: 4.8, estimatedDays: 2 });
+
+        const exported = await shop({ destination: { country: 'US', postalCode: '10001' } });
+        expect(exported.quotes[0].breakdown).toMatchObject({ vatRate: 0, vat: 0 });
+    });
+
+    it('should price bulky parcels on the carrier volumetric weight', async () => {
+        const { quotes } = await shop({ parcels: [{ weight: 1.5, length: 40, width: 30, height: 20 }] });
+        const home = quotes.find(q => q.id === 'colissimo:home');
+
+        expect(home.chargeableWeight).toBe(4.8);
+        expect(home.breakdown.weight).toEqual({ actual: 1.5, volumetric: 4.8, chargeable: 4.8, divisor: 5000, rounding: 0.01, basis: 'volumetric' });
+        expect(home.alternatives).toEqual([expect.objectContaining({ source: 'public', price: 12.18 })]);
+        expect(home.explanation).toContain('Poids taxable 4.8 kg (volumétrique, diviseur 5000 ; réel 1.5 kg), zone FR_METRO');
+    });
+
+    it('should apply contract weight rules to negotiated rates only', async () => {
+        contracts = [{
+            carrier: 'colissimo',
+            status: 'active',
+            contract_type: 'negotiated',
+            custom_rates: JSON.parse('{"home":{"FR_METRO":[{"maxWeight":10,"price":6}]}}'),
+            weight_rules: { divisor: 4000, rounding: 1 }
+        }];
+
+        const { quotes } = await shop({ parcels: [{ weight: 1.5, length: 40, width: 30, height: 20 }], options: { pooled: false } });
+        const home = quotes.find(q => q.id === 'colissimo:home');
+
+        expect(home.source).toBe('negotiated');
+        expect(home.chargeableWeight).toBe(6);
+        expect(home.breakdown.weight).toMatchObject({ divisor: 4000, rounding: 1 });
+        // Grille publique cotée sur le poids volumétrique public (4,8 kg), comme sans contrat
+        expect(home.alternatives).toEqual([expect.objectContaining({ source: 'public', price: 12.18 })]);
+    });
+
+    it('should give the GraphQL rates resolver access to the database', async () => {
+        const shopMock = jest.fn().mockResolvedValue({ quotes: [{ id: 'colissimo:home' }] });
+        let resolvers;
+        let RateShopping;
+
+        // Résolveur seul : le serveur Apollo n'est pas démarré
+        jest.isolateModules(() => {
+            jest.doMock('@apollo/server', () => ({ ApolloServer: jest.fn() }), { virtual: true });
+            jest.doMock('@apollo/server/express4', () => ({ expressMiddleware: jest.fn() }), { virtual: true });
+            jest.doMock('@graphql-tools/schema', () => ({ makeExecutableSchema: jest.fn() }), { virtual: true });
+            jest.doMock('dataloader', () => jest.fn(), { virtual: true });
+            jest.doMock('../services/rate-shopping', () => ({ RateShoppingService: jest.fn(() => ({ shop: shopMock })) }));
+            ({ resolvers } = require('../api/graphql'));
+            ({ RateShoppingService: RateShopping } = require('../services/rate-shopping'));
+        });
+
+        const db = { query: jest.fn() };
+        const quotes = await resolvers.Query.rates(null, {
+            input: { sender: { country: 'FR' }, recipient: { country: 'FR', postalCode: '69001' }, parcels: [{ weight: 1.5 }] }
+        }, {
+            db,
+            organizationId: 'org_123',
+            dataSources: { carriers: { list: async () => [{ code: 'COLISSIMO' }] } }
+        });
+
+        expect(RateShopping).toHaveBeenCalledWith({ db });
+        expect(shopMock).toHaveBeenCalledWith(expect.objectContaining({ orgId: 'org_123', carriers: ['colissimo'], sortBy: 'price' }));
+        expect(quotes).toEqual([{ id: 'colissimo:home' }]);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Routz v4.0 - Return Disposition Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// RETURN DISPOSITION TESTS
+// ==========================================
+
+describe('Return Disposition', () => {
+    const { ReturnDispositionService, gradeOutcome } = require('../services/return-disposition');
+    const service = new ReturnDispositionService({ db: mockDb });
+
+    const returnRow = {
+        id: 'ret_1',
+        status: 'received',
+        reason_code: 'CHANGED_MIND',
+        items: [{ sku: 'MUG', quantity: 3, price: 20 }, { sku: 'LAMP', quantity: 1, price: 50, reasonCode: 'DEFECTIVE' }]
+    };
+
+    it('should route each grade and refund by grade unless the merchant is at fault', () => {
+        expect(gradeOutcome('B', { reasonCode: 'CHANGED_MIND' })).toEqual({ grade: 'B', disposition: 'refurbish', location: 'RET-B', refundPercent: 85, recoveryRate: 0.6 });
+        expect(gradeOutcome('D', { reasonCode: 'CHANGED_MIND' })).toMatchObject({ disposition: 'scrap', refundPercent: 0 });
+        expect(gradeOutcome('D', { reasonCode: 'DEFECTIVE' })).toMatchObject({ disposition: 'return_to_vendor', location: 'RET-RTV', refundPercent: 100 });
+        expect(gradeOutcome('C', { reasonCode: 'CHANGED_MIND', grading: { C: { refundPercent: 50, location: 'OUTLET-1' } } }))
+            .toMatchObject({ disposition: 'outlet', location: 'OUTLET-1', refundPercent: 50 });
+    });
+
+    it('should grade units, restock grade A and record a movement per disposition', async () => {
+        const client = { query: jest.fn().mockResolvedValue({ rows: [{ quantity: 7 }] }), release: jest.fn() };
+        mockDb.query.mockReset();
+        mockDb.connect.mockReset();
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [returnRow] })
+            .mockResolvedValueOnce({ rows: [{ return_policy: {} }] });
+        mockDb.connect.mockResolvedValue(client);
+
+        const result = await service.gradeReturn('org_123', 'ret_1', {
+            warehouseId: 'wh_returns',
+            units: [{ sku: 'MUG', grade: 'A' }, { sku: 'MUG', grade: 'A' }, { sku: 'MUG', grade: 'C' }, { sku: 'LAMP', grade: 'D' }]
+        });
+
+        expect(result).toMatchObject({ refundAmount: 102, recoveryValue: 71 });
+        expect(result.units.map(u => u.disposition)).toEqual(['restock', 'restock', 'outlet', 'return_to_vendor']);
+
+        const sql = client.query.mock.calls.map(([query]) => query);
+        const restock = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO inventory'));
+        expect(restock[1]).toEqual(['wh_returns', 'MUG', 2]);
+
+        const movements = client.query.mock.calls.filter(([query]) => query.includes('INSERT INTO stock_movements'));
+        expect(movements.map(([, params]) => [params[2], params[4], params[6], params[7], params[9]])).toEqual([
+            ['MUG', 2, 'restock', 'RET-A', 7],
+            ['MUG', 1, 'outlet', 'RET-C', null],
+            ['LAMP', 1, 'return_to_vendor', 'RET-RTV', null]
+        ]);
+        expect(sql.filter(query => query.includes('INSERT INTO return_units'))).toHaveLength(4);
+        expect(sql[sql.length - 1]).toBe('COMMIT');
+    });
+
+    it('should reject invalid gradings and returns already graded', async () => {
+        mockDb.query.mockReset();
+        mockDb.query.mockResolvedValueOnce({ rows: [returnRow] });
+        await expect(service.gradeReturn('org_123', 'ret_1', { warehouseId: 'wh', units: [{ sku: 'LAMP', grade: 'A' }, { sku: 'LAMP', grade: 'E' }] }))
+            .rejects.toMatchObject({ code: 'INVALID_UNITS', details: { errors: [
+                { field: 'units[1].grade', message: 'Grade must be one of A, B, C, D' },
+                { field: 'units', message: '2 units graded for LAMP, 1 returned' }
+            ] } });
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{ ...returnRow, status: 'inspected' }] });
+        await expect(service.gradeReturn('org_123', 'ret_1', { units: [{ sku: 'MUG', grade: 'A' }] }))
+            .rejects.toMatchObject({ code: 'INVALID_STATUS', status: 409 });
+    });
+
+    it('should report recovery value per SKU and reason code', async () => {
+        mockDb.query.mockReset();
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [
+                { sku: 'MUG', units: '3', grade_a: '2', grade_b: '0', grade_c: '1', grade_d: '0', returned_value: '60', refunded: '52', recovery_value: '46' },
+                { sku: 'LAMP', units: '1', grade_a: '0', grade_b: '0', grade_c: '0', grade_d: '1', returned_value: '50', refunded: '50', recovery_value: '25' }
+            ] })
+            .mockResolvedValueOnce({ rows: [
+                { reason_code: 'CHANGED_MIND', units: '3', grade_a: '2', grade_b: '0', grade_c: '1', grade_d: '0', returned_value: '60', refunded: '52', recovery_value: '46' }
+            ] });
+
+        const report = await service.getRecoveryReport('org_123', { from: '2026-01-01', to: '2026-02-01' });
+
+        expect(report.bySku[0]).toEqual({ sku: 'MUG', units: 3, grades: { A: 2, B: 0, C: 1, D: 0 }, returnedValue: 60, refunded: 52, recoveryValue: 46, recoveryRate: 76.67 });
+        expect(report.byReason[0]).toMatchObject({ reasonCode: 'CHANGED_MIND', recoveryRate: 76.67 });
+        expect(report.totals).toMatchObject({ units: 4, grades: { A: 2, B: 0, C: 1, D: 1 }, returnedValue: 110, recoveryValue: 71, recoveryRate: 64.55 });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Routz v4.0 - Return Risk Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// RETURN RISK TESTS
+// ==========================================
+
+describe('Return Risk', () => {
+    const { ReturnRiskService, hashPhoto, addressKey } = require('../services/return-risk');
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+    const order = {
+        id: 'ord_5',
+        customer_email: 'jean@example.com',
+        delivered_at: daysAgo(25),
+        items: [{ id: 'item_1', sku: 'DRESS-M', price: 120 }]
+    };
+    const address = { address1: '12 Rue de la Paix', postalCode: '75002', country: 'FR' };
+
+    const mockHistory = ({ returns = [], orderCount = 1 }) => {
+        mockDb.query
+            .mockResolvedValueOnce({ rows: returns })
+            .mockResolvedValueOnce({ rows: [{ count: String(orderCount) }] });
+    };
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should approve a first return from a regular customer', async () => {
+        const service = new ReturnRiskService({ db: mockDb });
+        mockHistory({ orderCount: 2 });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ customers: '0' }] });
+
+        const risk = await service.assess('org_123', {
+            customerEmail: 'Jean@Example.com',
+            order: { ...order, delivered_at: daysAgo(5) },
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'SIZE_TOO_SMALL' }],
+            pickupAddress: address,
+            portalConfig: { return_window_days: 30 }
+        });
+
+        expect(risk).toMatchObject({ score: 0, decision: 'approve', signals: [], addressKey: '12ruedelapaix|75002|fr' });
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', 'jean@example.com']);
+    });
+
+    it('should send a serial returner wardrobing late in the window to manual review', async () => {
+        const service = new ReturnRiskService({ db: mockDb });
+        mockHistory({
+            orderCount: 4,
+            returns: [
+                { order_id: 'ord_1', items: [{ reasonCode: 'CHANGED_MIND' }], created_at: daysAgo(80) },
+                { order_id: 'ord_2', items: [{ reasonCode: 'CHANGED_MIND' }], created_at: daysAgo(45) },
+                { order_id: 'ord_3', items: '[{"reasonCode":"SIZE_TOO_LARGE"}]', created_at: daysAgo(10) }
+            ]
+        });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ customers: '0' }] });
+
+        const risk = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'CHANGED_MIND' }],
+            pickupAddress: address,
+            portalConfig: { return_window_days: 30 }
+        });
+
+        expect(risk.signals.map(signal => signal.code)).toEqual(['serial_returner', 'high_return_rate', 'wardrobing']);
+        expect(risk).toMatchObject({ score: 60, decision: 'review' });
+    });
+
+    it('should block a damage claim whose photos were already used on another return', async () => {
+        const service = new ReturnRiskService({ db: mockDb });
+        mockHistory({ orderCount: 1 });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+            .mockResolvedValueOnce({ rows: [{ customers: '3' }] });
+        const photo = 'data:image/jpeg;base64,AAAA';
+
+        const risk = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order: { ...order, items: [{ id: 'item_1', sku: 'TV-55', price: 450 }] },
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DAMAGED_SHIPPING' }],
+            photos: [photo],
+            pickupAddress: address,
+            portalConfig: {}
+        });
+
+        expect(mockDb.query.mock.calls[2][1]).toEqual(['org_123', [hashPhoto(photo)]]);
+        expect(mockDb.query.mock.calls[3][1]).toEqual(['org_123', addressKey(address), 'jean@example.com']);
+        expect(risk.signals.map(signal => signal.code)).toEqual(['high_value', 'reused_photos', 'shared_address']);
+        expect(risk).toMatchObject({ score: 70, decision: 'review' });
+
+        mockHistory({ orderCount: 1 });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+            .mockResolvedValueOnce({ rows: [{ customers: '3' }] });
+        const strict = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order: { ...order, items: [{ id: 'item_1', sku: 'TV-55', price: 450 }] },
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DAMAGED_SHIPPING' }],
+            photos: [photo],
+            pickupAddress: address,
+            portalConfig: { fraud_review_threshold: 30, fraud_block_threshold: 60 }
+        });
+        expect(strict.decision).toBe('block');
+    });
+
+    it('should value returned items at the order price, not the price sent by the customer', async () => {
+        const service = new ReturnRiskService({ db: mockDb });
+        mockHistory({ orderCount: 2 });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ customers: '0' }] });
+
+        const risk = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order: { ...order, delivered_at: daysAgo(5), items: [{ id: 'item_1', sku: 'TV-55', price: 450 }] },
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'SIZE_TOO_SMALL', price: 0 }],
+            pickupAddress: address,
+            portalConfig: { return_window_days: 30 }
+        });
+
+        expect(risk.signals.map(signal => signal.code)).toEqual(['high_value']);
+    });
+
+    it('should flag a damage claim without photos and skip scoring when disabled', async () => {
+        const service = new ReturnRiskService({ db: mockDb });
+        mockHistory({ orderCount: 1 });
+
+        const risk = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DEFECTIVE' }],
+            portalConfig: {}
+        });
+        expect(risk.signals).toEqual([expect.objectContaining({ code: 'missing_evidence', points: 15 })]);
+        expect(risk.decision).toBe('approve');
+
+        mockDb.query.mockClear();
+        const disabled = await service.assess('org_123', {
+            customerEmail: 'jean@example.com',
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DEFECTIVE' }],
+            portalConfig: { fraud_scoring_enabled: false }
+        });
+        expect(disabled).toMatchObject({ score: 0, decision: 'approve' });
+        expect(mockDb.query).not.toHaveBeenCalled();
+    });
+});
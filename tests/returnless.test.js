@@ -0,0 +1,109 @@
+/**
+ * Routz v4.0 - Returnless Refunds Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// RETURNLESS REFUND TESTS
+// ==========================================
+
+describe('Returnless Refunds', () => {
+    const { ReturnlessService } = require('../services/returnless');
+
+    const order = {
+        id: 'ord_1',
+        customer_email: 'jean@example.com',
+        items: [{ id: 'item_1', sku: 'SOCKS-3P', price: 9.9 }, { id: 'item_2', sku: 'JACKET-L', price: 89 }]
+    };
+    const portalConfig = { returnless_enabled: true, return_label_cost: 5.2, return_handling_cost: 2.8 };
+    const cleanRisk = { score: 0, decision: 'approve', signals: [] };
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+    });
+
+    it('should offer keep and donate for a cheap damaged item from a customer in good standing', async () => {
+        const service = new ReturnlessService({ db: mockDb });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+        const evaluation = await service.evaluate('org_123', {
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DAMAGED_SHIPPING' }],
+            risk: cleanRisk,
+            portalConfig
+        });
+
+        expect(evaluation).toEqual({
+            eligible: true,
+            options: ['keep', 'donate'],
+            rejections: [],
+            savings: { labelCost: 5.2, handlingCost: 2.8, total: 8 }
+        });
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', 'jean@example.com']);
+    });
+
+    it('should refuse expensive items, other reasons, flagged customers and the yearly limit', async () => {
+        const service = new ReturnlessService({ db: mockDb });
+
+        const expensive = await service.evaluate('org_123', {
+            order,
+            items: [{ orderItemId: 'item_2', quantity: 1, reasonCode: 'CHANGED_MIND' }],
+            risk: { score: 25, decision: 'approve', signals: [{ code: 'serial_returner', points: 25 }] },
+            portalConfig
+        });
+        expect(expensive).toMatchObject({ eligible: false, options: [], rejections: ['item_value', 'reason', 'customer_standing'] });
+        expect(mockDb.query).not.toHaveBeenCalled();
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{ count: '2' }] });
+        const limited = await service.evaluate('org_123', {
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DEFECTIVE' }],
+            risk: cleanRisk,
+            portalConfig
+        });
+        expect(limited.rejections).toEqual(['yearly_limit']);
+
+        await expect(service.evaluate('org_123', {
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'DEFECTIVE' }],
+            risk: cleanRisk,
+            portalConfig: {}
+        })).resolves.toMatchObject({ eligible: false, rejections: ['disabled'] });
+    });
+
+    it('should reject an option the store does not offer', async () => {
+        const service = new ReturnlessService({ db: mockDb });
+        mockDb.query.mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+        await expect(service.assertEligible('org_123', {
+            option: 'donate',
+            order,
+            items: [{ orderItemId: 'item_1', quantity: 1, reasonCode: 'WRONG_ITEM' }],
+            risk: cleanRisk,
+            portalConfig: { ...portalConfig, returnless_options: ['keep'] }
+        })).rejects.toMatchObject({ name: 'ReturnlessError', code: 'INVALID_RETURNLESS_OPTION', status: 422 });
+    });
+
+    it('should report label and handling costs avoided by option', async () => {
+        const service = new ReturnlessService({ db: mockDb });
+        mockDb.query.mockResolvedValueOnce({
+            rows: [
+                { returnless_option: 'keep', returns: '12', item_value: '118.80', refunded: '118.80', label_cost: '62.40', handling_cost: '33.60' },
+                { returnless_option: 'donate', returns: '3', item_value: '36.00', refunded: '36.00', label_cost: '15.60', handling_cost: '8.40' }
+            ]
+        });
+
+        const report = await service.getSavingsReport('org_123', { from: '2026-09-01', to: '2026-10-01' });
+
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['org_123', '2026-09-01T00:00:00.000Z', '2026-10-01T00:00:00.000Z']);
+        expect(report.byOption[0]).toEqual({
+            option: 'keep', returns: 12, itemValue: 118.8, refunded: 118.8, labelCostAvoided: 62.4, handlingCostAvoided: 33.6, saved: 96
+        });
+        expect(report.totals).toMatchObject({ returns: 15, itemValue: 154.8, labelCostAvoided: 78, handlingCostAvoided: 42, saved: 120 });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Routz v4.0 - RMA State Machine Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// RMA STATE MACHINE TESTS
+// ==========================================
+
+describe('RMA State Machine', () => {
+    const { RmaStateMachine, rmaEvents, normalizeStatus, availableEvents } = require('../services/rma-state-machine');
+    const machine = new RmaStateMachine({ db: mockDb });
+
+    it('should map statuses of the legacy returns implementations', () => {
+        expect(normalizeStatus('PENDING_APPROVAL')).toBe('pending_approval');
+        expect(normalizeStatus('DELIVERED')).toBe('received');
+        expect(normalizeStatus('INSPECTION_FAILED')).toBe('inspected');
+        expect(normalizeStatus('processed')).toBe('inspected');
+        expect(availableEvents('LABEL_CREATED')).toEqual(['ship', 'receive', 'cancel']);
+
+        const { status, history } = machine.initialState({ autoApprove: true });
+        expect(status).toBe('approved');
+        expect(history.map(entry => [entry.from, entry.to])).toEqual([[null, 'pending_approval'], ['pending_approval', 'approved']]);
+    });
+
+    it('should apply a transition with its timestamp, history entry and event', async () => {
+        const listener = jest.fn();
+        machine.on('transition', listener);
+        mockDb.query.mockReset();
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ id: 'ret_1', organization_id: 'org_123', status: 'label_created' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'ret_1', organization_id: 'org_123', status: 'received' }] });
+
+        const transition = await machine.transition('ret_1', 'receive', { orgId: 'org_123', actor: 'user_1', changes: { warehouse_location: 'QUAI-2' } });
+
+        expect(transition).toMatchObject({ from: 'label_created', to: 'received', entry: { event: 'receive', actor: 'user_1' } });
+        const [sql, params] = mockDb.query.mock.calls[1];
+        expect(sql).toContain('received_at = NOW()');
+        expect(sql).toContain('warehouse_location = $4');
+        expect(JSON.parse(params[2])).toEqual([expect.objectContaining({ from: 'label_created', to: 'received' })]);
+        expect(sql).toContain('WHERE id = $1 AND status = $5 AND organization_id = $6');
+        expect(params.slice(4)).toEqual(['label_created', 'org_123']);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ to: 'received', return: expect.objectContaining({ status: 'received' }) }));
+        machine.removeListener('transition', listener);
+    });
+
+    it('should reject a concurrent transition and publish events of every instance', async () => {
+        const listener = jest.fn();
+        rmaEvents.on('transition', listener);
+        const portal = new RmaStateMachine({ db: mockDb });
+        mockDb.query.mockReset();
+
+        // Un autre appel a remboursé le retour entre la lecture et la mise à jour
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ id: 'ret_1', organization_id: 'org_123', status: 'inspected' }] })
+            .mockResolvedValueOnce({ rows: [] });
+        await expect(portal.transition('ret_1', 'issue_store_credit', { orgId: 'org_123', amount: 40 }))
+            .rejects.toMatchObject({ code: 'CONCURRENT_TRANSITION', status: 409 });
+        expect(listener).not.toHaveBeenCalled();
+
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ id: 'ret_1', organization_id: 'org_123', status: 'approved' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'ret_1', organization_id: 'org_123', status: 'label_created' }] });
+        await portal.transition('ret_1', 'create_label', { orgId: 'org_123' });
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ event: 'create_label', to: 'label_created' }));
+        rmaEvents.removeListener('transition', listener);
+
+        await expect(portal.transition('ret_1', 'approve', {})).rejects.toMatchObject({ code: 'ORGANIZATION_REQUIRED' });
+    });
+
+    it('should refuse transitions not allowed from the current status', async () => {
+        mockDb.query.mockReset();
+        mockDb.query.mockResolvedValueOnce({ rows: [{ id: 'ret_1', status: 'REFUNDED' }] });
+
+        await expect(machine.transition('ret_1', 'approve', { orgId: 'org_123' }))
+            .rejects.toMatchObject({ code: 'INVALID_TRANSITION', status: 409, details: { from: 'refunded', availableEvents: ['close'] } });
+        expect(mockDb.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should enforce guards before changing the status', () => {
+        expect(() => machine.assertTransition({ status: 'approved', shipping_fee: '4.90', payment_status: null }, 'create_label'))
+            .toThrow('Return shipping must be paid before the label is created');
+        expect(machine.can({ status: 'approved', shipping_fee: '4.90', payment_status: 'paid' }, 'create_label')).toBe(true);
+        expect(machine.can({ status: 'pending_approval' }, 'reject')).toBe(false);
+        expect(machine.can({ status: 'pending_approval' }, 'reject', { reason: 'Hors délai' })).toBe(true);
+        expect(() => machine.assertTransition({ status: 'inspected', original_amount: '80' }, 'refund', { amount: 95 }))
+            .toThrow('Refund amount exceeds the returned value (80)');
+        expect(() => machine.assertTransition({ status: 'inspected', original_amount: '80' }, 'issue_store_credit', { amount: 95 }))
+            .toThrow('Refund amount exceeds the returned value (80)');
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Routz v4.0 - Shipment Cancellation Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// SHIPMENT CANCELLATION TESTS
+// ==========================================
+
+describe('Shipment Cancellation', () => {
+    const { ShipmentCancellationService } = require('../services/shipment-cancellation');
+    let service;
+    let client;
+    let billing;
+    let carrierClient;
+
+    const shipment = {
+        id: 'shp_1', organization_id: 'org_123', tracking_number: '6L123', carrier: 'colissimo',
+        status: 'label_created', manifest_id: null, order_id: 'ord_1', warehouse_id: 'wh_1',
+        reserved_items: [{ sku: 'SKU-1', quantity: 2 }], created_at: '2024-03-10T10:00:00Z'
+    };
+
+    beforeEach(() => {
+        client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+        billing = { reverseUsage: jest.fn().mockResolvedValue(true) };
+        carrierClient = { cancelShipment: jest.fn().mockResolvedValue({ success: true, trackingNumber: '6L123' }) };
+        mockDb.query.mockReset();
+        mockDb.connect.mockReset();
+        mockDb.connect.mockResolvedValue(client);
+
+        service = new ShipmentCancellationService({
+            db: mockDb,
+            billing,
+            carriers: { colissimo: () => carrierClient }
+        });
+    });
+
+    // Expédition lue une première fois, puis verrouillée dans la transaction
+    const loadShipment = (row, handler = async () => null) => {
+        mockDb.query.mockResolvedValueOnce({ rows: [row] });
+        client.query.mockImplementation(async (sql) => {
+            const result = await handler(sql);
+            if (result) return result;
+            if (sql.includes('FOR UPDATE')) return { rows: [row] };
+            if (sql.includes('UPDATE shipments')) return { rows: [{ ...row, status: 'cancelled' }] };
+            return { rows: [] };
+        });
+    };
+
+    it('should void the label with the carrier and release order inventory', async () => {
+        loadShipment(shipment, async (sql) => {
+            if (sql.includes('UPDATE shipments')) return { rows: [{ ...shipment, status: 'cancelled', void_status: 'voided' }] };
+            if (sql.includes('FROM orders')) return { rows: [{ id: 'ord_1', status: 'shipped' }] };
+            return null;
+        });
+
+        const result = await service.cancel('org_123', 'shp_1', { reason: 'customer_request' });
+
+        expect(result.void_status).toBe('voided');
+        expect(carrierClient.cancelShipment).toHaveBeenCalledWith('6L123');
+        expect(client.query.mock.calls.find(([sql]) => sql.includes('UPDATE inventory'))[1]).toEqual(['wh_1', 'SKU-1', 2]);
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+        expect(billing.reverseUsage).toHaveBeenCalledWith('org_123', 'shipmentsPerMonth', 1, shipment.created_at);
+    });
+
+    it('should only release the stock reserved by the shipment', async () => {
+        loadShipment({ ...shipment, reserved_items: [] }, async (sql) => (
+            sql.includes('FROM orders') ? { rows: [{ id: 'ord_1', status: 'shipped' }] } : null
+        ));
+
+        await service.cancel('org_123', 'shp_1');
+
+        expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE inventory'))).toBe(false);
+        expect(client.query.mock.calls.some(([sql]) => sql.includes("UPDATE orders SET status = 'pending'"))).toBe(true);
+    });
+
+    it('should fall back to pending void when the carrier has no cancel endpoint', async () => {
+        loadShipment({ ...shipment, carrier: 'dpd', order_id: null });
+
+        await service.cancel('org_123', 'shp_1');
+
+        const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE shipments'));
+        expect(update[1][1]).toBe('pending_void');
+        expect(update[1][3]).toBe('Carrier does not support label void');
+        expect(carrierClient.cancelShipment).not.toHaveBeenCalled();
+    });
+
+    it('should keep the cancellation when the carrier call fails', async () => {
+        loadShipment({ ...shipment, order_id: null });
+        carrierClient.cancelShipment.mockRejectedValue(new Error('Parcel already flashed'));
+
+        await service.cancel('org_123', 'shp_1');
+
+        const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE shipments'));
+        expect(update[1].slice(1, 4)).toEqual(['pending_void', null, 'Parcel already flashed']);
+    });
+
+    it('should re-check the locked shipment before voiding', async () => {
+        mockDb.query.mockResolvedValueOnce({ rows: [shipment] });
+        client.query.mockImplementation(async (sql) => (
+            sql.includes('FOR UPDATE') ? { rows: [{ ...shipment, status: 'cancelled' }] } : { rows: [] }
+        ));
+
+        await expect(service.cancel('org_123', 'shp_1')).rejects.toMatchObject({ code: 'ALREADY_CANCELLED', status: 409 });
+
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(carrierClient.cancelShipment).not.toHaveBeenCalled();
+        expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(billing.reverseUsage).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel a shipment manifested during the cancellation', async () => {
+        loadShipment(shipment, async (sql) => (sql.includes('UPDATE shipments') ? { rows: [] } : null));
+
+        await expect(service.cancel('org_123', 'shp_1')).rejects.toMatchObject({ code: 'CANCELLATION_CONFLICT', status: 409 });
+
+        const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE shipments'));
+        expect(update[0]).toContain('manifest_id IS NULL');
+        expect(update[1][5]).toEqual(['pending', 'label_created']);
+        expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE inventory'))).toBe(false);
+        expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(billing.reverseUsage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse shipments already handed over to the carrier', async () => {
+        mockDb.query.mockResolvedValueOnce({ rows: [{ ...shipment, manifest_id: 'man_1' }] });
+        await expect(service.cancel('org_123', 'shp_1')).rejects.toMatchObject({ code: 'ALREADY_MANIFESTED', status: 409 });
+
+        mockDb.query.mockResolvedValueOnce({ rows: [{ ...shipment, status: 'in_transit' }] });
+        await expect(service.cancel('org_123', 'shp_1')).rejects.toMatchObject({ code: 'ALREADY_SHIPPED', status: 400 });
+
+        expect(carrierClient.cancelShipment).not.toHaveBeenCalled();
+        expect(mockDb.connect).not.toHaveBeenCalled();
+    });
+});
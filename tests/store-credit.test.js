@@ -0,0 +1,161 @@
+/**
+ * Routz v4.0 - Store Credit Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// STORE CREDIT TESTS
+// ==========================================
+
+describe('Store Credit', () => {
+    const { StoreCreditService } = require('../services/store-credit');
+
+    const mockTransaction = (...results) => {
+        const client = { query: jest.fn(), release: jest.fn() };
+        results.forEach(result => client.query.mockResolvedValueOnce(result));
+        mockDb.connect.mockResolvedValueOnce(client);
+        return client;
+    };
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+        mockDb.connect.mockReset();
+    });
+
+    it('should issue a credit with the policy bonus and record both ledger entries', async () => {
+        const service = new StoreCreditService({ db: mockDb });
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ return_policy: { store_credit: { bonusPercent: 10, expiryDays: 180 } } }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+        const credit = { id: 'sc_1', organization_id: 'org_123', code: 'SC0A1B2C3D4E5F', balance: '55.00' };
+        const client = mockTransaction({}, { rows: [credit] }, { rows: [{}] }, { rows: [{}] }, {});
+
+        const issued = await service.issueCredit('org_123', { customerEmail: ' Jean@Example.com', amount: 50, returnId: 'ret_1' });
+
+        expect(issued).toBe(credit);
+        const params = client.query.mock.calls[1][1];
+        expect(params.slice(2, 8)).toEqual(['jean@example.com', expect.stringMatching(/^SC[0-9A-F]{12}$/), 'EUR', 50, 5, 55]);
+        expect(params[8].getTime()).toBeGreaterThan(Date.now() + 179 * 24 * 3600 * 1000);
+        // Échéance reportée au jour ouvré suivant (week-end, férié)
+        const { countryCalendar, toDay } = require('../services/calendar');
+        expect(countryCalendar('FR').isWorkingDay(toDay(params[8]))).toBe(true);
+        expect(client.query.mock.calls[2][1].slice(3, 6)).toEqual(['issue', 50, 50]);
+        expect(client.query.mock.calls[3][1].slice(3, 6)).toEqual(['bonus', 5, 55]);
+        expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('should redeem against the customer balance, soonest expiring credit first', async () => {
+        const service = new StoreCreditService({ db: mockDb });
+        const client = mockTransaction(
+            {},
+            { rows: [
+                { id: 'sc_1', organization_id: 'org_123', balance: '20.00' },
+                { id: 'sc_2', organization_id: 'org_123', balance: '40.00' }
+            ] },
+            { rows: [] },
+            { rows: [{ id: 'sc_1', balance: '0.00', status: 'redeemed' }] },
+            { rows: [{ type: 'redeem', amount: '-20.00' }] },
+            { rows: [{ id: 'sc_2', balance: '25.00', status: 'active' }] },
+            { rows: [{ type: 'redeem', amount: '-15.00' }] },
+            {}
+        );
+
+        const redemption = await service.redeem('org_123', { customerEmail: 'jean@example.com', amount: 35, currency: 'EUR', orderReference: '#1042', channel: 'shopify' });
+
+        expect(redemption).toMatchObject({ amount: 35, replayed: false });
+        // Seuls les avoirs dans la devise de la commande
+        expect(client.query.mock.calls[1][1]).toEqual(['org_123', 'jean@example.com', 'EUR']);
+        expect(client.query.mock.calls[3][1]).toEqual([0, 'redeemed', 'sc_1']);
+        expect(client.query.mock.calls[5][1]).toEqual([25, 'active', 'sc_2']);
+        expect(client.query.mock.calls[6][1].slice(3, 7)).toEqual(['redeem', -15, 25, '#1042']);
+    });
+
+    it('should replay a redemption already recorded for the order and refuse an insufficient balance', async () => {
+        const service = new StoreCreditService({ db: mockDb });
+        const replayed = mockTransaction({}, { rows: [{ id: 'sc_1', status: 'redeemed', balance: '0.00' }] }, { rows: [{ type: 'redeem', amount: '-35.00' }] }, {});
+
+        const replay = await service.redeem('org_123', { code: 'sc0a1b2c3d4e5f', amount: 35, currency: 'eur', orderReference: '#1042' });
+        expect(replay).toMatchObject({ amount: 35, replayed: true });
+        // L'avoir est verrouillé avant la recherche de la rédemption précédente
+        expect(replayed.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(replayed.query.mock.calls[1][1]).toEqual(['org_123', 'SC0A1B2C3D4E5F', 'EUR']);
+        expect(replayed.query.mock.calls[2][0]).toContain("type = 'redeem' AND reference = $2");
+
+        const client = mockTransaction({}, { rows: [{ id: 'sc_1', status: 'active', balance: '10.00', expires_at: null }] }, { rows: [] }, {});
+        await expect(service.redeem('org_123', { code: 'SC0A1B2C3D4E5F', amount: 35, currency: 'EUR', orderReference: '#1043' }))
+            .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE', details: { balance: 10 } });
+        expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+
+        // Index unique (avoir, commande, type) : une rédemption concurrente n'est pas débitée deux fois
+        const duplicate = mockTransaction(
+            {},
+            { rows: [{ id: 'sc_1', status: 'active', balance: '50.00', expires_at: null }] },
+            { rows: [] },
+            { rows: [{ id: 'sc_1', balance: '15.00', status: 'active' }] }
+        );
+        duplicate.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+        await expect(service.redeem('org_123', { code: 'SC0A1B2C3D4E5F', amount: 35, currency: 'EUR', orderReference: '#1044' }))
+            .rejects.toMatchObject({ code: 'ALREADY_REDEEMED', status: 409 });
+
+        await expect(service.redeem('org_123', { code: 'SC0A1B2C3D4E5F', amount: 35, orderReference: '#1045' }))
+            .rejects.toMatchObject({ code: 'INVALID_CURRENCY', status: 422 });
+    });
+
+    it('should void a credit under lock and refuse a credit voided concurrently', async () => {
+        const service = new StoreCreditService({ db: mockDb });
+        const credit = { id: 'sc_1', organization_id: 'org_123', status: 'active', balance: '20.00' };
+        const client = mockTransaction({}, { rows: [credit] }, { rows: [{ ...credit, status: 'voided', balance: '0.00' }] }, { rows: [{}] }, {});
+
+        const voided = await service.voidCredit('org_123', 'sc_1', { reason: 'fraud', actor: 'usr_1' });
+
+        expect(voided.status).toBe('voided');
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(client.query.mock.calls[3][1].slice(3, 6)).toEqual(['void', -20, 0]);
+        expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+
+        const locked = mockTransaction({}, { rows: [{ ...credit, status: 'voided', balance: '0.00' }] }, {});
+        await expect(service.voidCredit('org_123', 'sc_1')).rejects.toMatchObject({ code: 'INVALID_STATUS', status: 409 });
+        expect(locked.query).toHaveBeenLastCalledWith('ROLLBACK');
+        expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    it('should issue a credit inside the caller transaction without committing or publishing', async () => {
+        const service = new StoreCreditService({ db: mockDb });
+        mockDb.query.mockResolvedValueOnce({ rows: [] });
+        const credit = { id: 'sc_1', code: 'SC0A1B2C3D4E5F', balance: '30.00' };
+        const client = { query: jest.fn().mockResolvedValueOnce({ rows: [credit] }).mockResolvedValue({ rows: [{}] }) };
+
+        await expect(service.issueCredit('org_123', { customerEmail: 'jean@example.com', amount: 30, bonusPercent: 0, client })).resolves.toBe(credit);
+        expect(mockDb.connect).not.toHaveBeenCalled();
+        expect(client.query.mock.calls.map(([sql]) => sql)).not.toContain('COMMIT');
+    });
+
+    it('should publish the credit as a WooCommerce coupon and keep it when the push fails', async () => {
+        const ecommerce = { registerStore: jest.fn(), pushStoreCredit: jest.fn().mockResolvedValue({ id: '77', platform: 'woocommerce' }) };
+        const service = new StoreCreditService({ db: mockDb, ecommerce });
+        const credit = { id: 'sc_1', code: 'SC0A1B2C3D4E5F', balance: '55.00', currency: 'EUR', customer_email: 'jean@example.com', expires_at: null };
+
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ platform: 'woocommerce', store_url: 'https://shop.example.com', credentials: { consumerKey: 'ck', consumerSecret: 'cs' } }] })
+            .mockResolvedValueOnce({ rows: [{ ...credit, external_id: '77', push_status: 'pushed' }] });
+
+        const published = await service.publishCredit('org_123', credit);
+        expect(ecommerce.pushStoreCredit).toHaveBeenCalledWith('org_123:woocommerce', expect.objectContaining({ code: 'SC0A1B2C3D4E5F', amount: 55 }));
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['woocommerce', '77', 'sc_1']);
+        expect(published.push_status).toBe('pushed');
+
+        ecommerce.pushStoreCredit.mockRejectedValueOnce(new Error('E-commerce API error: invalid code'));
+        mockDb.query
+            .mockResolvedValueOnce({ rows: [{ platform: 'woocommerce', store_url: 'https://shop.example.com', credentials: {} }] })
+            .mockResolvedValueOnce({ rows: [{ ...credit, push_status: 'failed' }] });
+
+        const failed = await service.publishCredit('org_123', credit);
+        expect(failed.push_status).toBe('failed');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Routz v4.0 - Surcharge Tables Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// SURCHARGE TABLES TESTS
+// ==========================================
+
+describe('Surcharge Tables', () => {
+    const { SurchargeTableService } = require('../services/surcharge-tables');
+    const { NegotiatedRatesService } = require('../services/negotiated-rates');
+    let surchargeTables;
+    let client;
+
+    const octoberRow = {
+        id: 'tbl_oct',
+        carrier: 'colissimo',
+        organization_id: null,
+        version: 1,
+        valid_from: '2026-10-01',
+        valid_to: null,
+        fuel_percent: '8.5',
+        accessorials: { saturday: 14 },
+        remote_postal_codes: { FR: ['17590'] }
+    };
+
+    beforeEach(() => {
+        client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+        mockDb.query.mockReset();
+        mockDb.connect.mockResolvedValue(client);
+        surchargeTables = new SurchargeTableService({ db: mockDb });
+    });
+
+    it('should look up the table valid on the ship date', async () => {
+        mockDb.query.mockResolvedValueOnce({ rows: [octoberRow] });
+
+        const table = await surchargeTables.getTable('colissimo', '2026-10-15T09:30:00Z', 'org_123');
+
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['colissimo', '2026-10-15', 'org_123']);
+        expect(table).toMatchObject({ id: 'tbl_oct', fuelPercent: 8.5 });
+        expect(table.accessorials).toMatchObject({ saturday: 14, residential: 3.5 });
+    });
+
+    it('should close the previous version and inherit unchanged values', async () => {
+        client.query.mockImplementation(async (sql) => (sql.includes('FOR UPDATE') ? { rows: [octoberRow] } : { rows: [] }));
+
+        const table = await surchargeTables.createTable({ carrier: 'colissimo', validFrom: '2026-11-01', fuelPercent: 9.25 });
+        const closeCall = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE surcharge_tables'));
+
+        expect(closeCall[1][0]).toBe('2026-10-31');
+        expect(table).toMatchObject({ version: 2, fuelPercent: 9.25, remotePostalCodes: { FR: ['17590'] } });
+        expect(table.accessorials.saturday).toBe(14);
+    });
+
+    it('should refuse versions overlapping the next one or leaving a gap', async () => {
+        const decemberRow = { ...octoberRow, id: 'tbl_dec', version: 2, valid_from: '2026-12-01' };
+        client.query.mockImplementation(async (sql) => (sql.includes('FOR UPDATE')
+            ? { rows: [{ ...octoberRow, valid_to: '2026-11-30' }, decemberRow] }
+            : { rows: [] }));
+
+        await expect(surchargeTables.createTable({ carrier: 'colissimo', validFrom: '2026-11-15', validTo: '2026-12-15', fuelPercent: 9 }))
+            .rejects.toMatchObject({ code: 'VERSION_OVERLAP', status: 409 });
+        await expect(surchargeTables.createTable({ carrier: 'colissimo', validFrom: '2026-11-15', validTo: '2026-11-20', fuelPercent: 9 }))
+            .rejects.toMatchObject({ code: 'VERSION_GAP', status: 409 });
+        expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO surcharge_tables'))).toBe(false);
+
+        const table = await surchargeTables.createTable({ carrier: 'colissimo', validFrom: '2026-11-15', fuelPercent: 9 });
+        expect(table.validTo).toBe('2026-11-30');
+        expect(client.query.mock.calls.find(([sql]) => sql.includes('UPDATE surcharge_tables'))[1][0]).toBe('2026-11-14');
+    });
+
+    it('should parse CSV versions and report invalid lines', () => {
+        const versions = surchargeTables.parseCSV([
+            'carrier;valid_from;valid_to;code;value',
+            'dpd;2026-11-01;;fuel_percent;7,5',
+            'dpd;2026-11-01;;remote_postal_code;FR:29242',
+            'dpd;2026-11-01;;saturday;11'
+        ].join('\n'));
+
+        expect(versions).toEqual([expect.objectContaining({
+            carrier: 'dpd', validFrom: '2026-11-01', validTo: null, fuelPercent: 7.5,
+            accessorials: { saturday: 11 }, remotePostalCodes: { FR: ['29242'] }
+        })]);
+
+        expect(() => surchargeTables.parseCSV('carrier,valid_from,valid_to,code,value\ndpd,2026-11-01,,teleport,3'))
+            .toThrow('Invalid CSV file');
+    });
+
+    it('should price surcharges from the given table', () => {
+        const table = surchargeTables.mapRow(octoberRow);
+        const surcharges = new NegotiatedRatesService().calculateSurcharges('colissimo', {
+            weight: 2,
+            baseRate: 10,
+            options: { saturday: true },
+            table,
+            destination: { country: 'FR', postalCode: '17590' }
+        });
+
+        expect(surcharges).toEqual({ fuel: 0.85, remote_area: 8, saturday: 14 });
+    });
+
+    it('should charge the remote area amount of the table for any carrier', () => {
+        const negotiatedRates = new NegotiatedRatesService();
+        const params = { weight: 2, baseRate: 10, destination: { country: 'FR', postalCode: '17590' } };
+        const chronopostRow = { ...octoberRow, carrier: 'chronopost', fuel_percent: '0', accessorials: {} };
+
+        // Pas de supplément par défaut pour Chronopost, tant que sa table n'en fixe pas
+        expect(negotiatedRates.calculateSurcharges('chronopost', { ...params, table: surchargeTables.mapRow(chronopostRow) })).toEqual({});
+        expect(negotiatedRates.calculateSurcharges('chronopost', {
+            ...params,
+            table: surchargeTables.mapRow({ ...chronopostRow, accessorials: { remote_area: 6.5 } })
+        })).toEqual({ remote_area: 6.5 });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Routz v4.0 - Tracking Poller Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// TRACKING POLLER TESTS
+// ==========================================
+
+describe('Tracking Poller', () => {
+    const { TrackingPoller } = require('../services/tracking-poller');
+    let poller;
+    let client;
+    let realtime;
+    let queues;
+
+    const shipment = {
+        id: 'shp_1', organization_id: 'org_123', tracking_number: '6L123', carrier: 'colissimo',
+        status: 'in_transit', sub_status: null, estimated_delivery: null
+    };
+
+    beforeEach(() => {
+        client = { getTrackingBatch: jest.fn() };
+        realtime = { notifyTrackingUpdate: jest.fn() };
+        queues = { webhooks: { add: jest.fn() }, notifications: { add: jest.fn() } };
+        mockDb.query.mockReset();
+        mockDb.query.mockResolvedValue({ rows: [] });
+
+        poller = new TrackingPoller({
+            db: mockDb,
+            realtime,
+            queueManager: { getQueue: (name) => queues[name] },
+            connectors: {
+                colissimo: () => ({ Client: jest.fn(() => client), rateLimits: { maxPerMinute: 60, maxPerHour: 1000 } })
+            }
+        });
+    });
+
+    it('should adapt the polling interval to the status', () => {
+        const from = new Date('2026-10-19T10:00:00Z');
+
+        expect(poller.getNextPollAt('out_for_delivery', null, from)).toEqual(new Date('2026-10-19T10:20:00Z'));
+        expect(poller.getNextPollAt('label_created', null, from)).toEqual(new Date('2026-10-19T16:00:00Z'));
+        expect(poller.getNextPollAt('out_for_delivery', 'available_for_pickup', from)).toEqual(new Date('2026-10-19T16:00:00Z'));
+        expect(poller.getNextPollAt('delivered', null, from)).toBeNull();
+    });
+
+    it('should stagger batches within the carrier rate limit', async () => {
+        const ids = Array.from({ length: 83 }, (_, i) => ({ id: `shp_${i}` }));
+        mockDb.query.mockResolvedValueOnce({ rows: ids });
+        const queue = { add: jest.fn() };
+
+        const summary = await poller.schedule(queue);
+
+        // 5 min tick: min(60/min * 5, 1000/h * 5/60) = 83 calls, 60 per minute
+        expect(mockDb.query.mock.calls[0][1]).toEqual(['colissimo', 83]);
+        expect(summary).toEqual({ colissimo: { shipments: 83, calls: 83, batches: 2 } });
+        expect(queue.add.mock.calls.map(([, data, opts]) => [data.shipmentIds.length, opts.delay])).toEqual([[60, 0], [23, 60000]]);
+    });
+
+    it('should count one carrier call per parcel against the budget', async () => {
+        mockDb.query.mockResolvedValueOnce({ rows: [
+            { id: 'shp_1', parcel_count: 50 },
+            { id: 'shp_2', parcel_count: 20 },
+            { id: 'shp_3', parcel_count: null }
+        ] });
+        const queue = { add: jest.fn() };
+
+        const summary = await poller.schedule(queue);
+
+        const [sql, params] = mockDb.query.mock.calls[0];
+        expect(params).toEqual(['colissimo', 83]);
+        expect(sql).toContain('SUM(calls) OVER');
+        expect(sql).toContain("'compliance_hold'");
+        expect(summary).toEqual({ colissimo: { shipments: 3, calls: 71, batches: 2 } });
+        expect(queue.add.mock.calls.map(([, data]) => data.shipmentIds)).toEqual([['shp_1'], ['shp_2', 'shp_3']]);
+    });
+
+    it('should push status changes to realtime and webhooks', async () => {
+        mockDb.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM shipments WHERE id = ANY')) return { rows: [shipment] };
+            if (sql.includes('FROM webhooks')) return { rows: [{ id: 'wh_1', url: 'https://shop.example/hook', secret: 's' }] };
+            return { rows: [] };
+        });
+        client.getTrackingBatch.mockResolvedValue({ results: [{
+            trackingNumber: '6L123', success: true,
+            events: [{ code: 'DR1', description: 'En cours de livraison', location: 'Lyon', timestamp: '2026-10-19T08:10:00Z' }]
+        }] });
+
+        const results = await poller.processBatch({ carrier: 'colissimo', shipmentIds: ['shp_1'] });
+        const update = mockDb.query.mock.calls.find(([sql]) => sql.includes('next_tracking_poll_at = $6'));
+
+        expect(results).toMatchObject({ polled: 1, updated: 1, errors: 0 });
+        expect(update[1].slice(0, 2)).toEqual(['out_for_delivery', null]);
+        expect(realtime.notifyTrackingUpdate).toHaveBeenCalledWith('6L123', expect.objectContaining({
+            status: 'out_for_delivery', oldStatus: 'in_transit', orgId: 'org_123'
+        }));
+        expect(queues.webhooks.add).toHaveBeenCalledWith('delivery', expect.objectContaining({ event: 'shipment.out_for_delivery' }));
+    });
+
+    it('should keep the current status on unknown codes and retry failed lookups later', async () => {
+        mockDb.query.mockImplementation(async (sql) => (sql.includes('FROM shipments WHERE id = ANY')
+            ? { rows: [shipment, { ...shipment, id: 'shp_2', tracking_number: '6L456' }] }
+            : { rows: [] }));
+        client.getTrackingBatch.mockResolvedValue({ results: [
+            { trackingNumber: '6L123', success: true, events: [{ code: 'ZZ9', timestamp: '2026-10-19T08:10:00Z' }] },
+            { trackingNumber: '6L456', success: false, error: { message: 'timeout' } }
+        ] });
+
+        const results = await poller.processBatch({ carrier: 'colissimo', shipmentIds: ['shp_1', 'shp_2'] });
+
+        expect(results).toMatchObject({ polled: 2, updated: 0, errors: 1 });
+        expect(realtime.notifyTrackingUpdate).not.toHaveBeenCalled();
+        expect(mockDb.query.mock.calls.some(([sql, params]) => sql.includes("INTERVAL '30 minutes'") && params[0] === 'shp_2')).toBe(true);
+    });
+
+    it('should ignore unexpected tracking numbers and retry shipments missing from the batch', async () => {
+        mockDb.query.mockImplementation(async (sql) => (sql.includes('FROM shipments WHERE id = ANY')
+            ? { rows: [shipment, { ...shipment, id: 'shp_2', tracking_number: '6L456' }] }
+            : { rows: [] }));
+        client.getTrackingBatch.mockResolvedValue({ results: [
+            { trackingNumber: '6L123', success: true, events: [{ code: 'ZZ9', timestamp: '2026-10-19T08:10:00Z' }] },
+            { trackingNumber: '6l456 ', success: true, events: [] }
+        ] });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const results = await poller.processBatch({ carrier: 'colissimo', shipmentIds: ['shp_1', 'shp_2'] });
+
+        expect(results).toMatchObject({ polled: 2, errors: 1 });
+        expect(mockDb.query.mock.calls.some(([sql, params]) => sql.includes("INTERVAL '30 minutes'") && params[0] === 'shp_2')).toBe(true);
+        warn.mockRestore();
+        error.mockRestore();
+    });
+});
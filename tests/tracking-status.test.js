@@ -0,0 +1,68 @@
+/**
+ * Routz v4.0 - Tracking Status Registry Tests
+ */
+
+// Mock database
+const mockDb = {
+    query: jest.fn(),
+    connect: jest.fn()
+};
+
+// ==========================================
+// TRACKING STATUS TESTS
+// ==========================================
+
+describe('Tracking Status Registry', () => {
+    const { TrackingStatusRegistry, mapCarrierEvent } = require('../services/tracking-status');
+    let registry;
+
+    beforeEach(() => {
+        mockDb.query.mockReset();
+        mockDb.query.mockResolvedValue({ rows: [] });
+        registry = new TrackingStatusRegistry({ db: mockDb });
+    });
+
+    it('should map carrier codes to canonical statuses and sub-statuses', () => {
+        expect(mapCarrierEvent('colissimo', 'DI2')).toEqual({ status: 'exception', subStatus: 'address_issue', known: true });
+        expect(mapCarrierEvent('chronopost', 'RA')).toEqual({ status: 'returned', subStatus: 'returned_to_sender', known: true });
+        expect(mapCarrierEvent('colissimo', 'LIVRE')).toMatchObject({ status: 'delivered' });
+        // Remise en point de retrait Colissimo : livraison terminée
+        expect(mapCarrierEvent('colissimo', 'AG1')).toEqual({ status: 'delivered', subStatus: 'delivered_to_pickup_point', known: true });
+        expect(mapCarrierEvent('dpd', 'customs_hold')).toEqual({ status: 'exception', subStatus: 'customs_hold', known: true });
+        expect(mapCarrierEvent('dpd', 'X42')).toEqual({ status: 'unknown', subStatus: null, known: false });
+    });
+
+    it('should apply database overrides and capture unknown codes', async () => {
+        mockDb.query.mockImplementation(async (sql) => (sql.includes('FROM tracking_event_mappings')
+            ? { rows: [{ event_code: 'ZZ9', status: 'exception', sub_status: 'customs_hold' }] }
+            : { rows: [] }));
+
+        expect(await registry.resolve('colissimo', 'ZZ9', { orgId: 'org_123' })).toMatchObject({ status: 'exception', subStatus: 'customs_hold' });
+
+        const unknown = await registry.resolve('colissimo', 'QQ1', { orgId: 'org_123', trackingNumber: '6L123', description: 'Nouvel événement' });
+        const capture = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO tracking_unknown_events'));
+
+        expect(unknown.known).toBe(false);
+        expect(capture[0]).toContain('ON CONFLICT (organization_id, carrier, event_code)');
+        expect(capture[1]).toEqual(['org_123', 'colissimo', 'QQ1', 'Nouvel événement', '6L123']);
+        expect(mockDb.query.mock.calls.filter(([sql]) => sql.includes('FROM tracking_event_mappings'))).toHaveLength(1);
+    });
+
+    it('should reject a sub-status that does not belong to the status', async () => {
+        await expect(registry.saveMapping({ carrier: 'colissimo', eventCode: 'QQ1', status: 'delivered', subStatus: 'customs_hold' }))
+            .rejects.toMatchObject({ name: 'TrackingStatusError', errors: [expect.objectContaining({ field: 'subStatus' })] });
+
+        await registry.saveMapping({ carrier: 'colissimo', eventCode: 'QQ1', status: 'exception', subStatus: 'customs_hold', orgId: 'org_123' });
+
+        expect(mockDb.query.mock.calls[1][0]).toContain('UPDATE tracking_unknown_events SET resolved_at');
+        expect(mockDb.query.mock.calls[1][1]).toEqual(['colissimo', 'QQ1', 'org_123']);
+    });
+
+    it('should only list the unknown codes of the organization', async () => {
+        await registry.listUnknownEvents('org_123', { carrier: 'colissimo' });
+
+        const [sql, params] = mockDb.query.mock.calls[0];
+        expect(sql).toContain('organization_id = $1');
+        expect(params).toEqual(['org_123', 'colissimo']);
+    });
+});